@@ -0,0 +1,45 @@
+import { loadProxyConfig } from "./proxy.js";
+import { createRoutes } from "./routes.js";
+
+/**
+ * Serves the api/ functions from `vite` during development, mirroring Vercel's file-based routes.
+ * `env` is the merged process and .env environment (WAQI_TOKEN, WAQI_BASE_URL, OPENAQ_API_KEY, API_RATE_LIMIT).
+ */
+export const createDevApiMiddleware = (env) => {
+  const routes = createRoutes({ config: loadProxyConfig(env) });
+  const table = [
+    [/^\/api\/aqi\/city\/([^/]+)$/, ["name"], routes.cityFeed],
+    [/^\/api\/aqi\/geo\/([^/]+)\/([^/]+)$/, ["lat", "lng"], routes.geoFeed],
+    [/^\/api\/aqi\/station\/([^/]+)$/, ["id"], routes.stationFeed],
+    [/^\/api\/aqi\/search$/, [], routes.stationSearch],
+    [/^\/api\/aqi\/bounds$/, [], routes.stationsInBounds],
+    [/^\/api\/openaq\/locations$/, [], routes.openAqLocations],
+    [/^\/api\/openaq\/locations\/([^/]+)\/latest$/, ["id"], routes.openAqLatest],
+    [/^\/api\/rankings$/, [], routes.rankings],
+    [/^\/api\/share$/, [], routes.sharePreview],
+  ];
+
+  return (req, res, next) => {
+    const url = new URL(req.originalUrl || req.url, "http://localhost");
+    for (const [pattern, names, handler] of table) {
+      const match = pattern.exec(url.pathname);
+      if (!match) continue;
+      req.query = Object.fromEntries(url.searchParams);
+      names.forEach((name, index) => {
+        req.query[name] = decodeURIComponent(match[index + 1]);
+      });
+      handler(req, res).catch(next);
+      return;
+    }
+    next();
+  };
+};
+
+/** Vite plugin that mounts the middleware on the dev server only. */
+export const devApiPlugin = (env) => ({
+  name: "atmosense-dev-api",
+  apply: "serve",
+  configureServer(server) {
+    server.middlewares.use(createDevApiMiddleware(env));
+  },
+});
@@ -0,0 +1,219 @@
+// Server side of the AQI proxy. The WAQI token and OpenAQ key only live in the function's environment; answers are
+// cached in memory (and at the CDN through Cache-Control) and every client IP gets a request budget.
+// Serverless instances do not share memory, so both the cache and the budget are per instance.
+
+const DEFAULT_WAQI_BASE_URL = "https://api.waqi.info";
+const DEFAULT_OPENAQ_BASE_URL = "https://api.openaq.org/v3";
+const REQUEST_TIMEOUT_MS = 8000;
+const MAX_CACHE_ENTRIES = 500;
+const MAX_TRACKED_CLIENTS = 10000;
+
+export const CACHE_TTL_MS = {
+  feed: 2 * 60 * 1000,
+  search: 10 * 60 * 1000,
+  bounds: 5 * 60 * 1000,
+  openaq: 5 * 60 * 1000,
+};
+
+export class ProxyError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = "ProxyError";
+    this.status = status;
+  }
+}
+
+export const loadProxyConfig = (env = process.env) => ({
+  waqiToken: env.WAQI_TOKEN || "",
+  // Point this at scripts/waqi-stub.js to run the proxy without a real token.
+  waqiBaseUrl: (env.WAQI_BASE_URL || DEFAULT_WAQI_BASE_URL).replace(/\/$/, ""),
+  // Optional; without it the OpenAQ routes answer 503 and the app uses its other sources.
+  openAqApiKey: env.OPENAQ_API_KEY || "",
+  openAqBaseUrl: (env.OPENAQ_BASE_URL || DEFAULT_OPENAQ_BASE_URL).replace(/\/$/, ""),
+  rateLimit: { limit: Number(env.API_RATE_LIMIT) || 60, windowMs: 60 * 1000 },
+});
+
+/** A bounded in-memory cache; the oldest entry goes first once it is full. */
+export const createTtlCache = ({ now = Date.now, maxEntries = MAX_CACHE_ENTRIES } = {}) => {
+  const entries = new Map();
+  return {
+    get: (key) => {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+    set: (key, value, ttlMs) => {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: now() + ttlMs });
+      if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+  };
+};
+
+/**
+ * Fixed-window budget per client. `take(key, cost)` returns `{ allowed, retryAfterSeconds }`; costlier
+ * routes (rankings fan out to many upstream calls) spend more of the window.
+ */
+export const createRateLimiter = ({ limit, windowMs, now = Date.now }) => {
+  const windows = new Map();
+  return {
+    take: (key, cost = 1) => {
+      const time = now();
+      if (windows.size > MAX_TRACKED_CLIENTS) {
+        windows.forEach((window, id) => window.resetAt <= time && windows.delete(id));
+      }
+      let window = windows.get(key);
+      if (!window || window.resetAt <= time) {
+        window = { count: 0, resetAt: time + windowMs };
+        windows.set(key, window);
+      }
+      if (window.count + cost > limit) {
+        return { allowed: false, retryAfterSeconds: Math.ceil((window.resetAt - time) / 1000) };
+      }
+      window.count += cost;
+      return { allowed: true, retryAfterSeconds: 0 };
+    },
+  };
+};
+
+// Successful answers are cached per path, and concurrent requests for one path share a single upstream call.
+const createCachedClient = (request, cache) => {
+  const inflight = new Map();
+  return {
+    /** The cached envelope for `path`, if there is a fresh one. */
+    peek: (path) => cache.get(path),
+    get: (path, ttlMs, { force = false } = {}) => {
+      const cached = force ? undefined : cache.get(path);
+      if (cached !== undefined) return Promise.resolve(cached);
+      if (inflight.has(path)) return inflight.get(path);
+      const pending = request(path)
+        .then((body) => {
+          // Errors such as an unknown station are not cached; the next request asks again.
+          if (body?.status === "ok") cache.set(path, body, ttlMs);
+          return body;
+        })
+        .finally(() => inflight.delete(path));
+      inflight.set(path, pending);
+      return pending;
+    },
+  };
+};
+
+const fetchUpstream = async (name, fetchImpl, url, headers = {}) => {
+  let response;
+  try {
+    response = await fetchImpl(url, { headers, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+  } catch (err) {
+    throw new ProxyError(`Could not reach ${name}.`, 502);
+  }
+  if (response.status === 429) throw new ProxyError(`${name} rate limit reached.`, 429);
+  if (!response.ok) throw new ProxyError(`${name} responded ${response.status}.`, 502);
+  return response.json();
+};
+
+/**
+ * Calls WAQI with the server's token and caches successful answers per path. Resolves to WAQI's own
+ * `{ status, data }` envelope, so the browser keeps classifying errors exactly as before.
+ */
+export const createWaqiClient = ({ token, baseUrl, fetchImpl = globalThis.fetch, cache = createTtlCache() }) =>
+  createCachedClient((path) => {
+    const separator = path.includes("?") ? "&" : "?";
+    return fetchUpstream("WAQI", fetchImpl, `${baseUrl}${path}${separator}token=${encodeURIComponent(token)}`);
+  }, cache);
+
+/**
+ * Calls OpenAQ v3 with the server's API key. OpenAQ answers with plain JSON, which is wrapped in the
+ * same `{ status: "ok", data }` envelope as WAQI's; upstream failures throw ProxyError.
+ */
+export const createOpenAqClient = ({ apiKey, baseUrl, fetchImpl = globalThis.fetch, cache = createTtlCache() }) =>
+  createCachedClient(
+    async (path) => ({ status: "ok", data: await fetchUpstream("OpenAQ", fetchImpl, `${baseUrl}${path}`, { "X-API-Key": apiKey }) }),
+    cache
+  );
+
+export const clientIp = (req) =>
+  String(req.headers?.["x-forwarded-for"] || "").split(",")[0].trim() || req.socket?.remoteAddress || "unknown";
+
+export const sendJson = (res, status, body, headers = {}) => {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+  res.end(JSON.stringify(body));
+};
+
+export const sendHtml = (res, status, html, headers = {}) => {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+  res.end(html);
+};
+
+const errorBody = (message) => ({ status: "error", data: message });
+
+// What each upstream needs from the environment before its routes can answer.
+const UPSTREAMS = {
+  waqi: { configured: (config) => Boolean(config.waqiToken), missing: "The AQI proxy has no WAQI token configured." },
+  openaq: { configured: (config) => Boolean(config.openAqApiKey), missing: "The AQI proxy has no OpenAQ API key configured." },
+};
+
+/**
+ * Everything a route needs: the WAQI and OpenAQ clients and `route(run, { ttlMs, cost, upstream })`, which
+ * wraps `run(query)` in the method check, the per-IP budget, the upstream's credential check and the JSON
+ * response. `run` resolves to an envelope; `cost` is a number or a function of the query. Routes that
+ * answer with something other than JSON use `limiter` and `config` directly.
+ */
+export const createProxy = ({ config = loadProxyConfig(), fetchImpl, now = Date.now } = {}) => {
+  const limiter = createRateLimiter({ ...config.rateLimit, now });
+  const waqi = createWaqiClient({
+    token: config.waqiToken,
+    baseUrl: config.waqiBaseUrl,
+    fetchImpl,
+    cache: createTtlCache({ now }),
+  });
+  const openaq = createOpenAqClient({
+    apiKey: config.openAqApiKey,
+    baseUrl: config.openAqBaseUrl,
+    fetchImpl,
+    cache: createTtlCache({ now }),
+  });
+
+  const route =
+    (run, { ttlMs, cost = 1, upstream = "waqi" }) =>
+    async (req, res) => {
+      if (req.method && req.method !== "GET") {
+        sendJson(res, 405, errorBody("Only GET is supported."), { Allow: "GET" });
+        return;
+      }
+      const budget = limiter.take(clientIp(req), typeof cost === "function" ? cost(req.query || {}) : cost);
+      if (!budget.allowed) {
+        sendJson(res, 429, errorBody("Too many requests. Try again in a minute."), {
+          "Retry-After": String(budget.retryAfterSeconds),
+          "Cache-Control": "no-store",
+        });
+        return;
+      }
+      if (!UPSTREAMS[upstream].configured(config)) {
+        sendJson(res, 503, errorBody(UPSTREAMS[upstream].missing), { "Cache-Control": "no-store" });
+        return;
+      }
+      try {
+        const body = await run(req.query || {});
+        const cacheable = body?.status === "ok";
+        sendJson(res, 200, body, {
+          "Cache-Control": cacheable
+            ? `public, max-age=0, s-maxage=${Math.round(ttlMs / 1000)}, stale-while-revalidate=60`
+            : "no-store",
+        });
+      } catch (err) {
+        const status = err instanceof ProxyError ? err.status : 500;
+        if (status === 500) console.error("AQI proxy failure", err);
+        sendJson(res, status, errorBody(err instanceof ProxyError ? err.message : "Proxy error."), { "Cache-Control": "no-store" });
+      }
+    };
+
+  return { waqi, openaq, route, limiter, config };
+};
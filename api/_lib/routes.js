@@ -0,0 +1,188 @@
+import { targetFromParams } from "../../src/shareLinks.js";
+import { CACHE_TTL_MS, clientIp, createProxy, ProxyError, sendHtml } from "./proxy.js";
+import { renderSharePage, requestOrigin } from "./sharePage.js";
+
+// Same cap as the ranking card in the browser (MAX_RANKING_CITIES in src/rankings.js).
+export const MAX_RANKING_CITIES = 30;
+// WAQI's free tier allows ~1 request/second; a small batch then a pause stays well under it.
+const BATCH_SIZE = 4;
+const BATCH_SPACING_MS = 1000;
+const MAX_KEYWORD_LENGTH = 100;
+// Bounds for the OpenAQ location search; OpenAQ itself rejects a radius over 25 km.
+const MAX_OPENAQ_RADIUS_M = 25000;
+const MAX_OPENAQ_LOCATIONS = 20;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const badRequest = (message) => new ProxyError(message, 400);
+
+const first = (value) => (Array.isArray(value) ? value[0] : value);
+
+const coordinate = (value, limit) => {
+  const number = Number(first(value));
+  if (!Number.isFinite(number) || Math.abs(number) > limit) throw badRequest("Invalid coordinates.");
+  return number;
+};
+
+const feedPath = (query) => `/feed/${encodeURIComponent(query)}/`;
+
+const rankingCities = (query) => [
+  ...new Set(
+    String(first(query.cities) || "")
+      .split(",")
+      .map((city) => city.trim())
+      .filter(Boolean)
+  ),
+];
+
+// The WAQI feed for a shared link's place (see src/shareLinks.js).
+const targetFeedPath = (target) =>
+  target.kind === "station"
+    ? `/feed/@${target.stationId}/`
+    : target.kind === "geo"
+    ? `/feed/geo:${target.coords.lat};${target.coords.lng}/`
+    : feedPath(target.name);
+
+/**
+ * The proxy's routes as `(req, res)` handlers. The files under api/ each export one of them, and
+ * devServer.js mounts the same set on Vite's dev server.
+ */
+export const createRoutes = (options) => {
+  const { waqi, openaq, route, limiter, config } = createProxy(options);
+
+  // Cached feeds are served straight away (unless `force`); the rest go upstream a few at a time.
+  const fetchCityFeeds = async (cities, { force = false } = {}) => {
+    const results = cities.map((city) => ({ city, path: feedPath(city), body: force ? undefined : waqi.peek(feedPath(city)) }));
+    const pending = results.filter((entry) => entry.body === undefined);
+    for (let start = 0; start < pending.length; start += BATCH_SIZE) {
+      if (start > 0) await wait(BATCH_SPACING_MS);
+      await Promise.all(
+        pending.slice(start, start + BATCH_SIZE).map(async (entry) => {
+          try {
+            entry.body = await waqi.get(entry.path, CACHE_TTL_MS.feed, { force });
+          } catch (err) {
+            entry.body = { status: "error", data: err.message };
+          }
+        })
+      );
+    }
+    return results.map(({ city, body }) => ({ city, status: body?.status || "error", data: body?.data ?? null }));
+  };
+
+  return {
+    cityFeed: route(
+      (query) => {
+        const name = String(first(query.name) || "").trim();
+        if (!name) throw badRequest("Enter a city name.");
+        return waqi.get(feedPath(name), CACHE_TTL_MS.feed);
+      },
+      { ttlMs: CACHE_TTL_MS.feed }
+    ),
+
+    geoFeed: route(
+      (query) => {
+        const lat = coordinate(query.lat, 90);
+        const lng = coordinate(query.lng, 180);
+        return waqi.get(`/feed/geo:${lat};${lng}/`, CACHE_TTL_MS.feed);
+      },
+      { ttlMs: CACHE_TTL_MS.feed }
+    ),
+
+    stationFeed: route(
+      (query) => {
+        const id = String(first(query.id) || "");
+        if (!/^\d+$/.test(id)) throw badRequest("Invalid station id.");
+        return waqi.get(`/feed/@${id}/`, CACHE_TTL_MS.feed);
+      },
+      { ttlMs: CACHE_TTL_MS.feed }
+    ),
+
+    stationSearch: route(
+      (query) => {
+        const keyword = String(first(query.keyword) || "").trim();
+        if (!keyword || keyword.length > MAX_KEYWORD_LENGTH) throw badRequest("Invalid search keyword.");
+        return waqi.get(`/search/?keyword=${encodeURIComponent(keyword)}`, CACHE_TTL_MS.search);
+      },
+      { ttlMs: CACHE_TTL_MS.search }
+    ),
+
+    stationsInBounds: route(
+      (query) => {
+        const parts = String(first(query.latlng) || "").split(",");
+        if (parts.length !== 4) throw badRequest("Expected latlng=south,west,north,east.");
+        const [south, west, north, east] = parts.map((part, index) => coordinate(part, index % 2 ? 180 : 90));
+        return waqi.get(`/map/bounds/?latlng=${[south, west, north, east].join(",")}`, CACHE_TTL_MS.bounds);
+      },
+      { ttlMs: CACHE_TTL_MS.bounds }
+    ),
+
+    // One request per refresh instead of one per city; each city keeps its own status.
+    rankings: route(
+      async (query) => {
+        const cities = rankingCities(query);
+        if (!cities.length || cities.length > MAX_RANKING_CITIES) {
+          throw badRequest(`List between 1 and ${MAX_RANKING_CITIES} cities.`);
+        }
+        const feeds = await fetchCityFeeds(cities, { force: Boolean(first(query.fresh)) });
+        // Nothing worth caching when every city failed; report the first reason instead.
+        if (feeds.every((feed) => feed.status !== "ok")) return { status: "error", data: feeds[0].data };
+        return { status: "ok", data: feeds };
+      },
+      {
+        ttlMs: CACHE_TTL_MS.feed,
+        // One unit per city that has to go upstream, like a single feed request; at least one per call.
+        // A forced refresh (`fresh` set) skips the cache, so it pays for every city.
+        cost: (query) => {
+          const cities = rankingCities(query);
+          const upstream = first(query.fresh) ? cities : cities.filter((city) => waqi.peek(feedPath(city)) === undefined);
+          return Math.max(1, upstream.length);
+        },
+      }
+    ),
+
+    // OpenAQ v3 for the browser's OpenAQ source, which cannot hold the API key itself.
+    openAqLocations: route(
+      (query) => {
+        const [lat, lng] = String(first(query.coordinates) || "").split(",");
+        const coordinates = `${coordinate(lat, 90)},${coordinate(lng, 180)}`;
+        const radius = Number(first(query.radius) ?? MAX_OPENAQ_RADIUS_M);
+        const limit = Number(first(query.limit) ?? MAX_OPENAQ_LOCATIONS);
+        if (!Number.isInteger(radius) || radius < 1 || radius > MAX_OPENAQ_RADIUS_M) throw badRequest("Invalid radius.");
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_OPENAQ_LOCATIONS) throw badRequest("Invalid limit.");
+        return openaq.get(`/locations?coordinates=${coordinates}&radius=${radius}&limit=${limit}`, CACHE_TTL_MS.openaq);
+      },
+      { ttlMs: CACHE_TTL_MS.openaq, upstream: "openaq" }
+    ),
+
+    openAqLatest: route(
+      (query) => {
+        const id = String(first(query.id) || "");
+        if (!/^\d+$/.test(id)) throw badRequest("Invalid location id.");
+        return openaq.get(`/locations/${id}/latest`, CACHE_TTL_MS.openaq);
+      },
+      { ttlMs: CACHE_TTL_MS.openaq, upstream: "openaq" }
+    ),
+
+    // Link previews: vercel.json sends crawlers here for shared dashboard links. They always get a
+    // page; when the reading cannot be had (budget, token, WAQI) it just names the place.
+    sharePreview: async (req, res) => {
+      const query = Object.entries(req.query || {}).map(([name, value]) => [name, String(first(value) ?? "")]);
+      const target = targetFromParams(new URLSearchParams(query));
+      let feed = null;
+      if (target && config.waqiToken && limiter.take(clientIp(req)).allowed) {
+        try {
+          const body = await waqi.get(targetFeedPath(target), CACHE_TTL_MS.feed);
+          if (body?.status === "ok") feed = body.data;
+        } catch (err) {
+          console.warn("Share preview without a reading", err.message);
+        }
+      }
+      sendHtml(res, 200, renderSharePage({ origin: requestOrigin(req), target, feed }), {
+        "Cache-Control": `public, max-age=0, s-maxage=${Math.round(CACHE_TTL_MS.feed / 1000)}`,
+      });
+    },
+  };
+};
+
+// Built from process.env the first time a function instance loads.
+export const routes = createRoutes();
@@ -0,0 +1,190 @@
+import { describe, expect, it, vi } from "vitest";
+import openAqLatest from "../../src/providers/fixtures/openaq-latest.json";
+import waqiFeed from "../../src/providers/fixtures/waqi-feed.json";
+import waqiFeedUnknown from "../../src/providers/fixtures/waqi-feed-unknown.json";
+import { loadProxyConfig } from "./proxy";
+import { createRoutes } from "./routes";
+
+const setup = ({ env = {}, answer = () => waqiFeed } = {}) => {
+  const fetchImpl = vi.fn(async (url) => {
+    const body = answer(url);
+    return body instanceof Response ? body : Response.json(body);
+  });
+  const clock = { now: 0 };
+  const routes = createRoutes({
+    config: loadProxyConfig({ WAQI_TOKEN: "secret", WAQI_BASE_URL: "https://waqi.test", ...env }),
+    fetchImpl,
+    now: () => clock.now,
+  });
+  return { routes, fetchImpl, clock };
+};
+
+const call = async (handler, query, { ip = "203.0.113.7", method = "GET" } = {}) => {
+  const res = {
+    headers: {},
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    end(body) {
+      this.body = JSON.parse(body);
+    },
+  };
+  await handler({ method, query, headers: { "x-forwarded-for": `${ip}, 10.0.0.1` } }, res);
+  return res;
+};
+
+describe("AQI proxy routes", () => {
+  it("adds the token upstream and caches good answers", async () => {
+    const { routes, fetchImpl, clock } = setup();
+    const first = await call(routes.cityFeed, { name: "New Delhi" });
+    const second = await call(routes.cityFeed, { name: "New Delhi" });
+    expect(first.statusCode).toBe(200);
+    expect(second.body).toEqual(waqiFeed);
+    expect(first.headers["cache-control"]).toContain("s-maxage=120");
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+    expect(fetchImpl.mock.calls[0][0]).toBe("https://waqi.test/feed/New%20Delhi/?token=secret");
+
+    clock.now = 3 * 60 * 1000;
+    await call(routes.cityFeed, { name: "New Delhi" });
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+  });
+
+  it("passes WAQI errors through uncached", async () => {
+    const { routes, fetchImpl } = setup({ answer: () => waqiFeedUnknown });
+    const res = await call(routes.geoFeed, { lat: "28.6", lng: "77.2" });
+    await call(routes.geoFeed, { lat: "28.6", lng: "77.2" });
+    expect(res.body).toEqual(waqiFeedUnknown);
+    expect(res.headers["cache-control"]).toBe("no-store");
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+    expect(fetchImpl.mock.calls[0][0]).toBe("https://waqi.test/feed/geo:28.6;77.2/?token=secret");
+  });
+
+  it("rejects bad input without calling WAQI", async () => {
+    const { routes, fetchImpl } = setup();
+    expect((await call(routes.geoFeed, { lat: "north", lng: "77" })).statusCode).toBe(400);
+    expect((await call(routes.stationFeed, { id: "@1" })).statusCode).toBe(400);
+    expect((await call(routes.stationsInBounds, { latlng: "1,2,3" })).statusCode).toBe(400);
+    expect((await call(routes.cityFeed, { name: "Delhi" }, { method: "POST" })).statusCode).toBe(405);
+    expect(fetchImpl).not.toHaveBeenCalled();
+  });
+
+  it("limits each client IP and says when to retry", async () => {
+    const { routes, clock } = setup({ env: { API_RATE_LIMIT: "2" } });
+    await call(routes.cityFeed, { name: "Delhi" });
+    await call(routes.cityFeed, { name: "Delhi" });
+    clock.now = 15 * 1000;
+    const limited = await call(routes.cityFeed, { name: "Delhi" });
+    expect(limited.statusCode).toBe(429);
+    expect(limited.headers["retry-after"]).toBe("45");
+    expect((await call(routes.cityFeed, { name: "Delhi" }, { ip: "198.51.100.2" })).statusCode).toBe(200);
+  });
+
+  it("maps an upstream rate limit to 429 and a missing token to 503", async () => {
+    const limited = setup({ answer: () => new Response(null, { status: 429 }) });
+    expect((await call(limited.routes.cityFeed, { name: "Delhi" })).statusCode).toBe(429);
+    const unconfigured = setup({ env: { WAQI_TOKEN: "" } });
+    const res = await call(unconfigured.routes.cityFeed, { name: "Delhi" });
+    expect(res.statusCode).toBe(503);
+    expect(res.body.status).toBe("error");
+    expect(unconfigured.fetchImpl).not.toHaveBeenCalled();
+  });
+
+  it("ranks cities in one request and keeps per-city failures", async () => {
+    vi.useFakeTimers({ shouldAdvanceTime: true });
+    const { routes, fetchImpl } = setup({ answer: (url) => (url.includes("Atlantis") ? waqiFeedUnknown : waqiFeed) });
+    const cities = ["Delhi", "Atlantis", "Mumbai", "Pune", "Delhi", "Chennai"];
+    const pending = call(routes.rankings, { cities: cities.join(",") });
+    await vi.advanceTimersByTimeAsync(1000);
+    const res = await pending;
+    expect(res.body.data.map((entry) => [entry.city, entry.status])).toEqual([
+      ["Delhi", "ok"],
+      ["Atlantis", "error"],
+      ["Mumbai", "ok"],
+      ["Pune", "ok"],
+      ["Chennai", "ok"],
+    ]);
+    expect(fetchImpl).toHaveBeenCalledTimes(5);
+    expect((await call(routes.rankings, { cities: "" })).statusCode).toBe(400);
+  });
+
+  it("charges a rankings call for each city it sends upstream", async () => {
+    vi.useFakeTimers({ shouldAdvanceTime: true });
+    const { routes } = setup({ env: { API_RATE_LIMIT: "6" } });
+    const pending = call(routes.rankings, { cities: "Delhi,Mumbai,Pune,Chennai,Kolkata" });
+    await vi.advanceTimersByTimeAsync(1000);
+    expect((await pending).statusCode).toBe(200);
+    // All five are cached now, so the repeat costs one unit and a sixth city is over budget.
+    expect((await call(routes.rankings, { cities: "Delhi,Mumbai,Pune,Chennai,Kolkata" })).statusCode).toBe(200);
+    expect((await call(routes.rankings, { cities: "Delhi,Agra" })).statusCode).toBe(429);
+  });
+
+  it("refetches every ranked city when the refresh is forced", async () => {
+    const { routes, fetchImpl } = setup();
+    await call(routes.rankings, { cities: "Delhi" });
+    await call(routes.rankings, { cities: "Delhi" });
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+    const res = await call(routes.rankings, { cities: "Delhi", fresh: "1760860800000" });
+    expect(res.body.data[0].status).toBe("ok");
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+  });
+
+  it("charges a forced ranking refresh for every city", async () => {
+    vi.useFakeTimers({ shouldAdvanceTime: true });
+    const { routes } = setup({ env: { API_RATE_LIMIT: "8" } });
+    const cities = "Delhi,Mumbai,Pune,Chennai,Kolkata";
+    const pending = call(routes.rankings, { cities });
+    await vi.advanceTimersByTimeAsync(1000);
+    await pending;
+    const forced = call(routes.rankings, { cities, fresh: "1" });
+    await vi.advanceTimersByTimeAsync(1000);
+    expect((await forced).statusCode).toBe(429);
+    expect((await call(routes.rankings, { cities })).statusCode).toBe(200);
+  });
+
+  it("adds the OpenAQ key upstream and answers 503 without one", async () => {
+    const { routes, fetchImpl } = setup({
+      env: { OPENAQ_API_KEY: "openaq-secret", OPENAQ_BASE_URL: "https://openaq.test/v3" },
+      answer: () => openAqLatest,
+    });
+    const res = await call(routes.openAqLatest, { id: "8118" });
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ status: "ok", data: openAqLatest });
+    expect(fetchImpl.mock.calls[0][0]).toBe("https://openaq.test/v3/locations/8118/latest");
+    expect(fetchImpl.mock.calls[0][1].headers).toEqual({ "X-API-Key": "openaq-secret" });
+
+    await call(routes.openAqLocations, { coordinates: "28.6139,77.209", radius: "25000", limit: "10" });
+    expect(fetchImpl.mock.calls[1][0]).toBe("https://openaq.test/v3/locations?coordinates=28.6139,77.209&radius=25000&limit=10");
+    expect((await call(routes.openAqLocations, { coordinates: "28.6", radius: "25000" })).statusCode).toBe(400);
+
+    const unconfigured = setup();
+    const missing = await call(unconfigured.routes.openAqLatest, { id: "8118" });
+    expect(missing.statusCode).toBe(503);
+    expect(unconfigured.fetchImpl).not.toHaveBeenCalled();
+  });
+
+  it("renders link previews with the reading, and without one when WAQI has none", async () => {
+    const preview = async (routes, query) => {
+      const res = {
+        headers: {},
+        setHeader: (name, value) => (res.headers[name.toLowerCase()] = value),
+        end: (html) => (res.html = html),
+      };
+      await routes.sharePreview({ query, headers: { host: "aqi.example", "x-forwarded-proto": "https" } }, res);
+      return res;
+    };
+    const { routes, fetchImpl } = setup({ answer: (url) => (url.includes("Atlantis") ? waqiFeedUnknown : waqiFeed) });
+
+    const shared = await preview(routes, { coords: "28.61,77.20" });
+    expect(fetchImpl.mock.calls[0][0]).toBe("https://waqi.test/feed/geo:28.61;77.2/?token=secret");
+    expect(shared.headers["content-type"]).toContain("text/html");
+    expect(shared.html).toContain(
+      '<meta property="og:title" content="US AQI 168 (Unhealthy) in ITO, Delhi, Delhi, India • Atmosense" />'
+    );
+    expect(shared.html).toContain('<meta property="og:url" content="https://aqi.example/at/28.61,77.20" />');
+
+    const unknown = await preview(routes, { city: "Atlantis <b>" });
+    expect(unknown.statusCode).toBe(200);
+    expect(unknown.html).toContain("Air quality in Atlantis &lt;b&gt; • Atmosense");
+    expect(unknown.html).not.toContain("<b>");
+  });
+});
@@ -0,0 +1,68 @@
+import { sharePath } from "../../src/shareLinks.js";
+import { bandFor, DEFAULT_STANDARD_ID, getStandard } from "../../src/standards.js";
+
+const SITE_NAME = "Atmosense";
+const SITE_DESCRIPTION = "Live air quality, forecasts and health alerts for the places you care about.";
+const PREVIEW_IMAGE = "/icons/icon-512.png";
+
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+
+/** The deployment's own origin, as the client (or the CDN in front of the function) asked for it. */
+export const requestOrigin = (req) => {
+  const host = String(req.headers?.["x-forwarded-host"] || req.headers?.host || "localhost").split(",")[0].trim();
+  const protocol = String(req.headers?.["x-forwarded-proto"] || "https").split(",")[0].trim();
+  return `${protocol}://${host}`;
+};
+
+const placeName = (target, feed) => {
+  if (target?.kind === "city") return target.name;
+  if (feed?.city?.name) return feed.city.name;
+  if (target?.kind === "geo") return `${target.coords.lat.toFixed(2)}, ${target.coords.lng.toFixed(2)}`;
+  return null;
+};
+
+/**
+ * Open Graph and Twitter card metadata for a shared dashboard link, with the reading when there is one.
+ * Only crawlers see this page; people opening the link get the app itself (see vercel.json).
+ * `feed` is WAQI's `data` for the place, whose AQI is on the US EPA scale.
+ */
+export const renderSharePage = ({ origin, target, feed = null }) => {
+  const place = placeName(target, feed);
+  const aqi = Number.parseFloat(feed?.aqi);
+  const band = Number.isFinite(aqi) ? bandFor(aqi, DEFAULT_STANDARD_ID) : null;
+  const title = band
+    ? `${getStandard(DEFAULT_STANDARD_ID).shortName} ${aqi} (${band.label}) in ${place} • ${SITE_NAME}`
+    : place
+    ? `Air quality in ${place} • ${SITE_NAME}`
+    : `${SITE_NAME} • Live AQI Dashboard`;
+  const description = band ? band.prevention : SITE_DESCRIPTION;
+  const url = `${origin}${sharePath(target) || "/"}`;
+  const meta = [
+    ["property", "og:type", "website"],
+    ["property", "og:site_name", SITE_NAME],
+    ["property", "og:title", title],
+    ["property", "og:description", description],
+    ["property", "og:url", url],
+    ["property", "og:image", `${origin}${PREVIEW_IMAGE}`],
+    ["name", "twitter:card", "summary"],
+    ["name", "twitter:title", title],
+    ["name", "twitter:description", description],
+    ["name", "description", description],
+  ];
+
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>${escapeHtml(title)}</title>
+${meta.map(([kind, name, content]) => `    <meta ${kind}="${name}" content="${escapeHtml(content)}" />`).join("\n")}
+    <link rel="canonical" href="${escapeHtml(url)}" />
+  </head>
+  <body>
+    <p><a href="${escapeHtml(url)}">${escapeHtml(title)}</a></p>
+    <p>${escapeHtml(description)}</p>
+  </body>
+</html>
+`;
+};
@@ -0,0 +1,3 @@
+import { routes } from "./_lib/routes.js";
+
+export default routes.sharePreview;
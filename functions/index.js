@@ -0,0 +1,58 @@
+import { initializeApp } from "firebase-admin/app";
+import { getAuth } from "firebase-admin/auth";
+import { getFirestore } from "firebase-admin/firestore";
+import * as logger from "firebase-functions/logger";
+import { onRequest } from "firebase-functions/v2/https";
+import { onSchedule } from "firebase-functions/v2/scheduler";
+import { SWEEP_INTERVAL_MINUTES } from "./src/alertPolicy.js";
+import { createChannels } from "./src/channels/index.js";
+import { loadConfig } from "./src/config.js";
+import { ingestSensorReading, SensorIngestError } from "./src/sensors.js";
+import { runAlertSweep } from "./src/sweep.js";
+
+initializeApp();
+
+export const deliverAqiAlerts = onSchedule(
+  {
+    schedule: `every ${SWEEP_INTERVAL_MINUTES} minutes`,
+    timeoutSeconds: 300,
+    secrets: ["WAQI_TOKEN", "VAPID_PRIVATE_KEY", "SMTP_PASS"],
+  },
+  async () => {
+    const config = loadConfig();
+    const summary = await runAlertSweep({
+      db: getFirestore(),
+      auth: getAuth(),
+      channels: createChannels(config),
+      config,
+      logger,
+    });
+    logger.info("AQI alert sweep finished", summary);
+  }
+);
+
+// POST /ingestIndoorReading?uid=<uid>&sensor=<sensorId> with the device key in X-Sensor-Key (or ?key= for
+// firmware that cannot set headers). The body may be PurpleAir JSON, sensor.community JSON or { pm25, pm10 }.
+export const ingestIndoorReading = onRequest({ cors: true, maxInstances: 5 }, async (req, res) => {
+  if (req.method !== "POST") {
+    res.status(405).json({ error: "Use POST." });
+    return;
+  }
+  try {
+    const stored = await ingestSensorReading({
+      db: getFirestore(),
+      uid: String(req.query.uid || ""),
+      sensorId: String(req.query.sensor || ""),
+      key: req.get("x-sensor-key") || String(req.query.key || ""),
+      payload: req.body,
+    });
+    res.status(201).json(stored);
+  } catch (err) {
+    if (err instanceof SensorIngestError) {
+      res.status(err.status).json({ error: err.message });
+      return;
+    }
+    logger.error("Indoor reading ingest failed", err);
+    res.status(500).json({ error: "Could not store the reading." });
+  }
+});
@@ -0,0 +1,38 @@
+// Forwards indoor sensor readings from an MQTT broker into Firestore (emulator by default).
+//   node scripts/mqtt-bridge.js --broker=mqtt://localhost:1883 [--topic=atmosense/+/+]
+// Devices publish JSON to atmosense/<uid>/<sensorId> with their device key in a "key" field; the rest of
+// the payload may be PurpleAir, sensor.community or { pm25, pm10 } JSON, as for the HTTP endpoint.
+import { initializeApp } from "firebase-admin/app";
+import { getFirestore } from "firebase-admin/firestore";
+import mqtt from "mqtt";
+import { ingestSensorReading } from "../src/sensors.js";
+
+if (!process.env.FIRESTORE_EMULATOR_HOST && !process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+  process.env.FIRESTORE_EMULATOR_HOST = "127.0.0.1:8080";
+}
+
+const arg = (name, fallback) => process.argv.find((entry) => entry.startsWith(`--${name}=`))?.split("=")[1] || fallback;
+const broker = arg("broker", process.env.MQTT_URL || "mqtt://127.0.0.1:1883");
+const topic = arg("topic", "atmosense/+/+");
+
+initializeApp({ projectId: process.env.GCLOUD_PROJECT || "air-quality-and-health-alert" });
+const db = getFirestore();
+const client = mqtt.connect(broker, { username: process.env.MQTT_USER, password: process.env.MQTT_PASS });
+
+client.on("connect", () => {
+  client.subscribe(topic, { qos: 1 });
+  console.log(`Bridging ${topic} from ${broker}`);
+});
+
+client.on("message", async (messageTopic, message) => {
+  const [, uid, sensorId] = messageTopic.split("/");
+  try {
+    const { key, ...payload } = JSON.parse(message.toString());
+    const stored = await ingestSensorReading({ db, uid, sensorId, key, payload });
+    console.log(new Date().toISOString(), `${uid}/${sensorId}`, `PM2.5 ${stored.pm25} µg/m³`);
+  } catch (err) {
+    console.error(`Rejected message on ${messageTopic}:`, err.message);
+  }
+});
+
+client.on("error", (err) => console.error("MQTT error", err.message));
@@ -0,0 +1,33 @@
+// Runs the alert sweep outside Cloud Functions, by default against the Firestore emulator.
+//   node scripts/run-local.js            one sweep
+//   node scripts/run-local.js --every=5  sweep every 5 minutes until interrupted
+import { initializeApp } from "firebase-admin/app";
+import { getAuth } from "firebase-admin/auth";
+import { getFirestore } from "firebase-admin/firestore";
+import { createChannels } from "../src/channels/index.js";
+import { loadConfig } from "../src/config.js";
+import { runAlertSweep } from "../src/sweep.js";
+
+if (!process.env.FIRESTORE_EMULATOR_HOST && !process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+  process.env.FIRESTORE_EMULATOR_HOST = "127.0.0.1:8080";
+  process.env.FIREBASE_AUTH_EMULATOR_HOST ||= "127.0.0.1:9099";
+}
+
+const everyArg = process.argv.find((arg) => arg.startsWith("--every="));
+const everyMinutes = everyArg ? Number(everyArg.split("=")[1]) : 0;
+
+initializeApp({ projectId: process.env.GCLOUD_PROJECT || "air-quality-and-health-alert" });
+const db = getFirestore();
+const auth = getAuth();
+const config = loadConfig();
+const channels = createChannels(config);
+
+const sweep = async () => {
+  const summary = await runAlertSweep({ db, auth, channels, config });
+  console.log(new Date().toISOString(), "sweep finished", summary);
+};
+
+await sweep();
+if (everyMinutes > 0) {
+  setInterval(() => sweep().catch((err) => console.error("Sweep failed", err)), everyMinutes * 60_000);
+}
@@ -0,0 +1,92 @@
+// Sends synthetic indoor readings so the dashboard card can be tried without hardware.
+//   node scripts/simulate-sensor.js --uid=<uid> --sensor=<id> --key=<device key>
+//     [--format=purpleair|sds011|generic] [--every=60] [--count=0]
+//     [--url=<ingestIndoorReading URL>] or [--mqtt=mqtt://127.0.0.1:1883]
+// Without --url it posts to the Functions emulator; --count=0 keeps sending until interrupted.
+import mqtt from "mqtt";
+
+const arg = (name, fallback) => {
+  const entry = process.argv.find((value) => value.startsWith(`--${name}=`));
+  return entry ? entry.slice(name.length + 3) : fallback;
+};
+
+const uid = arg("uid");
+const sensorId = arg("sensor");
+const key = arg("key");
+const format = arg("format", "generic");
+const everySeconds = Number(arg("every", 60));
+const count = Number(arg("count", 0));
+const project = process.env.GCLOUD_PROJECT || "air-quality-and-health-alert";
+const url = arg("url", `http://127.0.0.1:5001/${project}/us-central1/ingestIndoorReading`);
+const mqttUrl = arg("mqtt");
+
+if (!uid || !sensorId || !key) {
+  console.error("--uid, --sensor and --key are required (copy them from the dashboard's indoor sensor card).");
+  process.exit(1);
+}
+
+// A purifier-on home: low baseline, a cooking spike around 19:00, and a little sensor noise.
+const syntheticPm25 = (date = new Date()) => {
+  const hour = date.getHours() + date.getMinutes() / 60;
+  const cooking = 40 * Math.exp(-((hour - 19) ** 2) / 0.5);
+  return Math.max(1, 8 + 4 * Math.sin((hour / 24) * 2 * Math.PI) + cooking + (Math.random() - 0.5) * 3);
+};
+
+const payloadFor = (pm25) => {
+  const pm10 = pm25 * 1.4;
+  const humidity = 45 + Math.random() * 10;
+  const temperatureC = 24 + Math.random() * 2;
+  if (format === "purpleair") {
+    return {
+      SensorId: sensorId,
+      pm2_5_atm: pm25 + 0.4,
+      pm2_5_atm_b: pm25 - 0.4,
+      pm10_0_atm: pm10,
+      pm10_0_atm_b: pm10,
+      current_humidity: Math.round(humidity),
+      current_temp_f: Math.round((temperatureC * 9) / 5 + 32),
+    };
+  }
+  if (format === "sds011") {
+    return {
+      esp8266id: sensorId,
+      sensordatavalues: [
+        { value_type: "SDS_P2", value: pm25.toFixed(2) },
+        { value_type: "SDS_P1", value: pm10.toFixed(2) },
+        { value_type: "humidity", value: humidity.toFixed(1) },
+        { value_type: "temperature", value: temperatureC.toFixed(1) },
+      ],
+    };
+  }
+  return { pm25, pm10, humidity, temperatureC };
+};
+
+const client = mqttUrl ? await mqtt.connectAsync(mqttUrl) : null;
+
+const send = async () => {
+  const payload = payloadFor(syntheticPm25());
+  if (client) {
+    await client.publishAsync(`atmosense/${uid}/${sensorId}`, JSON.stringify({ key, ...payload }), { qos: 1 });
+    console.log(new Date().toISOString(), "published", format);
+    return;
+  }
+  const response = await fetch(`${url}?uid=${encodeURIComponent(uid)}&sensor=${encodeURIComponent(sensorId)}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Sensor-Key": key },
+    body: JSON.stringify(payload),
+  });
+  console.log(new Date().toISOString(), response.status, await response.text());
+};
+
+let sent = 0;
+const tick = async () => {
+  await send().catch((err) => console.error("Send failed", err.message));
+  sent += 1;
+  if (count > 0 && sent >= count) {
+    await client?.endAsync();
+    return;
+  }
+  setTimeout(tick, everySeconds * 1000);
+};
+
+await tick();
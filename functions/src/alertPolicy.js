@@ -0,0 +1,18 @@
+// Mirrors src/alertPolicy.js (used by useAlertCenter in src/hooks/useAlertCenter.js) so background and in-tab
+// alerts share one cooldown rule: a scope stays quiet for ALERT_COOLDOWN_MS unless the AQI moves
+// into a different 5-point signature.
+export const SWEEP_INTERVAL_MINUTES = 15;
+
+// Two sweep intervals, so a scheduler run that fires a little late still finds the last alert inside
+// the cooldown; anything shorter than one interval would let every sweep repeat the same alert.
+export const ALERT_COOLDOWN_MS = 2 * SWEEP_INTERVAL_MINUTES * 60 * 1000;
+
+export const placeScope = (placeId) => `place:${placeId}`;
+
+export const placeSignature = (placeId, aqi) => `${placeId}-${Math.round(aqi / 5)}`;
+
+export const shouldDeliver = (last, signature, now = Date.now()) => {
+  if (!last) return true;
+  const cooledDown = now - last.timestamp > ALERT_COOLDOWN_MS;
+  return cooledDown || last.signature !== signature;
+};
@@ -0,0 +1,28 @@
+import nodemailer from "nodemailer";
+
+export const createEmailChannel = ({ host, port, secure, user, pass, from }) => {
+  if (!host || !from) return null;
+  const transport = nodemailer.createTransport({
+    host,
+    port: Number(port) || 587,
+    secure: secure === "true" || secure === true,
+    auth: user ? { user, pass } : undefined,
+  });
+  return {
+    id: "email",
+    isEnabledFor: (settings) => Boolean(settings?.email?.enabled && settings.email.address),
+    send: async (settings, message) => {
+      try {
+        await transport.sendMail({
+          from,
+          to: settings.email.address,
+          subject: message.title,
+          text: `${message.body}\n\nObserved at ${message.observedAt || "unknown time"}.\n${message.url || ""}`.trim(),
+        });
+        return { ok: true };
+      } catch (err) {
+        return { ok: false, error: err?.message || "Email failed" };
+      }
+    },
+  };
+};
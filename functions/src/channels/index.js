@@ -0,0 +1,15 @@
+import { createEmailChannel } from "./email.js";
+import { createWebhookChannel } from "./webhook.js";
+import { createWebPushChannel } from "./webPush.js";
+
+/**
+ * Builds every delivery channel the deployment is configured for. A channel exposes
+ * `id`, `isEnabledFor(userChannelSettings)` and `send(userChannelSettings, message)`;
+ * `send` resolves to `{ ok, error?, expired? }` and never throws.
+ */
+export const createChannels = (config) =>
+  [
+    createWebPushChannel(config.webPush),
+    createEmailChannel(config.smtp),
+    createWebhookChannel(config.webhook),
+  ].filter(Boolean);
@@ -0,0 +1,22 @@
+import webpush from "web-push";
+
+const GONE_STATUS_CODES = [404, 410];
+
+export const createWebPushChannel = ({ publicKey, privateKey, subject }) => {
+  if (!publicKey || !privateKey) return null;
+  webpush.setVapidDetails(subject || "mailto:alerts@atmosense.app", publicKey, privateKey);
+  return {
+    id: "webPush",
+    isEnabledFor: (settings) => Boolean(settings?.webPush?.subscription),
+    send: async (settings, message) => {
+      try {
+        await webpush.sendNotification(settings.webPush.subscription, JSON.stringify(message), { TTL: 60 * 60 });
+        return { ok: true };
+      } catch (err) {
+        // The browser dropped the subscription; the sweep clears it so we stop retrying.
+        const expired = GONE_STATUS_CODES.includes(err?.statusCode);
+        return { ok: false, expired, error: err?.body || err?.message || "Push failed" };
+      }
+    },
+  };
+};
@@ -0,0 +1,28 @@
+const WEBHOOK_TIMEOUT_MS = 8000;
+
+const isAllowedUrl = (value, allowInsecure) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === "https:" || (allowInsecure && url.protocol === "http:");
+  } catch (err) {
+    return false;
+  }
+};
+
+export const createWebhookChannel = ({ allowInsecure = false } = {}) => ({
+  id: "webhook",
+  isEnabledFor: (settings) => Boolean(settings?.webhook?.enabled && isAllowedUrl(settings.webhook.url, allowInsecure)),
+  send: async (settings, message) => {
+    try {
+      const response = await fetch(settings.webhook.url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ type: "aqi.alert", ...message }),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      });
+      return response.ok ? { ok: true } : { ok: false, error: `Webhook responded ${response.status}` };
+    } catch (err) {
+      return { ok: false, error: err?.message || "Webhook failed" };
+    }
+  },
+});
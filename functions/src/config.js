@@ -0,0 +1,21 @@
+export const loadConfig = (env = process.env) => ({
+  waqiToken: env.WAQI_TOKEN || "",
+  appUrl: env.APP_URL || "",
+  webPush: {
+    publicKey: env.VAPID_PUBLIC_KEY,
+    privateKey: env.VAPID_PRIVATE_KEY,
+    subject: env.VAPID_SUBJECT,
+  },
+  smtp: {
+    host: env.SMTP_HOST,
+    port: env.SMTP_PORT,
+    secure: env.SMTP_SECURE,
+    user: env.SMTP_USER,
+    pass: env.SMTP_PASS,
+    from: env.SMTP_FROM,
+  },
+  webhook: {
+    // Plain-http hooks are only accepted against the emulator, e.g. a local request bin.
+    allowInsecure: Boolean(env.FIRESTORE_EMULATOR_HOST),
+  },
+});
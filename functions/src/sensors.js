@@ -0,0 +1,114 @@
+import { createHash, timingSafeEqual } from "node:crypto";
+import { FieldValue } from "firebase-admin/firestore";
+
+// Plausible range for a consumer PM sensor; anything outside is a wiring or parsing fault.
+const MAX_PM = 1000;
+
+export class SensorIngestError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "SensorIngestError";
+    this.status = status;
+  }
+}
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return value !== null && value !== "" && Number.isFinite(number) ? number : null;
+};
+
+const fahrenheitToCelsius = (value) => (value === null ? null : Math.round(((value - 32) * 5) / 9 * 10) / 10);
+
+// PurpleAir reports two laser counters (a and b); their mean is what the map shows.
+const averageChannels = (a, b) => {
+  const values = [toNumber(a), toNumber(b)].filter((value) => value !== null);
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+};
+
+/** Local JSON from a PurpleAir unit (http://<sensor-ip>/json) or a `sensor` object from the PurpleAir API. */
+const parsePurpleAir = (body) => {
+  const sensor = body.sensor || body;
+  return {
+    format: "purpleair",
+    pm25: averageChannels(sensor.pm2_5_atm ?? sensor["pm2.5_atm"], sensor.pm2_5_atm_b ?? sensor["pm2.5_atm_b"]),
+    pm10: averageChannels(sensor.pm10_0_atm ?? sensor["pm10.0_atm"], sensor.pm10_0_atm_b ?? sensor["pm10.0_atm_b"]),
+    humidity: toNumber(sensor.current_humidity ?? sensor.humidity),
+    temperatureC: fahrenheitToCelsius(toNumber(sensor.current_temp_f ?? sensor.temperature)),
+  };
+};
+
+/** ESP32 + SDS011 firmware in the sensor.community style: { sensordatavalues: [{ value_type: "SDS_P2", value }] }. */
+const parseSensorCommunity = (body) => {
+  const values = Object.fromEntries(body.sensordatavalues.map((entry) => [entry.value_type, entry.value]));
+  return {
+    format: "sds011",
+    pm25: toNumber(values.SDS_P2 ?? values.P2),
+    pm10: toNumber(values.SDS_P1 ?? values.P1),
+    humidity: toNumber(values.humidity ?? values.BME280_humidity),
+    temperatureC: toNumber(values.temperature ?? values.BME280_temperature),
+  };
+};
+
+const parseGeneric = (body) => ({
+  format: "generic",
+  pm25: toNumber(body.pm25 ?? body.pm2_5),
+  pm10: toNumber(body.pm10),
+  humidity: toNumber(body.humidity),
+  temperatureC: toNumber(body.temperatureC ?? body.temperature),
+});
+
+/**
+ * Normalizes any supported payload to { format, pm25, pm10, humidity, temperatureC } (µg/m³, %RH, °C).
+ * Throws SensorIngestError when no usable PM2.5 value is present.
+ */
+export const parseSensorPayload = (body) => {
+  if (!body || typeof body !== "object") throw new SensorIngestError("Expected a JSON object.");
+  let reading;
+  if (Array.isArray(body.sensordatavalues)) {
+    reading = parseSensorCommunity(body);
+  } else if (body.sensor || "pm2_5_atm" in body || "pm2.5_atm" in body) {
+    reading = parsePurpleAir(body);
+  } else {
+    reading = parseGeneric(body);
+  }
+  if (reading.pm25 === null || reading.pm25 < 0 || reading.pm25 > MAX_PM) {
+    throw new SensorIngestError("Payload has no valid PM2.5 value.");
+  }
+  if (reading.pm10 !== null && (reading.pm10 < 0 || reading.pm10 > MAX_PM)) reading.pm10 = null;
+  reading.pm25 = Math.round(reading.pm25 * 10) / 10;
+  if (reading.pm10 !== null) reading.pm10 = Math.round(reading.pm10 * 10) / 10;
+  return reading;
+};
+
+/** The dashboard stores only this hash in users/{uid}/settings/sensors; the key itself is shown once. */
+export const hashSensorKey = (key) => createHash("sha256").update(String(key)).digest("hex");
+
+const matchesHash = (key, expected) => {
+  const actual = Buffer.from(hashSensorKey(key), "hex");
+  const wanted = Buffer.from(String(expected || ""), "hex");
+  return actual.length === wanted.length && timingSafeEqual(actual, wanted);
+};
+
+/**
+ * Verifies the device key against the user's registered sensors and stores the reading in
+ * users/{uid}/indoor, next to the outdoor readings collection.
+ */
+export const ingestSensorReading = async ({ db, uid, sensorId, key, payload, receivedAt = new Date() }) => {
+  if (!uid || !sensorId || !key) throw new SensorIngestError("uid, sensor and key are required.", 401);
+  const userRef = db.collection("users").doc(uid);
+  const settings = await userRef.collection("settings").doc("sensors").get();
+  const device = (settings.data()?.devices || []).find((entry) => entry.id === sensorId);
+  if (!device || !matchesHash(key, device.keyHash)) throw new SensorIngestError("Unknown sensor or wrong key.", 403);
+
+  const reading = parseSensorPayload(payload);
+  const ref = await userRef.collection("indoor").add({
+    ...reading,
+    sensorId,
+    sensorName: device.name,
+    room: device.room || null,
+    ownerUid: uid,
+    receivedAt: receivedAt.toISOString(),
+    createdAt: FieldValue.serverTimestamp(),
+  });
+  return { id: ref.id, ...reading };
+};
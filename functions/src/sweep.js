@@ -0,0 +1,125 @@
+import { FieldValue } from "firebase-admin/firestore";
+import { placeScope, placeSignature, shouldDeliver } from "./alertPolicy.js";
+import { fetchPlaceReading, placeKey } from "./waqi.js";
+
+const isValidPlace = (place) =>
+  Boolean(place?.id && place?.name) &&
+  ((place.kind === "city" && typeof place.city === "string" && place.city.trim()) ||
+    (place.kind === "geo" && Number.isFinite(place.coords?.lat) && Number.isFinite(place.coords?.lng)));
+
+// Users swept at once: enough to overlap Firestore and channel round trips, few enough to stay inside
+// WAQI's rate limit and the function's memory.
+const USER_BATCH_SIZE = 10;
+
+const lastAlertFor = async (alertsRef, scope) => {
+  const snapshot = await alertsRef.where("scope", "==", scope).orderBy("createdAt", "desc").limit(1).get();
+  if (snapshot.empty) return null;
+  const data = snapshot.docs[0].data();
+  return { signature: data.signature, timestamp: data.createdAt?.toMillis?.() ?? 0 };
+};
+
+// Email only ever goes to the account's own verified address, whatever the settings document holds.
+const verifiedEmailFor = async (auth, uid) => {
+  const record = await auth.getUser(uid).catch(() => null);
+  return record?.emailVerified && record.email ? record.email : null;
+};
+
+const deliver = async (channels, channelSettings, message) => {
+  const active = channels.filter((channel) => channel.isEnabledFor(channelSettings));
+  const results = await Promise.all(
+    active.map(async (channel) => ({ channel: channel.id, ...(await channel.send(channelSettings, message)) }))
+  );
+  return results;
+};
+
+const sweepUser = async ({ db, auth, uid, channels, config, readingFor, now, logger }) => {
+  const userRef = db.collection("users").doc(uid);
+  const [watchlistSnap, channelsSnap] = await Promise.all([
+    userRef.collection("settings").doc("watchlist").get(),
+    userRef.collection("settings").doc("channels").get(),
+  ]);
+  const places = (watchlistSnap.data()?.places || []).filter(isValidPlace);
+  const storedChannels = channelsSnap.data() || {};
+  const channelSettings = storedChannels.email?.enabled
+    ? { ...storedChannels, email: { enabled: true, address: await verifiedEmailFor(auth, uid) } }
+    : storedChannels;
+  if (!places.length || !channels.some((channel) => channel.isEnabledFor(channelSettings))) {
+    return { uid, checked: 0, delivered: 0 };
+  }
+
+  const alertsRef = userRef.collection("alerts");
+  let delivered = 0;
+  for (const place of places) {
+    const reading = await readingFor(place);
+    if (reading.aqi === null) {
+      logger.warn(`No AQI for ${uid}/${place.id}`, { error: reading.error });
+      continue;
+    }
+    const threshold = Number(place.threshold) || 150;
+    if (reading.aqi < threshold) continue;
+
+    const scope = placeScope(place.id);
+    const signature = placeSignature(place.id, reading.aqi);
+    if (!shouldDeliver(await lastAlertFor(alertsRef, scope), signature, now)) continue;
+
+    const message = {
+      title: `AQI Alert • ${place.name}`,
+      body: `${place.name} AQI is ${reading.aqi} (your limit is ${threshold}).`,
+      place: { id: place.id, name: place.name },
+      aqi: reading.aqi,
+      threshold,
+      observedAt: reading.observedAt,
+      url: config.appUrl || null,
+    };
+    const deliveries = await deliver(channels, channelSettings, message);
+    if (deliveries.some((result) => result.expired && result.channel === "webPush")) {
+      await userRef.collection("settings").doc("channels").set({ webPush: FieldValue.delete() }, { merge: true });
+    }
+    await alertsRef.add({
+      label: place.name,
+      aqi: reading.aqi,
+      observedAt: reading.observedAt || new Date(now).toLocaleString(),
+      threshold,
+      scope,
+      signature,
+      source: "worker",
+      deliveries: deliveries.map(({ channel, ok, error }) => ({ channel, ok, error: error ? String(error) : null })),
+      ownerUid: uid,
+      createdAt: FieldValue.serverTimestamp(),
+    });
+    if (deliveries.some((result) => result.ok)) delivered += 1;
+  }
+  return { uid, checked: places.length, delivered };
+};
+
+/**
+ * Walks every user's watchlist, polls WAQI once per distinct location and delivers threshold
+ * alerts through the configured channels, honouring the same per-scope cooldown as the browser.
+ * Users are processed USER_BATCH_SIZE at a time; one user's failure is logged and does not stop the rest.
+ */
+export const runAlertSweep = async ({ db, auth, channels, config, now = Date.now(), logger = console }) => {
+  if (!config.waqiToken) throw new Error("WAQI_TOKEN is not configured");
+  const readings = new Map();
+  const readingFor = (place) => {
+    const key = placeKey(place);
+    if (!readings.has(key)) readings.set(key, fetchPlaceReading(place, config.waqiToken));
+    return readings.get(key);
+  };
+
+  const userRefs = await db.collection("users").listDocuments();
+  const sweepOne = (userRef) =>
+    sweepUser({ db, auth, uid: userRef.id, channels, config, readingFor, now, logger }).catch((err) => {
+      logger.error(`Alert sweep failed for ${userRef.id}`, err);
+      return { uid: userRef.id, checked: 0, delivered: 0, error: err.message };
+    });
+  const summaries = [];
+  for (let start = 0; start < userRefs.length; start += USER_BATCH_SIZE) {
+    summaries.push(...(await Promise.all(userRefs.slice(start, start + USER_BATCH_SIZE).map(sweepOne))));
+  }
+  return {
+    users: summaries.length,
+    locations: readings.size,
+    delivered: summaries.reduce((sum, entry) => sum + entry.delivered, 0),
+    failures: summaries.filter((entry) => entry.error).length,
+  };
+};
@@ -0,0 +1,51 @@
+const WAQI_BASE_URL = "https://api.waqi.info";
+const FALLBACK_IAQI_KEYS = ["pm25", "pm10", "o3", "no2", "so2", "co"];
+const REQUEST_TIMEOUT_MS = 8000;
+const MAX_ATTEMPTS = 3;
+const BACKOFF_BASE_MS = 500;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Same fallback order as deriveAqiValue in the web client.
+const deriveAqiValue = (stationData) => {
+  const numeric = Number(stationData?.aqi);
+  if (Number.isFinite(numeric) && numeric > 0) return numeric;
+  for (const key of FALLBACK_IAQI_KEYS) {
+    const candidate = stationData?.iaqi?.[key]?.v;
+    if (typeof candidate === "number" && Number.isFinite(candidate)) return Math.round(candidate);
+  }
+  return null;
+};
+
+const feedPath = (place) =>
+  place.kind === "geo" ? `/feed/geo:${place.coords.lat};${place.coords.lng}/` : `/feed/${encodeURIComponent(place.city)}/`;
+
+export const placeKey = (place) =>
+  place.kind === "geo" ? `geo:${place.coords.lat.toFixed(3)};${place.coords.lng.toFixed(3)}` : `city:${place.city.toLowerCase()}`;
+
+export const fetchPlaceReading = async (place, token) => {
+  let lastError = null;
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt += 1) {
+    if (attempt > 0) await wait(BACKOFF_BASE_MS * 2 ** (attempt - 1));
+    try {
+      const response = await fetch(`${WAQI_BASE_URL}${feedPath(place)}?token=${token}`, {
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+      if (response.status === 429 || response.status >= 500) throw new Error(`WAQI responded ${response.status}`);
+      const body = await response.json();
+      if (body.status !== "ok") {
+        // Bad tokens and unknown stations will not fix themselves on retry.
+        return { aqi: null, error: String(body.data || "WAQI error") };
+      }
+      return {
+        aqi: deriveAqiValue(body.data),
+        stationName: body.data?.city?.name || null,
+        observedAt: body.data?.time?.s || null,
+        error: null,
+      };
+    } catch (err) {
+      lastError = err;
+    }
+  }
+  return { aqi: null, error: lastError?.message || "WAQI request failed" };
+};
@@ -0,0 +1,142 @@
+/* Atmosense service worker: app shell caching, offline WAQI fallbacks and background push alerts. */
+const VERSION = "v2";
+const SHELL_CACHE = `atmosense-shell-${VERSION}`;
+const DATA_CACHE = `atmosense-waqi-${VERSION}`;
+const SHELL_URLS = [
+  "/",
+  "/index.html",
+  "/manifest.webmanifest",
+  "/icons/icon-192.png",
+  "/icons/icon-512.png",
+];
+// Feed routes of the same-origin AQI proxy (api/); search and map bounds are not worth keeping offline.
+const FEED_ROUTE = /^\/api\/aqi\/(city|geo|station)\//;
+// The embeddable widget is its own page; caching it as the app shell would replace the dashboard.
+const WIDGET_PAGE = /^\/widget(\.html)?$/;
+const CACHED_AT_HEADER = "x-atmosense-cached-at";
+const MAX_WAQI_ENTRIES = 40;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll(SHELL_URLS)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith("atmosense-") && key !== SHELL_CACHE && key !== DATA_CACHE)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+const trimCache = async (cacheName, maxEntries) => {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map((key) => cache.delete(key)));
+};
+
+const networkFirstWaqi = async (request) => {
+  const cache = await caches.open(DATA_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const headers = new Headers(response.headers);
+      headers.set(CACHED_AT_HEADER, new Date().toISOString());
+      const body = await response.clone().blob();
+      await cache.put(request, new Response(body, { status: response.status, statusText: response.statusText, headers }));
+      trimCache(DATA_CACHE, MAX_WAQI_ENTRIES);
+    }
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw err;
+  }
+};
+
+const networkFirstNavigation = async (request) => {
+  try {
+    const response = await fetch(request);
+    // An error page must not replace the shell the app falls back to offline.
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      cache.put("/index.html", response.clone());
+    }
+    return response;
+  } catch (err) {
+    return (await caches.match("/index.html")) || (await caches.match("/"));
+  }
+};
+
+// Vite fingerprints built assets, so a cached copy never goes stale.
+const cacheFirstAsset = async (request) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(SHELL_CACHE);
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+  if (FEED_ROUTE.test(url.pathname)) {
+    event.respondWith(networkFirstWaqi(request));
+    return;
+  }
+  if (request.mode === "navigate" && !WIDGET_PAGE.test(url.pathname)) {
+    event.respondWith(networkFirstNavigation(request));
+    return;
+  }
+  if (url.pathname.startsWith("/assets/") || SHELL_URLS.includes(url.pathname)) {
+    event.respondWith(cacheFirstAsset(request));
+  }
+});
+
+const readPushPayload = (event) => {
+  if (!event.data) return {};
+  try {
+    return event.data.json();
+  } catch (err) {
+    return { body: event.data.text() };
+  }
+};
+
+// Payloads come from the alert worker (functions/src/sweep.js): { title, body, place, aqi, threshold, url }.
+self.addEventListener("push", (event) => {
+  const payload = readPushPayload(event);
+  const title = payload.title || "AQI Alert";
+  event.waitUntil(
+    self.registration.showNotification(title, {
+      body: payload.body || "Air quality crossed your alert threshold.",
+      icon: "/icons/icon-192.png",
+      badge: "/icons/icon-192.png",
+      tag: payload.place?.id ? `aqi-${payload.place.id}` : "aqi-alert",
+      renotify: true,
+      data: { url: payload.url || "/" },
+    })
+  );
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const target = new URL(event.notification.data?.url || "/", self.location.origin).href;
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((windows) => {
+      const existing = windows.find((client) => client.url.startsWith(self.location.origin));
+      if (existing) return existing.focus();
+      return self.clients.openWindow(target);
+    })
+  );
+});
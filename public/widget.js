@@ -0,0 +1,57 @@
+/* Atmosense embed: <script src="https://<deployment>/widget.js" defer></script> defines <atmosense-aqi>. */
+(() => {
+  // The widget page lives next to this script, whichever site includes it.
+  const ORIGIN = document.currentScript ? new URL(document.currentScript.src).origin : window.location.origin;
+  // Passed through to the widget page's query string; see src/widget/AqiWidget.jsx for what each means.
+  const ATTRIBUTES = ["city", "coords", "lat", "lng", "station", "theme", "palette", "lang", "standard"];
+  const HEIGHT_MESSAGE = "atmosense:widget-height";
+  const INITIAL_HEIGHT = 230;
+
+  class AtmosenseAqi extends HTMLElement {
+    static get observedAttributes() {
+      return ATTRIBUTES;
+    }
+
+    constructor() {
+      super();
+      const style = document.createElement("style");
+      style.textContent = `:host { display: block; min-width: 220px; } iframe { display: block; width: 100%; border: 0; }`;
+      this.frame = document.createElement("iframe");
+      this.frame.title = "Air quality index";
+      this.frame.loading = "lazy";
+      this.frame.style.height = `${INITIAL_HEIGHT}px`;
+      this.attachShadow({ mode: "open" }).append(style, this.frame);
+      this.handleMessage = (event) => {
+        if (event.origin !== ORIGIN || event.source !== this.frame.contentWindow) return;
+        if (event.data?.type === HEIGHT_MESSAGE && Number.isFinite(event.data.height)) {
+          this.frame.style.height = `${Math.ceil(event.data.height)}px`;
+        }
+      };
+    }
+
+    connectedCallback() {
+      window.addEventListener("message", this.handleMessage);
+      this.render();
+    }
+
+    disconnectedCallback() {
+      window.removeEventListener("message", this.handleMessage);
+    }
+
+    attributeChangedCallback() {
+      if (this.isConnected) this.render();
+    }
+
+    render() {
+      const params = new URLSearchParams();
+      ATTRIBUTES.forEach((name) => {
+        const value = this.getAttribute(name);
+        if (value) params.set(name, value);
+      });
+      const src = `${ORIGIN}/widget?${params}`;
+      if (this.frame.src !== src) this.frame.src = src;
+    }
+  }
+
+  if (!customElements.get("atmosense-aqi")) customElements.define("atmosense-aqi", AtmosenseAqi);
+})();
@@ -0,0 +1,37 @@
+// A stand-in for api.waqi.info that answers from the recorded fixtures, so the proxy can run locally
+// without a token or network access:
+//   node scripts/waqi-stub.js                 listens on http://localhost:8787
+//   WAQI_BASE_URL=http://localhost:8787 WAQI_TOKEN=stub npm run dev
+import { readFileSync } from "node:fs";
+import { createServer } from "node:http";
+
+const PORT = Number(process.env.PORT) || 8787;
+const fixture = (name) => JSON.parse(readFileSync(new URL(`../src/providers/fixtures/${name}`, import.meta.url), "utf8"));
+const feed = fixture("waqi-feed.json");
+const unknown = fixture("waqi-feed-unknown.json");
+
+const station = {
+  uid: feed.data.idx,
+  aqi: String(feed.data.aqi),
+  time: { stime: feed.data.time.s },
+  station: { name: feed.data.city.name, geo: feed.data.city.geo },
+};
+
+const answer = (url) => {
+  if (!url.searchParams.get("token")) return { status: "error", data: "Invalid key" };
+  if (url.pathname.startsWith("/feed/")) return /unknown/i.test(decodeURIComponent(url.pathname)) ? unknown : feed;
+  if (url.pathname === "/search/") return { status: "ok", data: [station] };
+  if (url.pathname === "/map/bounds/") {
+    return { status: "ok", data: [{ ...station, lat: feed.data.city.geo[0], lon: feed.data.city.geo[1], station: { name: station.station.name, time: feed.data.time.iso } }] };
+  }
+  return null;
+};
+
+createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const body = answer(url);
+  res.statusCode = body ? 200 : 404;
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(body || { status: "error", data: "Not found" }));
+  console.log(req.method, url.pathname, res.statusCode);
+}).listen(PORT, () => console.log(`WAQI stub listening on http://localhost:${PORT}`));
@@ -0,0 +1,208 @@
+import { cleanup, fireEvent, render, screen, waitFor } from "@testing-library/react";
+import { delay, http, HttpResponse } from "msw";
+import { MemoryRouter } from "react-router-dom";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import App from "./App";
+import { migratePreferences } from "./preferences";
+import waqiFeed from "./providers/fixtures/waqi-feed.json";
+import { IPAPI_LOCATION, NOMINATIM_REVERSE, WAQI_FEED_ROUTE } from "./test/handlers";
+import { server } from "./test/server";
+import { clearWaqiCache } from "./waqi";
+
+vi.mock("./auth", async (importOriginal) => ({
+  ...(await importOriginal()),
+  completeEmailLinkSignIn: async () => null,
+  ensureAnonymousSession: async () => null,
+  watchAuth: (callback) => {
+    callback(null);
+    return () => {};
+  },
+}));
+// Canvas and map rendering are out of reach for jsdom; the tests cover what feeds them.
+vi.mock("react-chartjs-2", () => ({ Line: () => null, Bar: () => null }));
+vi.mock("./AqiMap", () => ({ default: () => <div data-testid="map" /> }));
+vi.mock("@react-google-maps/api", () => ({ useJsApiLoader: () => ({ isLoaded: false }) }));
+
+const renderApp = (path = "/") =>
+  render(
+    <MemoryRouter initialEntries={[path]} future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
+      <App />
+    </MemoryRouter>
+  );
+
+const mockGeolocation = (onRequest) => {
+  const geolocation = {
+    watchPosition: vi.fn((success, error) => {
+      onRequest(success, error);
+      return 1;
+    }),
+    getCurrentPosition: vi.fn((success, error) => onRequest(success, error)),
+    clearWatch: vi.fn(),
+  };
+  Object.defineProperty(navigator, "geolocation", { value: geolocation, configurable: true });
+  return geolocation;
+};
+
+describe("App location fallback", () => {
+  beforeEach(() => {
+    clearWaqiCache();
+    Object.defineProperty(window, "isSecureContext", { value: true, configurable: true });
+  });
+
+  afterEach(() => {
+    cleanup();
+    delete navigator.geolocation;
+  });
+
+  it("falls back to the network location when permission is denied", async () => {
+    mockGeolocation((_success, error) => error({ code: 1, message: "User denied Geolocation" }));
+    renderApp();
+
+    expect(await screen.findByText("Approximate via network")).toBeInTheDocument();
+    expect(await screen.findAllByText("Vikram Nagar, New Delhi")).not.toHaveLength(0);
+    expect((await screen.findAllByText("168")).length).toBeGreaterThan(0);
+  });
+
+  it("asks for a city when the network location fails too", async () => {
+    mockGeolocation((_success, error) => error({ code: 3, message: "Timeout expired" }));
+    server.use(http.get("https://ipapi.co/json/", () => new HttpResponse(null, { status: 503 })));
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    renderApp();
+
+    expect(await screen.findByText("Enter a city to start")).toBeInTheDocument();
+    expect(screen.getAllByText(/^Fallback • 28\.61, 77\.21$/).length).toBeGreaterThan(0);
+  });
+
+  it("uses live coordinates and reverse-geocodes them once", async () => {
+    mockGeolocation((success) =>
+      success({ coords: { latitude: IPAPI_LOCATION.latitude, longitude: IPAPI_LOCATION.longitude, accuracy: 20 } })
+    );
+    const reverseLookups = [];
+    server.use(
+      http.get("https://nominatim.openstreetmap.org/reverse", ({ request }) => {
+        reverseLookups.push(new URL(request.url).searchParams);
+        return HttpResponse.json(NOMINATIM_REVERSE);
+      })
+    );
+    renderApp();
+
+    expect(await screen.findByText("Live")).toBeInTheDocument();
+    expect((await screen.findAllByText("168")).length).toBeGreaterThan(0);
+    await waitFor(() => expect(reverseLookups).toHaveLength(1));
+    expect(reverseLookups[0].get("lat")).toBe(String(IPAPI_LOCATION.latitude));
+    expect(reverseLookups[0].get("lon")).toBe(String(IPAPI_LOCATION.longitude));
+  });
+
+  it("renders the page for the current route and redirects unknown paths", async () => {
+    mockGeolocation((_success, error) => error({ code: 1, message: "User denied Geolocation" }));
+    renderApp("/rankings");
+
+    expect(await screen.findByText("City-wise AQI ranking")).toBeInTheDocument();
+    expect(screen.getByRole("link", { name: "Rankings" })).toHaveClass("active");
+    cleanup();
+
+    renderApp("/no-such-page");
+    expect(await screen.findByText("Live AQI Dashboard")).toBeInTheDocument();
+  });
+
+  it("restores a guest's saved preferences and saves changes on this device", async () => {
+    mockGeolocation((_success, error) => error({ code: 1, message: "User denied Geolocation" }));
+    const saved = { ...migratePreferences(null), autoRefresh: { enabled: false, minutes: 30 }, lastCity: "Pune" };
+    window.localStorage.setItem("atmosense:preferences", JSON.stringify(saved));
+    renderApp("/alerts");
+
+    const cadence = await screen.findByLabelText("Refresh cadence");
+    expect(cadence).toHaveValue("30");
+    fireEvent.change(cadence, { target: { value: "60" } });
+    await waitFor(
+      () => expect(JSON.parse(window.localStorage.getItem("atmosense:preferences")).autoRefresh.minutes).toBe(60),
+      { timeout: 2000 }
+    );
+    expect(JSON.parse(window.localStorage.getItem("atmosense:preferences")).lastCity).toBe("Pune");
+  });
+
+  it("searches as you type and looks up a picked station by id", async () => {
+    mockGeolocation((_success, error) => error({ code: 1, message: "User denied Geolocation" }));
+    const stationLookups = [];
+    server.use(
+      http.get("/api/aqi/station/:id", ({ params }) => {
+        stationLookups.push(params.id);
+        return HttpResponse.json(waqiFeed);
+      })
+    );
+    renderApp();
+
+    const search = await screen.findByRole("combobox", { name: "Enter a city or locality" });
+    fireEvent.focus(search);
+    fireEvent.change(search, { target: { value: "Delh" } });
+    expect(await screen.findByRole("option", { name: /ITO/ })).toHaveTextContent("168");
+    expect(screen.getByRole("option", { name: /^Delhi/ })).toBeInTheDocument();
+
+    fireEvent.keyDown(search, { key: "ArrowDown" });
+    fireEvent.keyDown(search, { key: "ArrowDown" });
+    expect(screen.getByRole("option", { name: /ITO/ })).toHaveAttribute("aria-selected", "true");
+    fireEvent.keyDown(search, { key: "Enter" });
+
+    await waitFor(() => expect(stationLookups).toEqual(["10124"]));
+    expect(search).toHaveValue("ITO");
+    expect(await screen.findByText("Station lookup")).toBeInTheDocument();
+    const toast = await screen.findByText(/^Current AQI in .+ is 168$/);
+    fireEvent.keyDown(toast, { key: "Escape" });
+    expect(toast).not.toBeInTheDocument();
+
+    fireEvent.change(search, { target: { value: "" } });
+    expect(screen.getByText("Recent searches")).toBeInTheDocument();
+  });
+
+  it("opens shared city and coordinate links on their place", async () => {
+    mockGeolocation((_success, error) => error({ code: 1, message: "User denied Geolocation" }));
+    const lookups = [];
+    let ipLookups = 0;
+    server.use(
+      http.get(WAQI_FEED_ROUTE, async ({ request }) => {
+        lookups.push(decodeURIComponent(new URL(request.url).pathname));
+        // Slow enough for the network location to arrive while the shared place is still loading.
+        await delay(200);
+        return HttpResponse.json(waqiFeed);
+      }),
+      http.get("https://ipapi.co/json/", () => {
+        ipLookups += 1;
+        return HttpResponse.json(IPAPI_LOCATION);
+      })
+    );
+    renderApp("/?city=Pune");
+
+    expect(await screen.findByRole("combobox", { name: "Enter a city or locality" })).toHaveValue("Pune");
+    await waitFor(() => expect(screen.getByRole("button", { name: "Share" })).toBeEnabled());
+    // The network location found meanwhile does not replace the shared place.
+    await waitFor(() => expect(ipLookups).toBe(1));
+    expect(lookups).toEqual(["/api/aqi/city/Pune"]);
+    expect(screen.getAllByText("City lookup").length).toBeGreaterThan(0);
+    cleanup();
+
+    lookups.length = 0;
+    renderApp("/at/18.52,73.86");
+    await waitFor(() => expect(lookups).toEqual(["/api/aqi/geo/18.52/73.86"]));
+    expect(screen.getByRole("combobox", { name: "Enter a city or locality" })).toHaveValue("18.5200, 73.8600");
+  });
+
+  it("runs the alert controls from the keyboard and announces threshold breaches", async () => {
+    mockGeolocation((_success, error) => error({ code: 1, message: "User denied Geolocation" }));
+    renderApp("/alerts");
+
+    const slider = await screen.findByRole("slider", { name: "Alert threshold" });
+    fireEvent.keyDown(slider, { key: "Home" });
+    expect(slider).toHaveValue("50");
+    fireEvent.keyDown(slider, { key: "PageUp" });
+    expect(slider).toHaveValue("100");
+    expect(slider).toHaveAttribute("aria-valuetext", "100 AQI • Moderate");
+
+    const toggle = screen.getByRole("switch", { name: "Auto-refresh" });
+    expect(toggle).toHaveAttribute("aria-checked", "false");
+    fireEvent.click(toggle);
+    expect(toggle).toHaveAttribute("aria-checked", "true");
+
+    // The network-location reading (168) is above the default threshold as well as the lowered one.
+    expect(await screen.findByText(/^AQI alert: .+ is at 168 \(Unhealthy\), above your threshold of \d+\.$/)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,102 @@
+import React, { useEffect } from "react";
+import { NavLink, Outlet } from "react-router-dom";
+import { useJsApiLoader } from "@react-google-maps/api";
+import LiveAnnouncer from "./LiveAnnouncer";
+import Toaster from "./Toaster";
+import { useAlertCenter } from "./hooks/useAlertCenter";
+import { useAqiFeed } from "./hooks/useAqiFeed";
+import { useAutoRefresh } from "./hooks/useAutoRefresh";
+import { useExposureWarning } from "./hooks/useExposure";
+import { useGeolocation } from "./hooks/useGeolocation";
+import { useI18n } from "./hooks/useI18n";
+import { useOnlineStatus } from "./hooks/useOnlineStatus";
+import { usePreferences } from "./hooks/usePreferences";
+import { useUserData } from "./hooks/useUserData";
+import { useWatchlist } from "./hooks/useWatchlist";
+import { LOCALES } from "./i18n";
+import { actions, selectIsLive, useAppState, useAppStore } from "./store";
+
+const NAV_LINKS = [
+  { to: "/", label: "Dashboard" },
+  { to: "/map", label: "Map" },
+  { to: "/rankings", label: "Rankings" },
+  { to: "/alerts", label: "Alerts" },
+  { to: "/history", label: "History" },
+  { to: "/settings", label: "Settings" },
+];
+
+// Hooks mounted here run for the whole session, whichever page is open; pages reach their actions
+// through the outlet context.
+function AppShell() {
+  const isLive = useAppState(selectIsLive);
+  const { dispatch } = useAppStore();
+  const { locale, t } = useI18n();
+  const palette = useAppState((state) => state.settings.palette);
+  const { isLoaded: isMapLoaded } = useJsApiLoader({
+    googleMapsApiKey: import.meta.env.VITE_GOOGLE_MAPS_API_KEY || "",
+    id: "google-map-script",
+  });
+
+  useUserData();
+  usePreferences();
+  useOnlineStatus();
+  const { notify, logAlert, forgetScope } = useAlertCenter();
+  const { locateApproximately } = useGeolocation({ googleMapsLoaded: isMapLoaded });
+  const { fetchAqi } = useAqiFeed({ notify, logAlert });
+  const { refreshWatchlist } = useWatchlist({ notify, logAlert });
+  useAutoRefresh({ fetchAqi, refreshWatchlist, locateApproximately });
+  useExposureWarning(notify);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  // App.css keys the high-contrast overrides off this attribute.
+  useEffect(() => {
+    document.documentElement.dataset.palette = palette;
+  }, [palette]);
+
+  return (
+    <div className="page">
+      <nav className="nav">
+        <div className="brand">
+          <span className="brand-dot" />
+          Atmosense
+        </div>
+        <div className="nav-links">
+          {NAV_LINKS.map((link) => (
+            <NavLink
+              key={link.to}
+              to={link.to}
+              end={link.to === "/"}
+              className={({ isActive }) => `nav-link ${isActive ? "active" : ""}`}
+            >
+              {t(link.label)}
+            </NavLink>
+          ))}
+        </div>
+        <select
+          className="nav-language"
+          aria-label={t("Language")}
+          value={locale}
+          onChange={(e) => dispatch(actions.updateSettings({ locale: e.target.value }))}
+        >
+          {Object.entries(LOCALES).map(([id, language]) => (
+            <option key={id} value={id} lang={id}>
+              {language.nativeName}
+            </option>
+          ))}
+        </select>
+        <div className="nav-badge">
+          <span className={`status-dot ${isLive ? "live" : ""}`} />
+          {isLive ? t("Live feed active") : t("Awaiting location lock")}
+        </div>
+      </nav>
+      <Outlet context={{ fetchAqi, locateApproximately, refreshWatchlist, forgetAlertScope: forgetScope, isMapLoaded }} />
+      <Toaster />
+      <LiveAnnouncer />
+    </div>
+  );
+}
+
+export default AppShell;
@@ -0,0 +1,300 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { CircleMarker, MapContainer, Polyline, TileLayer, Tooltip, useMap, useMapEvents } from "react-leaflet";
+import { GoogleMap, Marker, Polyline as GooglePolyline } from "@react-google-maps/api";
+import "leaflet/dist/leaflet.css";
+import { useI18n } from "./hooks/useI18n";
+import { usePalette } from "./hooks/usePalette";
+import { NO_DATA_COLOR } from "./palettes";
+import { DEFAULT_STANDARD_ID, getStandard } from "./standards";
+import { getStationsInBounds, WaqiError } from "./waqi";
+
+const GOOGLE_MAPS_API_KEY = import.meta.env.VITE_GOOGLE_MAPS_API_KEY || "";
+const OSM_TILE_URL = "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png";
+const OSM_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+const DEFAULT_ZOOM = 11;
+const BOUNDS_DEBOUNCE_MS = 400;
+const USER_COLOR = "#38bdf8";
+const ROUTE_OUTLINE_COLOR = "#0f172a";
+
+// Station numbers come straight from WAQI, which reports on the US EPA scale whatever standard the dashboard shows.
+const LEGEND_BANDS = getStandard(DEFAULT_STANDARD_ID).bands;
+
+const boundsFromLeaflet = (bounds) => ({
+  south: bounds.getSouth(),
+  west: bounds.getWest(),
+  north: bounds.getNorth(),
+  east: bounds.getEast(),
+});
+
+const LeafletViewport = ({ center, onBoundsChange }) => {
+  const map = useMapEvents({
+    moveend: () => onBoundsChange(boundsFromLeaflet(map.getBounds())),
+  });
+
+  useEffect(() => {
+    onBoundsChange(boundsFromLeaflet(map.getBounds()));
+  }, [map, onBoundsChange]);
+
+  return <LeafletRecenter center={center} />;
+};
+
+const LeafletRecenter = ({ center }) => {
+  const map = useMap();
+  useEffect(() => {
+    map.setView([center.lat, center.lng], map.getZoom());
+  }, [center.lat, center.lng, map]);
+  return null;
+};
+
+/** Zooms to the commute once per plan so panning afterwards is not undone on every render. */
+const LeafletFitCommute = ({ commute }) => {
+  const map = useMap();
+  useEffect(() => {
+    if (!commute?.routes.length) return;
+    const points = commute.routes.flatMap((route) => route.segments.flatMap((segment) => segment.coords));
+    map.fitBounds(points.map((point) => [point.lat, point.lng]), { padding: [24, 24] });
+  }, [commute?.routes, map]);
+  return null;
+};
+
+// Unselected alternatives are drawn first and thinner so the chosen route sits on top.
+const orderedRoutes = (commute) =>
+  commute ? [...commute.routes].sort((a, b) => Number(a.id === commute.selectedRouteId) - Number(b.id === commute.selectedRouteId)) : [];
+
+const useStationsInBounds = (bounds, t) => {
+  const [stations, setStations] = useState({ loading: false, data: [], error: null });
+
+  useEffect(() => {
+    if (!bounds) return;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setStations((prev) => ({ ...prev, loading: true, error: null }));
+      try {
+        const data = await getStationsInBounds(bounds);
+        if (!cancelled) setStations({ loading: false, data, error: null });
+      } catch (err) {
+        console.warn("Failed to load map stations", err);
+        if (!cancelled) {
+          setStations((prev) => ({
+            loading: false,
+            data: prev.data,
+            error: err instanceof WaqiError ? err.message : t("Stations could not be loaded."),
+          }));
+        }
+      }
+    }, BOUNDS_DEBOUNCE_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [bounds, t]);
+
+  return stations;
+};
+
+/**
+ * `googleMapsLoaded` comes from AppShell's useJsApiLoader, which also powers reverse geocoding. `commute` is the
+ * planner's result ({ routes, selectedRouteId, origin, destination }); its routes are drawn coloured by segment AQI.
+ */
+function AqiMap({ center, location, selectedStationId, onSelectStation, googleMapsLoaded, commute, onSelectRoute }) {
+  const [baseLayer, setBaseLayer] = useState("osm");
+  const [bounds, setBounds] = useState(null);
+  const { t, formatObservedAt } = useI18n();
+  const stations = useStationsInBounds(bounds, t);
+  const palette = usePalette();
+  const stationColor = (aqi) => palette.indexColor(aqi);
+  const googleMapRef = useRef(null);
+  const googleAvailable = Boolean(GOOGLE_MAPS_API_KEY) && googleMapsLoaded;
+
+  const handleGoogleIdle = useCallback(() => {
+    const googleBounds = googleMapRef.current?.getBounds();
+    if (!googleBounds) return;
+    const northEast = googleBounds.getNorthEast();
+    const southWest = googleBounds.getSouthWest();
+    setBounds({ south: southWest.lat(), west: southWest.lng(), north: northEast.lat(), east: northEast.lng() });
+  }, []);
+
+  useEffect(() => {
+    const map = googleMapRef.current;
+    if (!map || !commute?.routes.length) return;
+    const googleBounds = new window.google.maps.LatLngBounds();
+    commute.routes.forEach((route) => route.segments.forEach((segment) => segment.coords.forEach((point) => googleBounds.extend(point))));
+    map.fitBounds(googleBounds, 24);
+  }, [commute?.routes, baseLayer]);
+
+  const statusText = useMemo(() => {
+    if (stations.loading) return t("Loading stations…");
+    if (stations.error) return stations.error;
+    if (!bounds) return t("Move the map to load stations");
+    return t(stations.data.length === 1 ? "{count} station in view" : "{count} stations in view", { count: stations.data.length });
+  }, [bounds, stations, t]);
+
+  return (
+    <div className="map-card">
+      <div className="map-toolbar">
+        <div className="trend-toggle" role="group" aria-label={t("Base map")}>
+          <button
+            type="button"
+            className={`button tiny ${baseLayer === "osm" ? "active" : ""}`}
+            onClick={() => setBaseLayer("osm")}
+          >
+            OpenStreetMap
+          </button>
+          <button
+            type="button"
+            className={`button tiny ${baseLayer === "google" ? "active" : ""}`}
+            onClick={() => setBaseLayer("google")}
+            disabled={!googleAvailable}
+            title={googleAvailable ? undefined : t("Add VITE_GOOGLE_MAPS_API_KEY to enable Google Maps")}
+          >
+            Google
+          </button>
+        </div>
+        <span className={stations.error ? "error-text" : "subtle"}>{statusText}</span>
+      </div>
+
+      {baseLayer === "google" && googleAvailable ? (
+        <GoogleMap
+          center={center}
+          zoom={DEFAULT_ZOOM}
+          mapContainerClassName="map"
+          options={{ streetViewControl: false, mapTypeControl: false }}
+          onLoad={(map) => {
+            googleMapRef.current = map;
+          }}
+          onUnmount={() => {
+            googleMapRef.current = null;
+          }}
+          onIdle={handleGoogleIdle}
+        >
+          {orderedRoutes(commute).flatMap((route) => {
+            const selected = route.id === commute.selectedRouteId;
+            return route.segments.map((segment, index) => (
+              <GooglePolyline
+                key={`${route.id}-${index}`}
+                path={segment.coords}
+                options={{
+                  strokeColor: stationColor(segment.aqi),
+                  strokeOpacity: selected ? 0.95 : 0.5,
+                  strokeWeight: selected ? 7 : 4,
+                  zIndex: selected ? 2 : 1,
+                }}
+                onClick={() => onSelectRoute?.(route.id)}
+              />
+            ));
+          })}
+          {commute?.origin && <Marker position={commute.origin.coords} label="A" title={commute.origin.label} />}
+          {commute?.destination && <Marker position={commute.destination.coords} label="B" title={commute.destination.label} />}
+          {location && <Marker position={location} title={t("Your location")} />}
+          {stations.data.map((station) => (
+            <Marker
+              key={station.stationId}
+              position={station.coords}
+              title={`${station.name} • AQI ${station.aqi ?? "n/a"}`}
+              label={{ text: station.aqi === null ? "–" : String(station.aqi), color: "#0f172a", fontSize: "10px" }}
+              icon={{
+                path: window.google.maps.SymbolPath.CIRCLE,
+                scale: station.stationId === selectedStationId ? 14 : 11,
+                fillColor: stationColor(station.aqi),
+                fillOpacity: 0.9,
+                strokeColor: "#0f172a",
+                strokeWeight: station.stationId === selectedStationId ? 3 : 1,
+              }}
+              onClick={() => onSelectStation(station)}
+            />
+          ))}
+        </GoogleMap>
+      ) : (
+        <MapContainer center={[center.lat, center.lng]} zoom={DEFAULT_ZOOM} className="map" scrollWheelZoom>
+          <TileLayer url={OSM_TILE_URL} attribution={OSM_ATTRIBUTION} />
+          <LeafletViewport center={center} onBoundsChange={setBounds} />
+          <LeafletFitCommute commute={commute} />
+          {orderedRoutes(commute).map((route) => {
+            const selected = route.id === commute.selectedRouteId;
+            return (
+              <React.Fragment key={route.id}>
+                <Polyline
+                  positions={route.segments.flatMap((segment) => segment.coords).map((point) => [point.lat, point.lng])}
+                  pathOptions={{ color: ROUTE_OUTLINE_COLOR, weight: selected ? 10 : 6, opacity: selected ? 0.6 : 0.3 }}
+                  eventHandlers={{ click: () => onSelectRoute?.(route.id) }}
+                />
+                {route.segments.map((segment, index) => (
+                  <Polyline
+                    key={index}
+                    positions={segment.coords.map((point) => [point.lat, point.lng])}
+                    pathOptions={{ color: stationColor(segment.aqi), weight: selected ? 6 : 3, opacity: selected ? 1 : 0.6 }}
+                    eventHandlers={{ click: () => onSelectRoute?.(route.id) }}
+                  >
+                    <Tooltip sticky>
+                      {route.label} • {segment.aqi === null ? t("no nearby station") : `AQI ~${segment.aqi}`}
+                    </Tooltip>
+                  </Polyline>
+                ))}
+              </React.Fragment>
+            );
+          })}
+          {[commute?.origin, commute?.destination].filter(Boolean).map((end, index) => (
+            <CircleMarker
+              key={index === 0 ? "origin" : "destination"}
+              center={[end.coords.lat, end.coords.lng]}
+              radius={8}
+              pathOptions={{ color: "#f8fafc", weight: 2, fillColor: ROUTE_OUTLINE_COLOR, fillOpacity: 1 }}
+            >
+              <Tooltip direction="top" offset={[0, -6]} permanent>
+                {index === 0 ? "A" : "B"} • {end.label}
+              </Tooltip>
+            </CircleMarker>
+          ))}
+          {stations.data.map((station) => {
+            const selected = station.stationId === selectedStationId;
+            const color = stationColor(station.aqi);
+            return (
+              <CircleMarker
+                key={station.stationId}
+                center={[station.coords.lat, station.coords.lng]}
+                radius={selected ? 13 : 10}
+                pathOptions={{ color: selected ? "#f8fafc" : "#0f172a", weight: selected ? 3 : 1, fillColor: color, fillOpacity: 0.85 }}
+                eventHandlers={{ click: () => onSelectStation(station) }}
+              >
+                <Tooltip direction="top" offset={[0, -8]}>
+                  <strong>{station.name}</strong>
+                  <br />
+                  AQI {station.aqi ?? "n/a"}
+                  {station.observedAt ? ` • ${formatObservedAt(station.observedAt)}` : ""}
+                </Tooltip>
+              </CircleMarker>
+            );
+          })}
+          {location && (
+            <CircleMarker
+              center={[location.lat, location.lng]}
+              radius={7}
+              pathOptions={{ color: "#f8fafc", weight: 2, fillColor: USER_COLOR, fillOpacity: 1 }}
+            >
+              <Tooltip direction="top" offset={[0, -6]}>{t("Your location")}</Tooltip>
+            </CircleMarker>
+          )}
+        </MapContainer>
+      )}
+
+      <div className="map-legend" aria-label={t("AQI colour scale")}>
+        {LEGEND_BANDS.map((band) => (
+          <span key={band.label} className="map-legend-item">
+            <span className={`map-legend-swatch ${palette.patternClass(band.level)}`} style={{ backgroundColor: palette.bandColor(band) }} />
+            {t(band.label)}
+          </span>
+        ))}
+        <span className="map-legend-item">
+          <span className="map-legend-swatch" style={{ background: NO_DATA_COLOR }} />
+          {t("No data")}
+        </span>
+      </div>
+      <div className="subtle">
+        {t("Click a station to load it into the dashboard.")}
+        {commute?.routes.length ? ` ${t("Click a route to select it; its colour follows the AQI along each stretch.")}` : ""}
+      </div>
+    </div>
+  );
+}
+
+export default AqiMap;
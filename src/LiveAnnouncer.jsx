@@ -0,0 +1,22 @@
+import React from "react";
+import { useAppState } from "./store";
+
+/**
+ * Screen-reader only live regions for the announcements in the store (see readingAnnouncement in
+ * alertPolicy.js). Keying each message by its id re-renders repeated text, so it is read out again.
+ */
+function LiveAnnouncer() {
+  const { polite, assertive } = useAppState((state) => state.announcements);
+  return (
+    <div className="sr-only">
+      <div aria-live="polite" aria-atomic="true">
+        {polite && <span key={polite.id}>{polite.text}</span>}
+      </div>
+      <div aria-live="assertive" aria-atomic="true">
+        {assertive && <span key={assertive.id}>{assertive.text}</span>}
+      </div>
+    </div>
+  );
+}
+
+export default LiveAnnouncer;
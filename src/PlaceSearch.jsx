@@ -0,0 +1,174 @@
+import React, { useEffect, useId, useRef, useState } from "react";
+import { useI18n } from "./hooks/useI18n";
+import { usePalette } from "./hooks/usePalette";
+import {
+  loadRecentSearches,
+  MIN_QUERY_LENGTH,
+  saveRecentSearch,
+  searchPlaceSuggestions,
+  SUGGESTION_GROUPS,
+} from "./placeSuggestions";
+
+const SEARCH_DELAY_MS = 300;
+
+/**
+ * Search-as-you-type city box (ARIA combobox). Typing updates `value` through `onChange` and, after a
+ * pause, lists matching cities, WAQI stations and other places; picking one calls `onSelect(suggestion)`.
+ * Enter without a highlighted option calls `onSubmit`, so a plain typed name is still looked up by name.
+ */
+function PlaceSearch({ value, onChange, onSelect, onSubmit, placeholder }) {
+  const { t, formatNumber } = useI18n();
+  const palette = usePalette();
+  const listId = useId();
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState({ query: "", suggestions: [], loading: false, error: null });
+  const [recent, setRecent] = useState(loadRecentSearches);
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const latestQueryRef = useRef("");
+
+  useEffect(() => {
+    const term = query.trim();
+    latestQueryRef.current = term;
+    if (term.length < MIN_QUERY_LENGTH) return undefined;
+    setResults((current) => ({ ...current, loading: true, error: null }));
+    const timer = setTimeout(async () => {
+      try {
+        const suggestions = await searchPlaceSuggestions(term);
+        if (latestQueryRef.current === term) setResults({ query: term, suggestions, loading: false, error: null });
+      } catch (err) {
+        console.warn("Place search failed", err);
+        if (latestQueryRef.current === term) {
+          setResults({ query: term, suggestions: [], loading: false, error: t("Suggestions are unavailable right now.") });
+        }
+      }
+    }, SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [query, t]);
+
+  const showingRecent = query.trim().length < MIN_QUERY_LENGTH;
+  const groups = showingRecent
+    ? recent.length
+      ? [{ id: "recent", label: t("Recent searches"), items: recent }]
+      : []
+    : SUGGESTION_GROUPS.map((group) => ({
+        ...group,
+        label: t(group.label),
+        items: results.suggestions.filter((suggestion) => suggestion.group === group.id),
+      })).filter((group) => group.items.length);
+  const options = groups.flatMap((group) => group.items);
+  const status = showingRecent ? null : results.loading ? t("Searching…") : results.error || (!options.length ? t("No matches") : null);
+  const expanded = open && (options.length > 0 || Boolean(status));
+  const optionId = (index) => `${listId}-option-${index}`;
+
+  const handleChange = (event) => {
+    onChange(event.target.value);
+    setQuery(event.target.value);
+    setActiveIndex(-1);
+    setOpen(true);
+  };
+
+  const pick = (suggestion) => {
+    setRecent(saveRecentSearch(suggestion));
+    setQuery("");
+    setOpen(false);
+    setActiveIndex(-1);
+    onSelect(suggestion);
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+      event.preventDefault();
+      if (!options.length) return;
+      const step = event.key === "ArrowDown" ? 1 : -1;
+      setOpen(true);
+      setActiveIndex((index) => (index + step + options.length + (index < 0 && step < 0 ? 1 : 0)) % options.length);
+      return;
+    }
+    if (event.key === "Enter") {
+      event.preventDefault();
+      if (expanded && options[activeIndex]) {
+        pick(options[activeIndex]);
+        return;
+      }
+      setOpen(false);
+      onSubmit();
+      return;
+    }
+    if (event.key === "Escape" && open) {
+      event.preventDefault();
+      setOpen(false);
+      setActiveIndex(-1);
+    }
+  };
+
+  let optionIndex = -1;
+  return (
+    <div className="place-search">
+      <input
+        type="text"
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={expanded}
+        aria-controls={listId}
+        aria-activedescendant={expanded && activeIndex >= 0 ? optionId(activeIndex) : undefined}
+        aria-label={placeholder}
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        placeholder={placeholder}
+        className="input"
+        autoComplete="off"
+      />
+      <ul id={listId} role="listbox" className="place-search-list" hidden={!expanded}>
+        {groups.map((group) => (
+          <React.Fragment key={group.id}>
+            <li role="presentation" className="place-search-group">
+              {group.label}
+            </li>
+            {group.items.map((suggestion) => {
+              optionIndex += 1;
+              const index = optionIndex;
+              return (
+                <li
+                  key={suggestion.id}
+                  id={optionId(index)}
+                  role="option"
+                  aria-selected={index === activeIndex}
+                  className={`place-search-option${index === activeIndex ? " active" : ""}`}
+                  // Keeps focus in the input so its blur does not close the list before the click lands.
+                  onMouseDown={(event) => event.preventDefault()}
+                  onClick={() => pick(suggestion)}
+                  onMouseEnter={() => setActiveIndex(index)}
+                >
+                  <span className="place-search-text">
+                    <strong>{suggestion.label}</strong>
+                    {suggestion.detail && <small>{suggestion.detail}</small>}
+                  </span>
+                  {suggestion.aqi !== null && (
+                    <span
+                      className="place-search-aqi"
+                      style={{ background: palette.indexColor(suggestion.aqi) }}
+                      aria-label={`AQI ${formatNumber(suggestion.aqi)}`}
+                    >
+                      {formatNumber(suggestion.aqi)}
+                    </span>
+                  )}
+                </li>
+              );
+            })}
+          </React.Fragment>
+        ))}
+        {status && (
+          <li role="presentation" className="place-search-status">
+            {status}
+          </li>
+        )}
+      </ul>
+    </div>
+  );
+}
+
+export default PlaceSearch;
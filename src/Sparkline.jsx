@@ -0,0 +1,40 @@
+import React from "react";
+
+/** Tiny inline trend line; null values leave a gap instead of dropping to zero. */
+function Sparkline({ values = [], width = 84, height = 26, color = "#38bdf8", label }) {
+  const present = values.filter((value) => Number.isFinite(value));
+  if (present.length < 2) {
+    return <span className="sparkline-empty">No history</span>;
+  }
+  const min = Math.min(...present);
+  const max = Math.max(...present);
+  const span = max - min || 1;
+  const step = values.length > 1 ? width / (values.length - 1) : width;
+  const segments = [];
+  let current = [];
+  values.forEach((value, index) => {
+    if (!Number.isFinite(value)) {
+      if (current.length) segments.push(current);
+      current = [];
+      return;
+    }
+    const x = index * step;
+    const y = height - 2 - ((value - min) / span) * (height - 4);
+    current.push(`${x.toFixed(1)},${y.toFixed(1)}`);
+  });
+  if (current.length) segments.push(current);
+
+  return (
+    <svg className="sparkline" width={width} height={height} viewBox={`0 0 ${width} ${height}`} role="img" aria-label={label}>
+      {segments.map((points) =>
+        points.length === 1 ? (
+          <circle key={points[0]} cx={points[0].split(",")[0]} cy={points[0].split(",")[1]} r="1.8" fill={color} />
+        ) : (
+          <polyline key={points[0]} points={points.join(" ")} fill="none" stroke={color} strokeWidth="1.8" strokeLinejoin="round" />
+        )
+      )}
+    </svg>
+  );
+}
+
+export default Sparkline;
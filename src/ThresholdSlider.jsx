@@ -0,0 +1,51 @@
+import React from "react";
+import { useI18n } from "./hooks/useI18n";
+import { THRESHOLD_RANGE } from "./preferences";
+import { bandFor, DEFAULT_STANDARD_ID } from "./standards";
+
+const STEP = 10;
+const PAGE_STEP = 50;
+
+// Arrow keys move by STEP natively; these keys get the same result in every browser.
+const KEY_TARGETS = {
+  PageUp: (value) => value + PAGE_STEP,
+  PageDown: (value) => value - PAGE_STEP,
+  Home: () => THRESHOLD_RANGE.min,
+  End: () => THRESHOLD_RANGE.max,
+};
+
+/**
+ * Range input for an alert threshold. Screen readers hear the value with the band it falls in, and
+ * PageUp/PageDown jump a band-sized step. Thresholds are on the US AQI scale, like WAQI readings.
+ * Pass `label` when no <label> element names the input.
+ */
+function ThresholdSlider({ id, label, value, onChange }) {
+  const { t, formatNumber } = useI18n();
+  const band = bandFor(value, DEFAULT_STANDARD_ID);
+
+  const handleKeyDown = (event) => {
+    const target = KEY_TARGETS[event.key];
+    if (!target) return;
+    event.preventDefault();
+    const next = Math.min(THRESHOLD_RANGE.max, Math.max(THRESHOLD_RANGE.min, target(value)));
+    if (next !== value) onChange(next);
+  };
+
+  return (
+    <input
+      id={id}
+      type="range"
+      min={THRESHOLD_RANGE.min}
+      max={THRESHOLD_RANGE.max}
+      step={STEP}
+      value={value}
+      className="threshold-slider"
+      aria-label={label}
+      aria-valuetext={`${formatNumber(value)} AQI • ${t(band.label)}`}
+      onChange={(e) => onChange(Number(e.target.value))}
+      onKeyDown={handleKeyDown}
+    />
+  );
+}
+
+export default ThresholdSlider;
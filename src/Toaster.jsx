@@ -0,0 +1,59 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { useI18n } from "./hooks/useI18n";
+import { actions, useAppDispatch, useAppState } from "./store";
+
+// Info toasts close on their own after this long, unless hovered or focused; errors stay until dismissed.
+export const TOAST_TIMEOUT_MS = 6000;
+
+function Toast({ toast }) {
+  const dispatch = useAppDispatch();
+  const { t } = useI18n();
+  const [paused, setPaused] = useState(false);
+  const onDismiss = useCallback(() => dispatch(actions.toastDismissed(toast.id)), [dispatch, toast.id]);
+
+  useEffect(() => {
+    if (toast.kind === "error" || paused) return undefined;
+    const timer = setTimeout(onDismiss, TOAST_TIMEOUT_MS);
+    return () => clearTimeout(timer);
+  }, [onDismiss, paused, toast.kind]);
+
+  return (
+    <div
+      className={`toast ${toast.kind}`}
+      onMouseEnter={() => setPaused(true)}
+      onMouseLeave={() => setPaused(false)}
+      onFocus={() => setPaused(true)}
+      onBlur={() => setPaused(false)}
+      onKeyDown={(event) => {
+        if (event.key === "Escape") onDismiss();
+      }}
+    >
+      <span className="toast-message">{toast.message}</span>
+      <button type="button" className="toast-dismiss" onClick={onDismiss} aria-label={t("Dismiss notification")}>
+        ×
+      </button>
+    </div>
+  );
+}
+
+/**
+ * Non-blocking replacement for alert(). The two regions are always rendered so screen readers are
+ * already watching them when a toast arrives: info toasts are read politely, errors interrupt.
+ */
+function Toaster() {
+  const toasts = useAppState((state) => state.toasts);
+  const region = (kind) => toasts.filter((toast) => toast.kind === kind).map((toast) => <Toast key={toast.id} toast={toast} />);
+
+  return (
+    <div className="toaster">
+      <div role="status" aria-live="polite">
+        {region("info")}
+      </div>
+      <div role="alert" aria-live="assertive">
+        {region("error")}
+      </div>
+    </div>
+  );
+}
+
+export default Toaster;
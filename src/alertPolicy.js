@@ -0,0 +1,29 @@
+// Same rule as functions/src/alertPolicy.js so in-tab and background alerts stay in step: a scope
+// stays quiet for ALERT_COOLDOWN_MS unless the alert signature changes. It spans two runs of the
+// 15-minute background sweep.
+export const ALERT_COOLDOWN_MS = 30 * 60 * 1000;
+
+/** @param {{ timestamp: number, signature: string }|undefined} last Previous alert for the scope. */
+export const shouldDeliver = (last, signature, now = Date.now()) => {
+  if (!last) return true;
+  const cooledDown = now - last.timestamp > ALERT_COOLDOWN_MS;
+  return cooledDown || last.signature !== signature;
+};
+
+/**
+ * What the screen-reader live regions say about a new reading for one place. Rising to or past the
+ * threshold is urgent; any other change is polite; an unchanged AQI says nothing. `previousAqi` is the
+ * last reading for the same place, or null.
+ * @returns {{ urgent: boolean, text: string }|null}
+ */
+export const readingAnnouncement = ({ label, aqi, previousAqi = null, threshold, band }, { t, formatNumber }) => {
+  if (aqi === null || aqi === previousAqi) return null;
+  const values = { label, aqi: formatNumber(aqi), threshold: formatNumber(threshold), band: band ? t(band.label) : "" };
+  if (aqi >= threshold && (previousAqi === null || previousAqi < threshold)) {
+    return { urgent: true, text: t("AQI alert: {label} is at {aqi} ({band}), above your threshold of {threshold}.", values) };
+  }
+  return {
+    urgent: false,
+    text: previousAqi === null ? t("AQI in {label} is {aqi} ({band}).", values) : t("AQI in {label} is now {aqi} ({band}).", values),
+  };
+};
@@ -0,0 +1,38 @@
+import { describe, expect, it } from "vitest";
+import { ALERT_COOLDOWN_MS, readingAnnouncement, shouldDeliver } from "./alertPolicy";
+import { createTranslator } from "./i18n";
+
+describe("alert cooldown", () => {
+  const last = { timestamp: Date.parse("2026-10-19T08:00:00Z"), signature: "aqi-168" };
+
+  it("delivers the first alert for a scope", () => {
+    expect(shouldDeliver(undefined, "aqi-168")).toBe(true);
+  });
+
+  it("holds back a repeat until the cooldown has passed", () => {
+    expect(shouldDeliver(last, "aqi-168", last.timestamp + ALERT_COOLDOWN_MS - 1000)).toBe(false);
+    expect(shouldDeliver(last, "aqi-168", last.timestamp + ALERT_COOLDOWN_MS)).toBe(false);
+    expect(shouldDeliver(last, "aqi-168", last.timestamp + ALERT_COOLDOWN_MS + 1)).toBe(true);
+  });
+
+  it("delivers at once when the signature changes", () => {
+    expect(shouldDeliver(last, "aqi-201", last.timestamp + 30_000)).toBe(true);
+  });
+});
+
+describe("reading announcements", () => {
+  const { t, formatNumber } = createTranslator("en");
+  const band = { label: "Unhealthy" };
+  const announce = (aqi, previousAqi) => readingAnnouncement({ label: "Delhi", aqi, previousAqi, threshold: 150, band }, { t, formatNumber });
+
+  it("is urgent only when the reading rises to the threshold", () => {
+    expect(announce(168, null)).toEqual({ urgent: true, text: "AQI alert: Delhi is at 168 (Unhealthy), above your threshold of 150." });
+    expect(announce(168, 140).urgent).toBe(true);
+    expect(announce(175, 168)).toEqual({ urgent: false, text: "AQI in Delhi is now 175 (Unhealthy)." });
+  });
+
+  it("stays quiet while the AQI is unchanged", () => {
+    expect(announce(168, 168)).toBeNull();
+    expect(announce(null, 168)).toBeNull();
+  });
+});
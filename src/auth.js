@@ -0,0 +1,93 @@
+import {
+  EmailAuthProvider,
+  GoogleAuthProvider,
+  isSignInWithEmailLink,
+  linkWithCredential,
+  linkWithPopup,
+  onAuthStateChanged,
+  sendSignInLinkToEmail,
+  signInAnonymously,
+  signInWithCredential,
+  signInWithEmailLink,
+  signInWithPopup,
+  signOut,
+} from "firebase/auth";
+import { auth } from "./firebase";
+import { exportUserData, importUserData } from "./userData";
+
+const EMAIL_FOR_SIGN_IN_KEY = "atmosense:email-for-sign-in";
+const ALREADY_LINKED_CODES = ["auth/credential-already-in-use", "auth/email-already-in-use"];
+
+export const watchAuth = (callback) => onAuthStateChanged(auth, callback);
+
+export const ensureAnonymousSession = async () => {
+  await auth.authStateReady();
+  if (auth.currentUser) return auth.currentUser;
+  const { user } = await signInAnonymously(auth);
+  return user;
+};
+
+export const describeUser = (user) => {
+  if (!user) return "Signed out";
+  if (user.isAnonymous) return "Guest session";
+  return user.email || user.displayName || "Signed in";
+};
+
+/**
+ * Upgrades the current session to a permanent account. Linking keeps the anonymous uid, so its
+ * data stays in place; if the credential already belongs to another account we sign into that
+ * account instead and copy the guest data across before the guest uid is abandoned.
+ */
+const upgradeSession = async (link, signInExisting) => {
+  const current = auth.currentUser;
+  if (!current?.isAnonymous) {
+    return { user: (await signInExisting(null)).user, migrated: 0 };
+  }
+  try {
+    const { user } = await link(current);
+    return { user, migrated: 0 };
+  } catch (err) {
+    if (!ALREADY_LINKED_CODES.includes(err?.code)) throw err;
+    const guestData = await exportUserData(current.uid);
+    const { user } = await signInExisting(err);
+    const migrated = await importUserData(user.uid, guestData);
+    return { user, migrated };
+  }
+};
+
+export const signInWithGoogle = () => {
+  const provider = new GoogleAuthProvider();
+  return upgradeSession(
+    (current) => linkWithPopup(current, provider),
+    (err) => {
+      const credential = err ? GoogleAuthProvider.credentialFromError(err) : null;
+      return credential ? signInWithCredential(auth, credential) : signInWithPopup(auth, provider);
+    }
+  );
+};
+
+export const sendEmailSignInLink = async (email) => {
+  await sendSignInLinkToEmail(auth, email, { url: window.location.origin + window.location.pathname, handleCodeInApp: true });
+  window.localStorage.setItem(EMAIL_FOR_SIGN_IN_KEY, email);
+};
+
+/** Finishes an email-link sign-in when the page was opened from the emailed link; returns null otherwise. */
+export const completeEmailLinkSignIn = async (promptForEmail) => {
+  const href = window.location.href;
+  if (!isSignInWithEmailLink(auth, href)) return null;
+  const email = window.localStorage.getItem(EMAIL_FOR_SIGN_IN_KEY) || promptForEmail?.();
+  if (!email) return null;
+  await auth.authStateReady();
+  const result = await upgradeSession(
+    (current) => linkWithCredential(current, EmailAuthProvider.credentialWithLink(email, href)),
+    () => signInWithEmailLink(auth, email, href)
+  );
+  window.localStorage.removeItem(EMAIL_FOR_SIGN_IN_KEY);
+  window.history.replaceState(null, "", window.location.pathname);
+  return result;
+};
+
+export const signOutUser = async () => {
+  await signOut(auth);
+  return ensureAnonymousSession();
+};
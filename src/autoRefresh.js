@@ -0,0 +1,18 @@
+export const MIN_AUTO_REFRESH_MINUTES = 1;
+// Cadences offered in the Alerts page; stored preferences must pick one of them.
+export const AUTO_REFRESH_MINUTES = [5, 10, 15, 30, 60];
+
+/**
+ * Runs `refresh` now and then every `minutes` (never more often than once a minute), calling
+ * `onScheduled` with the time of the next run after each one. Returns a function that stops it.
+ */
+export const startAutoRefresh = ({ minutes, refresh, onScheduled = () => {} }) => {
+  const intervalMs = Math.max(MIN_AUTO_REFRESH_MINUTES, minutes) * 60_000;
+  const run = () => {
+    refresh();
+    onScheduled(new Date(Date.now() + intervalMs));
+  };
+  run();
+  const timer = setInterval(run, intervalMs);
+  return () => clearInterval(timer);
+};
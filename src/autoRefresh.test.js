@@ -0,0 +1,47 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { startAutoRefresh } from "./autoRefresh";
+
+describe("startAutoRefresh", () => {
+  beforeEach(() => vi.useFakeTimers({ now: new Date("2026-10-19T08:00:00Z") }));
+  afterEach(() => vi.useRealTimers());
+
+  it("refreshes immediately and then on every interval", () => {
+    const refresh = vi.fn();
+    const stop = startAutoRefresh({ minutes: 10, refresh });
+    expect(refresh).toHaveBeenCalledTimes(1);
+    vi.advanceTimersByTime(10 * 60_000 - 1);
+    expect(refresh).toHaveBeenCalledTimes(1);
+    vi.advanceTimersByTime(1);
+    expect(refresh).toHaveBeenCalledTimes(2);
+    vi.advanceTimersByTime(20 * 60_000);
+    expect(refresh).toHaveBeenCalledTimes(4);
+    stop();
+  });
+
+  it("reports when the next run is due", () => {
+    const onScheduled = vi.fn();
+    const stop = startAutoRefresh({ minutes: 5, refresh: () => {}, onScheduled });
+    expect(onScheduled).toHaveBeenLastCalledWith(new Date("2026-10-19T08:05:00Z"));
+    vi.advanceTimersByTime(5 * 60_000);
+    expect(onScheduled).toHaveBeenLastCalledWith(new Date("2026-10-19T08:10:00Z"));
+    stop();
+  });
+
+  it("never runs more often than once a minute", () => {
+    const refresh = vi.fn();
+    const stop = startAutoRefresh({ minutes: 0, refresh });
+    vi.advanceTimersByTime(59_000);
+    expect(refresh).toHaveBeenCalledTimes(1);
+    vi.advanceTimersByTime(1_000);
+    expect(refresh).toHaveBeenCalledTimes(2);
+    stop();
+  });
+
+  it("stops when cancelled", () => {
+    const refresh = vi.fn();
+    const stop = startAutoRefresh({ minutes: 1, refresh });
+    stop();
+    vi.advanceTimersByTime(10 * 60_000);
+    expect(refresh).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,209 @@
+import { searchPlace } from "./geocode";
+import { fetchReadingHistory } from "./history";
+import { routingProvider, RoutingError } from "./routing";
+import { iaqiToConcentration } from "./standards";
+import { getStationsInBounds, parseStationCoordinates } from "./waqi";
+
+const EARTH_RADIUS_KM = 6371;
+const SAMPLE_SPACING_KM = 0.5;
+// Stations further than this from a route point say little about the air on that street.
+const STATION_RADIUS_KM = 15;
+const BOUNDS_PADDING_DEGREES = 0.1;
+const HISTORY_DAYS = 14;
+const DEPARTURE_HOURS = { first: 5, last: 22 };
+const DEPARTURE_LOOKAHEAD_HOURS = 36;
+
+/**
+ * Inhalation rate (m³/h) and the share of outdoor PM2.5 that reaches the traveller. Car cabins with
+ * recirculation filter part of it; walkers and cyclists breathe street air, cyclists much faster.
+ */
+export const TRAVEL_MODES = {
+  walking: { label: "Walk", inhalation: 1.4, infiltration: 1, speedKmh: 5 },
+  cycling: { label: "Cycle", inhalation: 2.2, infiltration: 1, speedKmh: 15 },
+  driving: { label: "Car", inhalation: 0.6, infiltration: 0.6, speedKmh: 35 },
+};
+
+// Typical urban PM2.5 shape relative to the daily mean (morning and late-evening peaks, clean afternoons),
+// used for hours the user has no stored readings for.
+const DEFAULT_DIURNAL_FACTORS = [
+  1.15, 1.15, 1.1, 1.05, 1.05, 1.1, 1.2, 1.3, 1.3, 1.2, 1.05, 0.95,
+  0.85, 0.8, 0.75, 0.75, 0.8, 0.9, 1.0, 1.1, 1.2, 1.25, 1.25, 1.2,
+];
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+export const distanceKm = (a, b) => {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+/** Accepts "28.61, 77.20" directly and looks anything else up with Nominatim. */
+export const geocodePlace = async (text) => {
+  const query = String(text || "").trim();
+  if (!query) throw new RoutingError("Enter both an origin and a destination.");
+  const coords = /^-?\d/.test(query) ? parseStationCoordinates(query) : null;
+  if (coords) return { label: `${coords.lat.toFixed(3)}, ${coords.lng.toFixed(3)}`, coords };
+  let match;
+  try {
+    match = await searchPlace(query);
+  } catch (err) {
+    throw new RoutingError("Place search is unavailable right now.", { cause: err });
+  }
+  if (!match) throw new RoutingError(`Could not find "${query}".`);
+  return match;
+};
+
+const routeBounds = (routes) => {
+  const points = routes.flatMap((route) => route.coordinates);
+  return {
+    south: Math.min(...points.map((point) => point.lat)) - BOUNDS_PADDING_DEGREES,
+    west: Math.min(...points.map((point) => point.lng)) - BOUNDS_PADDING_DEGREES,
+    north: Math.max(...points.map((point) => point.lat)) + BOUNDS_PADDING_DEGREES,
+    east: Math.max(...points.map((point) => point.lng)) + BOUNDS_PADDING_DEGREES,
+  };
+};
+
+/** Inverse-distance-weighted AQI of the stations near `point`, or null when none are close enough. */
+export const interpolateAqi = (point, stations) => {
+  let weightSum = 0;
+  let valueSum = 0;
+  stations.forEach((station) => {
+    if (station.aqi === null || !station.coords) return;
+    const distance = distanceKm(point, station.coords);
+    if (distance > STATION_RADIUS_KM) return;
+    const weight = 1 / Math.max(distance, 0.5) ** 2;
+    weightSum += weight;
+    valueSum += weight * station.aqi;
+  });
+  return weightSum ? Math.round(valueSum / weightSum) : null;
+};
+
+/** Cuts the route geometry into ~SAMPLE_SPACING_KM pieces so each can carry its own AQI. */
+export const splitRoute = (coordinates) => {
+  const pieces = [];
+  let current = [coordinates[0]];
+  let length = 0;
+  for (let i = 1; i < coordinates.length; i += 1) {
+    length += distanceKm(coordinates[i - 1], coordinates[i]);
+    current.push(coordinates[i]);
+    if (length >= SAMPLE_SPACING_KM || i === coordinates.length - 1) {
+      pieces.push({ coords: current, km: length });
+      current = [coordinates[i]];
+      length = 0;
+    }
+  }
+  return pieces;
+};
+
+/**
+ * Scores one route for a travel mode: time-weighted AQI along it and the PM2.5 mass inhaled (µg).
+ * Pieces without a nearby station borrow the route's average so missing data does not look like clean air.
+ */
+export const scoreRoute = (route, stations, mode) => {
+  const profile = TRAVEL_MODES[mode] || TRAVEL_MODES.walking;
+  const distanceKmTotal = route.distance / 1000;
+  const hours = routingProvider.supports(mode) ? route.duration / 3600 : distanceKmTotal / profile.speedKmh;
+  const pieces = splitRoute(route.coordinates).map((piece) => ({
+    ...piece,
+    aqi: interpolateAqi(piece.coords[Math.floor(piece.coords.length / 2)], stations),
+  }));
+  const measured = pieces.filter((piece) => piece.aqi !== null);
+  const fallbackAqi = measured.length
+    ? measured.reduce((sum, piece) => sum + piece.aqi * piece.km, 0) / measured.reduce((sum, piece) => sum + piece.km, 0)
+    : null;
+  const totalKm = pieces.reduce((sum, piece) => sum + piece.km, 0) || 1;
+  let inhaled = 0;
+  let weightedAqi = 0;
+  const segments = pieces.map((piece) => {
+    const aqi = piece.aqi ?? fallbackAqi;
+    const pieceHours = hours * (piece.km / totalKm);
+    const pm25 = aqi === null ? null : iaqiToConcentration("pm25", aqi);
+    if (pm25 !== null) inhaled += pm25 * profile.inhalation * profile.infiltration * pieceHours;
+    if (aqi !== null) weightedAqi += aqi * (piece.km / totalKm);
+    return { coords: piece.coords, aqi: piece.aqi };
+  });
+  return {
+    id: route.id,
+    distanceKm: Math.round(distanceKmTotal * 10) / 10,
+    durationMin: Math.round(hours * 60),
+    averageAqi: fallbackAqi === null ? null : Math.round(weightedAqi),
+    peakAqi: measured.length ? Math.max(...measured.map((piece) => piece.aqi)) : null,
+    inhaledUg: fallbackAqi === null ? null : Math.round(inhaled),
+    coverage: pieces.length ? Math.round((measured.length / pieces.length) * 100) : 0,
+    segments,
+  };
+};
+
+/** Average AQI per hour of day relative to the overall mean, from stored readings. */
+export const diurnalFactors = (readings) => {
+  const sums = Array.from({ length: 24 }, () => ({ total: 0, count: 0 }));
+  readings.forEach((reading) => {
+    const slot = sums[reading.createdAt.getHours()];
+    slot.total += reading.aqi;
+    slot.count += 1;
+  });
+  const overall = readings.reduce((sum, reading) => sum + reading.aqi, 0) / (readings.length || 1);
+  return sums.map((slot, hour) => (slot.count && overall ? slot.total / slot.count / overall : DEFAULT_DIURNAL_FACTORS[hour]));
+};
+
+/**
+ * Ranks departure hours over the next day and a half: the forecast gives each day's level (today
+ * falls back to the current AQI) and the diurnal factors shape it across the day.
+ * @returns {{ start: Date, end: Date, expectedAqi: number }[]} best first.
+ */
+export const suggestDepartureWindows = ({ forecastPoints, currentAqi, factors, durationMin, now = new Date(), count = 3 }) => {
+  const levelFor = (date) => {
+    const dayStart = new Date(date);
+    dayStart.setHours(0, 0, 0, 0);
+    const point = forecastPoints.find((entry) => entry.date.getTime() === dayStart.getTime());
+    return point?.aqi ?? currentAqi ?? null;
+  };
+  const windows = [];
+  const start = new Date(now);
+  start.setMinutes(0, 0, 0);
+  for (let offset = 1; offset <= DEPARTURE_LOOKAHEAD_HOURS; offset += 1) {
+    const departure = new Date(start.getTime() + offset * 3600 * 1000);
+    const hour = departure.getHours();
+    if (hour < DEPARTURE_HOURS.first || hour > DEPARTURE_HOURS.last) continue;
+    const level = levelFor(departure);
+    if (level === null) continue;
+    windows.push({
+      start: departure,
+      end: new Date(departure.getTime() + Math.max(durationMin, 15) * 60 * 1000),
+      expectedAqi: Math.round(level * factors[hour]),
+    });
+  }
+  return windows.sort((a, b) => a.expectedAqi - b.expectedAqi || a.start - b.start).slice(0, count);
+};
+
+/**
+ * Geocodes both ends, asks the routing provider for alternatives, samples WAQI stations along them and
+ * suggests departure windows. `historyTarget` is the dashboard's trend target, used for the daily rhythm.
+ */
+export const planCommute = async ({ origin, destination, mode, forecastPoints, currentAqi, historyTarget }) => {
+  const [from, to] = await Promise.all([
+    typeof origin === "string" ? geocodePlace(origin) : origin,
+    typeof destination === "string" ? geocodePlace(destination) : destination,
+  ]);
+  const candidates = await routingProvider.getRoutes({ origin: from.coords, destination: to.coords, mode });
+  if (!candidates.length) throw new RoutingError("No route connects those two places.");
+  const stations = await getStationsInBounds(routeBounds(candidates));
+  const routes = candidates
+    .map((candidate, index) => ({ ...scoreRoute(candidate, stations, mode), label: `Route ${String.fromCharCode(65 + index)}` }))
+    .sort((a, b) => (a.inhaledUg ?? Infinity) - (b.inhaledUg ?? Infinity));
+
+  let readings = [];
+  if (historyTarget?.uid) {
+    const since = new Date(Date.now() - HISTORY_DAYS * 24 * 3600 * 1000);
+    readings = await fetchReadingHistory({ ...historyTarget, since }).catch(() => []);
+  }
+  const windows = suggestDepartureWindows({
+    forecastPoints,
+    currentAqi,
+    factors: diurnalFactors(readings),
+    durationMin: routes[0].durationMin,
+  });
+  return { origin: from, destination: to, mode, routes, windows, stationCount: stations.length };
+};
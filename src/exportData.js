@@ -0,0 +1,150 @@
+import { getDocs, orderBy, query, Timestamp, where } from "firebase/firestore";
+import { CHECKED_READING_SOURCES } from "./history";
+import { userCollection } from "./userData";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Readings further apart than this start a new episode even if both are above the threshold.
+const EPISODE_GAP_MS = 3 * HOUR_MS;
+
+export const READING_COLUMNS = [
+  { key: "createdAt", label: "Recorded at" },
+  { key: "label", label: "Location" },
+  { key: "aqi", label: "AQI" },
+  { key: "lat", label: "Latitude" },
+  { key: "lng", label: "Longitude" },
+  { key: "source", label: "Source" },
+  { key: "advice", label: "Advice" },
+];
+
+export const ALERT_COLUMNS = [
+  { key: "createdAt", label: "Alerted at" },
+  { key: "label", label: "Location" },
+  { key: "aqi", label: "AQI" },
+  { key: "threshold", label: "Threshold" },
+  { key: "observedAt", label: "Observed at" },
+  { key: "scope", label: "Scope" },
+  { key: "source", label: "Source" },
+];
+
+const toIso = (value) => {
+  const date = typeof value?.toDate === "function" ? value.toDate() : value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+};
+
+const matchesLocation = (label, location) =>
+  !location || String(label || "").toLowerCase().includes(location.trim().toLowerCase());
+
+/** Start of `from` to the end of `to`, both local calendar days as produced by `<input type="date">`. */
+export const dateRangeBounds = (from, to) => {
+  const start = new Date(`${from}T00:00:00`);
+  const end = new Date(`${to}T00:00:00`);
+  end.setTime(end.getTime() + DAY_MS - 1);
+  return { start, end };
+};
+
+export const toDateInputValue = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60 * 1000);
+  return local.toISOString().slice(0, 10);
+};
+
+const loadInRange = async (uid, name, { from, to, location }, ...filters) => {
+  const { start, end } = dateRangeBounds(from, to);
+  const snapshot = await getDocs(
+    query(
+      userCollection(uid, name),
+      ...filters,
+      where("createdAt", ">=", Timestamp.fromDate(start)),
+      where("createdAt", "<=", Timestamp.fromDate(end)),
+      orderBy("createdAt", "asc")
+    )
+  );
+  return snapshot.docs.map((entry) => ({ id: entry.id, ...entry.data() })).filter((entry) => matchesLocation(entry.label, location));
+};
+
+/**
+ * Stored readings for the range, flattened for export; `location` is a case-insensitive label match.
+ * Like the reading log, only places the user checked are included.
+ */
+export const loadReadingsForExport = async (uid, range) => {
+  const readings = await loadInRange(uid, "readings", range, where("source", "in", CHECKED_READING_SOURCES));
+  return readings.map((entry) => ({
+    createdAt: toIso(entry.createdAt),
+    label: entry.label || null,
+    aqi: Number.isFinite(Number(entry.aqi)) ? Number(entry.aqi) : null,
+    lat: entry.coords?.lat ?? null,
+    lng: entry.coords?.lng ?? null,
+    source: entry.source || null,
+    advice: entry.advice || null,
+  }));
+};
+
+export const loadAlertsForExport = async (uid, range) => {
+  const alerts = await loadInRange(uid, "alerts", range);
+  return alerts.map((entry) => ({
+    createdAt: toIso(entry.createdAt),
+    label: entry.label || null,
+    aqi: Number.isFinite(Number(entry.aqi)) ? Number(entry.aqi) : null,
+    threshold: Number.isFinite(Number(entry.threshold)) ? Number(entry.threshold) : null,
+    observedAt: entry.observedAt || null,
+    scope: entry.scope || null,
+    source: entry.source || null,
+  }));
+};
+
+const escapeCsvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows, columns) =>
+  [columns.map((column) => escapeCsvCell(column.label)).join(","), ...rows.map((row) => columns.map((column) => escapeCsvCell(row[column.key])).join(","))].join(
+    "\r\n"
+  );
+
+export const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export const exportFilename = (kind, { from, to, location }, extension) => {
+  const place = location?.trim() ? `-${location.trim().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "")}` : "";
+  return `atmosense-${kind}${place}-${from}-to-${to}.${extension}`;
+};
+
+/**
+ * Groups consecutive readings at or above `threshold` into episodes per location.
+ * @returns {{ label: string, start: string, end: string, peak: number, count: number }[]}
+ */
+export const findThresholdEpisodes = (readings, threshold) => {
+  const episodes = [];
+  const open = new Map();
+  readings
+    .filter((reading) => reading.createdAt && Number.isFinite(reading.aqi))
+    .forEach((reading) => {
+      const label = reading.label || "Unknown location";
+      const time = new Date(reading.createdAt).getTime();
+      const current = open.get(label);
+      if (reading.aqi < threshold) {
+        open.delete(label);
+        return;
+      }
+      if (current && time - new Date(current.end).getTime() <= EPISODE_GAP_MS) {
+        current.end = reading.createdAt;
+        current.peak = Math.max(current.peak, reading.aqi);
+        current.count += 1;
+        return;
+      }
+      const episode = { label, start: reading.createdAt, end: reading.createdAt, peak: reading.aqi, count: 1 };
+      episodes.push(episode);
+      open.set(label, episode);
+    });
+  return episodes;
+};
@@ -0,0 +1,21 @@
+import { describe, expect, it, vi } from "vitest";
+import { loadReadingsForExport, toDateInputValue } from "./exportData";
+import { recordReading } from "./history";
+
+describe("reading export", () => {
+  it("exports the places the user checked and leaves out ranking rows", async () => {
+    vi.useFakeTimers({ now: new Date("2026-10-19T08:00:00Z"), toFake: ["Date"] });
+    await recordReading("alice", { label: "Delhi", aqi: 168, source: "manual" });
+    await recordReading("alice", { label: "Delhi", aqi: 240, source: "ranking" });
+    await recordReading("alice", { label: "Home", aqi: 95, source: "auto" });
+    await recordReading("alice", { label: "Pune", aqi: 72, source: "link" });
+    const day = toDateInputValue(new Date());
+
+    const rows = await loadReadingsForExport("alice", { from: day, to: day, location: "" });
+    expect(rows.map((row) => [row.label, row.aqi, row.source])).toEqual([
+      ["Delhi", 168, "manual"],
+      ["Home", 95, "auto"],
+      ["Pune", 72, "link"],
+    ]);
+  });
+});
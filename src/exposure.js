@@ -0,0 +1,122 @@
+import { addDoc, getDocs, orderBy, query, serverTimestamp, Timestamp, where } from "firebase/firestore";
+import { iaqiToConcentration } from "./standards";
+import { userCollection } from "./userData";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// A sample stands for the time until the next one, but a long gap means we lost track of the user.
+const MAX_SEGMENT_MS = 2 * HOUR_MS;
+// Berkeley Earth's rule of thumb: breathing 22 µg/m³ of PM2.5 for a day is comparable to one cigarette.
+const CIGARETTE_DOSE = 22 * 24;
+export const EXPOSURE_WEEK_DAYS = 7;
+
+/** Daily dose limits in µg/m³·h, i.e. a 24-hour mean guideline multiplied by 24 hours. */
+export const EXPOSURE_LIMITS = [
+  { id: "who", label: "WHO 2021 guideline (15 µg/m³ daily mean)", dose: 15 * 24 },
+  { id: "sensitive", label: "Sensitive groups (half of WHO)", dose: 7.5 * 24 },
+  { id: "naaqs-in", label: "India NAAQS (60 µg/m³ daily mean)", dose: 60 * 24 },
+];
+export const DEFAULT_EXPOSURE_LIMIT_ID = "who";
+
+export const exposureLimitFor = (limitId) =>
+  EXPOSURE_LIMITS.find((limit) => limit.id === limitId) || EXPOSURE_LIMITS[0];
+
+/**
+ * @typedef {Object} ExposureSample
+ * @property {number} at Epoch ms when the user was at this place.
+ * @property {string} label
+ * @property {{ lat: number, lng: number }|null} coords
+ * @property {number} aqi
+ * @property {number} pm25 PM2.5 concentration in µg/m³.
+ * @property {boolean} estimated True when the station reported no PM2.5 and the AQI stood in for it.
+ */
+
+/** Builds a sample from a WAQI reading; returns null when neither PM2.5 nor the AQI is usable. */
+export const sampleFromReading = (reading, { label, coords, at = Date.now() }) => {
+  const measured = iaqiToConcentration("pm25", reading?.iaqi?.pm25);
+  const pm25 = measured ?? iaqiToConcentration("pm25", reading?.aqi);
+  if (!Number.isFinite(pm25)) return null;
+  return { at, label, coords: coords || null, aqi: reading.aqi, pm25: Math.round(pm25 * 10) / 10, estimated: measured === null };
+};
+
+export const recordExposureSample = (uid, sample) =>
+  addDoc(userCollection(uid, "exposure"), {
+    label: sample.label,
+    coords: sample.coords,
+    aqi: sample.aqi,
+    pm25: sample.pm25,
+    estimated: sample.estimated,
+    ownerUid: uid,
+    createdAt: serverTimestamp(),
+  });
+
+/** @returns {Promise<ExposureSample[]>} oldest first. */
+export const loadExposureSamples = async (uid, since) => {
+  const snapshot = await getDocs(
+    query(userCollection(uid, "exposure"), where("createdAt", ">=", Timestamp.fromDate(since)), orderBy("createdAt", "asc"))
+  );
+  return snapshot.docs
+    .map((entry) => {
+      const data = entry.data();
+      const at = data.createdAt?.toMillis?.();
+      if (!Number.isFinite(at) || !Number.isFinite(data.pm25)) return null;
+      return { at, label: data.label, coords: data.coords || null, aqi: data.aqi, pm25: data.pm25, estimated: Boolean(data.estimated) };
+    })
+    .filter(Boolean);
+};
+
+export const startOfDay = (time) => {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+/**
+ * Turns point samples into time segments: each sample lasts until the next one (or now), capped at
+ * MAX_SEGMENT_MS, and is split at midnight so every segment belongs to one day.
+ */
+export const buildExposureSegments = (samples, now = Date.now()) => {
+  const sorted = [...samples].sort((a, b) => a.at - b.at);
+  const segments = [];
+  sorted.forEach((sample, index) => {
+    const next = sorted[index + 1]?.at ?? now;
+    let start = sample.at;
+    const end = Math.min(next, sample.at + MAX_SEGMENT_MS, now);
+    while (start < end) {
+      const dayEnd = startOfDay(start) + DAY_MS;
+      const sliceEnd = Math.min(end, dayEnd);
+      const hours = (sliceEnd - start) / HOUR_MS;
+      segments.push({ ...sample, start, end: sliceEnd, hours, dose: sample.pm25 * hours });
+      start = sliceEnd;
+    }
+  });
+  return segments;
+};
+
+const summarize = (segments) => {
+  const dose = segments.reduce((sum, segment) => sum + segment.dose, 0);
+  const hours = segments.reduce((sum, segment) => sum + segment.hours, 0);
+  return {
+    dose: Math.round(dose),
+    hours: Math.round(hours * 10) / 10,
+    cigarettes: Math.round((dose / CIGARETTE_DOSE) * 10) / 10,
+    averagePm25: hours ? Math.round(dose / hours) : null,
+    estimated: segments.some((segment) => segment.estimated),
+  };
+};
+
+/** Today's dose, its segments for the timeline, and one total per day for the last week (oldest first). */
+export const summarizeExposure = (samples, now = Date.now()) => {
+  const segments = buildExposureSegments(samples, now);
+  const todayStart = startOfDay(now);
+  const todaySegments = segments.filter((segment) => segment.start >= todayStart);
+  const week = Array.from({ length: EXPOSURE_WEEK_DAYS }, (_, index) => {
+    // The extra hour keeps the subtraction on the right calendar day across DST changes.
+    const dayStart = startOfDay(todayStart - (EXPOSURE_WEEK_DAYS - 1 - index) * DAY_MS + HOUR_MS);
+    const daySegments = segments.filter((segment) => segment.start >= dayStart && segment.start < dayStart + DAY_MS);
+    return { dayStart, ...summarize(daySegments) };
+  });
+  return { today: { ...summarize(todaySegments), segments: todaySegments, dayStart: todayStart }, week };
+};
+
+export const exposureWindowStart = (now = Date.now()) => new Date(startOfDay(now) - (EXPOSURE_WEEK_DAYS - 1) * DAY_MS);
@@ -0,0 +1,136 @@
+import { bucketReadings, fetchReadingHistory, trendWindowStart } from "./history";
+
+// WAQI publishes pollutant forecasts already on the AQI scale; uvi is an index of its own and is skipped.
+const FORECAST_POLLUTANTS = ["pm25", "pm10", "o3"];
+export const FORECAST_HORIZON_DAYS = 5;
+const TRAINING_DAYS = 14;
+const MIN_TRAINING_POINTS = 3;
+const SMOOTHING_ALPHA = 0.5;
+const SMOOTHING_BETA = 0.3;
+// ~80% interval for a normal residual distribution.
+const BAND_Z = 1.28;
+
+/**
+ * @typedef {Object} ForecastPoint
+ * @property {Date} date Local midnight of the forecast day.
+ * @property {number} aqi Expected AQI (the worst pollutant's daily average).
+ * @property {number} min
+ * @property {number} max
+ * @property {"waqi"|"open-meteo"|"model"} source Where the value came from.
+ * @property {string|null} dominantPollutant
+ */
+
+const parseDay = (value) => {
+  const [year, month, day] = String(value || "").split("-").map(Number);
+  if (!year || !month || !day) return null;
+  return new Date(year, month - 1, day);
+};
+
+const startOfToday = (now) => {
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+  return today;
+};
+
+/** @returns {ForecastPoint[]} */
+/** `source` is the provider that published the block; Open-Meteo forecasts are folded into the same shape. */
+export const parseWaqiForecast = (daily, now = new Date(), source = "waqi") => {
+  if (!daily) return [];
+  const byDay = new Map();
+  FORECAST_POLLUTANTS.forEach((pollutant) => {
+    (daily[pollutant] || []).forEach((entry) => {
+      const date = parseDay(entry?.day);
+      const avg = Number(entry?.avg);
+      if (!date || !Number.isFinite(avg)) return;
+      const key = date.getTime();
+      const current = byDay.get(key);
+      if (!current || avg > current.aqi) {
+        byDay.set(key, {
+          date,
+          aqi: Math.round(avg),
+          min: Math.round(Number(entry.min ?? avg)),
+          max: Math.round(Number(entry.max ?? avg)),
+          source,
+          dominantPollutant: pollutant,
+        });
+      }
+    });
+  });
+  const today = startOfToday(now).getTime();
+  return [...byDay.values()]
+    .filter((point) => point.date.getTime() >= today)
+    .sort((a, b) => a.date - b.date)
+    .slice(0, FORECAST_HORIZON_DAYS + 1);
+};
+
+// Fills interior gaps linearly so the smoothing model sees an evenly spaced daily series.
+const interpolateGaps = (values) => {
+  const present = values.map((value) => value !== null);
+  const firstIndex = present.indexOf(true);
+  if (firstIndex === -1) return [];
+  const series = values.slice(firstIndex, present.lastIndexOf(true) + 1);
+  return series.map((value, index) => {
+    if (value !== null) return value;
+    const prevIndex = series.slice(0, index).map((v) => v !== null).lastIndexOf(true);
+    const nextOffset = series.slice(index + 1).findIndex((v) => v !== null);
+    const nextIndex = index + 1 + nextOffset;
+    const ratio = (index - prevIndex) / (nextIndex - prevIndex);
+    return series[prevIndex] + (series[nextIndex] - series[prevIndex]) * ratio;
+  });
+};
+
+/**
+ * Holt's linear (double) exponential smoothing over daily averages.
+ * @returns {{ level: number, trend: number, residualSd: number }|null}
+ */
+export const fitHoltModel = (series, alpha = SMOOTHING_ALPHA, beta = SMOOTHING_BETA) => {
+  if (series.length < MIN_TRAINING_POINTS) return null;
+  let level = series[0];
+  let trend = series[1] - series[0];
+  const residuals = [];
+  for (let i = 1; i < series.length; i += 1) {
+    const predicted = level + trend;
+    residuals.push(series[i] - predicted);
+    const nextLevel = alpha * series[i] + (1 - alpha) * predicted;
+    trend = beta * (nextLevel - level) + (1 - beta) * trend;
+    level = nextLevel;
+  }
+  const variance = residuals.reduce((sum, value) => sum + value * value, 0) / residuals.length;
+  return { level, trend, residualSd: Math.sqrt(variance) };
+};
+
+/** @returns {ForecastPoint[]} */
+export const projectModelForecast = (dailyAverages, now = new Date(), horizon = FORECAST_HORIZON_DAYS) => {
+  const model = fitHoltModel(interpolateGaps(dailyAverages));
+  if (!model) return [];
+  const today = startOfToday(now);
+  return Array.from({ length: horizon }, (_, i) => {
+    const step = i + 1;
+    const date = new Date(today);
+    date.setDate(date.getDate() + step);
+    const expected = Math.max(0, model.level + model.trend * step);
+    const spread = BAND_Z * model.residualSd * Math.sqrt(step);
+    return {
+      date,
+      aqi: Math.round(expected),
+      min: Math.round(Math.max(0, expected - spread)),
+      max: Math.round(expected + spread),
+      source: "model",
+      dominantPollutant: null,
+    };
+  });
+};
+
+export const buildLocalForecast = async (target, now = new Date()) => {
+  const readings = await fetchReadingHistory({ ...target, since: trendWindowStart("day", now, TRAINING_DAYS) });
+  const buckets = bucketReadings(readings, "day", now, TRAINING_DAYS);
+  return projectModelForecast(buckets.map((bucket) => bucket.avg), now);
+};
+
+/** Prefers the provider's published forecast and falls back to the local model trained on stored readings. */
+export const loadForecast = async ({ daily, target, source = "waqi" }, now = new Date()) => {
+  const published = parseWaqiForecast(daily, now, source);
+  if (published.length) return published;
+  if (!target) return [];
+  return buildLocalForecast(target, now);
+};
@@ -0,0 +1,99 @@
+const NOMINATIM_SEARCH_URL = "https://nominatim.openstreetmap.org/search";
+const NOMINATIM_REVERSE_URL = "https://nominatim.openstreetmap.org/reverse";
+// Nominatim's usage policy forbids autocomplete, so search-as-you-type goes to Photon (also OpenStreetMap
+// data), which is built for it. Nominatim only sees names the user submits.
+const PHOTON_URL = "https://photon.komoot.io/api/";
+// Nominatim's usage policy allows one request per second per client. Browsers identify the app
+// through the Referer header; a custom User-Agent is a forbidden header there and would be dropped.
+const NOMINATIM_INTERVAL_MS = 1000;
+
+let nominatimQueue = Promise.resolve();
+let lastNominatimAt = 0;
+
+const waitFor = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+
+/**
+ * `fetch` for every Nominatim call in the app, run one at a time and at least a second apart. A request
+ * whose `signal` aborts while it waits for its turn is dropped without using up a slot, so a superseded
+ * lookup does not hold up the ones queued behind it.
+ */
+const nominatimFetch = (url, { signal } = {}) => {
+  const turn = nominatimQueue.then(async () => {
+    signal?.throwIfAborted();
+    const waitMs = lastNominatimAt + NOMINATIM_INTERVAL_MS - Date.now();
+    if (waitMs > 0) await waitFor(waitMs, signal);
+    lastNominatimAt = Date.now();
+    return fetch(url, { signal });
+  });
+  nominatimQueue = turn.catch(() => {});
+  return turn;
+};
+
+/**
+ * Forward geocoding through Nominatim. Resolves to null when nothing matches and throws when the
+ * service itself cannot be reached, so callers can word the two cases differently. Rejects with the
+ * abort reason when `signal` aborts first.
+ * @returns {Promise<{ label: string, coords: { lat: number, lng: number } }|null>}
+ */
+export const searchPlace = async (text, { signal } = {}) => {
+  const response = await nominatimFetch(`${NOMINATIM_SEARCH_URL}?format=jsonv2&limit=1&q=${encodeURIComponent(text)}`, {
+    signal,
+  });
+  if (!response.ok) throw new Error(`Nominatim responded ${response.status}`);
+  const [match] = await response.json();
+  if (!match) return null;
+  return { label: match.name || match.display_name.split(",")[0], coords: { lat: Number(match.lat), lng: Number(match.lon) } };
+};
+
+// Photon `type` values that name a settlement rather than a street, district or landmark.
+const CITY_TYPES = new Set(["city", "town", "village", "municipality", "hamlet"]);
+
+/**
+ * Several forward-geocoding matches for the search-as-you-type box from Photon, each tagged as a
+ * settlement ("city") or anything else ("place"). Throws when Photon cannot be reached.
+ * @returns {Promise<{ kind: "city"|"place", label: string, detail: string, coords: { lat: number, lng: number } }[]>}
+ */
+export const suggestPlaces = async (text, { limit = 5 } = {}) => {
+  const response = await fetch(`${PHOTON_URL}?limit=${limit}&q=${encodeURIComponent(text)}`);
+  if (!response.ok) throw new Error(`Photon responded ${response.status}`);
+  const { features = [] } = await response.json();
+  return features
+    .map(({ geometry, properties = {} }) => {
+      const [lng, lat] = geometry?.coordinates || [];
+      const isCity = CITY_TYPES.has(properties.type) || (properties.osm_key === "place" && CITY_TYPES.has(properties.osm_value));
+      const detail = [properties.district, properties.city, properties.state, properties.country].filter(
+        (part, index, parts) => part && part !== properties.name && parts.indexOf(part) === index
+      );
+      return {
+        kind: isCity ? "city" : "place",
+        label: properties.name || detail[0] || "",
+        detail: detail.join(", "),
+        coords: { lat: Number(lat), lng: Number(lng) },
+      };
+    })
+    .filter((place) => place.label && Number.isFinite(place.coords.lat) && Number.isFinite(place.coords.lng));
+};
+
+/**
+ * Reverse geocoding at neighbourhood level (zoom 14); street-level detail is not needed for a label.
+ * Resolves to Nominatim's `address` block, or null when the point has none; `signal` works as in searchPlace.
+ */
+export const reverseGeocode = async ({ lat, lng }, { signal } = {}) => {
+  const response = await nominatimFetch(`${NOMINATIM_REVERSE_URL}?format=jsonv2&lat=${lat}&lon=${lng}&zoom=14&addressdetails=1`, {
+    signal,
+  });
+  if (!response.ok) throw new Error(`Nominatim responded ${response.status}`);
+  const data = await response.json();
+  return data?.address || null;
+};
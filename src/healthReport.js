@@ -0,0 +1,190 @@
+import Chart from "chart.js/auto";
+import { bucketReadings } from "./history";
+import { dateRangeBounds, findThresholdEpisodes } from "./exportData";
+import { createTranslator } from "./i18n";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CHECKLIST_STATUS_LABELS = { urgent: "Do now", recommended: "Recommended", optional: "Optional", done: "Done" };
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+
+// Drawn off-screen and embedded as an image so the report prints without a live chart instance.
+const renderTrendImage = (buckets, threshold, { formatDate, formatNumber }) => {
+  const canvas = document.createElement("canvas");
+  canvas.width = 900;
+  canvas.height = 320;
+  const chart = new Chart(canvas, {
+    type: "line",
+    data: {
+      labels: buckets.map((bucket) => formatDate(bucket.start)),
+      datasets: [
+        { label: "Daily average", data: buckets.map((bucket) => bucket.avg), borderColor: "#0f766e", spanGaps: true, tension: 0.3 },
+        { label: "Daily peak", data: buckets.map((bucket) => bucket.max), borderColor: "#dc2626", borderDash: [6, 4], spanGaps: true },
+        { label: `Your threshold (${formatNumber(threshold)})`, data: buckets.map(() => threshold), borderColor: "#94a3b8", pointRadius: 0 },
+      ],
+    },
+    options: {
+      animation: false,
+      responsive: false,
+      devicePixelRatio: 2,
+      plugins: { legend: { position: "bottom" } },
+      scales: { y: { beginAtZero: true, title: { display: true, text: "AQI" } } },
+    },
+  });
+  const image = canvas.toDataURL("image/png");
+  chart.destroy();
+  return image;
+};
+
+const summarize = (readings, buckets, threshold) => {
+  const values = readings.map((reading) => reading.aqi).filter(Number.isFinite);
+  const peak = readings.reduce((best, reading) => (reading.aqi > (best?.aqi ?? -Infinity) ? reading : best), null);
+  return {
+    count: values.length,
+    average: values.length ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null,
+    peak,
+    daysAbove: buckets.filter((bucket) => bucket.max !== null && bucket.max >= threshold).length,
+    daysWithData: buckets.filter((bucket) => bucket.count > 0).length,
+  };
+};
+
+const table = (headers, rows) =>
+  rows.length
+    ? `<table><thead><tr>${headers.map((header) => `<th>${escapeHtml(header)}</th>`).join("")}</tr></thead><tbody>${rows
+        .map((cells) => `<tr>${cells.map((cell) => `<td>${escapeHtml(cell)}</td>`).join("")}</tr>`)
+        .join("")}</tbody></table>`
+    : `<p class="muted">Nothing recorded for this period.</p>`;
+
+/**
+ * Fills `reportWindow` (opened synchronously in the click handler so popup blockers allow it) with a
+ * print-ready health report and opens the print dialog, where the user can save it as PDF. Dates and
+ * numbers follow the app language (`locale`).
+ */
+export const writeHealthReport = (
+  reportWindow,
+  { range, readings, alerts, threshold, evaluation, standard, profileSummary, diseases, checklist, locale }
+) => {
+  const { formatNumber, formatDate, formatDateTime } = createTranslator(locale);
+  const formatTime = (iso) => (iso ? formatDateTime(iso) : "—");
+  const formatAqi = (value) => (Number.isFinite(Number(value)) ? formatNumber(Number(value)) : "—");
+  const { start, end } = dateRangeBounds(range.from, range.to);
+  const period = `${formatDate(start, { dateStyle: "medium" })} to ${formatDate(end, { dateStyle: "medium" })}`;
+  const dayCount = Math.max(1, Math.round((end.getTime() - start.getTime()) / DAY_MS));
+  const datedReadings = readings
+    .filter((reading) => reading.createdAt && Number.isFinite(reading.aqi))
+    .map((reading) => ({ ...reading, createdAt: new Date(reading.createdAt) }));
+  const buckets = bucketReadings(datedReadings, "day", end, dayCount);
+  const stats = summarize(readings, buckets, threshold);
+  const episodes = findThresholdEpisodes(readings, threshold);
+  const trendImage = stats.count ? renderTrendImage(buckets, threshold, { formatDate, formatNumber }) : null;
+
+  const pollutantRows = (evaluation?.subIndices || []).map((entry) => [
+    entry.label,
+    `${formatNumber(entry.concentration, {
+      minimumFractionDigits: entry.pollutant === "co" ? 2 : 0,
+      maximumFractionDigits: entry.pollutant === "co" ? 2 : 0,
+    })} ${entry.unit}`,
+    formatAqi(entry.subIndex),
+    entry.band.label,
+  ]);
+  const episodeRows = episodes.map((episode) => [
+    episode.label,
+    formatTime(episode.start),
+    formatTime(episode.end),
+    formatAqi(episode.peak),
+    formatNumber(episode.count),
+  ]);
+  const alertRows = alerts.map((entry) => [
+    formatTime(entry.createdAt),
+    entry.label,
+    formatAqi(entry.aqi),
+    formatAqi(entry.threshold),
+    entry.source || "—",
+  ]);
+
+  const html = `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>Air quality health report • ${escapeHtml(period)}</title>
+<style>
+  @page { margin: 16mm; }
+  body { font-family: Inter, system-ui, sans-serif; color: #0f172a; margin: 24px; line-height: 1.45; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 16px; margin: 28px 0 8px; border-bottom: 1px solid #cbd5e1; padding-bottom: 4px; }
+  .muted { color: #475569; font-size: 13px; }
+  .stats { display: grid; grid-template-columns: repeat(4, 1fr); gap: 12px; margin-top: 16px; }
+  .stat { border: 1px solid #cbd5e1; border-radius: 8px; padding: 10px; }
+  .stat strong { display: block; font-size: 20px; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e2e8f0; }
+  th { background: #f1f5f9; }
+  img { width: 100%; max-width: 900px; }
+  ul { padding-left: 20px; }
+  li { margin-bottom: 6px; }
+  .print-button { margin-top: 24px; padding: 8px 16px; }
+  @media print { .print-button { display: none; } }
+</style>
+</head>
+<body>
+  <h1>Air quality health report</h1>
+  <div class="muted">
+    ${escapeHtml(period)} • ${escapeHtml(range.location?.trim() || "All locations")} •
+    ${escapeHtml(standard.name)} • Generated ${escapeHtml(formatDateTime(new Date()))}
+  </div>
+  <div class="muted">Health profile: ${escapeHtml(profileSummary)} • Alert threshold: ${escapeHtml(formatAqi(threshold))} AQI</div>
+
+  <div class="stats">
+    <div class="stat"><span class="muted">Readings</span><strong>${escapeHtml(formatNumber(stats.count))}</strong></div>
+    <div class="stat"><span class="muted">Average AQI</span><strong>${escapeHtml(formatAqi(stats.average))}</strong></div>
+    <div class="stat"><span class="muted">Peak AQI</span><strong>${stats.peak ? escapeHtml(formatAqi(stats.peak.aqi)) : "—"}</strong>
+      <span class="muted">${stats.peak ? `${escapeHtml(stats.peak.label)} • ${escapeHtml(formatTime(stats.peak.createdAt))}` : ""}</span></div>
+    <div class="stat"><span class="muted">Days at or above threshold</span><strong>${escapeHtml(formatNumber(stats.daysAbove))} / ${escapeHtml(formatNumber(stats.daysWithData))}</strong></div>
+  </div>
+
+  <h2>AQI trend</h2>
+  ${trendImage ? `<img src="${trendImage}" alt="Daily average and peak AQI" />` : `<p class="muted">No stored readings in this period.</p>`}
+
+  <h2>Pollutant breakdown (latest reading)</h2>
+  ${table(["Pollutant", "Concentration", "Sub-index", "Category"], pollutantRows)}
+
+  <h2>Episodes above your threshold</h2>
+  ${table(["Location", "From", "To", "Peak AQI", "Readings"], episodeRows)}
+
+  <h2>Alerts sent</h2>
+  ${table(["Time", "Location", "AQI", "Threshold", "Channel"], alertRows)}
+
+  <h2>Personalized prevention guidance</h2>
+  <ul>
+    ${diseases
+      .map(
+        (item) =>
+          `<li><strong>${escapeHtml(item.name)}</strong>: ${escapeHtml(item.prevention)}${
+            item.personalTip ? `<br /><em>For you: ${escapeHtml(item.personalTip)}</em>` : ""
+          }</li>`
+      )
+      .join("")}
+  </ul>
+
+  <h2>Readiness checklist</h2>
+  <ul>
+    ${checklist
+      .map(
+        (item) =>
+          `<li><strong>${escapeHtml(item.label)}</strong> (${escapeHtml(CHECKLIST_STATUS_LABELS[item.status] || item.status)}): ${escapeHtml(item.hint)}</li>`
+      )
+      .join("")}
+  </ul>
+
+  <p class="muted">Readings are as logged by this dashboard from public monitoring stations; this report is not medical advice.</p>
+  <button class="print-button" onclick="window.print()">Print / save as PDF</button>
+</body>
+</html>`;
+
+  reportWindow.document.open();
+  reportWindow.document.write(html);
+  reportWindow.document.close();
+  reportWindow.focus();
+  reportWindow.print();
+};
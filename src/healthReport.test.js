@@ -0,0 +1,32 @@
+import { describe, expect, it, vi } from "vitest";
+import { writeHealthReport } from "./healthReport";
+import { createTranslator } from "./i18n";
+import { getStandard } from "./standards";
+
+const reportHtml = (locale) => {
+  const write = vi.fn();
+  const reportWindow = { document: { open: vi.fn(), write, close: vi.fn() }, focus: vi.fn(), print: vi.fn() };
+  writeHealthReport(reportWindow, {
+    range: { from: "2026-10-12", to: "2026-10-19", location: "" },
+    readings: [],
+    alerts: [{ createdAt: "2026-10-18T09:30:00Z", label: "Delhi", aqi: 168, threshold: 150, source: "browser" }],
+    threshold: 150,
+    evaluation: null,
+    standard: getStandard("us-epa"),
+    profileSummary: "Adult",
+    diseases: [],
+    checklist: [],
+    locale,
+  });
+  return write.mock.calls[0][0];
+};
+
+describe("writeHealthReport", () => {
+  it("formats dates and numbers in the app language", () => {
+    const { formatDateTime, formatNumber } = createTranslator("mr");
+    const html = reportHtml("mr");
+    expect(html).toContain(`<td>${formatDateTime("2026-10-18T09:30:00Z")}</td><td>Delhi</td><td>${formatNumber(168)}</td>`);
+    expect(html).toContain(`Alert threshold: ${formatNumber(150)} AQI`);
+    expect(formatNumber(168)).not.toBe("168");
+  });
+});
@@ -0,0 +1,107 @@
+import { addDoc, getDocs, orderBy, query, serverTimestamp, Timestamp, where } from "firebase/firestore";
+import { userCollection } from "./userData";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Roughly 5 km; GPS fixes drift, so nearby readings count as the same place.
+const COORD_MATCH_DEGREES = 0.05;
+
+export const TREND_UNITS = {
+  day: { count: 7, stepMs: DAY_MS },
+  hour: { count: 24, stepMs: HOUR_MS },
+};
+
+const toDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  if (typeof value.toDate === "function") return value.toDate();
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+};
+
+const isNearby = (a, b) =>
+  Boolean(a && b) && Math.abs(a.lat - b.lat) <= COORD_MATCH_DEGREES && Math.abs(a.lng - b.lng) <= COORD_MATCH_DEGREES;
+
+const toReading = (snapshot) => {
+  const data = snapshot.data();
+  const aqi = Number(data.aqi);
+  const createdAt = toDate(data.createdAt);
+  if (!Number.isFinite(aqi) || !createdAt) return null;
+  return { id: snapshot.id, label: data.label, coords: data.coords || null, aqi, createdAt };
+};
+
+const startOfBucket = (date, unit) => {
+  const start = new Date(date);
+  start.setMinutes(0, 0, 0);
+  if (unit === "day") start.setHours(0);
+  return start;
+};
+
+export const trendWindowStart = (unit, now = new Date(), count = TREND_UNITS[unit].count) => {
+  const start = startOfBucket(now, unit);
+  if (unit === "day") {
+    start.setDate(start.getDate() - (count - 1));
+  } else {
+    start.setHours(start.getHours() - (count - 1));
+  }
+  return start;
+};
+
+// Readings the dashboard, map and opened share links fetched for the user. Earlier releases also stored ranking refreshes here
+// (`source: "ranking"`); those stay out of everything the user reads back.
+export const CHECKED_READING_SOURCES = ["manual", "auto", "map", "link"];
+
+export const recordReading = (uid, reading) =>
+  addDoc(userCollection(uid, "readings"), { ...reading, ownerUid: uid, createdAt: serverTimestamp() });
+
+export const fetchReadingHistory = async ({ uid, label, coords, since }) => {
+  if (!uid) return [];
+  const readings = userCollection(uid, "readings");
+  const sinceStamp = Timestamp.fromDate(since);
+  if (label) {
+    const byLabel = await getDocs(
+      query(readings, where("label", "==", label), where("createdAt", ">=", sinceStamp), orderBy("createdAt", "asc"))
+    );
+    const matched = byLabel.docs.map(toReading).filter(Boolean);
+    if (matched.length || !coords) return matched;
+  }
+  if (!coords) return [];
+  const byTime = await getDocs(query(readings, where("createdAt", ">=", sinceStamp), orderBy("createdAt", "asc")));
+  return byTime.docs
+    .map(toReading)
+    .filter((reading) => reading && isNearby(reading.coords, coords));
+};
+
+export const bucketReadings = (readings, unit = "day", now = new Date(), count = TREND_UNITS[unit].count) => {
+  const windowStart = trendWindowStart(unit, now, count);
+  const buckets = Array.from({ length: count }, (_, i) => {
+    const start = new Date(windowStart);
+    if (unit === "day") {
+      start.setDate(start.getDate() + i);
+    } else {
+      start.setHours(start.getHours() + i);
+    }
+    return { start, unit, values: [] };
+  });
+
+  readings.forEach((reading) => {
+    const key = startOfBucket(reading.createdAt, unit).getTime();
+    const bucket = buckets.find((entry) => entry.start.getTime() === key);
+    if (bucket) bucket.values.push(reading.aqi);
+  });
+
+  return buckets.map(({ start, unit, values }) => {
+    if (!values.length) {
+      return { start, unit, count: 0, min: null, avg: null, max: null };
+    }
+    const total = values.reduce((sum, value) => sum + value, 0);
+    return {
+      start,
+      unit,
+      count: values.length,
+      min: Math.min(...values),
+      avg: Math.round(total / values.length),
+      max: Math.max(...values),
+    };
+  });
+};
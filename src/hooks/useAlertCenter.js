@@ -0,0 +1,66 @@
+import { useCallback, useEffect, useRef } from "react";
+import { shouldDeliver } from "../alertPolicy";
+import { showLocalNotification } from "../pwa";
+import { actions, selectUid, useAppStore } from "../store";
+import { recordAlert } from "../userData";
+
+/**
+ * Browser notifications and the alert log. Mount it once (in the app shell): cooldowns live here and are
+ * tracked per scope, so alerts for one watched place never mute another.
+ */
+export const useAlertCenter = () => {
+  const { dispatch, getState } = useAppStore();
+  const lastAlertRef = useRef({});
+
+  const requestPermission = useCallback(async () => {
+    if (!("Notification" in window)) {
+      dispatch(actions.setNotificationStatus("unsupported"));
+      return;
+    }
+    if (Notification.permission === "granted") {
+      dispatch(actions.setNotificationStatus("granted"));
+      return;
+    }
+    dispatch(actions.setNotificationStatus(await Notification.requestPermission()));
+  }, [dispatch]);
+
+  useEffect(() => {
+    requestPermission();
+  }, [requestPermission]);
+
+  const notify = useCallback(
+    (title, body, signature = `${title}-${body}`, scope = "dashboard") => {
+      if (getState().notificationStatus !== "granted") return false;
+      const now = Date.now();
+      if (!shouldDeliver(lastAlertRef.current[scope], signature, now)) {
+        return false;
+      }
+      try {
+        showLocalNotification(title, { body, tag: `aqi-${scope}` }).catch((err) => console.warn("Notification error", err));
+        lastAlertRef.current[scope] = { timestamp: now, signature };
+        return true;
+      } catch (err) {
+        console.warn("Notification error", err);
+        return false;
+      }
+    },
+    [getState]
+  );
+
+  // The Alerts page reads the log back from Firestore, so it only needs writing here.
+  const logAlert = useCallback(
+    (entry) => {
+      const uid = selectUid(getState());
+      if (uid) {
+        recordAlert(uid, { ...entry, source: "browser" }).catch((err) => console.warn("Failed to store alert", err));
+      }
+    },
+    [getState]
+  );
+
+  const forgetScope = useCallback((scope) => {
+    delete lastAlertRef.current[scope];
+  }, []);
+
+  return { notify, logAlert, forgetScope, requestPermission };
+};
@@ -0,0 +1,92 @@
+import { act, renderHook } from "@testing-library/react";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { ALERT_COOLDOWN_MS } from "../alertPolicy";
+import { actions } from "../store";
+import { useAlertCenter } from "./useAlertCenter";
+
+// A stand-in for the app store with stable identities, like the real provider's.
+const store = vi.hoisted(() => {
+  const stub = { state: {}, dispatch: null };
+  stub.api = { dispatch: (action) => stub.dispatch(action), getState: () => stub.state };
+  return stub;
+});
+
+vi.mock("../store", async (importOriginal) => ({
+  ...(await importOriginal()),
+  useAppStore: () => store.api,
+}));
+
+const stubNotification = (permission, answer = permission) => {
+  const Notification = vi.fn();
+  Notification.permission = permission;
+  Notification.requestPermission = vi.fn(async () => answer);
+  vi.stubGlobal("Notification", Notification);
+  return Notification;
+};
+
+const renderAlertCenter = async () => {
+  const hook = renderHook(() => useAlertCenter());
+  await act(async () => {});
+  return hook.result;
+};
+
+describe("useAlertCenter", () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ now: new Date("2026-10-19T08:00:00Z") });
+    store.state = { notificationStatus: "granted", user: null };
+    store.dispatch = vi.fn();
+  });
+  afterEach(() => vi.unstubAllGlobals());
+
+  it("asks for permission on mount and stores the answer", async () => {
+    const Notification = stubNotification("default", "denied");
+    await renderAlertCenter();
+    expect(Notification.requestPermission).toHaveBeenCalledTimes(1);
+    expect(store.dispatch).toHaveBeenCalledWith(actions.setNotificationStatus("denied"));
+  });
+
+  it("reports browsers without notifications", async () => {
+    // jsdom has no Notification API of its own.
+    expect("Notification" in window).toBe(false);
+    await renderAlertCenter();
+    expect(store.dispatch).toHaveBeenCalledWith(actions.setNotificationStatus("unsupported"));
+  });
+
+  it("stays silent until permission is granted", async () => {
+    const Notification = stubNotification("default");
+    store.state.notificationStatus = "default";
+    const result = await renderAlertCenter();
+    expect(result.current.notify("AQI Alert", "Delhi is at 168")).toBe(false);
+    expect(Notification).not.toHaveBeenCalled();
+  });
+
+  it("holds back a repeat for the cooldown unless the signature changes", async () => {
+    const Notification = stubNotification("granted");
+    const result = await renderAlertCenter();
+    const { notify } = result.current;
+
+    expect(notify("AQI Alert", "Delhi is at 168", "aqi-168")).toBe(true);
+    vi.advanceTimersByTime(ALERT_COOLDOWN_MS);
+    expect(notify("AQI Alert", "Delhi is at 168", "aqi-168")).toBe(false);
+    expect(notify("AQI Alert", "Delhi is at 201", "aqi-201")).toBe(true);
+    vi.advanceTimersByTime(ALERT_COOLDOWN_MS + 1);
+    expect(notify("AQI Alert", "Delhi is at 201", "aqi-201")).toBe(true);
+
+    await act(async () => {});
+    expect(Notification).toHaveBeenCalledTimes(3);
+    expect(Notification).toHaveBeenLastCalledWith("AQI Alert", expect.objectContaining({ body: "Delhi is at 201", tag: "aqi-dashboard" }));
+  });
+
+  it("keeps each scope's cooldown separate and forgets a removed scope", async () => {
+    stubNotification("granted");
+    const result = await renderAlertCenter();
+    const { notify, forgetScope } = result.current;
+
+    expect(notify("Home", "AQI 180", "home-180", "place:home")).toBe(true);
+    expect(notify("Office", "AQI 180", "home-180", "place:office")).toBe(true);
+    expect(notify("Home", "AQI 180", "home-180", "place:home")).toBe(false);
+
+    forgetScope("place:home");
+    expect(notify("Home", "AQI 180", "home-180", "place:home")).toBe(true);
+  });
+});
@@ -0,0 +1,224 @@
+import { useCallback, useEffect, useRef } from "react";
+import { readingAnnouncement } from "../alertPolicy";
+import { recordExposureSample, sampleFromReading } from "../exposure";
+import { recordReading } from "../history";
+import { createTranslator } from "../i18n";
+import { AqiProviderError, getAqiReading, isNetworkError } from "../providers";
+import { loadLastKnownReading, saveLastKnownReading } from "../pwa";
+import { evaluateReading, healthAdvice } from "../standards";
+import { actions, selectDeviceCoords, selectUid, useAppState, useAppStore } from "../store";
+import { toStationTime, WaqiError } from "../waqi";
+
+// Moving ~50m from the last fetched device fix fetches a new reading.
+const MOVE_THRESHOLD_DEGREES = 0.0005;
+
+/**
+ * The main AQI feed: fetches readings for the typed city, a picked search suggestion, a map station or
+ * the current fix, then records them (history, alerts, exposure, last known reading). Re-fetches on its
+ * own whenever a tracked fix moves far enough; everything else calls the returned `fetchAqi`, which
+ * takes `city`, `target` or `station` to look up a given place instead of the search box's.
+ */
+export const useAqiFeed = ({ notify, logAlert }) => {
+  const { dispatch, getState } = useAppStore();
+  const coords = useAppState(selectDeviceCoords);
+  // While the user looks at a place they picked, moving around does not replace its reading.
+  const pinnedManually = useAppState((state) => state.location.source === "manual");
+  const lastFetchedCoordsRef = useRef(null);
+  // The last announced reading, so screen readers hear changes for the same place rather than every refresh.
+  const lastAnnouncedRef = useRef({ label: null, aqi: null });
+
+  // Shows the last network reading, flagged as stale, when the device cannot reach WAQI.
+  const restoreLastKnownReading = useCallback(() => {
+    const lastKnown = loadLastKnownReading();
+    if (!lastKnown) return false;
+    dispatch(actions.readingRestored(lastKnown));
+    return true;
+  }, [dispatch]);
+
+  useEffect(() => {
+    restoreLastKnownReading();
+  }, [restoreLastKnownReading]);
+
+  const fetchAqi = useCallback(
+    async ({
+      source = "manual",
+      forceLocation = false,
+      geoOverride = null,
+      station = null,
+      target: picked = null,
+      city: cityOverride = null,
+    } = {}) => {
+      const state = getState();
+      // A city passed in (from a shared link) wins over the search box, which may not have caught up yet.
+      const city = cityOverride ?? state.feed.city;
+      const storedTarget = state.feed.target;
+      const { alertThreshold, providers, standardId, locale } = state.settings;
+      const uid = selectUid(state);
+      const setFetchError = (error) => dispatch(actions.updateFeed({ error }));
+      try {
+        // A map station or a picked search suggestion (just now, or earlier and still in the search box)
+        // pins the lookup to an exact station or point.
+        const pinned = station
+          ? { kind: "station", stationId: station.stationId, coords: station.coords, name: station.name }
+          : picked || (forceLocation ? null : storedTarget);
+        const shouldUseGeo = !pinned && (forceLocation || !city);
+        const geoTarget = pinned ? null : geoOverride || selectDeviceCoords(state);
+        if (shouldUseGeo && !geoTarget) {
+          if (source === "manual") {
+            setFetchError("Allow location access or enter a city to fetch AQI.");
+          }
+          return;
+        }
+        if (!pinned && !shouldUseGeo && !city) {
+          setFetchError("Enter a city name to fetch AQI data.");
+          return;
+        }
+        const target = pinned
+          ? pinned.kind === "station"
+            ? { kind: "station", stationId: pinned.stationId, coords: pinned.coords }
+            : { kind: "geo", coords: pinned.coords }
+          : shouldUseGeo
+          ? { kind: "geo", coords: geoTarget }
+          : { kind: "city", name: city };
+        const reading = await getAqiReading(target, providers);
+
+        const aqiValue = reading.aqi;
+        if (aqiValue === null) {
+          setFetchError("AQI readings are unavailable for this location right now.");
+          return;
+        }
+        const observedAt = reading.observedAt || toStationTime();
+        const stationCoords = reading.coords;
+        // Where a non-GPS lookup sits: the picked point, otherwise the station that answered.
+        const lookupCoords = pinned?.kind === "geo" ? pinned.coords : stationCoords || pinned?.coords || null;
+        const label =
+          pinned?.kind === "station"
+            ? reading.stationName || pinned.name
+            : pinned
+            ? pinned.label
+            : !shouldUseGeo && city?.trim()
+            ? city.trim()
+            : reading.stationName ||
+              (geoTarget ? `Lat ${geoTarget.lat.toFixed(2)}, Lng ${geoTarget.lng.toFixed(2)}` : "Your location");
+        const [adviceText, preventionText] = healthAdvice(reading, standardId);
+        dispatch(actions.readingReceived({ reading, label, observedAt }));
+        // A response the service worker replayed offline is already in history and has already alerted.
+        if (reading.staleSince) return;
+        saveLastKnownReading(reading, label);
+        if (shouldUseGeo) {
+          // Asking for your own location ends a pinned city or station lookup.
+          lastFetchedCoordsRef.current = geoTarget;
+          dispatch(actions.releaseManualLocation());
+        } else {
+          const status = pinned?.kind === "station" ? "Station lookup" : "City lookup";
+          dispatch(
+            lookupCoords ? actions.locationFix({ source: "manual", coords: lookupCoords, status }) : actions.updateLocation({ status })
+          );
+          // Only typed names are restored into the search box; a picked suggestion's label may not resolve by name.
+          if (!pinned) dispatch(actions.updateSettings({ lastCity: city.trim() }));
+        }
+        // Notifications go out in the user's language; what is stored stays in English.
+        const { t, formatNumber } = createTranslator(locale);
+        if (source === "manual") {
+          dispatch(actions.toastShown({ message: t("Current AQI in {label} is {aqi}", { label, aqi: formatNumber(aqiValue) }) }));
+        }
+        const previous = lastAnnouncedRef.current;
+        lastAnnouncedRef.current = { label, aqi: aqiValue };
+        const announcement = readingAnnouncement(
+          {
+            label,
+            aqi: aqiValue,
+            previousAqi: previous.label === label ? previous.aqi : null,
+            threshold: alertThreshold,
+            band: evaluateReading(reading, standardId).band,
+          },
+          { t, formatNumber }
+        );
+        // A manual check's toast already reads the value out; only a breach needs saying again.
+        if (announcement && (announcement.urgent || source !== "manual")) {
+          dispatch(actions.announce(announcement.text, { urgent: announcement.urgent }));
+        }
+
+        if (aqiValue >= alertThreshold) {
+          const signature = `${label}-${Math.round(aqiValue / 5)}`;
+          const notified = notify(
+            t("AQI Alert"),
+            t("{label} AQI is {aqi}. {advice}", { label, aqi: formatNumber(aqiValue), advice: t(adviceText) }),
+            signature
+          );
+          if (notified) {
+            logAlert({ label, aqi: aqiValue, observedAt, threshold: alertThreshold, scope: "dashboard", signature });
+          }
+        }
+
+        if (uid) {
+          try {
+            await recordReading(uid, {
+              label,
+              city: pinned ? null : city || null,
+              coords: geoTarget || (pinned ? lookupCoords : null),
+              aqi: aqiValue,
+              observedAt,
+              advice: adviceText,
+              prevention: preventionText,
+              source,
+              provider: reading.provider,
+            });
+          } catch (err) {
+            console.warn("Failed to log to Firestore", err);
+          }
+        }
+
+        // Only readings for where the user actually is (GPS or network fix) count towards their exposure.
+        if (shouldUseGeo) {
+          const sample = sampleFromReading(reading, { label, coords: geoTarget });
+          if (sample) {
+            dispatch(actions.exposureSampleAdded(sample));
+            if (uid) {
+              recordExposureSample(uid, sample).catch((err) => console.warn("Failed to log exposure", err));
+            }
+          }
+        }
+
+        const historyTarget = { uid, label, coords: geoTarget || lookupCoords };
+        dispatch(
+          actions.readingLogged({
+            entry: {
+              id: `${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+              label,
+              aqi: aqiValue,
+              observedAt,
+              provider: reading.provider,
+            },
+            target: historyTarget,
+            forecastInput: { daily: reading.forecast, target: historyTarget, source: reading.forecastProvider || reading.provider },
+          })
+        );
+      } catch (err) {
+        if (isNetworkError(err) && restoreLastKnownReading()) {
+          setFetchError("You're offline. Showing the last known reading.");
+        } else {
+          setFetchError(err instanceof AqiProviderError || err instanceof WaqiError ? err.message : "Error fetching AQI");
+        }
+        console.error(err);
+      }
+    },
+    [dispatch, getState, logAlert, notify, restoreLastKnownReading]
+  );
+
+  useEffect(() => {
+    if (!coords || pinnedManually) return;
+    const previous = lastFetchedCoordsRef.current;
+    if (
+      previous &&
+      Math.abs(previous.lat - coords.lat) < MOVE_THRESHOLD_DEGREES &&
+      Math.abs(previous.lng - coords.lng) < MOVE_THRESHOLD_DEGREES
+    ) {
+      return;
+    }
+    lastFetchedCoordsRef.current = coords;
+    fetchAqi({ source: "auto", forceLocation: true, geoOverride: coords });
+  }, [coords?.lat, coords?.lng, fetchAqi, pinnedManually]);
+
+  return { fetchAqi };
+};
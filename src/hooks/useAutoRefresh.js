@@ -0,0 +1,37 @@
+import { useEffect } from "react";
+import { startAutoRefresh } from "../autoRefresh";
+import { actions, useAppState, useAppStore } from "../store";
+
+/**
+ * Runs the auto-refresh cadence from the store's `autoRefresh` settings: the watchlist plus the main
+ * reading (a pinned city or station, else the device fix, else the typed city, else an approximate fix).
+ * City and location are read when the timer fires, so typing a city never restarts the schedule.
+ */
+export const useAutoRefresh = ({ fetchAqi, refreshWatchlist, locateApproximately }) => {
+  const { dispatch, getState } = useAppStore();
+  const { enabled, minutes } = useAppState((state) => state.autoRefresh);
+
+  useEffect(() => {
+    if (!enabled) {
+      dispatch(actions.updateAutoRefresh({ nextAt: null }));
+      return undefined;
+    }
+    return startAutoRefresh({
+      minutes,
+      refresh: () => {
+        const { feed, location } = getState();
+        refreshWatchlist();
+        if (location.device && location.source !== "manual") {
+          fetchAqi({ source: "auto", forceLocation: true });
+          return;
+        }
+        if (feed.city.trim() || feed.target) {
+          fetchAqi({ source: "auto" });
+          return;
+        }
+        locateApproximately();
+      },
+      onScheduled: (next) => dispatch(actions.updateAutoRefresh({ nextAt: next.getTime() })),
+    });
+  }, [dispatch, enabled, fetchAqi, getState, locateApproximately, minutes, refreshWatchlist]);
+};
@@ -0,0 +1,79 @@
+import { renderHook } from "@testing-library/react";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { actions } from "../store";
+import { useAutoRefresh } from "./useAutoRefresh";
+
+// A stand-in for the app store with stable identities, like the real provider's.
+const store = vi.hoisted(() => {
+  const stub = { state: {}, dispatch: null };
+  stub.api = { dispatch: (action) => stub.dispatch(action), getState: () => stub.state };
+  return stub;
+});
+
+vi.mock("../store", async (importOriginal) => ({
+  ...(await importOriginal()),
+  useAppStore: () => store.api,
+  useAppState: (selector) => selector(store.state),
+}));
+
+const renderAutoRefresh = () => {
+  const callbacks = { fetchAqi: vi.fn(), refreshWatchlist: vi.fn(), locateApproximately: vi.fn() };
+  const hook = renderHook(() => useAutoRefresh(callbacks));
+  return { ...hook, ...callbacks };
+};
+
+describe("useAutoRefresh", () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ now: new Date("2026-10-19T08:00:00Z") });
+    store.state = {
+      autoRefresh: { enabled: true, minutes: 10, nextAt: null },
+      feed: { city: "", target: null },
+      location: { device: null, source: null },
+    };
+    store.dispatch = vi.fn();
+  });
+
+  it("does nothing but clear the next run while disabled", () => {
+    store.state.autoRefresh.enabled = false;
+    const { fetchAqi, refreshWatchlist } = renderAutoRefresh();
+    vi.advanceTimersByTime(60 * 60_000);
+    expect(fetchAqi).not.toHaveBeenCalled();
+    expect(refreshWatchlist).not.toHaveBeenCalled();
+    expect(store.dispatch).toHaveBeenCalledWith(actions.updateAutoRefresh({ nextAt: null }));
+  });
+
+  it("refreshes the typed city and the watchlist on every tick", () => {
+    store.state.feed.city = "Delhi";
+    const { fetchAqi, refreshWatchlist } = renderAutoRefresh();
+    expect(fetchAqi).toHaveBeenCalledWith({ source: "auto" });
+    expect(refreshWatchlist).toHaveBeenCalledTimes(1);
+    expect(store.dispatch).toHaveBeenLastCalledWith(
+      actions.updateAutoRefresh({ nextAt: new Date("2026-10-19T08:10:00Z").getTime() })
+    );
+
+    vi.advanceTimersByTime(10 * 60_000);
+    expect(fetchAqi).toHaveBeenCalledTimes(2);
+    expect(refreshWatchlist).toHaveBeenCalledTimes(2);
+  });
+
+  it("reads the location when the timer fires instead of restarting", () => {
+    const { fetchAqi, locateApproximately, rerender } = renderAutoRefresh();
+    expect(locateApproximately).toHaveBeenCalledTimes(1);
+
+    store.state.location = { device: { lat: 28.61, lng: 77.2 }, source: "device" };
+    rerender();
+    vi.advanceTimersByTime(10 * 60_000 - 1);
+    expect(fetchAqi).not.toHaveBeenCalled();
+    vi.advanceTimersByTime(1);
+    expect(fetchAqi).toHaveBeenCalledWith({ source: "auto", forceLocation: true });
+    expect(locateApproximately).toHaveBeenCalledTimes(1);
+  });
+
+  it("stops when unmounted", () => {
+    store.state.feed.city = "Delhi";
+    const { fetchAqi, unmount } = renderAutoRefresh();
+    unmount();
+    vi.advanceTimersByTime(60 * 60_000);
+    expect(fetchAqi).toHaveBeenCalledTimes(1);
+  });
+});
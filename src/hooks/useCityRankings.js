@@ -0,0 +1,94 @@
+import { useCallback, useEffect } from "react";
+import {
+  fetchRankingRows,
+  loadRankingSnapshot,
+  loadRankingSparklines,
+  RANKING_TTL_MS,
+  rankingConfigKey,
+  recordRankingHistory,
+  saveRankingConfig,
+  saveRankingSnapshot,
+  withChanges,
+} from "../rankings";
+import { actions, selectUid, useAppState, useAppStore } from "../store";
+import { WaqiError } from "../waqi";
+
+/**
+ * City rankings for the saved ranking config. Loads once the config is known, reusing the stored
+ * snapshot while it is fresh, so every page that shows rankings can call this without refetching.
+ * Returns the `rankings` slice, `refresh({ force })` and `updateConfig(patch)`.
+ */
+export const useCityRankings = () => {
+  const { dispatch, getState } = useAppStore();
+  const rankings = useAppState((state) => state.rankings);
+  const uid = useAppState(selectUid);
+  const { config, configReady } = rankings;
+
+  const refresh = useCallback(
+    async ({ force = false } = {}) => {
+      const configKey = rankingConfigKey(config);
+      const current = getState().rankings;
+      if (!force && current.loading && current.requestKey === configKey) return;
+      const snapshot = loadRankingSnapshot();
+      if (!force && snapshot?.configKey === configKey && Date.now() - snapshot.fetchedAt < RANKING_TTL_MS) {
+        dispatch(actions.updateRankings({ loading: false, rows: snapshot.rows, error: null, fetchedAt: snapshot.fetchedAt }));
+        return;
+      }
+      dispatch(actions.updateRankings({ loading: true, error: null, requestKey: configKey }));
+      try {
+        const rows = withChanges(await fetchRankingRows(config, { force }), snapshot?.rows);
+        const fetchedAt = Date.now();
+        saveRankingSnapshot(configKey, rows, fetchedAt);
+        const hasData = rows.some((row) => row.aqi !== null);
+        dispatch(
+          actions.updateRankings({
+            loading: false,
+            rows,
+            error: hasData ? null : rows.find((row) => row.error)?.error || "No AQI data available for tracked cities.",
+            fetchedAt,
+          })
+        );
+        // City rows feed the per-row sparklines; country rankings are too large to keep on every refresh.
+        if (config.mode === "cities") recordRankingHistory(rows, fetchedAt);
+      } catch (err) {
+        console.error("City ranking error", err);
+        dispatch(
+          actions.updateRankings({
+            loading: false,
+            error: err instanceof WaqiError ? err.message : "Failed to load city rankings.",
+          })
+        );
+      }
+    },
+    [config, dispatch, getState]
+  );
+
+  useEffect(() => {
+    if (configReady) refresh();
+  }, [configReady, refresh]);
+
+  const updateConfig = useCallback(
+    (changes) => {
+      const next = { ...getState().rankings.config, ...changes };
+      dispatch(actions.updateRankings({ config: next }));
+      if (uid) {
+        saveRankingConfig(uid, next).catch((err) => console.warn("Failed to save ranking settings", err));
+      }
+    },
+    [dispatch, getState, uid]
+  );
+
+  return { rankings, refresh, updateConfig };
+};
+
+/** Loads the 7-day sparkline for each of `labels` (reloaded whenever the rankings are refetched). */
+export const useRankingSparklines = (labels) => {
+  const dispatch = useAppStore().dispatch;
+  const fetchedAt = useAppState((state) => state.rankings.fetchedAt);
+  const labelKey = labels.join("\n");
+
+  useEffect(() => {
+    if (!labelKey) return;
+    dispatch(actions.rankingSparklinesLoaded(loadRankingSparklines(labelKey.split("\n"))));
+  }, [dispatch, fetchedAt, labelKey]);
+};
@@ -0,0 +1,51 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { exposureLimitFor, summarizeExposure } from "../exposure";
+import { useAppState } from "../store";
+import { useI18n } from "./useI18n";
+
+const EXPOSURE_TICK_MS = 60 * 1000;
+
+/** Today's and this week's PM2.5 dose against the chosen daily limit, re-summarized every minute. */
+export const useExposure = () => {
+  const samples = useAppState((state) => state.exposureSamples);
+  const limitId = useAppState((state) => state.settings.exposureLimitId);
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), EXPOSURE_TICK_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const exposure = useMemo(() => summarizeExposure(samples, now), [samples, now]);
+  const limit = exposureLimitFor(limitId);
+  return {
+    exposure,
+    limit,
+    percent: Math.round((exposure.today.dose / limit.dose) * 100),
+    overLimit: exposure.today.dose > limit.dose,
+  };
+};
+
+/** Notifies once a day when the cumulative dose passes the limit, whichever page is open. */
+export const useExposureWarning = (notify) => {
+  const { exposure, limit, overLimit } = useExposure();
+  const notificationStatus = useAppState((state) => state.notificationStatus);
+  const { t, formatNumber } = useI18n();
+  const warnedDayRef = useRef(null);
+
+  useEffect(() => {
+    // One warning per day; the instant-AQI cooldown would otherwise repeat it every few minutes.
+    if (!overLimit || warnedDayRef.current === exposure.today.dayStart) return;
+    const notified = notify(
+      t("Daily exposure limit passed"),
+      t("You have breathed about {dose} µg/m³·h of PM2.5 today (≈ {cigarettes} cigarettes), above your {limit} limit.", {
+        dose: formatNumber(exposure.today.dose),
+        cigarettes: formatNumber(exposure.today.cigarettes),
+        limit: formatNumber(Math.round(limit.dose)),
+      }),
+      `exposure-${exposure.today.dayStart}`,
+      "exposure"
+    );
+    if (notified || notificationStatus !== "granted") warnedDayRef.current = exposure.today.dayStart;
+  }, [exposure.today, formatNumber, limit.dose, notificationStatus, notify, overLimit, t]);
+};
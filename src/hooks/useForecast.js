@@ -0,0 +1,26 @@
+import { useEffect } from "react";
+import { loadForecast } from "../forecast";
+import { actions, useAppState, useAppStore } from "../store";
+
+/**
+ * The outlook for the latest reading. The result is kept in the store per forecast input, so pages
+ * that mount later reuse it instead of rebuilding the model.
+ */
+export const useForecast = () => {
+  const { dispatch, getState } = useAppStore();
+  const forecastInput = useAppState((state) => state.feed.forecastInput);
+  const forecast = useAppState((state) => state.forecast);
+
+  useEffect(() => {
+    if (!forecastInput || getState().forecast.input === forecastInput) return;
+    dispatch(actions.forecastRequested(forecastInput));
+    loadForecast(forecastInput)
+      .then((points) => dispatch(actions.forecastSettled(forecastInput, { points })))
+      .catch((err) => {
+        console.warn("Failed to build AQI forecast", err);
+        dispatch(actions.forecastSettled(forecastInput, { error: "Forecast is unavailable right now." }));
+      });
+  }, [dispatch, forecastInput, getState]);
+
+  return forecast;
+};
@@ -0,0 +1,106 @@
+import { useCallback, useEffect, useRef } from "react";
+import { fixFromPosition, lookupIpLocation, resolvePlaceLabel, shortGoogleLabel } from "../location";
+import { actions, AWAITING_LOCATION_LABEL, DEFAULT_LOCATION, useAppDispatch, useAppState } from "../store";
+
+// Without any geolocation fix by then, an IP lookup fills in.
+const IP_FALLBACK_DELAY_MS = 6000;
+
+const fallbackLabel = () => `Fallback • ${DEFAULT_LOCATION.lat.toFixed(2)}, ${DEFAULT_LOCATION.lng.toFixed(2)}`;
+
+const describeGeoError = (err) => {
+  if (!window.isSecureContext) return "Use HTTPS or localhost for live location";
+  if (err?.code === 1) return "Permission denied — allow location access";
+  if (err?.code === 2) return "Position unavailable";
+  if (err?.code === 3) return "Location timed out";
+  return err?.message || "Unable to get location";
+};
+
+const googleReverseGeocode = (coords) =>
+  new Promise((resolve) => {
+    new window.google.maps.Geocoder().geocode({ location: coords }, (results, status) => {
+      resolve(status === window.google.maps.GeocoderStatus.OK ? shortGoogleLabel(results[0]) : null);
+    });
+  });
+
+/**
+ * Feeds the location state machine (src/location.js) from one geolocation watch, with an IP lookup
+ * when that is denied, unavailable or silent, and names whatever fix is shown. Returns
+ * `locateApproximately` for callers that need a fix on demand.
+ */
+export const useGeolocation = ({ googleMapsLoaded = false } = {}) => {
+  const dispatch = useAppDispatch();
+  const coords = useAppState((state) => state.location.coords);
+  const ipLookupStartedRef = useRef(false);
+
+  useEffect(() => {
+    // Browsers block geolocation on insecure origins; force HTTPS outside localhost.
+    if (window.location.hostname === "localhost") return;
+    if (window.location.protocol === "http:") {
+      window.location.replace(window.location.href.replace(/^http:/, "https:"));
+    }
+  }, []);
+
+  const locateApproximately = useCallback(
+    async ({ force = false } = {}) => {
+      if (ipLookupStartedRef.current && !force) return;
+      ipLookupStartedRef.current = true;
+      dispatch(actions.locationStatus("Resolving network location…"));
+      try {
+        dispatch(actions.locationFix(await lookupIpLocation()));
+      } catch (err) {
+        console.warn("Approximate location fallback failed", err);
+        dispatch(actions.locationStatus("Enter a city to start", fallbackLabel()));
+        // Forced lookups have nothing else to fall back on: Check AQI without a city, or no geolocation at all.
+        if (force) {
+          dispatch(actions.toastShown({ kind: "error", message: "Could not find your approximate location. Enter a city to check AQI." }));
+        }
+        ipLookupStartedRef.current = false;
+      }
+    },
+    [dispatch]
+  );
+
+  useEffect(() => {
+    if (!("geolocation" in navigator)) {
+      dispatch(actions.locationStatus("Geolocation not supported", fallbackLabel()));
+      locateApproximately({ force: true });
+      return undefined;
+    }
+
+    dispatch(actions.locationStatus("Locating…"));
+    const ipTimer = setTimeout(() => locateApproximately(), IP_FALLBACK_DELAY_MS);
+    const watchId = navigator.geolocation.watchPosition(
+      (position) => {
+        clearTimeout(ipTimer);
+        dispatch(actions.locationFix(fixFromPosition(position)));
+      },
+      (err) => {
+        // Ignored by the store once a fix exists, so an occasional timeout does not hide a good one.
+        dispatch(actions.locationStatus(describeGeoError(err), fallbackLabel()));
+        locateApproximately();
+      },
+      { enableHighAccuracy: true, maximumAge: 10000, timeout: 10000 }
+    );
+
+    return () => {
+      clearTimeout(ipTimer);
+      navigator.geolocation.clearWatch(watchId);
+    };
+  }, [dispatch, locateApproximately]);
+
+  useEffect(() => {
+    if (!coords) {
+      dispatch(actions.updateLocation({ label: AWAITING_LOCATION_LABEL }));
+      return undefined;
+    }
+    // Aborting drops a lookup for a position the device has already left, even while it waits its turn.
+    const controller = new AbortController();
+    const fallback = googleMapsLoaded && window.google ? googleReverseGeocode : null;
+    resolvePlaceLabel(coords, { fallback, signal: controller.signal }).then((label) => {
+      if (!controller.signal.aborted) dispatch(actions.updateLocation({ label }));
+    });
+    return () => controller.abort();
+  }, [coords?.lat, coords?.lng, dispatch, googleMapsLoaded]);
+
+  return { locateApproximately };
+};
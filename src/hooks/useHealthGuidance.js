@@ -0,0 +1,167 @@
+import { useMemo } from "react";
+import { personalizeDiseases, riskMultiplier, sensitivityLevel, suggestThreshold } from "../profile";
+import { evaluateReading } from "../standards";
+import { selectAqi, selectStandard, useAppState } from "../store";
+import { useI18n } from "./useI18n";
+import { usePalette } from "./usePalette";
+
+const RISK_MODEL = [
+  { key: "respiratory", label: "Respiratory distress", base: 0.25, slope: 0.0035 },
+  { key: "cardio", label: "Cardiovascular strain", base: 0.2, slope: 0.0028 },
+  { key: "irritation", label: "Eye & skin irritation", base: 0.15, slope: 0.002 },
+  { key: "neuro", label: "Neurological fatigue", base: 0.1, slope: 0.0016 },
+];
+
+const DISEASES = [
+  { name: "Asthma & COPD flare-ups", prevention: "Use N95 outside; keep inhalers ready; limit exertion" },
+  { name: "Cardio stress (hypertension)", prevention: "Stay indoors; hydrate; avoid heavy workouts" },
+  { name: "Allergic rhinitis / sore throat", prevention: "Mask outdoors; saline gargle; keep windows closed" },
+  { name: "Eye irritation", prevention: "Protective glasses; avoid rubbing eyes; use artificial tears" },
+  { name: "Headache & fatigue", prevention: "Reduce outdoor time; rest; stay hydrated" },
+];
+
+/**
+ * Everything derived from the latest reading and the health profile: the reading under the selected
+ * standard, risk estimates, personalized disease tips and the readiness checklist. Pass the indoor
+ * comparison (from useIndoorAir) so the purifier item can follow what the room measures. All text comes
+ * back in the language chosen in settings, and colours in the chosen palette.
+ */
+export const useHealthGuidance = ({ indoorPm25 = null, ventilation = null } = {}) => {
+  const latestReading = useAppState((state) => state.feed.reading);
+  const aqi = useAppState(selectAqi);
+  const standardId = useAppState((state) => state.settings.standardId);
+  const standard = useAppState(selectStandard);
+  const healthProfile = useAppState((state) => state.profile);
+  const notificationStatus = useAppState((state) => state.notificationStatus);
+  const profileSensitivity = sensitivityLevel(healthProfile);
+  const { t, localizeBand } = useI18n();
+  const palette = usePalette();
+
+  const evaluation = useMemo(
+    () => (latestReading ? evaluateReading(latestReading, standardId) : null),
+    [latestReading, standardId]
+  );
+  const activeBand = useMemo(() => localizeBand(evaluation?.band || null), [evaluation, localizeBand]);
+
+  const healthStatus = useMemo(() => {
+    if (!activeBand) return { label: t("Pending"), detail: t("Fetch AQI to see status"), color: "#475569" };
+    return { label: activeBand.status, detail: activeBand.detail, color: palette.bandColor(activeBand) };
+  }, [activeBand, palette, t]);
+
+  const riskChart = useMemo(() => {
+    if (aqi === null || aqi <= 150) return null;
+    const clamp = (v) => Math.max(0, Math.min(100, v));
+    const base = aqi || 0;
+    const offsets = [0, 20, 30, 40];
+    return {
+      labels: ["Respiratory", "Cardio", "Eyes", "Fatigue"].map((label) => t(label)),
+      datasets: [
+        {
+          label: t("Risk level"),
+          data: RISK_MODEL.map((model, index) =>
+            Math.min(100, Math.round((clamp(base - offsets[index]) / 300) * 100 * riskMultiplier(healthProfile, model.key)))
+          ),
+          backgroundColor: ["#ef4444", "#f59e0b", "#3b82f6", "#8b5cf6"],
+          borderRadius: 8,
+        },
+      ],
+    };
+  }, [aqi, healthProfile, t]);
+
+  const mlRiskPredictions = useMemo(() => {
+    if (aqi === null) return [];
+    return RISK_MODEL.map((model) => {
+      const slope = model.slope * riskMultiplier(healthProfile, model.key);
+      const probability = Math.max(0.05, Math.min(0.98, model.base + slope * aqi));
+      return { label: t(model.label), probability: Math.round(probability * 100) };
+    });
+  }, [aqi, healthProfile, t]);
+
+  // Profile triggers match the English names, so translation happens after personalizing.
+  const personalizedDiseases = useMemo(
+    () =>
+      personalizeDiseases(DISEASES, healthProfile).map((item) => ({
+        ...item,
+        name: t(item.name),
+        prevention: t(item.prevention),
+        personalTip: item.personalTip && t(item.personalTip),
+      })),
+    [healthProfile, t]
+  );
+
+  const readinessChecklist = useMemo(() => {
+    // Tiers follow the band level of the selected standard, so "Poor" in NAQI and "Unhealthy" in US EPA escalate alike.
+    const bandLevel = activeBand?.level ?? 0;
+    // Sensitive profiles escalate one tier earlier once the air is anything but clean.
+    const level = bandLevel >= 1 ? bandLevel + Math.min(profileSensitivity, 1) : bandLevel;
+    const tiers = {
+      respirator: level >= 3 ? "urgent" : level >= 2 ? "recommended" : "optional",
+      purifier: level >= 2 ? "recommended" : "optional",
+      hydration: level >= 1 ? "recommended" : "optional",
+      alerts: notificationStatus === "granted" ? "done" : "urgent",
+      commute: level >= 2 ? "urgent" : "optional",
+    };
+    const items = [
+      {
+        label: "Wear N95/FFP2 outdoors",
+        hint: tiers.respirator === "urgent" ? "Required for AQI spikes" : "Keep mask handy",
+        status: tiers.respirator,
+      },
+      indoorPm25 === null || !ventilation
+        ? {
+            label: "Run air purifier or ventilation",
+            hint:
+              tiers.purifier === "recommended"
+                ? "Cycle HEPA every 2h"
+                : t("Ventilate when {standard} ≤ {max}", { standard: standard.shortName, max: standard.bands[1].max }),
+            status: tiers.purifier,
+          }
+        : {
+            // With a live indoor sensor the item follows what the room actually measures.
+            label: "Run air purifier or ventilation",
+            hint: t("Indoor PM2.5 {pm25} µg/m³ • {ventilation}", { pm25: indoorPm25, ventilation: ventilation.title }),
+            status: ventilation.action === "ventilate" || indoorPm25 > 12 ? (level >= 2 ? "urgent" : "recommended") : "done",
+          },
+      {
+        label: "Stay hydrated + limit exertion",
+        hint: tiers.hydration === "recommended" ? "Sip water every hour" : "Monitor energy levels",
+        status: tiers.hydration,
+      },
+      {
+        label: "Enable spike notifications",
+        hint: notificationStatus === "granted" ? "Live alerts active" : "Grant permission for browser alerts",
+        status: tiers.alerts,
+      },
+      {
+        label: "Plan commute flexibly",
+        hint: tiers.commute === "urgent" ? "Avoid peak traffic outdoors; compare routes in the commute planner" : "Track AQI before leaving",
+        status: tiers.commute,
+      },
+    ];
+    if (healthProfile?.usesInhaler || healthProfile?.conditions.some((id) => id === "asthma" || id === "copd")) {
+      items.splice(1, 0, {
+        label: "Carry reliever inhaler / medication",
+        hint: level >= 2 ? "Keep it within reach all day" : "Check doses before heading out",
+        status: level >= 2 ? "urgent" : level >= 1 ? "recommended" : "optional",
+      });
+    }
+    return items.map((item) => ({ ...item, label: t(item.label), hint: t(item.hint) }));
+  }, [activeBand, healthProfile, indoorPm25, notificationStatus, profileSensitivity, standard, t, ventilation]);
+
+  return {
+    standard,
+    evaluation,
+    activeBand,
+    advice: activeBand?.advice || "",
+    prevention: activeBand?.prevention || "",
+    color: palette.bandColor(activeBand, "#2ecc71"),
+    displayIndex: evaluation?.index ?? aqi,
+    healthStatus,
+    healthProfile,
+    suggestedThreshold: suggestThreshold(healthProfile),
+    riskChart,
+    mlRiskPredictions,
+    personalizedDiseases,
+    readinessChecklist,
+  };
+};
@@ -0,0 +1,9 @@
+import { useMemo } from "react";
+import { createTranslator } from "../i18n";
+import { useAppState } from "../store";
+
+/** The translator for the language chosen in settings; see i18n/index.js for what it offers. */
+export const useI18n = () => {
+  const locale = useAppState((state) => state.settings.locale);
+  return useMemo(() => createTranslator(locale), [locale]);
+};
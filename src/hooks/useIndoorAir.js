@@ -0,0 +1,55 @@
+import { useEffect, useMemo, useState } from "react";
+import { sampleFromReading } from "../exposure";
+import { INDOOR_REFRESH_MS, INDOOR_WINDOW_MS, latestIndoorBySensor, loadIndoorReadings, ventilationAdvice } from "../indoor";
+import { actions, selectUid, useAppDispatch, useAppState } from "../store";
+
+/**
+ * Polls the signed-in user's indoor sensor readings while mounted and compares the live ones with the
+ * outdoor PM2.5 of the latest reading.
+ */
+export const useIndoorAir = () => {
+  const dispatch = useAppDispatch();
+  const uid = useAppState(selectUid);
+  const { devices, readings } = useAppState((state) => state.indoor);
+  const latestReading = useAppState((state) => state.feed.reading);
+  const locationLabel = useAppState((state) => state.location.label);
+  const locale = useAppState((state) => state.settings.locale);
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!uid || !devices.length) return undefined;
+    let cancelled = false;
+    const refresh = () =>
+      loadIndoorReadings(uid, new Date(Date.now() - INDOOR_WINDOW_MS))
+        .then((loaded) => {
+          if (cancelled) return;
+          setNow(Date.now());
+          dispatch(actions.updateIndoor({ readings: loaded }));
+        })
+        .catch((err) => console.warn("Failed to load indoor readings", err));
+    refresh();
+    const timer = setInterval(refresh, INDOOR_REFRESH_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [devices.length, dispatch, uid]);
+
+  const sensors = useMemo(() => latestIndoorBySensor(readings, now), [readings, now]);
+  const liveSensors = sensors.filter((sensor) => !sensor.stale);
+  const indoorPm25 = liveSensors.length
+    ? Math.round((liveSensors.reduce((sum, sensor) => sum + sensor.pm25, 0) / liveSensors.length) * 10) / 10
+    : null;
+  const outdoorSample = latestReading ? sampleFromReading(latestReading, { label: locationLabel }) : null;
+  const outdoorPm25 = outdoorSample?.pm25 ?? null;
+  const ventilation = useMemo(() => ventilationAdvice({ indoorPm25, outdoorPm25, locale }), [indoorPm25, locale, outdoorPm25]);
+  const sparklines = useMemo(() => {
+    const bySensor = {};
+    readings.forEach((reading) => {
+      (bySensor[reading.sensorId] ||= []).push(reading.pm25);
+    });
+    return bySensor;
+  }, [readings]);
+
+  return { sensors, liveSensors, indoorPm25, outdoorSample, outdoorPm25, ventilation, sparklines };
+};
@@ -0,0 +1,18 @@
+import { useEffect } from "react";
+import { actions, useAppDispatch } from "../store";
+
+/** Mirrors the browser's online/offline events into the store. */
+export const useOnlineStatus = () => {
+  const dispatch = useAppDispatch();
+
+  useEffect(() => {
+    const handleOnline = () => dispatch(actions.setOnline(true));
+    const handleOffline = () => dispatch(actions.setOnline(false));
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+    };
+  }, [dispatch]);
+};
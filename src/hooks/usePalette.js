@@ -0,0 +1,9 @@
+import { useMemo } from "react";
+import { createPalette } from "../palettes";
+import { useAppState } from "../store";
+
+/** The severity palette chosen in settings; see palettes.js for what it offers. */
+export const usePalette = () => {
+  const paletteId = useAppState((state) => state.settings.palette);
+  return useMemo(() => createPalette(paletteId), [paletteId]);
+};
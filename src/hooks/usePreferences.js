@@ -0,0 +1,90 @@
+import { useEffect, useRef } from "react";
+import {
+  loadAccountPreferences,
+  loadLocalPreferences,
+  saveAccountPreferences,
+  saveLocalPreferences,
+  watchAccountPreferences,
+  watchLocalPreferences,
+} from "../preferences";
+import { actions, selectPreferences, useAppState, useAppStore } from "../store";
+import { SETTINGS_SAVE_DELAY_MS } from "./useUserData";
+
+/**
+ * Loads the user's preferences and writes changes back: guests to localStorage, signed-in users to
+ * Firestore. Both stay live, so a change made in another tab or on another device shows up here.
+ * Mount it right after useUserData.
+ */
+export const usePreferences = () => {
+  const { dispatch, getState } = useAppStore();
+  const user = useAppState((state) => state.user);
+  const uid = user?.uid || null;
+  const isGuest = !user || user.isAnonymous;
+  const preferencesKey = JSON.stringify(useAppState(selectPreferences));
+  // What the store holds for this user as last read or written, serialized; null until loaded.
+  const syncedKeyRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const apply = (preferences) => {
+      const key = JSON.stringify(preferences);
+      if (key === syncedKeyRef.current) return;
+      syncedKeyRef.current = key;
+      dispatch(actions.preferencesLoaded(preferences));
+    };
+    syncedKeyRef.current = null;
+
+    if (isGuest) {
+      const local = loadLocalPreferences();
+      if (local) {
+        apply(local);
+      } else {
+        syncedKeyRef.current = JSON.stringify(selectPreferences(getState()));
+        // Earlier releases kept a guest's threshold under their anonymous uid; adopt it once.
+        if (uid) {
+          loadAccountPreferences(uid)
+            .then((stored) => {
+              if (cancelled || !stored) return;
+              apply(stored);
+              saveLocalPreferences(stored);
+            })
+            .catch((err) => console.warn("Failed to load stored preferences", err));
+        }
+      }
+      const unwatch = watchLocalPreferences(apply);
+      return () => {
+        cancelled = true;
+        unwatch();
+      };
+    }
+
+    return watchAccountPreferences(
+      uid,
+      (stored) => {
+        if (stored) {
+          apply(stored);
+          return;
+        }
+        // A new account starts from whatever the guest had set on this device.
+        const seed = selectPreferences(getState());
+        syncedKeyRef.current = JSON.stringify(seed);
+        saveAccountPreferences(uid, seed).catch((err) => console.warn("Failed to save preferences", err));
+      },
+      (err) => console.warn("Failed to sync preferences", err)
+    );
+  }, [dispatch, getState, isGuest, uid]);
+
+  useEffect(() => {
+    if (syncedKeyRef.current === null || syncedKeyRef.current === preferencesKey) return undefined;
+    const timer = setTimeout(() => {
+      syncedKeyRef.current = preferencesKey;
+      const preferences = JSON.parse(preferencesKey);
+      if (isGuest) {
+        saveLocalPreferences(preferences);
+      } else {
+        saveAccountPreferences(uid, preferences).catch((err) => console.warn("Failed to save preferences", err));
+      }
+    }, SETTINGS_SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [isGuest, preferencesKey, uid]);
+};
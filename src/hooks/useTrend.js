@@ -0,0 +1,32 @@
+import { useEffect, useState } from "react";
+import { bucketReadings, fetchReadingHistory, trendWindowStart } from "../history";
+
+/** Stored readings for `target` bucketed by `unit` ("day" or "hour"). */
+export const useTrend = (target, unit) => {
+  const [trend, setTrend] = useState({ loading: false, buckets: [], error: null });
+
+  useEffect(() => {
+    if (!target) return undefined;
+    let cancelled = false;
+    const loadTrend = async () => {
+      setTrend((prev) => ({ ...prev, loading: true, error: null }));
+      try {
+        const readings = await fetchReadingHistory({ ...target, since: trendWindowStart(unit) });
+        if (!cancelled) {
+          setTrend({ loading: false, buckets: bucketReadings(readings, unit), error: null });
+        }
+      } catch (err) {
+        console.warn("Failed to load AQI history", err);
+        if (!cancelled) {
+          setTrend({ loading: false, buckets: [], error: "Stored AQI history is unavailable right now." });
+        }
+      }
+    };
+    loadTrend();
+    return () => {
+      cancelled = true;
+    };
+  }, [target, unit]);
+
+  return trend;
+};
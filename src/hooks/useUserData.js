@@ -0,0 +1,81 @@
+import { useEffect } from "react";
+import { completeEmailLinkSignIn, ensureAnonymousSession, watchAuth } from "../auth";
+import { exposureWindowStart, loadExposureSamples } from "../exposure";
+import { loadSensorDevices } from "../indoor";
+import { loadHealthProfile, suggestThreshold } from "../profile";
+import { loadRankingConfig } from "../rankings";
+import { actions, selectUid, useAppState, useAppStore } from "../store";
+
+export const SETTINGS_SAVE_DELAY_MS = 600;
+
+/**
+ * Keeps the signed-in user in the store and loads everything stored for them (profile, sensors,
+ * exposure history, ranking settings) whenever the uid changes. Preferences sync through
+ * usePreferences, which runs after this hook so it re-applies them once the reset is done.
+ */
+export const useUserData = () => {
+  const { dispatch } = useAppStore();
+  const uid = useAppState(selectUid);
+  const profile = useAppState((state) => state.profile);
+  const suggestedThreshold = suggestThreshold(profile);
+
+  useEffect(() => {
+    const unsubscribe = watchAuth((user) => dispatch(actions.setUser(user)));
+    ensureAnonymousSession().catch((err) => {
+      console.warn("Anonymous sign-in failed", err);
+      dispatch(actions.updateRankings({ configReady: true }));
+    });
+    completeEmailLinkSignIn(() => window.prompt("Confirm your email to finish signing in"))
+      .then((result) => {
+        if (!result) return;
+        dispatch(
+          actions.setAuthStatus({
+            busy: false,
+            message: result.migrated ? `Signed in • moved ${result.migrated} guest records` : "Signed in",
+            error: null,
+          })
+        );
+      })
+      .catch((err) => {
+        console.warn("Email link sign-in failed", err);
+        dispatch(actions.setAuthStatus({ busy: false, message: null, error: "That sign-in link is invalid or has expired." }));
+      });
+    return unsubscribe;
+  }, [dispatch]);
+
+  useEffect(() => {
+    if (!uid) return;
+    let cancelled = false;
+    dispatch(actions.resetUserData());
+    loadHealthProfile(uid)
+      .then((loaded) => {
+        if (!cancelled && loaded) dispatch(actions.profileLoaded(loaded));
+      })
+      .catch((err) => console.warn("Failed to load health profile", err));
+    loadSensorDevices(uid)
+      .then((devices) => {
+        if (!cancelled) dispatch(actions.updateIndoor({ devices }));
+      })
+      .catch((err) => console.warn("Failed to load indoor sensors", err));
+    loadExposureSamples(uid, exposureWindowStart())
+      .then((samples) => {
+        if (!cancelled) dispatch(actions.exposureSamplesLoaded(samples));
+      })
+      .catch((err) => console.warn("Failed to load exposure history", err));
+    loadRankingConfig(uid)
+      .then((config) => {
+        if (!cancelled && config) dispatch(actions.updateRankings({ config }));
+      })
+      .catch((err) => console.warn("Failed to load ranking settings", err))
+      .finally(() => {
+        if (!cancelled) dispatch(actions.updateRankings({ configReady: true }));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [dispatch, uid]);
+
+  useEffect(() => {
+    if (profile) dispatch(actions.suggestAlertThreshold(suggestedThreshold));
+  }, [dispatch, profile, suggestedThreshold]);
+};
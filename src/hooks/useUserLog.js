@@ -0,0 +1,38 @@
+import { useEffect, useState } from "react";
+import { selectUid, useAppState } from "../store";
+import { watchLatest } from "../userData";
+
+const EMPTY_LOG = { loading: false, entries: [], hasMore: false, error: null };
+
+/**
+ * The newest entries of one of the signed-in user's collections (alerts, readings), kept live.
+ * `showMore` pages further back; changing the filters starts again from the first page.
+ */
+export const useUserLog = (name, { filters = [], pageSize = 10 } = {}) => {
+  const uid = useAppState(selectUid);
+  const filterKey = JSON.stringify(filters);
+  const pageKey = `${uid}:${filterKey}`;
+  const [page, setPage] = useState({ key: pageKey, count: pageSize });
+  const count = page.key === pageKey ? page.count : pageSize;
+  const [log, setLog] = useState(EMPTY_LOG);
+
+  useEffect(() => {
+    if (!uid) {
+      setLog(EMPTY_LOG);
+      return undefined;
+    }
+    setLog((prev) => ({ ...prev, loading: true, error: null }));
+    return watchLatest(
+      uid,
+      name,
+      { filters: JSON.parse(filterKey), count },
+      ({ entries, hasMore }) => setLog({ loading: false, entries, hasMore, error: null }),
+      (err) => {
+        console.warn(`Failed to load ${name}`, err);
+        setLog((prev) => ({ ...prev, loading: false, error: "Could not load this list right now." }));
+      }
+    );
+  }, [count, filterKey, name, uid]);
+
+  return { ...log, showMore: () => setPage({ key: pageKey, count: count + pageSize }) };
+};
@@ -0,0 +1,104 @@
+import { useCallback, useEffect } from "react";
+import { readingAnnouncement } from "../alertPolicy";
+import { createTranslator } from "../i18n";
+import { AqiProviderError } from "../providers";
+import { evaluateReading, healthAdvice } from "../standards";
+import { actions, selectUid, useAppState, useAppStore } from "../store";
+import { toStationTime } from "../waqi";
+import { fetchPlaceReading, loadWatchlist, saveWatchlist } from "../watchlist";
+import { SETTINGS_SAVE_DELAY_MS } from "./useUserData";
+
+/**
+ * Loads and persists the signed-in user's watched places and fetches their readings, alerting per place.
+ * `refreshWatchlist(places?)` refreshes the given places, or all of them.
+ */
+export const useWatchlist = ({ notify, logAlert }) => {
+  const { dispatch, getState } = useAppStore();
+  const uid = useAppState(selectUid);
+  const { ownerUid, places } = useAppState((state) => state.watchlist);
+
+  const refreshWatchlist = useCallback(
+    async (targets) => {
+      const { settings, watchlist } = getState();
+      const list = targets || watchlist.places;
+      if (!list.length) return;
+      dispatch(actions.placeReadingsPending(list.map((place) => place.id)));
+      await Promise.all(
+        list.map(async (place) => {
+          try {
+            const reading = await fetchPlaceReading(place, settings.providers);
+            const observedAt = reading.observedAt || toStationTime();
+            dispatch(
+              actions.placeReadingReceived(place.id, {
+                aqi: reading.aqi,
+                iaqi: reading.iaqi,
+                dominantPollutant: reading.dominantPollutant,
+                station: reading.stationName,
+                provider: reading.provider,
+                observedAt,
+              })
+            );
+            const { t, formatNumber } = createTranslator(settings.locale);
+            const announcement = readingAnnouncement(
+              {
+                label: place.name,
+                aqi: reading.aqi,
+                previousAqi: watchlist.readings[place.id]?.aqi ?? null,
+                threshold: place.threshold,
+                band: evaluateReading(reading, settings.standardId).band,
+              },
+              { t, formatNumber }
+            );
+            // Routine changes for every watched place would drown the dashboard out; only breaches are read.
+            if (announcement?.urgent) dispatch(actions.announce(announcement.text, { urgent: true }));
+            if (reading.aqi !== null && reading.aqi >= place.threshold) {
+              const [adviceText] = healthAdvice(reading, settings.standardId);
+              const signature = `${place.id}-${Math.round(reading.aqi / 5)}`;
+              const scope = `place:${place.id}`;
+              const notified = notify(
+                t("AQI Alert • {place}", { place: place.name }),
+                t("{label} AQI is {aqi}. {advice}", { label: place.name, aqi: formatNumber(reading.aqi), advice: t(adviceText) }),
+                signature,
+                scope
+              );
+              if (notified) {
+                logAlert({ label: place.name, aqi: reading.aqi, observedAt, threshold: place.threshold, scope, signature });
+              }
+            }
+          } catch (err) {
+            console.warn(`Watchlist fetch failed for ${place.name}`, err);
+            dispatch(actions.placeReadingFailed(place.id, err instanceof AqiProviderError ? err.message : "Reading unavailable"));
+          }
+        })
+      );
+    },
+    [dispatch, getState, logAlert, notify]
+  );
+
+  useEffect(() => {
+    if (!uid) return;
+    let cancelled = false;
+    dispatch(actions.resetWatchlist());
+    loadWatchlist(uid)
+      .then((loaded) => {
+        if (cancelled) return;
+        dispatch(actions.watchlistLoaded(uid, loaded));
+        refreshWatchlist(loaded);
+      })
+      .catch((err) => console.warn("Failed to load watchlist", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [dispatch, refreshWatchlist, uid]);
+
+  useEffect(() => {
+    // Only persist once this user's stored list has loaded, so an empty initial state never overwrites it.
+    if (!uid || ownerUid !== uid) return;
+    const timer = setTimeout(() => {
+      saveWatchlist(uid, places).catch((err) => console.warn("Failed to persist watchlist", err));
+    }, SETTINGS_SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [ownerUid, places, uid]);
+
+  return { refreshWatchlist };
+};
@@ -0,0 +1,642 @@
+// Bengali. Keys are the English source text; see index.js.
+export default {
+  // App shell
+  Dashboard: "ড্যাশবোর্ড",
+  Map: "মানচিত্র",
+  Rankings: "র‍্যাঙ্কিং",
+  Alerts: "সতর্কতা",
+  History: "ইতিহাস",
+  Settings: "সেটিংস",
+  "Live feed active": "লাইভ ফিড চালু",
+  "Awaiting location lock": "অবস্থানের অপেক্ষায়",
+  Language: "ভাষা",
+
+  // Health guidance
+  Pending: "অপেক্ষমাণ",
+  "Fetch AQI to see status": "অবস্থা দেখতে AQI যাচাই করুন",
+  "Respiratory distress": "শ্বাসকষ্ট",
+  "Cardiovascular strain": "হৃদযন্ত্রের উপর চাপ",
+  "Eye & skin irritation": "চোখ ও ত্বকের জ্বালা",
+  "Neurological fatigue": "স্নায়বিক ক্লান্তি",
+  Respiratory: "শ্বাসতন্ত্র",
+  Cardio: "হৃদযন্ত্র",
+  Eyes: "চোখ",
+  Fatigue: "ক্লান্তি",
+  "Risk level": "ঝুঁকির মাত্রা",
+  "Run a check to personalize guidance.": "আপনার জন্য পরামর্শ পেতে AQI যাচাই করুন।",
+  "Enable live readings to receive proactive prevention tips.": "প্রতিরোধের পরামর্শ পেতে লাইভ রিডিং চালু করুন।",
+  "Stale since {time}": "{time} থেকে হালনাগাদ হয়নি",
+  "Observed at {time}": "{time}-এ রেকর্ড করা",
+  "Last spike • {time}": "শেষ বৃদ্ধি • {time}",
+
+  // Diseases and personal tips
+  "Asthma & COPD flare-ups": "হাঁপানি ও COPD বেড়ে যাওয়া",
+  "Cardio stress (hypertension)": "হৃদযন্ত্রে চাপ (উচ্চ রক্তচাপ)",
+  "Allergic rhinitis / sore throat": "অ্যালার্জিক রাইনাইটিস / গলা ব্যথা",
+  "Eye irritation": "চোখ জ্বালা",
+  "Headache & fatigue": "মাথাব্যথা ও ক্লান্তি",
+  "Use N95 outside; keep inhalers ready; limit exertion": "বাইরে N95 পরুন; ইনহেলার হাতের কাছে রাখুন; পরিশ্রম কমান",
+  "Stay indoors; hydrate; avoid heavy workouts": "ঘরে থাকুন; জল পান করুন; ভারী ব্যায়াম এড়িয়ে চলুন",
+  "Mask outdoors; saline gargle; keep windows closed": "বাইরে মাস্ক পরুন; নুন জলে গার্গল করুন; জানালা বন্ধ রাখুন",
+  "Protective glasses; avoid rubbing eyes; use artificial tears": "সুরক্ষা চশমা পরুন; চোখ ঘষবেন না; চোখের ড্রপ ব্যবহার করুন",
+  "Reduce outdoor time; rest; stay hydrated": "বাইরে কম সময় কাটান; বিশ্রাম নিন; জল পান করুন",
+  "For you: {tip}": "আপনার জন্য: {tip}",
+  "Take your controller dose on schedule and keep the reliever inhaler on you":
+    "কন্ট্রোলার ওষুধ সময়মতো নিন এবং রিলিভার ইনহেলার সঙ্গে রাখুন",
+  "Follow your action plan; call your doctor if breathlessness worsens":
+    "আপনার অ্যাকশন প্ল্যান মেনে চলুন; শ্বাসকষ্ট বাড়লে ডাক্তারকে ফোন করুন",
+  "Skip strenuous exertion; watch for chest pain or palpitations": "কঠোর পরিশ্রম এড়ান; বুকে ব্যথা বা বুক ধড়ফড় খেয়াল করুন",
+  "Monitor blood sugar closely; pollution can raise cardiovascular strain":
+    "রক্তে শর্করার দিকে নজর রাখুন; দূষণ হৃদযন্ত্রের চাপ বাড়াতে পারে",
+  "Limit outdoor time on high days; favour filtered indoor spaces":
+    "বেশি দূষণের দিনে বাইরে কম যান; পরিশোধিত বাতাসের ঘরে থাকুন",
+  "Rinse nasal passages after being outdoors; keep antihistamines handy":
+    "বাইরে থেকে ফিরে নাক পরিষ্কার করুন; অ্যান্টিহিস্টামিন হাতের কাছে রাখুন",
+  "Move play and sports indoors when the index climbs": "সূচক বাড়লে খেলাধুলা ঘরের ভেতরে করান",
+  "Check in with family or caregivers on high-pollution days": "বেশি দূষণের দিনে পরিবার বা পরিচর্যাকারীর সঙ্গে যোগাযোগ রাখুন",
+  "Schedule heavy work for the cleanest hours and wear a fitted N95": "ভারী কাজ সবচেয়ে পরিষ্কার সময়ে করুন এবং ঠিকমতো লাগানো N95 পরুন",
+
+  // Readiness checklist
+  "Wear N95/FFP2 outdoors": "বাইরে N95/FFP2 পরুন",
+  "Required for AQI spikes": "AQI বাড়লে প্রয়োজনীয়",
+  "Keep mask handy": "মাস্ক হাতের কাছে রাখুন",
+  "Run air purifier or ventilation": "এয়ার পিউরিফায়ার বা বায়ু চলাচল চালু করুন",
+  "Cycle HEPA every 2h": "প্রতি ২ ঘণ্টায় HEPA চালান",
+  "Ventilate when {standard} ≤ {max}": "{standard} ≤ {max} হলে বাতাস চলাচল করান",
+  "Indoor PM2.5 {pm25} µg/m³ • {ventilation}": "ঘরের PM2.5 {pm25} µg/m³ • {ventilation}",
+  "Stay hydrated + limit exertion": "জল পান করুন + পরিশ্রম কমান",
+  "Sip water every hour": "প্রতি ঘণ্টায় জল পান করুন",
+  "Monitor energy levels": "শরীরের শক্তির দিকে খেয়াল রাখুন",
+  "Enable spike notifications": "বৃদ্ধির বিজ্ঞপ্তি চালু করুন",
+  "Live alerts active": "লাইভ সতর্কতা চালু",
+  "Grant permission for browser alerts": "ব্রাউজার সতর্কতার অনুমতি দিন",
+  "Plan commute flexibly": "যাতায়াতের পরিকল্পনা নমনীয় রাখুন",
+  "Avoid peak traffic outdoors; compare routes in the commute planner":
+    "ভিড়ের সময় বাইরে যাওয়া এড়ান; যাতায়াত পরিকল্পনায় পথগুলো তুলনা করুন",
+  "Track AQI before leaving": "বেরোনোর আগে AQI দেখুন",
+  "Carry reliever inhaler / medication": "রিলিভার ইনহেলার / ওষুধ সঙ্গে রাখুন",
+  "Keep it within reach all day": "সারাদিন হাতের কাছে রাখুন",
+  "Check doses before heading out": "বেরোনোর আগে ডোজ দেখে নিন",
+
+  // Notifications
+  "AQI Alert": "AQI সতর্কতা",
+  "AQI Alert • {place}": "AQI সতর্কতা • {place}",
+  "{label} AQI is {aqi}. {advice}": "{label}-এর AQI {aqi}। {advice}",
+  "Current AQI in {label} is {aqi}": "{label}-এ বর্তমান AQI {aqi}",
+  "AQI alert: {label} is at {aqi} ({band}), above your threshold of {threshold}.":
+    "AQI সতর্কতা: {label}-এ AQI {aqi} ({band}), আপনার সীমা {threshold}-এর উপরে।",
+  "AQI in {label} is {aqi} ({band}).": "{label}-এ AQI {aqi} ({band})।",
+  "AQI in {label} is now {aqi} ({band}).": "{label}-এ AQI এখন {aqi} ({band})।",
+  "Dismiss notification": "বিজ্ঞপ্তি সরান",
+  Elevated: "বর্ধিত",
+  "Daily exposure limit passed": "দৈনিক সংস্পর্শ সীমা অতিক্রান্ত",
+  "You have breathed about {dose} µg/m³·h of PM2.5 today (≈ {cigarettes} cigarettes), above your {limit} limit.":
+    "আজ আপনি প্রায় {dose} µg/m³·h PM2.5 শ্বাসের সঙ্গে নিয়েছেন (≈ {cigarettes}টি সিগারেট), যা আপনার {limit} সীমার বেশি।",
+
+  // Widget
+  "Loading air quality…": "বাতাসের মান লোড হচ্ছে…",
+  "Set a city, coordinates or station to show its air quality.": "বাতাসের মান দেখাতে একটি শহর, স্থানাঙ্ক বা স্টেশন দিন।",
+  "Updated {time}": "{time}-এ হালনাগাদ",
+  "Open in Atmosense": "Atmosense-এ খুলুন",
+
+  // Bands (US EPA)
+  Good: "ভালো",
+  "Air quality is good. No precautions needed.": "বাতাসের মান ভালো। কোনো সতর্কতার প্রয়োজন নেই।",
+  "Stay active outdoors.": "বাইরে সক্রিয় থাকুন।",
+  Healthy: "স্বাস্থ্যকর",
+  "Air is clean — stay active": "বাতাস পরিষ্কার — সক্রিয় থাকুন",
+  Moderate: "মাঝারি",
+  "Moderate air quality. Sensitive groups should take caution.": "মাঝারি বাতাসের মান। সংবেদনশীলদের সতর্ক থাকা উচিত।",
+  "Limit prolonged outdoor activity if you have respiratory issues.": "শ্বাসের সমস্যা থাকলে দীর্ঘক্ষণ বাইরে থাকবেন না।",
+  "Sensitive groups take light caution": "সংবেদনশীলরা একটু সতর্ক থাকুন",
+  "Unhealthy for sensitive groups": "সংবেদনশীলদের জন্য অস্বাস্থ্যকর",
+  "Unhealthy for sensitive groups.": "সংবেদনশীলদের জন্য অস্বাস্থ্যকর।",
+  "Reduce outdoor activity. Use mask if needed.": "বাইরের কাজকর্ম কমান। প্রয়োজনে মাস্ক পরুন।",
+  Caution: "সতর্কতা",
+  "Sensitive groups reduce outdoor time": "সংবেদনশীলরা বাইরে কম সময় কাটান",
+  Unhealthy: "অস্বাস্থ্যকর",
+  "Unhealthy.": "অস্বাস্থ্যকর।",
+  "Avoid outdoor activity. People with health issues should stay indoors.":
+    "বাইরের কাজকর্ম এড়িয়ে চলুন। অসুস্থ মানুষদের ঘরে থাকা উচিত।",
+  "Avoid outdoor exertion; use N95": "বাইরে পরিশ্রম এড়ান; N95 পরুন",
+  "Very Unhealthy": "খুবই অস্বাস্থ্যকর",
+  "Very Unhealthy.": "খুবই অস্বাস্থ্যকর।",
+  "Stay indoors. Wear N95 masks if you go outside.": "ঘরে থাকুন। বাইরে গেলে N95 মাস্ক পরুন।",
+  "Stay indoors; mechanical ventilation": "ঘরে থাকুন; যান্ত্রিক বায়ু চলাচল ব্যবহার করুন",
+  Hazardous: "বিপজ্জনক",
+  "Hazardous!": "বিপজ্জনক!",
+  "Avoid all outdoor activity. Keep windows closed.": "বাইরের সব কাজকর্ম এড়িয়ে চলুন। জানালা বন্ধ রাখুন।",
+  "Shelter indoors; seal windows; use N95": "ঘরে আশ্রয় নিন; জানালা বন্ধ করুন; N95 পরুন",
+
+  // Bands (India NAQI)
+  "Good air quality with minimal health impact.": "ভালো বাতাসের মান, স্বাস্থ্যে সামান্য প্রভাব।",
+  "Enjoy outdoor activities.": "বাইরের কাজকর্ম উপভোগ করুন।",
+  "Minimal impact": "সামান্য প্রভাব",
+  Satisfactory: "সন্তোষজনক",
+  "Satisfactory. Minor breathing discomfort to sensitive people.": "সন্তোষজনক। সংবেদনশীলদের সামান্য শ্বাসকষ্ট।",
+  "Sensitive people should keep reliever medication handy.": "সংবেদনশীলরা উপশমের ওষুধ হাতের কাছে রাখুন।",
+  "Minor discomfort for sensitive people": "সংবেদনশীলদের সামান্য অস্বস্তি",
+  "Moderate. Breathing discomfort for people with lung or heart disease, children and older adults.":
+    "মাঝারি। ফুসফুস বা হৃদরোগী, শিশু ও বয়স্কদের শ্বাসকষ্ট।",
+  "Limit prolonged outdoor exertion. Use mask if needed.": "বাইরে দীর্ঘ পরিশ্রম সীমিত করুন। প্রয়োজনে মাস্ক পরুন।",
+  "Lung and heart patients take caution": "ফুসফুস ও হৃদরোগীরা সতর্ক থাকুন",
+  Poor: "খারাপ",
+  "Poor. Breathing discomfort to most people on prolonged exposure.": "খারাপ। দীর্ঘ সংস্পর্শে বেশিরভাগ মানুষের শ্বাসকষ্ট।",
+  "Avoid outdoor activity. Wear N95 outdoors.": "বাইরের কাজকর্ম এড়িয়ে চলুন। বাইরে N95 পরুন।",
+  "Avoid prolonged exposure; use N95": "দীর্ঘ সংস্পর্শ এড়ান; N95 পরুন",
+  "Very Poor": "খুব খারাপ",
+  "Very Poor. Respiratory illness on prolonged exposure.": "খুব খারাপ। দীর্ঘ সংস্পর্শে শ্বাসযন্ত্রের অসুখ।",
+  "Stay indoors. Run air purifiers and keep windows closed.": "ঘরে থাকুন। এয়ার পিউরিফায়ার চালান এবং জানালা বন্ধ রাখুন।",
+  "Stay indoors; run purifiers": "ঘরে থাকুন; পিউরিফায়ার চালান",
+  Severe: "গুরুতর",
+  "Severe! Respiratory effects even on healthy people.": "গুরুতর! সুস্থ মানুষের উপরও শ্বাসযন্ত্রের প্রভাব।",
+  "Avoid all outdoor activity. Seal windows and use N95 if you must go out.":
+    "বাইরের সব কাজকর্ম এড়িয়ে চলুন। জানালা বন্ধ করুন এবং বাইরে যেতেই হলে N95 পরুন।",
+
+  // Bands (EU CAQI)
+  "Very low": "খুব কম",
+  "Very low pollution. Air quality is excellent.": "খুব কম দূষণ। বাতাসের মান চমৎকার।",
+  "Excellent air — stay active": "চমৎকার বাতাস — সক্রিয় থাকুন",
+  Low: "কম",
+  "Low pollution. Air quality is fine for everyone.": "কম দূষণ। বাতাস সবার জন্য ঠিক আছে।",
+  "No special precautions needed.": "বিশেষ সতর্কতার প্রয়োজন নেই।",
+  "Fine for everyone": "সবার জন্য ঠিক",
+  Medium: "মাঝারি",
+  "Medium pollution. Sensitive groups may notice effects.": "মাঝারি দূষণ। সংবেদনশীলরা প্রভাব টের পেতে পারেন।",
+  "Sensitive groups should reduce intense outdoor exercise.": "সংবেদনশীলদের বাইরে কঠোর ব্যায়াম কমানো উচিত।",
+  "Sensitive groups ease off outdoors": "সংবেদনশীলরা বাইরে পরিশ্রম কমান",
+  High: "বেশি",
+  "High pollution. Everyone may begin to feel effects.": "বেশি দূষণ। সবাই প্রভাব টের পেতে শুরু করতে পারেন।",
+  "Avoid outdoor exertion. Wear N95 on busy roads.": "বাইরে পরিশ্রম এড়ান। ব্যস্ত রাস্তায় N95 পরুন।",
+  "Very high": "খুব বেশি",
+  "Very high pollution. Health warnings for everyone.": "খুব বেশি দূষণ। সবার জন্য স্বাস্থ্য সতর্কতা।",
+  "Stay indoors. Keep windows closed and run purifiers.": "ঘরে থাকুন। জানালা বন্ধ রাখুন এবং পিউরিফায়ার চালান।",
+  "Stay indoors; keep windows closed": "ঘরে থাকুন; জানালা বন্ধ রাখুন",
+
+  // Dashboard
+  "Air wellness intelligence": "বায়ু সুস্থতা তথ্য",
+  "Live AQI Dashboard": "লাইভ AQI ড্যাশবোর্ড",
+  "Keep tabs on {place} in real time.": "{place} সরাসরি নজরে রাখুন।",
+  "your area": "আপনার এলাকা",
+  "Stay ahead of pollution spikes for {place} with live guidance.":
+    "লাইভ পরামর্শে {place}-এ দূষণ বাড়ার আগেই প্রস্তুত থাকুন।",
+  "your location": "আপনার অবস্থান",
+  "Enter a city or locality": "শহর বা এলাকা লিখুন",
+  "Check AQI": "AQI দেখুন",
+  Share: "শেয়ার করুন",
+  "AQI in {place}": "{place}-এ AQI",
+  "Link copied: {url}": "লিঙ্ক কপি হয়েছে: {url}",
+  "Could not copy the link. Share this address instead: {url}":
+    "লিঙ্ক কপি করা গেল না। এর বদলে এই ঠিকানা শেয়ার করুন: {url}",
+  "Fetching your approximate location. Please allow permissions or enter a city manually.":
+    "আপনার আনুমানিক অবস্থান নেওয়া হচ্ছে। অনুমতি দিন অথবা নিজে শহরের নাম লিখুন।",
+  "Current location": "বর্তমান অবস্থান",
+  "Location status": "অবস্থানের অবস্থা",
+  Notifications: "বিজ্ঞপ্তি",
+  Connection: "সংযোগ",
+  Offline: "অফলাইন",
+  Off: "বন্ধ",
+  "Not asked yet": "এখনও জিজ্ঞাসা করা হয়নি",
+  Enabled: "চালু",
+  Blocked: "ব্লক করা",
+  "Not supported": "সমর্থিত নয়",
+  "Pending permission": "অনুমতি বাকি",
+  "Realtime {standard}": "রিয়েলটাইম {standard}",
+  "This reading was saved earlier and could not be refreshed": "এই রিডিং আগে সংরক্ষিত হয়েছিল এবং রিফ্রেশ করা যায়নি",
+  "Sources agree": "উৎসগুলো একমত",
+  "Sources roughly agree": "উৎসগুলো মোটামুটি একমত",
+  "Sources disagree": "উৎসগুলো একমত নয়",
+  Blended: "মিশ্রিত",
+  "fallback after {providers}": "{providers}-এর পরে বিকল্প",
+  "Guardian status": "সুরক্ষা অবস্থা",
+  "{standard} level": "{standard} স্তর",
+  "Last sync": "শেষ সিঙ্ক",
+  "Awaiting data": "ডেটার অপেক্ষায়",
+  "Alerts: {state}": "সতর্কতা: {state}",
+  "Δ vs last manual: {delta} AQI": "শেষ যাচাইয়ের তুলনায় Δ: {delta} AQI",
+  "Run a manual check to compare": "তুলনার জন্য নিজে একবার যাচাই করুন",
+  "Mode: {mode}": "মোড: {mode}",
+  Manual: "ম্যানুয়াল",
+  "Airwatch scope": "নজরদারির পরিধি",
+  "GPS tracking": "GPS ট্র্যাকিং",
+  "Map station": "মানচিত্রের স্টেশন",
+  "Setup required": "সেটআপ দরকার",
+  "Add a city name to start": "শুরু করতে একটি শহরের নাম লিখুন",
+  "Ranking data syncing…": "র‍্যাঙ্কিং ডেটা সিঙ্ক হচ্ছে…",
+  "Live snapshot": "লাইভ ঝলক",
+  "Environment overview": "পরিবেশের সারসংক্ষেপ",
+  "Coordinates refresh automatically every time you move ~50m.":
+    "আপনি ~৫০ মিটার সরলেই স্থানাঙ্ক নিজে থেকে রিফ্রেশ হয়।",
+  Location: "অবস্থান",
+  "Status: {status}": "অবস্থা: {status}",
+  "Health Tracker": "স্বাস্থ্য ট্র্যাকার",
+  "Notifications: {state}": "বিজ্ঞপ্তি: {state}",
+  "Latest reading": "সর্বশেষ রিডিং",
+  "Manual check • {place}": "নিজে যাচাই • {place}",
+  "Live auto refresh": "লাইভ অটো রিফ্রেশ",
+  "Use Check AQI to capture a measurement": "মাপ নিতে AQI দেখুন চাপুন",
+  "Personal exposure": "ব্যক্তিগত এক্সপোজার",
+  "What you breathed today": "আজ আপনি কী শ্বাস নিলেন",
+  "Combines the time you spend at each live location with the PM2.5 there into a cumulative daily dose.":
+    "প্রতিটি লাইভ অবস্থানে কাটানো সময় আর সেখানকার PM2.5 মিলিয়ে দিনের মোট মাত্রা হিসাব করে।",
+  "Today's dose": "আজকের মাত্রা",
+  "{percent}% of limit": "সীমার {percent}%",
+  "≈ {count} cigarette • {hours} h tracked": "≈ {count}টি সিগারেট • {hours} ঘণ্টা ট্র্যাক",
+  "≈ {count} cigarettes • {hours} h tracked": "≈ {count}টি সিগারেট • {hours} ঘণ্টা ট্র্যাক",
+  "avg PM2.5 {pm25} µg/m³": "গড় PM2.5 {pm25} µg/m³",
+  "Your cumulative dose is above the daily limit. Spend the rest of the day in filtered indoor air if you can.":
+    "আপনার মোট মাত্রা দৈনিক সীমার উপরে। পারলে দিনের বাকি সময় ফিল্টার করা বাতাসে ঘরের ভেতরে কাটান।",
+  "Daily limit": "দৈনিক সীমা",
+  "Some stations report no PM2.5; their AQI was converted to an estimated concentration.":
+    "কিছু স্টেশন PM2.5 জানায় না; তাদের AQI আনুমানিক ঘনত্বে রূপান্তর করা হয়েছে।",
+  "Day timeline": "দিনের টাইমলাইন",
+  "{count} stops": "{count}টি থামা",
+  "No live fixes yet today": "আজ এখনও কোনো লাইভ অবস্থান নেই",
+  "Where you were today and the air quality there": "আজ আপনি কোথায় ছিলেন আর সেখানকার বাতাসের মান",
+  "Gaps are time without a location fix; each stop counts for at most two hours.":
+    "ফাঁকগুলো অবস্থান না পাওয়ার সময়; প্রতিটি থামা সর্বোচ্চ দুই ঘণ্টা ধরা হয়।",
+  "Weekly totals": "সাপ্তাহিক মোট",
+  "{count} cigarette-equivalents this week": "এই সপ্তাহে {count}টি সিগারেটের সমান",
+  "PM2.5 dose (µg/m³·h)": "PM2.5 মাত্রা (µg/m³·h)",
+  "PM2.5 dose for the last 7 days; {days} of 7 over the daily limit":
+    "গত ৭ দিনের PM2.5 মাত্রা; ৭ দিনের মধ্যে {days} দিন সীমার উপরে",
+  "Indoor air": "ঘরের ভেতরের বাতাস",
+  "Inside vs outside": "ভেতর বনাম বাইরে",
+  "Home sensors (PurpleAir, ESP32 + SDS011 over MQTT, or any HTTP POST) tell you whether opening the windows helps. Add them under Settings.":
+    "বাড়ির সেন্সর (PurpleAir, MQTT-তে ESP32 + SDS011, বা যেকোনো HTTP POST) জানায় জানালা খুললে লাভ হবে কি না। সেটিংসে সেগুলো যোগ করুন।",
+  "Indoor vs outdoor PM2.5": "ভেতর বনাম বাইরের PM2.5",
+  Indoor: "ভেতরে",
+  Outdoor: "বাইরে",
+  "{count} live sensor": "{count}টি লাইভ সেন্সর",
+  "{count} live sensors": "{count}টি লাইভ সেন্সর",
+  "No live sensor": "কোনো লাইভ সেন্সর নেই",
+  "Estimated from AQI": "AQI থেকে আনুমানিক",
+  "Check AQI first": "আগে AQI দেখুন",
+  "Offline • last seen": "অফলাইন • শেষ দেখা",
+  "{sensor} PM2.5 over the last 24 hours": "গত ২৪ ঘণ্টায় {sensor}-এর PM2.5",
+  "Health forecasting": "স্বাস্থ্য পূর্বাভাস",
+  "Deep analytics": "গভীর বিশ্লেষণ",
+  "Risk bars and disease guidance mirror the latest AQI; trend lines and the outlook live under History.":
+    "ঝুঁকির বার আর রোগের পরামর্শ সর্বশেষ AQI অনুযায়ী; প্রবণতা আর পূর্বাভাস ইতিহাসে আছে।",
+  "Dominant {pollutant}": "প্রধান {pollutant}",
+  "ML-based health risk prediction": "ML-ভিত্তিক স্বাস্থ্য ঝুঁকির পূর্বাভাস",
+  "Heuristic model scaled to current AQI and your profile": "বর্তমান AQI ও আপনার প্রোফাইল অনুযায়ী আনুমানিক মডেল",
+  "Heuristic model scaled to current AQI": "বর্তমান AQI অনুযায়ী আনুমানিক মডেল",
+  "Pollutant sub-indices": "দূষকের উপ-সূচক",
+  "{standard} breakpoints": "{standard} সীমাবিন্দু",
+  "{standard} sub-index": "{standard} উপ-সূচক",
+  "{standard} sub-indices: {values}": "{standard} উপ-সূচক: {values}",
+  "Health risk when AQI is high": "AQI বেশি হলে স্বাস্থ্য ঝুঁকি",
+  "Auto-adjusts based on current AQI": "বর্তমান AQI অনুযায়ী নিজে থেকে বদলায়",
+  "Diseases & prevention": "রোগ ও প্রতিরোধ",
+  "Readiness checklist": "প্রস্তুতির তালিকা",
+  "Adaptive guidance for your current AQI": "আপনার বর্তমান AQI অনুযায়ী পরামর্শ",
+  // Location, search and indoor advice
+  Idle: "নিষ্ক্রিয়",
+  Live: "লাইভ",
+  "Live (network)": "লাইভ (নেটওয়ার্ক)",
+  "Approximate via network": "নেটওয়ার্ক থেকে আনুমানিক",
+  "City lookup": "শহর দিয়ে খোঁজ",
+  "Station lookup": "স্টেশন দিয়ে খোঁজ",
+  "Resolving network location…": "নেটওয়ার্ক থেকে অবস্থান নেওয়া হচ্ছে…",
+  "Enter a city to start": "শুরু করতে একটি শহর লিখুন",
+  "Geolocation not supported": "জিওলোকেশন সমর্থিত নয়",
+  "Locating…": "অবস্থান খোঁজা হচ্ছে…",
+  "Use HTTPS or localhost for live location": "লাইভ অবস্থানের জন্য HTTPS বা localhost ব্যবহার করুন",
+  "Permission denied — allow location access": "অনুমতি দেওয়া হয়নি — অবস্থানের অনুমতি দিন",
+  "Position unavailable": "অবস্থান পাওয়া যাচ্ছে না",
+  "Location timed out": "অবস্থান খুঁজতে সময় শেষ",
+  "Unable to get location": "অবস্থান পাওয়া গেল না",
+  "Awaiting live location…": "লাইভ অবস্থানের অপেক্ষায়…",
+  "Recent searches": "সাম্প্রতিক খোঁজ",
+  Cities: "শহর",
+  Stations: "স্টেশন",
+  Places: "জায়গা",
+  "Searching…": "খোঁজা হচ্ছে…",
+  "No matches": "কোনো মিল নেই",
+  "Suggestions are unavailable right now.": "এই মুহূর্তে পরামর্শ পাওয়া যাচ্ছে না।",
+  "Waiting for readings": "রিডিংয়ের অপেক্ষায়",
+  "No live indoor sensor reading yet.": "এখনও ঘরের কোনো সেন্সরের লাইভ রিডিং নেই।",
+  "Check the outdoor AQI to compare.": "তুলনার জন্য বাইরের AQI দেখুন।",
+  "Run the air purifier until indoor PM2.5 drops.": "ঘরের PM2.5 কমা পর্যন্ত এয়ার পিউরিফায়ার চালান।",
+  "Keep windows shut": "জানালা বন্ধ রাখুন",
+  "Outdoor PM2.5 is {outdoor} µg/m³ against {indoor} indoors.": "বাইরে PM2.5 {outdoor} µg/m³, ভেতরে {indoor}।",
+  "Ventilate now": "এখন বাতাস ঢুকতে দিন",
+  "Outdoor air is cleaner ({outdoor} vs {indoor} µg/m³). Open windows for 10–15 minutes.":
+    "বাইরের বাতাস বেশি পরিষ্কার ({outdoor} বনাম {indoor} µg/m³)। ১০–১৫ মিনিট জানালা খুলে রাখুন।",
+  "Indoor and outdoor are similar": "ভেতর আর বাইরে প্রায় একই",
+  "Both are around {indoor} µg/m³; a short airing for fresh air will not change much.":
+    "দুটোই প্রায় {indoor} µg/m³; তাজা বাতাসের জন্য অল্প সময় জানালা খুললে তেমন বদল হবে না।",
+  "WHO 2021 guideline (15 µg/m³ daily mean)": "WHO 2021 নির্দেশিকা (১৫ µg/m³ দৈনিক গড়)",
+  "Sensitive groups (half of WHO)": "সংবেদনশীল মানুষ (WHO-র অর্ধেক)",
+  "India NAAQS (60 µg/m³ daily mean)": "ভারত NAAQS (৬০ µg/m³ দৈনিক গড়)",
+  // Map and commute planner
+  "Station map": "স্টেশনের মানচিত্র",
+  "Air quality around you": "আপনার চারপাশের বাতাসের মান",
+  "Pick a station to load its reading on the dashboard.": "ড্যাশবোর্ডে রিডিং দেখতে একটি স্টেশন বেছে নিন।",
+  "Commute planner": "যাতায়াত পরিকল্পনা",
+  "Cleaner ways to get there": "সেখানে যাওয়ার পরিষ্কার পথ",
+  "Compares alternative routes by the PM2.5 you would inhale along them and suggests when to leave. Routes are drawn on the map above.":
+    "বিকল্প পথগুলোতে কতটা PM2.5 শ্বাসে যাবে তা দিয়ে তুলনা করে এবং কখন বেরোবেন তা জানায়। পথগুলো উপরের মানচিত্রে আঁকা থাকে।",
+  "From (place or lat, lng)": "কোথা থেকে (জায়গা বা lat, lng)",
+  "To (place or lat, lng)": "কোথায় (জায়গা বা lat, lng)",
+  Origin: "যাত্রা শুরু",
+  Destination: "গন্তব্য",
+  "Travel mode": "যাতায়াতের মাধ্যম",
+  Walk: "হাঁটা",
+  Cycle: "সাইকেল",
+  Car: "গাড়ি",
+  "From my location": "আমার অবস্থান থেকে",
+  "Planning…": "পরিকল্পনা হচ্ছে…",
+  "Compare routes": "পথ তুলনা করুন",
+  "Could not plan this commute. Try again.": "এই যাত্রার পরিকল্পনা করা গেল না। আবার চেষ্টা করুন।",
+  "Live location is not available yet.": "লাইভ অবস্থান এখনও পাওয়া যায়নি।",
+  "{count} station sampled": "{count}টি স্টেশন দেখা হয়েছে",
+  "{count} stations sampled": "{count}টি স্টেশন দেখা হয়েছে",
+  "Lowest exposure": "সবচেয়ে কম এক্সপোজার",
+  "µg PM2.5 inhaled": "µg PM2.5 শ্বাসে",
+  "{distance} km • {minutes} min • avg AQI {average} • peak {peak}":
+    "{distance} কিমি • {minutes} মিনিট • গড় AQI {average} • সর্বোচ্চ {peak}",
+  "n/a": "নেই",
+  "{coverage}% of the route has a station within range; the rest uses the route average.":
+    "পথের {coverage}% অংশের কাছে স্টেশন আছে; বাকি অংশে পথের গড় ধরা হয়েছে।",
+  "Best times to leave": "বেরোনোর সেরা সময়",
+  "Forecast levels shaped by the usual hour-by-hour pattern": "সাধারণ ঘণ্টাভিত্তিক ধারা অনুযায়ী পূর্বাভাস",
+  "Check AQI first so the planner has a current level or forecast to work from.":
+    "পরিকল্পনার জন্য বর্তমান মাত্রা বা পূর্বাভাস পেতে আগে AQI দেখুন।",
+  "expected AQI ~{aqi}": "প্রত্যাশিত AQI ~{aqi}",
+  "Loading stations…": "স্টেশন লোড হচ্ছে…",
+  "Move the map to load stations": "স্টেশন লোড করতে মানচিত্র সরান",
+  "{count} station in view": "{count}টি স্টেশন দেখা যাচ্ছে",
+  "{count} stations in view": "{count}টি স্টেশন দেখা যাচ্ছে",
+  "Stations could not be loaded.": "স্টেশন লোড করা গেল না।",
+  "Base map": "ভিত্তি মানচিত্র",
+  "Add VITE_GOOGLE_MAPS_API_KEY to enable Google Maps": "Google Maps চালু করতে VITE_GOOGLE_MAPS_API_KEY যোগ করুন",
+  "Your location": "আপনার অবস্থান",
+  "no nearby station": "কাছে কোনো স্টেশন নেই",
+  "AQI colour scale": "AQI রঙের মাপকাঠি",
+  "No data": "কোনো ডেটা নেই",
+  "Click a station to load it into the dashboard.": "ড্যাশবোর্ডে আনতে একটি স্টেশনে ক্লিক করুন।",
+  "Click a route to select it; its colour follows the AQI along each stretch.":
+    "পথ বেছে নিতে তাতে ক্লিক করুন; এর রং প্রতিটি অংশের AQI অনুযায়ী।",
+  // Alerts and automation
+  "Proactive monitoring": "সক্রিয় নজরদারি",
+  "Automation & alerts": "স্বয়ংক্রিয়তা ও সতর্কতা",
+  "Tune refresh cadence, custom alerts, and review recent spikes without touching the map.":
+    "মানচিত্র না ছুঁয়েই রিফ্রেশের ব্যবধান ও সতর্কতা ঠিক করুন এবং সাম্প্রতিক উত্থান দেখুন।",
+  "Alert threshold": "সতর্কতার সীমা",
+  "We notify you the moment AQI exceeds your personal limit. Lower it for sensitive groups.":
+    "AQI আপনার ব্যক্তিগত সীমা ছাড়ালেই আমরা জানাই। সংবেদনশীলদের জন্য এটি কমিয়ে দিন।",
+  "Alert fires at ≥ {threshold} AQI.": "≥ {threshold} AQI হলে সতর্কতা আসে।",
+  "Alert thresholds stay on the WAQI US AQI scale.": "সতর্কতার সীমা WAQI US AQI মাপকাঠিতেই থাকে।",
+  "Use profile suggestion ({threshold} AQI)": "প্রোফাইলের পরামর্শ নিন ({threshold} AQI)",
+  "Auto refresh": "স্বয়ংক্রিয় রিফ্রেশ",
+  "Auto-refresh": "স্বয়ংক্রিয় রিফ্রেশ",
+  "Automatically capture AQI snapshots from your live location even when you forget.":
+    "ভুলে গেলেও আপনার লাইভ অবস্থান থেকে AQI নিজে থেকেই রেকর্ড হবে।",
+  "Refresh cadence": "রিফ্রেশের ব্যবধান",
+  "Manual only": "শুধু নিজে",
+  "Every {minutes} min": "প্রতি {minutes} মিনিটে",
+  "Next auto refresh: {time}": "পরবর্তী স্বয়ংক্রিয় রিফ্রেশ: {time}",
+  "Background alerts": "ব্যাকগ্রাউন্ড সতর্কতা",
+  "A scheduled worker checks your watchlist every 15 minutes and alerts you even when this tab is closed.":
+    "একটি নির্ধারিত কর্মী প্রতি ১৫ মিনিটে আপনার নজর-তালিকা দেখে এবং এই ট্যাব বন্ধ থাকলেও সতর্ক করে।",
+  "Push to this device": "এই ডিভাইসে পুশ",
+  "Install the app in a browser with Web Push support to get alerts here.":
+    "এখানে সতর্কতা পেতে Web Push সমর্থিত ব্রাউজারে অ্যাপটি ইনস্টল করুন।",
+  "Could not update push alerts.": "পুশ সতর্কতা আপডেট করা গেল না।",
+  Email: "ইমেল",
+  "Alerts go to {email}, the address on your account.": "সতর্কতা আপনার অ্যাকাউন্টের ঠিকানা {email}-এ যাবে।",
+  "Sign in with Google or an email link in Settings to get email alerts.":
+    "ইমেল সতর্কতা পেতে সেটিংসে Google বা ইমেল লিংক দিয়ে সাইন ইন করুন।",
+  "Webhook (Slack, Teams, custom)": "ওয়েবহুক (Slack, Teams, কাস্টম)",
+  "Webhook URLs must start with https://": "ওয়েবহুক URL অবশ্যই https:// দিয়ে শুরু হবে",
+  "Background alert channels saved": "ব্যাকগ্রাউন্ড সতর্কতার চ্যানেল সংরক্ষিত",
+  "Could not save alert channels. Try again.": "সতর্কতার চ্যানেল সংরক্ষণ করা গেল না। আবার চেষ্টা করুন।",
+  "Alert log": "সতর্কতার লগ",
+  Show: "দেখান",
+  "All alerts": "সব সতর্কতা",
+  "No alerts yet": "এখনও কোনো সতর্কতা নেই",
+  "Show older alerts": "পুরনো সতর্কতা দেখান",
+  "threshold {threshold}": "সীমা {threshold}",
+  Watchlist: "নজর-তালিকা",
+  "Places you follow": "আপনার অনুসরণ করা জায়গা",
+  "Add home, office or school to track them side by side.": "বাড়ি, অফিস বা স্কুল যোগ করে পাশাপাশি দেখুন।",
+  "Refresh watchlist": "নজর-তালিকা রিফ্রেশ করুন",
+  "Name (Home, Office…)": "নাম (বাড়ি, অফিস…)",
+  "City or lat, lng": "শহর বা lat, lng",
+  "Alert at": "সতর্কতা যখন",
+  "Add place": "জায়গা যোগ করুন",
+  "Use my location": "আমার অবস্থান নিন",
+  "You can watch up to {count} places.": "আপনি সর্বোচ্চ {count}টি জায়গা দেখতে পারেন।",
+  "Enter a city name or coordinates like 28.61, 77.20.": "শহরের নাম বা 28.61, 77.20-এর মতো স্থানাঙ্ক লিখুন।",
+  "Loading tracked cities…": "অনুসরণ করা শহর লোড হচ্ছে…",
+  "Each place keeps its own alert threshold and refreshes with the auto-refresh cadence.":
+    "প্রতিটি জায়গার নিজস্ব সতর্কতার সীমা আছে এবং স্বয়ংক্রিয় রিফ্রেশের সঙ্গে হালনাগাদ হয়।",
+  "Awaiting first reading": "প্রথম রিডিংয়ের অপেক্ষা",
+  "Alert at ≥ {threshold} AQI": "≥ {threshold} AQI হলে সতর্কতা",
+  Remove: "সরান",
+  "Remove {name}": "{name} সরান",
+  "Above threshold": "সীমার উপরে",
+  "Below threshold": "সীমার নিচে",
+  Running: "চলছে",
+  on: "চালু",
+  off: "বন্ধ",
+  On: "চালু",
+  "Working…": "কাজ চলছে…",
+  "Turn off": "বন্ধ করুন",
+  "Turn on": "চালু করুন",
+  "Saving…": "সংরক্ষণ হচ্ছে…",
+  "Save channels": "চ্যানেল সংরক্ষণ করুন",
+  "Loading alerts…": "সতর্কতা লোড হচ্ছে…",
+  "Threshold alerts will appear here.": "সীমা ছাড়ানোর সতর্কতা এখানে দেখা যাবে।",
+  // History and reports
+  "History & outlook": "ইতিহাস ও পূর্বাভাস",
+  "Look back, look ahead": "পিছনে দেখুন, সামনে দেখুন",
+  "Trend lines come from stored readings; the outlook uses the station forecast or a local model.":
+    "প্রবণতার রেখা সংরক্ষিত রিডিং থেকে আসে; পূর্বাভাস স্টেশনের পূর্বাভাস বা স্থানীয় মডেল থেকে।",
+  "Recent AQI readings": "সাম্প্রতিক AQI রিডিং",
+  "Loading readings…": "রিডিং লোড হচ্ছে…",
+  "No manual checks yet. Use “Check AQI” to capture one.":
+    "এখনও কোনো নিজে করা যাচাই নেই। রেকর্ড করতে “Check AQI” ব্যবহার করুন।",
+  "just now": "এইমাত্র",
+  "Show older readings": "পুরনো রিডিং দেখান",
+  "AQI trend": "AQI প্রবণতা",
+  "Daily min / avg / max over 7 days": "৭ দিনের দৈনিক সর্বনিম্ন / গড় / সর্বোচ্চ",
+  "Hourly min / avg / max over 24 hours": "২৪ ঘণ্টার ঘণ্টাভিত্তিক সর্বনিম্ন / গড় / সর্বোচ্চ",
+  "From stored readings": "সংরক্ষিত রিডিং থেকে",
+  Daily: "দৈনিক",
+  Hourly: "ঘণ্টাভিত্তিক",
+  "Loading stored readings…": "সংরক্ষিত রিডিং লোড হচ্ছে…",
+  "No stored readings for {place} in this window yet.": "এই সময়ে {place}-এর কোনো সংরক্ষিত রিডিং এখনও নেই।",
+  "this location": "এই জায়গা",
+  "No data:": "ডেটা নেই:",
+  Max: "সর্বোচ্চ",
+  Avg: "গড়",
+  Min: "সর্বনিম্ন",
+  "Shaded: at or above your {threshold} AQI threshold": "ছায়াযুক্ত: আপনার {threshold} AQI সীমা বা তার বেশি",
+  "AQI outlook": "AQI পূর্বাভাস",
+  "Daily forecast from the station, or a local model trained on stored readings":
+    "স্টেশনের দৈনিক পূর্বাভাস, অথবা সংরক্ষিত রিডিংয়ে প্রশিক্ষিত স্থানীয় মডেল",
+  "Source: {sources}": "উৎস: {sources}",
+  "{count} day(s) ≥ {threshold}": "{count} দিন ≥ {threshold}",
+  "WAQI forecast": "WAQI পূর্বাভাস",
+  "Open-Meteo forecast": "Open-Meteo পূর্বাভাস",
+  "Local model": "স্থানীয় মডেল",
+  "Building forecast…": "পূর্বাভাস তৈরি হচ্ছে…",
+  "No published forecast for this station and not enough stored readings to model one yet.":
+    "এই স্টেশনের কোনো প্রকাশিত পূর্বাভাস নেই এবং মডেল তৈরির মতো যথেষ্ট সংরক্ষিত রিডিংও এখনও নেই।",
+  "Published forecast": "প্রকাশিত পূর্বাভাস",
+  "Expected AQI": "প্রত্যাশিত AQI",
+  "Recorded AQI": "রেকর্ড করা AQI",
+  Range: "পরিসর",
+  "Range low": "পরিসরের নিম্নসীমা",
+  "Range {min}–{max}": "পরিসর {min}–{max}",
+  "Reports & export": "রিপোর্ট ও রপ্তানি",
+  "Take your data with you": "আপনার ডেটা সঙ্গে নিন",
+  "Download stored readings and alerts, or print a health report for your doctor or employer.":
+    "সংরক্ষিত রিডিং ও সতর্কতা ডাউনলোড করুন, বা আপনার চিকিৎসক বা নিয়োগকর্তার জন্য স্বাস্থ্য রিপোর্ট প্রিন্ট করুন।",
+  From: "থেকে",
+  To: "পর্যন্ত",
+  "All locations": "সব জায়গা",
+  "Readings CSV": "রিডিং CSV",
+  "Readings JSON": "রিডিং JSON",
+  "Alerts CSV": "সতর্কতা CSV",
+  "Alerts JSON": "সতর্কতা JSON",
+  "Health report (PDF)": "স্বাস্থ্য রিপোর্ট (PDF)",
+  "Preparing your report…": "আপনার রিপোর্ট তৈরি হচ্ছে…",
+  "The report opens your browser's print dialog; choose \"Save as PDF\" to keep a copy.":
+    "রিপোর্টটি ব্রাউজারের প্রিন্ট ডায়ালগ খোলে; কপি রাখতে \"Save as PDF\" বেছে নিন।",
+  "The start date must be on or before the end date.": "শুরুর তারিখ শেষ তারিখের দিন বা তার আগে হতে হবে।",
+  "Exported {count} readings": "{count}টি রিডিং রপ্তানি হয়েছে",
+  "Exported {count} alerts": "{count}টি সতর্কতা রপ্তানি হয়েছে",
+  "Could not export readings. Try again.": "রিডিং রপ্তানি করা গেল না। আবার চেষ্টা করুন।",
+  "Could not export alerts. Try again.": "সতর্কতা রপ্তানি করা গেল না। আবার চেষ্টা করুন।",
+  "Allow pop-ups for this site to open the report.": "রিপোর্ট খুলতে এই সাইটের পপ-আপ চালু করুন।",
+  "Report opened in a new tab": "রিপোর্ট নতুন ট্যাবে খুলেছে",
+  "Could not build the health report. Try again.": "স্বাস্থ্য রিপোর্ট তৈরি করা গেল না। আবার চেষ্টা করুন।",
+  // Rankings
+  Leaderboard: "লিডারবোর্ড",
+  "City rankings": "শহরের র‍্যাঙ্কিং",
+  "City-wise AQI ranking": "শহরভিত্তিক AQI র‍্যাঙ্কিং",
+  "Compare a list of cities, a regional preset or every station in a country.":
+    "শহরের তালিকা, আঞ্চলিক গুচ্ছ বা কোনো দেশের সব স্টেশন তুলনা করুন।",
+  "Refreshing...": "রিফ্রেশ হচ্ছে...",
+  Refresh: "রিফ্রেশ করুন",
+  "Ranking scope": "র‍্যাঙ্কিংয়ের পরিসর",
+  "Chosen cities": "বাছাই করা শহর",
+  "Custom list": "নিজের তালিকা",
+  "All stations in a country": "কোনো দেশের সব স্টেশন",
+  "Region preset": "আঞ্চলিক গুচ্ছ",
+  "Indian metros": "ভারতের মহানগর",
+  "Indian state capitals": "ভারতের রাজ্য রাজধানী",
+  "World capitals": "বিশ্বের রাজধানী",
+  Country: "দেশ",
+  India: "ভারত",
+  Bangladesh: "বাংলাদেশ",
+  Pakistan: "পাকিস্তান",
+  China: "চীন",
+  "United Kingdom": "যুক্তরাজ্য",
+  Germany: "জার্মানি",
+  "United States (contiguous)": "মার্কিন যুক্তরাষ্ট্র (মূল ভূখণ্ড)",
+  Australia: "অস্ট্রেলিয়া",
+  "Sort rankings by": "র‍্যাঙ্কিং সাজান",
+  "Sort by {field}": "{field} অনুযায়ী সাজান",
+  "Dominant pollutant": "প্রধান দূষক",
+  "Add a city": "শহর যোগ করুন",
+  Add: "যোগ করুন",
+  "No ranking data yet. Try refreshing.": "এখনও র‍্যাঙ্কিংয়ের ডেটা নেই। রিফ্রেশ করে দেখুন।",
+  "{place} AQI over the last 7 days": "গত ৭ দিনে {place}-এর AQI",
+  Previous: "আগের",
+  Next: "পরের",
+  "Page {page} of {count}": "পৃষ্ঠা {page} / {count}",
+  "Lower AQI indicates cleaner air • Powered by WAQI live feed":
+    "কম AQI মানে পরিষ্কার বাতাস • WAQI লাইভ ফিড দ্বারা চালিত",
+  // Settings, profile and sensors
+  "Account & health profile": "অ্যাকাউন্ট ও স্বাস্থ্য প্রোফাইল",
+  Account: "অ্যাকাউন্ট",
+  "Guest session": "অতিথি সেশন",
+  "Signed in": "সাইন ইন করা আছে",
+  "Signed out": "সাইন আউট হয়েছে",
+  "Continue with Google": "Google দিয়ে চালিয়ে যান",
+  "Signed in with Google": "Google দিয়ে সাইন ইন হয়েছে",
+  "Email me a link": "আমাকে লিংক ইমেল করুন",
+  "Enter your email address.": "আপনার ইমেল ঠিকানা লিখুন।",
+  "Sign-in link sent to {email}": "সাইন-ইন লিংক {email}-এ পাঠানো হয়েছে",
+  "Sign out": "সাইন আউট",
+  "Authentication failed.": "প্রমাণীকরণ ব্যর্থ হয়েছে।",
+  "moved {count} guest records": "{count}টি অতিথি রেকর্ড সরানো হয়েছে",
+  "Your profile": "আপনার প্রোফাইল",
+  "Personalize your guidance": "আপনার পরামর্শ নিজের মতো করুন",
+  "Risk predictions, prevention tips, checklist tiers and the suggested alert threshold adapt to you.":
+    "ঝুঁকির পূর্বাভাস, প্রতিরোধের পরামর্শ, চেকলিস্টের স্তর ও প্রস্তাবিত সতর্কতার সীমা আপনার মতো করে বদলায়।",
+  "No profile yet": "এখনও কোনো প্রোফাইল নেই",
+  "Age band": "বয়সের শ্রেণি",
+  "Child (under 12)": "শিশু (১২-র কম)",
+  "Teen (12–17)": "কিশোর (১২–১৭)",
+  "Adult (18–64)": "প্রাপ্তবয়স্ক (১৮–৬৪)",
+  "Senior (65+)": "প্রবীণ (৬৫+)",
+  "Activity level": "কর্মকাণ্ডের মাত্রা",
+  "Mostly indoors": "বেশিরভাগ ঘরের ভিতরে",
+  "Regular outdoor activity": "নিয়মিত বাইরের কাজকর্ম",
+  "Outdoor worker / athlete": "বাইরে কাজ করেন / খেলোয়াড়",
+  Conditions: "শারীরিক অবস্থা",
+  Asthma: "হাঁপানি",
+  "COPD / chronic bronchitis": "COPD / দীর্ঘস্থায়ী ব্রংকাইটিস",
+  "Heart disease / hypertension": "হৃদরোগ / উচ্চ রক্তচাপ",
+  Diabetes: "ডায়াবেটিস",
+  Pregnancy: "গর্ভাবস্থা",
+  "Allergies / rhinitis": "অ্যালার্জি / রাইনাইটিস",
+  "I use an inhaler or daily respiratory / cardiac medication":
+    "আমি ইনহেলার বা প্রতিদিন শ্বাসযন্ত্র / হৃদ্‌যন্ত্রের ওষুধ ব্যবহার করি",
+  "Suggested alert threshold: {threshold} AQI": "প্রস্তাবিত সতর্কতার সীমা: {threshold} AQI",
+  "Save profile": "প্রোফাইল সংরক্ষণ করুন",
+  "Profile saved": "প্রোফাইল সংরক্ষিত",
+  "Could not save your profile. Try again.": "আপনার প্রোফাইল সংরক্ষণ করা গেল না। আবার চেষ্টা করুন।",
+  "Colours & contrast": "রং ও কনট্রাস্ট",
+  Palette: "রঙের প্যালেট",
+  Standard: "সাধারণ",
+  "Colour-blind safe": "বর্ণান্ধতা-বান্ধব",
+  "High contrast": "উচ্চ কনট্রাস্ট",
+  "Severity colours on the dashboard, map and charts. The colour-blind safe and high-contrast palettes also hatch worse levels, and every level is named in text.":
+    "ড্যাশবোর্ড, মানচিত্র ও চার্টে তীব্রতার রং। বর্ণান্ধতা-বান্ধব ও উচ্চ কনট্রাস্ট প্যালেট খারাপ স্তরে দাগও দেয়, এবং প্রতিটি স্তরের নাম লেখা থাকে।",
+  "Fallback uses the first source with a reading; blending asks every source and shows the median with how well they agree.":
+    "বিকল্প মোড রিডিং থাকা প্রথম উৎস ব্যবহার করে; মেশালে প্রতিটি উৎসকে জিজ্ঞেস করে মধ্যমা ও তাদের মিলের মাত্রা দেখায়।",
+  "Data & devices": "ডেটা ও ডিভাইস",
+  "Sources and sensors": "উৎস ও সেন্সর",
+  "Choose the index standard and AQI sources, and register indoor sensors.":
+    "সূচকের মান ও AQI উৎস বেছে নিন এবং ঘরের ভিতরের সেন্সর নথিভুক্ত করুন।",
+  "Air quality standard": "বাতাসের মানের মানদণ্ড",
+  "Index standard": "সূচকের মানদণ্ড",
+  "Sub-indices, colours, advice and checklist tiers follow the selected national scale.":
+    "উপ-সূচক, রং, পরামর্শ ও চেকলিস্টের স্তর বেছে নেওয়া জাতীয় মাপকাঠি মেনে চলে।",
+  "Data sources": "ডেটার উৎস",
+  Mode: "মোড",
+  "Priority with fallback": "অগ্রাধিকার, বিকল্পসহ",
+  "Blend all sources": "সব উৎস মেশান",
+  "Move {source} up": "{source} উপরে সরান",
+  "Move {source} down": "{source} নিচে সরান",
+  "Map stations and city rankings always come from WAQI.": "মানচিত্রের স্টেশন ও শহরের র‍্যাঙ্কিং সবসময় WAQI থেকে আসে।",
+  "Your sensors": "আপনার সেন্সর",
+  "Each device gets its own key": "প্রতিটি ডিভাইসের নিজস্ব কী থাকে",
+  "Sensor name": "সেন্সরের নাম",
+  "Room (optional)": "ঘর (ঐচ্ছিক)",
+  "Adding…": "যোগ হচ্ছে…",
+  "Add sensor": "সেন্সর যোগ করুন",
+  "Give the sensor a name.": "সেন্সরের একটি নাম দিন।",
+  "Sign-in is still starting; sensors can be added in a moment.":
+    "সাইন-ইন এখনও শুরু হচ্ছে; একটু পরে সেন্সর যোগ করা যাবে।",
+  "{sensor} added": "{sensor} যোগ হয়েছে",
+  "Could not add the sensor. Try again.": "সেন্সর যোগ করা গেল না। আবার চেষ্টা করুন।",
+  "Could not remove the sensor. Try again.": "সেন্সর সরানো গেল না। আবার চেষ্টা করুন।",
+  "Device key (shown once, copy it now)": "ডিভাইস কী (একবারই দেখানো হবে, এখনই কপি করুন)",
+  "POST readings to": "রিডিং এখানে POST করুন",
+  "Send the key in an X-Sensor-Key header, or add &key=… for firmware without headers.":
+    "কী X-Sensor-Key হেডারে পাঠান, অথবা হেডারবিহীন ফার্মওয়্যারের জন্য &key=… যোগ করুন।",
+  "Set VITE_SENSOR_INGEST_URL to show the HTTP endpoint for this device.":
+    "এই ডিভাইসের HTTP এন্ডপয়েন্ট দেখাতে VITE_SENSOR_INGEST_URL সেট করুন।",
+  "MQTT devices publish to": "MQTT ডিভাইস এখানে প্রকাশ করে",
+  "with the key in a \"key\" field.": "কী \"key\" ফিল্ডে রেখে।",
+  "No sensors yet. Add one, or run the simulator in functions/ to try the card.":
+    "এখনও কোনো সেন্সর নেই। একটি যোগ করুন, বা কার্ডটি দেখতে functions/-এ সিমুলেটর চালান।",
+};
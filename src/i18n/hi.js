@@ -0,0 +1,641 @@
+// Hindi. Keys are the English source text; see index.js.
+export default {
+  // App shell
+  Dashboard: "डैशबोर्ड",
+  Map: "नक्शा",
+  Rankings: "रैंकिंग",
+  Alerts: "अलर्ट",
+  History: "इतिहास",
+  Settings: "सेटिंग्स",
+  "Live feed active": "लाइव फ़ीड चालू",
+  "Awaiting location lock": "लोकेशन की प्रतीक्षा",
+  Language: "भाषा",
+
+  // Health guidance
+  Pending: "प्रतीक्षित",
+  "Fetch AQI to see status": "स्थिति देखने के लिए AQI जाँचें",
+  "Respiratory distress": "साँस की तकलीफ़",
+  "Cardiovascular strain": "हृदय पर दबाव",
+  "Eye & skin irritation": "आँख और त्वचा में जलन",
+  "Neurological fatigue": "मानसिक थकान",
+  Respiratory: "श्वसन",
+  Cardio: "हृदय",
+  Eyes: "आँखें",
+  Fatigue: "थकान",
+  "Risk level": "जोखिम स्तर",
+  "Run a check to personalize guidance.": "अपनी सलाह पाने के लिए AQI जाँचें।",
+  "Enable live readings to receive proactive prevention tips.": "बचाव के सुझाव पाने के लिए लाइव रीडिंग चालू करें।",
+  "Stale since {time}": "{time} से अपडेट नहीं",
+  "Observed at {time}": "{time} पर दर्ज",
+  "Last spike • {time}": "पिछला उछाल • {time}",
+
+  // Diseases and personal tips
+  "Asthma & COPD flare-ups": "अस्थमा और COPD का बढ़ना",
+  "Cardio stress (hypertension)": "हृदय पर तनाव (उच्च रक्तचाप)",
+  "Allergic rhinitis / sore throat": "एलर्जिक राइनाइटिस / गले में खराश",
+  "Eye irritation": "आँखों में जलन",
+  "Headache & fatigue": "सिरदर्द और थकान",
+  "Use N95 outside; keep inhalers ready; limit exertion": "बाहर N95 पहनें; इनहेलर पास रखें; मेहनत कम करें",
+  "Stay indoors; hydrate; avoid heavy workouts": "घर के अंदर रहें; पानी पीते रहें; भारी व्यायाम से बचें",
+  "Mask outdoors; saline gargle; keep windows closed": "बाहर मास्क पहनें; नमक के पानी से गरारे करें; खिड़कियाँ बंद रखें",
+  "Protective glasses; avoid rubbing eyes; use artificial tears": "सुरक्षात्मक चश्मा पहनें; आँखें न मलें; आई-ड्रॉप का उपयोग करें",
+  "Reduce outdoor time; rest; stay hydrated": "बाहर कम समय बिताएँ; आराम करें; पानी पीते रहें",
+  "For you: {tip}": "आपके लिए: {tip}",
+  "Take your controller dose on schedule and keep the reliever inhaler on you":
+    "कंट्रोलर दवा समय पर लें और रिलीवर इनहेलर साथ रखें",
+  "Follow your action plan; call your doctor if breathlessness worsens":
+    "अपनी एक्शन प्लान का पालन करें; साँस फूलना बढ़े तो डॉक्टर को फ़ोन करें",
+  "Skip strenuous exertion; watch for chest pain or palpitations": "ज़्यादा मेहनत न करें; सीने में दर्द या धड़कन पर ध्यान दें",
+  "Monitor blood sugar closely; pollution can raise cardiovascular strain":
+    "ब्लड शुगर पर नज़र रखें; प्रदूषण हृदय पर दबाव बढ़ा सकता है",
+  "Limit outdoor time on high days; favour filtered indoor spaces":
+    "प्रदूषण वाले दिनों में बाहर कम जाएँ; फ़िल्टर की हुई हवा वाली जगहों में रहें",
+  "Rinse nasal passages after being outdoors; keep antihistamines handy":
+    "बाहर से आकर नाक साफ़ करें; एंटीहिस्टामिन पास रखें",
+  "Move play and sports indoors when the index climbs": "सूचकांक बढ़ने पर खेलकूद घर के अंदर कराएँ",
+  "Check in with family or caregivers on high-pollution days": "ज़्यादा प्रदूषण वाले दिनों में परिवार या देखभाल करने वालों से संपर्क में रहें",
+  "Schedule heavy work for the cleanest hours and wear a fitted N95": "भारी काम सबसे साफ़ हवा वाले घंटों में करें और ठीक से फ़िट N95 पहनें",
+
+  // Readiness checklist
+  "Wear N95/FFP2 outdoors": "बाहर N95/FFP2 पहनें",
+  "Required for AQI spikes": "AQI बढ़ने पर ज़रूरी",
+  "Keep mask handy": "मास्क पास रखें",
+  "Run air purifier or ventilation": "एयर प्यूरीफ़ायर या वेंटिलेशन चलाएँ",
+  "Cycle HEPA every 2h": "हर 2 घंटे HEPA चलाएँ",
+  "Ventilate when {standard} ≤ {max}": "{standard} ≤ {max} होने पर हवा आने दें",
+  "Indoor PM2.5 {pm25} µg/m³ • {ventilation}": "घर के अंदर PM2.5 {pm25} µg/m³ • {ventilation}",
+  "Stay hydrated + limit exertion": "पानी पीते रहें + मेहनत कम करें",
+  "Sip water every hour": "हर घंटे पानी पिएँ",
+  "Monitor energy levels": "अपनी ऊर्जा पर ध्यान दें",
+  "Enable spike notifications": "AQI उछाल की सूचनाएँ चालू करें",
+  "Live alerts active": "लाइव अलर्ट चालू",
+  "Grant permission for browser alerts": "ब्राउज़र अलर्ट की अनुमति दें",
+  "Plan commute flexibly": "आने-जाने की योजना लचीली रखें",
+  "Avoid peak traffic outdoors; compare routes in the commute planner":
+    "भीड़ के समय बाहर जाने से बचें; कम्यूट प्लानर में रास्तों की तुलना करें",
+  "Track AQI before leaving": "निकलने से पहले AQI देखें",
+  "Carry reliever inhaler / medication": "रिलीवर इनहेलर / दवा साथ रखें",
+  "Keep it within reach all day": "पूरे दिन पास रखें",
+  "Check doses before heading out": "निकलने से पहले खुराक जाँच लें",
+
+  // Notifications
+  "AQI Alert": "AQI अलर्ट",
+  "AQI Alert • {place}": "AQI अलर्ट • {place}",
+  "{label} AQI is {aqi}. {advice}": "{label} का AQI {aqi} है। {advice}",
+  "Current AQI in {label} is {aqi}": "{label} में अभी AQI {aqi} है",
+  "AQI alert: {label} is at {aqi} ({band}), above your threshold of {threshold}.":
+    "AQI अलर्ट: {label} में AQI {aqi} ({band}) है, जो आपकी {threshold} की सीमा से ऊपर है।",
+  "AQI in {label} is {aqi} ({band}).": "{label} में AQI {aqi} ({band}) है।",
+  "AQI in {label} is now {aqi} ({band}).": "{label} में AQI अब {aqi} ({band}) है।",
+  "Dismiss notification": "सूचना हटाएँ",
+  Elevated: "बढ़ा हुआ",
+  "Daily exposure limit passed": "दैनिक एक्सपोज़र सीमा पार",
+  "You have breathed about {dose} µg/m³·h of PM2.5 today (≈ {cigarettes} cigarettes), above your {limit} limit.":
+    "आज आपने लगभग {dose} µg/m³·h PM2.5 साँस में लिया है (≈ {cigarettes} सिगरेट), जो आपकी {limit} की सीमा से ज़्यादा है।",
+
+  // Widget
+  "Loading air quality…": "हवा की गुणवत्ता लोड हो रही है…",
+  "Set a city, coordinates or station to show its air quality.": "हवा की गुणवत्ता देखने के लिए शहर, निर्देशांक या स्टेशन चुनें।",
+  "Updated {time}": "{time} पर अपडेट",
+  "Open in Atmosense": "Atmosense में खोलें",
+
+  // Bands (US EPA)
+  Good: "अच्छा",
+  "Air quality is good. No precautions needed.": "हवा की गुणवत्ता अच्छी है। किसी सावधानी की ज़रूरत नहीं।",
+  "Stay active outdoors.": "बाहर सक्रिय रहें।",
+  Healthy: "स्वस्थ",
+  "Air is clean — stay active": "हवा साफ़ है — सक्रिय रहें",
+  Moderate: "मध्यम",
+  "Moderate air quality. Sensitive groups should take caution.": "मध्यम वायु गुणवत्ता। संवेदनशील लोग सावधानी बरतें।",
+  "Limit prolonged outdoor activity if you have respiratory issues.": "साँस की समस्या हो तो लंबे समय तक बाहर न रहें।",
+  "Sensitive groups take light caution": "संवेदनशील लोग थोड़ी सावधानी रखें",
+  "Unhealthy for sensitive groups": "संवेदनशील लोगों के लिए अस्वस्थ",
+  "Unhealthy for sensitive groups.": "संवेदनशील लोगों के लिए अस्वस्थ।",
+  "Reduce outdoor activity. Use mask if needed.": "बाहर की गतिविधि कम करें। ज़रूरत हो तो मास्क पहनें।",
+  Caution: "सावधानी",
+  "Sensitive groups reduce outdoor time": "संवेदनशील लोग बाहर कम समय बिताएँ",
+  Unhealthy: "अस्वस्थ",
+  "Unhealthy.": "अस्वस्थ।",
+  "Avoid outdoor activity. People with health issues should stay indoors.":
+    "बाहर की गतिविधि से बचें। बीमार लोग घर के अंदर रहें।",
+  "Avoid outdoor exertion; use N95": "बाहर मेहनत से बचें; N95 पहनें",
+  "Very Unhealthy": "बहुत अस्वस्थ",
+  "Very Unhealthy.": "बहुत अस्वस्थ।",
+  "Stay indoors. Wear N95 masks if you go outside.": "घर के अंदर रहें। बाहर जाएँ तो N95 मास्क पहनें।",
+  "Stay indoors; mechanical ventilation": "घर के अंदर रहें; मशीन से वेंटिलेशन करें",
+  Hazardous: "खतरनाक",
+  "Hazardous!": "खतरनाक!",
+  "Avoid all outdoor activity. Keep windows closed.": "बाहर की हर गतिविधि से बचें। खिड़कियाँ बंद रखें।",
+  "Shelter indoors; seal windows; use N95": "घर के अंदर रहें; खिड़कियाँ सील करें; N95 पहनें",
+
+  // Bands (India NAQI)
+  "Good air quality with minimal health impact.": "अच्छी वायु गुणवत्ता, सेहत पर बहुत कम असर।",
+  "Enjoy outdoor activities.": "बाहर की गतिविधियों का आनंद लें।",
+  "Minimal impact": "बहुत कम असर",
+  Satisfactory: "संतोषजनक",
+  "Satisfactory. Minor breathing discomfort to sensitive people.": "संतोषजनक। संवेदनशील लोगों को साँस में हल्की तकलीफ़।",
+  "Sensitive people should keep reliever medication handy.": "संवेदनशील लोग राहत की दवा पास रखें।",
+  "Minor discomfort for sensitive people": "संवेदनशील लोगों को हल्की तकलीफ़",
+  "Moderate. Breathing discomfort for people with lung or heart disease, children and older adults.":
+    "मध्यम। फेफड़े या हृदय रोगियों, बच्चों और बुज़ुर्गों को साँस में तकलीफ़।",
+  "Limit prolonged outdoor exertion. Use mask if needed.": "बाहर लंबी मेहनत सीमित करें। ज़रूरत हो तो मास्क पहनें।",
+  "Lung and heart patients take caution": "फेफड़े और हृदय रोगी सावधानी रखें",
+  Poor: "खराब",
+  "Poor. Breathing discomfort to most people on prolonged exposure.": "खराब। लंबे समय तक संपर्क में ज़्यादातर लोगों को साँस में तकलीफ़।",
+  "Avoid outdoor activity. Wear N95 outdoors.": "बाहर की गतिविधि से बचें। बाहर N95 पहनें।",
+  "Avoid prolonged exposure; use N95": "लंबे संपर्क से बचें; N95 पहनें",
+  "Very Poor": "बहुत खराब",
+  "Very Poor. Respiratory illness on prolonged exposure.": "बहुत खराब। लंबे संपर्क से साँस की बीमारी।",
+  "Stay indoors. Run air purifiers and keep windows closed.": "घर के अंदर रहें। एयर प्यूरीफ़ायर चलाएँ और खिड़कियाँ बंद रखें।",
+  "Stay indoors; run purifiers": "घर के अंदर रहें; प्यूरीफ़ायर चलाएँ",
+  Severe: "गंभीर",
+  "Severe! Respiratory effects even on healthy people.": "गंभीर! स्वस्थ लोगों पर भी साँस का असर।",
+  "Avoid all outdoor activity. Seal windows and use N95 if you must go out.":
+    "बाहर की हर गतिविधि से बचें। खिड़कियाँ सील करें और बाहर जाना ही पड़े तो N95 पहनें।",
+
+  // Bands (EU CAQI)
+  "Very low": "बहुत कम",
+  "Very low pollution. Air quality is excellent.": "बहुत कम प्रदूषण। हवा की गुणवत्ता बेहतरीन है।",
+  "Excellent air — stay active": "बेहतरीन हवा — सक्रिय रहें",
+  Low: "कम",
+  "Low pollution. Air quality is fine for everyone.": "कम प्रदूषण। हवा सबके लिए ठीक है।",
+  "No special precautions needed.": "किसी खास सावधानी की ज़रूरत नहीं।",
+  "Fine for everyone": "सबके लिए ठीक",
+  Medium: "मध्यम",
+  "Medium pollution. Sensitive groups may notice effects.": "मध्यम प्रदूषण। संवेदनशील लोगों पर असर दिख सकता है।",
+  "Sensitive groups should reduce intense outdoor exercise.": "संवेदनशील लोग बाहर कड़ा व्यायाम कम करें।",
+  "Sensitive groups ease off outdoors": "संवेदनशील लोग बाहर कम मेहनत करें",
+  High: "ऊँचा",
+  "High pollution. Everyone may begin to feel effects.": "ऊँचा प्रदूषण। सभी को असर महसूस हो सकता है।",
+  "Avoid outdoor exertion. Wear N95 on busy roads.": "बाहर मेहनत से बचें। व्यस्त सड़कों पर N95 पहनें।",
+  "Very high": "बहुत ऊँचा",
+  "Very high pollution. Health warnings for everyone.": "बहुत ऊँचा प्रदूषण। सभी के लिए स्वास्थ्य चेतावनी।",
+  "Stay indoors. Keep windows closed and run purifiers.": "घर के अंदर रहें। खिड़कियाँ बंद रखें और प्यूरीफ़ायर चलाएँ।",
+  "Stay indoors; keep windows closed": "घर के अंदर रहें; खिड़कियाँ बंद रखें",
+
+  // Dashboard
+  "Air wellness intelligence": "वायु स्वास्थ्य जानकारी",
+  "Live AQI Dashboard": "लाइव AQI डैशबोर्ड",
+  "Keep tabs on {place} in real time.": "{place} पर लगातार नज़र रखें।",
+  "your area": "आपका इलाका",
+  "Stay ahead of pollution spikes for {place} with live guidance.":
+    "लाइव सलाह से {place} में प्रदूषण बढ़ने से पहले तैयार रहें।",
+  "your location": "आपकी लोकेशन",
+  "Enter a city or locality": "शहर या इलाका लिखें",
+  "Check AQI": "AQI जाँचें",
+  Share: "शेयर करें",
+  "AQI in {place}": "{place} में AQI",
+  "Link copied: {url}": "लिंक कॉपी हुआ: {url}",
+  "Could not copy the link. Share this address instead: {url}":
+    "लिंक कॉपी नहीं हो सका। इसके बजाय यह पता शेयर करें: {url}",
+  "Fetching your approximate location. Please allow permissions or enter a city manually.":
+    "आपकी अनुमानित लोकेशन ली जा रही है। अनुमति दें या शहर खुद लिखें।",
+  "Current location": "मौजूदा लोकेशन",
+  "Location status": "लोकेशन की स्थिति",
+  Notifications: "सूचनाएँ",
+  Connection: "कनेक्शन",
+  Offline: "ऑफ़लाइन",
+  Off: "बंद",
+  "Not asked yet": "अभी पूछा नहीं गया",
+  Enabled: "चालू",
+  Blocked: "ब्लॉक",
+  "Not supported": "समर्थित नहीं",
+  "Pending permission": "अनुमति बाकी",
+  "Realtime {standard}": "रियलटाइम {standard}",
+  "This reading was saved earlier and could not be refreshed": "यह रीडिंग पहले सहेजी गई थी और रिफ़्रेश नहीं हो सकी",
+  "Sources agree": "स्रोत सहमत हैं",
+  "Sources roughly agree": "स्रोत लगभग सहमत हैं",
+  "Sources disagree": "स्रोत असहमत हैं",
+  Blended: "मिश्रित",
+  "fallback after {providers}": "{providers} के बाद विकल्प",
+  "Guardian status": "सुरक्षा स्थिति",
+  "{standard} level": "{standard} स्तर",
+  "Last sync": "पिछला सिंक",
+  "Awaiting data": "डेटा की प्रतीक्षा",
+  "Alerts: {state}": "अलर्ट: {state}",
+  "Δ vs last manual: {delta} AQI": "पिछली जाँच से Δ: {delta} AQI",
+  "Run a manual check to compare": "तुलना के लिए खुद AQI जाँचें",
+  "Mode: {mode}": "मोड: {mode}",
+  Manual: "मैनुअल",
+  "Airwatch scope": "निगरानी का दायरा",
+  "GPS tracking": "GPS ट्रैकिंग",
+  "Map station": "नक्शे का स्टेशन",
+  "Setup required": "सेटअप ज़रूरी",
+  "Add a city name to start": "शुरू करने के लिए शहर का नाम लिखें",
+  "Ranking data syncing…": "रैंकिंग डेटा सिंक हो रहा है…",
+  "Live snapshot": "लाइव झलक",
+  "Environment overview": "पर्यावरण का सारांश",
+  "Coordinates refresh automatically every time you move ~50m.":
+    "हर ~50 मीटर चलने पर निर्देशांक अपने-आप रिफ़्रेश होते हैं।",
+  Location: "लोकेशन",
+  "Status: {status}": "स्थिति: {status}",
+  "Health Tracker": "स्वास्थ्य ट्रैकर",
+  "Notifications: {state}": "सूचनाएँ: {state}",
+  "Latest reading": "ताज़ा रीडिंग",
+  "Manual check • {place}": "खुद की जाँच • {place}",
+  "Live auto refresh": "लाइव ऑटो रिफ़्रेश",
+  "Use Check AQI to capture a measurement": "माप लेने के लिए AQI जाँचें दबाएँ",
+  "Personal exposure": "व्यक्तिगत एक्सपोज़र",
+  "What you breathed today": "आज आपने क्या साँस में लिया",
+  "Combines the time you spend at each live location with the PM2.5 there into a cumulative daily dose.":
+    "हर लाइव लोकेशन पर बिताए समय और वहाँ के PM2.5 को जोड़कर दिन भर की कुल खुराक बनाता है।",
+  "Today's dose": "आज की खुराक",
+  "{percent}% of limit": "सीमा का {percent}%",
+  "≈ {count} cigarette • {hours} h tracked": "≈ {count} सिगरेट • {hours} घंटे ट्रैक",
+  "≈ {count} cigarettes • {hours} h tracked": "≈ {count} सिगरेट • {hours} घंटे ट्रैक",
+  "avg PM2.5 {pm25} µg/m³": "औसत PM2.5 {pm25} µg/m³",
+  "Your cumulative dose is above the daily limit. Spend the rest of the day in filtered indoor air if you can.":
+    "आपकी कुल खुराक दैनिक सीमा से ऊपर है। हो सके तो बाकी दिन फ़िल्टर की हुई हवा में घर के अंदर बिताएँ।",
+  "Daily limit": "दैनिक सीमा",
+  "Some stations report no PM2.5; their AQI was converted to an estimated concentration.":
+    "कुछ स्टेशन PM2.5 नहीं बताते; उनके AQI को अनुमानित सांद्रता में बदला गया है।",
+  "Day timeline": "दिन की टाइमलाइन",
+  "{count} stops": "{count} पड़ाव",
+  "No live fixes yet today": "आज अभी तक कोई लाइव लोकेशन नहीं",
+  "Where you were today and the air quality there": "आज आप कहाँ थे और वहाँ हवा कैसी थी",
+  "Gaps are time without a location fix; each stop counts for at most two hours.":
+    "खाली जगह वह समय है जब लोकेशन नहीं मिली; हर पड़ाव ज़्यादा से ज़्यादा दो घंटे गिना जाता है।",
+  "Weekly totals": "साप्ताहिक कुल",
+  "{count} cigarette-equivalents this week": "इस हफ़्ते {count} सिगरेट के बराबर",
+  "PM2.5 dose (µg/m³·h)": "PM2.5 खुराक (µg/m³·h)",
+  "PM2.5 dose for the last 7 days; {days} of 7 over the daily limit":
+    "पिछले 7 दिनों की PM2.5 खुराक; 7 में से {days} दिन सीमा से ऊपर",
+  "Indoor air": "घर के अंदर की हवा",
+  "Inside vs outside": "अंदर बनाम बाहर",
+  "Home sensors (PurpleAir, ESP32 + SDS011 over MQTT, or any HTTP POST) tell you whether opening the windows helps. Add them under Settings.":
+    "घर के सेंसर (PurpleAir, MQTT पर ESP32 + SDS011, या कोई भी HTTP POST) बताते हैं कि खिड़कियाँ खोलने से फ़ायदा होगा या नहीं। इन्हें सेटिंग्स में जोड़ें।",
+  "Indoor vs outdoor PM2.5": "अंदर बनाम बाहर PM2.5",
+  Indoor: "अंदर",
+  Outdoor: "बाहर",
+  "{count} live sensor": "{count} लाइव सेंसर",
+  "{count} live sensors": "{count} लाइव सेंसर",
+  "No live sensor": "कोई लाइव सेंसर नहीं",
+  "Estimated from AQI": "AQI से अनुमानित",
+  "Check AQI first": "पहले AQI जाँचें",
+  "Offline • last seen": "ऑफ़लाइन • आख़िरी बार",
+  "{sensor} PM2.5 over the last 24 hours": "पिछले 24 घंटों में {sensor} का PM2.5",
+  "Health forecasting": "स्वास्थ्य पूर्वानुमान",
+  "Deep analytics": "गहन विश्लेषण",
+  "Risk bars and disease guidance mirror the latest AQI; trend lines and the outlook live under History.":
+    "जोखिम बार और बीमारियों की सलाह ताज़ा AQI पर आधारित हैं; रुझान और पूर्वानुमान इतिहास में हैं।",
+  "Dominant {pollutant}": "प्रमुख {pollutant}",
+  "ML-based health risk prediction": "ML-आधारित स्वास्थ्य जोखिम अनुमान",
+  "Heuristic model scaled to current AQI and your profile": "मौजूदा AQI और आपकी प्रोफ़ाइल के अनुसार अनुमान मॉडल",
+  "Heuristic model scaled to current AQI": "मौजूदा AQI के अनुसार अनुमान मॉडल",
+  "Pollutant sub-indices": "प्रदूषकों के उप-सूचकांक",
+  "{standard} breakpoints": "{standard} सीमा-बिंदु",
+  "{standard} sub-index": "{standard} उप-सूचकांक",
+  "{standard} sub-indices: {values}": "{standard} उप-सूचकांक: {values}",
+  "Health risk when AQI is high": "AQI ज़्यादा होने पर स्वास्थ्य जोखिम",
+  "Auto-adjusts based on current AQI": "मौजूदा AQI के अनुसार अपने-आप बदलता है",
+  "Diseases & prevention": "बीमारियाँ और बचाव",
+  "Readiness checklist": "तैयारी की सूची",
+  "Adaptive guidance for your current AQI": "आपके मौजूदा AQI के अनुसार सलाह",
+  // Location, search and indoor advice
+  Idle: "निष्क्रिय",
+  Live: "लाइव",
+  "Live (network)": "लाइव (नेटवर्क)",
+  "Approximate via network": "नेटवर्क से अनुमानित",
+  "City lookup": "शहर से खोज",
+  "Station lookup": "स्टेशन से खोज",
+  "Resolving network location…": "नेटवर्क से लोकेशन ली जा रही है…",
+  "Enter a city to start": "शुरू करने के लिए शहर लिखें",
+  "Geolocation not supported": "जियोलोकेशन समर्थित नहीं",
+  "Locating…": "लोकेशन खोजी जा रही है…",
+  "Use HTTPS or localhost for live location": "लाइव लोकेशन के लिए HTTPS या localhost इस्तेमाल करें",
+  "Permission denied — allow location access": "अनुमति नहीं मिली — लोकेशन की अनुमति दें",
+  "Position unavailable": "लोकेशन उपलब्ध नहीं",
+  "Location timed out": "लोकेशन का समय खत्म",
+  "Unable to get location": "लोकेशन नहीं मिल सकी",
+  "Awaiting live location…": "लाइव लोकेशन की प्रतीक्षा…",
+  "Recent searches": "हाल की खोजें",
+  Cities: "शहर",
+  Stations: "स्टेशन",
+  Places: "जगहें",
+  "Searching…": "खोज जारी है…",
+  "No matches": "कोई मेल नहीं",
+  "Suggestions are unavailable right now.": "सुझाव अभी उपलब्ध नहीं हैं।",
+  "Waiting for readings": "रीडिंग की प्रतीक्षा",
+  "No live indoor sensor reading yet.": "अभी घर के अंदर के किसी सेंसर की लाइव रीडिंग नहीं है।",
+  "Check the outdoor AQI to compare.": "तुलना के लिए बाहर का AQI जाँचें।",
+  "Run the air purifier until indoor PM2.5 drops.": "अंदर का PM2.5 घटने तक एयर प्यूरीफ़ायर चलाएँ।",
+  "Keep windows shut": "खिड़कियाँ बंद रखें",
+  "Outdoor PM2.5 is {outdoor} µg/m³ against {indoor} indoors.": "बाहर PM2.5 {outdoor} µg/m³ है, जबकि अंदर {indoor}।",
+  "Ventilate now": "अभी हवा आने दें",
+  "Outdoor air is cleaner ({outdoor} vs {indoor} µg/m³). Open windows for 10–15 minutes.":
+    "बाहर की हवा साफ़ है ({outdoor} बनाम {indoor} µg/m³)। 10–15 मिनट खिड़कियाँ खोलें।",
+  "Indoor and outdoor are similar": "अंदर और बाहर लगभग बराबर",
+  "Both are around {indoor} µg/m³; a short airing for fresh air will not change much.":
+    "दोनों लगभग {indoor} µg/m³ हैं; ताज़ी हवा के लिए थोड़ी देर खिड़की खोलने से ज़्यादा फ़र्क नहीं पड़ेगा।",
+  "WHO 2021 guideline (15 µg/m³ daily mean)": "WHO 2021 दिशानिर्देश (15 µg/m³ दैनिक औसत)",
+  "Sensitive groups (half of WHO)": "संवेदनशील लोग (WHO का आधा)",
+  "India NAAQS (60 µg/m³ daily mean)": "भारत NAAQS (60 µg/m³ दैनिक औसत)",
+  // Map and commute planner
+  "Station map": "स्टेशन का नक्शा",
+  "Air quality around you": "आपके आसपास की हवा",
+  "Pick a station to load its reading on the dashboard.": "डैशबोर्ड पर रीडिंग देखने के लिए कोई स्टेशन चुनें।",
+  "Commute planner": "यात्रा योजनाकार",
+  "Cleaner ways to get there": "वहाँ पहुँचने के साफ़ रास्ते",
+  "Compares alternative routes by the PM2.5 you would inhale along them and suggests when to leave. Routes are drawn on the map above.":
+    "अलग-अलग रास्तों की तुलना उन पर साँस में जाने वाले PM2.5 से करता है और बताता है कि कब निकलें। रास्ते ऊपर नक्शे पर दिखते हैं।",
+  "From (place or lat, lng)": "कहाँ से (जगह या lat, lng)",
+  "To (place or lat, lng)": "कहाँ तक (जगह या lat, lng)",
+  Origin: "शुरुआत",
+  Destination: "मंज़िल",
+  "Travel mode": "यात्रा का साधन",
+  Walk: "पैदल",
+  Cycle: "साइकिल",
+  Car: "कार",
+  "From my location": "मेरी लोकेशन से",
+  "Planning…": "योजना बन रही है…",
+  "Compare routes": "रास्तों की तुलना करें",
+  "Could not plan this commute. Try again.": "यह यात्रा योजना नहीं बन सकी। फिर कोशिश करें।",
+  "Live location is not available yet.": "लाइव लोकेशन अभी उपलब्ध नहीं है।",
+  "{count} station sampled": "{count} स्टेशन देखा गया",
+  "{count} stations sampled": "{count} स्टेशन देखे गए",
+  "Lowest exposure": "सबसे कम एक्सपोज़र",
+  "µg PM2.5 inhaled": "µg PM2.5 साँस में",
+  "{distance} km • {minutes} min • avg AQI {average} • peak {peak}":
+    "{distance} किमी • {minutes} मिनट • औसत AQI {average} • अधिकतम {peak}",
+  "n/a": "उपलब्ध नहीं",
+  "{coverage}% of the route has a station within range; the rest uses the route average.":
+    "रास्ते के {coverage}% हिस्से के पास स्टेशन है; बाकी के लिए रास्ते का औसत लिया गया है।",
+  "Best times to leave": "निकलने का सबसे अच्छा समय",
+  "Forecast levels shaped by the usual hour-by-hour pattern": "घंटेवार सामान्य पैटर्न के हिसाब से पूर्वानुमान",
+  "Check AQI first so the planner has a current level or forecast to work from.":
+    "पहले AQI जाँचें ताकि योजनाकार के पास मौजूदा स्तर या पूर्वानुमान हो।",
+  "expected AQI ~{aqi}": "अपेक्षित AQI ~{aqi}",
+  "Loading stations…": "स्टेशन लोड हो रहे हैं…",
+  "Move the map to load stations": "स्टेशन लोड करने के लिए नक्शा खिसकाएँ",
+  "{count} station in view": "{count} स्टेशन दिख रहा है",
+  "{count} stations in view": "{count} स्टेशन दिख रहे हैं",
+  "Stations could not be loaded.": "स्टेशन लोड नहीं हो सके।",
+  "Base map": "आधार नक्शा",
+  "Add VITE_GOOGLE_MAPS_API_KEY to enable Google Maps": "Google Maps चालू करने के लिए VITE_GOOGLE_MAPS_API_KEY जोड़ें",
+  "Your location": "आपकी लोकेशन",
+  "no nearby station": "पास में कोई स्टेशन नहीं",
+  "AQI colour scale": "AQI रंग पैमाना",
+  "No data": "कोई डेटा नहीं",
+  "Click a station to load it into the dashboard.": "डैशबोर्ड पर लाने के लिए किसी स्टेशन पर क्लिक करें।",
+  "Click a route to select it; its colour follows the AQI along each stretch.":
+    "रास्ता चुनने के लिए उस पर क्लिक करें; उसका रंग हर हिस्से के AQI के अनुसार है।",
+  // Alerts and automation
+  "Proactive monitoring": "सक्रिय निगरानी",
+  "Automation & alerts": "ऑटोमेशन और अलर्ट",
+  "Tune refresh cadence, custom alerts, and review recent spikes without touching the map.":
+    "नक्शा छुए बिना रिफ़्रेश की आवृत्ति और अलर्ट तय करें तथा हाल के उछाल देखें।",
+  "Alert threshold": "अलर्ट सीमा",
+  "We notify you the moment AQI exceeds your personal limit. Lower it for sensitive groups.":
+    "AQI आपकी निजी सीमा पार करते ही हम सूचित करते हैं। संवेदनशील लोगों के लिए इसे कम रखें।",
+  "Alert fires at ≥ {threshold} AQI.": "अलर्ट ≥ {threshold} AQI पर आता है।",
+  "Alert thresholds stay on the WAQI US AQI scale.": "अलर्ट सीमाएँ WAQI US AQI पैमाने पर ही रहती हैं।",
+  "Use profile suggestion ({threshold} AQI)": "प्रोफ़ाइल का सुझाव अपनाएँ ({threshold} AQI)",
+  "Auto refresh": "ऑटो रिफ़्रेश",
+  "Auto-refresh": "ऑटो-रिफ़्रेश",
+  "Automatically capture AQI snapshots from your live location even when you forget.":
+    "भूल जाने पर भी आपकी लाइव लोकेशन से AQI अपने-आप दर्ज करें।",
+  "Refresh cadence": "रिफ़्रेश अंतराल",
+  "Manual only": "केवल मैन्युअल",
+  "Every {minutes} min": "हर {minutes} मिनट",
+  "Next auto refresh: {time}": "अगला ऑटो रिफ़्रेश: {time}",
+  "Background alerts": "बैकग्राउंड अलर्ट",
+  "A scheduled worker checks your watchlist every 15 minutes and alerts you even when this tab is closed.":
+    "एक निर्धारित वर्कर हर 15 मिनट में आपकी वॉचलिस्ट जाँचता है और यह टैब बंद होने पर भी अलर्ट भेजता है।",
+  "Push to this device": "इस डिवाइस पर पुश",
+  "Install the app in a browser with Web Push support to get alerts here.":
+    "यहाँ अलर्ट पाने के लिए Web Push वाले ब्राउज़र में ऐप इंस्टॉल करें।",
+  "Could not update push alerts.": "पुश अलर्ट अपडेट नहीं हो सके।",
+  Email: "ईमेल",
+  "Alerts go to {email}, the address on your account.": "अलर्ट {email} पर जाएँगे, जो आपके खाते का पता है।",
+  "Sign in with Google or an email link in Settings to get email alerts.":
+    "ईमेल अलर्ट पाने के लिए सेटिंग्स में Google या ईमेल लिंक से साइन इन करें।",
+  "Webhook (Slack, Teams, custom)": "वेबहुक (Slack, Teams, कस्टम)",
+  "Webhook URLs must start with https://": "वेबहुक URL https:// से शुरू होना चाहिए",
+  "Background alert channels saved": "बैकग्राउंड अलर्ट चैनल सहेजे गए",
+  "Could not save alert channels. Try again.": "अलर्ट चैनल सहेजे नहीं जा सके। फिर कोशिश करें।",
+  "Alert log": "अलर्ट लॉग",
+  Show: "दिखाएँ",
+  "All alerts": "सभी अलर्ट",
+  "No alerts yet": "अभी कोई अलर्ट नहीं",
+  "Show older alerts": "पुराने अलर्ट दिखाएँ",
+  "threshold {threshold}": "सीमा {threshold}",
+  Watchlist: "वॉचलिस्ट",
+  "Places you follow": "आपकी चुनी जगहें",
+  "Add home, office or school to track them side by side.": "घर, दफ़्तर या स्कूल जोड़ें और उन्हें साथ-साथ देखें।",
+  "Refresh watchlist": "वॉचलिस्ट रिफ़्रेश करें",
+  "Name (Home, Office…)": "नाम (घर, दफ़्तर…)",
+  "City or lat, lng": "शहर या lat, lng",
+  "Alert at": "अलर्ट सीमा",
+  "Add place": "जगह जोड़ें",
+  "Use my location": "मेरी लोकेशन लें",
+  "You can watch up to {count} places.": "आप अधिकतम {count} जगहें देख सकते हैं।",
+  "Enter a city name or coordinates like 28.61, 77.20.": "शहर का नाम या 28.61, 77.20 जैसे निर्देशांक लिखें।",
+  "Loading tracked cities…": "चुने गए शहर लोड हो रहे हैं…",
+  "Each place keeps its own alert threshold and refreshes with the auto-refresh cadence.":
+    "हर जगह की अपनी अलर्ट सीमा है और वह ऑटो-रिफ़्रेश के साथ ताज़ा होती है।",
+  "Awaiting first reading": "पहली रीडिंग का इंतज़ार",
+  "Alert at ≥ {threshold} AQI": "≥ {threshold} AQI पर अलर्ट",
+  Remove: "हटाएँ",
+  "Remove {name}": "{name} हटाएँ",
+  "Above threshold": "सीमा से ऊपर",
+  "Below threshold": "सीमा से नीचे",
+  Running: "चालू",
+  on: "चालू",
+  off: "बंद",
+  On: "चालू",
+  "Working…": "काम जारी है…",
+  "Turn off": "बंद करें",
+  "Turn on": "चालू करें",
+  "Saving…": "सहेजा जा रहा है…",
+  "Save channels": "चैनल सहेजें",
+  "Loading alerts…": "अलर्ट लोड हो रहे हैं…",
+  "Threshold alerts will appear here.": "सीमा पार होने के अलर्ट यहाँ दिखेंगे।",
+  // History and reports
+  "History & outlook": "इतिहास और पूर्वानुमान",
+  "Look back, look ahead": "पीछे देखें, आगे देखें",
+  "Trend lines come from stored readings; the outlook uses the station forecast or a local model.":
+    "रुझान सहेजी गई रीडिंग से बनते हैं; पूर्वानुमान स्टेशन के पूर्वानुमान या स्थानीय मॉडल से आता है।",
+  "Recent AQI readings": "हाल की AQI रीडिंग",
+  "Loading readings…": "रीडिंग लोड हो रही हैं…",
+  "No manual checks yet. Use “Check AQI” to capture one.":
+    "अभी कोई मैन्युअल जाँच नहीं। दर्ज करने के लिए “Check AQI” का उपयोग करें।",
+  "just now": "अभी-अभी",
+  "Show older readings": "पुरानी रीडिंग दिखाएँ",
+  "AQI trend": "AQI रुझान",
+  "Daily min / avg / max over 7 days": "7 दिनों का दैनिक न्यूनतम / औसत / अधिकतम",
+  "Hourly min / avg / max over 24 hours": "24 घंटों का घंटेवार न्यूनतम / औसत / अधिकतम",
+  "From stored readings": "सहेजी गई रीडिंग से",
+  Daily: "दैनिक",
+  Hourly: "घंटेवार",
+  "Loading stored readings…": "सहेजी गई रीडिंग लोड हो रही हैं…",
+  "No stored readings for {place} in this window yet.": "इस अवधि में {place} की कोई सहेजी गई रीडिंग नहीं है।",
+  "this location": "यह जगह",
+  "No data:": "डेटा नहीं:",
+  Max: "अधिकतम",
+  Avg: "औसत",
+  Min: "न्यूनतम",
+  "Shaded: at or above your {threshold} AQI threshold": "छायांकित: आपकी {threshold} AQI सीमा या उससे ऊपर",
+  "AQI outlook": "AQI पूर्वानुमान",
+  "Daily forecast from the station, or a local model trained on stored readings":
+    "स्टेशन का दैनिक पूर्वानुमान, या सहेजी गई रीडिंग पर प्रशिक्षित स्थानीय मॉडल",
+  "Source: {sources}": "स्रोत: {sources}",
+  "{count} day(s) ≥ {threshold}": "{count} दिन ≥ {threshold}",
+  "WAQI forecast": "WAQI पूर्वानुमान",
+  "Open-Meteo forecast": "Open-Meteo पूर्वानुमान",
+  "Local model": "स्थानीय मॉडल",
+  "Building forecast…": "पूर्वानुमान बन रहा है…",
+  "No published forecast for this station and not enough stored readings to model one yet.":
+    "इस स्टेशन का कोई प्रकाशित पूर्वानुमान नहीं है और मॉडल बनाने लायक सहेजी गई रीडिंग भी अभी नहीं हैं।",
+  "Published forecast": "प्रकाशित पूर्वानुमान",
+  "Expected AQI": "अपेक्षित AQI",
+  "Recorded AQI": "दर्ज AQI",
+  Range: "दायरा",
+  "Range low": "दायरे का निचला स्तर",
+  "Range {min}–{max}": "दायरा {min}–{max}",
+  "Reports & export": "रिपोर्ट और निर्यात",
+  "Take your data with you": "अपना डेटा साथ ले जाएँ",
+  "Download stored readings and alerts, or print a health report for your doctor or employer.":
+    "सहेजी गई रीडिंग और अलर्ट डाउनलोड करें, या अपने डॉक्टर या नियोक्ता के लिए स्वास्थ्य रिपोर्ट प्रिंट करें।",
+  From: "से",
+  To: "तक",
+  "All locations": "सभी जगहें",
+  "Readings CSV": "रीडिंग CSV",
+  "Readings JSON": "रीडिंग JSON",
+  "Alerts CSV": "अलर्ट CSV",
+  "Alerts JSON": "अलर्ट JSON",
+  "Health report (PDF)": "स्वास्थ्य रिपोर्ट (PDF)",
+  "Preparing your report…": "आपकी रिपोर्ट तैयार हो रही है…",
+  "The report opens your browser's print dialog; choose \"Save as PDF\" to keep a copy.":
+    "रिपोर्ट ब्राउज़र का प्रिंट डायलॉग खोलती है; कॉपी रखने के लिए \"Save as PDF\" चुनें।",
+  "The start date must be on or before the end date.": "शुरुआती तारीख अंतिम तारीख के बराबर या उससे पहले होनी चाहिए।",
+  "Exported {count} readings": "{count} रीडिंग निर्यात की गईं",
+  "Exported {count} alerts": "{count} अलर्ट निर्यात किए गए",
+  "Could not export readings. Try again.": "रीडिंग निर्यात नहीं हो सकीं। फिर कोशिश करें।",
+  "Could not export alerts. Try again.": "अलर्ट निर्यात नहीं हो सके। फिर कोशिश करें।",
+  "Allow pop-ups for this site to open the report.": "रिपोर्ट खोलने के लिए इस साइट के पॉप-अप की अनुमति दें।",
+  "Report opened in a new tab": "रिपोर्ट नए टैब में खुली",
+  "Could not build the health report. Try again.": "स्वास्थ्य रिपोर्ट नहीं बन सकी। फिर कोशिश करें।",
+  // Rankings
+  Leaderboard: "लीडरबोर्ड",
+  "City rankings": "शहरों की रैंकिंग",
+  "City-wise AQI ranking": "शहरवार AQI रैंकिंग",
+  "Compare a list of cities, a regional preset or every station in a country.":
+    "शहरों की सूची, किसी क्षेत्रीय समूह या किसी देश के सभी स्टेशनों की तुलना करें।",
+  "Refreshing...": "रिफ़्रेश हो रहा है...",
+  Refresh: "रिफ़्रेश करें",
+  "Ranking scope": "रैंकिंग का दायरा",
+  "Chosen cities": "चुने गए शहर",
+  "Custom list": "अपनी सूची",
+  "All stations in a country": "किसी देश के सभी स्टेशन",
+  "Region preset": "क्षेत्रीय समूह",
+  "Indian metros": "भारतीय महानगर",
+  "Indian state capitals": "भारतीय राज्यों की राजधानियाँ",
+  "World capitals": "विश्व की राजधानियाँ",
+  Country: "देश",
+  India: "भारत",
+  Bangladesh: "बांग्लादेश",
+  Pakistan: "पाकिस्तान",
+  China: "चीन",
+  "United Kingdom": "यूनाइटेड किंगडम",
+  Germany: "जर्मनी",
+  "United States (contiguous)": "संयुक्त राज्य अमेरिका (मुख्य भूभाग)",
+  Australia: "ऑस्ट्रेलिया",
+  "Sort rankings by": "रैंकिंग इस आधार पर क्रमबद्ध करें",
+  "Sort by {field}": "{field} के अनुसार",
+  "Dominant pollutant": "प्रमुख प्रदूषक",
+  "Add a city": "शहर जोड़ें",
+  Add: "जोड़ें",
+  "No ranking data yet. Try refreshing.": "अभी रैंकिंग डेटा नहीं है। रिफ़्रेश करके देखें।",
+  "{place} AQI over the last 7 days": "पिछले 7 दिनों में {place} का AQI",
+  Previous: "पिछला",
+  Next: "अगला",
+  "Page {page} of {count}": "पृष्ठ {page} / {count}",
+  "Lower AQI indicates cleaner air • Powered by WAQI live feed": "कम AQI का मतलब साफ़ हवा • WAQI लाइव फ़ीड द्वारा",
+  // Settings, profile and sensors
+  "Account & health profile": "खाता और स्वास्थ्य प्रोफ़ाइल",
+  Account: "खाता",
+  "Guest session": "अतिथि सत्र",
+  "Signed in": "साइन इन है",
+  "Signed out": "साइन आउट हो गया",
+  "Continue with Google": "Google के साथ जारी रखें",
+  "Signed in with Google": "Google से साइन इन हो गया",
+  "Email me a link": "मुझे लिंक ईमेल करें",
+  "Enter your email address.": "अपना ईमेल पता लिखें।",
+  "Sign-in link sent to {email}": "साइन-इन लिंक {email} पर भेजा गया",
+  "Sign out": "साइन आउट",
+  "Authentication failed.": "प्रमाणीकरण विफल रहा।",
+  "moved {count} guest records": "{count} अतिथि रिकॉर्ड स्थानांतरित किए",
+  "Your profile": "आपकी प्रोफ़ाइल",
+  "Personalize your guidance": "अपनी सलाह को निजी बनाएँ",
+  "Risk predictions, prevention tips, checklist tiers and the suggested alert threshold adapt to you.":
+    "जोखिम अनुमान, बचाव के सुझाव, चेकलिस्ट स्तर और सुझाई गई अलर्ट सीमा आपके अनुसार बदलते हैं।",
+  "No profile yet": "अभी कोई प्रोफ़ाइल नहीं",
+  "Age band": "आयु वर्ग",
+  "Child (under 12)": "बच्चा (12 से कम)",
+  "Teen (12–17)": "किशोर (12–17)",
+  "Adult (18–64)": "वयस्क (18–64)",
+  "Senior (65+)": "वरिष्ठ (65+)",
+  "Activity level": "गतिविधि स्तर",
+  "Mostly indoors": "ज़्यादातर घर के अंदर",
+  "Regular outdoor activity": "नियमित बाहरी गतिविधि",
+  "Outdoor worker / athlete": "बाहर काम करने वाले / खिलाड़ी",
+  Conditions: "स्वास्थ्य स्थितियाँ",
+  Asthma: "अस्थमा",
+  "COPD / chronic bronchitis": "COPD / पुराना ब्रोंकाइटिस",
+  "Heart disease / hypertension": "हृदय रोग / उच्च रक्तचाप",
+  Diabetes: "मधुमेह",
+  Pregnancy: "गर्भावस्था",
+  "Allergies / rhinitis": "एलर्जी / राइनाइटिस",
+  "I use an inhaler or daily respiratory / cardiac medication":
+    "मैं इनहेलर या रोज़ाना साँस / हृदय की दवा लेता/लेती हूँ",
+  "Suggested alert threshold: {threshold} AQI": "सुझाई गई अलर्ट सीमा: {threshold} AQI",
+  "Save profile": "प्रोफ़ाइल सहेजें",
+  "Profile saved": "प्रोफ़ाइल सहेजी गई",
+  "Could not save your profile. Try again.": "आपकी प्रोफ़ाइल सहेजी नहीं जा सकी। फिर कोशिश करें।",
+  "Colours & contrast": "रंग और कंट्रास्ट",
+  Palette: "रंग योजना",
+  Standard: "मानक",
+  "Colour-blind safe": "रंग-अंधता के अनुकूल",
+  "High contrast": "उच्च कंट्रास्ट",
+  "Severity colours on the dashboard, map and charts. The colour-blind safe and high-contrast palettes also hatch worse levels, and every level is named in text.":
+    "डैशबोर्ड, नक्शे और चार्ट में गंभीरता के रंग। रंग-अंधता के अनुकूल और उच्च कंट्रास्ट योजनाएँ खराब स्तरों पर धारियाँ भी दिखाती हैं, और हर स्तर का नाम लिखा रहता है।",
+  "Fallback uses the first source with a reading; blending asks every source and shows the median with how well they agree.":
+    "विकल्प मोड रीडिंग वाले पहले स्रोत का उपयोग करता है; मिलाने पर हर स्रोत से पूछा जाता है और उनकी सहमति के साथ माध्यिका दिखाई जाती है।",
+  "Data & devices": "डेटा और डिवाइस",
+  "Sources and sensors": "स्रोत और सेंसर",
+  "Choose the index standard and AQI sources, and register indoor sensors.":
+    "सूचकांक मानक और AQI स्रोत चुनें, और घर के अंदर के सेंसर जोड़ें।",
+  "Air quality standard": "वायु गुणवत्ता मानक",
+  "Index standard": "सूचकांक मानक",
+  "Sub-indices, colours, advice and checklist tiers follow the selected national scale.":
+    "उप-सूचकांक, रंग, सलाह और चेकलिस्ट स्तर चुने गए राष्ट्रीय पैमाने के अनुसार होते हैं।",
+  "Data sources": "डेटा स्रोत",
+  Mode: "मोड",
+  "Priority with fallback": "प्राथमिकता, विकल्प के साथ",
+  "Blend all sources": "सभी स्रोत मिलाएँ",
+  "Move {source} up": "{source} को ऊपर ले जाएँ",
+  "Move {source} down": "{source} को नीचे ले जाएँ",
+  "Map stations and city rankings always come from WAQI.": "नक्शे के स्टेशन और शहरों की रैंकिंग हमेशा WAQI से आती है।",
+  "Your sensors": "आपके सेंसर",
+  "Each device gets its own key": "हर डिवाइस की अपनी कुंजी होती है",
+  "Sensor name": "सेंसर का नाम",
+  "Room (optional)": "कमरा (वैकल्पिक)",
+  "Adding…": "जोड़ा जा रहा है…",
+  "Add sensor": "सेंसर जोड़ें",
+  "Give the sensor a name.": "सेंसर को एक नाम दें।",
+  "Sign-in is still starting; sensors can be added in a moment.":
+    "साइन-इन अभी शुरू हो रहा है; थोड़ी देर में सेंसर जोड़े जा सकेंगे।",
+  "{sensor} added": "{sensor} जोड़ा गया",
+  "Could not add the sensor. Try again.": "सेंसर नहीं जोड़ा जा सका। फिर कोशिश करें।",
+  "Could not remove the sensor. Try again.": "सेंसर नहीं हटाया जा सका। फिर कोशिश करें।",
+  "Device key (shown once, copy it now)": "डिवाइस कुंजी (एक बार दिखेगी, अभी कॉपी करें)",
+  "POST readings to": "रीडिंग यहाँ POST करें",
+  "Send the key in an X-Sensor-Key header, or add &key=… for firmware without headers.":
+    "कुंजी X-Sensor-Key हेडर में भेजें, या बिना हेडर वाले फ़र्मवेयर के लिए &key=… जोड़ें।",
+  "Set VITE_SENSOR_INGEST_URL to show the HTTP endpoint for this device.":
+    "इस डिवाइस का HTTP एंडपॉइंट दिखाने के लिए VITE_SENSOR_INGEST_URL सेट करें।",
+  "MQTT devices publish to": "MQTT डिवाइस यहाँ प्रकाशित करते हैं",
+  "with the key in a \"key\" field.": "कुंजी \"key\" फ़ील्ड में रखकर।",
+  "No sensors yet. Add one, or run the simulator in functions/ to try the card.":
+    "अभी कोई सेंसर नहीं। एक जोड़ें, या कार्ड आज़माने के लिए functions/ में सिम्युलेटर चलाएँ।",
+};
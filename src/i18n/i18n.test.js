@@ -0,0 +1,67 @@
+import { describe, expect, it } from "vitest";
+import { STANDARDS } from "../standards";
+import bn from "./bn";
+import hi from "./hi";
+import { createTranslator, detectLocale, LOCALES } from "./index";
+import kn from "./kn";
+import mr from "./mr";
+import ta from "./ta";
+import te from "./te";
+
+const CATALOGS = { hi, ta, bn, te, kn, mr };
+
+describe("detectLocale", () => {
+  it("picks the first supported browser language", () => {
+    expect(detectLocale(["fr-FR", "ta-IN", "hi"])).toBe("ta");
+    expect(detectLocale(["BN"])).toBe("bn");
+  });
+
+  it("falls back to English", () => {
+    expect(detectLocale(["fr-FR", "de"])).toBe("en");
+    expect(detectLocale([])).toBe("en");
+  });
+});
+
+describe("createTranslator", () => {
+  it("translates and fills placeholders", () => {
+    const { t } = createTranslator("hi");
+    expect(t("AQI Alert • {place}", { place: "Pune" })).toBe("AQI अलर्ट • Pune");
+  });
+
+  it("falls back to the English source text and locale", () => {
+    expect(createTranslator("hi").t("Not in any catalog {n}", { n: 2 })).toBe("Not in any catalog 2");
+    expect(createTranslator("xx").locale).toBe("en");
+  });
+
+  it("keeps the station's wall-clock time when formatting observation times", () => {
+    const { formatObservedAt } = createTranslator("en");
+    expect(formatObservedAt("2024-11-03 18:05:00")).toMatch(/3 Nov 2024.*6:05/);
+    expect(formatObservedAt("just now")).toBe("just now");
+  });
+});
+
+describe("catalogs", () => {
+  const keys = Object.keys(hi).sort();
+  const bandStrings = Object.values(STANDARDS).flatMap((standard) =>
+    standard.bands.flatMap((band) => [band.label, band.advice, band.prevention, band.status, band.detail])
+  );
+
+  it.each(Object.keys(CATALOGS))("%s translates every string and nothing else", (locale) => {
+    expect(LOCALES[locale]).toBeDefined();
+    expect(Object.keys(CATALOGS[locale]).sort()).toEqual(keys);
+    bandStrings.forEach((message) => expect(CATALOGS[locale][message], message).toBeTruthy());
+  });
+
+  it("covers every literal message the app passes to t()", () => {
+    const sources = import.meta.glob(["../**/*.{js,jsx}", "!../**/*.test.{js,jsx}"], {
+      query: "?raw",
+      import: "default",
+      eager: true,
+    });
+    const messages = Object.values(sources).flatMap((source) =>
+      [...source.matchAll(/\bt\(\s*"((?:[^"\\]|\\.)*)"/g)].map((match) => JSON.parse(`"${match[1]}"`))
+    );
+    expect(messages.length).toBeGreaterThan(100);
+    expect(messages.filter((message) => !hi[message])).toEqual([]);
+  });
+});
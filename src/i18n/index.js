@@ -0,0 +1,79 @@
+import bn from "./bn";
+import hi from "./hi";
+import kn from "./kn";
+import mr from "./mr";
+import ta from "./ta";
+import te from "./te";
+
+export const DEFAULT_LOCALE = "en";
+
+/** Supported languages; `tag` is the BCP 47 tag handed to Intl for numbers and dates. */
+export const LOCALES = {
+  en: { name: "English", nativeName: "English", tag: "en-IN" },
+  hi: { name: "Hindi", nativeName: "हिन्दी", tag: "hi-IN" },
+  ta: { name: "Tamil", nativeName: "தமிழ்", tag: "ta-IN" },
+  bn: { name: "Bengali", nativeName: "বাংলা", tag: "bn-IN" },
+  te: { name: "Telugu", nativeName: "తెలుగు", tag: "te-IN" },
+  kn: { name: "Kannada", nativeName: "ಕನ್ನಡ", tag: "kn-IN" },
+  mr: { name: "Marathi", nativeName: "मराठी", tag: "mr-IN" },
+};
+
+// Catalogs map the English source text to its translation; anything missing falls back to English,
+// so new strings ship untranslated rather than blank.
+const CATALOGS = { hi, ta, bn, te, kn, mr };
+
+// WAQI and Open-Meteo report the station's local wall-clock time as "YYYY-MM-DD HH:MM:SS".
+const STATION_TIME = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+/** The first supported language among the browser's preferences, or English. */
+export const detectLocale = (languages = typeof navigator === "undefined" ? [] : navigator.languages || [navigator.language]) => {
+  const match = languages
+    .filter(Boolean)
+    .map((language) => language.toLowerCase().split("-")[0])
+    .find((language) => LOCALES[language]);
+  return match || DEFAULT_LOCALE;
+};
+
+const interpolate = (message, values) =>
+  values ? message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in values ? String(values[name]) : placeholder)) : message;
+
+const toDate = (value) => (value instanceof Date ? value : new Date(value?.toDate ? value.toDate() : value));
+
+/**
+ * Everything a view needs to speak one language: `t(message, values)` translates English source text
+ * and fills `{name}` placeholders, and the format helpers apply the locale's digits and date order.
+ */
+export const createTranslator = (locale) => {
+  const id = LOCALES[locale] ? locale : DEFAULT_LOCALE;
+  const { tag } = LOCALES[id];
+  const catalog = CATALOGS[id] || {};
+  const t = (message, values) => interpolate(catalog[message] || message, values);
+  const formatNumber = (value, options) => (Number.isFinite(value) ? new Intl.NumberFormat(tag, options).format(value) : "--");
+  const formatDate = (value, options = { day: "numeric", month: "short" }) => new Intl.DateTimeFormat(tag, options).format(toDate(value));
+  const formatTime = (value, options = { hour: "numeric", minute: "2-digit" }) =>
+    new Intl.DateTimeFormat(tag, options).format(toDate(value));
+  const formatDateTime = (value) => new Intl.DateTimeFormat(tag, { dateStyle: "medium", timeStyle: "short" }).format(toDate(value));
+
+  /** A station time string in the station's own wall-clock time; anything unrecognised is shown as is. */
+  const formatObservedAt = (observedAt) => {
+    const match = STATION_TIME.exec(String(observedAt || "").trim());
+    if (!match) return observedAt || "";
+    const [year, month, day, hour, minute, second] = match.slice(1).map((part) => Number(part || 0));
+    // Formatting a UTC instant in UTC keeps the wall-clock fields exactly as the station reported them.
+    const instant = Date.UTC(year, month - 1, day, hour, minute, second);
+    return new Intl.DateTimeFormat(tag, { dateStyle: "medium", timeStyle: "short", timeZone: "UTC" }).format(instant);
+  };
+
+  /** A band from standards.js with its label and guidance in this language. */
+  const localizeBand = (band) =>
+    band && {
+      ...band,
+      label: t(band.label),
+      advice: t(band.advice),
+      prevention: t(band.prevention),
+      status: t(band.status),
+      detail: t(band.detail),
+    };
+
+  return { locale: id, tag, t, formatNumber, formatDate, formatTime, formatDateTime, formatObservedAt, localizeBand };
+};
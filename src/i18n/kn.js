@@ -0,0 +1,644 @@
+// Kannada. Keys are the English source text; see index.js.
+export default {
+  // App shell
+  Dashboard: "ಡ್ಯಾಶ್‌ಬೋರ್ಡ್",
+  Map: "ನಕ್ಷೆ",
+  Rankings: "ಶ್ರೇಯಾಂಕ",
+  Alerts: "ಎಚ್ಚರಿಕೆಗಳು",
+  History: "ಇತಿಹಾಸ",
+  Settings: "ಸೆಟ್ಟಿಂಗ್‌ಗಳು",
+  "Live feed active": "ಲೈವ್ ಫೀಡ್ ಸಕ್ರಿಯವಾಗಿದೆ",
+  "Awaiting location lock": "ಸ್ಥಳಕ್ಕಾಗಿ ಕಾಯುತ್ತಿದೆ",
+  Language: "ಭಾಷೆ",
+
+  // Health guidance
+  Pending: "ಬಾಕಿ",
+  "Fetch AQI to see status": "ಸ್ಥಿತಿ ನೋಡಲು AQI ಪರಿಶೀಲಿಸಿ",
+  "Respiratory distress": "ಉಸಿರಾಟದ ತೊಂದರೆ",
+  "Cardiovascular strain": "ಹೃದಯದ ಮೇಲೆ ಒತ್ತಡ",
+  "Eye & skin irritation": "ಕಣ್ಣು ಮತ್ತು ಚರ್ಮದ ಉರಿ",
+  "Neurological fatigue": "ನರಗಳ ಆಯಾಸ",
+  Respiratory: "ಉಸಿರಾಟ",
+  Cardio: "ಹೃದಯ",
+  Eyes: "ಕಣ್ಣುಗಳು",
+  Fatigue: "ಆಯಾಸ",
+  "Risk level": "ಅಪಾಯದ ಮಟ್ಟ",
+  "Run a check to personalize guidance.": "ನಿಮಗಾಗಿ ಸಲಹೆ ಪಡೆಯಲು AQI ಪರಿಶೀಲಿಸಿ.",
+  "Enable live readings to receive proactive prevention tips.": "ತಡೆಗಟ್ಟುವ ಸಲಹೆಗಳನ್ನು ಪಡೆಯಲು ಲೈವ್ ರೀಡಿಂಗ್ ಆನ್ ಮಾಡಿ.",
+  "Stale since {time}": "{time} ರಿಂದ ನವೀಕರಿಸಿಲ್ಲ",
+  "Observed at {time}": "{time} ಕ್ಕೆ ದಾಖಲಾಗಿದೆ",
+  "Last spike • {time}": "ಕೊನೆಯ ಏರಿಕೆ • {time}",
+
+  // Diseases and personal tips
+  "Asthma & COPD flare-ups": "ಅಸ್ತಮಾ ಮತ್ತು COPD ಉಲ್ಬಣ",
+  "Cardio stress (hypertension)": "ಹೃದಯ ಒತ್ತಡ (ಅಧಿಕ ರಕ್ತದೊತ್ತಡ)",
+  "Allergic rhinitis / sore throat": "ಅಲರ್ಜಿಕ್ ರೈನೈಟಿಸ್ / ಗಂಟಲು ನೋವು",
+  "Eye irritation": "ಕಣ್ಣಿನ ಉರಿ",
+  "Headache & fatigue": "ತಲೆನೋವು ಮತ್ತು ಆಯಾಸ",
+  "Use N95 outside; keep inhalers ready; limit exertion": "ಹೊರಗೆ N95 ಬಳಸಿ; ಇನ್‌ಹೇಲರ್ ಸಿದ್ಧವಾಗಿಡಿ; ಶ್ರಮ ಕಡಿಮೆ ಮಾಡಿ",
+  "Stay indoors; hydrate; avoid heavy workouts": "ಮನೆಯೊಳಗೆ ಇರಿ; ನೀರು ಕುಡಿಯಿರಿ; ಭಾರೀ ವ್ಯಾಯಾಮ ತಪ್ಪಿಸಿ",
+  "Mask outdoors; saline gargle; keep windows closed": "ಹೊರಗೆ ಮಾಸ್ಕ್; ಉಪ್ಪು ನೀರಿನಿಂದ ಬಾಯಿ ಮುಕ್ಕಳಿಸಿ; ಕಿಟಕಿಗಳನ್ನು ಮುಚ್ಚಿಡಿ",
+  "Protective glasses; avoid rubbing eyes; use artificial tears": "ರಕ್ಷಣಾ ಕನ್ನಡಕ; ಕಣ್ಣು ಉಜ್ಜಬೇಡಿ; ಕಣ್ಣಿನ ಹನಿ ಬಳಸಿ",
+  "Reduce outdoor time; rest; stay hydrated": "ಹೊರಗಿನ ಸಮಯ ಕಡಿಮೆ ಮಾಡಿ; ವಿಶ್ರಾಂತಿ ಪಡೆಯಿರಿ; ನೀರು ಕುಡಿಯುತ್ತಿರಿ",
+  "For you: {tip}": "ನಿಮಗಾಗಿ: {tip}",
+  "Take your controller dose on schedule and keep the reliever inhaler on you":
+    "ಕಂಟ್ರೋಲರ್ ಔಷಧಿಯನ್ನು ಸಮಯಕ್ಕೆ ಸರಿಯಾಗಿ ತೆಗೆದುಕೊಳ್ಳಿ ಮತ್ತು ರಿಲೀವರ್ ಇನ್‌ಹೇಲರ್ ಜೊತೆಗಿಡಿ",
+  "Follow your action plan; call your doctor if breathlessness worsens":
+    "ನಿಮ್ಮ ಕ್ರಿಯಾ ಯೋಜನೆ ಪಾಲಿಸಿ; ಉಸಿರುಗಟ್ಟುವಿಕೆ ಹೆಚ್ಚಾದರೆ ವೈದ್ಯರಿಗೆ ಕರೆ ಮಾಡಿ",
+  "Skip strenuous exertion; watch for chest pain or palpitations": "ಕಠಿಣ ಶ್ರಮ ತಪ್ಪಿಸಿ; ಎದೆನೋವು ಅಥವಾ ಎದೆಬಡಿತದ ಬಗ್ಗೆ ಗಮನವಿಡಿ",
+  "Monitor blood sugar closely; pollution can raise cardiovascular strain":
+    "ರಕ್ತದ ಸಕ್ಕರೆಯ ಮೇಲೆ ನಿಗಾ ಇಡಿ; ಮಾಲಿನ್ಯ ಹೃದಯದ ಒತ್ತಡ ಹೆಚ್ಚಿಸಬಹುದು",
+  "Limit outdoor time on high days; favour filtered indoor spaces":
+    "ಮಾಲಿನ್ಯ ಹೆಚ್ಚಿರುವ ದಿನಗಳಲ್ಲಿ ಹೊರಗೆ ಕಡಿಮೆ ಇರಿ; ಫಿಲ್ಟರ್ ಮಾಡಿದ ಗಾಳಿಯ ಸ್ಥಳಗಳನ್ನು ಆರಿಸಿ",
+  "Rinse nasal passages after being outdoors; keep antihistamines handy":
+    "ಹೊರಗಿನಿಂದ ಬಂದ ನಂತರ ಮೂಗು ತೊಳೆಯಿರಿ; ಆಂಟಿಹಿಸ್ಟಮಿನ್ ಕೈಯಲ್ಲಿಡಿ",
+  "Move play and sports indoors when the index climbs": "ಸೂಚ್ಯಂಕ ಏರಿದಾಗ ಆಟಗಳನ್ನು ಮನೆಯೊಳಗೆ ನಡೆಸಿ",
+  "Check in with family or caregivers on high-pollution days": "ಮಾಲಿನ್ಯ ಹೆಚ್ಚಿರುವ ದಿನಗಳಲ್ಲಿ ಕುಟುಂಬ ಅಥವಾ ಆರೈಕೆದಾರರ ಸಂಪರ್ಕದಲ್ಲಿರಿ",
+  "Schedule heavy work for the cleanest hours and wear a fitted N95": "ಭಾರೀ ಕೆಲಸಗಳನ್ನು ಅತ್ಯಂತ ಶುದ್ಧ ಗಾಳಿಯ ಸಮಯದಲ್ಲಿ ಮಾಡಿ ಮತ್ತು ಸರಿಯಾಗಿ ಹೊಂದುವ N95 ಧರಿಸಿ",
+
+  // Readiness checklist
+  "Wear N95/FFP2 outdoors": "ಹೊರಗೆ N95/FFP2 ಧರಿಸಿ",
+  "Required for AQI spikes": "AQI ಏರಿದಾಗ ಅಗತ್ಯ",
+  "Keep mask handy": "ಮಾಸ್ಕ್ ಕೈಯಲ್ಲಿಡಿ",
+  "Run air purifier or ventilation": "ಏರ್ ಪ್ಯೂರಿಫೈಯರ್ ಅಥವಾ ಗಾಳಿ ಸಂಚಾರ ಚಾಲೂ ಮಾಡಿ",
+  "Cycle HEPA every 2h": "ಪ್ರತಿ 2 ಗಂಟೆಗೆ HEPA ಚಲಾಯಿಸಿ",
+  "Ventilate when {standard} ≤ {max}": "{standard} ≤ {max} ಆದಾಗ ಗಾಳಿ ಬರಲು ಬಿಡಿ",
+  "Indoor PM2.5 {pm25} µg/m³ • {ventilation}": "ಒಳಾಂಗಣ PM2.5 {pm25} µg/m³ • {ventilation}",
+  "Stay hydrated + limit exertion": "ನೀರು ಕುಡಿಯಿರಿ + ಶ್ರಮ ಕಡಿಮೆ ಮಾಡಿ",
+  "Sip water every hour": "ಪ್ರತಿ ಗಂಟೆಗೆ ನೀರು ಕುಡಿಯಿರಿ",
+  "Monitor energy levels": "ಶಕ್ತಿಯ ಮಟ್ಟವನ್ನು ಗಮನಿಸಿ",
+  "Enable spike notifications": "ಏರಿಕೆ ಅಧಿಸೂಚನೆಗಳನ್ನು ಆನ್ ಮಾಡಿ",
+  "Live alerts active": "ಲೈವ್ ಎಚ್ಚರಿಕೆಗಳು ಸಕ್ರಿಯವಾಗಿವೆ",
+  "Grant permission for browser alerts": "ಬ್ರೌಸರ್ ಎಚ್ಚರಿಕೆಗಳಿಗೆ ಅನುಮತಿ ನೀಡಿ",
+  "Plan commute flexibly": "ಪ್ರಯಾಣವನ್ನು ಹೊಂದಿಕೊಳ್ಳುವಂತೆ ಯೋಜಿಸಿ",
+  "Avoid peak traffic outdoors; compare routes in the commute planner":
+    "ದಟ್ಟಣೆಯ ಸಮಯದಲ್ಲಿ ಹೊರಗೆ ಹೋಗುವುದನ್ನು ತಪ್ಪಿಸಿ; ಪ್ರಯಾಣ ಯೋಜಕದಲ್ಲಿ ಮಾರ್ಗಗಳನ್ನು ಹೋಲಿಸಿ",
+  "Track AQI before leaving": "ಹೊರಡುವ ಮೊದಲು AQI ನೋಡಿ",
+  "Carry reliever inhaler / medication": "ರಿಲೀವರ್ ಇನ್‌ಹೇಲರ್ / ಔಷಧಿ ಜೊತೆಗಿಡಿ",
+  "Keep it within reach all day": "ದಿನವಿಡೀ ಕೈಗೆ ಸಿಗುವಂತೆ ಇಡಿ",
+  "Check doses before heading out": "ಹೊರಡುವ ಮೊದಲು ಡೋಸ್ ಪರಿಶೀಲಿಸಿ",
+
+  // Notifications
+  "AQI Alert": "AQI ಎಚ್ಚರಿಕೆ",
+  "AQI Alert • {place}": "AQI ಎಚ್ಚರಿಕೆ • {place}",
+  "{label} AQI is {aqi}. {advice}": "{label} AQI {aqi}. {advice}",
+  "Current AQI in {label} is {aqi}": "{label} ನಲ್ಲಿ ಪ್ರಸ್ತುತ AQI {aqi}",
+  "AQI alert: {label} is at {aqi} ({band}), above your threshold of {threshold}.":
+    "AQI ಎಚ್ಚರಿಕೆ: {label}ನಲ್ಲಿ AQI {aqi} ({band}), ನಿಮ್ಮ ಮಿತಿ {threshold} ಮೀರಿದೆ.",
+  "AQI in {label} is {aqi} ({band}).": "{label}ನಲ್ಲಿ AQI {aqi} ({band}).",
+  "AQI in {label} is now {aqi} ({band}).": "{label}ನಲ್ಲಿ AQI ಈಗ {aqi} ({band}).",
+  "Dismiss notification": "ಅಧಿಸೂಚನೆ ಮುಚ್ಚಿ",
+  Elevated: "ಏರಿದ",
+  "Daily exposure limit passed": "ದೈನಂದಿನ ಒಡ್ಡುವಿಕೆ ಮಿತಿ ಮೀರಿದೆ",
+  "You have breathed about {dose} µg/m³·h of PM2.5 today (≈ {cigarettes} cigarettes), above your {limit} limit.":
+    "ಇಂದು ನೀವು ಸುಮಾರು {dose} µg/m³·h PM2.5 ಉಸಿರಾಡಿದ್ದೀರಿ (≈ {cigarettes} ಸಿಗರೇಟುಗಳು), ಇದು ನಿಮ್ಮ {limit} ಮಿತಿಗಿಂತ ಹೆಚ್ಚು.",
+
+  // Widget
+  "Loading air quality…": "ಗಾಳಿಯ ಗುಣಮಟ್ಟ ಲೋಡ್ ಆಗುತ್ತಿದೆ…",
+  "Set a city, coordinates or station to show its air quality.":
+    "ಗಾಳಿಯ ಗುಣಮಟ್ಟ ತೋರಿಸಲು ನಗರ, ನಿರ್ದೇಶಾಂಕಗಳು ಅಥವಾ ನಿಲ್ದಾಣವನ್ನು ನೀಡಿ.",
+  "Updated {time}": "{time} ಕ್ಕೆ ನವೀಕರಿಸಲಾಗಿದೆ",
+  "Open in Atmosense": "Atmosense ನಲ್ಲಿ ತೆರೆಯಿರಿ",
+
+  // Bands (US EPA)
+  Good: "ಉತ್ತಮ",
+  "Air quality is good. No precautions needed.": "ಗಾಳಿಯ ಗುಣಮಟ್ಟ ಉತ್ತಮವಾಗಿದೆ. ಯಾವುದೇ ಮುನ್ನೆಚ್ಚರಿಕೆ ಬೇಕಿಲ್ಲ.",
+  "Stay active outdoors.": "ಹೊರಗೆ ಚಟುವಟಿಕೆಯಿಂದಿರಿ.",
+  Healthy: "ಆರೋಗ್ಯಕರ",
+  "Air is clean — stay active": "ಗಾಳಿ ಶುದ್ಧವಾಗಿದೆ — ಚಟುವಟಿಕೆಯಿಂದಿರಿ",
+  Moderate: "ಮಧ್ಯಮ",
+  "Moderate air quality. Sensitive groups should take caution.": "ಮಧ್ಯಮ ಗಾಳಿಯ ಗುಣಮಟ್ಟ. ಸೂಕ್ಷ್ಮ ವರ್ಗದವರು ಎಚ್ಚರಿಕೆ ವಹಿಸಬೇಕು.",
+  "Limit prolonged outdoor activity if you have respiratory issues.": "ಉಸಿರಾಟದ ತೊಂದರೆ ಇದ್ದರೆ ಹೆಚ್ಚು ಹೊತ್ತು ಹೊರಗೆ ಇರಬೇಡಿ.",
+  "Sensitive groups take light caution": "ಸೂಕ್ಷ್ಮ ವರ್ಗದವರು ಸ್ವಲ್ಪ ಎಚ್ಚರಿಕೆ ವಹಿಸಿ",
+  "Unhealthy for sensitive groups": "ಸೂಕ್ಷ್ಮ ವರ್ಗದವರಿಗೆ ಅನಾರೋಗ್ಯಕರ",
+  "Unhealthy for sensitive groups.": "ಸೂಕ್ಷ್ಮ ವರ್ಗದವರಿಗೆ ಅನಾರೋಗ್ಯಕರ.",
+  "Reduce outdoor activity. Use mask if needed.": "ಹೊರಗಿನ ಚಟುವಟಿಕೆ ಕಡಿಮೆ ಮಾಡಿ. ಅಗತ್ಯವಿದ್ದರೆ ಮಾಸ್ಕ್ ಬಳಸಿ.",
+  Caution: "ಎಚ್ಚರಿಕೆ",
+  "Sensitive groups reduce outdoor time": "ಸೂಕ್ಷ್ಮ ವರ್ಗದವರು ಹೊರಗಿನ ಸಮಯ ಕಡಿಮೆ ಮಾಡಿ",
+  Unhealthy: "ಅನಾರೋಗ್ಯಕರ",
+  "Unhealthy.": "ಅನಾರೋಗ್ಯಕರ.",
+  "Avoid outdoor activity. People with health issues should stay indoors.":
+    "ಹೊರಗಿನ ಚಟುವಟಿಕೆ ತಪ್ಪಿಸಿ. ಆರೋಗ್ಯ ಸಮಸ್ಯೆ ಇರುವವರು ಮನೆಯೊಳಗೆ ಇರಬೇಕು.",
+  "Avoid outdoor exertion; use N95": "ಹೊರಗೆ ಶ್ರಮ ತಪ್ಪಿಸಿ; N95 ಬಳಸಿ",
+  "Very Unhealthy": "ಅತ್ಯಂತ ಅನಾರೋಗ್ಯಕರ",
+  "Very Unhealthy.": "ಅತ್ಯಂತ ಅನಾರೋಗ್ಯಕರ.",
+  "Stay indoors. Wear N95 masks if you go outside.": "ಮನೆಯೊಳಗೆ ಇರಿ. ಹೊರಗೆ ಹೋದರೆ N95 ಮಾಸ್ಕ್ ಧರಿಸಿ.",
+  "Stay indoors; mechanical ventilation": "ಮನೆಯೊಳಗೆ ಇರಿ; ಯಾಂತ್ರಿಕ ಗಾಳಿ ಸಂಚಾರ ಬಳಸಿ",
+  Hazardous: "ಅಪಾಯಕಾರಿ",
+  "Hazardous!": "ಅಪಾಯಕಾರಿ!",
+  "Avoid all outdoor activity. Keep windows closed.": "ಎಲ್ಲಾ ಹೊರಗಿನ ಚಟುವಟಿಕೆ ತಪ್ಪಿಸಿ. ಕಿಟಕಿಗಳನ್ನು ಮುಚ್ಚಿಡಿ.",
+  "Shelter indoors; seal windows; use N95": "ಮನೆಯೊಳಗೆ ಆಶ್ರಯ ಪಡೆಯಿರಿ; ಕಿಟಕಿಗಳನ್ನು ಮುಚ್ಚಿ; N95 ಬಳಸಿ",
+
+  // Bands (India NAQI)
+  "Good air quality with minimal health impact.": "ಉತ್ತಮ ಗಾಳಿಯ ಗುಣಮಟ್ಟ, ಆರೋಗ್ಯದ ಮೇಲೆ ಕನಿಷ್ಠ ಪರಿಣಾಮ.",
+  "Enjoy outdoor activities.": "ಹೊರಗಿನ ಚಟುವಟಿಕೆಗಳನ್ನು ಆನಂದಿಸಿ.",
+  "Minimal impact": "ಕನಿಷ್ಠ ಪರಿಣಾಮ",
+  Satisfactory: "ತೃಪ್ತಿಕರ",
+  "Satisfactory. Minor breathing discomfort to sensitive people.": "ತೃಪ್ತಿಕರ. ಸೂಕ್ಷ್ಮ ಜನರಿಗೆ ಸ್ವಲ್ಪ ಉಸಿರಾಟದ ಅಸ್ವಸ್ಥತೆ.",
+  "Sensitive people should keep reliever medication handy.": "ಸೂಕ್ಷ್ಮ ಜನರು ಪರಿಹಾರ ಔಷಧಿ ಕೈಯಲ್ಲಿಡಬೇಕು.",
+  "Minor discomfort for sensitive people": "ಸೂಕ್ಷ್ಮ ಜನರಿಗೆ ಸ್ವಲ್ಪ ಅಸ್ವಸ್ಥತೆ",
+  "Moderate. Breathing discomfort for people with lung or heart disease, children and older adults.":
+    "ಮಧ್ಯಮ. ಶ್ವಾಸಕೋಶ ಅಥವಾ ಹೃದಯ ರೋಗಿಗಳು, ಮಕ್ಕಳು ಮತ್ತು ಹಿರಿಯರಿಗೆ ಉಸಿರಾಟದ ಅಸ್ವಸ್ಥತೆ.",
+  "Limit prolonged outdoor exertion. Use mask if needed.": "ಹೊರಗೆ ದೀರ್ಘ ಶ್ರಮ ಮಿತಿಗೊಳಿಸಿ. ಅಗತ್ಯವಿದ್ದರೆ ಮಾಸ್ಕ್ ಬಳಸಿ.",
+  "Lung and heart patients take caution": "ಶ್ವಾಸಕೋಶ ಮತ್ತು ಹೃದಯ ರೋಗಿಗಳು ಎಚ್ಚರಿಕೆ ವಹಿಸಿ",
+  Poor: "ಕಳಪೆ",
+  "Poor. Breathing discomfort to most people on prolonged exposure.": "ಕಳಪೆ. ದೀರ್ಘಕಾಲ ಒಡ್ಡಿಕೊಂಡರೆ ಹೆಚ್ಚಿನವರಿಗೆ ಉಸಿರಾಟದ ಅಸ್ವಸ್ಥತೆ.",
+  "Avoid outdoor activity. Wear N95 outdoors.": "ಹೊರಗಿನ ಚಟುವಟಿಕೆ ತಪ್ಪಿಸಿ. ಹೊರಗೆ N95 ಧರಿಸಿ.",
+  "Avoid prolonged exposure; use N95": "ದೀರ್ಘ ಒಡ್ಡುವಿಕೆ ತಪ್ಪಿಸಿ; N95 ಬಳಸಿ",
+  "Very Poor": "ಅತ್ಯಂತ ಕಳಪೆ",
+  "Very Poor. Respiratory illness on prolonged exposure.": "ಅತ್ಯಂತ ಕಳಪೆ. ದೀರ್ಘಕಾಲ ಒಡ್ಡಿಕೊಂಡರೆ ಉಸಿರಾಟದ ಕಾಯಿಲೆ.",
+  "Stay indoors. Run air purifiers and keep windows closed.": "ಮನೆಯೊಳಗೆ ಇರಿ. ಏರ್ ಪ್ಯೂರಿಫೈಯರ್ ಚಲಾಯಿಸಿ ಮತ್ತು ಕಿಟಕಿಗಳನ್ನು ಮುಚ್ಚಿಡಿ.",
+  "Stay indoors; run purifiers": "ಮನೆಯೊಳಗೆ ಇರಿ; ಪ್ಯೂರಿಫೈಯರ್ ಚಲಾಯಿಸಿ",
+  Severe: "ತೀವ್ರ",
+  "Severe! Respiratory effects even on healthy people.": "ತೀವ್ರ! ಆರೋಗ್ಯವಂತರ ಮೇಲೂ ಉಸಿರಾಟದ ಪರಿಣಾಮ.",
+  "Avoid all outdoor activity. Seal windows and use N95 if you must go out.":
+    "ಎಲ್ಲಾ ಹೊರಗಿನ ಚಟುವಟಿಕೆ ತಪ್ಪಿಸಿ. ಕಿಟಕಿಗಳನ್ನು ಮುಚ್ಚಿ, ಹೊರಗೆ ಹೋಗಲೇಬೇಕಾದರೆ N95 ಬಳಸಿ.",
+
+  // Bands (EU CAQI)
+  "Very low": "ಅತಿ ಕಡಿಮೆ",
+  "Very low pollution. Air quality is excellent.": "ಅತಿ ಕಡಿಮೆ ಮಾಲಿನ್ಯ. ಗಾಳಿಯ ಗುಣಮಟ್ಟ ಅತ್ಯುತ್ತಮವಾಗಿದೆ.",
+  "Excellent air — stay active": "ಅತ್ಯುತ್ತಮ ಗಾಳಿ — ಚಟುವಟಿಕೆಯಿಂದಿರಿ",
+  Low: "ಕಡಿಮೆ",
+  "Low pollution. Air quality is fine for everyone.": "ಕಡಿಮೆ ಮಾಲಿನ್ಯ. ಗಾಳಿ ಎಲ್ಲರಿಗೂ ಸರಿಯಾಗಿದೆ.",
+  "No special precautions needed.": "ವಿಶೇಷ ಮುನ್ನೆಚ್ಚರಿಕೆ ಬೇಕಿಲ್ಲ.",
+  "Fine for everyone": "ಎಲ್ಲರಿಗೂ ಸರಿ",
+  Medium: "ಮಧ್ಯಮ",
+  "Medium pollution. Sensitive groups may notice effects.": "ಮಧ್ಯಮ ಮಾಲಿನ್ಯ. ಸೂಕ್ಷ್ಮ ವರ್ಗದವರಿಗೆ ಪರಿಣಾಮ ಕಾಣಿಸಬಹುದು.",
+  "Sensitive groups should reduce intense outdoor exercise.": "ಸೂಕ್ಷ್ಮ ವರ್ಗದವರು ಹೊರಗಿನ ತೀವ್ರ ವ್ಯಾಯಾಮ ಕಡಿಮೆ ಮಾಡಬೇಕು.",
+  "Sensitive groups ease off outdoors": "ಸೂಕ್ಷ್ಮ ವರ್ಗದವರು ಹೊರಗೆ ಶ್ರಮ ಕಡಿಮೆ ಮಾಡಿ",
+  High: "ಹೆಚ್ಚು",
+  "High pollution. Everyone may begin to feel effects.": "ಹೆಚ್ಚು ಮಾಲಿನ್ಯ. ಎಲ್ಲರಿಗೂ ಪರಿಣಾಮ ಅನುಭವವಾಗಬಹುದು.",
+  "Avoid outdoor exertion. Wear N95 on busy roads.": "ಹೊರಗೆ ಶ್ರಮ ತಪ್ಪಿಸಿ. ದಟ್ಟಣೆಯ ರಸ್ತೆಗಳಲ್ಲಿ N95 ಧರಿಸಿ.",
+  "Very high": "ಅತಿ ಹೆಚ್ಚು",
+  "Very high pollution. Health warnings for everyone.": "ಅತಿ ಹೆಚ್ಚು ಮಾಲಿನ್ಯ. ಎಲ್ಲರಿಗೂ ಆರೋಗ್ಯ ಎಚ್ಚರಿಕೆ.",
+  "Stay indoors. Keep windows closed and run purifiers.": "ಮನೆಯೊಳಗೆ ಇರಿ. ಕಿಟಕಿಗಳನ್ನು ಮುಚ್ಚಿ ಪ್ಯೂರಿಫೈಯರ್ ಚಲಾಯಿಸಿ.",
+  "Stay indoors; keep windows closed": "ಮನೆಯೊಳಗೆ ಇರಿ; ಕಿಟಕಿಗಳನ್ನು ಮುಚ್ಚಿಡಿ",
+
+  // Dashboard
+  "Air wellness intelligence": "ಗಾಳಿ ಆರೋಗ್ಯ ಮಾಹಿತಿ",
+  "Live AQI Dashboard": "ಲೈವ್ AQI ಡ್ಯಾಶ್‌ಬೋರ್ಡ್",
+  "Keep tabs on {place} in real time.": "{place} ಅನ್ನು ನೇರವಾಗಿ ಗಮನಿಸಿ.",
+  "your area": "ನಿಮ್ಮ ಪ್ರದೇಶ",
+  "Stay ahead of pollution spikes for {place} with live guidance.":
+    "ಲೈವ್ ಮಾರ್ಗದರ್ಶನದೊಂದಿಗೆ {place} ನಲ್ಲಿ ಮಾಲಿನ್ಯ ಏರಿಕೆಗೆ ಮೊದಲೇ ಸಿದ್ಧರಾಗಿ.",
+  "your location": "ನಿಮ್ಮ ಸ್ಥಳ",
+  "Enter a city or locality": "ನಗರ ಅಥವಾ ಪ್ರದೇಶವನ್ನು ನಮೂದಿಸಿ",
+  "Check AQI": "AQI ಪರಿಶೀಲಿಸಿ",
+  Share: "ಹಂಚಿಕೊಳ್ಳಿ",
+  "AQI in {place}": "{place} ನಲ್ಲಿ AQI",
+  "Link copied: {url}": "ಲಿಂಕ್ ನಕಲಿಸಲಾಗಿದೆ: {url}",
+  "Could not copy the link. Share this address instead: {url}":
+    "ಲಿಂಕ್ ನಕಲಿಸಲು ಆಗಲಿಲ್ಲ. ಬದಲಿಗೆ ಈ ವಿಳಾಸವನ್ನು ಹಂಚಿಕೊಳ್ಳಿ: {url}",
+  "Fetching your approximate location. Please allow permissions or enter a city manually.":
+    "ನಿಮ್ಮ ಅಂದಾಜು ಸ್ಥಳವನ್ನು ಪಡೆಯಲಾಗುತ್ತಿದೆ. ಅನುಮತಿ ನೀಡಿ ಅಥವಾ ನಗರವನ್ನು ನೀವೇ ನಮೂದಿಸಿ.",
+  "Current location": "ಪ್ರಸ್ತುತ ಸ್ಥಳ",
+  "Location status": "ಸ್ಥಳದ ಸ್ಥಿತಿ",
+  Notifications: "ಅಧಿಸೂಚನೆಗಳು",
+  Connection: "ಸಂಪರ್ಕ",
+  Offline: "ಆಫ್‌ಲೈನ್",
+  Off: "ಆಫ್",
+  "Not asked yet": "ಇನ್ನೂ ಕೇಳಿಲ್ಲ",
+  Enabled: "ಸಕ್ರಿಯ",
+  Blocked: "ನಿರ್ಬಂಧಿಸಲಾಗಿದೆ",
+  "Not supported": "ಬೆಂಬಲವಿಲ್ಲ",
+  "Pending permission": "ಅನುಮತಿ ಬಾಕಿ",
+  "Realtime {standard}": "ನೈಜ ಸಮಯದ {standard}",
+  "This reading was saved earlier and could not be refreshed": "ಈ ರೀಡಿಂಗ್ ಹಿಂದೆಯೇ ಉಳಿಸಲಾಗಿತ್ತು, ರಿಫ್ರೆಶ್ ಮಾಡಲಾಗಲಿಲ್ಲ",
+  "Sources agree": "ಮೂಲಗಳು ಒಪ್ಪುತ್ತವೆ",
+  "Sources roughly agree": "ಮೂಲಗಳು ಹೆಚ್ಚುಕಡಿಮೆ ಒಪ್ಪುತ್ತವೆ",
+  "Sources disagree": "ಮೂಲಗಳು ಒಪ್ಪುವುದಿಲ್ಲ",
+  Blended: "ಮಿಶ್ರಿತ",
+  "fallback after {providers}": "{providers} ನಂತರ ಪರ್ಯಾಯ",
+  "Guardian status": "ರಕ್ಷಣೆ ಸ್ಥಿತಿ",
+  "{standard} level": "{standard} ಮಟ್ಟ",
+  "Last sync": "ಕೊನೆಯ ಸಿಂಕ್",
+  "Awaiting data": "ಡೇಟಾಗಾಗಿ ಕಾಯಲಾಗುತ್ತಿದೆ",
+  "Alerts: {state}": "ಎಚ್ಚರಿಕೆಗಳು: {state}",
+  "Δ vs last manual: {delta} AQI": "ಕೊನೆಯ ಪರಿಶೀಲನೆಗೆ ಹೋಲಿಸಿ Δ: {delta} AQI",
+  "Run a manual check to compare": "ಹೋಲಿಸಲು ಒಮ್ಮೆ ನೀವೇ ಪರಿಶೀಲಿಸಿ",
+  "Mode: {mode}": "ಮೋಡ್: {mode}",
+  Manual: "ಹಸ್ತಚಾಲಿತ",
+  "Airwatch scope": "ನಿಗಾ ವ್ಯಾಪ್ತಿ",
+  "GPS tracking": "GPS ಟ್ರ್ಯಾಕಿಂಗ್",
+  "Map station": "ನಕ್ಷೆಯ ನಿಲ್ದಾಣ",
+  "Setup required": "ಸೆಟಪ್ ಅಗತ್ಯ",
+  "Add a city name to start": "ಪ್ರಾರಂಭಿಸಲು ನಗರದ ಹೆಸರು ಸೇರಿಸಿ",
+  "Ranking data syncing…": "ಶ್ರೇಯಾಂಕ ಡೇಟಾ ಸಿಂಕ್ ಆಗುತ್ತಿದೆ…",
+  "Live snapshot": "ಲೈವ್ ನೋಟ",
+  "Environment overview": "ಪರಿಸರದ ಅವಲೋಕನ",
+  "Coordinates refresh automatically every time you move ~50m.":
+    "ನೀವು ~50 ಮೀ. ಚಲಿಸಿದಾಗಲೆಲ್ಲಾ ನಿರ್ದೇಶಾಂಕಗಳು ತಾನಾಗಿ ರಿಫ್ರೆಶ್ ಆಗುತ್ತವೆ.",
+  Location: "ಸ್ಥಳ",
+  "Status: {status}": "ಸ್ಥಿತಿ: {status}",
+  "Health Tracker": "ಆರೋಗ್ಯ ಟ್ರ್ಯಾಕರ್",
+  "Notifications: {state}": "ಅಧಿಸೂಚನೆಗಳು: {state}",
+  "Latest reading": "ಇತ್ತೀಚಿನ ರೀಡಿಂಗ್",
+  "Manual check • {place}": "ಹಸ್ತಚಾಲಿತ ಪರಿಶೀಲನೆ • {place}",
+  "Live auto refresh": "ಲೈವ್ ಸ್ವಯಂ ರಿಫ್ರೆಶ್",
+  "Use Check AQI to capture a measurement": "ಅಳತೆ ಪಡೆಯಲು AQI ಪರಿಶೀಲಿಸಿ ಒತ್ತಿ",
+  "Personal exposure": "ವೈಯಕ್ತಿಕ ಒಡ್ಡಿಕೆ",
+  "What you breathed today": "ಇಂದು ನೀವು ಉಸಿರಾಡಿದ್ದು",
+  "Combines the time you spend at each live location with the PM2.5 there into a cumulative daily dose.":
+    "ಪ್ರತಿ ಲೈವ್ ಸ್ಥಳದಲ್ಲಿ ನೀವು ಕಳೆದ ಸಮಯವನ್ನು ಅಲ್ಲಿನ PM2.5 ಜೊತೆ ಸೇರಿಸಿ ದಿನದ ಒಟ್ಟು ಪ್ರಮಾಣವನ್ನು ಲೆಕ್ಕಿಸುತ್ತದೆ.",
+  "Today's dose": "ಇಂದಿನ ಪ್ರಮಾಣ",
+  "{percent}% of limit": "ಮಿತಿಯ {percent}%",
+  "≈ {count} cigarette • {hours} h tracked": "≈ {count} ಸಿಗರೇಟ್ • {hours} ಗಂಟೆ ಟ್ರ್ಯಾಕ್",
+  "≈ {count} cigarettes • {hours} h tracked": "≈ {count} ಸಿಗರೇಟ್‌ಗಳು • {hours} ಗಂಟೆ ಟ್ರ್ಯಾಕ್",
+  "avg PM2.5 {pm25} µg/m³": "ಸರಾಸರಿ PM2.5 {pm25} µg/m³",
+  "Your cumulative dose is above the daily limit. Spend the rest of the day in filtered indoor air if you can.":
+    "ನಿಮ್ಮ ಒಟ್ಟು ಪ್ರಮಾಣ ದೈನಂದಿನ ಮಿತಿಯನ್ನು ಮೀರಿದೆ. ಸಾಧ್ಯವಾದರೆ ದಿನದ ಉಳಿದ ಸಮಯವನ್ನು ಫಿಲ್ಟರ್ ಮಾಡಿದ ಗಾಳಿಯಿರುವ ಒಳಾಂಗಣದಲ್ಲಿ ಕಳೆಯಿರಿ.",
+  "Daily limit": "ದೈನಂದಿನ ಮಿತಿ",
+  "Some stations report no PM2.5; their AQI was converted to an estimated concentration.":
+    "ಕೆಲವು ನಿಲ್ದಾಣಗಳು PM2.5 ವರದಿ ಮಾಡುವುದಿಲ್ಲ; ಅವುಗಳ AQI ಅನ್ನು ಅಂದಾಜು ಸಾಂದ್ರತೆಗೆ ಪರಿವರ್ತಿಸಲಾಗಿದೆ.",
+  "Day timeline": "ದಿನದ ಕಾಲರೇಖೆ",
+  "{count} stops": "{count} ನಿಲುಗಡೆಗಳು",
+  "No live fixes yet today": "ಇಂದು ಇನ್ನೂ ಲೈವ್ ಸ್ಥಳ ಸಿಕ್ಕಿಲ್ಲ",
+  "Where you were today and the air quality there": "ಇಂದು ನೀವು ಇದ್ದ ಸ್ಥಳಗಳು ಮತ್ತು ಅಲ್ಲಿನ ಗಾಳಿಯ ಗುಣಮಟ್ಟ",
+  "Gaps are time without a location fix; each stop counts for at most two hours.":
+    "ಖಾಲಿ ಜಾಗಗಳು ಸ್ಥಳ ಸಿಗದ ಸಮಯ; ಪ್ರತಿ ನಿಲುಗಡೆಯನ್ನು ಗರಿಷ್ಠ ಎರಡು ಗಂಟೆ ಎಂದು ಎಣಿಸಲಾಗುತ್ತದೆ.",
+  "Weekly totals": "ವಾರದ ಒಟ್ಟು",
+  "{count} cigarette-equivalents this week": "ಈ ವಾರ {count} ಸಿಗರೇಟ್‌ಗೆ ಸಮಾನ",
+  "PM2.5 dose (µg/m³·h)": "PM2.5 ಪ್ರಮಾಣ (µg/m³·h)",
+  "PM2.5 dose for the last 7 days; {days} of 7 over the daily limit":
+    "ಕಳೆದ 7 ದಿನಗಳ PM2.5 ಪ್ರಮಾಣ; 7 ರಲ್ಲಿ {days} ದಿನ ಮಿತಿ ಮೀರಿದೆ",
+  "Indoor air": "ಒಳಾಂಗಣ ಗಾಳಿ",
+  "Inside vs outside": "ಒಳಗೆ vs ಹೊರಗೆ",
+  "Home sensors (PurpleAir, ESP32 + SDS011 over MQTT, or any HTTP POST) tell you whether opening the windows helps. Add them under Settings.":
+    "ಮನೆಯ ಸೆನ್ಸರ್‌ಗಳು (PurpleAir, MQTT ಮೂಲಕ ESP32 + SDS011, ಅಥವಾ ಯಾವುದೇ HTTP POST) ಕಿಟಕಿ ತೆರೆಯುವುದು ಸಹಾಯವಾಗುತ್ತದೆಯೇ ಎಂದು ತಿಳಿಸುತ್ತವೆ. ಅವನ್ನು ಸೆಟ್ಟಿಂಗ್ಸ್‌ನಲ್ಲಿ ಸೇರಿಸಿ.",
+  "Indoor vs outdoor PM2.5": "ಒಳಾಂಗಣ vs ಹೊರಾಂಗಣ PM2.5",
+  Indoor: "ಒಳಾಂಗಣ",
+  Outdoor: "ಹೊರಾಂಗಣ",
+  "{count} live sensor": "{count} ಲೈವ್ ಸೆನ್ಸರ್",
+  "{count} live sensors": "{count} ಲೈವ್ ಸೆನ್ಸರ್‌ಗಳು",
+  "No live sensor": "ಲೈವ್ ಸೆನ್ಸರ್ ಇಲ್ಲ",
+  "Estimated from AQI": "AQI ಯಿಂದ ಅಂದಾಜು",
+  "Check AQI first": "ಮೊದಲು AQI ಪರಿಶೀಲಿಸಿ",
+  "Offline • last seen": "ಆಫ್‌ಲೈನ್ • ಕೊನೆಯದಾಗಿ",
+  "{sensor} PM2.5 over the last 24 hours": "ಕಳೆದ 24 ಗಂಟೆಗಳಲ್ಲಿ {sensor} PM2.5",
+  "Health forecasting": "ಆರೋಗ್ಯ ಮುನ್ಸೂಚನೆ",
+  "Deep analytics": "ಆಳವಾದ ವಿಶ್ಲೇಷಣೆ",
+  "Risk bars and disease guidance mirror the latest AQI; trend lines and the outlook live under History.":
+    "ಅಪಾಯದ ಪಟ್ಟಿಗಳು ಮತ್ತು ರೋಗ ಮಾರ್ಗದರ್ಶನ ಇತ್ತೀಚಿನ AQI ಅನ್ನು ಅನುಸರಿಸುತ್ತವೆ; ಪ್ರವೃತ್ತಿ ಮತ್ತು ಮುನ್ನೋಟ ಇತಿಹಾಸದಲ್ಲಿವೆ.",
+  "Dominant {pollutant}": "ಪ್ರಮುಖ {pollutant}",
+  "ML-based health risk prediction": "ML ಆಧಾರಿತ ಆರೋಗ್ಯ ಅಪಾಯ ಮುನ್ಸೂಚನೆ",
+  "Heuristic model scaled to current AQI and your profile":
+    "ಪ್ರಸ್ತುತ AQI ಮತ್ತು ನಿಮ್ಮ ಪ್ರೊಫೈಲ್‌ಗೆ ಹೊಂದಿಸಿದ ಅಂದಾಜು ಮಾದರಿ",
+  "Heuristic model scaled to current AQI": "ಪ್ರಸ್ತುತ AQI ಗೆ ಹೊಂದಿಸಿದ ಅಂದಾಜು ಮಾದರಿ",
+  "Pollutant sub-indices": "ಮಾಲಿನ್ಯಕಾರಕಗಳ ಉಪ-ಸೂಚ್ಯಂಕಗಳು",
+  "{standard} breakpoints": "{standard} ಮಿತಿ ಬಿಂದುಗಳು",
+  "{standard} sub-index": "{standard} ಉಪ-ಸೂಚ್ಯಂಕ",
+  "{standard} sub-indices: {values}": "{standard} ಉಪ-ಸೂಚ್ಯಂಕಗಳು: {values}",
+  "Health risk when AQI is high": "AQI ಹೆಚ್ಚಾದಾಗ ಆರೋಗ್ಯ ಅಪಾಯ",
+  "Auto-adjusts based on current AQI": "ಪ್ರಸ್ತುತ AQI ಆಧರಿಸಿ ತಾನಾಗಿ ಬದಲಾಗುತ್ತದೆ",
+  "Diseases & prevention": "ರೋಗಗಳು & ತಡೆಗಟ್ಟುವಿಕೆ",
+  "Readiness checklist": "ಸಿದ್ಧತೆ ಪಟ್ಟಿ",
+  "Adaptive guidance for your current AQI": "ನಿಮ್ಮ ಪ್ರಸ್ತುತ AQI ಗೆ ತಕ್ಕ ಮಾರ್ಗದರ್ಶನ",
+  // Location, search and indoor advice
+  Idle: "ನಿಷ್ಕ್ರಿಯ",
+  Live: "ಲೈವ್",
+  "Live (network)": "ಲೈವ್ (ನೆಟ್‌ವರ್ಕ್)",
+  "Approximate via network": "ನೆಟ್‌ವರ್ಕ್ ಮೂಲಕ ಅಂದಾಜು",
+  "City lookup": "ನಗರದ ಹುಡುಕಾಟ",
+  "Station lookup": "ನಿಲ್ದಾಣದ ಹುಡುಕಾಟ",
+  "Resolving network location…": "ನೆಟ್‌ವರ್ಕ್ ಸ್ಥಳ ಪತ್ತೆಹಚ್ಚಲಾಗುತ್ತಿದೆ…",
+  "Enter a city to start": "ಪ್ರಾರಂಭಿಸಲು ನಗರವನ್ನು ನಮೂದಿಸಿ",
+  "Geolocation not supported": "ಜಿಯೋಲೊಕೇಶನ್ ಬೆಂಬಲವಿಲ್ಲ",
+  "Locating…": "ಸ್ಥಳ ಪತ್ತೆಹಚ್ಚಲಾಗುತ್ತಿದೆ…",
+  "Use HTTPS or localhost for live location": "ಲೈವ್ ಸ್ಥಳಕ್ಕಾಗಿ HTTPS ಅಥವಾ localhost ಬಳಸಿ",
+  "Permission denied — allow location access": "ಅನುಮತಿ ನಿರಾಕರಿಸಲಾಗಿದೆ — ಸ್ಥಳ ಪ್ರವೇಶ ಅನುಮತಿಸಿ",
+  "Position unavailable": "ಸ್ಥಳ ಲಭ್ಯವಿಲ್ಲ",
+  "Location timed out": "ಸ್ಥಳದ ಸಮಯ ಮೀರಿದೆ",
+  "Unable to get location": "ಸ್ಥಳ ಪಡೆಯಲು ಸಾಧ್ಯವಾಗಲಿಲ್ಲ",
+  "Awaiting live location…": "ಲೈವ್ ಸ್ಥಳಕ್ಕಾಗಿ ಕಾಯಲಾಗುತ್ತಿದೆ…",
+  "Recent searches": "ಇತ್ತೀಚಿನ ಹುಡುಕಾಟಗಳು",
+  Cities: "ನಗರಗಳು",
+  Stations: "ನಿಲ್ದಾಣಗಳು",
+  Places: "ಸ್ಥಳಗಳು",
+  "Searching…": "ಹುಡುಕಲಾಗುತ್ತಿದೆ…",
+  "No matches": "ಹೊಂದಾಣಿಕೆ ಇಲ್ಲ",
+  "Suggestions are unavailable right now.": "ಸಲಹೆಗಳು ಈಗ ಲಭ್ಯವಿಲ್ಲ.",
+  "Waiting for readings": "ರೀಡಿಂಗ್‌ಗಳಿಗಾಗಿ ಕಾಯಲಾಗುತ್ತಿದೆ",
+  "No live indoor sensor reading yet.": "ಇನ್ನೂ ಒಳಾಂಗಣ ಸೆನ್ಸರ್‌ನ ಲೈವ್ ರೀಡಿಂಗ್ ಇಲ್ಲ.",
+  "Check the outdoor AQI to compare.": "ಹೋಲಿಸಲು ಹೊರಾಂಗಣ AQI ಪರಿಶೀಲಿಸಿ.",
+  "Run the air purifier until indoor PM2.5 drops.": "ಒಳಾಂಗಣ PM2.5 ಇಳಿಯುವವರೆಗೆ ಏರ್ ಪ್ಯೂರಿಫೈಯರ್ ಚಲಾಯಿಸಿ.",
+  "Keep windows shut": "ಕಿಟಕಿಗಳನ್ನು ಮುಚ್ಚಿಡಿ",
+  "Outdoor PM2.5 is {outdoor} µg/m³ against {indoor} indoors.": "ಹೊರಗೆ PM2.5 {outdoor} µg/m³, ಒಳಗೆ {indoor}.",
+  "Ventilate now": "ಈಗ ಗಾಳಿ ಬರಲು ಬಿಡಿ",
+  "Outdoor air is cleaner ({outdoor} vs {indoor} µg/m³). Open windows for 10–15 minutes.":
+    "ಹೊರಗಿನ ಗಾಳಿ ಸ್ವಚ್ಛವಾಗಿದೆ ({outdoor} vs {indoor} µg/m³). 10–15 ನಿಮಿಷ ಕಿಟಕಿಗಳನ್ನು ತೆರೆಯಿರಿ.",
+  "Indoor and outdoor are similar": "ಒಳಗೆ ಮತ್ತು ಹೊರಗೆ ಬಹುತೇಕ ಒಂದೇ",
+  "Both are around {indoor} µg/m³; a short airing for fresh air will not change much.":
+    "ಎರಡೂ ಸುಮಾರು {indoor} µg/m³; ತಾಜಾ ಗಾಳಿಗಾಗಿ ಸ್ವಲ್ಪ ಹೊತ್ತು ತೆರೆದರೆ ಹೆಚ್ಚು ಬದಲಾಗದು.",
+  "WHO 2021 guideline (15 µg/m³ daily mean)": "WHO 2021 ಮಾರ್ಗಸೂಚಿ (15 µg/m³ ದೈನಂದಿನ ಸರಾಸರಿ)",
+  "Sensitive groups (half of WHO)": "ಸೂಕ್ಷ್ಮ ಗುಂಪುಗಳು (WHO ಯ ಅರ್ಧ)",
+  "India NAAQS (60 µg/m³ daily mean)": "ಭಾರತ NAAQS (60 µg/m³ ದೈನಂದಿನ ಸರಾಸರಿ)",
+  // Map and commute planner
+  "Station map": "ನಿಲ್ದಾಣ ನಕ್ಷೆ",
+  "Air quality around you": "ನಿಮ್ಮ ಸುತ್ತಲಿನ ಗಾಳಿಯ ಗುಣಮಟ್ಟ",
+  "Pick a station to load its reading on the dashboard.": "ಡ್ಯಾಶ್‌ಬೋರ್ಡ್‌ನಲ್ಲಿ ರೀಡಿಂಗ್ ನೋಡಲು ನಿಲ್ದಾಣವನ್ನು ಆಯ್ಕೆಮಾಡಿ.",
+  "Commute planner": "ಪ್ರಯಾಣ ಯೋಜಕ",
+  "Cleaner ways to get there": "ಅಲ್ಲಿಗೆ ತಲುಪಲು ಸ್ವಚ್ಛ ಮಾರ್ಗಗಳು",
+  "Compares alternative routes by the PM2.5 you would inhale along them and suggests when to leave. Routes are drawn on the map above.":
+    "ಪರ್ಯಾಯ ಮಾರ್ಗಗಳನ್ನು ಅವುಗಳಲ್ಲಿ ನೀವು ಉಸಿರಾಡುವ PM2.5 ಮೂಲಕ ಹೋಲಿಸಿ, ಯಾವಾಗ ಹೊರಡಬೇಕು ಎಂದು ಸೂಚಿಸುತ್ತದೆ. ಮಾರ್ಗಗಳು ಮೇಲಿನ ನಕ್ಷೆಯಲ್ಲಿ ಕಾಣುತ್ತವೆ.",
+  "From (place or lat, lng)": "ಎಲ್ಲಿಂದ (ಸ್ಥಳ ಅಥವಾ lat, lng)",
+  "To (place or lat, lng)": "ಎಲ್ಲಿಗೆ (ಸ್ಥಳ ಅಥವಾ lat, lng)",
+  Origin: "ಆರಂಭ ಸ್ಥಳ",
+  Destination: "ಗಮ್ಯಸ್ಥಾನ",
+  "Travel mode": "ಪ್ರಯಾಣದ ವಿಧಾನ",
+  Walk: "ನಡಿಗೆ",
+  Cycle: "ಸೈಕಲ್",
+  Car: "ಕಾರು",
+  "From my location": "ನನ್ನ ಸ್ಥಳದಿಂದ",
+  "Planning…": "ಯೋಜಿಸಲಾಗುತ್ತಿದೆ…",
+  "Compare routes": "ಮಾರ್ಗಗಳನ್ನು ಹೋಲಿಸಿ",
+  "Could not plan this commute. Try again.": "ಈ ಪ್ರಯಾಣವನ್ನು ಯೋಜಿಸಲಾಗಲಿಲ್ಲ. ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "Live location is not available yet.": "ಲೈವ್ ಸ್ಥಳ ಇನ್ನೂ ಲಭ್ಯವಿಲ್ಲ.",
+  "{count} station sampled": "{count} ನಿಲ್ದಾಣ ಪರಿಶೀಲಿಸಲಾಗಿದೆ",
+  "{count} stations sampled": "{count} ನಿಲ್ದಾಣಗಳನ್ನು ಪರಿಶೀಲಿಸಲಾಗಿದೆ",
+  "Lowest exposure": "ಕನಿಷ್ಠ ಒಡ್ಡಿಕೆ",
+  "µg PM2.5 inhaled": "µg PM2.5 ಉಸಿರಾಡಲಾಗಿದೆ",
+  "{distance} km • {minutes} min • avg AQI {average} • peak {peak}":
+    "{distance} ಕಿ.ಮೀ • {minutes} ನಿಮಿಷ • ಸರಾಸರಿ AQI {average} • ಗರಿಷ್ಠ {peak}",
+  "n/a": "ಲಭ್ಯವಿಲ್ಲ",
+  "{coverage}% of the route has a station within range; the rest uses the route average.":
+    "ಮಾರ್ಗದ {coverage}% ಭಾಗಕ್ಕೆ ಹತ್ತಿರ ನಿಲ್ದಾಣವಿದೆ; ಉಳಿದ ಭಾಗಕ್ಕೆ ಮಾರ್ಗದ ಸರಾಸರಿ ಬಳಸಲಾಗಿದೆ.",
+  "Best times to leave": "ಹೊರಡಲು ಉತ್ತಮ ಸಮಯ",
+  "Forecast levels shaped by the usual hour-by-hour pattern": "ಸಾಮಾನ್ಯ ಗಂಟೆವಾರು ಮಾದರಿಯಂತೆ ರೂಪಿಸಿದ ಮುನ್ಸೂಚನೆ ಮಟ್ಟಗಳು",
+  "Check AQI first so the planner has a current level or forecast to work from.":
+    "ಯೋಜಕಕ್ಕೆ ಪ್ರಸ್ತುತ ಮಟ್ಟ ಅಥವಾ ಮುನ್ಸೂಚನೆ ಸಿಗಲು ಮೊದಲು AQI ಪರಿಶೀಲಿಸಿ.",
+  "expected AQI ~{aqi}": "ನಿರೀಕ್ಷಿತ AQI ~{aqi}",
+  "Loading stations…": "ನಿಲ್ದಾಣಗಳು ಲೋಡ್ ಆಗುತ್ತಿವೆ…",
+  "Move the map to load stations": "ನಿಲ್ದಾಣಗಳನ್ನು ಲೋಡ್ ಮಾಡಲು ನಕ್ಷೆಯನ್ನು ಸರಿಸಿ",
+  "{count} station in view": "{count} ನಿಲ್ದಾಣ ಕಾಣುತ್ತಿದೆ",
+  "{count} stations in view": "{count} ನಿಲ್ದಾಣಗಳು ಕಾಣುತ್ತಿವೆ",
+  "Stations could not be loaded.": "ನಿಲ್ದಾಣಗಳನ್ನು ಲೋಡ್ ಮಾಡಲಾಗಲಿಲ್ಲ.",
+  "Base map": "ಮೂಲ ನಕ್ಷೆ",
+  "Add VITE_GOOGLE_MAPS_API_KEY to enable Google Maps": "Google Maps ಸಕ್ರಿಯಗೊಳಿಸಲು VITE_GOOGLE_MAPS_API_KEY ಸೇರಿಸಿ",
+  "Your location": "ನಿಮ್ಮ ಸ್ಥಳ",
+  "no nearby station": "ಹತ್ತಿರ ನಿಲ್ದಾಣವಿಲ್ಲ",
+  "AQI colour scale": "AQI ಬಣ್ಣದ ಮಾಪಕ",
+  "No data": "ಡೇಟಾ ಇಲ್ಲ",
+  "Click a station to load it into the dashboard.": "ಡ್ಯಾಶ್‌ಬೋರ್ಡ್‌ಗೆ ತರಲು ನಿಲ್ದಾಣದ ಮೇಲೆ ಕ್ಲಿಕ್ ಮಾಡಿ.",
+  "Click a route to select it; its colour follows the AQI along each stretch.":
+    "ಮಾರ್ಗ ಆಯ್ಕೆಮಾಡಲು ಅದರ ಮೇಲೆ ಕ್ಲಿಕ್ ಮಾಡಿ; ಅದರ ಬಣ್ಣ ಪ್ರತಿ ಭಾಗದ AQI ಅನ್ನು ಅನುಸರಿಸುತ್ತದೆ.",
+  // Alerts and automation
+  "Proactive monitoring": "ಮುಂಚಿತ ಮೇಲ್ವಿಚಾರಣೆ",
+  "Automation & alerts": "ಸ್ವಯಂಚಾಲನೆ & ಎಚ್ಚರಿಕೆಗಳು",
+  "Tune refresh cadence, custom alerts, and review recent spikes without touching the map.":
+    "ನಕ್ಷೆ ಮುಟ್ಟದೆಯೇ ರಿಫ್ರೆಶ್ ಅಂತರ, ಕಸ್ಟಮ್ ಎಚ್ಚರಿಕೆಗಳನ್ನು ಹೊಂದಿಸಿ ಮತ್ತು ಇತ್ತೀಚಿನ ಏರಿಕೆಗಳನ್ನು ನೋಡಿ.",
+  "Alert threshold": "ಎಚ್ಚರಿಕೆ ಮಿತಿ",
+  "We notify you the moment AQI exceeds your personal limit. Lower it for sensitive groups.":
+    "AQI ನಿಮ್ಮ ವೈಯಕ್ತಿಕ ಮಿತಿ ಮೀರಿದ ತಕ್ಷಣ ತಿಳಿಸುತ್ತೇವೆ. ಸೂಕ್ಷ್ಮ ಗುಂಪುಗಳಿಗೆ ಇದನ್ನು ಕಡಿಮೆ ಮಾಡಿ.",
+  "Alert fires at ≥ {threshold} AQI.": "≥ {threshold} AQI ಆದಾಗ ಎಚ್ಚರಿಕೆ ಬರುತ್ತದೆ.",
+  "Alert thresholds stay on the WAQI US AQI scale.": "ಎಚ್ಚರಿಕೆ ಮಿತಿಗಳು WAQI US AQI ಮಾಪಕದಲ್ಲೇ ಇರುತ್ತವೆ.",
+  "Use profile suggestion ({threshold} AQI)": "ಪ್ರೊಫೈಲ್ ಸಲಹೆ ಬಳಸಿ ({threshold} AQI)",
+  "Auto refresh": "ಸ್ವಯಂ ರಿಫ್ರೆಶ್",
+  "Auto-refresh": "ಸ್ವಯಂ-ರಿಫ್ರೆಶ್",
+  "Automatically capture AQI snapshots from your live location even when you forget.":
+    "ನೀವು ಮರೆತರೂ ನಿಮ್ಮ ಲೈವ್ ಸ್ಥಳದಿಂದ AQI ಅನ್ನು ಸ್ವಯಂ ದಾಖಲಿಸುತ್ತದೆ.",
+  "Refresh cadence": "ರಿಫ್ರೆಶ್ ಅಂತರ",
+  "Manual only": "ಕೈಯಾರೆ ಮಾತ್ರ",
+  "Every {minutes} min": "ಪ್ರತಿ {minutes} ನಿಮಿಷಕ್ಕೆ",
+  "Next auto refresh: {time}": "ಮುಂದಿನ ಸ್ವಯಂ ರಿಫ್ರೆಶ್: {time}",
+  "Background alerts": "ಹಿನ್ನೆಲೆ ಎಚ್ಚರಿಕೆಗಳು",
+  "A scheduled worker checks your watchlist every 15 minutes and alerts you even when this tab is closed.":
+    "ನಿಗದಿತ ವರ್ಕರ್ ಪ್ರತಿ 15 ನಿಮಿಷಕ್ಕೆ ನಿಮ್ಮ ವೀಕ್ಷಣಾ ಪಟ್ಟಿಯನ್ನು ಪರಿಶೀಲಿಸಿ, ಈ ಟ್ಯಾಬ್ ಮುಚ್ಚಿದ್ದರೂ ಎಚ್ಚರಿಸುತ್ತದೆ.",
+  "Push to this device": "ಈ ಸಾಧನಕ್ಕೆ ಪುಶ್",
+  "Install the app in a browser with Web Push support to get alerts here.":
+    "ಇಲ್ಲಿ ಎಚ್ಚರಿಕೆ ಪಡೆಯಲು Web Push ಬೆಂಬಲವಿರುವ ಬ್ರೌಸರ್‌ನಲ್ಲಿ ಆ್ಯಪ್ ಸ್ಥಾಪಿಸಿ.",
+  "Could not update push alerts.": "ಪುಶ್ ಎಚ್ಚರಿಕೆಗಳನ್ನು ನವೀಕರಿಸಲಾಗಲಿಲ್ಲ.",
+  Email: "ಇಮೇಲ್",
+  "Alerts go to {email}, the address on your account.": "ಎಚ್ಚರಿಕೆಗಳು ನಿಮ್ಮ ಖಾತೆಯ ವಿಳಾಸ {email} ಗೆ ಹೋಗುತ್ತವೆ.",
+  "Sign in with Google or an email link in Settings to get email alerts.":
+    "ಇಮೇಲ್ ಎಚ್ಚರಿಕೆ ಪಡೆಯಲು ಸೆಟ್ಟಿಂಗ್‌ಗಳಲ್ಲಿ Google ಅಥವಾ ಇಮೇಲ್ ಲಿಂಕ್ ಮೂಲಕ ಸೈನ್ ಇನ್ ಮಾಡಿ.",
+  "Webhook (Slack, Teams, custom)": "ವೆಬ್‌ಹುಕ್ (Slack, Teams, ಕಸ್ಟಮ್)",
+  "Webhook URLs must start with https://": "ವೆಬ್‌ಹುಕ್ URL https:// ನಿಂದ ಆರಂಭವಾಗಬೇಕು",
+  "Background alert channels saved": "ಹಿನ್ನೆಲೆ ಎಚ್ಚರಿಕೆ ಚಾನೆಲ್‌ಗಳನ್ನು ಉಳಿಸಲಾಗಿದೆ",
+  "Could not save alert channels. Try again.": "ಎಚ್ಚರಿಕೆ ಚಾನೆಲ್‌ಗಳನ್ನು ಉಳಿಸಲಾಗಲಿಲ್ಲ. ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "Alert log": "ಎಚ್ಚರಿಕೆ ದಾಖಲೆ",
+  Show: "ತೋರಿಸು",
+  "All alerts": "ಎಲ್ಲಾ ಎಚ್ಚರಿಕೆಗಳು",
+  "No alerts yet": "ಇನ್ನೂ ಎಚ್ಚರಿಕೆಗಳಿಲ್ಲ",
+  "Show older alerts": "ಹಳೆಯ ಎಚ್ಚರಿಕೆಗಳನ್ನು ತೋರಿಸು",
+  "threshold {threshold}": "ಮಿತಿ {threshold}",
+  Watchlist: "ವೀಕ್ಷಣಾ ಪಟ್ಟಿ",
+  "Places you follow": "ನೀವು ಅನುಸರಿಸುವ ಸ್ಥಳಗಳು",
+  "Add home, office or school to track them side by side.": "ಮನೆ, ಕಚೇರಿ ಅಥವಾ ಶಾಲೆಯನ್ನು ಸೇರಿಸಿ ಅಕ್ಕಪಕ್ಕ ಗಮನಿಸಿ.",
+  "Refresh watchlist": "ವೀಕ್ಷಣಾ ಪಟ್ಟಿ ರಿಫ್ರೆಶ್ ಮಾಡಿ",
+  "Name (Home, Office…)": "ಹೆಸರು (ಮನೆ, ಕಚೇರಿ…)",
+  "City or lat, lng": "ನಗರ ಅಥವಾ lat, lng",
+  "Alert at": "ಎಚ್ಚರಿಕೆ ಮಟ್ಟ",
+  "Add place": "ಸ್ಥಳ ಸೇರಿಸಿ",
+  "Use my location": "ನನ್ನ ಸ್ಥಳ ಬಳಸಿ",
+  "You can watch up to {count} places.": "ನೀವು ಗರಿಷ್ಠ {count} ಸ್ಥಳಗಳನ್ನು ಗಮನಿಸಬಹುದು.",
+  "Enter a city name or coordinates like 28.61, 77.20.": "ನಗರದ ಹೆಸರು ಅಥವಾ 28.61, 77.20 ರಂತಹ ನಿರ್ದೇಶಾಂಕಗಳನ್ನು ನಮೂದಿಸಿ.",
+  "Loading tracked cities…": "ಗಮನಿಸುತ್ತಿರುವ ನಗರಗಳು ಲೋಡ್ ಆಗುತ್ತಿವೆ…",
+  "Each place keeps its own alert threshold and refreshes with the auto-refresh cadence.":
+    "ಪ್ರತಿ ಸ್ಥಳಕ್ಕೂ ತನ್ನದೇ ಎಚ್ಚರಿಕೆ ಮಿತಿ ಇದೆ ಮತ್ತು ಸ್ವಯಂ-ರಿಫ್ರೆಶ್ ಅಂತರದಲ್ಲಿ ನವೀಕರಿಸಲಾಗುತ್ತದೆ.",
+  "Awaiting first reading": "ಮೊದಲ ರೀಡಿಂಗ್‌ಗಾಗಿ ಕಾಯುತ್ತಿದೆ",
+  "Alert at ≥ {threshold} AQI": "≥ {threshold} AQI ಆದಾಗ ಎಚ್ಚರಿಕೆ",
+  Remove: "ತೆಗೆದುಹಾಕಿ",
+  "Remove {name}": "{name} ತೆಗೆದುಹಾಕಿ",
+  "Above threshold": "ಮಿತಿಗಿಂತ ಮೇಲೆ",
+  "Below threshold": "ಮಿತಿಗಿಂತ ಕೆಳಗೆ",
+  Running: "ಚಾಲನೆಯಲ್ಲಿದೆ",
+  on: "ಆನ್",
+  off: "ಆಫ್",
+  On: "ಆನ್",
+  "Working…": "ಕೆಲಸ ನಡೆಯುತ್ತಿದೆ…",
+  "Turn off": "ಆಫ್ ಮಾಡಿ",
+  "Turn on": "ಆನ್ ಮಾಡಿ",
+  "Saving…": "ಉಳಿಸಲಾಗುತ್ತಿದೆ…",
+  "Save channels": "ಚಾನೆಲ್‌ಗಳನ್ನು ಉಳಿಸಿ",
+  "Loading alerts…": "ಎಚ್ಚರಿಕೆಗಳು ಲೋಡ್ ಆಗುತ್ತಿವೆ…",
+  "Threshold alerts will appear here.": "ಮಿತಿ ಎಚ್ಚರಿಕೆಗಳು ಇಲ್ಲಿ ಕಾಣಿಸುತ್ತವೆ.",
+  // History and reports
+  "History & outlook": "ಇತಿಹಾಸ & ಮುನ್ನೋಟ",
+  "Look back, look ahead": "ಹಿಂದೆ ನೋಡಿ, ಮುಂದೆ ನೋಡಿ",
+  "Trend lines come from stored readings; the outlook uses the station forecast or a local model.":
+    "ಪ್ರವೃತ್ತಿ ರೇಖೆಗಳು ಉಳಿಸಿದ ರೀಡಿಂಗ್‌ಗಳಿಂದ ಬರುತ್ತವೆ; ಮುನ್ನೋಟ ನಿಲ್ದಾಣದ ಮುನ್ಸೂಚನೆ ಅಥವಾ ಸ್ಥಳೀಯ ಮಾದರಿಯನ್ನು ಬಳಸುತ್ತದೆ.",
+  "Recent AQI readings": "ಇತ್ತೀಚಿನ AQI ರೀಡಿಂಗ್‌ಗಳು",
+  "Loading readings…": "ರೀಡಿಂಗ್‌ಗಳು ಲೋಡ್ ಆಗುತ್ತಿವೆ…",
+  "No manual checks yet. Use “Check AQI” to capture one.":
+    "ಇನ್ನೂ ಕೈಯಾರೆ ಪರಿಶೀಲನೆಗಳಿಲ್ಲ. ಒಂದನ್ನು ದಾಖಲಿಸಲು “Check AQI” ಬಳಸಿ.",
+  "just now": "ಈಗಷ್ಟೇ",
+  "Show older readings": "ಹಳೆಯ ರೀಡಿಂಗ್‌ಗಳನ್ನು ತೋರಿಸು",
+  "AQI trend": "AQI ಪ್ರವೃತ್ತಿ",
+  "Daily min / avg / max over 7 days": "7 ದಿನಗಳ ದೈನಂದಿನ ಕನಿಷ್ಠ / ಸರಾಸರಿ / ಗರಿಷ್ಠ",
+  "Hourly min / avg / max over 24 hours": "24 ಗಂಟೆಗಳ ಗಂಟೆವಾರು ಕನಿಷ್ಠ / ಸರಾಸರಿ / ಗರಿಷ್ಠ",
+  "From stored readings": "ಉಳಿಸಿದ ರೀಡಿಂಗ್‌ಗಳಿಂದ",
+  Daily: "ದೈನಂದಿನ",
+  Hourly: "ಗಂಟೆವಾರು",
+  "Loading stored readings…": "ಉಳಿಸಿದ ರೀಡಿಂಗ್‌ಗಳು ಲೋಡ್ ಆಗುತ್ತಿವೆ…",
+  "No stored readings for {place} in this window yet.": "ಈ ಅವಧಿಯಲ್ಲಿ {place} ಗೆ ಉಳಿಸಿದ ರೀಡಿಂಗ್‌ಗಳು ಇನ್ನೂ ಇಲ್ಲ.",
+  "this location": "ಈ ಸ್ಥಳ",
+  "No data:": "ಡೇಟಾ ಇಲ್ಲ:",
+  Max: "ಗರಿಷ್ಠ",
+  Avg: "ಸರಾಸರಿ",
+  Min: "ಕನಿಷ್ಠ",
+  "Shaded: at or above your {threshold} AQI threshold": "ಛಾಯೆ: ನಿಮ್ಮ {threshold} AQI ಮಿತಿ ಅಥವಾ ಅದಕ್ಕಿಂತ ಹೆಚ್ಚು",
+  "AQI outlook": "AQI ಮುನ್ನೋಟ",
+  "Daily forecast from the station, or a local model trained on stored readings":
+    "ನಿಲ್ದಾಣದ ದೈನಂದಿನ ಮುನ್ಸೂಚನೆ, ಅಥವಾ ಉಳಿಸಿದ ರೀಡಿಂಗ್‌ಗಳ ಮೇಲೆ ತರಬೇತಿ ಪಡೆದ ಸ್ಥಳೀಯ ಮಾದರಿ",
+  "Source: {sources}": "ಮೂಲ: {sources}",
+  "{count} day(s) ≥ {threshold}": "{count} ದಿನ ≥ {threshold}",
+  "WAQI forecast": "WAQI ಮುನ್ಸೂಚನೆ",
+  "Open-Meteo forecast": "Open-Meteo ಮುನ್ಸೂಚನೆ",
+  "Local model": "ಸ್ಥಳೀಯ ಮಾದರಿ",
+  "Building forecast…": "ಮುನ್ಸೂಚನೆ ರಚಿಸಲಾಗುತ್ತಿದೆ…",
+  "No published forecast for this station and not enough stored readings to model one yet.":
+    "ಈ ನಿಲ್ದಾಣಕ್ಕೆ ಪ್ರಕಟಿತ ಮುನ್ಸೂಚನೆ ಇಲ್ಲ ಮತ್ತು ಮಾದರಿ ರಚಿಸಲು ಸಾಕಷ್ಟು ಉಳಿಸಿದ ರೀಡಿಂಗ್‌ಗಳೂ ಇನ್ನೂ ಇಲ್ಲ.",
+  "Published forecast": "ಪ್ರಕಟಿತ ಮುನ್ಸೂಚನೆ",
+  "Expected AQI": "ನಿರೀಕ್ಷಿತ AQI",
+  "Recorded AQI": "ದಾಖಲಾದ AQI",
+  Range: "ವ್ಯಾಪ್ತಿ",
+  "Range low": "ವ್ಯಾಪ್ತಿಯ ಕೆಳಮಟ್ಟ",
+  "Range {min}–{max}": "ವ್ಯಾಪ್ತಿ {min}–{max}",
+  "Reports & export": "ವರದಿಗಳು & ರಫ್ತು",
+  "Take your data with you": "ನಿಮ್ಮ ಡೇಟಾವನ್ನು ಜೊತೆಗೆ ಕೊಂಡೊಯ್ಯಿರಿ",
+  "Download stored readings and alerts, or print a health report for your doctor or employer.":
+    "ಉಳಿಸಿದ ರೀಡಿಂಗ್‌ಗಳು ಮತ್ತು ಎಚ್ಚರಿಕೆಗಳನ್ನು ಡೌನ್‌ಲೋಡ್ ಮಾಡಿ, ಅಥವಾ ನಿಮ್ಮ ವೈದ್ಯರು ಅಥವಾ ಉದ್ಯೋಗದಾತರಿಗಾಗಿ ಆರೋಗ್ಯ ವರದಿ ಮುದ್ರಿಸಿ.",
+  From: "ಇಂದ",
+  To: "ವರೆಗೆ",
+  "All locations": "ಎಲ್ಲಾ ಸ್ಥಳಗಳು",
+  "Readings CSV": "ರೀಡಿಂಗ್‌ಗಳು CSV",
+  "Readings JSON": "ರೀಡಿಂಗ್‌ಗಳು JSON",
+  "Alerts CSV": "ಎಚ್ಚರಿಕೆಗಳು CSV",
+  "Alerts JSON": "ಎಚ್ಚರಿಕೆಗಳು JSON",
+  "Health report (PDF)": "ಆರೋಗ್ಯ ವರದಿ (PDF)",
+  "Preparing your report…": "ನಿಮ್ಮ ವರದಿ ಸಿದ್ಧವಾಗುತ್ತಿದೆ…",
+  "The report opens your browser's print dialog; choose \"Save as PDF\" to keep a copy.":
+    "ವರದಿ ನಿಮ್ಮ ಬ್ರೌಸರ್‌ನ ಮುದ್ರಣ ಸಂವಾದವನ್ನು ತೆರೆಯುತ್ತದೆ; ಪ್ರತಿ ಇಟ್ಟುಕೊಳ್ಳಲು \"Save as PDF\" ಆಯ್ಕೆಮಾಡಿ.",
+  "The start date must be on or before the end date.": "ಆರಂಭ ದಿನಾಂಕ ಅಂತ್ಯ ದಿನಾಂಕದಂದು ಅಥವಾ ಅದಕ್ಕಿಂತ ಮೊದಲು ಇರಬೇಕು.",
+  "Exported {count} readings": "{count} ರೀಡಿಂಗ್‌ಗಳನ್ನು ರಫ್ತು ಮಾಡಲಾಗಿದೆ",
+  "Exported {count} alerts": "{count} ಎಚ್ಚರಿಕೆಗಳನ್ನು ರಫ್ತು ಮಾಡಲಾಗಿದೆ",
+  "Could not export readings. Try again.": "ರೀಡಿಂಗ್‌ಗಳನ್ನು ರಫ್ತು ಮಾಡಲಾಗಲಿಲ್ಲ. ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "Could not export alerts. Try again.": "ಎಚ್ಚರಿಕೆಗಳನ್ನು ರಫ್ತು ಮಾಡಲಾಗಲಿಲ್ಲ. ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "Allow pop-ups for this site to open the report.": "ವರದಿ ತೆರೆಯಲು ಈ ಸೈಟ್‌ಗೆ ಪಾಪ್-ಅಪ್‌ಗಳನ್ನು ಅನುಮತಿಸಿ.",
+  "Report opened in a new tab": "ವರದಿ ಹೊಸ ಟ್ಯಾಬ್‌ನಲ್ಲಿ ತೆರೆಯಿತು",
+  "Could not build the health report. Try again.": "ಆರೋಗ್ಯ ವರದಿಯನ್ನು ರಚಿಸಲಾಗಲಿಲ್ಲ. ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  // Rankings
+  Leaderboard: "ಲೀಡರ್‌ಬೋರ್ಡ್",
+  "City rankings": "ನಗರ ಶ್ರೇಯಾಂಕಗಳು",
+  "City-wise AQI ranking": "ನಗರವಾರು AQI ಶ್ರೇಯಾಂಕ",
+  "Compare a list of cities, a regional preset or every station in a country.":
+    "ನಗರಗಳ ಪಟ್ಟಿ, ಪ್ರಾದೇಶಿಕ ಗುಂಪು ಅಥವಾ ಒಂದು ದೇಶದ ಎಲ್ಲಾ ನಿಲ್ದಾಣಗಳನ್ನು ಹೋಲಿಸಿ.",
+  "Refreshing...": "ರಿಫ್ರೆಶ್ ಆಗುತ್ತಿದೆ...",
+  Refresh: "ರಿಫ್ರೆಶ್ ಮಾಡಿ",
+  "Ranking scope": "ಶ್ರೇಯಾಂಕದ ವ್ಯಾಪ್ತಿ",
+  "Chosen cities": "ಆಯ್ದ ನಗರಗಳು",
+  "Custom list": "ಕಸ್ಟಮ್ ಪಟ್ಟಿ",
+  "All stations in a country": "ಒಂದು ದೇಶದ ಎಲ್ಲಾ ನಿಲ್ದಾಣಗಳು",
+  "Region preset": "ಪ್ರಾದೇಶಿಕ ಗುಂಪು",
+  "Indian metros": "ಭಾರತದ ಮಹಾನಗರಗಳು",
+  "Indian state capitals": "ಭಾರತದ ರಾಜ್ಯ ರಾಜಧಾನಿಗಳು",
+  "World capitals": "ವಿಶ್ವದ ರಾಜಧಾನಿಗಳು",
+  Country: "ದೇಶ",
+  India: "ಭಾರತ",
+  Bangladesh: "ಬಾಂಗ್ಲಾದೇಶ",
+  Pakistan: "ಪಾಕಿಸ್ತಾನ",
+  China: "ಚೀನಾ",
+  "United Kingdom": "ಯುನೈಟೆಡ್ ಕಿಂಗ್‌ಡಮ್",
+  Germany: "ಜರ್ಮನಿ",
+  "United States (contiguous)": "ಅಮೆರಿಕ (ಮುಖ್ಯ ಭೂಭಾಗ)",
+  Australia: "ಆಸ್ಟ್ರೇಲಿಯಾ",
+  "Sort rankings by": "ಶ್ರೇಯಾಂಕವನ್ನು ಇದರಂತೆ ವಿಂಗಡಿಸಿ",
+  "Sort by {field}": "{field} ಪ್ರಕಾರ ವಿಂಗಡಿಸಿ",
+  "Dominant pollutant": "ಪ್ರಮುಖ ಮಾಲಿನ್ಯಕಾರಕ",
+  "Add a city": "ನಗರ ಸೇರಿಸಿ",
+  Add: "ಸೇರಿಸಿ",
+  "No ranking data yet. Try refreshing.": "ಇನ್ನೂ ಶ್ರೇಯಾಂಕ ಡೇಟಾ ಇಲ್ಲ. ರಿಫ್ರೆಶ್ ಮಾಡಿ ನೋಡಿ.",
+  "{place} AQI over the last 7 days": "ಕಳೆದ 7 ದಿನಗಳಲ್ಲಿ {place} AQI",
+  Previous: "ಹಿಂದಿನ",
+  Next: "ಮುಂದಿನ",
+  "Page {page} of {count}": "ಪುಟ {page} / {count}",
+  "Lower AQI indicates cleaner air • Powered by WAQI live feed": "ಕಡಿಮೆ AQI ಎಂದರೆ ಸ್ವಚ್ಛ ಗಾಳಿ • WAQI ಲೈವ್ ಫೀಡ್ ಆಧಾರಿತ",
+  // Settings, profile and sensors
+  "Account & health profile": "ಖಾತೆ & ಆರೋಗ್ಯ ಪ್ರೊಫೈಲ್",
+  Account: "ಖಾತೆ",
+  "Guest session": "ಅತಿಥಿ ಅವಧಿ",
+  "Signed in": "ಸೈನ್ ಇನ್ ಆಗಿದೆ",
+  "Signed out": "ಸೈನ್ ಔಟ್ ಆಗಿದೆ",
+  "Continue with Google": "Google ಮೂಲಕ ಮುಂದುವರಿಸಿ",
+  "Signed in with Google": "Google ಮೂಲಕ ಸೈನ್ ಇನ್ ಆಗಿದೆ",
+  "Email me a link": "ನನಗೆ ಲಿಂಕ್ ಇಮೇಲ್ ಮಾಡಿ",
+  "Enter your email address.": "ನಿಮ್ಮ ಇಮೇಲ್ ವಿಳಾಸ ನಮೂದಿಸಿ.",
+  "Sign-in link sent to {email}": "ಸೈನ್-ಇನ್ ಲಿಂಕ್ ಅನ್ನು {email} ಗೆ ಕಳುಹಿಸಲಾಗಿದೆ",
+  "Sign out": "ಸೈನ್ ಔಟ್",
+  "Authentication failed.": "ದೃಢೀಕರಣ ವಿಫಲವಾಯಿತು.",
+  "moved {count} guest records": "{count} ಅತಿಥಿ ದಾಖಲೆಗಳನ್ನು ಸ್ಥಳಾಂತರಿಸಲಾಗಿದೆ",
+  "Your profile": "ನಿಮ್ಮ ಪ್ರೊಫೈಲ್",
+  "Personalize your guidance": "ನಿಮ್ಮ ಮಾರ್ಗದರ್ಶನವನ್ನು ವೈಯಕ್ತೀಕರಿಸಿ",
+  "Risk predictions, prevention tips, checklist tiers and the suggested alert threshold adapt to you.":
+    "ಅಪಾಯದ ಮುನ್ಸೂಚನೆಗಳು, ತಡೆಗಟ್ಟುವ ಸಲಹೆಗಳು, ಪರಿಶೀಲನಾ ಪಟ್ಟಿಯ ಹಂತಗಳು ಮತ್ತು ಸೂಚಿಸಿದ ಎಚ್ಚರಿಕೆ ಮಿತಿ ನಿಮಗೆ ತಕ್ಕಂತೆ ಬದಲಾಗುತ್ತವೆ.",
+  "No profile yet": "ಇನ್ನೂ ಪ್ರೊಫೈಲ್ ಇಲ್ಲ",
+  "Age band": "ವಯೋಮಾನ ಗುಂಪು",
+  "Child (under 12)": "ಮಗು (12 ಕ್ಕಿಂತ ಕಡಿಮೆ)",
+  "Teen (12–17)": "ಹದಿಹರೆಯ (12–17)",
+  "Adult (18–64)": "ವಯಸ್ಕ (18–64)",
+  "Senior (65+)": "ಹಿರಿಯ (65+)",
+  "Activity level": "ಚಟುವಟಿಕೆ ಮಟ್ಟ",
+  "Mostly indoors": "ಹೆಚ್ಚಾಗಿ ಒಳಾಂಗಣದಲ್ಲಿ",
+  "Regular outdoor activity": "ನಿಯಮಿತ ಹೊರಾಂಗಣ ಚಟುವಟಿಕೆ",
+  "Outdoor worker / athlete": "ಹೊರಾಂಗಣ ಕಾರ್ಮಿಕ / ಕ್ರೀಡಾಪಟು",
+  Conditions: "ಆರೋಗ್ಯ ಸ್ಥಿತಿಗಳು",
+  Asthma: "ಅಸ್ತಮಾ",
+  "COPD / chronic bronchitis": "COPD / ದೀರ್ಘಕಾಲದ ಬ್ರಾಂಕೈಟಿಸ್",
+  "Heart disease / hypertension": "ಹೃದ್ರೋಗ / ಅಧಿಕ ರಕ್ತದೊತ್ತಡ",
+  Diabetes: "ಮಧುಮೇಹ",
+  Pregnancy: "ಗರ್ಭಾವಸ್ಥೆ",
+  "Allergies / rhinitis": "ಅಲರ್ಜಿ / ರೈನೈಟಿಸ್",
+  "I use an inhaler or daily respiratory / cardiac medication":
+    "ನಾನು ಇನ್‌ಹೇಲರ್ ಅಥವಾ ದಿನನಿತ್ಯ ಉಸಿರಾಟ / ಹೃದಯದ ಔಷಧಿ ಬಳಸುತ್ತೇನೆ",
+  "Suggested alert threshold: {threshold} AQI": "ಸೂಚಿಸಿದ ಎಚ್ಚರಿಕೆ ಮಿತಿ: {threshold} AQI",
+  "Save profile": "ಪ್ರೊಫೈಲ್ ಉಳಿಸಿ",
+  "Profile saved": "ಪ್ರೊಫೈಲ್ ಉಳಿಸಲಾಗಿದೆ",
+  "Could not save your profile. Try again.": "ನಿಮ್ಮ ಪ್ರೊಫೈಲ್ ಉಳಿಸಲಾಗಲಿಲ್ಲ. ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "Colours & contrast": "ಬಣ್ಣಗಳು & ಕಾಂಟ್ರಾಸ್ಟ್",
+  Palette: "ಬಣ್ಣದ ಪ್ಯಾಲೆಟ್",
+  Standard: "ಪ್ರಮಾಣಿತ",
+  "Colour-blind safe": "ಬಣ್ಣಗುರುಡು ಸ್ನೇಹಿ",
+  "High contrast": "ಹೆಚ್ಚಿನ ಕಾಂಟ್ರಾಸ್ಟ್",
+  "Severity colours on the dashboard, map and charts. The colour-blind safe and high-contrast palettes also hatch worse levels, and every level is named in text.":
+    "ಡ್ಯಾಶ್‌ಬೋರ್ಡ್, ನಕ್ಷೆ ಮತ್ತು ಚಾರ್ಟ್‌ಗಳಲ್ಲಿ ತೀವ್ರತೆಯ ಬಣ್ಣಗಳು. ಬಣ್ಣಗುರುಡು ಸ್ನೇಹಿ ಮತ್ತು ಹೆಚ್ಚಿನ ಕಾಂಟ್ರಾಸ್ಟ್ ಪ್ಯಾಲೆಟ್‌ಗಳು ಕೆಟ್ಟ ಮಟ್ಟಗಳಿಗೆ ಗೆರೆಗಳನ್ನೂ ಹಾಕುತ್ತವೆ, ಮತ್ತು ಪ್ರತಿ ಮಟ್ಟದ ಹೆಸರು ಪಠ್ಯದಲ್ಲಿರುತ್ತದೆ.",
+  "Fallback uses the first source with a reading; blending asks every source and shows the median with how well they agree.":
+    "ಪರ್ಯಾಯ ವಿಧಾನ ರೀಡಿಂಗ್ ಇರುವ ಮೊದಲ ಮೂಲವನ್ನು ಬಳಸುತ್ತದೆ; ಬೆರೆಸುವಿಕೆ ಎಲ್ಲಾ ಮೂಲಗಳನ್ನು ಕೇಳಿ, ಅವು ಎಷ್ಟು ಒಪ್ಪುತ್ತವೆ ಎಂಬುದರೊಂದಿಗೆ ಮಧ್ಯಮಾನವನ್ನು ತೋರಿಸುತ್ತದೆ.",
+  "Data & devices": "ಡೇಟಾ & ಸಾಧನಗಳು",
+  "Sources and sensors": "ಮೂಲಗಳು ಮತ್ತು ಸೆನ್ಸರ್‌ಗಳು",
+  "Choose the index standard and AQI sources, and register indoor sensors.":
+    "ಸೂಚ್ಯಂಕ ಮಾನದಂಡ ಮತ್ತು AQI ಮೂಲಗಳನ್ನು ಆಯ್ಕೆಮಾಡಿ, ಒಳಾಂಗಣ ಸೆನ್ಸರ್‌ಗಳನ್ನು ನೋಂದಾಯಿಸಿ.",
+  "Air quality standard": "ಗಾಳಿಯ ಗುಣಮಟ್ಟದ ಮಾನದಂಡ",
+  "Index standard": "ಸೂಚ್ಯಂಕ ಮಾನದಂಡ",
+  "Sub-indices, colours, advice and checklist tiers follow the selected national scale.":
+    "ಉಪ-ಸೂಚ್ಯಂಕಗಳು, ಬಣ್ಣಗಳು, ಸಲಹೆ ಮತ್ತು ಪರಿಶೀಲನಾ ಪಟ್ಟಿಯ ಹಂತಗಳು ಆಯ್ದ ರಾಷ್ಟ್ರೀಯ ಮಾಪಕವನ್ನು ಅನುಸರಿಸುತ್ತವೆ.",
+  "Data sources": "ಡೇಟಾ ಮೂಲಗಳು",
+  Mode: "ವಿಧಾನ",
+  "Priority with fallback": "ಆದ್ಯತೆ, ಪರ್ಯಾಯದೊಂದಿಗೆ",
+  "Blend all sources": "ಎಲ್ಲಾ ಮೂಲಗಳನ್ನು ಬೆರೆಸಿ",
+  "Move {source} up": "{source} ಅನ್ನು ಮೇಲೆ ಸರಿಸಿ",
+  "Move {source} down": "{source} ಅನ್ನು ಕೆಳಗೆ ಸರಿಸಿ",
+  "Map stations and city rankings always come from WAQI.":
+    "ನಕ್ಷೆಯ ನಿಲ್ದಾಣಗಳು ಮತ್ತು ನಗರ ಶ್ರೇಯಾಂಕಗಳು ಯಾವಾಗಲೂ WAQI ಯಿಂದ ಬರುತ್ತವೆ.",
+  "Your sensors": "ನಿಮ್ಮ ಸೆನ್ಸರ್‌ಗಳು",
+  "Each device gets its own key": "ಪ್ರತಿ ಸಾಧನಕ್ಕೂ ತನ್ನದೇ ಕೀ",
+  "Sensor name": "ಸೆನ್ಸರ್ ಹೆಸರು",
+  "Room (optional)": "ಕೊಠಡಿ (ಐಚ್ಛಿಕ)",
+  "Adding…": "ಸೇರಿಸಲಾಗುತ್ತಿದೆ…",
+  "Add sensor": "ಸೆನ್ಸರ್ ಸೇರಿಸಿ",
+  "Give the sensor a name.": "ಸೆನ್ಸರ್‌ಗೆ ಒಂದು ಹೆಸರು ನೀಡಿ.",
+  "Sign-in is still starting; sensors can be added in a moment.":
+    "ಸೈನ್-ಇನ್ ಇನ್ನೂ ಆರಂಭವಾಗುತ್ತಿದೆ; ಸ್ವಲ್ಪ ಹೊತ್ತಿನಲ್ಲಿ ಸೆನ್ಸರ್‌ಗಳನ್ನು ಸೇರಿಸಬಹುದು.",
+  "{sensor} added": "{sensor} ಸೇರಿಸಲಾಗಿದೆ",
+  "Could not add the sensor. Try again.": "ಸೆನ್ಸರ್ ಸೇರಿಸಲಾಗಲಿಲ್ಲ. ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "Could not remove the sensor. Try again.": "ಸೆನ್ಸರ್ ತೆಗೆದುಹಾಕಲಾಗಲಿಲ್ಲ. ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+  "Device key (shown once, copy it now)": "ಸಾಧನದ ಕೀ (ಒಮ್ಮೆ ಮಾತ್ರ ತೋರಿಸಲಾಗುತ್ತದೆ, ಈಗಲೇ ನಕಲಿಸಿ)",
+  "POST readings to": "ರೀಡಿಂಗ್‌ಗಳನ್ನು ಇಲ್ಲಿಗೆ POST ಮಾಡಿ",
+  "Send the key in an X-Sensor-Key header, or add &key=… for firmware without headers.":
+    "ಕೀಯನ್ನು X-Sensor-Key ಹೆಡರ್‌ನಲ್ಲಿ ಕಳುಹಿಸಿ, ಅಥವಾ ಹೆಡರ್ ಇಲ್ಲದ ಫರ್ಮ್‌ವೇರ್‌ಗೆ &key=… ಸೇರಿಸಿ.",
+  "Set VITE_SENSOR_INGEST_URL to show the HTTP endpoint for this device.":
+    "ಈ ಸಾಧನದ HTTP ಎಂಡ್‌ಪಾಯಿಂಟ್ ತೋರಿಸಲು VITE_SENSOR_INGEST_URL ಹೊಂದಿಸಿ.",
+  "MQTT devices publish to": "MQTT ಸಾಧನಗಳು ಇಲ್ಲಿಗೆ ಪ್ರಕಟಿಸುತ್ತವೆ",
+  "with the key in a \"key\" field.": "ಕೀಯನ್ನು \"key\" ಕ್ಷೇತ್ರದಲ್ಲಿ ಇಟ್ಟು.",
+  "No sensors yet. Add one, or run the simulator in functions/ to try the card.":
+    "ಇನ್ನೂ ಸೆನ್ಸರ್‌ಗಳಿಲ್ಲ. ಒಂದನ್ನು ಸೇರಿಸಿ, ಅಥವಾ ಕಾರ್ಡ್ ಪ್ರಯತ್ನಿಸಲು functions/ ನಲ್ಲಿ ಸಿಮ್ಯುಲೇಟರ್ ಚಲಾಯಿಸಿ.",
+};
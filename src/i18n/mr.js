@@ -0,0 +1,641 @@
+// Marathi. Keys are the English source text; see index.js.
+export default {
+  // App shell
+  Dashboard: "डॅशबोर्ड",
+  Map: "नकाशा",
+  Rankings: "क्रमवारी",
+  Alerts: "सूचना",
+  History: "इतिहास",
+  Settings: "सेटिंग्ज",
+  "Live feed active": "थेट फीड सुरू",
+  "Awaiting location lock": "स्थानाची प्रतीक्षा",
+  Language: "भाषा",
+
+  // Health guidance
+  Pending: "प्रलंबित",
+  "Fetch AQI to see status": "स्थिती पाहण्यासाठी AQI तपासा",
+  "Respiratory distress": "श्वसनाचा त्रास",
+  "Cardiovascular strain": "हृदयावर ताण",
+  "Eye & skin irritation": "डोळे व त्वचेची जळजळ",
+  "Neurological fatigue": "मानसिक थकवा",
+  Respiratory: "श्वसन",
+  Cardio: "हृदय",
+  Eyes: "डोळे",
+  Fatigue: "थकवा",
+  "Risk level": "धोक्याची पातळी",
+  "Run a check to personalize guidance.": "तुमच्यासाठी सल्ला मिळवण्यासाठी AQI तपासा.",
+  "Enable live readings to receive proactive prevention tips.": "प्रतिबंधाच्या सूचना मिळवण्यासाठी थेट वाचन सुरू करा.",
+  "Stale since {time}": "{time} पासून अद्ययावत नाही",
+  "Observed at {time}": "{time} रोजी नोंद",
+  "Last spike • {time}": "मागील वाढ • {time}",
+
+  // Diseases and personal tips
+  "Asthma & COPD flare-ups": "दमा व COPD चा त्रास वाढणे",
+  "Cardio stress (hypertension)": "हृदयावर ताण (उच्च रक्तदाब)",
+  "Allergic rhinitis / sore throat": "ॲलर्जिक नासिकाशोथ / घसा खवखवणे",
+  "Eye irritation": "डोळ्यांची जळजळ",
+  "Headache & fatigue": "डोकेदुखी व थकवा",
+  "Use N95 outside; keep inhalers ready; limit exertion": "बाहेर N95 वापरा; इनहेलर जवळ ठेवा; श्रम कमी करा",
+  "Stay indoors; hydrate; avoid heavy workouts": "घरात राहा; पाणी प्या; जड व्यायाम टाळा",
+  "Mask outdoors; saline gargle; keep windows closed": "बाहेर मास्क वापरा; मिठाच्या पाण्याने गुळण्या करा; खिडक्या बंद ठेवा",
+  "Protective glasses; avoid rubbing eyes; use artificial tears": "संरक्षक चष्मा वापरा; डोळे चोळू नका; डोळ्यांचे थेंब वापरा",
+  "Reduce outdoor time; rest; stay hydrated": "बाहेरचा वेळ कमी करा; विश्रांती घ्या; पाणी पीत राहा",
+  "For you: {tip}": "तुमच्यासाठी: {tip}",
+  "Take your controller dose on schedule and keep the reliever inhaler on you":
+    "कंट्रोलर औषध वेळेवर घ्या आणि रिलीव्हर इनहेलर जवळ ठेवा",
+  "Follow your action plan; call your doctor if breathlessness worsens":
+    "तुमची कृती योजना पाळा; धाप वाढल्यास डॉक्टरांना फोन करा",
+  "Skip strenuous exertion; watch for chest pain or palpitations": "जास्त श्रम टाळा; छातीत दुखणे किंवा धडधड याकडे लक्ष द्या",
+  "Monitor blood sugar closely; pollution can raise cardiovascular strain":
+    "रक्तातील साखरेवर लक्ष ठेवा; प्रदूषणामुळे हृदयावर ताण वाढू शकतो",
+  "Limit outdoor time on high days; favour filtered indoor spaces":
+    "जास्त प्रदूषणाच्या दिवशी बाहेर कमी जा; फिल्टर केलेल्या हवेच्या जागी राहा",
+  "Rinse nasal passages after being outdoors; keep antihistamines handy":
+    "बाहेरून आल्यावर नाक स्वच्छ करा; अँटीहिस्टामिन जवळ ठेवा",
+  "Move play and sports indoors when the index climbs": "निर्देशांक वाढल्यावर खेळ घरात घ्या",
+  "Check in with family or caregivers on high-pollution days": "जास्त प्रदूषणाच्या दिवशी कुटुंबीयांच्या किंवा काळजीवाहकांच्या संपर्कात राहा",
+  "Schedule heavy work for the cleanest hours and wear a fitted N95": "जड कामे सर्वात स्वच्छ हवेच्या वेळी करा आणि नीट बसणारा N95 वापरा",
+
+  // Readiness checklist
+  "Wear N95/FFP2 outdoors": "बाहेर N95/FFP2 वापरा",
+  "Required for AQI spikes": "AQI वाढल्यावर आवश्यक",
+  "Keep mask handy": "मास्क जवळ ठेवा",
+  "Run air purifier or ventilation": "एअर प्युरिफायर किंवा वायुवीजन सुरू करा",
+  "Cycle HEPA every 2h": "दर 2 तासांनी HEPA चालवा",
+  "Ventilate when {standard} ≤ {max}": "{standard} ≤ {max} असताना हवा खेळती ठेवा",
+  "Indoor PM2.5 {pm25} µg/m³ • {ventilation}": "घरातील PM2.5 {pm25} µg/m³ • {ventilation}",
+  "Stay hydrated + limit exertion": "पाणी पीत राहा + श्रम कमी करा",
+  "Sip water every hour": "दर तासाला पाणी प्या",
+  "Monitor energy levels": "ऊर्जेकडे लक्ष द्या",
+  "Enable spike notifications": "AQI वाढीच्या सूचना सुरू करा",
+  "Live alerts active": "थेट सूचना सुरू",
+  "Grant permission for browser alerts": "ब्राउझर सूचनांना परवानगी द्या",
+  "Plan commute flexibly": "प्रवासाचे नियोजन लवचिक ठेवा",
+  "Avoid peak traffic outdoors; compare routes in the commute planner":
+    "गर्दीच्या वेळी बाहेर जाणे टाळा; प्रवास नियोजकात मार्गांची तुलना करा",
+  "Track AQI before leaving": "निघण्यापूर्वी AQI पाहा",
+  "Carry reliever inhaler / medication": "रिलीव्हर इनहेलर / औषध सोबत ठेवा",
+  "Keep it within reach all day": "दिवसभर हाताशी ठेवा",
+  "Check doses before heading out": "निघण्यापूर्वी डोस तपासा",
+
+  // Notifications
+  "AQI Alert": "AQI सूचना",
+  "AQI Alert • {place}": "AQI सूचना • {place}",
+  "{label} AQI is {aqi}. {advice}": "{label} चा AQI {aqi} आहे. {advice}",
+  "Current AQI in {label} is {aqi}": "{label} मध्ये सध्याचा AQI {aqi} आहे",
+  "AQI alert: {label} is at {aqi} ({band}), above your threshold of {threshold}.":
+    "AQI इशारा: {label} मध्ये AQI {aqi} ({band}), तुमच्या {threshold} मर्यादेपेक्षा जास्त.",
+  "AQI in {label} is {aqi} ({band}).": "{label} मध्ये AQI {aqi} ({band}).",
+  "AQI in {label} is now {aqi} ({band}).": "{label} मध्ये AQI आता {aqi} ({band}).",
+  "Dismiss notification": "सूचना बंद करा",
+  Elevated: "वाढलेला",
+  "Daily exposure limit passed": "दैनिक संपर्क मर्यादा ओलांडली",
+  "You have breathed about {dose} µg/m³·h of PM2.5 today (≈ {cigarettes} cigarettes), above your {limit} limit.":
+    "आज तुम्ही सुमारे {dose} µg/m³·h PM2.5 श्वासात घेतले आहे (≈ {cigarettes} सिगारेट), जे तुमच्या {limit} मर्यादेपेक्षा जास्त आहे.",
+
+  // Widget
+  "Loading air quality…": "हवेची गुणवत्ता लोड होत आहे…",
+  "Set a city, coordinates or station to show its air quality.": "हवेची गुणवत्ता दाखवण्यासाठी शहर, निर्देशांक किंवा स्टेशन द्या.",
+  "Updated {time}": "{time} ला अद्ययावत",
+  "Open in Atmosense": "Atmosense मध्ये उघडा",
+
+  // Bands (US EPA)
+  Good: "चांगली",
+  "Air quality is good. No precautions needed.": "हवेची गुणवत्ता चांगली आहे. काळजी घेण्याची गरज नाही.",
+  "Stay active outdoors.": "बाहेर सक्रिय राहा.",
+  Healthy: "निरोगी",
+  "Air is clean — stay active": "हवा स्वच्छ आहे — सक्रिय राहा",
+  Moderate: "मध्यम",
+  "Moderate air quality. Sensitive groups should take caution.": "मध्यम हवा गुणवत्ता. संवेदनशील लोकांनी काळजी घ्यावी.",
+  "Limit prolonged outdoor activity if you have respiratory issues.": "श्वसनाचा त्रास असल्यास बाहेर जास्त वेळ राहू नका.",
+  "Sensitive groups take light caution": "संवेदनशील लोकांनी थोडी काळजी घ्यावी",
+  "Unhealthy for sensitive groups": "संवेदनशील लोकांसाठी अपायकारक",
+  "Unhealthy for sensitive groups.": "संवेदनशील लोकांसाठी अपायकारक.",
+  "Reduce outdoor activity. Use mask if needed.": "बाहेरील हालचाल कमी करा. गरज असल्यास मास्क वापरा.",
+  Caution: "सावधान",
+  "Sensitive groups reduce outdoor time": "संवेदनशील लोकांनी बाहेरचा वेळ कमी करावा",
+  Unhealthy: "अपायकारक",
+  "Unhealthy.": "अपायकारक.",
+  "Avoid outdoor activity. People with health issues should stay indoors.":
+    "बाहेरील हालचाल टाळा. आजारी लोकांनी घरात राहावे.",
+  "Avoid outdoor exertion; use N95": "बाहेर श्रम टाळा; N95 वापरा",
+  "Very Unhealthy": "अतिशय अपायकारक",
+  "Very Unhealthy.": "अतिशय अपायकारक.",
+  "Stay indoors. Wear N95 masks if you go outside.": "घरात राहा. बाहेर गेल्यास N95 मास्क वापरा.",
+  "Stay indoors; mechanical ventilation": "घरात राहा; यांत्रिक वायुवीजन वापरा",
+  Hazardous: "धोकादायक",
+  "Hazardous!": "धोकादायक!",
+  "Avoid all outdoor activity. Keep windows closed.": "बाहेरील सर्व हालचाल टाळा. खिडक्या बंद ठेवा.",
+  "Shelter indoors; seal windows; use N95": "घरात आश्रय घ्या; खिडक्या बंद करा; N95 वापरा",
+
+  // Bands (India NAQI)
+  "Good air quality with minimal health impact.": "चांगली हवा गुणवत्ता, आरोग्यावर अत्यल्प परिणाम.",
+  "Enjoy outdoor activities.": "बाहेरील हालचालींचा आनंद घ्या.",
+  "Minimal impact": "अत्यल्प परिणाम",
+  Satisfactory: "समाधानकारक",
+  "Satisfactory. Minor breathing discomfort to sensitive people.": "समाधानकारक. संवेदनशील लोकांना श्वास घेताना किरकोळ त्रास.",
+  "Sensitive people should keep reliever medication handy.": "संवेदनशील लोकांनी आरामदायी औषध जवळ ठेवावे.",
+  "Minor discomfort for sensitive people": "संवेदनशील लोकांना किरकोळ त्रास",
+  "Moderate. Breathing discomfort for people with lung or heart disease, children and older adults.":
+    "मध्यम. फुफ्फुस किंवा हृदयरोगी, मुले आणि ज्येष्ठांना श्वास घेताना त्रास.",
+  "Limit prolonged outdoor exertion. Use mask if needed.": "बाहेर दीर्घ श्रम मर्यादित करा. गरज असल्यास मास्क वापरा.",
+  "Lung and heart patients take caution": "फुफ्फुस व हृदयरोग्यांनी काळजी घ्यावी",
+  Poor: "खराब",
+  "Poor. Breathing discomfort to most people on prolonged exposure.": "खराब. दीर्घ संपर्कात बहुतेक लोकांना श्वास घेताना त्रास.",
+  "Avoid outdoor activity. Wear N95 outdoors.": "बाहेरील हालचाल टाळा. बाहेर N95 वापरा.",
+  "Avoid prolonged exposure; use N95": "दीर्घ संपर्क टाळा; N95 वापरा",
+  "Very Poor": "अतिशय खराब",
+  "Very Poor. Respiratory illness on prolonged exposure.": "अतिशय खराब. दीर्घ संपर्कात श्वसनाचे आजार.",
+  "Stay indoors. Run air purifiers and keep windows closed.": "घरात राहा. एअर प्युरिफायर चालवा आणि खिडक्या बंद ठेवा.",
+  "Stay indoors; run purifiers": "घरात राहा; प्युरिफायर चालवा",
+  Severe: "गंभीर",
+  "Severe! Respiratory effects even on healthy people.": "गंभीर! निरोगी लोकांवरही श्वसनावर परिणाम.",
+  "Avoid all outdoor activity. Seal windows and use N95 if you must go out.":
+    "बाहेरील सर्व हालचाल टाळा. खिडक्या बंद करा आणि बाहेर जावेच लागल्यास N95 वापरा.",
+
+  // Bands (EU CAQI)
+  "Very low": "अतिशय कमी",
+  "Very low pollution. Air quality is excellent.": "अतिशय कमी प्रदूषण. हवेची गुणवत्ता उत्कृष्ट आहे.",
+  "Excellent air — stay active": "उत्कृष्ट हवा — सक्रिय राहा",
+  Low: "कमी",
+  "Low pollution. Air quality is fine for everyone.": "कमी प्रदूषण. हवा सर्वांसाठी ठीक आहे.",
+  "No special precautions needed.": "विशेष काळजीची गरज नाही.",
+  "Fine for everyone": "सर्वांसाठी ठीक",
+  Medium: "मध्यम",
+  "Medium pollution. Sensitive groups may notice effects.": "मध्यम प्रदूषण. संवेदनशील लोकांना परिणाम जाणवू शकतो.",
+  "Sensitive groups should reduce intense outdoor exercise.": "संवेदनशील लोकांनी बाहेरील कठोर व्यायाम कमी करावा.",
+  "Sensitive groups ease off outdoors": "संवेदनशील लोकांनी बाहेर श्रम कमी करावे",
+  High: "जास्त",
+  "High pollution. Everyone may begin to feel effects.": "जास्त प्रदूषण. सर्वांना परिणाम जाणवू लागू शकतो.",
+  "Avoid outdoor exertion. Wear N95 on busy roads.": "बाहेर श्रम टाळा. गर्दीच्या रस्त्यांवर N95 वापरा.",
+  "Very high": "अतिशय जास्त",
+  "Very high pollution. Health warnings for everyone.": "अतिशय जास्त प्रदूषण. सर्वांसाठी आरोग्य इशारा.",
+  "Stay indoors. Keep windows closed and run purifiers.": "घरात राहा. खिडक्या बंद ठेवा आणि प्युरिफायर चालवा.",
+  "Stay indoors; keep windows closed": "घरात राहा; खिडक्या बंद ठेवा",
+
+  // Dashboard
+  "Air wellness intelligence": "हवा आरोग्य माहिती",
+  "Live AQI Dashboard": "लाइव्ह AQI डॅशबोर्ड",
+  "Keep tabs on {place} in real time.": "{place} वर सतत लक्ष ठेवा.",
+  "your area": "तुमचा परिसर",
+  "Stay ahead of pollution spikes for {place} with live guidance.":
+    "लाइव्ह मार्गदर्शनाने {place} मध्ये प्रदूषण वाढण्याआधीच तयार रहा.",
+  "your location": "तुमचे ठिकाण",
+  "Enter a city or locality": "शहर किंवा परिसर लिहा",
+  "Check AQI": "AQI तपासा",
+  Share: "शेअर करा",
+  "AQI in {place}": "{place} मधील AQI",
+  "Link copied: {url}": "लिंक कॉपी झाली: {url}",
+  "Could not copy the link. Share this address instead: {url}":
+    "लिंक कॉपी करता आली नाही. त्याऐवजी हा पत्ता शेअर करा: {url}",
+  "Fetching your approximate location. Please allow permissions or enter a city manually.":
+    "तुमचे अंदाजे ठिकाण मिळवले जात आहे. परवानगी द्या किंवा शहर स्वतः लिहा.",
+  "Current location": "सध्याचे ठिकाण",
+  "Location status": "ठिकाणाची स्थिती",
+  Notifications: "सूचना",
+  Connection: "कनेक्शन",
+  Offline: "ऑफलाइन",
+  Off: "बंद",
+  "Not asked yet": "अजून विचारले नाही",
+  Enabled: "सुरू",
+  Blocked: "ब्लॉक केले",
+  "Not supported": "समर्थित नाही",
+  "Pending permission": "परवानगी बाकी",
+  "Realtime {standard}": "रिअलटाइम {standard}",
+  "This reading was saved earlier and could not be refreshed": "हे रीडिंग आधी जतन केले होते आणि रिफ्रेश करता आले नाही",
+  "Sources agree": "स्रोत सहमत आहेत",
+  "Sources roughly agree": "स्रोत साधारण सहमत आहेत",
+  "Sources disagree": "स्रोत असहमत आहेत",
+  Blended: "मिश्रित",
+  "fallback after {providers}": "{providers} नंतर पर्याय",
+  "Guardian status": "संरक्षण स्थिती",
+  "{standard} level": "{standard} पातळी",
+  "Last sync": "शेवटचे सिंक",
+  "Awaiting data": "डेटाची प्रतीक्षा",
+  "Alerts: {state}": "अलर्ट: {state}",
+  "Δ vs last manual: {delta} AQI": "मागील तपासणीशी Δ: {delta} AQI",
+  "Run a manual check to compare": "तुलनेसाठी स्वतः एकदा तपासा",
+  "Mode: {mode}": "मोड: {mode}",
+  Manual: "मॅन्युअल",
+  "Airwatch scope": "देखरेखीची व्याप्ती",
+  "GPS tracking": "GPS ट्रॅकिंग",
+  "Map station": "नकाशावरील स्टेशन",
+  "Setup required": "सेटअप आवश्यक",
+  "Add a city name to start": "सुरू करण्यासाठी शहराचे नाव लिहा",
+  "Ranking data syncing…": "क्रमवारी डेटा सिंक होत आहे…",
+  "Live snapshot": "लाइव्ह झलक",
+  "Environment overview": "पर्यावरणाचा आढावा",
+  "Coordinates refresh automatically every time you move ~50m.":
+    "तुम्ही ~50 मी. हललात की निर्देशांक आपोआप रिफ्रेश होतात.",
+  Location: "ठिकाण",
+  "Status: {status}": "स्थिती: {status}",
+  "Health Tracker": "आरोग्य ट्रॅकर",
+  "Notifications: {state}": "सूचना: {state}",
+  "Latest reading": "ताजे रीडिंग",
+  "Manual check • {place}": "स्वतः तपासणी • {place}",
+  "Live auto refresh": "लाइव्ह ऑटो रिफ्रेश",
+  "Use Check AQI to capture a measurement": "मोजमाप घेण्यासाठी AQI तपासा दाबा",
+  "Personal exposure": "वैयक्तिक संपर्क",
+  "What you breathed today": "आज तुम्ही श्वासात काय घेतले",
+  "Combines the time you spend at each live location with the PM2.5 there into a cumulative daily dose.":
+    "प्रत्येक लाइव्ह ठिकाणी घालवलेला वेळ आणि तिथला PM2.5 एकत्र करून दिवसाचा एकूण डोस मोजतो.",
+  "Today's dose": "आजचा डोस",
+  "{percent}% of limit": "मर्यादेच्या {percent}%",
+  "≈ {count} cigarette • {hours} h tracked": "≈ {count} सिगारेट • {hours} तास ट्रॅक",
+  "≈ {count} cigarettes • {hours} h tracked": "≈ {count} सिगारेट • {hours} तास ट्रॅक",
+  "avg PM2.5 {pm25} µg/m³": "सरासरी PM2.5 {pm25} µg/m³",
+  "Your cumulative dose is above the daily limit. Spend the rest of the day in filtered indoor air if you can.":
+    "तुमचा एकूण डोस दैनिक मर्यादेपेक्षा जास्त आहे. जमल्यास उरलेला दिवस फिल्टर केलेल्या हवेत घरात घालवा.",
+  "Daily limit": "दैनिक मर्यादा",
+  "Some stations report no PM2.5; their AQI was converted to an estimated concentration.":
+    "काही स्टेशन PM2.5 सांगत नाहीत; त्यांचा AQI अंदाजे घनतेत बदलला आहे.",
+  "Day timeline": "दिवसाची टाइमलाइन",
+  "{count} stops": "{count} थांबे",
+  "No live fixes yet today": "आज अजून लाइव्ह ठिकाण नाही",
+  "Where you were today and the air quality there": "आज तुम्ही कुठे होतात आणि तिथली हवेची गुणवत्ता",
+  "Gaps are time without a location fix; each stop counts for at most two hours.":
+    "रिकाम्या जागा म्हणजे ठिकाण न मिळालेला वेळ; प्रत्येक थांबा जास्तीत जास्त दोन तास मोजला जातो.",
+  "Weekly totals": "साप्ताहिक एकूण",
+  "{count} cigarette-equivalents this week": "या आठवड्यात {count} सिगारेटइतके",
+  "PM2.5 dose (µg/m³·h)": "PM2.5 डोस (µg/m³·h)",
+  "PM2.5 dose for the last 7 days; {days} of 7 over the daily limit":
+    "मागील 7 दिवसांचा PM2.5 डोस; 7 पैकी {days} दिवस मर्यादेपेक्षा जास्त",
+  "Indoor air": "घरातील हवा",
+  "Inside vs outside": "आत विरुद्ध बाहेर",
+  "Home sensors (PurpleAir, ESP32 + SDS011 over MQTT, or any HTTP POST) tell you whether opening the windows helps. Add them under Settings.":
+    "घरातील सेन्सर (PurpleAir, MQTT वरून ESP32 + SDS011, किंवा कोणताही HTTP POST) खिडक्या उघडल्याने फायदा होईल का ते सांगतात. ते सेटिंग्जमध्ये जोडा.",
+  "Indoor vs outdoor PM2.5": "आत विरुद्ध बाहेर PM2.5",
+  Indoor: "आत",
+  Outdoor: "बाहेर",
+  "{count} live sensor": "{count} लाइव्ह सेन्सर",
+  "{count} live sensors": "{count} लाइव्ह सेन्सर",
+  "No live sensor": "लाइव्ह सेन्सर नाही",
+  "Estimated from AQI": "AQI वरून अंदाजे",
+  "Check AQI first": "आधी AQI तपासा",
+  "Offline • last seen": "ऑफलाइन • शेवटचे",
+  "{sensor} PM2.5 over the last 24 hours": "मागील 24 तासांतील {sensor} PM2.5",
+  "Health forecasting": "आरोग्य अंदाज",
+  "Deep analytics": "सखोल विश्लेषण",
+  "Risk bars and disease guidance mirror the latest AQI; trend lines and the outlook live under History.":
+    "धोका बार आणि आजारांचे मार्गदर्शन ताज्या AQI नुसार आहे; कल आणि अंदाज इतिहासमध्ये आहेत.",
+  "Dominant {pollutant}": "प्रमुख {pollutant}",
+  "ML-based health risk prediction": "ML-आधारित आरोग्य धोका अंदाज",
+  "Heuristic model scaled to current AQI and your profile": "सध्याचा AQI आणि तुमच्या प्रोफाइलनुसार अंदाज मॉडेल",
+  "Heuristic model scaled to current AQI": "सध्याच्या AQI नुसार अंदाज मॉडेल",
+  "Pollutant sub-indices": "प्रदूषकांचे उप-निर्देशांक",
+  "{standard} breakpoints": "{standard} मर्यादा बिंदू",
+  "{standard} sub-index": "{standard} उप-निर्देशांक",
+  "{standard} sub-indices: {values}": "{standard} उप-निर्देशांक: {values}",
+  "Health risk when AQI is high": "AQI जास्त असताना आरोग्य धोका",
+  "Auto-adjusts based on current AQI": "सध्याच्या AQI नुसार आपोआप बदलते",
+  "Diseases & prevention": "आजार आणि प्रतिबंध",
+  "Readiness checklist": "तयारीची यादी",
+  "Adaptive guidance for your current AQI": "तुमच्या सध्याच्या AQI नुसार मार्गदर्शन",
+  // Location, search and indoor advice
+  Idle: "निष्क्रिय",
+  Live: "लाइव्ह",
+  "Live (network)": "लाइव्ह (नेटवर्क)",
+  "Approximate via network": "नेटवर्कद्वारे अंदाजे",
+  "City lookup": "शहराने शोध",
+  "Station lookup": "स्टेशनने शोध",
+  "Resolving network location…": "नेटवर्कवरून ठिकाण शोधत आहे…",
+  "Enter a city to start": "सुरू करण्यासाठी शहर लिहा",
+  "Geolocation not supported": "जिओलोकेशन समर्थित नाही",
+  "Locating…": "ठिकाण शोधत आहे…",
+  "Use HTTPS or localhost for live location": "लाइव्ह ठिकाणासाठी HTTPS किंवा localhost वापरा",
+  "Permission denied — allow location access": "परवानगी नाकारली — ठिकाणाची परवानगी द्या",
+  "Position unavailable": "ठिकाण उपलब्ध नाही",
+  "Location timed out": "ठिकाण शोधण्याची वेळ संपली",
+  "Unable to get location": "ठिकाण मिळू शकले नाही",
+  "Awaiting live location…": "लाइव्ह ठिकाणाची प्रतीक्षा…",
+  "Recent searches": "अलीकडील शोध",
+  Cities: "शहरे",
+  Stations: "स्टेशन",
+  Places: "ठिकाणे",
+  "Searching…": "शोधत आहे…",
+  "No matches": "जुळणारे काही नाही",
+  "Suggestions are unavailable right now.": "सूचना सध्या उपलब्ध नाहीत.",
+  "Waiting for readings": "रीडिंगची प्रतीक्षा",
+  "No live indoor sensor reading yet.": "अजून घरातील सेन्सरचे लाइव्ह रीडिंग नाही.",
+  "Check the outdoor AQI to compare.": "तुलनेसाठी बाहेरचा AQI तपासा.",
+  "Run the air purifier until indoor PM2.5 drops.": "घरातील PM2.5 कमी होईपर्यंत एअर प्युरिफायर चालू ठेवा.",
+  "Keep windows shut": "खिडक्या बंद ठेवा",
+  "Outdoor PM2.5 is {outdoor} µg/m³ against {indoor} indoors.": "बाहेर PM2.5 {outdoor} µg/m³ आहे, तर आत {indoor}.",
+  "Ventilate now": "आता हवा येऊ द्या",
+  "Outdoor air is cleaner ({outdoor} vs {indoor} µg/m³). Open windows for 10–15 minutes.":
+    "बाहेरची हवा स्वच्छ आहे ({outdoor} विरुद्ध {indoor} µg/m³). 10–15 मिनिटे खिडक्या उघडा.",
+  "Indoor and outdoor are similar": "आत आणि बाहेर सारखेच",
+  "Both are around {indoor} µg/m³; a short airing for fresh air will not change much.":
+    "दोन्ही सुमारे {indoor} µg/m³ आहेत; ताज्या हवेसाठी थोडा वेळ खिडकी उघडल्याने फारसा फरक पडणार नाही.",
+  "WHO 2021 guideline (15 µg/m³ daily mean)": "WHO 2021 मार्गदर्शक तत्त्व (15 µg/m³ दैनिक सरासरी)",
+  "Sensitive groups (half of WHO)": "संवेदनशील गट (WHO च्या निम्मे)",
+  "India NAAQS (60 µg/m³ daily mean)": "भारत NAAQS (60 µg/m³ दैनिक सरासरी)",
+  // Map and commute planner
+  "Station map": "स्टेशन नकाशा",
+  "Air quality around you": "तुमच्या आजूबाजूची हवा",
+  "Pick a station to load its reading on the dashboard.": "डॅशबोर्डवर रीडिंग पाहण्यासाठी स्टेशन निवडा.",
+  "Commute planner": "प्रवास नियोजक",
+  "Cleaner ways to get there": "तिथे पोहोचण्याचे स्वच्छ मार्ग",
+  "Compares alternative routes by the PM2.5 you would inhale along them and suggests when to leave. Routes are drawn on the map above.":
+    "पर्यायी मार्गांची तुलना त्यावर श्वासात जाणाऱ्या PM2.5 ने करतो आणि कधी निघावे ते सुचवतो. मार्ग वरच्या नकाशावर दिसतात.",
+  "From (place or lat, lng)": "कुठून (ठिकाण किंवा lat, lng)",
+  "To (place or lat, lng)": "कुठे (ठिकाण किंवा lat, lng)",
+  Origin: "सुरुवात",
+  Destination: "गंतव्य",
+  "Travel mode": "प्रवासाचे साधन",
+  Walk: "चालत",
+  Cycle: "सायकल",
+  Car: "कार",
+  "From my location": "माझ्या ठिकाणापासून",
+  "Planning…": "नियोजन सुरू आहे…",
+  "Compare routes": "मार्गांची तुलना करा",
+  "Could not plan this commute. Try again.": "हा प्रवास नियोजित करता आला नाही. पुन्हा प्रयत्न करा.",
+  "Live location is not available yet.": "लाइव्ह ठिकाण अजून उपलब्ध नाही.",
+  "{count} station sampled": "{count} स्टेशन तपासले",
+  "{count} stations sampled": "{count} स्टेशन तपासले",
+  "Lowest exposure": "सर्वात कमी संपर्क",
+  "µg PM2.5 inhaled": "µg PM2.5 श्वासात",
+  "{distance} km • {minutes} min • avg AQI {average} • peak {peak}":
+    "{distance} किमी • {minutes} मिनिटे • सरासरी AQI {average} • कमाल {peak}",
+  "n/a": "उपलब्ध नाही",
+  "{coverage}% of the route has a station within range; the rest uses the route average.":
+    "मार्गाच्या {coverage}% भागाजवळ स्टेशन आहे; उरलेल्या भागासाठी मार्गाची सरासरी वापरली आहे.",
+  "Best times to leave": "निघण्याची सर्वोत्तम वेळ",
+  "Forecast levels shaped by the usual hour-by-hour pattern": "नेहमीच्या तासागणिक पॅटर्ननुसार अंदाज",
+  "Check AQI first so the planner has a current level or forecast to work from.":
+    "नियोजकाला सध्याची पातळी किंवा अंदाज मिळावा म्हणून आधी AQI तपासा.",
+  "expected AQI ~{aqi}": "अपेक्षित AQI ~{aqi}",
+  "Loading stations…": "स्टेशन लोड होत आहेत…",
+  "Move the map to load stations": "स्टेशन लोड करण्यासाठी नकाशा हलवा",
+  "{count} station in view": "{count} स्टेशन दिसत आहे",
+  "{count} stations in view": "{count} स्टेशन दिसत आहेत",
+  "Stations could not be loaded.": "स्टेशन लोड होऊ शकले नाहीत.",
+  "Base map": "मूळ नकाशा",
+  "Add VITE_GOOGLE_MAPS_API_KEY to enable Google Maps": "Google Maps सुरू करण्यासाठी VITE_GOOGLE_MAPS_API_KEY जोडा",
+  "Your location": "तुमचे ठिकाण",
+  "no nearby station": "जवळ स्टेशन नाही",
+  "AQI colour scale": "AQI रंग प्रमाण",
+  "No data": "डेटा नाही",
+  "Click a station to load it into the dashboard.": "डॅशबोर्डवर आणण्यासाठी स्टेशनवर क्लिक करा.",
+  "Click a route to select it; its colour follows the AQI along each stretch.":
+    "मार्ग निवडण्यासाठी त्यावर क्लिक करा; त्याचा रंग प्रत्येक भागाच्या AQI नुसार असतो.",
+  // Alerts and automation
+  "Proactive monitoring": "सक्रिय देखरेख",
+  "Automation & alerts": "ऑटोमेशन आणि सूचना",
+  "Tune refresh cadence, custom alerts, and review recent spikes without touching the map.":
+    "नकाशा न उघडता रिफ्रेशचा वेग, सूचना ठरवा आणि अलीकडील वाढ पाहा.",
+  "Alert threshold": "सूचना मर्यादा",
+  "We notify you the moment AQI exceeds your personal limit. Lower it for sensitive groups.":
+    "AQI तुमची वैयक्तिक मर्यादा ओलांडताच आम्ही कळवतो. संवेदनशील गटांसाठी ती कमी ठेवा.",
+  "Alert fires at ≥ {threshold} AQI.": "≥ {threshold} AQI ला सूचना येते.",
+  "Alert thresholds stay on the WAQI US AQI scale.": "सूचना मर्यादा WAQI US AQI प्रमाणावरच राहतात.",
+  "Use profile suggestion ({threshold} AQI)": "प्रोफाइलची सूचना वापरा ({threshold} AQI)",
+  "Auto refresh": "ऑटो रिफ्रेश",
+  "Auto-refresh": "ऑटो-रिफ्रेश",
+  "Automatically capture AQI snapshots from your live location even when you forget.":
+    "तुम्ही विसरलात तरी तुमच्या लाइव्ह ठिकाणचा AQI आपोआप नोंदवला जातो.",
+  "Refresh cadence": "रिफ्रेश अंतर",
+  "Manual only": "फक्त स्वतः",
+  "Every {minutes} min": "दर {minutes} मिनिटांनी",
+  "Next auto refresh: {time}": "पुढील ऑटो रिफ्रेश: {time}",
+  "Background alerts": "पार्श्वभूमी सूचना",
+  "A scheduled worker checks your watchlist every 15 minutes and alerts you even when this tab is closed.":
+    "एक नियोजित वर्कर दर 15 मिनिटांनी तुमची वॉचलिस्ट तपासतो आणि हा टॅब बंद असतानाही सूचना देतो.",
+  "Push to this device": "या डिव्हाइसवर पुश",
+  "Install the app in a browser with Web Push support to get alerts here.":
+    "इथे सूचना मिळवण्यासाठी Web Push असलेल्या ब्राउझरमध्ये अ‍ॅप इन्स्टॉल करा.",
+  "Could not update push alerts.": "पुश सूचना अपडेट करता आल्या नाहीत.",
+  Email: "ईमेल",
+  "Alerts go to {email}, the address on your account.": "सूचना तुमच्या खात्याचा पत्ता {email} वर जातील.",
+  "Sign in with Google or an email link in Settings to get email alerts.":
+    "ईमेल सूचना मिळवण्यासाठी सेटिंग्जमध्ये Google किंवा ईमेल लिंकने साइन इन करा.",
+  "Webhook (Slack, Teams, custom)": "वेबहुक (Slack, Teams, सानुकूल)",
+  "Webhook URLs must start with https://": "वेबहुक URL https:// ने सुरू व्हायला हवा",
+  "Background alert channels saved": "पार्श्वभूमी सूचना माध्यमे जतन केली",
+  "Could not save alert channels. Try again.": "सूचना माध्यमे जतन करता आली नाहीत. पुन्हा प्रयत्न करा.",
+  "Alert log": "सूचना नोंद",
+  Show: "दाखवा",
+  "All alerts": "सर्व सूचना",
+  "No alerts yet": "अजून सूचना नाहीत",
+  "Show older alerts": "जुन्या सूचना दाखवा",
+  "threshold {threshold}": "मर्यादा {threshold}",
+  Watchlist: "वॉचलिस्ट",
+  "Places you follow": "तुम्ही पाहत असलेली ठिकाणे",
+  "Add home, office or school to track them side by side.": "घर, ऑफिस किंवा शाळा जोडा आणि शेजारी शेजारी पाहा.",
+  "Refresh watchlist": "वॉचलिस्ट रिफ्रेश करा",
+  "Name (Home, Office…)": "नाव (घर, ऑफिस…)",
+  "City or lat, lng": "शहर किंवा lat, lng",
+  "Alert at": "सूचना पातळी",
+  "Add place": "ठिकाण जोडा",
+  "Use my location": "माझे ठिकाण वापरा",
+  "You can watch up to {count} places.": "तुम्ही जास्तीत जास्त {count} ठिकाणे पाहू शकता.",
+  "Enter a city name or coordinates like 28.61, 77.20.": "शहराचे नाव किंवा 28.61, 77.20 सारखे निर्देशांक लिहा.",
+  "Loading tracked cities…": "पाहत असलेली शहरे लोड होत आहेत…",
+  "Each place keeps its own alert threshold and refreshes with the auto-refresh cadence.":
+    "प्रत्येक ठिकाणाची स्वतःची सूचना मर्यादा असते आणि ऑटो-रिफ्रेशसोबत ते ताजे होते.",
+  "Awaiting first reading": "पहिल्या रीडिंगची प्रतीक्षा",
+  "Alert at ≥ {threshold} AQI": "≥ {threshold} AQI ला सूचना",
+  Remove: "काढा",
+  "Remove {name}": "{name} काढा",
+  "Above threshold": "मर्यादेपेक्षा जास्त",
+  "Below threshold": "मर्यादेपेक्षा कमी",
+  Running: "सुरू",
+  on: "सुरू",
+  off: "बंद",
+  On: "सुरू",
+  "Working…": "काम सुरू आहे…",
+  "Turn off": "बंद करा",
+  "Turn on": "सुरू करा",
+  "Saving…": "जतन होत आहे…",
+  "Save channels": "माध्यमे जतन करा",
+  "Loading alerts…": "सूचना लोड होत आहेत…",
+  "Threshold alerts will appear here.": "मर्यादा सूचना इथे दिसतील.",
+  // History and reports
+  "History & outlook": "इतिहास आणि अंदाज",
+  "Look back, look ahead": "मागे पाहा, पुढे पाहा",
+  "Trend lines come from stored readings; the outlook uses the station forecast or a local model.":
+    "कलरेषा जतन केलेल्या रीडिंगमधून येतात; अंदाज स्टेशनचा अंदाज किंवा स्थानिक मॉडेल वापरतो.",
+  "Recent AQI readings": "अलीकडील AQI रीडिंग",
+  "Loading readings…": "रीडिंग लोड होत आहेत…",
+  "No manual checks yet. Use “Check AQI” to capture one.":
+    "अजून स्वतः केलेली तपासणी नाही. नोंदवण्यासाठी “Check AQI” वापरा.",
+  "just now": "आत्ताच",
+  "Show older readings": "जुनी रीडिंग दाखवा",
+  "AQI trend": "AQI कल",
+  "Daily min / avg / max over 7 days": "7 दिवसांचे दैनिक किमान / सरासरी / कमाल",
+  "Hourly min / avg / max over 24 hours": "24 तासांचे तासागणिक किमान / सरासरी / कमाल",
+  "From stored readings": "जतन केलेल्या रीडिंगमधून",
+  Daily: "दैनिक",
+  Hourly: "तासागणिक",
+  "Loading stored readings…": "जतन केलेली रीडिंग लोड होत आहेत…",
+  "No stored readings for {place} in this window yet.": "या कालावधीत {place} ची जतन केलेली रीडिंग अजून नाहीत.",
+  "this location": "हे ठिकाण",
+  "No data:": "डेटा नाही:",
+  Max: "कमाल",
+  Avg: "सरासरी",
+  Min: "किमान",
+  "Shaded: at or above your {threshold} AQI threshold": "छायांकित: तुमची {threshold} AQI मर्यादा किंवा त्याहून जास्त",
+  "AQI outlook": "AQI अंदाज",
+  "Daily forecast from the station, or a local model trained on stored readings":
+    "स्टेशनचा दैनिक अंदाज, किंवा जतन केलेल्या रीडिंगवर प्रशिक्षित स्थानिक मॉडेल",
+  "Source: {sources}": "स्रोत: {sources}",
+  "{count} day(s) ≥ {threshold}": "{count} दिवस ≥ {threshold}",
+  "WAQI forecast": "WAQI अंदाज",
+  "Open-Meteo forecast": "Open-Meteo अंदाज",
+  "Local model": "स्थानिक मॉडेल",
+  "Building forecast…": "अंदाज तयार होत आहे…",
+  "No published forecast for this station and not enough stored readings to model one yet.":
+    "या स्टेशनचा प्रकाशित अंदाज नाही आणि मॉडेल बनवण्याइतकी जतन केलेली रीडिंगही अजून नाहीत.",
+  "Published forecast": "प्रकाशित अंदाज",
+  "Expected AQI": "अपेक्षित AQI",
+  "Recorded AQI": "नोंदवलेला AQI",
+  Range: "श्रेणी",
+  "Range low": "श्रेणीची खालची पातळी",
+  "Range {min}–{max}": "श्रेणी {min}–{max}",
+  "Reports & export": "अहवाल आणि निर्यात",
+  "Take your data with you": "तुमचा डेटा सोबत घ्या",
+  "Download stored readings and alerts, or print a health report for your doctor or employer.":
+    "जतन केलेली रीडिंग आणि सूचना डाउनलोड करा, किंवा डॉक्टर वा नियोक्त्यासाठी आरोग्य अहवाल छापा.",
+  From: "पासून",
+  To: "पर्यंत",
+  "All locations": "सर्व ठिकाणे",
+  "Readings CSV": "रीडिंग CSV",
+  "Readings JSON": "रीडिंग JSON",
+  "Alerts CSV": "सूचना CSV",
+  "Alerts JSON": "सूचना JSON",
+  "Health report (PDF)": "आरोग्य अहवाल (PDF)",
+  "Preparing your report…": "तुमचा अहवाल तयार होत आहे…",
+  "The report opens your browser's print dialog; choose \"Save as PDF\" to keep a copy.":
+    "अहवाल ब्राउझरचा प्रिंट डायलॉग उघडतो; प्रत ठेवण्यासाठी \"Save as PDF\" निवडा.",
+  "The start date must be on or before the end date.": "सुरुवातीची तारीख शेवटच्या तारखेला किंवा त्याआधी असावी.",
+  "Exported {count} readings": "{count} रीडिंग निर्यात केली",
+  "Exported {count} alerts": "{count} सूचना निर्यात केल्या",
+  "Could not export readings. Try again.": "रीडिंग निर्यात करता आली नाहीत. पुन्हा प्रयत्न करा.",
+  "Could not export alerts. Try again.": "सूचना निर्यात करता आल्या नाहीत. पुन्हा प्रयत्न करा.",
+  "Allow pop-ups for this site to open the report.": "अहवाल उघडण्यासाठी या साइटचे पॉप-अप चालू करा.",
+  "Report opened in a new tab": "अहवाल नवीन टॅबमध्ये उघडला",
+  "Could not build the health report. Try again.": "आरोग्य अहवाल तयार करता आला नाही. पुन्हा प्रयत्न करा.",
+  // Rankings
+  Leaderboard: "लीडरबोर्ड",
+  "City rankings": "शहर क्रमवारी",
+  "City-wise AQI ranking": "शहरनिहाय AQI क्रमवारी",
+  "Compare a list of cities, a regional preset or every station in a country.":
+    "शहरांची यादी, प्रादेशिक गट किंवा एखाद्या देशातील सर्व स्टेशनची तुलना करा.",
+  "Refreshing...": "रिफ्रेश होत आहे...",
+  Refresh: "रिफ्रेश करा",
+  "Ranking scope": "क्रमवारीची व्याप्ती",
+  "Chosen cities": "निवडलेली शहरे",
+  "Custom list": "स्वतःची यादी",
+  "All stations in a country": "एखाद्या देशातील सर्व स्टेशन",
+  "Region preset": "प्रादेशिक गट",
+  "Indian metros": "भारतीय महानगरे",
+  "Indian state capitals": "भारतीय राज्यांच्या राजधान्या",
+  "World capitals": "जगातील राजधान्या",
+  Country: "देश",
+  India: "भारत",
+  Bangladesh: "बांगलादेश",
+  Pakistan: "पाकिस्तान",
+  China: "चीन",
+  "United Kingdom": "युनायटेड किंगडम",
+  Germany: "जर्मनी",
+  "United States (contiguous)": "अमेरिका (मुख्य भूभाग)",
+  Australia: "ऑस्ट्रेलिया",
+  "Sort rankings by": "क्रमवारी यानुसार लावा",
+  "Sort by {field}": "{field} नुसार लावा",
+  "Dominant pollutant": "प्रमुख प्रदूषक",
+  "Add a city": "शहर जोडा",
+  Add: "जोडा",
+  "No ranking data yet. Try refreshing.": "अजून क्रमवारी डेटा नाही. रिफ्रेश करून पाहा.",
+  "{place} AQI over the last 7 days": "गेल्या 7 दिवसांतील {place} चा AQI",
+  Previous: "मागील",
+  Next: "पुढील",
+  "Page {page} of {count}": "पान {page} / {count}",
+  "Lower AQI indicates cleaner air • Powered by WAQI live feed": "कमी AQI म्हणजे स्वच्छ हवा • WAQI लाइव्ह फीडद्वारे",
+  // Settings, profile and sensors
+  "Account & health profile": "खाते आणि आरोग्य प्रोफाइल",
+  Account: "खाते",
+  "Guest session": "अतिथी सत्र",
+  "Signed in": "साइन इन केले",
+  "Signed out": "साइन आउट केले",
+  "Continue with Google": "Google सह पुढे जा",
+  "Signed in with Google": "Google ने साइन इन केले",
+  "Email me a link": "मला लिंक ईमेल करा",
+  "Enter your email address.": "तुमचा ईमेल पत्ता लिहा.",
+  "Sign-in link sent to {email}": "साइन-इन लिंक {email} वर पाठवली",
+  "Sign out": "साइन आउट",
+  "Authentication failed.": "प्रमाणीकरण अयशस्वी झाले.",
+  "moved {count} guest records": "{count} अतिथी नोंदी हलवल्या",
+  "Your profile": "तुमचे प्रोफाइल",
+  "Personalize your guidance": "तुमचा सल्ला वैयक्तिक करा",
+  "Risk predictions, prevention tips, checklist tiers and the suggested alert threshold adapt to you.":
+    "जोखीम अंदाज, प्रतिबंधाच्या टिपा, तपासणी यादीचे स्तर आणि सुचवलेली सूचना मर्यादा तुमच्यानुसार बदलतात.",
+  "No profile yet": "अजून प्रोफाइल नाही",
+  "Age band": "वयोगट",
+  "Child (under 12)": "मूल (12 पेक्षा कमी)",
+  "Teen (12–17)": "किशोर (12–17)",
+  "Adult (18–64)": "प्रौढ (18–64)",
+  "Senior (65+)": "ज्येष्ठ (65+)",
+  "Activity level": "हालचालीची पातळी",
+  "Mostly indoors": "बहुतेक घरात",
+  "Regular outdoor activity": "नियमित बाहेरील हालचाल",
+  "Outdoor worker / athlete": "बाहेर काम करणारे / खेळाडू",
+  Conditions: "आरोग्य स्थिती",
+  Asthma: "दमा",
+  "COPD / chronic bronchitis": "COPD / जुनाट ब्राँकायटिस",
+  "Heart disease / hypertension": "हृदयरोग / उच्च रक्तदाब",
+  Diabetes: "मधुमेह",
+  Pregnancy: "गर्भावस्था",
+  "Allergies / rhinitis": "ऍलर्जी / नासिकाशोथ",
+  "I use an inhaler or daily respiratory / cardiac medication":
+    "मी इनहेलर किंवा रोज श्वसन / हृदयाची औषधे वापरतो/वापरते",
+  "Suggested alert threshold: {threshold} AQI": "सुचवलेली सूचना मर्यादा: {threshold} AQI",
+  "Save profile": "प्रोफाइल जतन करा",
+  "Profile saved": "प्रोफाइल जतन केले",
+  "Could not save your profile. Try again.": "तुमचे प्रोफाइल जतन करता आले नाही. पुन्हा प्रयत्न करा.",
+  "Colours & contrast": "रंग आणि कॉन्ट्रास्ट",
+  Palette: "रंगसंगती",
+  Standard: "मानक",
+  "Colour-blind safe": "रंगांधळेपणासाठी सुरक्षित",
+  "High contrast": "उच्च कॉन्ट्रास्ट",
+  "Severity colours on the dashboard, map and charts. The colour-blind safe and high-contrast palettes also hatch worse levels, and every level is named in text.":
+    "डॅशबोर्ड, नकाशा आणि चार्टमधील तीव्रतेचे रंग. रंगांधळेपणासाठी सुरक्षित आणि उच्च कॉन्ट्रास्ट रंगसंगती वाईट पातळ्यांवर रेषाही दाखवतात, आणि प्रत्येक पातळीचे नाव लिहिलेले असते.",
+  "Fallback uses the first source with a reading; blending asks every source and shows the median with how well they agree.":
+    "पर्यायी पद्धत रीडिंग असलेला पहिला स्रोत वापरते; एकत्रीकरण प्रत्येक स्रोताला विचारते आणि त्यांच्या सहमतीसह मध्यक दाखवते.",
+  "Data & devices": "डेटा आणि डिव्हाइस",
+  "Sources and sensors": "स्रोत आणि सेन्सर",
+  "Choose the index standard and AQI sources, and register indoor sensors.":
+    "निर्देशांक मानक आणि AQI स्रोत निवडा, आणि घरातील सेन्सर नोंदवा.",
+  "Air quality standard": "हवा गुणवत्ता मानक",
+  "Index standard": "निर्देशांक मानक",
+  "Sub-indices, colours, advice and checklist tiers follow the selected national scale.":
+    "उप-निर्देशांक, रंग, सल्ला आणि तपासणी यादीचे स्तर निवडलेल्या राष्ट्रीय प्रमाणानुसार असतात.",
+  "Data sources": "डेटा स्रोत",
+  Mode: "पद्धत",
+  "Priority with fallback": "प्राधान्य, पर्यायासह",
+  "Blend all sources": "सर्व स्रोत एकत्र करा",
+  "Move {source} up": "{source} वर हलवा",
+  "Move {source} down": "{source} खाली हलवा",
+  "Map stations and city rankings always come from WAQI.": "नकाशावरील स्टेशन आणि शहर क्रमवारी नेहमी WAQI कडून येते.",
+  "Your sensors": "तुमचे सेन्सर",
+  "Each device gets its own key": "प्रत्येक डिव्हाइसची स्वतःची की असते",
+  "Sensor name": "सेन्सरचे नाव",
+  "Room (optional)": "खोली (ऐच्छिक)",
+  "Adding…": "जोडत आहे…",
+  "Add sensor": "सेन्सर जोडा",
+  "Give the sensor a name.": "सेन्सरला नाव द्या.",
+  "Sign-in is still starting; sensors can be added in a moment.":
+    "साइन-इन अजून सुरू होत आहे; थोड्या वेळात सेन्सर जोडता येतील.",
+  "{sensor} added": "{sensor} जोडला",
+  "Could not add the sensor. Try again.": "सेन्सर जोडता आला नाही. पुन्हा प्रयत्न करा.",
+  "Could not remove the sensor. Try again.": "सेन्सर काढता आला नाही. पुन्हा प्रयत्न करा.",
+  "Device key (shown once, copy it now)": "डिव्हाइस की (एकदाच दिसेल, आत्ताच कॉपी करा)",
+  "POST readings to": "रीडिंग इथे POST करा",
+  "Send the key in an X-Sensor-Key header, or add &key=… for firmware without headers.":
+    "की X-Sensor-Key हेडरमध्ये पाठवा, किंवा हेडर नसलेल्या फर्मवेअरसाठी &key=… जोडा.",
+  "Set VITE_SENSOR_INGEST_URL to show the HTTP endpoint for this device.":
+    "या डिव्हाइसचा HTTP एंडपॉइंट दाखवण्यासाठी VITE_SENSOR_INGEST_URL सेट करा.",
+  "MQTT devices publish to": "MQTT डिव्हाइस इथे प्रकाशित करतात",
+  "with the key in a \"key\" field.": "की \"key\" फील्डमध्ये ठेवून.",
+  "No sensors yet. Add one, or run the simulator in functions/ to try the card.":
+    "अजून सेन्सर नाहीत. एक जोडा, किंवा कार्ड पाहण्यासाठी functions/ मधील सिम्युलेटर चालवा.",
+};
@@ -0,0 +1,654 @@
+// Tamil. Keys are the English source text; see index.js.
+export default {
+  // App shell
+  Dashboard: "முகப்பு",
+  Map: "வரைபடம்",
+  Rankings: "தரவரிசை",
+  Alerts: "எச்சரிக்கைகள்",
+  History: "வரலாறு",
+  Settings: "அமைப்புகள்",
+  "Live feed active": "நேரலை தரவு இயக்கத்தில்",
+  "Awaiting location lock": "இருப்பிடத்திற்காகக் காத்திருக்கிறது",
+  Language: "மொழி",
+
+  // Health guidance
+  Pending: "நிலுவையில்",
+  "Fetch AQI to see status": "நிலையைக் காண AQI-ஐச் சரிபார்க்கவும்",
+  "Respiratory distress": "சுவாசக் கோளாறு",
+  "Cardiovascular strain": "இதய அழுத்தம்",
+  "Eye & skin irritation": "கண் மற்றும் தோல் எரிச்சல்",
+  "Neurological fatigue": "நரம்புச் சோர்வு",
+  Respiratory: "சுவாசம்",
+  Cardio: "இதயம்",
+  Eyes: "கண்கள்",
+  Fatigue: "சோர்வு",
+  "Risk level": "அபாய நிலை",
+  "Run a check to personalize guidance.": "உங்களுக்கான ஆலோசனை பெற AQI-ஐச் சரிபார்க்கவும்.",
+  "Enable live readings to receive proactive prevention tips.": "தடுப்பு உதவிக்குறிப்புகளைப் பெற நேரலை அளவீடுகளை இயக்கவும்.",
+  "Stale since {time}": "{time} முதல் புதுப்பிக்கப்படவில்லை",
+  "Observed at {time}": "{time} அன்று பதிவு",
+  "Last spike • {time}": "கடைசி உயர்வு • {time}",
+
+  // Diseases and personal tips
+  "Asthma & COPD flare-ups": "ஆஸ்துமா & COPD தீவிரமடைதல்",
+  "Cardio stress (hypertension)": "இதய அழுத்தம் (உயர் இரத்த அழுத்தம்)",
+  "Allergic rhinitis / sore throat": "ஒவ்வாமை மூக்கழற்சி / தொண்டை வலி",
+  "Eye irritation": "கண் எரிச்சல்",
+  "Headache & fatigue": "தலைவலி & சோர்வு",
+  "Use N95 outside; keep inhalers ready; limit exertion": "வெளியே N95 அணியுங்கள்; இன்ஹேலரைத் தயாராக வைத்திருங்கள்; உழைப்பைக் குறையுங்கள்",
+  "Stay indoors; hydrate; avoid heavy workouts": "வீட்டிற்குள் இருங்கள்; தண்ணீர் குடியுங்கள்; கடும் உடற்பயிற்சியைத் தவிருங்கள்",
+  "Mask outdoors; saline gargle; keep windows closed": "வெளியே முகக்கவசம்; உப்புநீரில் வாய் கொப்பளிப்பு; ஜன்னல்களை மூடி வையுங்கள்",
+  "Protective glasses; avoid rubbing eyes; use artificial tears": "பாதுகாப்புக் கண்ணாடி; கண்களைத் தேய்க்காதீர்கள்; கண் சொட்டு மருந்து பயன்படுத்துங்கள்",
+  "Reduce outdoor time; rest; stay hydrated": "வெளியே இருக்கும் நேரத்தைக் குறையுங்கள்; ஓய்வெடுங்கள்; தண்ணீர் குடியுங்கள்",
+  "For you: {tip}": "உங்களுக்கு: {tip}",
+  "Take your controller dose on schedule and keep the reliever inhaler on you":
+    "கட்டுப்பாட்டு மருந்தை நேரத்திற்கு எடுத்து, நிவாரண இன்ஹேலரை உடன் வைத்திருங்கள்",
+  "Follow your action plan; call your doctor if breathlessness worsens":
+    "உங்கள் செயல் திட்டத்தைப் பின்பற்றுங்கள்; மூச்சுத்திணறல் அதிகரித்தால் மருத்துவரை அழையுங்கள்",
+  "Skip strenuous exertion; watch for chest pain or palpitations": "கடும் உழைப்பைத் தவிருங்கள்; நெஞ்சு வலி அல்லது படபடப்பைக் கவனியுங்கள்",
+  "Monitor blood sugar closely; pollution can raise cardiovascular strain":
+    "இரத்தச் சர்க்கரையைக் கவனமாகக் கண்காணியுங்கள்; மாசு இதய அழுத்தத்தை அதிகரிக்கலாம்",
+  "Limit outdoor time on high days; favour filtered indoor spaces":
+    "மாசு அதிகமான நாட்களில் வெளியே செல்வதைக் குறையுங்கள்; வடிகட்டிய காற்றுள்ள இடங்களைத் தேர்ந்தெடுங்கள்",
+  "Rinse nasal passages after being outdoors; keep antihistamines handy":
+    "வெளியிலிருந்து வந்ததும் மூக்கைச் சுத்தம் செய்யுங்கள்; ஆன்டிஹிஸ்டமைனைக் கையில் வைத்திருங்கள்",
+  "Move play and sports indoors when the index climbs": "குறியீடு உயரும்போது விளையாட்டுகளை வீட்டிற்குள் நடத்துங்கள்",
+  "Check in with family or caregivers on high-pollution days": "மாசு அதிகமான நாட்களில் குடும்பத்தினர் அல்லது பராமரிப்பாளர்களுடன் தொடர்பில் இருங்கள்",
+  "Schedule heavy work for the cleanest hours and wear a fitted N95": "கடினமான வேலைகளைத் தூய்மையான நேரங்களில் செய்து, பொருத்தமான N95 அணியுங்கள்",
+
+  // Readiness checklist
+  "Wear N95/FFP2 outdoors": "வெளியே N95/FFP2 அணியுங்கள்",
+  "Required for AQI spikes": "AQI உயரும்போது அவசியம்",
+  "Keep mask handy": "முகக்கவசத்தைக் கையில் வைத்திருங்கள்",
+  "Run air purifier or ventilation": "காற்று சுத்திகரிப்பான் அல்லது காற்றோட்டத்தை இயக்குங்கள்",
+  "Cycle HEPA every 2h": "ஒவ்வொரு 2 மணிநேரமும் HEPA இயக்குங்கள்",
+  "Ventilate when {standard} ≤ {max}": "{standard} ≤ {max} ஆக இருக்கும்போது காற்றோட்டம் செய்யுங்கள்",
+  "Indoor PM2.5 {pm25} µg/m³ • {ventilation}": "உட்புற PM2.5 {pm25} µg/m³ • {ventilation}",
+  "Stay hydrated + limit exertion": "தண்ணீர் குடியுங்கள் + உழைப்பைக் குறையுங்கள்",
+  "Sip water every hour": "ஒவ்வொரு மணிநேரமும் தண்ணீர் குடியுங்கள்",
+  "Monitor energy levels": "உடல் ஆற்றலைக் கவனியுங்கள்",
+  "Enable spike notifications": "உயர்வு அறிவிப்புகளை இயக்குங்கள்",
+  "Live alerts active": "நேரலை எச்சரிக்கைகள் இயக்கத்தில்",
+  "Grant permission for browser alerts": "உலாவி எச்சரிக்கைகளுக்கு அனுமதி வழங்குங்கள்",
+  "Plan commute flexibly": "பயணத்தை நெகிழ்வாகத் திட்டமிடுங்கள்",
+  "Avoid peak traffic outdoors; compare routes in the commute planner":
+    "நெரிசல் நேரத்தில் வெளியே செல்வதைத் தவிருங்கள்; பயணத் திட்டமிடலில் வழிகளை ஒப்பிடுங்கள்",
+  "Track AQI before leaving": "புறப்படும் முன் AQI-ஐப் பாருங்கள்",
+  "Carry reliever inhaler / medication": "நிவாரண இன்ஹேலர் / மருந்தை உடன் எடுத்துச் செல்லுங்கள்",
+  "Keep it within reach all day": "நாள் முழுவதும் கைக்கு எட்டும் தூரத்தில் வைத்திருங்கள்",
+  "Check doses before heading out": "புறப்படும் முன் அளவுகளைச் சரிபார்க்கவும்",
+
+  // Notifications
+  "AQI Alert": "AQI எச்சரிக்கை",
+  "AQI Alert • {place}": "AQI எச்சரிக்கை • {place}",
+  "{label} AQI is {aqi}. {advice}": "{label} AQI {aqi}. {advice}",
+  "Current AQI in {label} is {aqi}": "{label} இல் தற்போதைய AQI {aqi}",
+  "AQI alert: {label} is at {aqi} ({band}), above your threshold of {threshold}.":
+    "AQI எச்சரிக்கை: {label} இல் AQI {aqi} ({band}), உங்கள் வரம்பு {threshold} ஐ விட அதிகம்.",
+  "AQI in {label} is {aqi} ({band}).": "{label} இல் AQI {aqi} ({band}).",
+  "AQI in {label} is now {aqi} ({band}).": "{label} இல் AQI இப்போது {aqi} ({band}).",
+  "Dismiss notification": "அறிவிப்பை மூடு",
+  Elevated: "உயர்ந்த",
+  "Daily exposure limit passed": "தினசரி வெளிப்பாட்டு வரம்பு கடந்தது",
+  "You have breathed about {dose} µg/m³·h of PM2.5 today (≈ {cigarettes} cigarettes), above your {limit} limit.":
+    "இன்று நீங்கள் சுமார் {dose} µg/m³·h PM2.5 சுவாசித்துள்ளீர்கள் (≈ {cigarettes} சிகரெட்டுகள்), இது உங்கள் {limit} வரம்பை விட அதிகம்.",
+
+  // Widget
+  "Loading air quality…": "காற்றின் தரம் ஏற்றப்படுகிறது…",
+  "Set a city, coordinates or station to show its air quality.":
+    "காற்றின் தரத்தைக் காட்ட ஒரு நகரம், ஆயத்தொலைவுகள் அல்லது நிலையத்தை அமைக்கவும்.",
+  "Updated {time}": "{time} அன்று புதுப்பிக்கப்பட்டது",
+  "Open in Atmosense": "Atmosense இல் திற",
+
+  // Bands (US EPA)
+  Good: "நல்லது",
+  "Air quality is good. No precautions needed.": "காற்றின் தரம் நன்றாக உள்ளது. முன்னெச்சரிக்கை தேவையில்லை.",
+  "Stay active outdoors.": "வெளியே சுறுசுறுப்பாக இருங்கள்.",
+  Healthy: "ஆரோக்கியமானது",
+  "Air is clean — stay active": "காற்று சுத்தமாக உள்ளது — சுறுசுறுப்பாக இருங்கள்",
+  Moderate: "மிதமானது",
+  "Moderate air quality. Sensitive groups should take caution.": "மிதமான காற்றின் தரம். உணர்திறன் உள்ளவர்கள் கவனமாக இருக்க வேண்டும்.",
+  "Limit prolonged outdoor activity if you have respiratory issues.": "சுவாசப் பிரச்சினை இருந்தால் நீண்ட நேரம் வெளியே இருப்பதைக் குறையுங்கள்.",
+  "Sensitive groups take light caution": "உணர்திறன் உள்ளவர்கள் சிறிது கவனமாக இருங்கள்",
+  "Unhealthy for sensitive groups": "உணர்திறன் உள்ளவர்களுக்கு ஆரோக்கியமற்றது",
+  "Unhealthy for sensitive groups.": "உணர்திறன் உள்ளவர்களுக்கு ஆரோக்கியமற்றது.",
+  "Reduce outdoor activity. Use mask if needed.": "வெளிச் செயல்பாடுகளைக் குறையுங்கள். தேவைப்பட்டால் முகக்கவசம் அணியுங்கள்.",
+  Caution: "கவனம்",
+  "Sensitive groups reduce outdoor time": "உணர்திறன் உள்ளவர்கள் வெளியே இருக்கும் நேரத்தைக் குறையுங்கள்",
+  Unhealthy: "ஆரோக்கியமற்றது",
+  "Unhealthy.": "ஆரோக்கியமற்றது.",
+  "Avoid outdoor activity. People with health issues should stay indoors.":
+    "வெளிச் செயல்பாடுகளைத் தவிருங்கள். உடல்நலப் பிரச்சினை உள்ளவர்கள் வீட்டிற்குள் இருக்க வேண்டும்.",
+  "Avoid outdoor exertion; use N95": "வெளியே கடும் உழைப்பைத் தவிருங்கள்; N95 அணியுங்கள்",
+  "Very Unhealthy": "மிகவும் ஆரோக்கியமற்றது",
+  "Very Unhealthy.": "மிகவும் ஆரோக்கியமற்றது.",
+  "Stay indoors. Wear N95 masks if you go outside.": "வீட்டிற்குள் இருங்கள். வெளியே சென்றால் N95 முகக்கவசம் அணியுங்கள்.",
+  "Stay indoors; mechanical ventilation": "வீட்டிற்குள் இருங்கள்; இயந்திரக் காற்றோட்டம் பயன்படுத்துங்கள்",
+  Hazardous: "அபாயகரமானது",
+  "Hazardous!": "அபாயகரமானது!",
+  "Avoid all outdoor activity. Keep windows closed.": "அனைத்து வெளிச் செயல்பாடுகளையும் தவிருங்கள். ஜன்னல்களை மூடி வையுங்கள்.",
+  "Shelter indoors; seal windows; use N95": "வீட்டிற்குள் தங்குங்கள்; ஜன்னல்களை அடையுங்கள்; N95 அணியுங்கள்",
+
+  // Bands (India NAQI)
+  "Good air quality with minimal health impact.": "நல்ல காற்றின் தரம், உடல்நலத்தில் குறைந்த தாக்கம்.",
+  "Enjoy outdoor activities.": "வெளிச் செயல்பாடுகளை அனுபவியுங்கள்.",
+  "Minimal impact": "குறைந்த தாக்கம்",
+  Satisfactory: "திருப்திகரமானது",
+  "Satisfactory. Minor breathing discomfort to sensitive people.": "திருப்திகரமானது. உணர்திறன் உள்ளவர்களுக்குச் சிறிய சுவாச அசௌகரியம்.",
+  "Sensitive people should keep reliever medication handy.": "உணர்திறன் உள்ளவர்கள் நிவாரண மருந்தைக் கையில் வைத்திருக்க வேண்டும்.",
+  "Minor discomfort for sensitive people": "உணர்திறன் உள்ளவர்களுக்குச் சிறிய அசௌகரியம்",
+  "Moderate. Breathing discomfort for people with lung or heart disease, children and older adults.":
+    "மிதமானது. நுரையீரல் அல்லது இதய நோயாளிகள், குழந்தைகள் மற்றும் முதியவர்களுக்குச் சுவாச அசௌகரியம்.",
+  "Limit prolonged outdoor exertion. Use mask if needed.": "நீண்ட நேர வெளி உழைப்பைக் குறையுங்கள். தேவைப்பட்டால் முகக்கவசம் அணியுங்கள்.",
+  "Lung and heart patients take caution": "நுரையீரல் மற்றும் இதய நோயாளிகள் கவனமாக இருங்கள்",
+  Poor: "மோசமானது",
+  "Poor. Breathing discomfort to most people on prolonged exposure.": "மோசமானது. நீண்ட நேர வெளிப்பாட்டில் பெரும்பாலானோருக்குச் சுவாச அசௌகரியம்.",
+  "Avoid outdoor activity. Wear N95 outdoors.": "வெளிச் செயல்பாடுகளைத் தவிருங்கள். வெளியே N95 அணியுங்கள்.",
+  "Avoid prolonged exposure; use N95": "நீண்ட நேர வெளிப்பாட்டைத் தவிருங்கள்; N95 அணியுங்கள்",
+  "Very Poor": "மிகவும் மோசமானது",
+  "Very Poor. Respiratory illness on prolonged exposure.": "மிகவும் மோசமானது. நீண்ட நேர வெளிப்பாட்டில் சுவாச நோய்.",
+  "Stay indoors. Run air purifiers and keep windows closed.": "வீட்டிற்குள் இருங்கள். காற்று சுத்திகரிப்பான்களை இயக்கி, ஜன்னல்களை மூடி வையுங்கள்.",
+  "Stay indoors; run purifiers": "வீட்டிற்குள் இருங்கள்; சுத்திகரிப்பான்களை இயக்குங்கள்",
+  Severe: "கடுமையானது",
+  "Severe! Respiratory effects even on healthy people.": "கடுமையானது! ஆரோக்கியமானவர்களுக்கும் சுவாசப் பாதிப்பு.",
+  "Avoid all outdoor activity. Seal windows and use N95 if you must go out.":
+    "அனைத்து வெளிச் செயல்பாடுகளையும் தவிருங்கள். ஜன்னல்களை அடைத்து, வெளியே செல்ல வேண்டியிருந்தால் N95 அணியுங்கள்.",
+
+  // Bands (EU CAQI)
+  "Very low": "மிகக் குறைவு",
+  "Very low pollution. Air quality is excellent.": "மிகக் குறைந்த மாசு. காற்றின் தரம் சிறப்பாக உள்ளது.",
+  "Excellent air — stay active": "சிறந்த காற்று — சுறுசுறுப்பாக இருங்கள்",
+  Low: "குறைவு",
+  "Low pollution. Air quality is fine for everyone.": "குறைந்த மாசு. அனைவருக்கும் காற்று நன்றாக உள்ளது.",
+  "No special precautions needed.": "சிறப்பு முன்னெச்சரிக்கை தேவையில்லை.",
+  "Fine for everyone": "அனைவருக்கும் நல்லது",
+  Medium: "நடுத்தரம்",
+  "Medium pollution. Sensitive groups may notice effects.": "நடுத்தர மாசு. உணர்திறன் உள்ளவர்கள் பாதிப்பை உணரலாம்.",
+  "Sensitive groups should reduce intense outdoor exercise.": "உணர்திறன் உள்ளவர்கள் கடுமையான வெளி உடற்பயிற்சியைக் குறைக்க வேண்டும்.",
+  "Sensitive groups ease off outdoors": "உணர்திறன் உள்ளவர்கள் வெளியே உழைப்பைக் குறையுங்கள்",
+  High: "அதிகம்",
+  "High pollution. Everyone may begin to feel effects.": "அதிக மாசு. அனைவரும் பாதிப்பை உணரத் தொடங்கலாம்.",
+  "Avoid outdoor exertion. Wear N95 on busy roads.": "வெளியே கடும் உழைப்பைத் தவிருங்கள். நெரிசலான சாலைகளில் N95 அணியுங்கள்.",
+  "Very high": "மிக அதிகம்",
+  "Very high pollution. Health warnings for everyone.": "மிக அதிக மாசு. அனைவருக்கும் உடல்நல எச்சரிக்கை.",
+  "Stay indoors. Keep windows closed and run purifiers.": "வீட்டிற்குள் இருங்கள். ஜன்னல்களை மூடி, சுத்திகரிப்பான்களை இயக்குங்கள்.",
+  "Stay indoors; keep windows closed": "வீட்டிற்குள் இருங்கள்; ஜன்னல்களை மூடி வையுங்கள்",
+
+  // Dashboard
+  "Air wellness intelligence": "காற்று நல நுண்ணறிவு",
+  "Live AQI Dashboard": "நேரலை AQI டாஷ்போர்டு",
+  "Keep tabs on {place} in real time.": "{place} ஐ நேரலையில் கண்காணியுங்கள்.",
+  "your area": "உங்கள் பகுதி",
+  "Stay ahead of pollution spikes for {place} with live guidance.":
+    "நேரலை வழிகாட்டுதலுடன் {place} இல் மாசு உயர்வுக்கு முன்பே தயாராகுங்கள்.",
+  "your location": "உங்கள் இருப்பிடம்",
+  "Enter a city or locality": "நகரம் அல்லது பகுதியை உள்ளிடுங்கள்",
+  "Check AQI": "AQI சரிபார்",
+  Share: "பகிர்",
+  "AQI in {place}": "{place} இல் AQI",
+  "Link copied: {url}": "இணைப்பு நகலெடுக்கப்பட்டது: {url}",
+  "Could not copy the link. Share this address instead: {url}":
+    "இணைப்பை நகலெடுக்க முடியவில்லை. பதிலாக இந்த முகவரியைப் பகிருங்கள்: {url}",
+  "Fetching your approximate location. Please allow permissions or enter a city manually.":
+    "உங்கள் தோராயமான இருப்பிடம் பெறப்படுகிறது. அனுமதி அளியுங்கள் அல்லது நகரத்தை நீங்களே உள்ளிடுங்கள்.",
+  "Current location": "தற்போதைய இருப்பிடம்",
+  "Location status": "இருப்பிட நிலை",
+  Notifications: "அறிவிப்புகள்",
+  Connection: "இணைப்பு",
+  Offline: "ஆஃப்லைன்",
+  Off: "அணைந்துள்ளது",
+  "Not asked yet": "இன்னும் கேட்கப்படவில்லை",
+  Enabled: "இயக்கத்தில்",
+  Blocked: "தடுக்கப்பட்டது",
+  "Not supported": "ஆதரிக்கப்படவில்லை",
+  "Pending permission": "அனுமதி நிலுவையில்",
+  "Realtime {standard}": "நேரலை {standard}",
+  "This reading was saved earlier and could not be refreshed":
+    "இந்த அளவீடு முன்பே சேமிக்கப்பட்டது, புதுப்பிக்க முடியவில்லை",
+  "Sources agree": "மூலங்கள் ஒத்துப்போகின்றன",
+  "Sources roughly agree": "மூலங்கள் ஓரளவு ஒத்துப்போகின்றன",
+  "Sources disagree": "மூலங்கள் முரண்படுகின்றன",
+  Blended: "கலவை",
+  "fallback after {providers}": "{providers} க்குப் பிறகு மாற்று",
+  "Guardian status": "பாதுகாப்பு நிலை",
+  "{standard} level": "{standard} நிலை",
+  "Last sync": "கடைசி ஒத்திசைவு",
+  "Awaiting data": "தரவுக்காகக் காத்திருக்கிறது",
+  "Alerts: {state}": "எச்சரிக்கைகள்: {state}",
+  "Δ vs last manual: {delta} AQI": "கடைசி சரிபார்ப்புடன் Δ: {delta} AQI",
+  "Run a manual check to compare": "ஒப்பிட நீங்களே ஒருமுறை சரிபாருங்கள்",
+  "Mode: {mode}": "முறை: {mode}",
+  Manual: "கைமுறை",
+  "Airwatch scope": "கண்காணிப்பு வரம்பு",
+  "GPS tracking": "GPS கண்காணிப்பு",
+  "Map station": "வரைபட நிலையம்",
+  "Setup required": "அமைப்பு தேவை",
+  "Add a city name to start": "தொடங்க ஒரு நகரப் பெயரைச் சேர்க்கவும்",
+  "Ranking data syncing…": "தரவரிசைத் தரவு ஒத்திசைகிறது…",
+  "Live snapshot": "நேரலைச் சுருக்கம்",
+  "Environment overview": "சுற்றுச்சூழல் மேலோட்டம்",
+  "Coordinates refresh automatically every time you move ~50m.":
+    "நீங்கள் ~50 மீ நகரும் ஒவ்வொரு முறையும் ஆயத்தொலைவுகள் தானாகப் புதுப்பிக்கப்படும்.",
+  Location: "இருப்பிடம்",
+  "Status: {status}": "நிலை: {status}",
+  "Health Tracker": "உடல்நலக் கண்காணிப்பு",
+  "Notifications: {state}": "அறிவிப்புகள்: {state}",
+  "Latest reading": "சமீபத்திய அளவீடு",
+  "Manual check • {place}": "கைமுறைச் சரிபார்ப்பு • {place}",
+  "Live auto refresh": "நேரலைத் தானியங்கிப் புதுப்பிப்பு",
+  "Use Check AQI to capture a measurement": "அளவீடு எடுக்க AQI சரிபார் என்பதை அழுத்துங்கள்",
+  "Personal exposure": "தனிப்பட்ட வெளிப்பாடு",
+  "What you breathed today": "இன்று நீங்கள் சுவாசித்தது",
+  "Combines the time you spend at each live location with the PM2.5 there into a cumulative daily dose.":
+    "ஒவ்வொரு நேரலை இருப்பிடத்திலும் நீங்கள் செலவிடும் நேரத்தையும் அங்குள்ள PM2.5 ஐயும் சேர்த்து நாளின் மொத்த அளவைக் கணக்கிடுகிறது.",
+  "Today's dose": "இன்றைய அளவு",
+  "{percent}% of limit": "வரம்பின் {percent}%",
+  "≈ {count} cigarette • {hours} h tracked": "≈ {count} சிகரெட் • {hours} மணி நேரம் கண்காணிப்பு",
+  "≈ {count} cigarettes • {hours} h tracked": "≈ {count} சிகரெட்டுகள் • {hours} மணி நேரம் கண்காணிப்பு",
+  "avg PM2.5 {pm25} µg/m³": "சராசரி PM2.5 {pm25} µg/m³",
+  "Your cumulative dose is above the daily limit. Spend the rest of the day in filtered indoor air if you can.":
+    "உங்கள் மொத்த அளவு தினசரி வரம்பைத் தாண்டியுள்ளது. முடிந்தால் மீதி நாளை வடிகட்டிய காற்றுள்ள உட்புறத்தில் கழியுங்கள்.",
+  "Daily limit": "தினசரி வரம்பு",
+  "Some stations report no PM2.5; their AQI was converted to an estimated concentration.":
+    "சில நிலையங்கள் PM2.5 ஐத் தெரிவிப்பதில்லை; அவற்றின் AQI மதிப்பிடப்பட்ட செறிவாக மாற்றப்பட்டது.",
+  "Day timeline": "நாள் காலவரிசை",
+  "{count} stops": "{count} நிறுத்தங்கள்",
+  "No live fixes yet today": "இன்று இன்னும் நேரலை இருப்பிடம் இல்லை",
+  "Where you were today and the air quality there": "இன்று நீங்கள் இருந்த இடங்களும் அங்குள்ள காற்றின் தரமும்",
+  "Gaps are time without a location fix; each stop counts for at most two hours.":
+    "இடைவெளிகள் இருப்பிடம் கிடைக்காத நேரம்; ஒவ்வொரு நிறுத்தமும் அதிகபட்சம் இரண்டு மணி நேரமே கணக்கிடப்படும்.",
+  "Weekly totals": "வாராந்திர மொத்தம்",
+  "{count} cigarette-equivalents this week": "இந்த வாரம் {count} சிகரெட்டுக்கு இணை",
+  "PM2.5 dose (µg/m³·h)": "PM2.5 அளவு (µg/m³·h)",
+  "PM2.5 dose for the last 7 days; {days} of 7 over the daily limit":
+    "கடந்த 7 நாட்களின் PM2.5 அளவு; 7 இல் {days} நாட்கள் தினசரி வரம்பைத் தாண்டின",
+  "Indoor air": "உட்புறக் காற்று",
+  "Inside vs outside": "உள்ளே vs வெளியே",
+  "Home sensors (PurpleAir, ESP32 + SDS011 over MQTT, or any HTTP POST) tell you whether opening the windows helps. Add them under Settings.":
+    "வீட்டு சென்சார்கள் (PurpleAir, MQTT வழியாக ESP32 + SDS011, அல்லது எந்த HTTP POST உம்) ஜன்னல்களைத் திறப்பது உதவுமா என்று சொல்லும். அவற்றை அமைப்புகளில் சேர்க்கவும்.",
+  "Indoor vs outdoor PM2.5": "உட்புறம் vs வெளிப்புறம் PM2.5",
+  Indoor: "உட்புறம்",
+  Outdoor: "வெளிப்புறம்",
+  "{count} live sensor": "{count} நேரலை சென்சார்",
+  "{count} live sensors": "{count} நேரலை சென்சார்கள்",
+  "No live sensor": "நேரலை சென்சார் இல்லை",
+  "Estimated from AQI": "AQI இலிருந்து மதிப்பிடப்பட்டது",
+  "Check AQI first": "முதலில் AQI ஐச் சரிபாருங்கள்",
+  "Offline • last seen": "ஆஃப்லைன் • கடைசியாக",
+  "{sensor} PM2.5 over the last 24 hours": "கடந்த 24 மணி நேரத்தில் {sensor} PM2.5",
+  "Health forecasting": "உடல்நல முன்னறிவிப்பு",
+  "Deep analytics": "ஆழமான பகுப்பாய்வு",
+  "Risk bars and disease guidance mirror the latest AQI; trend lines and the outlook live under History.":
+    "ஆபத்துப் பட்டைகளும் நோய் வழிகாட்டுதலும் சமீபத்திய AQI ஐப் பின்பற்றுகின்றன; போக்குகளும் முன்னறிவிப்பும் வரலாற்றில் உள்ளன.",
+  "Dominant {pollutant}": "முதன்மை {pollutant}",
+  "ML-based health risk prediction": "ML அடிப்படையிலான உடல்நல அபாயக் கணிப்பு",
+  "Heuristic model scaled to current AQI and your profile":
+    "தற்போதைய AQI மற்றும் உங்கள் சுயவிவரத்துக்கு ஏற்ற அனுமான மாதிரி",
+  "Heuristic model scaled to current AQI": "தற்போதைய AQI க்கு ஏற்ற அனுமான மாதிரி",
+  "Pollutant sub-indices": "மாசுபடுத்திகளின் துணைக் குறியீடுகள்",
+  "{standard} breakpoints": "{standard} வரம்புப் புள்ளிகள்",
+  "{standard} sub-index": "{standard} துணைக் குறியீடு",
+  "{standard} sub-indices: {values}": "{standard} துணைக் குறியீடுகள்: {values}",
+  "Health risk when AQI is high": "AQI அதிகமாக இருக்கும்போது உடல்நல அபாயம்",
+  "Auto-adjusts based on current AQI": "தற்போதைய AQI க்கு ஏற்பத் தானாக மாறும்",
+  "Diseases & prevention": "நோய்களும் தடுப்பும்",
+  "Readiness checklist": "தயார்நிலைப் பட்டியல்",
+  "Adaptive guidance for your current AQI": "உங்கள் தற்போதைய AQI க்கு ஏற்ற வழிகாட்டுதல்",
+  // Location, search and indoor advice
+  Idle: "செயலற்றது",
+  Live: "நேரலை",
+  "Live (network)": "நேரலை (நெட்வொர்க்)",
+  "Approximate via network": "நெட்வொர்க் மூலம் தோராயமாக",
+  "City lookup": "நகரத் தேடல்",
+  "Station lookup": "நிலையத் தேடல்",
+  "Resolving network location…": "நெட்வொர்க் இருப்பிடம் கண்டறியப்படுகிறது…",
+  "Enter a city to start": "தொடங்க ஒரு நகரத்தை உள்ளிடுங்கள்",
+  "Geolocation not supported": "புவி இருப்பிடம் ஆதரிக்கப்படவில்லை",
+  "Locating…": "இருப்பிடம் கண்டறியப்படுகிறது…",
+  "Use HTTPS or localhost for live location": "நேரலை இருப்பிடத்துக்கு HTTPS அல்லது localhost பயன்படுத்துங்கள்",
+  "Permission denied — allow location access": "அனுமதி மறுக்கப்பட்டது — இருப்பிட அணுகலை அனுமதியுங்கள்",
+  "Position unavailable": "இருப்பிடம் கிடைக்கவில்லை",
+  "Location timed out": "இருப்பிட நேரம் முடிந்தது",
+  "Unable to get location": "இருப்பிடத்தைப் பெற முடியவில்லை",
+  "Awaiting live location…": "நேரலை இருப்பிடத்துக்காகக் காத்திருக்கிறது…",
+  "Recent searches": "சமீபத்திய தேடல்கள்",
+  Cities: "நகரங்கள்",
+  Stations: "நிலையங்கள்",
+  Places: "இடங்கள்",
+  "Searching…": "தேடுகிறது…",
+  "No matches": "பொருத்தம் இல்லை",
+  "Suggestions are unavailable right now.": "பரிந்துரைகள் இப்போது கிடைக்கவில்லை.",
+  "Waiting for readings": "அளவீடுகளுக்காகக் காத்திருக்கிறது",
+  "No live indoor sensor reading yet.": "இன்னும் உட்புற சென்சாரின் நேரலை அளவீடு இல்லை.",
+  "Check the outdoor AQI to compare.": "ஒப்பிட வெளிப்புற AQI ஐச் சரிபாருங்கள்.",
+  "Run the air purifier until indoor PM2.5 drops.": "உட்புற PM2.5 குறையும் வரை காற்று சுத்திகரிப்பானை இயக்குங்கள்.",
+  "Keep windows shut": "ஜன்னல்களை மூடியே வையுங்கள்",
+  "Outdoor PM2.5 is {outdoor} µg/m³ against {indoor} indoors.": "வெளியே PM2.5 {outdoor} µg/m³, உள்ளே {indoor}.",
+  "Ventilate now": "இப்போது காற்றோட்டம் விடுங்கள்",
+  "Outdoor air is cleaner ({outdoor} vs {indoor} µg/m³). Open windows for 10–15 minutes.":
+    "வெளிக் காற்று சுத்தமாக உள்ளது ({outdoor} vs {indoor} µg/m³). 10–15 நிமிடங்கள் ஜன்னல்களைத் திறங்கள்.",
+  "Indoor and outdoor are similar": "உள்ளேயும் வெளியேயும் ஏறக்குறைய ஒன்றே",
+  "Both are around {indoor} µg/m³; a short airing for fresh air will not change much.":
+    "இரண்டும் சுமார் {indoor} µg/m³; புதிய காற்றுக்காகச் சிறிது நேரம் திறப்பது பெரிய மாற்றம் தராது.",
+  "WHO 2021 guideline (15 µg/m³ daily mean)": "WHO 2021 வழிகாட்டுதல் (15 µg/m³ தினசரி சராசரி)",
+  "Sensitive groups (half of WHO)": "உணர்திறன் கொண்டவர்கள் (WHO இன் பாதி)",
+  "India NAAQS (60 µg/m³ daily mean)": "இந்திய NAAQS (60 µg/m³ தினசரி சராசரி)",
+  // Map and commute planner
+  "Station map": "நிலைய வரைபடம்",
+  "Air quality around you": "உங்களைச் சுற்றியுள்ள காற்றின் தரம்",
+  "Pick a station to load its reading on the dashboard.":
+    "டாஷ்போர்டில் அளவீட்டைக் காண ஒரு நிலையத்தைத் தேர்ந்தெடுங்கள்.",
+  "Commute planner": "பயணத் திட்டமிடல்",
+  "Cleaner ways to get there": "அங்கு செல்லச் சுத்தமான வழிகள்",
+  "Compares alternative routes by the PM2.5 you would inhale along them and suggests when to leave. Routes are drawn on the map above.":
+    "மாற்று வழிகளில் நீங்கள் சுவாசிக்கும் PM2.5 ஐக் கொண்டு அவற்றை ஒப்பிட்டு, எப்போது புறப்படலாம் என்று பரிந்துரைக்கிறது. வழிகள் மேலே உள்ள வரைபடத்தில் வரையப்படும்.",
+  "From (place or lat, lng)": "எங்கிருந்து (இடம் அல்லது lat, lng)",
+  "To (place or lat, lng)": "எங்கு வரை (இடம் அல்லது lat, lng)",
+  Origin: "புறப்படும் இடம்",
+  Destination: "சேருமிடம்",
+  "Travel mode": "பயண முறை",
+  Walk: "நடை",
+  Cycle: "சைக்கிள்",
+  Car: "கார்",
+  "From my location": "என் இருப்பிடத்திலிருந்து",
+  "Planning…": "திட்டமிடுகிறது…",
+  "Compare routes": "வழிகளை ஒப்பிடு",
+  "Could not plan this commute. Try again.": "இந்தப் பயணத்தைத் திட்டமிட முடியவில்லை. மீண்டும் முயலுங்கள்.",
+  "Live location is not available yet.": "நேரலை இருப்பிடம் இன்னும் கிடைக்கவில்லை.",
+  "{count} station sampled": "{count} நிலையம் மாதிரி எடுக்கப்பட்டது",
+  "{count} stations sampled": "{count} நிலையங்கள் மாதிரி எடுக்கப்பட்டன",
+  "Lowest exposure": "குறைந்த வெளிப்பாடு",
+  "µg PM2.5 inhaled": "µg PM2.5 சுவாசிக்கப்படும்",
+  "{distance} km • {minutes} min • avg AQI {average} • peak {peak}":
+    "{distance} கி.மீ • {minutes} நிமி • சராசரி AQI {average} • உச்சம் {peak}",
+  "n/a": "இல்லை",
+  "{coverage}% of the route has a station within range; the rest uses the route average.":
+    "வழியின் {coverage}% பகுதிக்கு அருகில் நிலையம் உள்ளது; மீதிக்கு வழியின் சராசரி பயன்படுத்தப்படுகிறது.",
+  "Best times to leave": "புறப்படச் சிறந்த நேரங்கள்",
+  "Forecast levels shaped by the usual hour-by-hour pattern":
+    "வழக்கமான மணிநேர முறைக்கு ஏற்ப வடிவமைத்த முன்னறிவிப்பு நிலைகள்",
+  "Check AQI first so the planner has a current level or forecast to work from.":
+    "திட்டமிடலுக்குத் தற்போதைய நிலை அல்லது முன்னறிவிப்பு கிடைக்க முதலில் AQI ஐச் சரிபாருங்கள்.",
+  "expected AQI ~{aqi}": "எதிர்பார்க்கப்படும் AQI ~{aqi}",
+  "Loading stations…": "நிலையங்கள் ஏற்றப்படுகின்றன…",
+  "Move the map to load stations": "நிலையங்களை ஏற்ற வரைபடத்தை நகர்த்துங்கள்",
+  "{count} station in view": "{count} நிலையம் தெரிகிறது",
+  "{count} stations in view": "{count} நிலையங்கள் தெரிகின்றன",
+  "Stations could not be loaded.": "நிலையங்களை ஏற்ற முடியவில்லை.",
+  "Base map": "அடிப்படை வரைபடம்",
+  "Add VITE_GOOGLE_MAPS_API_KEY to enable Google Maps": "Google Maps ஐ இயக்க VITE_GOOGLE_MAPS_API_KEY ஐச் சேர்க்கவும்",
+  "Your location": "உங்கள் இருப்பிடம்",
+  "no nearby station": "அருகில் நிலையம் இல்லை",
+  "AQI colour scale": "AQI வண்ண அளவுகோல்",
+  "No data": "தரவு இல்லை",
+  "Click a station to load it into the dashboard.": "டாஷ்போர்டில் ஏற்ற ஒரு நிலையத்தைக் கிளிக் செய்யுங்கள்.",
+  "Click a route to select it; its colour follows the AQI along each stretch.":
+    "ஒரு வழியைத் தேர்ந்தெடுக்க அதைக் கிளிக் செய்யுங்கள்; அதன் வண்ணம் ஒவ்வொரு பகுதியின் AQI ஐப் பின்பற்றும்.",
+  // Alerts and automation
+  "Proactive monitoring": "முன்கூட்டிய கண்காணிப்பு",
+  "Automation & alerts": "தானியக்கம் & எச்சரிக்கைகள்",
+  "Tune refresh cadence, custom alerts, and review recent spikes without touching the map.":
+    "வரைபடத்தைத் தொடாமலே புதுப்பிப்பு இடைவெளி, தனிப்பயன் எச்சரிக்கைகளை அமைத்து, சமீபத்திய உயர்வுகளைப் பாருங்கள்.",
+  "Alert threshold": "எச்சரிக்கை வரம்பு",
+  "We notify you the moment AQI exceeds your personal limit. Lower it for sensitive groups.":
+    "AQI உங்கள் தனிப்பட்ட வரம்பைத் தாண்டியவுடன் அறிவிப்போம். உணர்திறன் உள்ளவர்களுக்கு இதைக் குறையுங்கள்.",
+  "Alert fires at ≥ {threshold} AQI.": "≥ {threshold} AQI இல் எச்சரிக்கை வரும்.",
+  "Alert thresholds stay on the WAQI US AQI scale.": "எச்சரிக்கை வரம்புகள் WAQI US AQI அளவுகோலிலேயே இருக்கும்.",
+  "Use profile suggestion ({threshold} AQI)": "சுயவிவரப் பரிந்துரையைப் பயன்படுத்து ({threshold} AQI)",
+  "Auto refresh": "தானியங்கு புதுப்பிப்பு",
+  "Auto-refresh": "தானியங்கு புதுப்பிப்பு",
+  "Automatically capture AQI snapshots from your live location even when you forget.":
+    "நீங்கள் மறந்தாலும் உங்கள் நேரலை இருப்பிடத்திலிருந்து AQI ஐத் தானாகப் பதிவுசெய்யும்.",
+  "Refresh cadence": "புதுப்பிப்பு இடைவெளி",
+  "Manual only": "கைமுறை மட்டும்",
+  "Every {minutes} min": "ஒவ்வொரு {minutes} நிமிடமும்",
+  "Next auto refresh: {time}": "அடுத்த தானியங்கு புதுப்பிப்பு: {time}",
+  "Background alerts": "பின்னணி எச்சரிக்கைகள்",
+  "A scheduled worker checks your watchlist every 15 minutes and alerts you even when this tab is closed.":
+    "திட்டமிடப்பட்ட பணியாளர் ஒவ்வொரு 15 நிமிடமும் உங்கள் கண்காணிப்புப் பட்டியலைச் சரிபார்த்து, இந்தத் தாவல் மூடியிருந்தாலும் எச்சரிக்கும்.",
+  "Push to this device": "இந்தச் சாதனத்துக்குப் புஷ்",
+  "Install the app in a browser with Web Push support to get alerts here.":
+    "இங்கு எச்சரிக்கைகளைப் பெற Web Push ஆதரவுள்ள உலாவியில் செயலியை நிறுவுங்கள்.",
+  "Could not update push alerts.": "புஷ் எச்சரிக்கைகளைப் புதுப்பிக்க முடியவில்லை.",
+  Email: "மின்னஞ்சல்",
+  "Alerts go to {email}, the address on your account.":
+    "எச்சரிக்கைகள் உங்கள் கணக்கின் முகவரியான {email} க்குச் செல்லும்.",
+  "Sign in with Google or an email link in Settings to get email alerts.":
+    "மின்னஞ்சல் எச்சரிக்கைகளைப் பெற அமைப்புகளில் Google அல்லது மின்னஞ்சல் இணைப்பு மூலம் உள்நுழையுங்கள்.",
+  "Webhook (Slack, Teams, custom)": "வெப்ஹூக் (Slack, Teams, தனிப்பயன்)",
+  "Webhook URLs must start with https://": "வெப்ஹூக் URL https:// உடன் தொடங்க வேண்டும்",
+  "Background alert channels saved": "பின்னணி எச்சரிக்கை வழிகள் சேமிக்கப்பட்டன",
+  "Could not save alert channels. Try again.": "எச்சரிக்கை வழிகளைச் சேமிக்க முடியவில்லை. மீண்டும் முயலுங்கள்.",
+  "Alert log": "எச்சரிக்கைப் பதிவு",
+  Show: "காட்டு",
+  "All alerts": "அனைத்து எச்சரிக்கைகளும்",
+  "No alerts yet": "இன்னும் எச்சரிக்கைகள் இல்லை",
+  "Show older alerts": "பழைய எச்சரிக்கைகளைக் காட்டு",
+  "threshold {threshold}": "வரம்பு {threshold}",
+  Watchlist: "கண்காணிப்புப் பட்டியல்",
+  "Places you follow": "நீங்கள் பின்தொடரும் இடங்கள்",
+  "Add home, office or school to track them side by side.":
+    "வீடு, அலுவலகம் அல்லது பள்ளியைச் சேர்த்து அருகருகே கண்காணியுங்கள்.",
+  "Refresh watchlist": "கண்காணிப்புப் பட்டியலைப் புதுப்பி",
+  "Name (Home, Office…)": "பெயர் (வீடு, அலுவலகம்…)",
+  "City or lat, lng": "நகரம் அல்லது lat, lng",
+  "Alert at": "எச்சரிக்கை அளவு",
+  "Add place": "இடம் சேர்",
+  "Use my location": "என் இருப்பிடத்தைப் பயன்படுத்து",
+  "You can watch up to {count} places.": "அதிகபட்சம் {count} இடங்களைக் கண்காணிக்கலாம்.",
+  "Enter a city name or coordinates like 28.61, 77.20.":
+    "நகரப் பெயர் அல்லது 28.61, 77.20 போன்ற ஆயத்தொலைவுகளை உள்ளிடுங்கள்.",
+  "Loading tracked cities…": "கண்காணிக்கும் நகரங்கள் ஏற்றப்படுகின்றன…",
+  "Each place keeps its own alert threshold and refreshes with the auto-refresh cadence.":
+    "ஒவ்வொரு இடத்துக்கும் தனி எச்சரிக்கை வரம்பு உண்டு; தானியங்கு புதுப்பிப்பு இடைவெளியில் புதுப்பிக்கப்படும்.",
+  "Awaiting first reading": "முதல் அளவீட்டுக்காகக் காத்திருக்கிறது",
+  "Alert at ≥ {threshold} AQI": "≥ {threshold} AQI இல் எச்சரிக்கை",
+  Remove: "நீக்கு",
+  "Remove {name}": "{name} ஐ நீக்கு",
+  "Above threshold": "வரம்புக்கு மேல்",
+  "Below threshold": "வரம்புக்குக் கீழ்",
+  Running: "இயங்குகிறது",
+  on: "இயக்கத்தில்",
+  off: "அணைப்பில்",
+  On: "இயக்கத்தில்",
+  "Working…": "செயல்படுகிறது…",
+  "Turn off": "அணை",
+  "Turn on": "இயக்கு",
+  "Saving…": "சேமிக்கிறது…",
+  "Save channels": "வழிகளைச் சேமி",
+  "Loading alerts…": "எச்சரிக்கைகள் ஏற்றப்படுகின்றன…",
+  "Threshold alerts will appear here.": "வரம்பு எச்சரிக்கைகள் இங்கே தோன்றும்.",
+  // History and reports
+  "History & outlook": "வரலாறு & முன்னோக்கு",
+  "Look back, look ahead": "பின்னோக்கி, முன்னோக்கி",
+  "Trend lines come from stored readings; the outlook uses the station forecast or a local model.":
+    "போக்குக் கோடுகள் சேமித்த அளவீடுகளிலிருந்து வருகின்றன; முன்னோக்கு நிலைய முன்னறிவிப்பு அல்லது உள்ளூர் மாதிரியைப் பயன்படுத்துகிறது.",
+  "Recent AQI readings": "சமீபத்திய AQI அளவீடுகள்",
+  "Loading readings…": "அளவீடுகள் ஏற்றப்படுகின்றன…",
+  "No manual checks yet. Use “Check AQI” to capture one.":
+    "இன்னும் கைமுறைச் சரிபார்ப்புகள் இல்லை. ஒன்றைப் பதிவுசெய்ய “Check AQI” ஐப் பயன்படுத்துங்கள்.",
+  "just now": "இப்போதுதான்",
+  "Show older readings": "பழைய அளவீடுகளைக் காட்டு",
+  "AQI trend": "AQI போக்கு",
+  "Daily min / avg / max over 7 days": "7 நாட்களின் தினசரி குறைந்தபட்சம் / சராசரி / அதிகபட்சம்",
+  "Hourly min / avg / max over 24 hours": "24 மணிநேரத்தின் மணிநேரக் குறைந்தபட்சம் / சராசரி / அதிகபட்சம்",
+  "From stored readings": "சேமித்த அளவீடுகளிலிருந்து",
+  Daily: "தினசரி",
+  Hourly: "மணிநேர",
+  "Loading stored readings…": "சேமித்த அளவீடுகள் ஏற்றப்படுகின்றன…",
+  "No stored readings for {place} in this window yet.":
+    "இந்தக் காலத்தில் {place} க்கு சேமித்த அளவீடுகள் இன்னும் இல்லை.",
+  "this location": "இந்த இடம்",
+  "No data:": "தரவு இல்லை:",
+  Max: "அதிகபட்சம்",
+  Avg: "சராசரி",
+  Min: "குறைந்தபட்சம்",
+  "Shaded: at or above your {threshold} AQI threshold": "நிழலிட்டவை: உங்கள் {threshold} AQI வரம்பு அல்லது அதற்கு மேல்",
+  "AQI outlook": "AQI முன்னோக்கு",
+  "Daily forecast from the station, or a local model trained on stored readings":
+    "நிலையத்தின் தினசரி முன்னறிவிப்பு, அல்லது சேமித்த அளவீடுகளில் பயிற்சி பெற்ற உள்ளூர் மாதிரி",
+  "Source: {sources}": "மூலம்: {sources}",
+  "{count} day(s) ≥ {threshold}": "{count} நாள் ≥ {threshold}",
+  "WAQI forecast": "WAQI முன்னறிவிப்பு",
+  "Open-Meteo forecast": "Open-Meteo முன்னறிவிப்பு",
+  "Local model": "உள்ளூர் மாதிரி",
+  "Building forecast…": "முன்னறிவிப்பு உருவாகிறது…",
+  "No published forecast for this station and not enough stored readings to model one yet.":
+    "இந்த நிலையத்துக்கு வெளியிட்ட முன்னறிவிப்பு இல்லை; மாதிரியை உருவாக்கப் போதுமான சேமித்த அளவீடுகளும் இன்னும் இல்லை.",
+  "Published forecast": "வெளியிட்ட முன்னறிவிப்பு",
+  "Expected AQI": "எதிர்பார்க்கப்படும் AQI",
+  "Recorded AQI": "பதிவான AQI",
+  Range: "வரம்பு",
+  "Range low": "வரம்பின் கீழ் அளவு",
+  "Range {min}–{max}": "வரம்பு {min}–{max}",
+  "Reports & export": "அறிக்கைகள் & ஏற்றுமதி",
+  "Take your data with you": "உங்கள் தரவை எடுத்துச் செல்லுங்கள்",
+  "Download stored readings and alerts, or print a health report for your doctor or employer.":
+    "சேமித்த அளவீடுகளையும் எச்சரிக்கைகளையும் பதிவிறக்குங்கள், அல்லது உங்கள் மருத்துவர் அல்லது பணியளிப்பவருக்காகச் சுகாதார அறிக்கையை அச்சிடுங்கள்.",
+  From: "இருந்து",
+  To: "வரை",
+  "All locations": "அனைத்து இடங்களும்",
+  "Readings CSV": "அளவீடுகள் CSV",
+  "Readings JSON": "அளவீடுகள் JSON",
+  "Alerts CSV": "எச்சரிக்கைகள் CSV",
+  "Alerts JSON": "எச்சரிக்கைகள் JSON",
+  "Health report (PDF)": "சுகாதார அறிக்கை (PDF)",
+  "Preparing your report…": "உங்கள் அறிக்கை தயாராகிறது…",
+  "The report opens your browser's print dialog; choose \"Save as PDF\" to keep a copy.":
+    "அறிக்கை உங்கள் உலாவியின் அச்சு உரையாடலைத் திறக்கும்; நகலை வைத்திருக்க \"Save as PDF\" ஐத் தேர்ந்தெடுங்கள்.",
+  "The start date must be on or before the end date.":
+    "தொடக்கத் தேதி முடிவுத் தேதிக்கு முன்போ அதே நாளிலோ இருக்க வேண்டும்.",
+  "Exported {count} readings": "{count} அளவீடுகள் ஏற்றுமதி செய்யப்பட்டன",
+  "Exported {count} alerts": "{count} எச்சரிக்கைகள் ஏற்றுமதி செய்யப்பட்டன",
+  "Could not export readings. Try again.": "அளவீடுகளை ஏற்றுமதி செய்ய முடியவில்லை. மீண்டும் முயலுங்கள்.",
+  "Could not export alerts. Try again.": "எச்சரிக்கைகளை ஏற்றுமதி செய்ய முடியவில்லை. மீண்டும் முயலுங்கள்.",
+  "Allow pop-ups for this site to open the report.":
+    "அறிக்கையைத் திறக்க இந்தத் தளத்துக்குப் பாப்-அப்களை அனுமதியுங்கள்.",
+  "Report opened in a new tab": "அறிக்கை புதிய தாவலில் திறக்கப்பட்டது",
+  "Could not build the health report. Try again.": "சுகாதார அறிக்கையை உருவாக்க முடியவில்லை. மீண்டும் முயலுங்கள்.",
+  // Rankings
+  Leaderboard: "தரவரிசைப் பலகை",
+  "City rankings": "நகரத் தரவரிசை",
+  "City-wise AQI ranking": "நகர வாரியான AQI தரவரிசை",
+  "Compare a list of cities, a regional preset or every station in a country.":
+    "நகரங்களின் பட்டியல், ஒரு பிராந்தியத் தொகுப்பு அல்லது ஒரு நாட்டின் எல்லா நிலையங்களையும் ஒப்பிடுங்கள்.",
+  "Refreshing...": "புதுப்பிக்கிறது...",
+  Refresh: "புதுப்பி",
+  "Ranking scope": "தரவரிசை வரம்பு",
+  "Chosen cities": "தேர்ந்தெடுத்த நகரங்கள்",
+  "Custom list": "தனிப்பயன் பட்டியல்",
+  "All stations in a country": "ஒரு நாட்டின் அனைத்து நிலையங்களும்",
+  "Region preset": "பிராந்தியத் தொகுப்பு",
+  "Indian metros": "இந்தியப் பெருநகரங்கள்",
+  "Indian state capitals": "இந்திய மாநிலத் தலைநகரங்கள்",
+  "World capitals": "உலகத் தலைநகரங்கள்",
+  Country: "நாடு",
+  India: "இந்தியா",
+  Bangladesh: "வங்காளதேசம்",
+  Pakistan: "பாகிஸ்தான்",
+  China: "சீனா",
+  "United Kingdom": "ஐக்கிய இராச்சியம்",
+  Germany: "ஜெர்மனி",
+  "United States (contiguous)": "அமெரிக்கா (தொடர் நிலப்பகுதி)",
+  Australia: "ஆஸ்திரேலியா",
+  "Sort rankings by": "தரவரிசையை இதன்படி வரிசைப்படுத்து",
+  "Sort by {field}": "{field} படி வரிசைப்படுத்து",
+  "Dominant pollutant": "முதன்மை மாசுபடுத்தி",
+  "Add a city": "நகரத்தைச் சேர்",
+  Add: "சேர்",
+  "No ranking data yet. Try refreshing.": "இன்னும் தரவரிசைத் தரவு இல்லை. புதுப்பித்துப் பாருங்கள்.",
+  "{place} AQI over the last 7 days": "கடந்த 7 நாட்களில் {place} இன் AQI",
+  Previous: "முந்தையது",
+  Next: "அடுத்தது",
+  "Page {page} of {count}": "பக்கம் {page} / {count}",
+  "Lower AQI indicates cleaner air • Powered by WAQI live feed":
+    "குறைந்த AQI என்றால் சுத்தமான காற்று • WAQI நேரலைத் தரவு மூலம்",
+  // Settings, profile and sensors
+  "Account & health profile": "கணக்கு & சுகாதாரச் சுயவிவரம்",
+  Account: "கணக்கு",
+  "Guest session": "விருந்தினர் அமர்வு",
+  "Signed in": "உள்நுழைந்துள்ளீர்கள்",
+  "Signed out": "வெளியேறினீர்கள்",
+  "Continue with Google": "Google மூலம் தொடரவும்",
+  "Signed in with Google": "Google மூலம் உள்நுழைந்தீர்கள்",
+  "Email me a link": "எனக்கு இணைப்பை மின்னஞ்சல் செய்",
+  "Enter your email address.": "உங்கள் மின்னஞ்சல் முகவரியை உள்ளிடுங்கள்.",
+  "Sign-in link sent to {email}": "உள்நுழைவு இணைப்பு {email} க்கு அனுப்பப்பட்டது",
+  "Sign out": "வெளியேறு",
+  "Authentication failed.": "அங்கீகாரம் தோல்வியடைந்தது.",
+  "moved {count} guest records": "{count} விருந்தினர் பதிவுகள் நகர்த்தப்பட்டன",
+  "Your profile": "உங்கள் சுயவிவரம்",
+  "Personalize your guidance": "உங்கள் வழிகாட்டலைத் தனிப்பயனாக்குங்கள்",
+  "Risk predictions, prevention tips, checklist tiers and the suggested alert threshold adapt to you.":
+    "ஆபத்துக் கணிப்புகள், தடுப்புக் குறிப்புகள், சரிபார்ப்புப் பட்டியல் நிலைகள், பரிந்துரைக்கப்பட்ட எச்சரிக்கை வரம்பு ஆகியவை உங்களுக்கு ஏற்ப மாறும்.",
+  "No profile yet": "இன்னும் சுயவிவரம் இல்லை",
+  "Age band": "வயதுப் பிரிவு",
+  "Child (under 12)": "குழந்தை (12 க்குக் கீழ்)",
+  "Teen (12–17)": "பதின்வயதினர் (12–17)",
+  "Adult (18–64)": "வயது வந்தவர் (18–64)",
+  "Senior (65+)": "முதியவர் (65+)",
+  "Activity level": "செயல்பாட்டு நிலை",
+  "Mostly indoors": "பெரும்பாலும் உட்புறம்",
+  "Regular outdoor activity": "வழக்கமான வெளிப்புறச் செயல்பாடு",
+  "Outdoor worker / athlete": "வெளிப்புறப் பணியாளர் / விளையாட்டு வீரர்",
+  Conditions: "உடல்நிலைகள்",
+  Asthma: "ஆஸ்துமா",
+  "COPD / chronic bronchitis": "COPD / நாள்பட்ட மூச்சுக்குழாய் அழற்சி",
+  "Heart disease / hypertension": "இதய நோய் / உயர் இரத்த அழுத்தம்",
+  Diabetes: "நீரிழிவு",
+  Pregnancy: "கர்ப்பம்",
+  "Allergies / rhinitis": "ஒவ்வாமை / மூக்கழற்சி",
+  "I use an inhaler or daily respiratory / cardiac medication":
+    "நான் இன்ஹேலர் அல்லது தினசரி சுவாச / இதய மருந்து பயன்படுத்துகிறேன்",
+  "Suggested alert threshold: {threshold} AQI": "பரிந்துரைக்கப்பட்ட எச்சரிக்கை வரம்பு: {threshold} AQI",
+  "Save profile": "சுயவிவரத்தைச் சேமி",
+  "Profile saved": "சுயவிவரம் சேமிக்கப்பட்டது",
+  "Could not save your profile. Try again.": "உங்கள் சுயவிவரத்தைச் சேமிக்க முடியவில்லை. மீண்டும் முயலுங்கள்.",
+  "Colours & contrast": "வண்ணங்கள் & மாறுபாடு",
+  Palette: "வண்ணத் தொகுப்பு",
+  Standard: "நிலையான",
+  "Colour-blind safe": "நிறக்குருடு பாதுகாப்பானது",
+  "High contrast": "அதிக மாறுபாடு",
+  "Severity colours on the dashboard, map and charts. The colour-blind safe and high-contrast palettes also hatch worse levels, and every level is named in text.":
+    "டாஷ்போர்டு, வரைபடம், விளக்கப்படங்களில் தீவிர வண்ணங்கள். நிறக்குருடு பாதுகாப்பான மற்றும் அதிக மாறுபாடு தொகுப்புகள் மோசமான நிலைகளுக்குக் கோடுகளும் இடுகின்றன; ஒவ்வொரு நிலையும் உரையில் பெயரிடப்படுகிறது.",
+  "Fallback uses the first source with a reading; blending asks every source and shows the median with how well they agree.":
+    "மாற்று முறை அளவீடு உள்ள முதல் மூலத்தைப் பயன்படுத்தும்; கலத்தல் எல்லா மூலங்களிடமும் கேட்டு, அவை எவ்வளவு ஒத்துப்போகின்றன என்பதுடன் இடைநிலையைக் காட்டும்.",
+  "Data & devices": "தரவு & சாதனங்கள்",
+  "Sources and sensors": "மூலங்கள் மற்றும் உணரிகள்",
+  "Choose the index standard and AQI sources, and register indoor sensors.":
+    "குறியீட்டுத் தரநிலையையும் AQI மூலங்களையும் தேர்ந்தெடுத்து, உட்புற உணரிகளைப் பதிவுசெய்யுங்கள்.",
+  "Air quality standard": "காற்றுத் தரத் தரநிலை",
+  "Index standard": "குறியீட்டுத் தரநிலை",
+  "Sub-indices, colours, advice and checklist tiers follow the selected national scale.":
+    "துணைக் குறியீடுகள், வண்ணங்கள், ஆலோசனை, சரிபார்ப்புப் பட்டியல் நிலைகள் தேர்ந்தெடுத்த தேசிய அளவுகோலைப் பின்பற்றும்.",
+  "Data sources": "தரவு மூலங்கள்",
+  Mode: "முறை",
+  "Priority with fallback": "முன்னுரிமை, மாற்றுடன்",
+  "Blend all sources": "அனைத்து மூலங்களையும் கலக்கவும்",
+  "Move {source} up": "{source} ஐ மேலே நகர்த்து",
+  "Move {source} down": "{source} ஐ கீழே நகர்த்து",
+  "Map stations and city rankings always come from WAQI.":
+    "வரைபட நிலையங்களும் நகரத் தரவரிசையும் எப்போதும் WAQI இலிருந்து வருகின்றன.",
+  "Your sensors": "உங்கள் உணரிகள்",
+  "Each device gets its own key": "ஒவ்வொரு சாதனத்துக்கும் தனி விசை",
+  "Sensor name": "உணரியின் பெயர்",
+  "Room (optional)": "அறை (விருப்பம்)",
+  "Adding…": "சேர்க்கிறது…",
+  "Add sensor": "உணரியைச் சேர்",
+  "Give the sensor a name.": "உணரிக்கு ஒரு பெயர் கொடுங்கள்.",
+  "Sign-in is still starting; sensors can be added in a moment.":
+    "உள்நுழைவு இன்னும் தொடங்குகிறது; சிறிது நேரத்தில் உணரிகளைச் சேர்க்கலாம்.",
+  "{sensor} added": "{sensor} சேர்க்கப்பட்டது",
+  "Could not add the sensor. Try again.": "உணரியைச் சேர்க்க முடியவில்லை. மீண்டும் முயலுங்கள்.",
+  "Could not remove the sensor. Try again.": "உணரியை நீக்க முடியவில்லை. மீண்டும் முயலுங்கள்.",
+  "Device key (shown once, copy it now)": "சாதன விசை (ஒருமுறை மட்டுமே காட்டப்படும், இப்போதே நகலெடுங்கள்)",
+  "POST readings to": "அளவீடுகளை இங்கு POST செய்யுங்கள்",
+  "Send the key in an X-Sensor-Key header, or add &key=… for firmware without headers.":
+    "விசையை X-Sensor-Key தலைப்பில் அனுப்புங்கள், அல்லது தலைப்புகள் இல்லாத ஃபர்ம்வேருக்கு &key=… சேர்க்கவும்.",
+  "Set VITE_SENSOR_INGEST_URL to show the HTTP endpoint for this device.":
+    "இந்தச் சாதனத்தின் HTTP முனையத்தைக் காட்ட VITE_SENSOR_INGEST_URL ஐ அமையுங்கள்.",
+  "MQTT devices publish to": "MQTT சாதனங்கள் இங்கு வெளியிடுகின்றன",
+  "with the key in a \"key\" field.": "விசையை \"key\" புலத்தில் வைத்து.",
+  "No sensors yet. Add one, or run the simulator in functions/ to try the card.":
+    "இன்னும் உணரிகள் இல்லை. ஒன்றைச் சேருங்கள், அல்லது அட்டையை முயல functions/ இல் உள்ள சிமுலேட்டரை இயக்குங்கள்.",
+};
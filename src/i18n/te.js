@@ -0,0 +1,645 @@
+// Telugu. Keys are the English source text; see index.js.
+export default {
+  // App shell
+  Dashboard: "డాష్‌బోర్డ్",
+  Map: "మ్యాప్",
+  Rankings: "ర్యాంకింగ్‌లు",
+  Alerts: "హెచ్చరికలు",
+  History: "చరిత్ర",
+  Settings: "సెట్టింగ్‌లు",
+  "Live feed active": "లైవ్ ఫీడ్ సక్రియంగా ఉంది",
+  "Awaiting location lock": "స్థానం కోసం వేచి ఉంది",
+  Language: "భాష",
+
+  // Health guidance
+  Pending: "పెండింగ్",
+  "Fetch AQI to see status": "స్థితి చూడటానికి AQI తనిఖీ చేయండి",
+  "Respiratory distress": "శ్వాస ఇబ్బంది",
+  "Cardiovascular strain": "గుండెపై ఒత్తిడి",
+  "Eye & skin irritation": "కళ్ళు & చర్మం మంట",
+  "Neurological fatigue": "నాడీ అలసట",
+  Respiratory: "శ్వాసకోశం",
+  Cardio: "గుండె",
+  Eyes: "కళ్ళు",
+  Fatigue: "అలసట",
+  "Risk level": "ప్రమాద స్థాయి",
+  "Run a check to personalize guidance.": "మీ కోసం సలహా పొందడానికి AQI తనిఖీ చేయండి.",
+  "Enable live readings to receive proactive prevention tips.": "నివారణ సూచనలు పొందడానికి లైవ్ రీడింగ్‌లను ప్రారంభించండి.",
+  "Stale since {time}": "{time} నుండి నవీకరించబడలేదు",
+  "Observed at {time}": "{time}కి నమోదు",
+  "Last spike • {time}": "చివరి పెరుగుదల • {time}",
+
+  // Diseases and personal tips
+  "Asthma & COPD flare-ups": "ఆస్తమా & COPD తీవ్రత",
+  "Cardio stress (hypertension)": "గుండె ఒత్తిడి (అధిక రక్తపోటు)",
+  "Allergic rhinitis / sore throat": "అలెర్జీ రైనైటిస్ / గొంతు నొప్పి",
+  "Eye irritation": "కళ్ళ మంట",
+  "Headache & fatigue": "తలనొప్పి & అలసట",
+  "Use N95 outside; keep inhalers ready; limit exertion": "బయట N95 వాడండి; ఇన్‌హేలర్‌లు సిద్ధంగా ఉంచండి; శ్రమ తగ్గించండి",
+  "Stay indoors; hydrate; avoid heavy workouts": "ఇంట్లోనే ఉండండి; నీళ్ళు తాగండి; భారీ వ్యాయామం మానండి",
+  "Mask outdoors; saline gargle; keep windows closed": "బయట మాస్క్; ఉప్పు నీటితో పుక్కిలించండి; కిటికీలు మూసి ఉంచండి",
+  "Protective glasses; avoid rubbing eyes; use artificial tears": "రక్షణ కళ్ళద్దాలు; కళ్ళు రుద్దకండి; కంటి చుక్కలు వాడండి",
+  "Reduce outdoor time; rest; stay hydrated": "బయట సమయం తగ్గించండి; విశ్రాంతి తీసుకోండి; నీళ్ళు తాగుతూ ఉండండి",
+  "For you: {tip}": "మీ కోసం: {tip}",
+  "Take your controller dose on schedule and keep the reliever inhaler on you":
+    "కంట్రోలర్ మందును సమయానికి తీసుకోండి, రిలీవర్ ఇన్‌హేలర్‌ను దగ్గర ఉంచుకోండి",
+  "Follow your action plan; call your doctor if breathlessness worsens":
+    "మీ యాక్షన్ ప్లాన్ పాటించండి; ఆయాసం పెరిగితే డాక్టర్‌కు ఫోన్ చేయండి",
+  "Skip strenuous exertion; watch for chest pain or palpitations": "కఠిన శ్రమ మానండి; ఛాతీ నొప్పి లేదా గుండె దడను గమనించండి",
+  "Monitor blood sugar closely; pollution can raise cardiovascular strain":
+    "రక్తంలో చక్కెరను గమనిస్తూ ఉండండి; కాలుష్యం గుండెపై ఒత్తిడి పెంచవచ్చు",
+  "Limit outdoor time on high days; favour filtered indoor spaces":
+    "కాలుష్యం ఎక్కువగా ఉన్న రోజుల్లో బయట తక్కువగా ఉండండి; ఫిల్టర్ చేసిన గాలి ఉన్న చోట ఉండండి",
+  "Rinse nasal passages after being outdoors; keep antihistamines handy":
+    "బయటి నుండి వచ్చాక ముక్కు శుభ్రం చేసుకోండి; యాంటీహిస్టమైన్‌లు దగ్గర ఉంచుకోండి",
+  "Move play and sports indoors when the index climbs": "సూచిక పెరిగినప్పుడు ఆటలను ఇంట్లోకి మార్చండి",
+  "Check in with family or caregivers on high-pollution days": "కాలుష్యం ఎక్కువ ఉన్న రోజుల్లో కుటుంబం లేదా సంరక్షకులతో సంప్రదిస్తూ ఉండండి",
+  "Schedule heavy work for the cleanest hours and wear a fitted N95": "భారీ పనులను అత్యంత శుభ్రమైన గంటల్లో చేయండి, సరిగ్గా సరిపోయే N95 ధరించండి",
+
+  // Readiness checklist
+  "Wear N95/FFP2 outdoors": "బయట N95/FFP2 ధరించండి",
+  "Required for AQI spikes": "AQI పెరిగినప్పుడు అవసరం",
+  "Keep mask handy": "మాస్క్ దగ్గర ఉంచుకోండి",
+  "Run air purifier or ventilation": "ఎయిర్ ప్యూరిఫైయర్ లేదా వెంటిలేషన్ నడపండి",
+  "Cycle HEPA every 2h": "ప్రతి 2 గంటలకు HEPA నడపండి",
+  "Ventilate when {standard} ≤ {max}": "{standard} ≤ {max} అయినప్పుడు గాలి రానివ్వండి",
+  "Indoor PM2.5 {pm25} µg/m³ • {ventilation}": "ఇంట్లో PM2.5 {pm25} µg/m³ • {ventilation}",
+  "Stay hydrated + limit exertion": "నీళ్ళు తాగండి + శ్రమ తగ్గించండి",
+  "Sip water every hour": "ప్రతి గంటకు నీళ్ళు తాగండి",
+  "Monitor energy levels": "శక్తి స్థాయిలను గమనించండి",
+  "Enable spike notifications": "పెరుగుదల నోటిఫికేషన్‌లను ప్రారంభించండి",
+  "Live alerts active": "లైవ్ హెచ్చరికలు సక్రియంగా ఉన్నాయి",
+  "Grant permission for browser alerts": "బ్రౌజర్ హెచ్చరికలకు అనుమతి ఇవ్వండి",
+  "Plan commute flexibly": "ప్రయాణాన్ని సౌకర్యవంతంగా ప్లాన్ చేయండి",
+  "Avoid peak traffic outdoors; compare routes in the commute planner":
+    "రద్దీ సమయంలో బయటికి వెళ్ళకండి; ప్రయాణ ప్లానర్‌లో మార్గాలను పోల్చండి",
+  "Track AQI before leaving": "బయలుదేరే ముందు AQI చూడండి",
+  "Carry reliever inhaler / medication": "రిలీవర్ ఇన్‌హేలర్ / మందులు వెంట ఉంచుకోండి",
+  "Keep it within reach all day": "రోజంతా అందుబాటులో ఉంచుకోండి",
+  "Check doses before heading out": "బయలుదేరే ముందు మోతాదులు తనిఖీ చేయండి",
+
+  // Notifications
+  "AQI Alert": "AQI హెచ్చరిక",
+  "AQI Alert • {place}": "AQI హెచ్చరిక • {place}",
+  "{label} AQI is {aqi}. {advice}": "{label} AQI {aqi}. {advice}",
+  "Current AQI in {label} is {aqi}": "{label}లో ప్రస్తుత AQI {aqi}",
+  "AQI alert: {label} is at {aqi} ({band}), above your threshold of {threshold}.":
+    "AQI హెచ్చరిక: {label}లో AQI {aqi} ({band}), మీ పరిమితి {threshold} కంటే ఎక్కువ.",
+  "AQI in {label} is {aqi} ({band}).": "{label}లో AQI {aqi} ({band}).",
+  "AQI in {label} is now {aqi} ({band}).": "{label}లో AQI ఇప్పుడు {aqi} ({band}).",
+  "Dismiss notification": "నోటిఫికేషన్ మూసివేయండి",
+  Elevated: "పెరిగిన",
+  "Daily exposure limit passed": "రోజువారీ ఎక్స్‌పోజర్ పరిమితి దాటింది",
+  "You have breathed about {dose} µg/m³·h of PM2.5 today (≈ {cigarettes} cigarettes), above your {limit} limit.":
+    "ఈ రోజు మీరు సుమారు {dose} µg/m³·h PM2.5 పీల్చారు (≈ {cigarettes} సిగరెట్లు), ఇది మీ {limit} పరిమితి కంటే ఎక్కువ.",
+
+  // Widget
+  "Loading air quality…": "గాలి నాణ్యత లోడ్ అవుతోంది…",
+  "Set a city, coordinates or station to show its air quality.":
+    "గాలి నాణ్యత చూపడానికి నగరం, నిర్దేశాంకాలు లేదా స్టేషన్‌ను ఇవ్వండి.",
+  "Updated {time}": "{time}కి నవీకరించబడింది",
+  "Open in Atmosense": "Atmosenseలో తెరవండి",
+
+  // Bands (US EPA)
+  Good: "మంచిది",
+  "Air quality is good. No precautions needed.": "గాలి నాణ్యత బాగుంది. జాగ్రత్తలు అవసరం లేదు.",
+  "Stay active outdoors.": "బయట చురుకుగా ఉండండి.",
+  Healthy: "ఆరోగ్యకరం",
+  "Air is clean — stay active": "గాలి శుభ్రంగా ఉంది — చురుకుగా ఉండండి",
+  Moderate: "మధ్యస్థం",
+  "Moderate air quality. Sensitive groups should take caution.": "మధ్యస్థ గాలి నాణ్యత. సున్నితమైన వారు జాగ్రత్తగా ఉండాలి.",
+  "Limit prolonged outdoor activity if you have respiratory issues.": "శ్వాస సమస్యలు ఉంటే ఎక్కువసేపు బయట ఉండకండి.",
+  "Sensitive groups take light caution": "సున్నితమైన వారు కొంచెం జాగ్రత్తగా ఉండండి",
+  "Unhealthy for sensitive groups": "సున్నితమైన వారికి అనారోగ్యకరం",
+  "Unhealthy for sensitive groups.": "సున్నితమైన వారికి అనారోగ్యకరం.",
+  "Reduce outdoor activity. Use mask if needed.": "బయటి కార్యకలాపాలు తగ్గించండి. అవసరమైతే మాస్క్ వాడండి.",
+  Caution: "జాగ్రత్త",
+  "Sensitive groups reduce outdoor time": "సున్నితమైన వారు బయట సమయం తగ్గించండి",
+  Unhealthy: "అనారోగ్యకరం",
+  "Unhealthy.": "అనారోగ్యకరం.",
+  "Avoid outdoor activity. People with health issues should stay indoors.":
+    "బయటి కార్యకలాపాలు మానండి. ఆరోగ్య సమస్యలు ఉన్నవారు ఇంట్లోనే ఉండాలి.",
+  "Avoid outdoor exertion; use N95": "బయట శ్రమ మానండి; N95 వాడండి",
+  "Very Unhealthy": "చాలా అనారోగ్యకరం",
+  "Very Unhealthy.": "చాలా అనారోగ్యకరం.",
+  "Stay indoors. Wear N95 masks if you go outside.": "ఇంట్లోనే ఉండండి. బయటికి వెళ్తే N95 మాస్క్‌లు ధరించండి.",
+  "Stay indoors; mechanical ventilation": "ఇంట్లోనే ఉండండి; యాంత్రిక వెంటిలేషన్ వాడండి",
+  Hazardous: "ప్రమాదకరం",
+  "Hazardous!": "ప్రమాదకరం!",
+  "Avoid all outdoor activity. Keep windows closed.": "అన్ని బయటి కార్యకలాపాలు మానండి. కిటికీలు మూసి ఉంచండి.",
+  "Shelter indoors; seal windows; use N95": "ఇంట్లో ఆశ్రయం పొందండి; కిటికీలు మూసివేయండి; N95 వాడండి",
+
+  // Bands (India NAQI)
+  "Good air quality with minimal health impact.": "మంచి గాలి నాణ్యత, ఆరోగ్యంపై తక్కువ ప్రభావం.",
+  "Enjoy outdoor activities.": "బయటి కార్యకలాపాలను ఆస్వాదించండి.",
+  "Minimal impact": "తక్కువ ప్రభావం",
+  Satisfactory: "సంతృప్తికరం",
+  "Satisfactory. Minor breathing discomfort to sensitive people.": "సంతృప్తికరం. సున్నితమైన వారికి స్వల్ప శ్వాస ఇబ్బంది.",
+  "Sensitive people should keep reliever medication handy.": "సున్నితమైన వారు ఉపశమన మందులు దగ్గర ఉంచుకోవాలి.",
+  "Minor discomfort for sensitive people": "సున్నితమైన వారికి స్వల్ప అసౌకర్యం",
+  "Moderate. Breathing discomfort for people with lung or heart disease, children and older adults.":
+    "మధ్యస్థం. ఊపిరితిత్తులు లేదా గుండె జబ్బులు ఉన్నవారు, పిల్లలు, వృద్ధులకు శ్వాస ఇబ్బంది.",
+  "Limit prolonged outdoor exertion. Use mask if needed.": "బయట ఎక్కువసేపు శ్రమ తగ్గించండి. అవసరమైతే మాస్క్ వాడండి.",
+  "Lung and heart patients take caution": "ఊపిరితిత్తులు, గుండె రోగులు జాగ్రత్తగా ఉండండి",
+  Poor: "పేలవం",
+  "Poor. Breathing discomfort to most people on prolonged exposure.": "పేలవం. ఎక్కువసేపు గురైతే చాలామందికి శ్వాస ఇబ్బంది.",
+  "Avoid outdoor activity. Wear N95 outdoors.": "బయటి కార్యకలాపాలు మానండి. బయట N95 ధరించండి.",
+  "Avoid prolonged exposure; use N95": "ఎక్కువసేపు గురికావడం మానండి; N95 వాడండి",
+  "Very Poor": "చాలా పేలవం",
+  "Very Poor. Respiratory illness on prolonged exposure.": "చాలా పేలవం. ఎక్కువసేపు గురైతే శ్వాసకోశ వ్యాధి.",
+  "Stay indoors. Run air purifiers and keep windows closed.": "ఇంట్లోనే ఉండండి. ఎయిర్ ప్యూరిఫైయర్‌లు నడపండి, కిటికీలు మూసి ఉంచండి.",
+  "Stay indoors; run purifiers": "ఇంట్లోనే ఉండండి; ప్యూరిఫైయర్‌లు నడపండి",
+  Severe: "తీవ్రం",
+  "Severe! Respiratory effects even on healthy people.": "తీవ్రం! ఆరోగ్యవంతులపై కూడా శ్వాసకోశ ప్రభావం.",
+  "Avoid all outdoor activity. Seal windows and use N95 if you must go out.":
+    "అన్ని బయటి కార్యకలాపాలు మానండి. కిటికీలు మూసివేసి, తప్పనిసరిగా బయటికి వెళ్తే N95 వాడండి.",
+
+  // Bands (EU CAQI)
+  "Very low": "చాలా తక్కువ",
+  "Very low pollution. Air quality is excellent.": "చాలా తక్కువ కాలుష్యం. గాలి నాణ్యత అద్భుతంగా ఉంది.",
+  "Excellent air — stay active": "అద్భుతమైన గాలి — చురుకుగా ఉండండి",
+  Low: "తక్కువ",
+  "Low pollution. Air quality is fine for everyone.": "తక్కువ కాలుష్యం. గాలి అందరికీ బాగుంది.",
+  "No special precautions needed.": "ప్రత్యేక జాగ్రత్తలు అవసరం లేదు.",
+  "Fine for everyone": "అందరికీ బాగుంది",
+  Medium: "మధ్యస్థం",
+  "Medium pollution. Sensitive groups may notice effects.": "మధ్యస్థ కాలుష్యం. సున్నితమైన వారు ప్రభావాన్ని గమనించవచ్చు.",
+  "Sensitive groups should reduce intense outdoor exercise.": "సున్నితమైన వారు బయట తీవ్ర వ్యాయామం తగ్గించాలి.",
+  "Sensitive groups ease off outdoors": "సున్నితమైన వారు బయట శ్రమ తగ్గించండి",
+  High: "ఎక్కువ",
+  "High pollution. Everyone may begin to feel effects.": "ఎక్కువ కాలుష్యం. అందరూ ప్రభావాన్ని అనుభవించడం మొదలవ్వవచ్చు.",
+  "Avoid outdoor exertion. Wear N95 on busy roads.": "బయట శ్రమ మానండి. రద్దీ రోడ్లపై N95 ధరించండి.",
+  "Very high": "చాలా ఎక్కువ",
+  "Very high pollution. Health warnings for everyone.": "చాలా ఎక్కువ కాలుష్యం. అందరికీ ఆరోగ్య హెచ్చరికలు.",
+  "Stay indoors. Keep windows closed and run purifiers.": "ఇంట్లోనే ఉండండి. కిటికీలు మూసి, ప్యూరిఫైయర్‌లు నడపండి.",
+  "Stay indoors; keep windows closed": "ఇంట్లోనే ఉండండి; కిటికీలు మూసి ఉంచండి",
+
+  // Dashboard
+  "Air wellness intelligence": "గాలి ఆరోగ్య సమాచారం",
+  "Live AQI Dashboard": "లైవ్ AQI డాష్‌బోర్డ్",
+  "Keep tabs on {place} in real time.": "{place} ను నిజ సమయంలో గమనించండి.",
+  "your area": "మీ ప్రాంతం",
+  "Stay ahead of pollution spikes for {place} with live guidance.":
+    "లైవ్ సూచనలతో {place} లో కాలుష్యం పెరగకముందే సిద్ధంగా ఉండండి.",
+  "your location": "మీ స్థానం",
+  "Enter a city or locality": "నగరం లేదా ప్రాంతాన్ని నమోదు చేయండి",
+  "Check AQI": "AQI చూడండి",
+  Share: "షేర్ చేయండి",
+  "AQI in {place}": "{place} లో AQI",
+  "Link copied: {url}": "లింక్ కాపీ అయింది: {url}",
+  "Could not copy the link. Share this address instead: {url}":
+    "లింక్ కాపీ కాలేదు. బదులుగా ఈ చిరునామాను షేర్ చేయండి: {url}",
+  "Fetching your approximate location. Please allow permissions or enter a city manually.":
+    "మీ సుమారు స్థానం తీసుకుంటున్నాం. అనుమతి ఇవ్వండి లేదా నగరాన్ని మీరే నమోదు చేయండి.",
+  "Current location": "ప్రస్తుత స్థానం",
+  "Location status": "స్థానం స్థితి",
+  Notifications: "నోటిఫికేషన్లు",
+  Connection: "కనెక్షన్",
+  Offline: "ఆఫ్‌లైన్",
+  Off: "ఆఫ్",
+  "Not asked yet": "ఇంకా అడగలేదు",
+  Enabled: "ప్రారంభించబడింది",
+  Blocked: "నిరోధించబడింది",
+  "Not supported": "సపోర్ట్ లేదు",
+  "Pending permission": "అనుమతి పెండింగ్‌లో ఉంది",
+  "Realtime {standard}": "రియల్‌టైమ్ {standard}",
+  "This reading was saved earlier and could not be refreshed": "ఈ రీడింగ్ ముందే సేవ్ అయింది, రిఫ్రెష్ చేయలేకపోయాం",
+  "Sources agree": "మూలాలు ఏకీభవిస్తున్నాయి",
+  "Sources roughly agree": "మూలాలు దాదాపు ఏకీభవిస్తున్నాయి",
+  "Sources disagree": "మూలాలు విభేదిస్తున్నాయి",
+  Blended: "మిశ్రమం",
+  "fallback after {providers}": "{providers} తర్వాత ప్రత్యామ్నాయం",
+  "Guardian status": "రక్షణ స్థితి",
+  "{standard} level": "{standard} స్థాయి",
+  "Last sync": "చివరి సింక్",
+  "Awaiting data": "డేటా కోసం వేచి ఉంది",
+  "Alerts: {state}": "అలర్ట్‌లు: {state}",
+  "Δ vs last manual: {delta} AQI": "చివరి తనిఖీతో Δ: {delta} AQI",
+  "Run a manual check to compare": "పోల్చడానికి ఒకసారి మీరే తనిఖీ చేయండి",
+  "Mode: {mode}": "మోడ్: {mode}",
+  Manual: "మాన్యువల్",
+  "Airwatch scope": "పర్యవేక్షణ పరిధి",
+  "GPS tracking": "GPS ట్రాకింగ్",
+  "Map station": "మ్యాప్ స్టేషన్",
+  "Setup required": "సెటప్ అవసరం",
+  "Add a city name to start": "ప్రారంభించడానికి నగరం పేరు చేర్చండి",
+  "Ranking data syncing…": "ర్యాంకింగ్ డేటా సింక్ అవుతోంది…",
+  "Live snapshot": "లైవ్ స్నాప్‌షాట్",
+  "Environment overview": "పర్యావరణ అవలోకనం",
+  "Coordinates refresh automatically every time you move ~50m.":
+    "మీరు ~50 మీ. కదిలిన ప్రతిసారీ కోఆర్డినేట్లు ఆటోమేటిక్‌గా రిఫ్రెష్ అవుతాయి.",
+  Location: "స్థానం",
+  "Status: {status}": "స్థితి: {status}",
+  "Health Tracker": "ఆరోగ్య ట్రాకర్",
+  "Notifications: {state}": "నోటిఫికేషన్లు: {state}",
+  "Latest reading": "తాజా రీడింగ్",
+  "Manual check • {place}": "మాన్యువల్ తనిఖీ • {place}",
+  "Live auto refresh": "లైవ్ ఆటో రిఫ్రెష్",
+  "Use Check AQI to capture a measurement": "కొలత తీసుకోవడానికి AQI చూడండి నొక్కండి",
+  "Personal exposure": "వ్యక్తిగత ఎక్స్‌పోజర్",
+  "What you breathed today": "ఈ రోజు మీరు పీల్చినది",
+  "Combines the time you spend at each live location with the PM2.5 there into a cumulative daily dose.":
+    "ప్రతి లైవ్ స్థానంలో మీరు గడిపిన సమయాన్ని అక్కడి PM2.5 తో కలిపి రోజువారీ మొత్తం మోతాదును లెక్కిస్తుంది.",
+  "Today's dose": "ఈ రోజు మోతాదు",
+  "{percent}% of limit": "పరిమితిలో {percent}%",
+  "≈ {count} cigarette • {hours} h tracked": "≈ {count} సిగరెట్ • {hours} గంటలు ట్రాక్",
+  "≈ {count} cigarettes • {hours} h tracked": "≈ {count} సిగరెట్లు • {hours} గంటలు ట్రాక్",
+  "avg PM2.5 {pm25} µg/m³": "సగటు PM2.5 {pm25} µg/m³",
+  "Your cumulative dose is above the daily limit. Spend the rest of the day in filtered indoor air if you can.":
+    "మీ మొత్తం మోతాదు రోజువారీ పరిమితిని దాటింది. వీలైతే మిగతా రోజు ఫిల్టర్ చేసిన గాలి ఉన్న లోపలి ప్రదేశంలో గడపండి.",
+  "Daily limit": "రోజువారీ పరిమితి",
+  "Some stations report no PM2.5; their AQI was converted to an estimated concentration.":
+    "కొన్ని స్టేషన్లు PM2.5 ఇవ్వవు; వాటి AQI ని అంచనా సాంద్రతగా మార్చాం.",
+  "Day timeline": "రోజు టైమ్‌లైన్",
+  "{count} stops": "{count} మజిలీలు",
+  "No live fixes yet today": "ఈ రోజు ఇంకా లైవ్ స్థానం లేదు",
+  "Where you were today and the air quality there": "ఈ రోజు మీరు ఉన్న చోట్లు, అక్కడి గాలి నాణ్యత",
+  "Gaps are time without a location fix; each stop counts for at most two hours.":
+    "ఖాళీలు స్థానం దొరకని సమయం; ప్రతి మజిలీ గరిష్ఠంగా రెండు గంటలే లెక్కిస్తాం.",
+  "Weekly totals": "వారపు మొత్తం",
+  "{count} cigarette-equivalents this week": "ఈ వారం {count} సిగరెట్లకు సమానం",
+  "PM2.5 dose (µg/m³·h)": "PM2.5 మోతాదు (µg/m³·h)",
+  "PM2.5 dose for the last 7 days; {days} of 7 over the daily limit":
+    "గత 7 రోజుల PM2.5 మోతాదు; 7 లో {days} రోజులు పరిమితి దాటింది",
+  "Indoor air": "లోపలి గాలి",
+  "Inside vs outside": "లోపల vs బయట",
+  "Home sensors (PurpleAir, ESP32 + SDS011 over MQTT, or any HTTP POST) tell you whether opening the windows helps. Add them under Settings.":
+    "ఇంటి సెన్సార్లు (PurpleAir, MQTT ద్వారా ESP32 + SDS011, లేదా ఏదైనా HTTP POST) కిటికీలు తెరవడం సహాయపడుతుందో లేదో చెబుతాయి. వాటిని సెట్టింగ్స్‌లో చేర్చండి.",
+  "Indoor vs outdoor PM2.5": "లోపల vs బయట PM2.5",
+  Indoor: "లోపల",
+  Outdoor: "బయట",
+  "{count} live sensor": "{count} లైవ్ సెన్సార్",
+  "{count} live sensors": "{count} లైవ్ సెన్సార్లు",
+  "No live sensor": "లైవ్ సెన్సార్ లేదు",
+  "Estimated from AQI": "AQI నుంచి అంచనా",
+  "Check AQI first": "ముందు AQI చూడండి",
+  "Offline • last seen": "ఆఫ్‌లైన్ • చివరిగా",
+  "{sensor} PM2.5 over the last 24 hours": "గత 24 గంటల్లో {sensor} PM2.5",
+  "Health forecasting": "ఆరోగ్య అంచనా",
+  "Deep analytics": "లోతైన విశ్లేషణ",
+  "Risk bars and disease guidance mirror the latest AQI; trend lines and the outlook live under History.":
+    "ప్రమాద బార్లు, వ్యాధి సూచనలు తాజా AQI ని అనుసరిస్తాయి; ధోరణులు, అంచనా చరిత్రలో ఉన్నాయి.",
+  "Dominant {pollutant}": "ప్రధాన {pollutant}",
+  "ML-based health risk prediction": "ML ఆధారిత ఆరోగ్య ప్రమాద అంచనా",
+  "Heuristic model scaled to current AQI and your profile": "ప్రస్తుత AQI, మీ ప్రొఫైల్‌కు అనుగుణంగా అంచనా నమూనా",
+  "Heuristic model scaled to current AQI": "ప్రస్తుత AQI కి అనుగుణంగా అంచనా నమూనా",
+  "Pollutant sub-indices": "కాలుష్యకారక ఉప సూచికలు",
+  "{standard} breakpoints": "{standard} పరిమితి బిందువులు",
+  "{standard} sub-index": "{standard} ఉప సూచిక",
+  "{standard} sub-indices: {values}": "{standard} ఉప సూచికలు: {values}",
+  "Health risk when AQI is high": "AQI ఎక్కువగా ఉన్నప్పుడు ఆరోగ్య ప్రమాదం",
+  "Auto-adjusts based on current AQI": "ప్రస్తుత AQI ఆధారంగా ఆటోమేటిక్‌గా మారుతుంది",
+  "Diseases & prevention": "వ్యాధులు & నివారణ",
+  "Readiness checklist": "సన్నద్ధత జాబితా",
+  "Adaptive guidance for your current AQI": "మీ ప్రస్తుత AQI కి తగిన సూచనలు",
+  // Location, search and indoor advice
+  Idle: "నిష్క్రియం",
+  Live: "లైవ్",
+  "Live (network)": "లైవ్ (నెట్‌వర్క్)",
+  "Approximate via network": "నెట్‌వర్క్ ద్వారా సుమారుగా",
+  "City lookup": "నగరం ద్వారా శోధన",
+  "Station lookup": "స్టేషన్ ద్వారా శోధన",
+  "Resolving network location…": "నెట్‌వర్క్ స్థానం కనుగొంటున్నాం…",
+  "Enter a city to start": "ప్రారంభించడానికి నగరాన్ని నమోదు చేయండి",
+  "Geolocation not supported": "జియోలొకేషన్‌కు సపోర్ట్ లేదు",
+  "Locating…": "స్థానం కనుగొంటున్నాం…",
+  "Use HTTPS or localhost for live location": "లైవ్ స్థానం కోసం HTTPS లేదా localhost వాడండి",
+  "Permission denied — allow location access": "అనుమతి నిరాకరించబడింది — స్థాన యాక్సెస్ అనుమతించండి",
+  "Position unavailable": "స్థానం అందుబాటులో లేదు",
+  "Location timed out": "స్థానం సమయం ముగిసింది",
+  "Unable to get location": "స్థానం పొందలేకపోయాం",
+  "Awaiting live location…": "లైవ్ స్థానం కోసం వేచి ఉంది…",
+  "Recent searches": "ఇటీవలి శోధనలు",
+  Cities: "నగరాలు",
+  Stations: "స్టేషన్లు",
+  Places: "ప్రదేశాలు",
+  "Searching…": "శోధిస్తోంది…",
+  "No matches": "సరిపోలికలు లేవు",
+  "Suggestions are unavailable right now.": "సూచనలు ప్రస్తుతం అందుబాటులో లేవు.",
+  "Waiting for readings": "రీడింగ్‌ల కోసం వేచి ఉంది",
+  "No live indoor sensor reading yet.": "ఇంకా లోపలి సెన్సార్ లైవ్ రీడింగ్ లేదు.",
+  "Check the outdoor AQI to compare.": "పోల్చడానికి బయటి AQI చూడండి.",
+  "Run the air purifier until indoor PM2.5 drops.": "లోపలి PM2.5 తగ్గే వరకు ఎయిర్ ప్యూరిఫైయర్ నడపండి.",
+  "Keep windows shut": "కిటికీలు మూసి ఉంచండి",
+  "Outdoor PM2.5 is {outdoor} µg/m³ against {indoor} indoors.": "బయట PM2.5 {outdoor} µg/m³, లోపల {indoor}.",
+  "Ventilate now": "ఇప్పుడు గాలి రానివ్వండి",
+  "Outdoor air is cleaner ({outdoor} vs {indoor} µg/m³). Open windows for 10–15 minutes.":
+    "బయటి గాలి శుభ్రంగా ఉంది ({outdoor} vs {indoor} µg/m³). 10–15 నిమిషాలు కిటికీలు తెరవండి.",
+  "Indoor and outdoor are similar": "లోపల, బయట దాదాపు ఒకటే",
+  "Both are around {indoor} µg/m³; a short airing for fresh air will not change much.":
+    "రెండూ సుమారు {indoor} µg/m³; తాజా గాలి కోసం కొద్దిసేపు తెరిస్తే పెద్ద మార్పు ఉండదు.",
+  "WHO 2021 guideline (15 µg/m³ daily mean)": "WHO 2021 మార్గదర్శకం (15 µg/m³ రోజువారీ సగటు)",
+  "Sensitive groups (half of WHO)": "సున్నిత వర్గాలు (WHO లో సగం)",
+  "India NAAQS (60 µg/m³ daily mean)": "భారత NAAQS (60 µg/m³ రోజువారీ సగటు)",
+  // Map and commute planner
+  "Station map": "స్టేషన్ మ్యాప్",
+  "Air quality around you": "మీ చుట్టూ గాలి నాణ్యత",
+  "Pick a station to load its reading on the dashboard.": "డాష్‌బోర్డ్‌లో రీడింగ్ చూడటానికి ఒక స్టేషన్ ఎంచుకోండి.",
+  "Commute planner": "ప్రయాణ ప్లానర్",
+  "Cleaner ways to get there": "అక్కడికి చేరడానికి శుభ్రమైన మార్గాలు",
+  "Compares alternative routes by the PM2.5 you would inhale along them and suggests when to leave. Routes are drawn on the map above.":
+    "ప్రత్యామ్నాయ మార్గాలను వాటిపై మీరు పీల్చే PM2.5 ఆధారంగా పోల్చి, ఎప్పుడు బయలుదేరాలో సూచిస్తుంది. మార్గాలు పై మ్యాప్‌లో కనిపిస్తాయి.",
+  "From (place or lat, lng)": "ఎక్కడి నుంచి (ప్రదేశం లేదా lat, lng)",
+  "To (place or lat, lng)": "ఎక్కడికి (ప్రదేశం లేదా lat, lng)",
+  Origin: "బయలుదేరే చోటు",
+  Destination: "గమ్యం",
+  "Travel mode": "ప్రయాణ విధానం",
+  Walk: "నడక",
+  Cycle: "సైకిల్",
+  Car: "కారు",
+  "From my location": "నా స్థానం నుంచి",
+  "Planning…": "ప్లాన్ చేస్తోంది…",
+  "Compare routes": "మార్గాలను పోల్చండి",
+  "Could not plan this commute. Try again.": "ఈ ప్రయాణాన్ని ప్లాన్ చేయలేకపోయాం. మళ్లీ ప్రయత్నించండి.",
+  "Live location is not available yet.": "లైవ్ స్థానం ఇంకా అందుబాటులో లేదు.",
+  "{count} station sampled": "{count} స్టేషన్ పరిశీలించాం",
+  "{count} stations sampled": "{count} స్టేషన్లు పరిశీలించాం",
+  "Lowest exposure": "అతి తక్కువ ఎక్స్‌పోజర్",
+  "µg PM2.5 inhaled": "µg PM2.5 పీల్చింది",
+  "{distance} km • {minutes} min • avg AQI {average} • peak {peak}":
+    "{distance} కి.మీ • {minutes} నిమి • సగటు AQI {average} • గరిష్ఠం {peak}",
+  "n/a": "లేదు",
+  "{coverage}% of the route has a station within range; the rest uses the route average.":
+    "మార్గంలో {coverage}% భాగానికి దగ్గర్లో స్టేషన్ ఉంది; మిగతా భాగానికి మార్గ సగటు వాడాం.",
+  "Best times to leave": "బయలుదేరడానికి ఉత్తమ సమయాలు",
+  "Forecast levels shaped by the usual hour-by-hour pattern": "సాధారణ గంటవారీ సరళి ఆధారంగా అంచనా స్థాయిలు",
+  "Check AQI first so the planner has a current level or forecast to work from.":
+    "ప్లానర్‌కు ప్రస్తుత స్థాయి లేదా అంచనా ఉండేలా ముందు AQI చూడండి.",
+  "expected AQI ~{aqi}": "అంచనా AQI ~{aqi}",
+  "Loading stations…": "స్టేషన్లు లోడ్ అవుతున్నాయి…",
+  "Move the map to load stations": "స్టేషన్లు లోడ్ చేయడానికి మ్యాప్ కదిలించండి",
+  "{count} station in view": "{count} స్టేషన్ కనిపిస్తోంది",
+  "{count} stations in view": "{count} స్టేషన్లు కనిపిస్తున్నాయి",
+  "Stations could not be loaded.": "స్టేషన్లు లోడ్ కాలేదు.",
+  "Base map": "బేస్ మ్యాప్",
+  "Add VITE_GOOGLE_MAPS_API_KEY to enable Google Maps":
+    "Google Maps ప్రారంభించడానికి VITE_GOOGLE_MAPS_API_KEY చేర్చండి",
+  "Your location": "మీ స్థానం",
+  "no nearby station": "దగ్గర్లో స్టేషన్ లేదు",
+  "AQI colour scale": "AQI రంగు స్కేల్",
+  "No data": "డేటా లేదు",
+  "Click a station to load it into the dashboard.": "డాష్‌బోర్డ్‌లోకి తేవడానికి స్టేషన్‌పై క్లిక్ చేయండి.",
+  "Click a route to select it; its colour follows the AQI along each stretch.":
+    "మార్గాన్ని ఎంచుకోవడానికి దానిపై క్లిక్ చేయండి; దాని రంగు ప్రతి భాగం AQI ని అనుసరిస్తుంది.",
+  // Alerts and automation
+  "Proactive monitoring": "ముందస్తు పర్యవేక్షణ",
+  "Automation & alerts": "ఆటోమేషన్ & హెచ్చరికలు",
+  "Tune refresh cadence, custom alerts, and review recent spikes without touching the map.":
+    "మ్యాప్‌ను తాకకుండానే రిఫ్రెష్ విరామం, అనుకూల హెచ్చరికలు సెట్ చేసి ఇటీవలి పెరుగుదలలు చూడండి.",
+  "Alert threshold": "హెచ్చరిక పరిమితి",
+  "We notify you the moment AQI exceeds your personal limit. Lower it for sensitive groups.":
+    "AQI మీ వ్యక్తిగత పరిమితిని దాటిన వెంటనే తెలియజేస్తాం. సున్నిత వర్గాల కోసం దీనిని తగ్గించండి.",
+  "Alert fires at ≥ {threshold} AQI.": "≥ {threshold} AQI వద్ద హెచ్చరిక వస్తుంది.",
+  "Alert thresholds stay on the WAQI US AQI scale.": "హెచ్చరిక పరిమితులు WAQI US AQI స్కేల్‌లోనే ఉంటాయి.",
+  "Use profile suggestion ({threshold} AQI)": "ప్రొఫైల్ సూచన వాడండి ({threshold} AQI)",
+  "Auto refresh": "ఆటో రిఫ్రెష్",
+  "Auto-refresh": "ఆటో-రిఫ్రెష్",
+  "Automatically capture AQI snapshots from your live location even when you forget.":
+    "మీరు మర్చిపోయినా మీ లైవ్ స్థానం నుంచి AQI ని ఆటోమేటిక్‌గా నమోదు చేస్తుంది.",
+  "Refresh cadence": "రిఫ్రెష్ విరామం",
+  "Manual only": "మాన్యువల్ మాత్రమే",
+  "Every {minutes} min": "ప్రతి {minutes} నిమిషాలకు",
+  "Next auto refresh: {time}": "తదుపరి ఆటో రిఫ్రెష్: {time}",
+  "Background alerts": "బ్యాక్‌గ్రౌండ్ హెచ్చరికలు",
+  "A scheduled worker checks your watchlist every 15 minutes and alerts you even when this tab is closed.":
+    "ఒక షెడ్యూల్డ్ వర్కర్ ప్రతి 15 నిమిషాలకు మీ వాచ్‌లిస్ట్‌ను తనిఖీ చేసి, ఈ ట్యాబ్ మూసి ఉన్నా హెచ్చరిస్తుంది.",
+  "Push to this device": "ఈ పరికరానికి పుష్",
+  "Install the app in a browser with Web Push support to get alerts here.":
+    "ఇక్కడ హెచ్చరికలు పొందడానికి Web Push మద్దతున్న బ్రౌజర్‌లో యాప్ ఇన్‌స్టాల్ చేయండి.",
+  "Could not update push alerts.": "పుష్ హెచ్చరికలను నవీకరించలేకపోయాం.",
+  Email: "ఇమెయిల్",
+  "Alerts go to {email}, the address on your account.": "హెచ్చరికలు మీ ఖాతా చిరునామా {email} కి వెళ్తాయి.",
+  "Sign in with Google or an email link in Settings to get email alerts.":
+    "ఇమెయిల్ హెచ్చరికలు పొందడానికి సెట్టింగ్‌లలో Google లేదా ఇమెయిల్ లింక్‌తో సైన్ ఇన్ చేయండి.",
+  "Webhook (Slack, Teams, custom)": "వెబ్‌హుక్ (Slack, Teams, అనుకూల)",
+  "Webhook URLs must start with https://": "వెబ్‌హుక్ URL https:// తో మొదలవ్వాలి",
+  "Background alert channels saved": "బ్యాక్‌గ్రౌండ్ హెచ్చరిక ఛానెళ్లు సేవ్ అయ్యాయి",
+  "Could not save alert channels. Try again.": "హెచ్చరిక ఛానెళ్లను సేవ్ చేయలేకపోయాం. మళ్లీ ప్రయత్నించండి.",
+  "Alert log": "హెచ్చరిక లాగ్",
+  Show: "చూపించు",
+  "All alerts": "అన్ని హెచ్చరికలు",
+  "No alerts yet": "ఇంకా హెచ్చరికలు లేవు",
+  "Show older alerts": "పాత హెచ్చరికలు చూపించు",
+  "threshold {threshold}": "పరిమితి {threshold}",
+  Watchlist: "వాచ్‌లిస్ట్",
+  "Places you follow": "మీరు అనుసరించే ప్రదేశాలు",
+  "Add home, office or school to track them side by side.":
+    "ఇల్లు, ఆఫీసు లేదా పాఠశాలను చేర్చి పక్కపక్కనే ట్రాక్ చేయండి.",
+  "Refresh watchlist": "వాచ్‌లిస్ట్ రిఫ్రెష్ చేయండి",
+  "Name (Home, Office…)": "పేరు (ఇల్లు, ఆఫీసు…)",
+  "City or lat, lng": "నగరం లేదా lat, lng",
+  "Alert at": "హెచ్చరిక స్థాయి",
+  "Add place": "ప్రదేశం చేర్చు",
+  "Use my location": "నా స్థానం వాడండి",
+  "You can watch up to {count} places.": "మీరు గరిష్ఠంగా {count} ప్రదేశాలను చూడవచ్చు.",
+  "Enter a city name or coordinates like 28.61, 77.20.": "నగరం పేరు లేదా 28.61, 77.20 వంటి కోఆర్డినేట్లు నమోదు చేయండి.",
+  "Loading tracked cities…": "ట్రాక్ చేస్తున్న నగరాలు లోడ్ అవుతున్నాయి…",
+  "Each place keeps its own alert threshold and refreshes with the auto-refresh cadence.":
+    "ప్రతి ప్రదేశానికి సొంత హెచ్చరిక పరిమితి ఉంటుంది; ఆటో-రిఫ్రెష్ విరామంతో నవీకరించబడుతుంది.",
+  "Awaiting first reading": "మొదటి రీడింగ్ కోసం వేచి ఉంది",
+  "Alert at ≥ {threshold} AQI": "≥ {threshold} AQI వద్ద హెచ్చరిక",
+  Remove: "తొలగించు",
+  "Remove {name}": "{name} తొలగించు",
+  "Above threshold": "పరిమితి పైన",
+  "Below threshold": "పరిమితి కింద",
+  Running: "నడుస్తోంది",
+  on: "ఆన్",
+  off: "ఆఫ్",
+  On: "ఆన్",
+  "Working…": "పని జరుగుతోంది…",
+  "Turn off": "ఆఫ్ చేయండి",
+  "Turn on": "ఆన్ చేయండి",
+  "Saving…": "సేవ్ అవుతోంది…",
+  "Save channels": "ఛానెళ్లు సేవ్ చేయండి",
+  "Loading alerts…": "హెచ్చరికలు లోడ్ అవుతున్నాయి…",
+  "Threshold alerts will appear here.": "పరిమితి హెచ్చరికలు ఇక్కడ కనిపిస్తాయి.",
+  // History and reports
+  "History & outlook": "చరిత్ర & అంచనా",
+  "Look back, look ahead": "వెనక్కి చూడండి, ముందుకు చూడండి",
+  "Trend lines come from stored readings; the outlook uses the station forecast or a local model.":
+    "ధోరణి రేఖలు నిల్వ చేసిన రీడింగ్‌ల నుంచి వస్తాయి; అంచనా స్టేషన్ అంచనా లేదా స్థానిక మోడల్‌ను వాడుతుంది.",
+  "Recent AQI readings": "ఇటీవలి AQI రీడింగ్‌లు",
+  "Loading readings…": "రీడింగ్‌లు లోడ్ అవుతున్నాయి…",
+  "No manual checks yet. Use “Check AQI” to capture one.":
+    "ఇంకా మాన్యువల్ తనిఖీలు లేవు. ఒకటి నమోదు చేయడానికి “Check AQI” వాడండి.",
+  "just now": "ఇప్పుడే",
+  "Show older readings": "పాత రీడింగ్‌లు చూపించు",
+  "AQI trend": "AQI ధోరణి",
+  "Daily min / avg / max over 7 days": "7 రోజుల రోజువారీ కనిష్ఠం / సగటు / గరిష్ఠం",
+  "Hourly min / avg / max over 24 hours": "24 గంటల గంటవారీ కనిష్ఠం / సగటు / గరిష్ఠం",
+  "From stored readings": "నిల్వ చేసిన రీడింగ్‌ల నుంచి",
+  Daily: "రోజువారీ",
+  Hourly: "గంటవారీ",
+  "Loading stored readings…": "నిల్వ చేసిన రీడింగ్‌లు లోడ్ అవుతున్నాయి…",
+  "No stored readings for {place} in this window yet.": "ఈ వ్యవధిలో {place} కోసం నిల్వ చేసిన రీడింగ్‌లు ఇంకా లేవు.",
+  "this location": "ఈ ప్రదేశం",
+  "No data:": "డేటా లేదు:",
+  Max: "గరిష్ఠం",
+  Avg: "సగటు",
+  Min: "కనిష్ఠం",
+  "Shaded: at or above your {threshold} AQI threshold": "షేడ్ చేసినవి: మీ {threshold} AQI పరిమితి లేదా అంతకంటే ఎక్కువ",
+  "AQI outlook": "AQI అంచనా",
+  "Daily forecast from the station, or a local model trained on stored readings":
+    "స్టేషన్ రోజువారీ అంచనా, లేదా నిల్వ చేసిన రీడింగ్‌లపై శిక్షణ పొందిన స్థానిక మోడల్",
+  "Source: {sources}": "మూలం: {sources}",
+  "{count} day(s) ≥ {threshold}": "{count} రోజులు ≥ {threshold}",
+  "WAQI forecast": "WAQI అంచనా",
+  "Open-Meteo forecast": "Open-Meteo అంచనా",
+  "Local model": "స్థానిక మోడల్",
+  "Building forecast…": "అంచనా తయారవుతోంది…",
+  "No published forecast for this station and not enough stored readings to model one yet.":
+    "ఈ స్టేషన్‌కు ప్రచురించిన అంచనా లేదు, మోడల్ చేయడానికి సరిపడా నిల్వ రీడింగ్‌లు కూడా ఇంకా లేవు.",
+  "Published forecast": "ప్రచురించిన అంచనా",
+  "Expected AQI": "అంచనా AQI",
+  "Recorded AQI": "నమోదైన AQI",
+  Range: "పరిధి",
+  "Range low": "పరిధి కనిష్ఠం",
+  "Range {min}–{max}": "పరిధి {min}–{max}",
+  "Reports & export": "నివేదికలు & ఎగుమతి",
+  "Take your data with you": "మీ డేటాను తీసుకెళ్లండి",
+  "Download stored readings and alerts, or print a health report for your doctor or employer.":
+    "నిల్వ చేసిన రీడింగ్‌లు, హెచ్చరికలు డౌన్‌లోడ్ చేయండి, లేదా మీ డాక్టర్ లేదా యజమాని కోసం ఆరోగ్య నివేదిక ముద్రించండి.",
+  From: "నుంచి",
+  To: "వరకు",
+  "All locations": "అన్ని ప్రదేశాలు",
+  "Readings CSV": "రీడింగ్‌లు CSV",
+  "Readings JSON": "రీడింగ్‌లు JSON",
+  "Alerts CSV": "హెచ్చరికలు CSV",
+  "Alerts JSON": "హెచ్చరికలు JSON",
+  "Health report (PDF)": "ఆరోగ్య నివేదిక (PDF)",
+  "Preparing your report…": "మీ నివేదిక సిద్ధమవుతోంది…",
+  "The report opens your browser's print dialog; choose \"Save as PDF\" to keep a copy.":
+    "నివేదిక మీ బ్రౌజర్ ప్రింట్ డైలాగ్‌ను తెరుస్తుంది; కాపీ ఉంచుకోవడానికి \"Save as PDF\" ఎంచుకోండి.",
+  "The start date must be on or before the end date.": "ప్రారంభ తేదీ ముగింపు తేదీకి ముందు లేదా అదే రోజు ఉండాలి.",
+  "Exported {count} readings": "{count} రీడింగ్‌లు ఎగుమతి అయ్యాయి",
+  "Exported {count} alerts": "{count} హెచ్చరికలు ఎగుమతి అయ్యాయి",
+  "Could not export readings. Try again.": "రీడింగ్‌లను ఎగుమతి చేయలేకపోయాం. మళ్లీ ప్రయత్నించండి.",
+  "Could not export alerts. Try again.": "హెచ్చరికలను ఎగుమతి చేయలేకపోయాం. మళ్లీ ప్రయత్నించండి.",
+  "Allow pop-ups for this site to open the report.": "నివేదిక తెరవడానికి ఈ సైట్‌కు పాప్-అప్‌లను అనుమతించండి.",
+  "Report opened in a new tab": "నివేదిక కొత్త ట్యాబ్‌లో తెరుచుకుంది",
+  "Could not build the health report. Try again.": "ఆరోగ్య నివేదికను తయారు చేయలేకపోయాం. మళ్లీ ప్రయత్నించండి.",
+  // Rankings
+  Leaderboard: "లీడర్‌బోర్డ్",
+  "City rankings": "నగర ర్యాంకింగ్‌లు",
+  "City-wise AQI ranking": "నగరాల వారీ AQI ర్యాంకింగ్",
+  "Compare a list of cities, a regional preset or every station in a country.":
+    "నగరాల జాబితా, ప్రాంతీయ సమూహం లేదా ఒక దేశంలోని అన్ని స్టేషన్లను పోల్చండి.",
+  "Refreshing...": "రిఫ్రెష్ అవుతోంది...",
+  Refresh: "రిఫ్రెష్ చేయండి",
+  "Ranking scope": "ర్యాంకింగ్ పరిధి",
+  "Chosen cities": "ఎంచుకున్న నగరాలు",
+  "Custom list": "అనుకూల జాబితా",
+  "All stations in a country": "ఒక దేశంలోని అన్ని స్టేషన్లు",
+  "Region preset": "ప్రాంతీయ సమూహం",
+  "Indian metros": "భారత మహానగరాలు",
+  "Indian state capitals": "భారత రాష్ట్ర రాజధానులు",
+  "World capitals": "ప్రపంచ రాజధానులు",
+  Country: "దేశం",
+  India: "భారతదేశం",
+  Bangladesh: "బంగ్లాదేశ్",
+  Pakistan: "పాకిస్తాన్",
+  China: "చైనా",
+  "United Kingdom": "యునైటెడ్ కింగ్‌డమ్",
+  Germany: "జర్మనీ",
+  "United States (contiguous)": "అమెరికా (ప్రధాన భూభాగం)",
+  Australia: "ఆస్ట్రేలియా",
+  "Sort rankings by": "ర్యాంకింగ్‌ను దీని ప్రకారం క్రమబద్ధీకరించండి",
+  "Sort by {field}": "{field} ప్రకారం క్రమబద్ధీకరించు",
+  "Dominant pollutant": "ప్రధాన కాలుష్య కారకం",
+  "Add a city": "నగరం చేర్చండి",
+  Add: "చేర్చు",
+  "No ranking data yet. Try refreshing.": "ఇంకా ర్యాంకింగ్ డేటా లేదు. రిఫ్రెష్ చేసి చూడండి.",
+  "{place} AQI over the last 7 days": "గత 7 రోజుల్లో {place} AQI",
+  Previous: "మునుపటి",
+  Next: "తదుపరి",
+  "Page {page} of {count}": "పేజీ {page} / {count}",
+  "Lower AQI indicates cleaner air • Powered by WAQI live feed":
+    "తక్కువ AQI అంటే శుభ్రమైన గాలి • WAQI లైవ్ ఫీడ్ ఆధారంగా",
+  // Settings, profile and sensors
+  "Account & health profile": "ఖాతా & ఆరోగ్య ప్రొఫైల్",
+  Account: "ఖాతా",
+  "Guest session": "అతిథి సెషన్",
+  "Signed in": "సైన్ ఇన్ అయ్యారు",
+  "Signed out": "సైన్ అవుట్ అయ్యారు",
+  "Continue with Google": "Google తో కొనసాగండి",
+  "Signed in with Google": "Google తో సైన్ ఇన్ అయ్యారు",
+  "Email me a link": "నాకు లింక్ ఇమెయిల్ చేయండి",
+  "Enter your email address.": "మీ ఇమెయిల్ చిరునామా నమోదు చేయండి.",
+  "Sign-in link sent to {email}": "సైన్-ఇన్ లింక్ {email} కి పంపాం",
+  "Sign out": "సైన్ అవుట్",
+  "Authentication failed.": "ప్రామాణీకరణ విఫలమైంది.",
+  "moved {count} guest records": "{count} అతిథి రికార్డులు తరలించాం",
+  "Your profile": "మీ ప్రొఫైల్",
+  "Personalize your guidance": "మీ మార్గదర్శకత్వాన్ని వ్యక్తిగతీకరించండి",
+  "Risk predictions, prevention tips, checklist tiers and the suggested alert threshold adapt to you.":
+    "ప్రమాద అంచనాలు, నివారణ సూచనలు, చెక్‌లిస్ట్ స్థాయిలు, సూచించిన హెచ్చరిక పరిమితి మీకు అనుగుణంగా మారతాయి.",
+  "No profile yet": "ఇంకా ప్రొఫైల్ లేదు",
+  "Age band": "వయస్సు వర్గం",
+  "Child (under 12)": "పిల్లలు (12 లోపు)",
+  "Teen (12–17)": "కౌమారులు (12–17)",
+  "Adult (18–64)": "పెద్దలు (18–64)",
+  "Senior (65+)": "వృద్ధులు (65+)",
+  "Activity level": "కార్యకలాప స్థాయి",
+  "Mostly indoors": "ఎక్కువగా ఇంట్లోనే",
+  "Regular outdoor activity": "క్రమం తప్పని బయటి కార్యకలాపం",
+  "Outdoor worker / athlete": "బయట పనిచేసేవారు / క్రీడాకారులు",
+  Conditions: "ఆరోగ్య పరిస్థితులు",
+  Asthma: "ఆస్తమా",
+  "COPD / chronic bronchitis": "COPD / దీర్ఘకాలిక బ్రాంకైటిస్",
+  "Heart disease / hypertension": "గుండె జబ్బు / అధిక రక్తపోటు",
+  Diabetes: "మధుమేహం",
+  Pregnancy: "గర్భం",
+  "Allergies / rhinitis": "అలర్జీలు / రైనైటిస్",
+  "I use an inhaler or daily respiratory / cardiac medication": "నేను ఇన్‌హేలర్ లేదా రోజూ శ్వాస / గుండె మందులు వాడతాను",
+  "Suggested alert threshold: {threshold} AQI": "సూచించిన హెచ్చరిక పరిమితి: {threshold} AQI",
+  "Save profile": "ప్రొఫైల్ సేవ్ చేయండి",
+  "Profile saved": "ప్రొఫైల్ సేవ్ అయింది",
+  "Could not save your profile. Try again.": "మీ ప్రొఫైల్‌ను సేవ్ చేయలేకపోయాం. మళ్లీ ప్రయత్నించండి.",
+  "Colours & contrast": "రంగులు & కాంట్రాస్ట్",
+  Palette: "రంగుల పాలెట్",
+  Standard: "ప్రామాణిక",
+  "Colour-blind safe": "వర్ణాంధత్వానికి అనుకూలం",
+  "High contrast": "అధిక కాంట్రాస్ట్",
+  "Severity colours on the dashboard, map and charts. The colour-blind safe and high-contrast palettes also hatch worse levels, and every level is named in text.":
+    "డాష్‌బోర్డ్, మ్యాప్, చార్ట్‌లలో తీవ్రత రంగులు. వర్ణాంధత్వానికి అనుకూల, అధిక కాంట్రాస్ట్ పాలెట్‌లు చెడ్డ స్థాయిలకు గీతలు కూడా వేస్తాయి, ప్రతి స్థాయి పేరు అక్షరాల్లో ఉంటుంది.",
+  "Fallback uses the first source with a reading; blending asks every source and shows the median with how well they agree.":
+    "ప్రత్యామ్నాయ విధానం రీడింగ్ ఉన్న మొదటి మూలాన్ని వాడుతుంది; కలపడం అన్ని మూలాలను అడిగి, అవి ఎంతవరకు ఏకీభవిస్తాయో దానితో పాటు మధ్యగతాన్ని చూపిస్తుంది.",
+  "Data & devices": "డేటా & పరికరాలు",
+  "Sources and sensors": "మూలాలు మరియు సెన్సర్లు",
+  "Choose the index standard and AQI sources, and register indoor sensors.":
+    "సూచిక ప్రమాణం, AQI మూలాలను ఎంచుకుని, ఇండోర్ సెన్సర్లను నమోదు చేయండి.",
+  "Air quality standard": "గాలి నాణ్యత ప్రమాణం",
+  "Index standard": "సూచిక ప్రమాణం",
+  "Sub-indices, colours, advice and checklist tiers follow the selected national scale.":
+    "ఉప-సూచికలు, రంగులు, సలహాలు, చెక్‌లిస్ట్ స్థాయిలు ఎంచుకున్న జాతీయ స్కేల్‌ను అనుసరిస్తాయి.",
+  "Data sources": "డేటా మూలాలు",
+  Mode: "విధానం",
+  "Priority with fallback": "ప్రాధాన్యత, ప్రత్యామ్నాయంతో",
+  "Blend all sources": "అన్ని మూలాలను కలపండి",
+  "Move {source} up": "{source} ని పైకి జరపండి",
+  "Move {source} down": "{source} ని కిందికి జరపండి",
+  "Map stations and city rankings always come from WAQI.":
+    "మ్యాప్ స్టేషన్లు, నగర ర్యాంకింగ్‌లు ఎప్పుడూ WAQI నుంచే వస్తాయి.",
+  "Your sensors": "మీ సెన్సర్లు",
+  "Each device gets its own key": "ప్రతి పరికరానికి సొంత కీ ఉంటుంది",
+  "Sensor name": "సెన్సర్ పేరు",
+  "Room (optional)": "గది (ఐచ్ఛికం)",
+  "Adding…": "చేరుస్తోంది…",
+  "Add sensor": "సెన్సర్ చేర్చండి",
+  "Give the sensor a name.": "సెన్సర్‌కు ఒక పేరు పెట్టండి.",
+  "Sign-in is still starting; sensors can be added in a moment.":
+    "సైన్-ఇన్ ఇంకా మొదలవుతోంది; కాసేపట్లో సెన్సర్లు చేర్చవచ్చు.",
+  "{sensor} added": "{sensor} చేర్చాం",
+  "Could not add the sensor. Try again.": "సెన్సర్‌ను చేర్చలేకపోయాం. మళ్లీ ప్రయత్నించండి.",
+  "Could not remove the sensor. Try again.": "సెన్సర్‌ను తొలగించలేకపోయాం. మళ్లీ ప్రయత్నించండి.",
+  "Device key (shown once, copy it now)": "పరికర కీ (ఒక్కసారే చూపిస్తాం, ఇప్పుడే కాపీ చేయండి)",
+  "POST readings to": "రీడింగ్‌లను ఇక్కడికి POST చేయండి",
+  "Send the key in an X-Sensor-Key header, or add &key=… for firmware without headers.":
+    "కీని X-Sensor-Key హెడర్‌లో పంపండి, లేదా హెడర్లు లేని ఫర్మ్‌వేర్ కోసం &key=… చేర్చండి.",
+  "Set VITE_SENSOR_INGEST_URL to show the HTTP endpoint for this device.":
+    "ఈ పరికరం HTTP ఎండ్‌పాయింట్ చూపడానికి VITE_SENSOR_INGEST_URL సెట్ చేయండి.",
+  "MQTT devices publish to": "MQTT పరికరాలు ఇక్కడికి ప్రచురిస్తాయి",
+  "with the key in a \"key\" field.": "కీని \"key\" ఫీల్డ్‌లో ఉంచి.",
+  "No sensors yet. Add one, or run the simulator in functions/ to try the card.":
+    "ఇంకా సెన్సర్లు లేవు. ఒకటి చేర్చండి, లేదా కార్డ్ ప్రయత్నించడానికి functions/ లో సిమ్యులేటర్ నడపండి.",
+};
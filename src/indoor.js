@@ -0,0 +1,135 @@
+import { getDocs, orderBy, query, Timestamp, where } from "firebase/firestore";
+import { createTranslator } from "./i18n";
+import { loadSetting, saveSetting, userCollection } from "./userData";
+
+const HOUR_MS = 60 * 60 * 1000;
+// A sensor that has not reported for this long is treated as offline rather than as current indoor air.
+export const INDOOR_STALE_MS = 30 * 60 * 1000;
+export const INDOOR_REFRESH_MS = 60 * 1000;
+export const INDOOR_WINDOW_MS = 24 * HOUR_MS;
+// Differences smaller than this are within the noise of cheap laser counters.
+const VENTILATION_MARGIN = 5;
+// Top of the US EPA "Moderate" PM2.5 band; above it outdoor air is not worth letting in.
+const OUTDOOR_VENTILATION_LIMIT = 35.4;
+const INDOOR_PURIFIER_LIMIT = 12;
+
+export const SENSOR_INGEST_URL = import.meta.env.VITE_SENSOR_INGEST_URL || "";
+
+/**
+ * @typedef {Object} SensorDevice
+ * @property {string} id
+ * @property {string} name
+ * @property {string|null} room
+ * @property {string} keyHash SHA-256 of the device key; the key itself is only shown once.
+ * @property {string} createdAt ISO timestamp.
+ */
+
+/**
+ * @typedef {Object} IndoorReading
+ * @property {string} id
+ * @property {string} sensorId
+ * @property {string} sensorName
+ * @property {number} pm25 µg/m³
+ * @property {number|null} pm10
+ * @property {number|null} humidity %RH
+ * @property {number|null} temperatureC
+ * @property {string} format purpleair, sds011 or generic.
+ * @property {Date} createdAt
+ */
+
+const toHex = (bytes) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+
+const sha256Hex = async (text) => toHex(new Uint8Array(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text))));
+
+/** @returns {Promise<SensorDevice[]>} */
+export const loadSensorDevices = async (uid) => {
+  const stored = await loadSetting(uid, "sensors");
+  return Array.isArray(stored?.devices) ? stored.devices : [];
+};
+
+export const saveSensorDevices = (uid, devices) => saveSetting(uid, "sensors", { devices });
+
+/** Generates a device and its key; only the hash is persisted, so the caller must show the key now. */
+export const createSensorDevice = async ({ name, room }) => {
+  const key = toHex(crypto.getRandomValues(new Uint8Array(24)));
+  const device = {
+    id: `sensor-${toHex(crypto.getRandomValues(new Uint8Array(4)))}`,
+    name: name.trim(),
+    room: room?.trim() || null,
+    keyHash: await sha256Hex(key),
+    createdAt: new Date().toISOString(),
+  };
+  return { device, key };
+};
+
+export const sensorIngestUrl = (uid, sensorId) =>
+  SENSOR_INGEST_URL ? `${SENSOR_INGEST_URL}?uid=${encodeURIComponent(uid)}&sensor=${encodeURIComponent(sensorId)}` : null;
+
+/** @returns {Promise<IndoorReading[]>} oldest first. */
+export const loadIndoorReadings = async (uid, since) => {
+  const snapshot = await getDocs(
+    query(userCollection(uid, "indoor"), where("createdAt", ">=", Timestamp.fromDate(since)), orderBy("createdAt", "asc"))
+  );
+  return snapshot.docs
+    .map((entry) => {
+      const data = entry.data();
+      const createdAt = data.createdAt?.toDate?.();
+      if (!createdAt || !Number.isFinite(data.pm25)) return null;
+      return {
+        id: entry.id,
+        sensorId: data.sensorId,
+        sensorName: data.sensorName || data.sensorId,
+        pm25: data.pm25,
+        pm10: Number.isFinite(data.pm10) ? data.pm10 : null,
+        humidity: Number.isFinite(data.humidity) ? data.humidity : null,
+        temperatureC: Number.isFinite(data.temperatureC) ? data.temperatureC : null,
+        format: data.format || "generic",
+        createdAt,
+      };
+    })
+    .filter(Boolean);
+};
+
+/** Newest reading per sensor, flagged `stale` once it is older than INDOOR_STALE_MS. */
+export const latestIndoorBySensor = (readings, now = Date.now()) => {
+  const latest = new Map();
+  readings.forEach((reading) => latest.set(reading.sensorId, reading));
+  return [...latest.values()].map((reading) => ({ ...reading, stale: now - reading.createdAt.getTime() > INDOOR_STALE_MS }));
+};
+
+/**
+ * Compares indoor and outdoor PM2.5 (µg/m³) and says, in the given language, whether opening the windows helps.
+ * @returns {{ action: "ventilate"|"keep-shut"|"either"|"unknown", title: string, detail: string }}
+ */
+export const ventilationAdvice = ({ indoorPm25, outdoorPm25, locale }) => {
+  const { t } = createTranslator(locale);
+  if (indoorPm25 === null || outdoorPm25 === null) {
+    return {
+      action: "unknown",
+      title: t("Waiting for readings"),
+      detail: t(indoorPm25 === null ? "No live indoor sensor reading yet." : "Check the outdoor AQI to compare."),
+    };
+  }
+  const indoor = Math.round(indoorPm25);
+  const outdoor = Math.round(outdoorPm25);
+  const purifierTip = indoorPm25 > INDOOR_PURIFIER_LIMIT ? ` ${t("Run the air purifier until indoor PM2.5 drops.")}` : "";
+  if (outdoorPm25 > OUTDOOR_VENTILATION_LIMIT || outdoorPm25 > indoorPm25 + VENTILATION_MARGIN) {
+    return {
+      action: "keep-shut",
+      title: t("Keep windows shut"),
+      detail: t("Outdoor PM2.5 is {outdoor} µg/m³ against {indoor} indoors.", { outdoor, indoor }) + purifierTip,
+    };
+  }
+  if (outdoorPm25 + VENTILATION_MARGIN < indoorPm25) {
+    return {
+      action: "ventilate",
+      title: t("Ventilate now"),
+      detail: t("Outdoor air is cleaner ({outdoor} vs {indoor} µg/m³). Open windows for 10–15 minutes.", { outdoor, indoor }),
+    };
+  }
+  return {
+    action: "either",
+    title: t("Indoor and outdoor are similar"),
+    detail: t("Both are around {indoor} µg/m³; a short airing for fresh air will not change much.", { indoor }) + purifierTip,
+  };
+};
@@ -0,0 +1,195 @@
+import { reverseGeocode } from "./geocode";
+
+// Fixes at least this accurate count as GPS; coarser geolocation fixes come from Wi-Fi or cell towers.
+export const GPS_ACCURACY_M = 100;
+// A better fix keeps winning over worse ones until it is this old.
+export const FIX_STALE_MS = 5 * 60 * 1000;
+const IP_LOOKUP_URL = "https://ipapi.co/json/";
+const PLACE_CACHE_KEY = "atmosense:places";
+// Geohash cells of this precision are about 150 m across: moving inside one reuses its label.
+const GEOHASH_PRECISION = 7;
+const PLACE_CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_CACHED_PLACES = 200;
+const GEOHASH_ALPHABET = "0123456789bcdefghjkmnpqrstuvwxyz";
+
+/**
+ * Where a location fix came from, best first. "manual" is a place the user chose (city or station
+ * lookup); it wins until they ask for their own location again. The device sources rank by accuracy.
+ */
+export const FIX_SOURCES = {
+  manual: { rank: 4 },
+  gps: { rank: 3, status: "Live" },
+  network: { rank: 2, status: "Live (network)" },
+  ip: { rank: 1, status: "Approximate via network" },
+};
+
+export const coordsLabel = ({ lat, lng }) => `${lat.toFixed(4)}, ${lng.toFixed(4)}`;
+
+/**
+ * @typedef {Object} LocationFix
+ * @property {"gps"|"network"|"ip"|"manual"} source
+ * @property {{ lat: number, lng: number }} coords
+ * @property {number|null} [accuracy] Radius in metres, when the source reports one.
+ * @property {string} [status] Status text for manual fixes ("City lookup", "Station lookup").
+ * @property {string} [label] A label the source already knows (IP lookups), shown until reverse geocoding answers.
+ */
+
+/** @returns {LocationFix} A Geolocation API position, classed as GPS or network by its accuracy. */
+export const fixFromPosition = (position) => {
+  const accuracy = Number.isFinite(position.coords.accuracy) ? position.coords.accuracy : null;
+  return {
+    source: accuracy !== null && accuracy <= GPS_ACCURACY_M ? "gps" : "network",
+    coords: { lat: position.coords.latitude, lng: position.coords.longitude },
+    accuracy,
+  };
+};
+
+const deviceState = (location, device) => ({
+  ...location,
+  source: device.source,
+  coords: device.coords,
+  accuracy: device.accuracy,
+  status: FIX_SOURCES[device.source].status,
+});
+
+/**
+ * The location state machine, used by the store's reducer. `location.device` keeps the best recent
+ * device fix; `source`/`coords` are what the app is showing, which is the device fix unless a manual
+ * one is pinned. A worse device fix only replaces a better one once that has gone stale.
+ */
+export const applyFix = (location, fix, at) => {
+  if (fix.source === "manual") {
+    return { ...location, source: "manual", coords: fix.coords, accuracy: null, status: fix.status || "City lookup" };
+  }
+  const { device } = location;
+  if (device && FIX_SOURCES[fix.source].rank < FIX_SOURCES[device.source].rank && at - device.at < FIX_STALE_MS) {
+    return location;
+  }
+  const next = { ...location, device: { source: fix.source, coords: fix.coords, accuracy: fix.accuracy ?? null, at } };
+  if (location.source === "manual") return next;
+  return { ...deviceState(next, next.device), ...(fix.label ? { label: fix.label } : {}) };
+};
+
+/** Drops a pinned manual fix and goes back to the device's, or to no fix at all. */
+export const releaseManualFix = (location) => {
+  if (location.source !== "manual") return location;
+  return location.device
+    ? deviceState(location, location.device)
+    : { ...location, source: "none", coords: null, accuracy: null, status: "Idle" };
+};
+
+/** Progress and error text ("Locating…", "Permission denied…") only shows while there is no fix. */
+export const applyLocationStatus = (location, status, label) =>
+  location.coords ? location : { ...location, status, ...(label ? { label } : {}) };
+
+/** Approximate location from the visitor's IP address (ipapi.co). */
+export const lookupIpLocation = async () => {
+  const response = await fetch(IP_LOOKUP_URL);
+  if (!response.ok) throw new Error("IP geolocation failed");
+  const data = await response.json();
+  const lat = Number(data.latitude);
+  const lng = Number(data.longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) throw new Error("Missing coordinates");
+  return {
+    source: "ip",
+    coords: { lat, lng },
+    accuracy: null,
+    label: [data.city, data.country_name].filter(Boolean).join(", ") || coordsLabel({ lat, lng }),
+  };
+};
+
+export const encodeGeohash = (lat, lng, precision = GEOHASH_PRECISION) => {
+  const range = { lat: [-90, 90], lng: [-180, 180] };
+  let hash = "";
+  let bits = 0;
+  let value = 0;
+  let evenBit = true;
+  while (hash.length < precision) {
+    const axis = evenBit ? "lng" : "lat";
+    const target = axis === "lng" ? lng : lat;
+    const mid = (range[axis][0] + range[axis][1]) / 2;
+    value <<= 1;
+    if (target >= mid) {
+      value |= 1;
+      range[axis][0] = mid;
+    } else {
+      range[axis][1] = mid;
+    }
+    evenBit = !evenBit;
+    bits += 1;
+    if (bits === 5) {
+      hash += GEOHASH_ALPHABET[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+  return hash;
+};
+
+/** "Neighbourhood, City" from a Nominatim address block, falling back to whichever half exists. */
+export const shortPlaceLabel = (address) => {
+  if (!address) return null;
+  const local = address.neighbourhood || address.suburb || address.quarter || address.city_district || address.village || address.hamlet;
+  const city = address.city || address.town || address.municipality || address.county || address.state_district || address.state;
+  const parts = [local, city].filter(Boolean);
+  return [...new Set(parts)].join(", ") || address.country || null;
+};
+
+/** The same two parts from a Google Geocoder result. */
+export const shortGoogleLabel = (result) => {
+  const part = (...types) =>
+    result?.address_components?.find((component) => types.some((type) => component.types.includes(type)))?.long_name;
+  const parts = [part("neighborhood", "sublocality"), part("locality", "administrative_area_level_2")].filter(Boolean);
+  return [...new Set(parts)].join(", ") || result?.formatted_address?.split(",").slice(0, 2).join(",").trim() || null;
+};
+
+const readPlaceCache = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(PLACE_CACHE_KEY) || "{}");
+    return stored && typeof stored === "object" ? stored : {};
+  } catch (err) {
+    return {};
+  }
+};
+
+const writePlaceCache = (hash, label) => {
+  const cache = readPlaceCache();
+  delete cache[hash];
+  cache[hash] = { label, at: Date.now() };
+  // Object keys keep insertion order, so the oldest labels go first.
+  const entries = Object.entries(cache).slice(-MAX_CACHED_PLACES);
+  try {
+    window.localStorage.setItem(PLACE_CACHE_KEY, JSON.stringify(Object.fromEntries(entries)));
+  } catch (err) {
+    // Without storage every session geocodes afresh; still within the rate limit.
+  }
+};
+
+/**
+ * A short label for `coords`: from the geohash cache when a nearby point was named before, otherwise
+ * Nominatim (rate limited in geocode.js), then `fallback(coords)` (e.g. Google's geocoder), then the
+ * coordinates themselves. Only real place names are cached. Resolves to null when `signal` aborts
+ * before Nominatim answers, e.g. because the device has moved on.
+ */
+export const resolvePlaceLabel = async (coords, { fallback = null, signal } = {}) => {
+  const hash = encodeGeohash(coords.lat, coords.lng);
+  const cached = readPlaceCache()[hash];
+  if (cached && Date.now() - cached.at < PLACE_CACHE_TTL_MS) return cached.label;
+  let label = null;
+  try {
+    label = shortPlaceLabel(await reverseGeocode(coords, { signal }));
+  } catch (err) {
+    if (signal?.aborted) return null;
+    console.warn("Nominatim reverse geocode failed", err);
+  }
+  if (!label && fallback) {
+    try {
+      label = await fallback(coords);
+    } catch (err) {
+      console.warn("Fallback reverse geocode failed", err);
+    }
+  }
+  if (!label) return coordsLabel(coords);
+  writePlaceCache(hash, label);
+  return label;
+};
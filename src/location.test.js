@@ -0,0 +1,112 @@
+import { http, HttpResponse } from "msw";
+import { describe, expect, it, vi } from "vitest";
+import {
+  applyFix,
+  applyLocationStatus,
+  encodeGeohash,
+  FIX_STALE_MS,
+  fixFromPosition,
+  releaseManualFix,
+  resolvePlaceLabel,
+  shortPlaceLabel,
+} from "./location";
+import { NOMINATIM_REVERSE } from "./test/handlers";
+import { server } from "./test/server";
+
+const EMPTY = { source: "none", coords: null, accuracy: null, device: null, status: "Idle", label: null };
+const HOME = { lat: 28.6139, lng: 77.209 };
+const OFFICE = { lat: 28.5355, lng: 77.391 };
+
+describe("location state machine", () => {
+  it("classes geolocation fixes by accuracy", () => {
+    const position = (accuracy) => ({ coords: { latitude: HOME.lat, longitude: HOME.lng, accuracy } });
+    expect(fixFromPosition(position(15)).source).toBe("gps");
+    expect(fixFromPosition(position(900)).source).toBe("network");
+  });
+
+  it("keeps a fresh better fix over a worse one until it goes stale", () => {
+    const gps = applyFix(EMPTY, { source: "gps", coords: HOME, accuracy: 10 }, 0);
+    expect(gps).toMatchObject({ source: "gps", coords: HOME, status: "Live" });
+
+    expect(applyFix(gps, { source: "ip", coords: OFFICE, label: "Noida, India" }, 60 * 1000)).toBe(gps);
+    const later = applyFix(gps, { source: "ip", coords: OFFICE, label: "Noida, India" }, FIX_STALE_MS + 1);
+    expect(later).toMatchObject({ source: "ip", coords: OFFICE, status: "Approximate via network", label: "Noida, India" });
+  });
+
+  it("pins manual lookups while still tracking the device", () => {
+    const gps = applyFix(EMPTY, { source: "gps", coords: HOME, accuracy: 10 }, 0);
+    const city = applyFix(gps, { source: "manual", coords: OFFICE, status: "City lookup" }, 1000);
+    const moved = applyFix(city, { source: "gps", coords: { lat: 28.62, lng: 77.21 }, accuracy: 10 }, 2000);
+    expect(moved).toMatchObject({ source: "manual", coords: OFFICE, status: "City lookup" });
+    expect(moved.device.coords).toEqual({ lat: 28.62, lng: 77.21 });
+
+    expect(releaseManualFix(moved)).toMatchObject({ source: "gps", coords: { lat: 28.62, lng: 77.21 }, status: "Live" });
+  });
+
+  it("shows progress and errors only while there is no fix", () => {
+    expect(applyLocationStatus(EMPTY, "Locating…")).toMatchObject({ status: "Locating…" });
+    const gps = applyFix(EMPTY, { source: "gps", coords: HOME, accuracy: 10 }, 0);
+    expect(applyLocationStatus(gps, "Location timed out", "Fallback")).toBe(gps);
+  });
+});
+
+describe("place labels", () => {
+  it("shortens Nominatim addresses to neighbourhood and city", () => {
+    expect(shortPlaceLabel(NOMINATIM_REVERSE.address)).toBe("Vikram Nagar, New Delhi");
+    expect(shortPlaceLabel({ city: "Pune", state: "Maharashtra" })).toBe("Pune");
+    expect(shortPlaceLabel({ country: "India" })).toBe("India");
+  });
+
+  it("encodes geohashes", () => {
+    expect(encodeGeohash(57.64911, 10.40744, 11)).toBe("u4pruydqqvj");
+    expect(encodeGeohash(HOME.lat, HOME.lng)).toHaveLength(7);
+  });
+
+  it("geocodes each geohash cell once, at neighbourhood zoom and without custom headers", async () => {
+    const lookups = [];
+    server.use(
+      http.get("https://nominatim.openstreetmap.org/reverse", ({ request }) => {
+        lookups.push(request);
+        return HttpResponse.json(NOMINATIM_REVERSE);
+      })
+    );
+    await expect(resolvePlaceLabel(HOME)).resolves.toBe("Vikram Nagar, New Delhi");
+    await expect(resolvePlaceLabel({ lat: HOME.lat + 0.0005, lng: HOME.lng - 0.0005 })).resolves.toBe("Vikram Nagar, New Delhi");
+    expect(lookups).toHaveLength(1);
+    expect(new URL(lookups[0].url).searchParams.get("zoom")).toBe("14");
+    expect(lookups[0].headers.get("user-agent")).toBeNull();
+  });
+
+  it("spaces Nominatim requests a second apart and falls back to coordinates", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const times = [];
+    server.use(
+      http.get("https://nominatim.openstreetmap.org/reverse", () => {
+        times.push(Date.now());
+        return new HttpResponse(null, { status: 503 });
+      })
+    );
+    const labels = await Promise.all([resolvePlaceLabel(HOME), resolvePlaceLabel(OFFICE)]);
+    expect(labels).toEqual(["28.6139, 77.2090", "28.5355, 77.3910"]);
+    expect(times[1] - times[0]).toBeGreaterThanOrEqual(990);
+  });
+
+  it("drops a superseded lookup before its turn instead of making the next one wait", async () => {
+    const lookups = [];
+    server.use(
+      http.get("https://nominatim.openstreetmap.org/reverse", ({ request }) => {
+        lookups.push({ lat: new URL(request.url).searchParams.get("lat"), at: Date.now() });
+        return HttpResponse.json(NOMINATIM_REVERSE);
+      })
+    );
+    const superseded = new AbortController();
+    const current = resolvePlaceLabel(HOME);
+    const stale = resolvePlaceLabel(OFFICE, { signal: superseded.signal });
+    const next = resolvePlaceLabel({ lat: 19.076, lng: 72.8777 });
+    superseded.abort();
+    await expect(stale).resolves.toBeNull();
+    await Promise.all([current, next]);
+    expect(lookups.map((lookup) => lookup.lat)).toEqual(["28.6139", "19.076"]);
+    expect(lookups[1].at - lookups[0].at).toBeLessThan(1500);
+  });
+});
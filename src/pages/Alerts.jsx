@@ -0,0 +1,424 @@
+import React, { useEffect, useState } from "react";
+import { useOutletContext } from "react-router-dom";
+import { AUTO_REFRESH_MINUTES } from "../autoRefresh";
+import { useI18n } from "../hooks/useI18n";
+import { usePalette } from "../hooks/usePalette";
+import { useUserLog } from "../hooks/useUserLog";
+import { getPushSubscription, isPushSupported, subscribeToPush, unsubscribeFromPush } from "../pwa";
+import { suggestThreshold } from "../profile";
+import { providerName } from "../providers";
+import { evaluateReading } from "../standards";
+import { actions, selectDeviceCoords, selectUid, useAppDispatch, useAppState } from "../store";
+import ThresholdSlider from "../ThresholdSlider";
+import { loadSetting, saveSetting } from "../userData";
+import { createPlace, DEFAULT_PLACE_THRESHOLD, describePlaceTarget, MAX_WATCHLIST_PLACES } from "../watchlist";
+
+const EMPTY_CHANNELS = { email: { enabled: false }, webhook: { enabled: false, url: "" } };
+const ALERT_LOG_PAGE_SIZE = 10;
+
+function Alerts() {
+  const { refreshWatchlist, forgetAlertScope } = useOutletContext();
+  const dispatch = useAppDispatch();
+  const uid = useAppState(selectUid);
+  // Background email only goes to the account's own verified address; the worker and the rules check it too.
+  const verifiedEmail = useAppState((state) => (state.user?.emailVerified && state.user.email) || null);
+  const autoRefresh = useAppState((state) => state.autoRefresh);
+  const alertThreshold = useAppState((state) => state.settings.alertThreshold);
+  const standardId = useAppState((state) => state.settings.standardId);
+  const healthProfile = useAppState((state) => state.profile);
+  const { places, readings } = useAppState((state) => state.watchlist);
+  const location = useAppState(selectDeviceCoords);
+  const { t, formatObservedAt, formatTime } = useI18n();
+  const palette = usePalette();
+  const suggestedThreshold = suggestThreshold(healthProfile);
+  const [channelDraft, setChannelDraft] = useState(EMPTY_CHANNELS);
+  const [channelStatus, setChannelStatus] = useState({ saving: false, message: null, error: null });
+  const [pushState, setPushState] = useState({ subscribed: false, busy: false, error: null });
+  const [watchDraft, setWatchDraft] = useState({ name: "", target: "", threshold: DEFAULT_PLACE_THRESHOLD });
+  const [watchError, setWatchError] = useState(null);
+  // "" lists every alert; otherwise only those of one scope ("dashboard" or "place:<id>").
+  const [logScope, setLogScope] = useState("");
+  const alertLog = useUserLog("alerts", {
+    filters: logScope ? [["scope", "==", logScope]] : [],
+    pageSize: ALERT_LOG_PAGE_SIZE,
+  });
+
+  useEffect(() => {
+    if (!uid) return;
+    let cancelled = false;
+    setChannelDraft(EMPTY_CHANNELS);
+    loadSetting(uid, "channels")
+      .then((channels) => {
+        if (cancelled || !channels) return;
+        setChannelDraft({
+          email: { enabled: Boolean(channels.email?.enabled) },
+          webhook: { enabled: Boolean(channels.webhook?.enabled), url: channels.webhook?.url || "" },
+        });
+      })
+      .catch((err) => console.warn("Failed to load alert channels", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [uid]);
+
+  useEffect(() => {
+    getPushSubscription()
+      .then((subscription) => setPushState((prev) => ({ ...prev, subscribed: Boolean(subscription) })))
+      .catch((err) => console.warn("Failed to read push subscription", err));
+  }, []);
+
+  const handleThresholdChange = (value) => {
+    dispatch(actions.setAlertThreshold(value));
+  };
+
+  const updateChannelDraft = (channel, patch) => {
+    setChannelDraft((prev) => ({ ...prev, [channel]: { ...prev[channel], ...patch } }));
+  };
+
+  const handleSaveChannels = async (event) => {
+    event.preventDefault();
+    if (channelDraft.webhook.enabled && !/^https:\/\//.test(channelDraft.webhook.url.trim())) {
+      setChannelStatus({ saving: false, message: null, error: t("Webhook URLs must start with https://") });
+      return;
+    }
+    setChannelStatus({ saving: true, message: null, error: null });
+    try {
+      if (!uid) throw new Error("Not signed in");
+      await saveSetting(uid, "channels", {
+        email: { enabled: channelDraft.email.enabled && Boolean(verifiedEmail), address: verifiedEmail || "" },
+        webhook: { enabled: channelDraft.webhook.enabled, url: channelDraft.webhook.url.trim() },
+      });
+      setChannelStatus({ saving: false, message: t("Background alert channels saved"), error: null });
+    } catch (err) {
+      console.warn("Failed to save alert channels", err);
+      setChannelStatus({ saving: false, message: null, error: t("Could not save alert channels. Try again.") });
+    }
+  };
+
+  const handleTogglePush = async () => {
+    if (!uid) return;
+    setPushState((prev) => ({ ...prev, busy: true, error: null }));
+    try {
+      if (pushState.subscribed) {
+        await unsubscribeFromPush(uid);
+        setPushState({ subscribed: false, busy: false, error: null });
+      } else {
+        await subscribeToPush(uid);
+        dispatch(actions.setNotificationStatus("granted"));
+        setPushState({ subscribed: true, busy: false, error: null });
+      }
+    } catch (err) {
+      console.warn("Failed to update push subscription", err);
+      setPushState((prev) => ({ ...prev, busy: false, error: err?.message || t("Could not update push alerts.") }));
+    }
+  };
+
+  const handleAddPlace = (event) => {
+    event.preventDefault();
+    if (places.length >= MAX_WATCHLIST_PLACES) {
+      setWatchError(t("You can watch up to {count} places.", { count: MAX_WATCHLIST_PLACES }));
+      return;
+    }
+    const place = createPlace(watchDraft);
+    if (!place) {
+      setWatchError(t("Enter a city name or coordinates like 28.61, 77.20."));
+      return;
+    }
+    setWatchError(null);
+    dispatch(actions.placeAdded(place));
+    setWatchDraft({ name: "", target: "", threshold: suggestedThreshold });
+    refreshWatchlist([place]);
+  };
+
+  const handleUseCurrentLocation = () => {
+    if (!location) {
+      setWatchError(t("Live location is not available yet."));
+      return;
+    }
+    setWatchError(null);
+    setWatchDraft((prev) => ({ ...prev, target: `${location.lat.toFixed(4)}, ${location.lng.toFixed(4)}` }));
+  };
+
+  const updatePlaceThreshold = (id, threshold) => {
+    dispatch(actions.placeThresholdChanged(id, threshold));
+  };
+
+  const removePlace = (id) => {
+    dispatch(actions.placeRemoved(id));
+    forgetAlertScope(`place:${id}`);
+    if (logScope === `place:${id}`) setLogScope("");
+  };
+
+  return (
+    <>
+      <section className="section">
+        <div className="section-heading">
+          <div>
+            <p className="section-label">{t("Automation & alerts")}</p>
+            <h2 className="section-title">{t("Proactive monitoring")}</h2>
+          </div>
+          <p className="section-subtitle">{t("Tune refresh cadence, custom alerts, and review recent spikes without touching the map.")}</p>
+        </div>
+        <div className="automation-grid">
+          <div className="card automation-card">
+            <div className="card-header">
+              <div className="label">{t("Auto refresh")}</div>
+              <span className={`status-chip ${autoRefresh.enabled ? "active" : ""}`}>
+                {t(autoRefresh.enabled ? "Running" : "Manual")}
+              </span>
+            </div>
+            <p className="subtle">{t("Automatically capture AQI snapshots from your live location even when you forget.")}</p>
+            <button
+              type="button"
+              role="switch"
+              aria-checked={autoRefresh.enabled}
+              className={`toggle ${autoRefresh.enabled ? "active" : ""}`}
+              onClick={() => dispatch(actions.updateAutoRefresh({ enabled: !autoRefresh.enabled }))}
+            >
+              {t("Auto-refresh")} <span aria-hidden="true">{t(autoRefresh.enabled ? "on" : "off")}</span>
+            </button>
+            <label className="automation-label" htmlFor="cadence-select">{t("Refresh cadence")}</label>
+            <select
+              id="cadence-select"
+              className="automation-select"
+              value={autoRefresh.minutes}
+              onChange={(e) => dispatch(actions.updateAutoRefresh({ minutes: Number(e.target.value) }))}
+            >
+              {AUTO_REFRESH_MINUTES.map((minutes) => (
+                <option key={minutes} value={minutes}>
+                  {t("Every {minutes} min", { minutes })}
+                </option>
+              ))}
+            </select>
+            <div className="subtle">
+              {t("Next auto refresh: {time}", { time: autoRefresh.nextAt ? formatTime(autoRefresh.nextAt) : t("Manual only") })}
+            </div>
+          </div>
+
+          <div className="card automation-card">
+            <div className="card-header">
+              <div className="label">{t("Alert threshold")}</div>
+              <span className="alert-pill">{alertThreshold} AQI</span>
+            </div>
+            <p className="subtle">{t("We notify you the moment AQI exceeds your personal limit. Lower it for sensitive groups.")}</p>
+            <ThresholdSlider id="alert-threshold" label={t("Alert threshold")} value={alertThreshold} onChange={handleThresholdChange} />
+            <div className="threshold-scale">
+              <span>50</span>
+              <span>200</span>
+              <span>400</span>
+            </div>
+            <p className="subtle">{t("Alert fires at ≥ {threshold} AQI.", { threshold: alertThreshold })}</p>
+            {healthProfile && suggestedThreshold !== alertThreshold && (
+              <button className="button tiny" onClick={() => handleThresholdChange(suggestedThreshold)}>
+                {t("Use profile suggestion ({threshold} AQI)", { threshold: suggestedThreshold })}
+              </button>
+            )}
+          </div>
+
+          <form className="card automation-card" onSubmit={handleSaveChannels}>
+            <div className="card-header">
+              <div className="label">{t("Background alerts")}</div>
+              <span className={`status-chip ${pushState.subscribed || channelDraft.email.enabled || channelDraft.webhook.enabled ? "active" : ""}`}>
+                {t(pushState.subscribed || channelDraft.email.enabled || channelDraft.webhook.enabled ? "On" : "Off")}
+              </span>
+            </div>
+            <p className="subtle">
+              {t("A scheduled worker checks your watchlist every 15 minutes and alerts you even when this tab is closed.")}
+            </p>
+            <label className="profile-check">
+              <input
+                type="checkbox"
+                checked={channelDraft.email.enabled && Boolean(verifiedEmail)}
+                onChange={(e) => updateChannelDraft("email", { enabled: e.target.checked })}
+                disabled={!verifiedEmail}
+              />
+              {t("Email")}
+            </label>
+            <p className="subtle">
+              {verifiedEmail
+                ? t("Alerts go to {email}, the address on your account.", { email: verifiedEmail })
+                : t("Sign in with Google or an email link in Settings to get email alerts.")}
+            </p>
+            <label className="profile-check">
+              <input
+                type="checkbox"
+                checked={channelDraft.webhook.enabled}
+                onChange={(e) => updateChannelDraft("webhook", { enabled: e.target.checked })}
+              />
+              {t("Webhook (Slack, Teams, custom)")}
+            </label>
+            <input
+              type="url"
+              value={channelDraft.webhook.url}
+              onChange={(e) => updateChannelDraft("webhook", { url: e.target.value })}
+              placeholder="https://hooks.example.com/…"
+              className="automation-select"
+            />
+            <div className="push-row">
+              <span>{t("Push to this device")}</span>
+              <button
+                type="button"
+                className={`button tiny ${pushState.subscribed ? "active" : ""}`}
+                onClick={handleTogglePush}
+                disabled={!isPushSupported() || pushState.busy || !uid}
+              >
+                {t(pushState.busy ? "Working…" : pushState.subscribed ? "Turn off" : "Turn on")}
+              </button>
+            </div>
+            {!isPushSupported() && (
+              <div className="subtle">{t("Install the app in a browser with Web Push support to get alerts here.")}</div>
+            )}
+            {pushState.error && <div className="error-text">{pushState.error}</div>}
+            <button type="submit" className="button tiny" disabled={channelStatus.saving || !uid}>
+              {t(channelStatus.saving ? "Saving…" : "Save channels")}
+            </button>
+            {channelStatus.error && <div className="error-text">{channelStatus.error}</div>}
+            {channelStatus.message && <div className="subtle">{channelStatus.message}</div>}
+          </form>
+
+          <div className="card automation-card alert-log-card">
+            <div className="card-header">
+              <div className="label">{t("Alert log")}</div>
+              <div className="subtle">
+                {alertLog.entries.length ? t("Last spike • {time}", { time: formatObservedAt(alertLog.entries[0].observedAt) }) : t("No alerts yet")}
+              </div>
+            </div>
+            <label className="automation-label" htmlFor="alert-log-scope">{t("Show")}</label>
+            <select
+              id="alert-log-scope"
+              className="automation-select"
+              value={logScope}
+              onChange={(e) => setLogScope(e.target.value)}
+            >
+              <option value="">{t("All alerts")}</option>
+              <option value="dashboard">{t("Dashboard")}</option>
+              {places.map((place) => (
+                <option key={place.id} value={`place:${place.id}`}>
+                  {place.name}
+                </option>
+              ))}
+            </select>
+            <div className="alert-log">
+              {alertLog.entries.length === 0 ? (
+                <div className="empty-state">{t(alertLog.loading ? "Loading alerts…" : "Threshold alerts will appear here.")}</div>
+              ) : (
+                alertLog.entries.map((entry) => (
+                  <div key={entry.id} className="alert-log-entry">
+                    <div>
+                      <div className="alert-log-title">{entry.label}</div>
+                      <div className="alert-log-meta">
+                        {t("Observed at {time}", { time: formatObservedAt(entry.observedAt) })}
+                        {entry.threshold ? ` • ${t("threshold {threshold}", { threshold: entry.threshold })}` : ""}
+                      </div>
+                    </div>
+                    <div className="alert-log-value">{entry.aqi}</div>
+                  </div>
+                ))
+              )}
+            </div>
+            {alertLog.error && <div className="error-text">{alertLog.error}</div>}
+            {alertLog.hasMore && (
+              <button type="button" className="button tiny ghost" onClick={alertLog.showMore}>
+                {t("Show older alerts")}
+              </button>
+            )}
+          </div>
+        </div>
+      </section>
+
+      <section className="section">
+        <div className="section-heading">
+          <div>
+            <p className="section-label">{t("Watchlist")}</p>
+            <h2 className="section-title">{t("Places you follow")}</h2>
+          </div>
+          <p className="section-subtitle">{t("Each place keeps its own alert threshold and refreshes with the auto-refresh cadence.")}</p>
+        </div>
+        <form className="controls watch-form" onSubmit={handleAddPlace}>
+          <input
+            type="text"
+            value={watchDraft.name}
+            onChange={(e) => setWatchDraft((prev) => ({ ...prev, name: e.target.value }))}
+            placeholder={t("Name (Home, Office…)")}
+            className="input"
+          />
+          <input
+            type="text"
+            value={watchDraft.target}
+            onChange={(e) => setWatchDraft((prev) => ({ ...prev, target: e.target.value }))}
+            placeholder={t("City or lat, lng")}
+            className="input"
+          />
+          <label className="watch-threshold-input">
+            <span>{t("Alert at")}</span>
+            <input
+              type="number"
+              min="50"
+              max="400"
+              step="10"
+              value={watchDraft.threshold}
+              onChange={(e) => setWatchDraft((prev) => ({ ...prev, threshold: Number(e.target.value) }))}
+              className="input"
+            />
+          </label>
+          <button type="button" className="button ghost" onClick={handleUseCurrentLocation}>
+            {t("Use my location")}
+          </button>
+          <button type="submit" className="button">
+            {t("Add place")}
+          </button>
+        </form>
+        {watchError && <div className="error-text">{watchError}</div>}
+        <div className="watch-grid">
+          {places.length === 0 ? (
+            <div className="empty-state">{t("Add home, office or school to track them side by side.")}</div>
+          ) : (
+            places.map((place) => {
+              const reading = readings[place.id] || {};
+              const breached = reading.aqi != null && reading.aqi >= place.threshold;
+              const placeColor = reading.aqi != null ? palette.bandColor(evaluateReading(reading, standardId).band, "#94a3b8") : "#94a3b8";
+              return (
+                <div key={place.id} className={`card watch-card ${breached ? "breached" : ""}`}>
+                  <div className="card-header">
+                    <div>
+                      <div className="watch-name">{place.name}</div>
+                      <div className="subtle">{describePlaceTarget(place)}</div>
+                    </div>
+                    <button className="button tiny" onClick={() => removePlace(place.id)}>
+                      {t("Remove")}
+                    </button>
+                  </div>
+                  <div className="watch-aqi" style={{ color: placeColor }}>
+                    {reading.loading && reading.aqi == null ? "…" : reading.aqi ?? "--"}
+                    {breached && <span className="watch-breach">{t("Above threshold")}</span>}
+                  </div>
+                  <div className="subtle">
+                    {reading.error ||
+                      (reading.station
+                        ? `${reading.station} • ${formatObservedAt(reading.observedAt)} • ${providerName(reading.provider)}`
+                        : t("Awaiting first reading"))}
+                  </div>
+                  <label className="automation-label" htmlFor={`threshold-${place.id}`}>
+                    {t("Alert at ≥ {threshold} AQI", { threshold: place.threshold })}
+                  </label>
+                  <ThresholdSlider
+                    id={`threshold-${place.id}`}
+                    value={place.threshold}
+                    onChange={(threshold) => updatePlaceThreshold(place.id, threshold)}
+                  />
+                </div>
+              );
+            })
+          )}
+        </div>
+        {places.length > 0 && (
+          <button className="button tiny watch-refresh" onClick={() => refreshWatchlist()}>
+            {t("Refresh watchlist")}
+          </button>
+        )}
+      </section>
+    </>
+  );
+}
+
+export default Alerts;
@@ -0,0 +1,742 @@
+import React, { useEffect, useMemo, useRef } from "react";
+import { useLocation, useOutletContext } from "react-router-dom";
+import { Bar } from "react-chartjs-2";
+import "chart.js/auto";
+import PlaceSearch from "../PlaceSearch";
+import Sparkline from "../Sparkline";
+import { EXPOSURE_LIMITS } from "../exposure";
+import { useCityRankings } from "../hooks/useCityRankings";
+import { useExposure } from "../hooks/useExposure";
+import { useHealthGuidance } from "../hooks/useHealthGuidance";
+import { useI18n } from "../hooks/useI18n";
+import { useIndoorAir } from "../hooks/useIndoorAir";
+import { usePalette } from "../hooks/usePalette";
+import { coordsLabel } from "../location";
+import { suggestionTarget } from "../placeSuggestions";
+import { providerName } from "../providers";
+import { sortRankingRows } from "../rankings";
+import { sharePath, targetFromLocation } from "../shareLinks";
+import { bandFor, DEFAULT_STANDARD_ID } from "../standards";
+import { actions, selectAqi, selectIsLive, selectLocationText, useAppDispatch, useAppState } from "../store";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AGREEMENT_LABELS = { high: "Sources agree", moderate: "Sources roughly agree", low: "Sources disagree" };
+const NOTIFICATION_LABELS = { off: "Off", default: "Not asked yet", granted: "Enabled", denied: "Blocked", unsupported: "Not supported" };
+
+// Axis labels carry each band's name, so the bars never rely on colour alone.
+const buildPollutantChart = (evaluation, palette, t) => {
+  if (!evaluation?.subIndices.length) return null;
+  const entries = evaluation.subIndices;
+  return {
+    labels: entries.map((entry) => `${entry.label} • ${t(entry.band.label)}`),
+    datasets: [
+      {
+        label: t("{standard} sub-index", { standard: evaluation.standard.shortName }),
+        data: entries.map((entry) => entry.subIndex),
+        backgroundColor: entries.map((entry) => palette.chartFill(palette.bandColor(entry.band), entry.band.level)),
+        borderRadius: 8,
+      },
+    ],
+  };
+};
+
+function Dashboard() {
+  const { fetchAqi, locateApproximately } = useOutletContext();
+  const dispatch = useAppDispatch();
+  const {
+    city,
+    target: feedTarget,
+    reading: latestReading,
+    error: fetchError,
+    staleSince,
+    lastUpdated,
+    history,
+  } = useAppState((state) => state.feed);
+  const aqi = useAppState(selectAqi);
+  const location = useAppState((state) => state.location);
+  const locationText = useAppState(selectLocationText);
+  const isLive = useAppState(selectIsLive);
+  const notificationStatus = useAppState((state) => state.notificationStatus);
+  const isOnline = useAppState((state) => state.isOnline);
+  const exposureLimitId = useAppState((state) => state.settings.exposureLimitId);
+  const { rankings } = useCityRankings();
+  const { exposure, limit: exposureLimit, percent: exposurePercent, overLimit: exposureOverLimit } = useExposure();
+  const indoor = useIndoorAir();
+  const { t, formatDate, formatDateTime, formatObservedAt, formatTime, localizeBand } = useI18n();
+  const palette = usePalette();
+  const { sensors: indoorSensors, liveSensors: liveIndoorSensors, indoorPm25, outdoorSample, outdoorPm25, ventilation } = indoor;
+  const {
+    standard,
+    evaluation,
+    activeBand,
+    advice,
+    prevention,
+    color,
+    displayIndex,
+    healthStatus,
+    healthProfile,
+    riskChart,
+    mlRiskPredictions,
+    personalizedDiseases,
+    readinessChecklist,
+  } = useHealthGuidance({ indoorPm25, ventilation });
+
+  const locationLabel = location.label;
+  const locationStatus = location.status;
+  const pollutantChart = useMemo(() => buildPollutantChart(evaluation, palette, t), [evaluation, palette, t]);
+  const rankedByAqi = useMemo(() => sortRankingRows(rankings.rows.filter((row) => row.aqi !== null), "aqi"), [rankings.rows]);
+  const cleanestCity = rankedByAqi[0];
+  const mostPollutedCity = rankedByAqi[rankedByAqi.length - 1];
+  const latestManualReading = history[0];
+  const isCityLookup = locationStatus === "City lookup" || locationStatus === "Station lookup";
+  const aqiPercent = displayIndex === null ? 6 : (Math.min(standard.scaleMax, Math.max(0, displayIndex)) / standard.scaleMax) * 100;
+  const updatedLabel = formatObservedAt(lastUpdated || latestManualReading?.observedAt) || t("Awaiting data");
+  const locationModeLabel = t(
+    isLive ? "GPS tracking" : locationStatus === "Station lookup" ? "Map station" : isCityLookup || city ? "City lookup" : "Setup required"
+  );
+  const locationModeHint = isLive || isCityLookup ? t(locationText) : city || t("Add a city name to start");
+  const notificationLabel = t(NOTIFICATION_LABELS[notificationStatus] || notificationStatus);
+  const aqiDelta = aqi === null || !latestManualReading ? null : aqi - latestManualReading.aqi;
+
+  // A shared link (/?city=, /?station=, /at/lat,lng) opens on its place once per visit to that URL.
+  // Pinning it straight away keeps a location fix that lands meanwhile from replacing it.
+  const routeLocation = useLocation();
+  const openedLinkRef = useRef(null);
+  useEffect(() => {
+    const target = targetFromLocation(routeLocation);
+    if (!target || openedLinkRef.current === routeLocation.key) return;
+    openedLinkRef.current = routeLocation.key;
+    const status = target.kind === "station" ? "Station lookup" : "City lookup";
+    dispatch(actions.locationFix({ source: "manual", coords: target.coords || null, status }));
+    if (target.kind === "city") {
+      dispatch(actions.updateFeed({ city: target.name, target: null }));
+      fetchAqi({ source: "link", city: target.name });
+      return;
+    }
+    const picked =
+      target.kind === "station"
+        ? { ...target, name: `Station ${target.stationId}` }
+        : { ...target, label: coordsLabel(target.coords) };
+    dispatch(actions.updateFeed({ city: picked.name || picked.label, target: picked }));
+    fetchAqi({ source: "link", target: picked });
+  }, [dispatch, fetchAqi, routeLocation]);
+
+  // What is on screen: a picked place, else the typed city, else wherever the reading was taken.
+  const shareTarget =
+    latestReading &&
+    (feedTarget ||
+      (city.trim() ? { kind: "city", name: city.trim() } : location.coords ? { kind: "geo", coords: location.coords } : null));
+
+  const handleShareClick = async () => {
+    const url = new URL(sharePath(shareTarget), window.location.origin).href;
+    if (navigator.share) {
+      // Dismissing the share sheet rejects too; there is nothing to report then.
+      await navigator.share({ title: t("AQI in {place}", { place: locationText }), url }).catch(() => {});
+      return;
+    }
+    try {
+      await navigator.clipboard.writeText(url);
+      dispatch(actions.toastShown({ message: t("Link copied: {url}", { url }) }));
+    } catch (err) {
+      dispatch(actions.toastShown({ kind: "error", message: t("Could not copy the link. Share this address instead: {url}", { url }) }));
+    }
+  };
+
+  const handleFetchClick = () => {
+    if (city.trim()) {
+      fetchAqi({ source: "manual" });
+      return;
+    }
+    if (location.coords) {
+      fetchAqi({ source: "manual", forceLocation: true });
+      return;
+    }
+    locateApproximately({ force: true });
+    dispatch(actions.toastShown({ message: t("Fetching your approximate location. Please allow permissions or enter a city manually.") }));
+  };
+
+  // The typed name stops meaning the picked place once it changes.
+  const handleCityChange = (text) => dispatch(actions.updateFeed({ city: text, target: null }));
+
+  const handleSuggestionSelect = (suggestion) => {
+    const target = suggestionTarget(suggestion);
+    dispatch(actions.updateFeed({ city: suggestion.label, target }));
+    fetchAqi({ source: "manual", target });
+  };
+
+  const handleExposureLimitChange = (limitId) => {
+    dispatch(actions.updateSettings({ exposureLimitId: limitId }));
+  };
+
+  const overLimitFill = palette.chartFill(palette.levelColor(3, "#f87171"), 3);
+  const daysOverLimit = exposure.week.filter((day) => day.dose > exposureLimit.dose).length;
+  const exposureWeekChart = useMemo(
+    () => ({
+      labels: exposure.week.map((day) => formatDate(day.dayStart, { weekday: "short" })),
+      datasets: [
+        {
+          type: "bar",
+          label: t("PM2.5 dose (µg/m³·h)"),
+          data: exposure.week.map((day) => day.dose),
+          backgroundColor: exposure.week.map((day) => (day.dose > exposureLimit.dose ? overLimitFill : "#38bdf8")),
+          borderRadius: 6,
+        },
+        {
+          type: "line",
+          label: t("Daily limit"),
+          data: exposure.week.map(() => Math.round(exposureLimit.dose)),
+          borderColor: "#fbbf24",
+          borderDash: [6, 4],
+          pointRadius: 0,
+        },
+      ],
+    }),
+    [exposure.week, exposureLimit.dose, formatDate, overLimitFill, t]
+  );
+
+  return (
+    <>
+      <header className="hero">
+        <div className="hero-copy">
+          <p className="eyebrow">{t("Air wellness intelligence")}</p>
+          <h1 className="title">
+            <span className="title-icon" aria-hidden="true">🌬️</span>
+            <span className="title-text">{t("Live AQI Dashboard")}</span>
+          </h1>
+          <p className="lead">
+            {aqi !== null && advice
+              ? `${advice} ${t("Keep tabs on {place} in real time.", { place: locationLabel || t("your area") })}`
+              : t("Stay ahead of pollution spikes for {place} with live guidance.", { place: locationLabel || t("your location") })}
+          </p>
+          <div className="controls hero-controls">
+            <PlaceSearch
+              value={city}
+              onChange={handleCityChange}
+              onSelect={handleSuggestionSelect}
+              onSubmit={handleFetchClick}
+              placeholder={t("Enter a city or locality")}
+            />
+            <button onClick={handleFetchClick} className="button">
+              {t("Check AQI")}
+            </button>
+            <button onClick={handleShareClick} className="button ghost" disabled={!shareTarget}>
+              {t("Share")}
+            </button>
+          </div>
+          {fetchError && (
+            <div className="error-text" role="alert">
+              {fetchError}
+            </div>
+          )}
+          <div className="hero-meta">
+            <div className="hero-badge">
+              <span>{t("Current location")}</span>
+              <strong>{t(locationText)}</strong>
+            </div>
+            <div className="hero-badge">
+              <span>{t("Location status")}</span>
+              <strong>{t(locationStatus)}</strong>
+            </div>
+            <div className="hero-badge">
+              <span>{t("Notifications")}</span>
+              <strong>{notificationLabel}</strong>
+            </div>
+            {!isOnline && (
+              <div className="hero-badge offline">
+                <span>{t("Connection")}</span>
+                <strong>{t("Offline")}</strong>
+              </div>
+            )}
+          </div>
+        </div>
+        <div className="hero-spotlight">
+          <div className="hero-spotlight-label">{t("Realtime {standard}", { standard: standard.shortName })}</div>
+          {staleSince && (
+            <div className="stale-badge" title={t("This reading was saved earlier and could not be refreshed")}>
+              {t("Stale since {time}", { time: formatDateTime(staleSince) })}
+            </div>
+          )}
+          <div
+            className="hero-spotlight-value"
+            style={{ color: displayIndex !== null ? healthStatus.color : "#94a3b8" }}
+          >
+            {displayIndex !== null ? displayIndex : "--"}
+          </div>
+          {latestReading?.sources && (
+            <div className="provider-line" title={latestReading.attributions?.join(", ")}>
+              {latestReading.provider === "blend" ? (
+                <>
+                  <span className={`provider-agreement ${latestReading.agreement?.level || ""}`}>
+                    {t(AGREEMENT_LABELS[latestReading.agreement?.level] || "Blended")}
+                  </span>
+                  {latestReading.sources.map((source) => (
+                    <span key={source.provider} className="provider-chip">
+                      {source.name} {source.aqi}
+                    </span>
+                  ))}
+                </>
+              ) : (
+                <span className="provider-chip">
+                  {providerName(latestReading.provider)}
+                  {latestReading.fallbackFrom?.length
+                    ? ` • ${t("fallback after {providers}", {
+                        providers: latestReading.fallbackFrom.map((entry) => providerName(entry.provider)).join(", "),
+                      })}`
+                    : ""}
+                </span>
+              )}
+            </div>
+          )}
+          <div className="hero-spotlight-foot">{advice || t("Run a check to personalize guidance.")}</div>
+          <div className="hero-spotlight-subtle">
+            {prevention || t("Enable live readings to receive proactive prevention tips.")}
+          </div>
+        </div>
+      </header>
+
+      <section className="signal-row">
+        <div className="signal-card primary">
+          <div className="signal-chip">{t("Guardian status")}</div>
+          <div className="signal-value" style={{ color: healthStatus.color }}>{healthStatus.label}</div>
+          <p className="signal-meta">{healthStatus.detail}</p>
+          <div
+            className="signal-meter"
+            role="meter"
+            aria-label={t("{standard} level", { standard: standard.shortName })}
+            aria-valuemin={0}
+            aria-valuemax={standard.scaleMax}
+            aria-valuenow={displayIndex ?? 0}
+            aria-valuetext={displayIndex !== null ? `${displayIndex} • ${healthStatus.label}` : healthStatus.label}
+          >
+            <div
+              className={`signal-meter-fill ${palette.patternClass(activeBand?.level ?? 0)}`}
+              style={{ width: `${aqiPercent}%`, backgroundColor: healthStatus.color }}
+            />
+          </div>
+        </div>
+        <div className="signal-card">
+          <div className="signal-chip">{t("Last sync")}</div>
+          <div className="signal-value subtle-value">{updatedLabel}</div>
+          <p className="signal-meta">
+            {t("Alerts: {state}", { state: t(notificationStatus === "granted" ? "Enabled" : "Pending permission") })}
+          </p>
+          <div className="signal-foot">
+            {aqiDelta !== null
+              ? t("Δ vs last manual: {delta} AQI", { delta: `${aqiDelta > 0 ? "+" : ""}${aqiDelta}` })
+              : t("Run a manual check to compare")}
+          </div>
+          <div className="signal-foot subtle-foot">{t("Mode: {mode}", { mode: t(isLive ? "Auto-refresh" : "Manual") })}</div>
+        </div>
+        <div className="signal-card">
+          <div className="signal-chip">{t("Airwatch scope")}</div>
+          <div className="signal-value subtle-value">{locationModeLabel}</div>
+          <p className="signal-meta">{locationModeHint}</p>
+          <div className="signal-foot">
+            {cleanestCity && mostPollutedCity ? (
+              <>
+                {cleanestCity.label}: {cleanestCity.aqi} AQI •
+                <span className="signal-foot-strong"> {mostPollutedCity.label}: {mostPollutedCity.aqi} AQI</span>
+              </>
+            ) : (
+              t("Ranking data syncing…")
+            )}
+          </div>
+        </div>
+      </section>
+
+      <section className="section">
+        <div className="section-heading">
+          <div>
+            <p className="section-label">{t("Live snapshot")}</p>
+            <h2 className="section-title">{t("Environment overview")}</h2>
+          </div>
+          <p className="section-subtitle">{t("Coordinates refresh automatically every time you move ~50m.")}</p>
+        </div>
+        <div className="insight-grid">
+          <div className="card small">
+            <div className="label">{t("Location")}</div>
+            <div className="value">{t(locationText)}</div>
+            <div className="subtle">{t("Status: {status}", { status: t(locationStatus) })}</div>
+          </div>
+          <div className="card small">
+            <div className="label">{t("Health Tracker")}</div>
+            <div className="value row">
+              <span className="pill" style={{ background: healthStatus.color + "1a", color: healthStatus.color }}>
+                {healthStatus.label}
+              </span>
+              <span>{healthStatus.detail}</span>
+            </div>
+            <div className="subtle">{t("Notifications: {state}", { state: notificationLabel })}</div>
+          </div>
+          <div className="card small accent">
+            <div className="label">{t("Latest reading")}</div>
+            <div className="value">{aqi !== null ? aqi : latestManualReading?.aqi || "--"}</div>
+            <div className="subtle">
+              {latestManualReading
+                ? t("Manual check • {place}", { place: latestManualReading.label })
+                : t(aqi !== null ? "Live auto refresh" : "Use Check AQI to capture a measurement")}
+            </div>
+          </div>
+        </div>
+      </section>
+
+      <section className="section">
+        <div className="section-heading">
+          <div>
+            <p className="section-label">{t("Personal exposure")}</p>
+            <h2 className="section-title">{t("What you breathed today")}</h2>
+          </div>
+          <p className="section-subtitle">
+            {t("Combines the time you spend at each live location with the PM2.5 there into a cumulative daily dose.")}
+          </p>
+        </div>
+        <div className="exposure-grid">
+          <div className={`card exposure-card ${exposureOverLimit ? "over-limit" : ""}`}>
+            <div className="card-header">
+              <div className="label">{t("Today's dose")}</div>
+              <span className={`status-chip ${exposureOverLimit ? "" : "active"}`}>
+                {t("{percent}% of limit", { percent: exposurePercent })}
+              </span>
+            </div>
+            <div className="exposure-value">
+              {exposure.today.dose}
+              <span> µg/m³·h</span>
+            </div>
+            <div className="subtle">
+              {t(exposure.today.cigarettes === 1 ? "≈ {count} cigarette • {hours} h tracked" : "≈ {count} cigarettes • {hours} h tracked", {
+                count: exposure.today.cigarettes,
+                hours: exposure.today.hours,
+              })}
+              {exposure.today.averagePm25 !== null ? ` • ${t("avg PM2.5 {pm25} µg/m³", { pm25: exposure.today.averagePm25 })}` : ""}
+            </div>
+            <div className="signal-meter" aria-hidden="true">
+              <div
+                className={`signal-meter-fill ${exposureOverLimit ? palette.patternClass(3) : ""}`}
+                style={{
+                  width: `${Math.min(100, exposurePercent)}%`,
+                  backgroundColor: exposureOverLimit ? palette.levelColor(3, "#f87171") : "#38bdf8",
+                }}
+              />
+            </div>
+            {exposureOverLimit && (
+              <div className="error-text" role="alert">
+                {t("Your cumulative dose is above the daily limit. Spend the rest of the day in filtered indoor air if you can.")}
+              </div>
+            )}
+            <label className="automation-label" htmlFor="exposure-limit">{t("Daily limit")}</label>
+            <select
+              id="exposure-limit"
+              className="automation-select"
+              value={exposureLimitId}
+              onChange={(e) => handleExposureLimitChange(e.target.value)}
+            >
+              {EXPOSURE_LIMITS.map((limit) => (
+                <option key={limit.id} value={limit.id}>
+                  {t(limit.label)}
+                </option>
+              ))}
+            </select>
+            {exposure.today.estimated && (
+              <div className="subtle">{t("Some stations report no PM2.5; their AQI was converted to an estimated concentration.")}</div>
+            )}
+          </div>
+
+          <div className="card exposure-card">
+            <div className="card-header">
+              <div className="label">{t("Day timeline")}</div>
+              <div className="subtle">
+                {exposure.today.segments.length
+                  ? t("{count} stops", { count: exposure.today.segments.length })
+                  : t("No live fixes yet today")}
+              </div>
+            </div>
+            <div className="exposure-timeline" role="img" aria-label={t("Where you were today and the air quality there")}>
+              {exposure.today.segments.map((segment) => {
+                const band = bandFor(segment.aqi, DEFAULT_STANDARD_ID);
+                return (
+                  <div
+                    key={`${segment.start}-${segment.label}`}
+                    className={`exposure-segment ${palette.patternClass(band?.level ?? 0)}`}
+                    title={`${segment.label} • ${formatTime(segment.start)}–${formatTime(segment.end)} • PM2.5 ${segment.pm25} µg/m³${
+                      band ? ` • ${t(band.label)}` : ""
+                    }`}
+                    style={{
+                      left: `${((segment.start - exposure.today.dayStart) / DAY_MS) * 100}%`,
+                      width: `${Math.max(0.4, (segment.hours / 24) * 100)}%`,
+                      backgroundColor: palette.bandColor(band),
+                    }}
+                  />
+                );
+              })}
+            </div>
+            <div className="exposure-timeline-axis" aria-hidden="true">
+              <span>00:00</span>
+              <span>06:00</span>
+              <span>12:00</span>
+              <span>18:00</span>
+              <span>24:00</span>
+            </div>
+            <div className="subtle">{t("Gaps are time without a location fix; each stop counts for at most two hours.")}</div>
+          </div>
+
+          <div className="chart-card exposure-card">
+            <div className="card-header">
+              <div className="label">{t("Weekly totals")}</div>
+              <div className="subtle">
+                {t("{count} cigarette-equivalents this week", {
+                  count: exposure.week.reduce((sum, day) => sum + day.cigarettes, 0).toFixed(1),
+                })}
+              </div>
+            </div>
+            <Bar
+              data={exposureWeekChart}
+              role="img"
+              aria-label={t("PM2.5 dose for the last 7 days; {days} of 7 over the daily limit", { days: daysOverLimit })}
+              options={{
+                responsive: true,
+                plugins: { legend: { display: false } },
+                scales: { y: { beginAtZero: true, title: { display: true, text: "µg/m³·h" } } },
+              }}
+            />
+          </div>
+        </div>
+      </section>
+
+      <section className="section">
+        <div className="section-heading">
+          <div>
+            <p className="section-label">{t("Indoor air")}</p>
+            <h2 className="section-title">{t("Inside vs outside")}</h2>
+          </div>
+          <p className="section-subtitle">
+            {t(
+              "Home sensors (PurpleAir, ESP32 + SDS011 over MQTT, or any HTTP POST) tell you whether opening the windows helps. Add them under Settings."
+            )}
+          </p>
+        </div>
+        <div className="indoor-grid">
+          <div className={`card indoor-card ${ventilation.action}`}>
+            <div className="card-header">
+              <div className="label">{t("Indoor vs outdoor PM2.5")}</div>
+              <span className={`status-chip ${ventilation.action === "ventilate" ? "active" : ""}`}>{ventilation.title}</span>
+            </div>
+            <div className="indoor-compare">
+              <div>
+                <div className="subtle">{t("Indoor")}</div>
+                <div className="indoor-value">
+                  {indoorPm25 ?? "--"}
+                  <span> µg/m³</span>
+                </div>
+                <div className="subtle">
+                  {liveIndoorSensors.length
+                    ? t(liveIndoorSensors.length === 1 ? "{count} live sensor" : "{count} live sensors", { count: liveIndoorSensors.length })
+                    : t("No live sensor")}
+                </div>
+              </div>
+              <div>
+                <div className="subtle">{t("Outdoor")}</div>
+                <div className="indoor-value">
+                  {outdoorPm25 === null ? "--" : Math.round(outdoorPm25)}
+                  <span> µg/m³</span>
+                </div>
+                <div className="subtle">
+                  {outdoorSample?.estimated ? t("Estimated from AQI") : latestReading ? locationLabel : t("Check AQI first")}
+                </div>
+              </div>
+            </div>
+            <div className="indoor-advice" role="status">
+              {ventilation.detail}
+            </div>
+            {indoorSensors.length > 0 && (
+              <div className="indoor-sensors">
+                {indoorSensors.map((sensor) => (
+                  <div key={sensor.sensorId} className={`indoor-sensor ${sensor.stale ? "stale" : ""}`}>
+                    <div>
+                      <strong>{sensor.sensorName}</strong>
+                      <div className="subtle">
+                        {sensor.stale ? `${t("Offline • last seen")} ` : ""}
+                        {formatTime(sensor.createdAt)}
+                        {sensor.humidity !== null ? ` • ${Math.round(sensor.humidity)}% RH` : ""}
+                        {sensor.temperatureC !== null ? ` • ${sensor.temperatureC} °C` : ""}
+                      </div>
+                    </div>
+                    <Sparkline
+                      values={indoor.sparklines[sensor.sensorId]}
+                      label={t("{sensor} PM2.5 over the last 24 hours", { sensor: sensor.sensorName })}
+                    />
+                    <div className="indoor-sensor-value">{sensor.pm25}</div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </section>
+
+      {aqi !== null && (
+        <section className="section">
+          <div className="section-heading">
+            <div>
+              <p className="section-label">{t("Health forecasting")}</p>
+              <h2 className="section-title">{t("Deep analytics")}</h2>
+            </div>
+            <p className="section-subtitle">
+              {t("Risk bars and disease guidance mirror the latest AQI; trend lines and the outlook live under History.")}
+            </p>
+          </div>
+          <div className="analytics-grid">
+          <div className="card featured" style={{ borderTop: `8px solid ${color}` }}>
+            <div className="aqi" style={{ color }}>
+              {displayIndex}
+            </div>
+            <div className="subtle">
+              {standard.name} • {localizeBand(activeBand)?.label}
+              {evaluation?.dominantPollutant
+                ? ` • ${t("Dominant {pollutant}", {
+                    pollutant: evaluation.subIndices.find((entry) => entry.pollutant === evaluation.dominantPollutant)?.label,
+                  })}`
+                : ""}
+            </div>
+            <div className="advice">{advice}</div>
+            <div className="prevention">{prevention}</div>
+          </div>
+
+          {mlRiskPredictions.length > 0 && (
+            <div className="card risk-card">
+              <div className="card-header">
+                <div className="label">{t("ML-based health risk prediction")}</div>
+                <div className="subtle">
+                  {t(healthProfile ? "Heuristic model scaled to current AQI and your profile" : "Heuristic model scaled to current AQI")}
+                </div>
+              </div>
+              <div className="risk-list">
+                {mlRiskPredictions.map((risk) => {
+                  const level = palette.riskLevel(risk.probability);
+                  return (
+                    <div key={risk.label} className="risk-item">
+                      <div className="risk-info">
+                        <div className="risk-name">{risk.label}</div>
+                        <div
+                          className="risk-bar"
+                          role="meter"
+                          aria-label={risk.label}
+                          aria-valuemin={0}
+                          aria-valuemax={100}
+                          aria-valuenow={risk.probability}
+                          aria-valuetext={`${risk.probability}% • ${t(level.label)}`}
+                        >
+                          <div
+                            className={`risk-bar-fill ${palette.patternClass(level.level)}`}
+                            style={{ width: `${risk.probability}%`, backgroundColor: level.color }}
+                          />
+                        </div>
+                      </div>
+                      <div className="risk-score">
+                        {risk.probability}%<span className="risk-level">{t(level.label)}</span>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
+          {pollutantChart && (
+            <div className="chart-card pollutant-card">
+              <div className="card-header">
+                <div className="label">{t("Pollutant sub-indices")}</div>
+                <div className="subtle">{t("{standard} breakpoints", { standard: standard.name })}</div>
+              </div>
+              <Bar
+                data={pollutantChart}
+                role="img"
+                aria-label={t("{standard} sub-indices: {values}", {
+                  standard: standard.name,
+                  values: evaluation.subIndices.map((entry) => `${entry.label} ${entry.subIndex} (${t(entry.band.label)})`).join(", "),
+                })}
+                options={{
+                  indexAxis: "y",
+                  responsive: true,
+                  plugins: { legend: { display: false } },
+                  scales: { x: { beginAtZero: true, suggestedMax: standard.bands[standard.bands.length - 2].max } },
+                }}
+              />
+              <div className="subindex-list">
+                {evaluation.subIndices.map((entry) => (
+                  <div
+                    key={entry.pollutant}
+                    className={`subindex-item ${entry.pollutant === evaluation.dominantPollutant ? "dominant" : ""}`}
+                  >
+                    <span className="subindex-name">{entry.label}</span>
+                    <span className="subtle">
+                      ≈ {entry.concentration.toFixed(entry.pollutant === "co" ? 2 : 0)} {entry.unit}
+                    </span>
+                    <span className="subindex-value" style={{ color: palette.bandColor(entry.band) }}>
+                      {entry.subIndex} • {t(entry.band.label)}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {riskChart && (
+            <div className="paired-column">
+              <div className="chart-card risk-visual">
+                <div className="card-header">
+                  <div className="label">{t("Health risk when AQI is high")}</div>
+                  <div className="subtle">{t("Auto-adjusts based on current AQI")}</div>
+                </div>
+                <Bar
+                  data={riskChart}
+                  role="img"
+                  aria-label={riskChart.labels.map((label, index) => `${label} ${riskChart.datasets[0].data[index]}%`).join(", ")}
+                  options={{
+                    responsive: true,
+                    plugins: { legend: { display: false } },
+                    scales: {
+                      y: { beginAtZero: true, max: 100, ticks: { callback: (v) => `${v}%` } },
+                    },
+                  }}
+                />
+              </div>
+
+              <div className="card list-card prevention-card">
+                <div className="label">{t("Diseases & prevention")}</div>
+                <div className="disease-list">
+                  {personalizedDiseases.map((item) => (
+                    <div key={item.name} className={`disease-item ${item.relevant ? "relevant" : ""}`}>
+                      <div className="disease-name">{item.name}</div>
+                      <div className="disease-prevention">{item.prevention}</div>
+                      {item.personalTip && <div className="disease-personal">{t("For you: {tip}", { tip: item.personalTip })}</div>}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </div>
+          )}
+          <div className="card action-card">
+            <div className="card-header">
+              <div className="label">{t("Readiness checklist")}</div>
+              <div className="subtle">{t("Adaptive guidance for your current AQI")}</div>
+            </div>
+            <div className="checklist">
+              {readinessChecklist.map((item) => (
+                <div key={item.label} className={`checklist-item ${item.status}`}>
+                  <span className="check-icon" aria-hidden="true" />
+                  <div>
+                    <div className="checklist-label">{item.label}</div>
+                    <div className="checklist-hint">{item.hint}</div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+          </div>
+        </section>
+      )}
+    </>
+  );
+}
+
+export default Dashboard;
@@ -0,0 +1,467 @@
+import React, { useMemo, useState } from "react";
+import { Line } from "react-chartjs-2";
+import "chart.js/auto";
+import {
+  ALERT_COLUMNS,
+  downloadFile,
+  exportFilename,
+  loadAlertsForExport,
+  loadReadingsForExport,
+  READING_COLUMNS,
+  toCsv,
+  toDateInputValue,
+} from "../exportData";
+import { CHECKED_READING_SOURCES } from "../history";
+import { useForecast } from "../hooks/useForecast";
+import { useHealthGuidance } from "../hooks/useHealthGuidance";
+import { useI18n } from "../hooks/useI18n";
+import { useIndoorAir } from "../hooks/useIndoorAir";
+import { usePalette } from "../hooks/usePalette";
+import { useTrend } from "../hooks/useTrend";
+import { useUserLog } from "../hooks/useUserLog";
+import { writeHealthReport } from "../healthReport";
+import { describeProfile } from "../profile";
+import { providerName } from "../providers";
+import { evaluateReading } from "../standards";
+import { selectAqi, selectUid, useAppState } from "../store";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EXPORT_DEFAULT_DAYS = 7;
+const READING_LOG_PAGE_SIZE = 10;
+const READING_LOG_FILTERS = [["source", "in", CHECKED_READING_SOURCES]];
+const FORECAST_SOURCE_LABELS = { waqi: "WAQI forecast", "open-meteo": "Open-Meteo forecast", model: "Local model" };
+
+// Shades the chart background behind every day whose expected AQI meets the alert threshold.
+const thresholdShadePlugin = {
+  id: "thresholdShade",
+  beforeDatasetsDraw(chart, _args, options) {
+    const { ctx, chartArea, scales } = chart;
+    const values = chart.data.datasets[0]?.data || [];
+    const slot = chartArea.width / Math.max(values.length, 1);
+    ctx.save();
+    ctx.fillStyle = options.color || "rgba(248, 113, 113, 0.14)";
+    values.forEach((value, index) => {
+      if (value === null || value < options.threshold) return;
+      const center = scales.x.getPixelForValue(index);
+      ctx.fillRect(center - slot / 2, chartArea.top, slot, chartArea.height);
+    });
+    ctx.restore();
+  },
+};
+
+function History() {
+  const uid = useAppState(selectUid);
+  const aqi = useAppState(selectAqi);
+  const { history, trendTarget } = useAppState((state) => state.feed);
+  const readingLog = useUserLog("readings", { filters: READING_LOG_FILTERS, pageSize: READING_LOG_PAGE_SIZE });
+  // Stored readings once a session exists; without one, only this visit's checks.
+  const recentReadings = uid ? readingLog.entries : history;
+  const locationLabel = useAppState((state) => state.location.label);
+  const alertThreshold = useAppState((state) => state.settings.alertThreshold);
+  const standardId = useAppState((state) => state.settings.standardId);
+  const { indoorPm25, ventilation } = useIndoorAir();
+  const { t, locale, formatDate, formatDateTime, formatObservedAt, formatTime } = useI18n();
+  const palette = usePalette();
+  const bucketLabel = (bucket) => (bucket.unit === "hour" ? formatTime(bucket.start) : formatDate(bucket.start));
+  const { standard, evaluation, color, healthProfile, personalizedDiseases, readinessChecklist } = useHealthGuidance({
+    indoorPm25,
+    ventilation,
+  });
+  const [trendUnit, setTrendUnit] = useState("day");
+  const trend = useTrend(trendTarget, trendUnit);
+  const forecast = useForecast();
+  const [exportRange, setExportRange] = useState(() => ({
+    from: toDateInputValue(new Date(Date.now() - (EXPORT_DEFAULT_DAYS - 1) * DAY_MS)),
+    to: toDateInputValue(new Date()),
+    location: "",
+  }));
+  const [exportStatus, setExportStatus] = useState({ busy: false, message: null, error: null });
+
+  const trendChart = useMemo(() => {
+    if (!trend.buckets.some((bucket) => bucket.count > 0)) return null;
+    const series = (key) => trend.buckets.map((bucket) => bucket[key]);
+    return {
+      labels: trend.buckets.map(bucketLabel),
+      datasets: [
+        {
+          label: t("Max"),
+          data: series("max"),
+          fill: false,
+          borderColor: "rgba(248, 113, 113, 0.7)",
+          borderDash: [6, 4],
+          pointRadius: 2,
+          tension: 0.3,
+        },
+        {
+          label: t("Avg"),
+          data: series("avg"),
+          fill: false,
+          borderColor: color,
+          pointBackgroundColor: color,
+          tension: 0.3,
+        },
+        {
+          label: t("Min"),
+          data: series("min"),
+          fill: false,
+          borderColor: "rgba(74, 222, 128, 0.7)",
+          borderDash: [6, 4],
+          pointRadius: 2,
+          tension: 0.3,
+        },
+      ],
+    };
+  }, [color, formatDate, formatTime, t, trend.buckets]);
+
+  const forecastChart = useMemo(() => {
+    if (!forecast.points.length) return null;
+    const points = forecast.points;
+    return {
+      labels: points.map((point) => formatDate(point.date, { weekday: "short", month: "short", day: "numeric" })),
+      datasets: [
+        {
+          label: t("Expected AQI"),
+          data: points.map((point) => point.aqi),
+          fill: false,
+          borderColor: "#38bdf8",
+          tension: 0.3,
+          pointRadius: 6,
+          pointStyle: points.map((point) => (point.source === "model" ? "triangle" : "circle")),
+          pointBackgroundColor: points.map((point) => palette.bandColor(evaluateReading(point, standardId).band)),
+          segment: {
+            borderDash: (ctx) => (points[ctx.p1DataIndex]?.source === "model" ? [6, 4] : undefined),
+          },
+        },
+        {
+          label: t("Range"),
+          data: points.map((point) => point.max),
+          fill: "+1",
+          backgroundColor: "rgba(56, 189, 248, 0.12)",
+          borderWidth: 0,
+          pointRadius: 0,
+        },
+        {
+          label: t("Range low"),
+          data: points.map((point) => point.min),
+          fill: false,
+          borderWidth: 0,
+          pointRadius: 0,
+        },
+      ],
+    };
+  }, [forecast.points, formatDate, palette, standardId, t]);
+
+  const forecastSources = [...new Set(forecast.points.map((point) => point.source))];
+  const forecastBreaches = forecast.points.filter((point) => point.aqi >= alertThreshold);
+
+  const emptyTrendBuckets = trend.buckets.filter((bucket) => bucket.count === 0);
+
+  const exportRangeError = exportRange.from > exportRange.to ? t("The start date must be on or before the end date.") : null;
+  const exportDisabled = !uid || exportStatus.busy || Boolean(exportRangeError);
+
+  const handleExport = async (kind, format) => {
+    if (!uid || exportRangeError) return;
+    setExportStatus({ busy: true, message: null, error: null });
+    try {
+      const rows = kind === "readings" ? await loadReadingsForExport(uid, exportRange) : await loadAlertsForExport(uid, exportRange);
+      const filename = exportFilename(kind, exportRange, format);
+      if (format === "csv") {
+        downloadFile(filename, toCsv(rows, kind === "readings" ? READING_COLUMNS : ALERT_COLUMNS), "text/csv;charset=utf-8");
+      } else {
+        const payload = { kind, range: exportRange, exportedAt: new Date().toISOString(), rows };
+        downloadFile(filename, JSON.stringify(payload, null, 2), "application/json");
+      }
+      setExportStatus({
+        busy: false,
+        message: t(kind === "readings" ? "Exported {count} readings" : "Exported {count} alerts", { count: rows.length }),
+        error: null,
+      });
+    } catch (err) {
+      console.warn(`Failed to export ${kind}`, err);
+      setExportStatus({
+        busy: false,
+        message: null,
+        error: t(kind === "readings" ? "Could not export readings. Try again." : "Could not export alerts. Try again."),
+      });
+    }
+  };
+
+  const handleHealthReport = async () => {
+    if (!uid || exportRangeError) return;
+    // Opened before any await so the browser still treats it as a response to the click.
+    const reportWindow = window.open("", "_blank");
+    if (!reportWindow) {
+      setExportStatus({ busy: false, message: null, error: t("Allow pop-ups for this site to open the report.") });
+      return;
+    }
+    reportWindow.document.write(`<p style="font-family: sans-serif">${t("Preparing your report…")}</p>`);
+    setExportStatus({ busy: true, message: null, error: null });
+    try {
+      const [readings, alerts] = await Promise.all([
+        loadReadingsForExport(uid, exportRange),
+        loadAlertsForExport(uid, exportRange),
+      ]);
+      writeHealthReport(reportWindow, {
+        range: exportRange,
+        readings,
+        alerts,
+        threshold: alertThreshold,
+        evaluation,
+        standard,
+        profileSummary: describeProfile(healthProfile, t),
+        diseases: personalizedDiseases,
+        checklist: readinessChecklist,
+        locale,
+      });
+      setExportStatus({ busy: false, message: t("Report opened in a new tab"), error: null });
+    } catch (err) {
+      console.warn("Failed to build health report", err);
+      reportWindow.close();
+      setExportStatus({ busy: false, message: null, error: t("Could not build the health report. Try again.") });
+    }
+  };
+
+  const exportLocationOptions = useMemo(
+    () => [...new Set([locationLabel, ...history.map((entry) => entry.label)].filter(Boolean))],
+    [history, locationLabel]
+  );
+
+  return (
+    <>
+      <section className="section">
+        <div className="section-heading">
+          <div>
+            <p className="section-label">{t("Look back, look ahead")}</p>
+            <h2 className="section-title">{t("History & outlook")}</h2>
+          </div>
+          <p className="section-subtitle">{t("Trend lines come from stored readings; the outlook uses the station forecast or a local model.")}</p>
+        </div>
+        <div className="analytics-grid">
+          <div className="card history-card">
+            <div className="label">{t("Recent AQI readings")}</div>
+            <div className="history-list">
+              {recentReadings.length === 0 ? (
+                <div className="empty-state">
+                  {t(uid && readingLog.loading ? "Loading readings…" : "No manual checks yet. Use “Check AQI” to capture one.")}
+                </div>
+              ) : (
+                recentReadings.map((entry) => (
+                  <div key={entry.id} className="history-item">
+                    <div className="history-meta">
+                      <div className="history-city">{entry.label}</div>
+                      <div className="history-time">
+                        {t("Observed at {time}", {
+                          time: formatObservedAt(entry.observedAt) || (entry.createdAt ? formatDateTime(entry.createdAt) : t("just now")),
+                        })}
+                        {` • ${providerName(entry.provider)}`}
+                      </div>
+                    </div>
+                    <div className="history-aqi" aria-label={t("Recorded AQI")}>{entry.aqi}</div>
+                  </div>
+                ))
+              )}
+            </div>
+            {readingLog.error && <div className="error-text">{readingLog.error}</div>}
+            {uid && readingLog.hasMore && (
+              <button type="button" className="button tiny ghost" onClick={readingLog.showMore}>
+                {t("Show older readings")}
+              </button>
+            )}
+          </div>
+
+          {aqi !== null && (
+            <>
+              <div className="chart-card wide">
+                <div className="card-header">
+                  <div>
+                    <div className="label">{t("AQI trend")}</div>
+                    <div className="subtle">
+                      {t(trendUnit === "day" ? "Daily min / avg / max over 7 days" : "Hourly min / avg / max over 24 hours")} •{" "}
+                      {t("From stored readings")}
+                    </div>
+                  </div>
+                  <div className="trend-toggle">
+                    {[
+                      { value: "day", label: "Daily" },
+                      { value: "hour", label: "Hourly" },
+                    ].map((option) => (
+                      <button
+                        key={option.value}
+                        className={`button tiny ${trendUnit === option.value ? "active" : ""}`}
+                        onClick={() => setTrendUnit(option.value)}
+                        disabled={trend.loading}
+                      >
+                        {t(option.label)}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                {trend.error && <div className="error-text">{trend.error}</div>}
+                {trend.loading && <div className="subtle">{t("Loading stored readings…")}</div>}
+                {!trend.loading && !trend.error && !trendChart && (
+                  <div className="empty-state">
+                    {t("No stored readings for {place} in this window yet.", { place: trendTarget?.label || t("this location") })}
+                  </div>
+                )}
+                {!trend.loading && trendChart && (
+                  <>
+                    <Line
+                      data={trendChart}
+                      options={{
+                        responsive: true,
+                        spanGaps: false,
+                        plugins: { legend: { position: "bottom", labels: { color: "#e2e8f0" } } },
+                      }}
+                    />
+                    {emptyTrendBuckets.length > 0 && (
+                      <div className="trend-gaps">
+                        <span className="subtle">{t("No data:")}</span>
+                        {emptyTrendBuckets.map((bucket) => (
+                          <span key={bucket.start.getTime()} className="trend-gap-chip">
+                            {bucketLabel(bucket)}
+                          </span>
+                        ))}
+                      </div>
+                    )}
+                  </>
+                )}
+              </div>
+
+              <div className="chart-card wide">
+                <div className="card-header">
+                  <div>
+                    <div className="label">{t("AQI outlook")}</div>
+                    <div className="subtle">
+                      {forecastSources.length
+                        ? t("Source: {sources}", { sources: forecastSources.map((source) => t(FORECAST_SOURCE_LABELS[source])).join(" + ") })
+                        : t("Daily forecast from the station, or a local model trained on stored readings")}
+                    </div>
+                  </div>
+                  {forecastChart && (
+                    <span className={`status-chip ${forecastBreaches.length ? "" : "active"}`}>
+                      {forecastBreaches.length
+                        ? t("{count} day(s) ≥ {threshold}", { count: forecastBreaches.length, threshold: alertThreshold })
+                        : t("Below threshold")}
+                    </span>
+                  )}
+                </div>
+                {forecast.error && <div className="error-text">{forecast.error}</div>}
+                {forecast.loading && <div className="subtle">{t("Building forecast…")}</div>}
+                {!forecast.loading && !forecast.error && !forecastChart && (
+                  <div className="empty-state">
+                    {t("No published forecast for this station and not enough stored readings to model one yet.")}
+                  </div>
+                )}
+                {!forecast.loading && forecastChart && (
+                  <>
+                    <Line
+                      data={forecastChart}
+                      plugins={[thresholdShadePlugin]}
+                      options={{
+                        responsive: true,
+                        plugins: {
+                          legend: { display: false },
+                          thresholdShade: { threshold: alertThreshold },
+                          tooltip: {
+                            filter: (item) => item.datasetIndex === 0,
+                            callbacks: {
+                              afterLabel: (item) => {
+                                const point = forecast.points[item.dataIndex];
+                                const pollutant = point.dominantPollutant ? ` • ${point.dominantPollutant.toUpperCase()}` : "";
+                                const range = t("Range {min}–{max}", { min: point.min, max: point.max });
+                                return `${range} • ${t(FORECAST_SOURCE_LABELS[point.source])}${pollutant}`;
+                              },
+                            },
+                          },
+                        },
+                      }}
+                    />
+                    <div className="forecast-legend">
+                      <span>● {t("Published forecast")}</span>
+                      <span>▲ {t("Local model")}</span>
+                      <span className="forecast-legend-shade">
+                        {t("Shaded: at or above your {threshold} AQI threshold", { threshold: alertThreshold })}
+                      </span>
+                    </div>
+                  </>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      </section>
+
+      <section className="section">
+        <div className="section-heading">
+          <div>
+            <p className="section-label">{t("Reports & export")}</p>
+            <h2 className="section-title">{t("Take your data with you")}</h2>
+          </div>
+          <p className="section-subtitle">{t("Download stored readings and alerts, or print a health report for your doctor or employer.")}</p>
+        </div>
+        <div className="card export-card">
+          <div className="export-filters">
+            <label className="automation-label">
+              {t("From")}
+              <input
+                type="date"
+                className="automation-select"
+                value={exportRange.from}
+                max={exportRange.to}
+                onChange={(e) => setExportRange((prev) => ({ ...prev, from: e.target.value }))}
+              />
+            </label>
+            <label className="automation-label">
+              {t("To")}
+              <input
+                type="date"
+                className="automation-select"
+                value={exportRange.to}
+                min={exportRange.from}
+                onChange={(e) => setExportRange((prev) => ({ ...prev, to: e.target.value }))}
+              />
+            </label>
+            <label className="automation-label">
+              {t("Location")}
+              <input
+                type="text"
+                className="automation-select"
+                list="export-locations"
+                value={exportRange.location}
+                onChange={(e) => setExportRange((prev) => ({ ...prev, location: e.target.value }))}
+                placeholder={t("All locations")}
+              />
+            </label>
+            <datalist id="export-locations">
+              {exportLocationOptions.map((label) => (
+                <option key={label} value={label} />
+              ))}
+            </datalist>
+          </div>
+          <div className="export-actions">
+            <button type="button" className="button tiny" disabled={exportDisabled} onClick={() => handleExport("readings", "csv")}>
+              {t("Readings CSV")}
+            </button>
+            <button type="button" className="button tiny" disabled={exportDisabled} onClick={() => handleExport("readings", "json")}>
+              {t("Readings JSON")}
+            </button>
+            <button type="button" className="button tiny" disabled={exportDisabled} onClick={() => handleExport("alerts", "csv")}>
+              {t("Alerts CSV")}
+            </button>
+            <button type="button" className="button tiny" disabled={exportDisabled} onClick={() => handleExport("alerts", "json")}>
+              {t("Alerts JSON")}
+            </button>
+            <button type="button" className="button" disabled={exportDisabled} onClick={handleHealthReport}>
+              {t("Health report (PDF)")}
+            </button>
+          </div>
+          {(exportRangeError || exportStatus.error) && <div className="error-text">{exportRangeError || exportStatus.error}</div>}
+          {exportStatus.message && <div className="subtle">{exportStatus.message}</div>}
+          <div className="subtle">{t("The report opens your browser's print dialog; choose \"Save as PDF\" to keep a copy.")}</div>
+        </div>
+      </section>
+    </>
+  );
+}
+
+export default History;
@@ -0,0 +1,212 @@
+import React, { useMemo, useState } from "react";
+import { useOutletContext } from "react-router-dom";
+import AqiMap from "../AqiMap";
+import { planCommute, TRAVEL_MODES } from "../commute";
+import { useForecast } from "../hooks/useForecast";
+import { useI18n } from "../hooks/useI18n";
+import { RoutingError } from "../routing";
+import { DEFAULT_LOCATION, selectDeviceCoords, useAppState } from "../store";
+import { WaqiError } from "../waqi";
+
+function MapPage() {
+  const { fetchAqi, isMapLoaded } = useOutletContext();
+  const location = useAppState(selectDeviceCoords);
+  // A city or station lookup moves the map there; the marker stays on the device.
+  const center = useAppState((state) => state.location.coords);
+  const { t, formatDate, formatTime } = useI18n();
+  const latestReading = useAppState((state) => state.feed.reading);
+  const trendTarget = useAppState((state) => state.feed.trendTarget);
+  const forecast = useForecast();
+  const [commuteDraft, setCommuteDraft] = useState({ origin: "", destination: "", mode: "walking" });
+  const [commutePlan, setCommutePlan] = useState({ loading: false, error: null, result: null });
+  const [selectedRouteId, setSelectedRouteId] = useState(null);
+
+  const handleSelectStation = (station) => {
+    fetchAqi({ source: "map", station });
+  };
+
+  const handleCommuteSubmit = async (event) => {
+    event.preventDefault();
+    setCommutePlan((prev) => ({ ...prev, loading: true, error: null }));
+    try {
+      const result = await planCommute({
+        origin: commuteDraft.origin,
+        destination: commuteDraft.destination,
+        mode: commuteDraft.mode,
+        forecastPoints: forecast.points,
+        currentAqi: latestReading?.aqi ?? null,
+        historyTarget: trendTarget,
+      });
+      setCommutePlan({ loading: false, error: null, result });
+      setSelectedRouteId(result.routes[0].id);
+    } catch (err) {
+      console.warn("Failed to plan commute", err);
+      setCommutePlan((prev) => ({
+        ...prev,
+        loading: false,
+        error: err instanceof RoutingError || err instanceof WaqiError ? err.message : t("Could not plan this commute. Try again."),
+      }));
+    }
+  };
+
+  const handleCommuteFromHere = () => {
+    if (!location) {
+      setCommutePlan((prev) => ({ ...prev, error: t("Live location is not available yet.") }));
+      return;
+    }
+    setCommuteDraft((prev) => ({ ...prev, origin: `${location.lat.toFixed(4)}, ${location.lng.toFixed(4)}` }));
+  };
+
+  const commuteMapData = useMemo(
+    () => (commutePlan.result ? { ...commutePlan.result, selectedRouteId } : null),
+    [commutePlan.result, selectedRouteId]
+  );
+
+  return (
+    <>
+      <section className="section">
+        <div className="section-heading">
+          <div>
+            <p className="section-label">{t("Station map")}</p>
+            <h2 className="section-title">{t("Air quality around you")}</h2>
+          </div>
+          <p className="section-subtitle">{t("Pick a station to load its reading on the dashboard.")}</p>
+        </div>
+        <AqiMap
+          center={center || DEFAULT_LOCATION}
+          location={location}
+          selectedStationId={latestReading?.stationId ?? null}
+          onSelectStation={handleSelectStation}
+          googleMapsLoaded={isMapLoaded}
+          commute={commuteMapData}
+          onSelectRoute={setSelectedRouteId}
+        />
+      </section>
+
+      <section className="section">
+        <div className="section-heading">
+          <div>
+            <p className="section-label">{t("Commute planner")}</p>
+            <h2 className="section-title">{t("Cleaner ways to get there")}</h2>
+          </div>
+          <p className="section-subtitle">
+            {t(
+              "Compares alternative routes by the PM2.5 you would inhale along them and suggests when to leave. Routes are drawn on the map above."
+            )}
+          </p>
+        </div>
+        <form className="controls commute-form" onSubmit={handleCommuteSubmit}>
+          <input
+            type="text"
+            value={commuteDraft.origin}
+            onChange={(e) => setCommuteDraft((prev) => ({ ...prev, origin: e.target.value }))}
+            placeholder={t("From (place or lat, lng)")}
+            className="input"
+            aria-label={t("Origin")}
+          />
+          <input
+            type="text"
+            value={commuteDraft.destination}
+            onChange={(e) => setCommuteDraft((prev) => ({ ...prev, destination: e.target.value }))}
+            placeholder={t("To (place or lat, lng)")}
+            className="input"
+            aria-label={t("Destination")}
+          />
+          <div className="trend-toggle" role="group" aria-label={t("Travel mode")}>
+            {Object.entries(TRAVEL_MODES).map(([mode, profile]) => (
+              <button
+                key={mode}
+                type="button"
+                className={`button tiny ${commuteDraft.mode === mode ? "active" : ""}`}
+                onClick={() => setCommuteDraft((prev) => ({ ...prev, mode }))}
+              >
+                {t(profile.label)}
+              </button>
+            ))}
+          </div>
+          <button type="button" className="button ghost" onClick={handleCommuteFromHere}>
+            {t("From my location")}
+          </button>
+          <button type="submit" className="button" disabled={commutePlan.loading}>
+            {t(commutePlan.loading ? "Planning…" : "Compare routes")}
+          </button>
+        </form>
+        {commutePlan.error && <div className="error-text">{commutePlan.error}</div>}
+        {commutePlan.result && (
+          <div className="commute-grid">
+            <div className="card">
+              <div className="card-header">
+                <div className="label">
+                  {commutePlan.result.origin.label} → {commutePlan.result.destination.label}
+                </div>
+                <div className="subtle">
+                  {t(TRAVEL_MODES[commutePlan.result.mode].label)} •{" "}
+                  {t(commutePlan.result.stationCount === 1 ? "{count} station sampled" : "{count} stations sampled", {
+                    count: commutePlan.result.stationCount,
+                  })}
+                </div>
+              </div>
+              <div className="commute-routes">
+                {commutePlan.result.routes.map((route, index) => (
+                  <button
+                    key={route.id}
+                    type="button"
+                    className={`commute-route ${route.id === selectedRouteId ? "active" : ""}`}
+                    onClick={() => setSelectedRouteId(route.id)}
+                    aria-pressed={route.id === selectedRouteId}
+                  >
+                    <div className="commute-route-header">
+                      <strong>{route.label}</strong>
+                      {index === 0 && route.inhaledUg !== null && <span className="status-chip active">{t("Lowest exposure")}</span>}
+                    </div>
+                    <div className="commute-route-dose">
+                      {route.inhaledUg ?? "--"}
+                      <span> {t("µg PM2.5 inhaled")}</span>
+                    </div>
+                    <div className="subtle">
+                      {t("{distance} km • {minutes} min • avg AQI {average} • peak {peak}", {
+                        distance: route.distanceKm,
+                        minutes: route.durationMin,
+                        average: route.averageAqi ?? t("n/a"),
+                        peak: route.peakAqi ?? t("n/a"),
+                      })}
+                    </div>
+                    {route.coverage < 100 && (
+                      <div className="subtle">
+                        {t("{coverage}% of the route has a station within range; the rest uses the route average.", {
+                          coverage: route.coverage,
+                        })}
+                      </div>
+                    )}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div className="card">
+              <div className="card-header">
+                <div className="label">{t("Best times to leave")}</div>
+                <div className="subtle">{t("Forecast levels shaped by the usual hour-by-hour pattern")}</div>
+              </div>
+              {commutePlan.result.windows.length === 0 ? (
+                <div className="empty-state">{t("Check AQI first so the planner has a current level or forecast to work from.")}</div>
+              ) : (
+                <ol className="commute-windows">
+                  {commutePlan.result.windows.map((slot) => (
+                    <li key={slot.start.getTime()}>
+                      <strong>
+                        {formatDate(slot.start, { weekday: "short", hour: "numeric", minute: "2-digit" })} – {formatTime(slot.end)}
+                      </strong>
+                      <span className="subtle"> • {t("expected AQI ~{aqi}", { aqi: slot.expectedAqi })}</span>
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </div>
+          </div>
+        )}
+      </section>
+    </>
+  );
+}
+
+export default MapPage;
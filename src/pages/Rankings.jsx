@@ -0,0 +1,232 @@
+import React, { useMemo, useState } from "react";
+import Sparkline from "../Sparkline";
+import { useCityRankings, useRankingSparklines } from "../hooks/useCityRankings";
+import { useI18n } from "../hooks/useI18n";
+import { usePalette } from "../hooks/usePalette";
+import {
+  MAX_RANKING_CITIES,
+  RANKING_COUNTRIES,
+  RANKING_PAGE_SIZE,
+  RANKING_PRESETS,
+  RANKING_SORTS,
+  sortRankingRows,
+} from "../rankings";
+import { POLLUTANT_LABELS } from "../standards";
+
+function Rankings() {
+  const { rankings, refresh, updateConfig } = useCityRankings();
+  const { config: rankingConfig } = rankings;
+  const { t, formatTime } = useI18n();
+  const palette = usePalette();
+  const [rankingSort, setRankingSort] = useState("aqi");
+  const [rankingPage, setRankingPage] = useState(0);
+  const [rankingDraft, setRankingDraft] = useState("");
+
+  const updateRankingConfig = (changes) => {
+    updateConfig(changes);
+    setRankingPage(0);
+  };
+
+  const handleRankingPresetChange = (presetId) => {
+    const preset = RANKING_PRESETS.find((entry) => entry.id === presetId);
+    updateRankingConfig(preset ? { presetId: preset.id, cities: preset.cities } : { presetId: null });
+  };
+
+  const handleAddRankingCity = (event) => {
+    event.preventDefault();
+    const name = rankingDraft.trim();
+    if (!name) return;
+    const exists = rankingConfig.cities.some((entry) => entry.toLowerCase() === name.toLowerCase());
+    if (!exists && rankingConfig.cities.length < MAX_RANKING_CITIES) {
+      updateRankingConfig({ presetId: null, cities: [...rankingConfig.cities, name] });
+    }
+    setRankingDraft("");
+  };
+
+  const handleRemoveRankingCity = (name) => {
+    updateRankingConfig({ presetId: null, cities: rankingConfig.cities.filter((entry) => entry !== name) });
+  };
+
+  const sortedRankings = useMemo(() => sortRankingRows(rankings.rows, rankingSort), [rankings.rows, rankingSort]);
+  const rankingPageCount = Math.max(1, Math.ceil(sortedRankings.length / RANKING_PAGE_SIZE));
+  const rankingPageStart = Math.min(rankingPage, rankingPageCount - 1) * RANKING_PAGE_SIZE;
+  const visibleRankings = sortedRankings.slice(rankingPageStart, rankingPageStart + RANKING_PAGE_SIZE);
+  useRankingSparklines(rankingConfig.mode === "cities" ? visibleRankings.map((row) => row.label) : []);
+
+  return (
+    <section className="section">
+      <div className="section-heading">
+        <div>
+          <p className="section-label">{t("Leaderboard")}</p>
+          <h2 className="section-title">{t("City rankings")}</h2>
+        </div>
+        <p className="section-subtitle">{t("Compare a list of cities, a regional preset or every station in a country.")}</p>
+      </div>
+      <div className="card ranking-card">
+        <div className="card-header">
+          <div className="label">{t("City-wise AQI ranking")}</div>
+          <button className="button tiny" onClick={() => refresh({ force: true })} disabled={rankings.loading}>
+            {t(rankings.loading ? "Refreshing..." : "Refresh")}
+          </button>
+        </div>
+        <div className="ranking-controls">
+          <select
+            className="automation-select"
+            value={rankingConfig.mode}
+            onChange={(e) => updateRankingConfig({ mode: e.target.value })}
+            aria-label={t("Ranking scope")}
+          >
+            <option value="cities">{t("Chosen cities")}</option>
+            <option value="country">{t("All stations in a country")}</option>
+          </select>
+          {rankingConfig.mode === "cities" ? (
+            <select
+              className="automation-select"
+              value={rankingConfig.presetId || ""}
+              onChange={(e) => handleRankingPresetChange(e.target.value)}
+              aria-label={t("Region preset")}
+            >
+              <option value="">{t("Custom list")}</option>
+              {RANKING_PRESETS.map((preset) => (
+                <option key={preset.id} value={preset.id}>
+                  {t(preset.label)}
+                </option>
+              ))}
+            </select>
+          ) : (
+            <select
+              className="automation-select"
+              value={rankingConfig.countryId}
+              onChange={(e) => updateRankingConfig({ countryId: e.target.value })}
+              aria-label={t("Country")}
+            >
+              {RANKING_COUNTRIES.map((country) => (
+                <option key={country.id} value={country.id}>
+                  {t(country.label)}
+                </option>
+              ))}
+            </select>
+          )}
+          <select
+            className="automation-select"
+            value={rankingSort}
+            onChange={(e) => setRankingSort(e.target.value)}
+            aria-label={t("Sort rankings by")}
+          >
+            {RANKING_SORTS.map((option) => (
+              <option key={option.id} value={option.id}>
+                {t("Sort by {field}", { field: t(option.label) })}
+              </option>
+            ))}
+          </select>
+        </div>
+        {rankingConfig.mode === "cities" && (
+          <>
+            <form className="ranking-add" onSubmit={handleAddRankingCity}>
+              <input
+                type="text"
+                value={rankingDraft}
+                onChange={(e) => setRankingDraft(e.target.value)}
+                placeholder={t("Add a city")}
+                className="input"
+              />
+              <button
+                type="submit"
+                className="button tiny"
+                disabled={!rankingDraft.trim() || rankingConfig.cities.length >= MAX_RANKING_CITIES}
+              >
+                {t("Add")}
+              </button>
+            </form>
+            <div className="ranking-chips">
+              {rankingConfig.cities.map((name) => (
+                <span key={name} className="ranking-chip">
+                  {name}
+                  <button type="button" onClick={() => handleRemoveRankingCity(name)} aria-label={t("Remove {name}", { name })}>
+                    ×
+                  </button>
+                </span>
+              ))}
+            </div>
+          </>
+        )}
+        <div className="ranking-hint">
+          {t("Lower AQI indicates cleaner air • Powered by WAQI live feed")}
+          {rankings.fetchedAt ? ` • ${t("Updated {time}", { time: formatTime(rankings.fetchedAt) })}` : ""}
+        </div>
+        {rankings.error && <div className="error-text">{rankings.error}</div>}
+        {!rankings.error && rankings.rows.length === 0 && !rankings.loading && (
+          <div className="subtle">{t("No ranking data yet. Try refreshing.")}</div>
+        )}
+        <div className="ranking-list">
+          {rankings.loading && <div className="subtle">{t("Loading tracked cities…")}</div>}
+          {visibleRankings.map((entry, index) => {
+            const detail = entry.error
+              ? entry.error
+              : [
+                  entry.dominantPollutant
+                    ? t("Dominant {pollutant}", { pollutant: POLLUTANT_LABELS[entry.dominantPollutant] || entry.dominantPollutant })
+                    : null,
+                  entry.pm25 !== null ? `PM2.5 ${entry.pm25}` : null,
+                ]
+                  .filter(Boolean)
+                  .join(" • ");
+            return (
+              <div
+                key={entry.key}
+                className={`ranking-item ${rankingConfig.mode === "cities" ? "with-sparkline" : ""} ${entry.error ? "unavailable" : ""}`}
+              >
+                <div className="ranking-rank">{entry.aqi !== null ? `#${rankingPageStart + index + 1}` : "–"}</div>
+                <div className="ranking-meta">
+                  <div className="ranking-city">{entry.label}</div>
+                  {detail && <div className="ranking-subtle">{detail}</div>}
+                </div>
+                {rankingConfig.mode === "cities" && (
+                  <Sparkline values={rankings.sparklines[entry.label]} label={t("{place} AQI over the last 7 days", { place: entry.label })} />
+                )}
+                <div className="ranking-score">
+                  <div
+                    className="ranking-aqi"
+                    style={{ color: palette.indexColor(entry.aqi) }}
+                  >
+                    {entry.aqi ?? "--"}
+                  </div>
+                  {entry.change !== null && entry.change !== 0 && (
+                    <div className={`ranking-change ${entry.change > 0 ? "worse" : "better"}`}>
+                      {entry.change > 0 ? "▲" : "▼"} {Math.abs(entry.change)}
+                    </div>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+        {rankingPageCount > 1 && (
+          <div className="ranking-pager">
+            <button
+              type="button"
+              className="button tiny"
+              onClick={() => setRankingPage((page) => Math.max(0, page - 1))}
+              disabled={rankingPageStart === 0}
+            >
+              {t("Previous")}
+            </button>
+            <span className="subtle">
+              {t("Page {page} of {count}", { page: rankingPageStart / RANKING_PAGE_SIZE + 1, count: rankingPageCount })}
+            </span>
+            <button
+              type="button"
+              className="button tiny"
+              onClick={() => setRankingPage((page) => Math.min(rankingPageCount - 1, page + 1))}
+              disabled={rankingPageStart / RANKING_PAGE_SIZE + 1 >= rankingPageCount}
+            >
+              {t("Next")}
+            </button>
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
+
+export default Rankings;
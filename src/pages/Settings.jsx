@@ -0,0 +1,497 @@
+import React, { useEffect, useState } from "react";
+import { describeUser, sendEmailSignInLink, signInWithGoogle, signOutUser } from "../auth";
+import { useI18n } from "../hooks/useI18n";
+import { usePalette } from "../hooks/usePalette";
+import { createSensorDevice, saveSensorDevices, sensorIngestUrl } from "../indoor";
+import { PALETTES } from "../palettes";
+import {
+  ACTIVITY_LEVELS,
+  AGE_BANDS,
+  CONDITIONS,
+  DEFAULT_PROFILE,
+  describeProfile,
+  saveHealthProfile,
+  suggestThreshold,
+} from "../profile";
+import { PROVIDER_MODES, PROVIDER_OPTIONS } from "../providers";
+import { STANDARDS } from "../standards";
+import { actions, selectStandard, selectUid, useAppDispatch, useAppState } from "../store";
+
+function Settings() {
+  const dispatch = useAppDispatch();
+  const user = useAppState((state) => state.user);
+  const uid = useAppState(selectUid);
+  const authStatus = useAppState((state) => state.authStatus);
+  const healthProfile = useAppState((state) => state.profile);
+  const standard = useAppState(selectStandard);
+  const { standardId, providers: providerSettings } = useAppState((state) => state.settings);
+  const { t } = useI18n();
+  const palette = usePalette();
+  const sensorDevices = useAppState((state) => state.indoor.devices);
+  const suggestedThreshold = suggestThreshold(healthProfile);
+  const [emailDraft, setEmailDraft] = useState("");
+  const [profileDraft, setProfileDraft] = useState(() => healthProfile || DEFAULT_PROFILE);
+  const [profileStatus, setProfileStatus] = useState({ saving: false, message: null, error: null });
+  const [sensorDraft, setSensorDraft] = useState({ name: "", room: "" });
+  const [sensorStatus, setSensorStatus] = useState({ saving: false, message: null, error: null });
+  const [newSensorKey, setNewSensorKey] = useState(null);
+
+  useEffect(() => {
+    // Follows the stored profile as it loads or the signed-in user changes.
+    setProfileDraft(healthProfile || DEFAULT_PROFILE);
+  }, [healthProfile]);
+
+  useEffect(() => {
+    setNewSensorKey(null);
+  }, [uid]);
+
+  const setAuthStatus = (status) => dispatch(actions.setAuthStatus(status));
+
+  const runAuthAction = async (action, successMessage) => {
+    setAuthStatus({ busy: true, message: null, error: null });
+    try {
+      const result = await action();
+      const migrated = result?.migrated ? ` • ${t("moved {count} guest records", { count: result.migrated })}` : "";
+      setAuthStatus({ busy: false, message: `${successMessage}${migrated}`, error: null });
+    } catch (err) {
+      console.warn("Authentication failed", err);
+      setAuthStatus({ busy: false, message: null, error: err?.message || t("Authentication failed.") });
+    }
+  };
+
+  const handleEmailLinkRequest = (event) => {
+    event.preventDefault();
+    const email = emailDraft.trim();
+    if (!email) {
+      setAuthStatus({ busy: false, message: null, error: t("Enter your email address.") });
+      return;
+    }
+    runAuthAction(() => sendEmailSignInLink(email), t("Sign-in link sent to {email}", { email }));
+  };
+
+  const toggleDraftCondition = (conditionId) => {
+    setProfileDraft((prev) => ({
+      ...prev,
+      conditions: prev.conditions.includes(conditionId)
+        ? prev.conditions.filter((id) => id !== conditionId)
+        : [...prev.conditions, conditionId],
+    }));
+  };
+
+  const handleSaveProfile = async (event) => {
+    event.preventDefault();
+    setProfileStatus({ saving: true, message: null, error: null });
+    try {
+      if (!uid) throw new Error("Not signed in");
+      const saved = await saveHealthProfile(uid, profileDraft);
+      dispatch(actions.profileLoaded(saved));
+      setProfileStatus({ saving: false, message: t("Profile saved"), error: null });
+    } catch (err) {
+      console.warn("Failed to save health profile", err);
+      setProfileStatus({ saving: false, message: null, error: t("Could not save your profile. Try again.") });
+    }
+  };
+
+  const handleAddSensor = async (event) => {
+    event.preventDefault();
+    if (!uid) return;
+    if (!sensorDraft.name.trim()) {
+      setSensorStatus({ saving: false, message: null, error: t("Give the sensor a name.") });
+      return;
+    }
+    setSensorStatus({ saving: true, message: null, error: null });
+    try {
+      const { device, key } = await createSensorDevice(sensorDraft);
+      const devices = [...sensorDevices, device];
+      await saveSensorDevices(uid, devices);
+      dispatch(actions.updateIndoor({ devices }));
+      setNewSensorKey({ sensorId: device.id, key });
+      setSensorDraft({ name: "", room: "" });
+      setSensorStatus({ saving: false, message: t("{sensor} added", { sensor: device.name }), error: null });
+    } catch (err) {
+      console.warn("Failed to add indoor sensor", err);
+      setSensorStatus({ saving: false, message: null, error: t("Could not add the sensor. Try again.") });
+    }
+  };
+
+  const removeSensor = async (sensorId) => {
+    if (!uid) return;
+    const devices = sensorDevices.filter((device) => device.id !== sensorId);
+    try {
+      await saveSensorDevices(uid, devices);
+      dispatch(actions.updateIndoor({ devices }));
+      if (newSensorKey?.sensorId === sensorId) setNewSensorKey(null);
+    } catch (err) {
+      console.warn("Failed to remove indoor sensor", err);
+      setSensorStatus({ saving: false, message: null, error: t("Could not remove the sensor. Try again.") });
+    }
+  };
+
+  const updateProviders = (providers) => dispatch(actions.updateSettings({ providers }));
+
+  const toggleProvider = (id) => {
+    const enabled = providerSettings.order.includes(id);
+    // At least one source has to stay on.
+    if (enabled && providerSettings.order.length === 1) return;
+    updateProviders({
+      ...providerSettings,
+      order: enabled ? providerSettings.order.filter((entry) => entry !== id) : [...providerSettings.order, id],
+    });
+  };
+
+  const moveProvider = (id, step) => {
+    const order = [...providerSettings.order];
+    const from = order.indexOf(id);
+    const to = from + step;
+    if (from === -1 || to < 0 || to >= order.length) return;
+    [order[from], order[to]] = [order[to], order[from]];
+    updateProviders({ ...providerSettings, order });
+  };
+
+  const providerList = [
+    ...providerSettings.order.map((id) => PROVIDER_OPTIONS.find((option) => option.id === id)),
+    ...PROVIDER_OPTIONS.filter((option) => !providerSettings.order.includes(option.id)),
+  ];
+
+  return (
+    <>
+      <section className="section">
+        <div className="section-heading">
+          <div>
+            <p className="section-label">{t("Account & health profile")}</p>
+            <h2 className="section-title">{t("Personalize your guidance")}</h2>
+          </div>
+          <p className="section-subtitle">
+            {t("Risk predictions, prevention tips, checklist tiers and the suggested alert threshold adapt to you.")}
+          </p>
+        </div>
+        <div className="card account-card">
+          <div className="card-header">
+            <div>
+              <div className="label">{t("Account")}</div>
+              <div className="subtle">
+                {t(
+                  user?.isAnonymous
+                    ? "Guest data stays on this browser's anonymous account. Sign in to keep it across devices."
+                    : "Readings, watchlist, thresholds and alerts are saved to your account."
+                )}
+              </div>
+            </div>
+            <span className={`status-chip ${user && !user.isAnonymous ? "active" : ""}`}>{t(describeUser(user))}</span>
+          </div>
+          {user?.isAnonymous ? (
+            <div className="account-actions">
+              <button
+                className="button ghost"
+                onClick={() => runAuthAction(signInWithGoogle, t("Signed in with Google"))}
+                disabled={authStatus.busy}
+              >
+                {t("Continue with Google")}
+              </button>
+              <form className="account-email" onSubmit={handleEmailLinkRequest}>
+                <input
+                  type="email"
+                  value={emailDraft}
+                  onChange={(e) => setEmailDraft(e.target.value)}
+                  placeholder="you@example.com"
+                  className="input"
+                />
+                <button type="submit" className="button ghost" disabled={authStatus.busy}>
+                  {t("Email me a link")}
+                </button>
+              </form>
+            </div>
+          ) : (
+            user && (
+              <button className="button tiny" onClick={() => runAuthAction(signOutUser, t("Signed out"))} disabled={authStatus.busy}>
+                {t("Sign out")}
+              </button>
+            )
+          )}
+          {authStatus.error && <div className="error-text">{authStatus.error}</div>}
+          {authStatus.message && <div className="subtle">{authStatus.message}</div>}
+        </div>
+        <form className="card profile-card" onSubmit={handleSaveProfile}>
+          <div className="card-header">
+            <div className="label">{t("Your profile")}</div>
+            <div className="subtle">{describeProfile(healthProfile, t)}</div>
+          </div>
+          <div className="profile-grid">
+            <label className="profile-field">
+              <span className="automation-label">{t("Age band")}</span>
+              <select
+                className="automation-select"
+                value={profileDraft.ageBand}
+                onChange={(e) => setProfileDraft((prev) => ({ ...prev, ageBand: e.target.value }))}
+              >
+                {AGE_BANDS.map((band) => (
+                  <option key={band.id} value={band.id}>
+                    {t(band.label)}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="profile-field">
+              <span className="automation-label">{t("Activity level")}</span>
+              <select
+                className="automation-select"
+                value={profileDraft.activity}
+                onChange={(e) => setProfileDraft((prev) => ({ ...prev, activity: e.target.value }))}
+              >
+                {ACTIVITY_LEVELS.map((level) => (
+                  <option key={level.id} value={level.id}>
+                    {t(level.label)}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <fieldset className="profile-conditions">
+            <legend className="automation-label">{t("Conditions")}</legend>
+            {CONDITIONS.map((condition) => (
+              <label key={condition.id} className="profile-check">
+                <input
+                  type="checkbox"
+                  checked={profileDraft.conditions.includes(condition.id)}
+                  onChange={() => toggleDraftCondition(condition.id)}
+                />
+                {t(condition.label)}
+              </label>
+            ))}
+          </fieldset>
+          <label className="profile-check">
+            <input
+              type="checkbox"
+              checked={profileDraft.usesInhaler}
+              onChange={(e) => setProfileDraft((prev) => ({ ...prev, usesInhaler: e.target.checked }))}
+            />
+            {t("I use an inhaler or daily respiratory / cardiac medication")}
+          </label>
+          <div className="profile-actions">
+            <button type="submit" className="button" disabled={profileStatus.saving}>
+              {t(profileStatus.saving ? "Saving…" : "Save profile")}
+            </button>
+            <div className="subtle">
+              {profileStatus.error ||
+                profileStatus.message ||
+                t("Suggested alert threshold: {threshold} AQI", { threshold: suggestedThreshold })}
+            </div>
+          </div>
+        </form>
+      </section>
+
+      <section className="section">
+        <div className="section-heading">
+          <div>
+            <p className="section-label">{t("Data & devices")}</p>
+            <h2 className="section-title">{t("Sources and sensors")}</h2>
+          </div>
+          <p className="section-subtitle">{t("Choose the index standard and AQI sources, and register indoor sensors.")}</p>
+        </div>
+        <div className="automation-grid">
+          <div className="card automation-card">
+            <div className="card-header">
+              <div className="label">{t("Air quality standard")}</div>
+              <span className="status-chip">{standard.shortName}</span>
+            </div>
+            <p className="subtle">{t("Sub-indices, colours, advice and checklist tiers follow the selected national scale.")}</p>
+            <label className="automation-label" htmlFor="standard-select">{t("Index standard")}</label>
+            <select
+              id="standard-select"
+              className="automation-select"
+              value={standardId}
+              onChange={(e) => dispatch(actions.updateSettings({ standardId: e.target.value }))}
+            >
+              {Object.values(STANDARDS).map((option) => (
+                <option key={option.id} value={option.id}>
+                  {option.name}
+                </option>
+              ))}
+            </select>
+            <div className="subtle">{t("Alert thresholds stay on the WAQI US AQI scale.")}</div>
+          </div>
+
+          <div className="card automation-card">
+            <div className="card-header">
+              <div className="label">{t("Colours & contrast")}</div>
+              <span className="status-chip">{t(palette.name)}</span>
+            </div>
+            <p className="subtle">
+              {t(
+                "Severity colours on the dashboard, map and charts. The colour-blind safe and high-contrast palettes also hatch worse levels, and every level is named in text."
+              )}
+            </p>
+            <label className="automation-label" htmlFor="palette-select">{t("Palette")}</label>
+            <select
+              id="palette-select"
+              className="automation-select"
+              value={palette.id}
+              onChange={(e) => dispatch(actions.updateSettings({ palette: e.target.value }))}
+            >
+              {Object.values(PALETTES).map((option) => (
+                <option key={option.id} value={option.id}>
+                  {t(option.name)}
+                </option>
+              ))}
+            </select>
+            <div className="palette-preview" aria-hidden="true">
+              {standard.bands.map((band) => (
+                <span
+                  key={band.level}
+                  className={`palette-swatch ${palette.patternClass(band.level)}`}
+                  style={{ backgroundColor: palette.bandColor(band) }}
+                />
+              ))}
+            </div>
+          </div>
+
+          <div className="card automation-card">
+            <div className="card-header">
+              <div className="label">{t("Data sources")}</div>
+              <span className="status-chip">{t(PROVIDER_MODES[providerSettings.mode])}</span>
+            </div>
+            <p className="subtle">
+              {t(
+                "Fallback uses the first source with a reading; blending asks every source and shows the median with how well they agree."
+              )}
+            </p>
+            <label className="automation-label" htmlFor="provider-mode">{t("Mode")}</label>
+            <select
+              id="provider-mode"
+              className="automation-select"
+              value={providerSettings.mode}
+              onChange={(e) => updateProviders({ ...providerSettings, mode: e.target.value })}
+            >
+              {Object.entries(PROVIDER_MODES).map(([mode, label]) => (
+                <option key={mode} value={mode}>
+                  {t(label)}
+                </option>
+              ))}
+            </select>
+            <div className="provider-list">
+              {providerList.map((option) => {
+                const position = providerSettings.order.indexOf(option.id);
+                return (
+                  <div key={option.id} className="provider-row">
+                    <label className="profile-check">
+                      <input
+                        type="checkbox"
+                        checked={position !== -1}
+                        onChange={() => toggleProvider(option.id)}
+                        disabled={position !== -1 && providerSettings.order.length === 1}
+                      />
+                      <span>
+                        {position !== -1 ? `${position + 1}. ` : ""}
+                        {option.name}
+                      </span>
+                    </label>
+                    {position !== -1 && (
+                      <span className="provider-row-actions">
+                        <button
+                          type="button"
+                          className="button tiny"
+                          onClick={() => moveProvider(option.id, -1)}
+                          disabled={position === 0}
+                          aria-label={t("Move {source} up", { source: option.name })}
+                        >
+                          ↑
+                        </button>
+                        <button
+                          type="button"
+                          className="button tiny"
+                          onClick={() => moveProvider(option.id, 1)}
+                          disabled={position === providerSettings.order.length - 1}
+                          aria-label={t("Move {source} down", { source: option.name })}
+                        >
+                          ↓
+                        </button>
+                      </span>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+            <div className="subtle">{t("Map stations and city rankings always come from WAQI.")}</div>
+          </div>
+
+            <div className="card automation-card indoor-card">
+            <div className="card-header">
+              <div className="label">{t("Your sensors")}</div>
+              <div className="subtle">{t("Each device gets its own key")}</div>
+            </div>
+            {!uid ? (
+              <div className="empty-state">{t("Sign-in is still starting; sensors can be added in a moment.")}</div>
+            ) : (
+              <>
+                <form className="controls indoor-form" onSubmit={handleAddSensor}>
+                  <input
+                    type="text"
+                    value={sensorDraft.name}
+                    onChange={(e) => setSensorDraft((prev) => ({ ...prev, name: e.target.value }))}
+                    placeholder={t("Sensor name")}
+                    className="input"
+                  />
+                  <input
+                    type="text"
+                    value={sensorDraft.room}
+                    onChange={(e) => setSensorDraft((prev) => ({ ...prev, room: e.target.value }))}
+                    placeholder={t("Room (optional)")}
+                    className="input"
+                  />
+                  <button type="submit" className="button" disabled={sensorStatus.saving}>
+                    {t(sensorStatus.saving ? "Adding…" : "Add sensor")}
+                  </button>
+                </form>
+                {sensorStatus.error && <div className="error-text">{sensorStatus.error}</div>}
+                {sensorStatus.message && <div className="subtle">{sensorStatus.message}</div>}
+                {newSensorKey && (
+                  <div className="indoor-key">
+                    <div className="automation-label">{t("Device key (shown once, copy it now)")}</div>
+                    <code>{newSensorKey.key}</code>
+                    {sensorIngestUrl(uid, newSensorKey.sensorId) ? (
+                      <>
+                        <div className="automation-label">{t("POST readings to")}</div>
+                        <code>{sensorIngestUrl(uid, newSensorKey.sensorId)}</code>
+                        <div className="subtle">
+                          {t("Send the key in an X-Sensor-Key header, or add &key=… for firmware without headers.")}
+                        </div>
+                      </>
+                    ) : (
+                      <div className="subtle">{t("Set VITE_SENSOR_INGEST_URL to show the HTTP endpoint for this device.")}</div>
+                    )}
+                    <div className="subtle">
+                      {t("MQTT devices publish to")} <code>atmosense/{uid}/{newSensorKey.sensorId}</code>{" "}
+                      {t("with the key in a \"key\" field.")}
+                    </div>
+                  </div>
+                )}
+                {sensorDevices.length === 0 ? (
+                  <div className="empty-state">{t("No sensors yet. Add one, or run the simulator in functions/ to try the card.")}</div>
+                ) : (
+                  <div className="indoor-sensors">
+                    {sensorDevices.map((device) => (
+                      <div key={device.id} className="indoor-sensor">
+                        <div>
+                          <strong>{device.name}</strong>
+                          <div className="subtle">
+                            {device.room ? `${device.room} • ` : ""}
+                            {device.id}
+                          </div>
+                        </div>
+                        <button type="button" className="button tiny" onClick={() => removeSensor(device.id)}>
+                          {t("Remove")}
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      </section>
+    </>
+  );
+}
+
+export default Settings;
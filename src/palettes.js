@@ -0,0 +1,105 @@
+import { bandFor, DEFAULT_STANDARD_ID } from "./standards";
+
+export const DEFAULT_PALETTE_ID = "standard";
+export const NO_DATA_COLOR = "#64748b";
+// Hatch tiles for chart bars are this many pixels square.
+const PATTERN_SIZE = 12;
+
+/**
+ * Colour schemes for AQI severity. "standard" keeps each standard's own band colours. The others
+ * colour by band level (0 = best) on one scale for every standard, and hatch everything above the
+ * first level so neighbouring levels differ in more than hue: Okabe–Ito colours for colour-vision
+ * deficiencies, and saturated ones that stay readable against the dark background for low vision.
+ */
+export const PALETTES = {
+  standard: { id: "standard", name: "Standard", levels: null, patterns: false },
+  colorblind: {
+    id: "colorblind",
+    name: "Colour-blind safe",
+    levels: ["#56b4e9", "#f0e442", "#e69f00", "#d55e00", "#cc79a7", "#f5c2e7"],
+    patterns: true,
+  },
+  "high-contrast": {
+    id: "high-contrast",
+    name: "High contrast",
+    levels: ["#00ff85", "#ffea00", "#ff9100", "#ff1744", "#e040fb", "#ff80ab"],
+    patterns: true,
+  },
+};
+
+// Risk bars reuse the band scale: "High" is drawn like an unhealthy band, "Low" like a good one.
+const RISK_LEVELS = [
+  { min: 75, label: "High", level: 3, color: "#dc2626" },
+  { min: 55, label: "Elevated", level: 2, color: "#f97316" },
+  { min: 35, label: "Moderate", level: 1, color: "#facc15" },
+  { min: 0, label: "Low", level: 0, color: "#22c55e" },
+];
+
+/** The palette stored in preferences: high contrast when the system asks for more contrast, otherwise standard. */
+export const detectPalette = () =>
+  typeof window !== "undefined" && window.matchMedia?.("(prefers-contrast: more)").matches ? "high-contrast" : DEFAULT_PALETTE_ID;
+
+// One hatch per level, drawn over the band colour; level 0 stays flat.
+const drawHatch = (ctx, level) => {
+  const s = PATTERN_SIZE;
+  ctx.strokeStyle = "rgba(3, 7, 18, 0.55)";
+  ctx.fillStyle = "rgba(3, 7, 18, 0.55)";
+  ctx.lineWidth = level >= 4 ? 2.5 : 1.5;
+  ctx.beginPath();
+  if (level === 1) {
+    ctx.arc(s / 2, s / 2, 1.5, 0, Math.PI * 2);
+    ctx.fill();
+    return;
+  }
+  ctx.moveTo(0, s);
+  ctx.lineTo(s, 0);
+  if (level === 3 || level >= 5) {
+    ctx.moveTo(0, 0);
+    ctx.lineTo(s, s);
+  }
+  if (level >= 4) {
+    ctx.moveTo(0, s / 2);
+    ctx.lineTo(s, s / 2);
+  }
+  ctx.stroke();
+};
+
+const patternCache = new Map();
+
+const hatchPattern = (color, level) => {
+  const key = `${color}:${level}`;
+  if (patternCache.has(key)) return patternCache.get(key);
+  // Canvas patterns need a real 2D context; without one (tests, old browsers) bars stay flat.
+  if (typeof window === "undefined" || !("CanvasPattern" in window)) return color;
+  const tile = document.createElement("canvas");
+  tile.width = PATTERN_SIZE;
+  tile.height = PATTERN_SIZE;
+  const ctx = tile.getContext("2d");
+  if (!ctx) return color;
+  ctx.fillStyle = color;
+  ctx.fillRect(0, 0, PATTERN_SIZE, PATTERN_SIZE);
+  drawHatch(ctx, level);
+  const pattern = ctx.createPattern(tile, "repeat") || color;
+  patternCache.set(key, pattern);
+  return pattern;
+};
+
+/**
+ * Everything a view needs to draw severity in one palette: colours by band or index, the risk bar
+ * scale, and the hatching that goes with them (a CSS class for elements, a canvas pattern for charts).
+ */
+export const createPalette = (paletteId) => {
+  const palette = PALETTES[paletteId] || PALETTES[DEFAULT_PALETTE_ID];
+  const levelColor = (level, fallback) => palette.levels?.[Math.min(level, palette.levels.length - 1)] || fallback;
+  const bandColor = (band, fallback = NO_DATA_COLOR) => (band ? levelColor(band.level, band.color) : fallback);
+  /** For raw WAQI numbers, which are on the US EPA scale whatever standard the dashboard shows. */
+  const indexColor = (aqi, standardId = DEFAULT_STANDARD_ID, fallback = NO_DATA_COLOR) => bandColor(bandFor(aqi, standardId), fallback);
+  const patternClass = (level) => (palette.patterns && level > 0 ? `hatch hatch-${Math.min(level, 5)}` : "");
+  const chartFill = (color, level) => (palette.patterns && level > 0 ? hatchPattern(color, Math.min(level, 5)) : color);
+  /** @returns {{ label: string, level: number, color: string }} */
+  const riskLevel = (probability) => {
+    const risk = RISK_LEVELS.find((entry) => probability >= entry.min);
+    return { label: risk.label, level: risk.level, color: levelColor(risk.level, risk.color) };
+  };
+  return { ...palette, levelColor, bandColor, indexColor, patternClass, chartFill, riskLevel };
+};
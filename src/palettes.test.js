@@ -0,0 +1,31 @@
+import { describe, expect, it } from "vitest";
+import { createPalette, NO_DATA_COLOR } from "./palettes";
+import { bandFor, getStandard } from "./standards";
+
+describe("severity palettes", () => {
+  it("keeps each standard's own colours in the standard palette", () => {
+    const palette = createPalette("standard");
+    const band = bandFor(168, "us-epa");
+    expect(palette.bandColor(band)).toBe(band.color);
+    expect(palette.indexColor(null)).toBe(NO_DATA_COLOR);
+    expect(palette.patternClass(band.level)).toBe("");
+  });
+
+  it("colours every standard by band level and hatches all but the best", () => {
+    const palette = createPalette("colorblind");
+    const naqiPoor = getStandard("in-naqi").bands[3];
+    const epaUnhealthy = getStandard("us-epa").bands[3];
+    expect(palette.bandColor(naqiPoor)).toBe(palette.bandColor(epaUnhealthy));
+    expect(palette.bandColor(naqiPoor)).not.toBe(naqiPoor.color);
+    expect(palette.patternClass(0)).toBe("");
+    expect(palette.patternClass(3)).toBe("hatch hatch-3");
+    // jsdom has no canvas, so chart bars fall back to the flat colour.
+    expect(palette.chartFill("#d55e00", 3)).toBe("#d55e00");
+  });
+
+  it("names risk levels alongside their colour", () => {
+    expect(createPalette("standard").riskLevel(80)).toEqual({ label: "High", level: 3, color: "#dc2626" });
+    expect(createPalette("high-contrast").riskLevel(40)).toMatchObject({ label: "Moderate", color: "#ffea00" });
+    expect(createPalette("unknown").id).toBe("standard");
+  });
+});
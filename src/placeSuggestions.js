@@ -0,0 +1,103 @@
+import { suggestPlaces } from "./geocode";
+import { searchStations } from "./waqi";
+
+export const MIN_QUERY_LENGTH = 2;
+const MAX_STATIONS = 5;
+const MAX_RECENT = 5;
+const RECENT_KEY = "atmosense:recent-searches";
+
+export const SUGGESTION_GROUPS = [
+  { id: "city", label: "Cities" },
+  { id: "station", label: "Stations" },
+  { id: "place", label: "Places" },
+];
+
+/**
+ * @typedef {Object} PlaceSuggestion
+ * @property {string} id Stable id, also used to de-duplicate recent searches.
+ * @property {"city"|"station"|"place"} group
+ * @property {string} label
+ * @property {string} detail Secondary line (region, country, full station name).
+ * @property {{ lat: number, lng: number }|null} coords
+ * @property {number|null} stationId Set for WAQI stations only.
+ * @property {number|null} aqi Current station AQI; null for places and recent searches.
+ */
+
+const fromStation = (station) => {
+  const [label, ...rest] = station.name.split(",").map((part) => part.trim());
+  return {
+    id: `station:${station.stationId}`,
+    group: "station",
+    label,
+    detail: rest.join(", "),
+    coords: station.coords,
+    stationId: station.stationId,
+    aqi: station.aqi,
+  };
+};
+
+const roundCoord = (value) => value.toFixed(3);
+
+const fromPlace = (place) => ({
+  id: `${place.kind}:${roundCoord(place.coords.lat)},${roundCoord(place.coords.lng)}`,
+  group: place.kind,
+  label: place.label,
+  detail: place.detail,
+  coords: place.coords,
+  stationId: null,
+  aqi: null,
+});
+
+/**
+ * WAQI stations (through the AQI proxy) and Photon places for `text`, ordered by SUGGESTION_GROUPS. One
+ * service failing still returns the other's results; the call only rejects when both fail.
+ * @returns {Promise<PlaceSuggestion[]>}
+ */
+export const searchPlaceSuggestions = async (text) => {
+  const term = String(text || "").trim();
+  if (term.length < MIN_QUERY_LENGTH) return [];
+  const [stations, places] = await Promise.allSettled([searchStations(term), suggestPlaces(term)]);
+  if (stations.status === "rejected" && places.status === "rejected") throw stations.reason;
+  const suggestions = [
+    ...(stations.status === "fulfilled" ? stations.value.filter((station) => station.coords).slice(0, MAX_STATIONS).map(fromStation) : []),
+    ...(places.status === "fulfilled" ? places.value.map(fromPlace) : []),
+  ];
+  const seen = new Set();
+  return SUGGESTION_GROUPS.flatMap((group) =>
+    suggestions.filter((suggestion) => {
+      if (suggestion.group !== group.id || seen.has(suggestion.id)) return false;
+      seen.add(suggestion.id);
+      return true;
+    })
+  );
+};
+
+/** What fetchAqi looks up for a picked suggestion: a station id or exact coordinates, never the name. */
+export const suggestionTarget = (suggestion) =>
+  suggestion.stationId !== null
+    ? { kind: "station", stationId: suggestion.stationId, coords: suggestion.coords, name: suggestion.label }
+    : { kind: "geo", coords: suggestion.coords, label: suggestion.label };
+
+/** @returns {PlaceSuggestion[]} Most recent first. */
+export const loadRecentSearches = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(RECENT_KEY) || "[]");
+    return Array.isArray(stored) ? stored.filter((entry) => entry?.id && entry.coords).slice(0, MAX_RECENT) : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+/** Remembers a picked suggestion on this device. Its AQI is dropped; it would be stale next time. */
+export const saveRecentSearch = (suggestion) => {
+  const recent = [{ ...suggestion, aqi: null }, ...loadRecentSearches().filter((entry) => entry.id !== suggestion.id)].slice(
+    0,
+    MAX_RECENT
+  );
+  try {
+    window.localStorage.setItem(RECENT_KEY, JSON.stringify(recent));
+  } catch (err) {
+    // Without storage the list just lasts for this page view.
+  }
+  return recent;
+};
@@ -0,0 +1,53 @@
+import { http, HttpResponse } from "msw";
+import { beforeEach, describe, expect, it } from "vitest";
+import { loadRecentSearches, saveRecentSearch, searchPlaceSuggestions, suggestionTarget } from "./placeSuggestions";
+import { server } from "./test/server";
+import { clearWaqiCache } from "./waqi";
+
+describe("searchPlaceSuggestions", () => {
+  beforeEach(() => clearWaqiCache());
+
+  it("merges WAQI stations and Photon places, grouped, without asking Nominatim", async () => {
+    let nominatimSearches = 0;
+    server.use(
+      http.get("https://nominatim.openstreetmap.org/search", () => {
+        nominatimSearches += 1;
+        return HttpResponse.json([]);
+      })
+    );
+    const suggestions = await searchPlaceSuggestions("Delhi");
+    expect(suggestions.map((entry) => [entry.group, entry.label, entry.aqi])).toEqual([
+      ["city", "Delhi", null],
+      ["station", "ITO", 168],
+    ]);
+    expect(suggestions[0].detail).toBe("India");
+    expect(suggestions[1].detail).toBe("Delhi, Delhi, India");
+    expect(nominatimSearches).toBe(0);
+  });
+
+  it("skips short queries without a request", async () => {
+    await expect(searchPlaceSuggestions(" d ")).resolves.toEqual([]);
+  });
+
+  it("keeps one service's results when the other fails", async () => {
+    server.use(http.get("https://photon.komoot.io/api/", () => new HttpResponse(null, { status: 503 })));
+    const suggestions = await searchPlaceSuggestions("Delhi");
+    expect(suggestions.map((entry) => entry.group)).toEqual(["station"]);
+  });
+
+  it("turns a pick into an exact target", async () => {
+    const [city, station] = await searchPlaceSuggestions("Delhi");
+    expect(suggestionTarget(city)).toEqual({ kind: "geo", coords: { lat: 28.6273928, lng: 77.1716954 }, label: "Delhi" });
+    expect(suggestionTarget(station)).toMatchObject({ kind: "station", stationId: 10124, name: "ITO" });
+  });
+});
+
+describe("recent searches", () => {
+  it("keeps the latest five picks without their AQI", () => {
+    const pick = (n) => ({ id: `city:${n}`, group: "city", label: `Place ${n}`, detail: "", coords: { lat: n, lng: n }, stationId: null, aqi: 50 });
+    [1, 2, 3, 4, 5, 6, 2].forEach((n) => saveRecentSearch(pick(n)));
+    const recent = loadRecentSearches();
+    expect(recent.map((entry) => entry.label)).toEqual(["Place 2", "Place 6", "Place 5", "Place 4", "Place 3"]);
+    expect(recent.every((entry) => entry.aqi === null)).toBe(true);
+  });
+});
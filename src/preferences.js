@@ -0,0 +1,149 @@
+import { AUTO_REFRESH_MINUTES } from "./autoRefresh";
+import { DEFAULT_EXPOSURE_LIMIT_ID, exposureLimitFor } from "./exposure";
+import { detectLocale, LOCALES } from "./i18n";
+import { detectPalette, PALETTES } from "./palettes";
+import { loadProviderSettings, normalizeProviderSettings } from "./providers";
+import { getStandard, loadStandardPreference } from "./standards";
+import { loadSetting, saveSetting, watchSetting } from "./userData";
+
+const PREFERENCES_STORAGE_KEY = "atmosense:preferences";
+export const PREFERENCES_VERSION = 4;
+export const THRESHOLD_RANGE = { min: 50, max: 400 };
+const MAX_CITY_LENGTH = 120;
+
+/**
+ * What follows a user from device to device: guests keep it in localStorage, signed-in users in
+ * users/{uid}/settings/preferences.
+ * @typedef {Object} Preferences
+ * @property {number} version
+ * @property {number|null} alertThreshold Null until the user picks one; the profile suggestion applies meanwhile.
+ * @property {string} exposureLimitId
+ * @property {string} standardId
+ * @property {{ order: string[], mode: string }} providers
+ * @property {{ enabled: boolean, minutes: number }} autoRefresh
+ * @property {string} lastCity The last city looked up by name, restored into the search box.
+ * @property {string} locale One of the LOCALES in i18n; advice, notifications and dates use it.
+ * @property {string} palette One of the PALETTES in palettes.js; severity colours and chart hatching follow it.
+ */
+
+// MIGRATIONS[n] turns a version n document into version n + 1. Documents without a version are
+// version 1: the threshold and exposure limit earlier releases stored per account, while the standard
+// and data sources stayed in their own localStorage keys on each device.
+const MIGRATIONS = {
+  1: (stored) => ({
+    ...stored,
+    version: 2,
+    standardId: loadStandardPreference(),
+    providers: loadProviderSettings(),
+    autoRefresh: { enabled: false, minutes: 10 },
+    lastCity: "",
+  }),
+  // Version 3 added the interface language, starting from the browser's.
+  2: (stored) => ({ ...stored, version: 3, locale: detectLocale() }),
+  // Version 4 added the severity palette, starting high contrast when the system asks for more contrast.
+  3: (stored) => ({ ...stored, version: 4, palette: detectPalette() }),
+};
+
+const normalizePreferences = (stored) => {
+  const threshold = Number(stored.alertThreshold);
+  const minutes = Number(stored.autoRefresh?.minutes);
+  return {
+    version: PREFERENCES_VERSION,
+    alertThreshold:
+      stored.alertThreshold === null || stored.alertThreshold === undefined || !Number.isFinite(threshold)
+        ? null
+        : Math.min(THRESHOLD_RANGE.max, Math.max(THRESHOLD_RANGE.min, Math.round(threshold))),
+    exposureLimitId: exposureLimitFor(stored.exposureLimitId || DEFAULT_EXPOSURE_LIMIT_ID).id,
+    standardId: getStandard(stored.standardId).id,
+    providers: normalizeProviderSettings(stored.providers),
+    autoRefresh: {
+      enabled: Boolean(stored.autoRefresh?.enabled),
+      minutes: AUTO_REFRESH_MINUTES.includes(minutes) ? minutes : 10,
+    },
+    lastCity: typeof stored.lastCity === "string" ? stored.lastCity.trim().slice(0, MAX_CITY_LENGTH) : "",
+    locale: LOCALES[stored.locale] ? stored.locale : detectLocale(),
+    palette: PALETTES[stored.palette] ? stored.palette : detectPalette(),
+  };
+};
+
+/**
+ * Upgrades a stored document of any version (or nothing at all) to the current schema, replacing
+ * anything malformed with its default.
+ * @returns {Preferences}
+ */
+export const migratePreferences = (stored) => {
+  let current = { ...(stored || {}) };
+  let version = Number.isInteger(current.version) ? current.version : 1;
+  while (version < PREFERENCES_VERSION) {
+    current = MIGRATIONS[version](current);
+    version = current.version;
+  }
+  return normalizePreferences(current);
+};
+
+/** @returns {Preferences|null} The guest's preferences on this device, or null if none were saved yet. */
+export const loadLocalPreferences = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(PREFERENCES_STORAGE_KEY) || "null");
+    return stored ? migratePreferences(stored) : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+export const saveLocalPreferences = (preferences) => {
+  try {
+    window.localStorage.setItem(PREFERENCES_STORAGE_KEY, JSON.stringify(preferences));
+  } catch (err) {
+    console.warn("Failed to save preferences on this device", err);
+  }
+};
+
+/** Calls `onChange` whenever another tab saves guest preferences. Returns an unsubscribe function. */
+export const watchLocalPreferences = (onChange) => {
+  const handleStorage = (event) => {
+    if (event.key !== PREFERENCES_STORAGE_KEY || !event.newValue) return;
+    try {
+      onChange(migratePreferences(JSON.parse(event.newValue)));
+    } catch (err) {
+      console.warn("Ignoring unreadable preferences from another tab", err);
+    }
+  };
+  window.addEventListener("storage", handleStorage);
+  return () => window.removeEventListener("storage", handleStorage);
+};
+
+export const saveAccountPreferences = (uid, preferences) => saveSetting(uid, "preferences", preferences);
+
+/**
+ * The account's stored preferences migrated to the current schema, or null if it has none. Guests use
+ * it once to adopt what earlier releases kept under their anonymous uid.
+ */
+export const loadAccountPreferences = async (uid) => {
+  const stored = await loadSetting(uid, "preferences");
+  return stored ? migratePreferences(stored) : null;
+};
+
+/**
+ * Streams a signed-in user's preferences, so a change on one device reaches every open tab. Documents
+ * from older releases are upgraded in place; `onChange` gets null while the account has none.
+ * Returns an unsubscribe function.
+ */
+export const watchAccountPreferences = (uid, onChange, onError) =>
+  watchSetting(
+    uid,
+    "preferences",
+    (stored) => {
+      if (!stored) {
+        onChange(null);
+        return;
+      }
+      const preferences = migratePreferences(stored);
+      // Never rewrite a document a newer release saved; it may hold fields this one does not know.
+      if (!(stored.version >= PREFERENCES_VERSION)) {
+        saveAccountPreferences(uid, preferences).catch((err) => console.warn("Failed to upgrade stored preferences", err));
+      }
+      onChange(preferences);
+    },
+    onError
+  );
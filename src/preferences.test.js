@@ -0,0 +1,99 @@
+import { describe, expect, it, vi } from "vitest";
+import {
+  loadLocalPreferences,
+  migratePreferences,
+  PREFERENCES_VERSION,
+  saveAccountPreferences,
+  saveLocalPreferences,
+  watchAccountPreferences,
+  watchLocalPreferences,
+} from "./preferences";
+import { dumpFirestore } from "./test/firestoreFake";
+import { saveSetting } from "./userData";
+
+describe("preference migrations", () => {
+  it("upgrades an unversioned document with the settings this device kept", () => {
+    vi.spyOn(navigator, "languages", "get").mockReturnValue(["mr-IN", "en-GB"]);
+    window.localStorage.setItem("atmosense:standard", "in-naqi");
+    window.localStorage.setItem("atmosense:providers", JSON.stringify({ order: ["openaq", "waqi"], mode: "blend" }));
+    expect(migratePreferences({ alertThreshold: 120, exposureLimitId: "naaqs-in" })).toEqual({
+      version: PREFERENCES_VERSION,
+      alertThreshold: 120,
+      exposureLimitId: "naaqs-in",
+      standardId: "in-naqi",
+      providers: { order: ["openaq", "waqi"], mode: "blend" },
+      autoRefresh: { enabled: false, minutes: 10 },
+      lastCity: "",
+      locale: "mr",
+      palette: "standard",
+    });
+  });
+
+  it("starts the palette in high contrast when the system asks for more contrast", () => {
+    vi.stubGlobal("matchMedia", (query) => ({ matches: query === "(prefers-contrast: more)" }));
+    expect(migratePreferences({ version: 3, locale: "en" }).palette).toBe("high-contrast");
+    vi.unstubAllGlobals();
+  });
+
+  it("replaces malformed values with defaults", () => {
+    const migrated = migratePreferences({
+      version: PREFERENCES_VERSION,
+      alertThreshold: 9000,
+      exposureLimitId: "nope",
+      standardId: "nope",
+      providers: { order: ["nope"], mode: "nope" },
+      autoRefresh: { enabled: "yes", minutes: 7 },
+      lastCity: "  Pune ",
+      locale: "klingon",
+      palette: "sepia",
+    });
+    expect(migrated).toMatchObject({
+      alertThreshold: 400,
+      exposureLimitId: "who",
+      standardId: "us-epa",
+      providers: { mode: "fallback" },
+      autoRefresh: { enabled: true, minutes: 10 },
+      lastCity: "Pune",
+      locale: "en",
+      palette: "standard",
+    });
+    expect(migratePreferences({ version: PREFERENCES_VERSION, alertThreshold: null }).alertThreshold).toBeNull();
+  });
+});
+
+describe("guest preferences", () => {
+  it("round-trips through localStorage and follows other tabs", () => {
+    expect(loadLocalPreferences()).toBeNull();
+    const preferences = { ...migratePreferences(null), alertThreshold: 110, lastCity: "Delhi" };
+    saveLocalPreferences(preferences);
+    expect(loadLocalPreferences()).toEqual(preferences);
+
+    const onChange = vi.fn();
+    const unwatch = watchLocalPreferences(onChange);
+    const next = { ...preferences, autoRefresh: { enabled: true, minutes: 30 } };
+    window.dispatchEvent(new StorageEvent("storage", { key: "atmosense:preferences", newValue: JSON.stringify(next) }));
+    unwatch();
+    expect(onChange).toHaveBeenCalledWith(next);
+  });
+});
+
+describe("account preferences", () => {
+  it("upgrades an older document in place and streams later changes", async () => {
+    await saveSetting("alice", "preferences", { alertThreshold: 130 });
+    const onChange = vi.fn();
+    const unwatch = watchAccountPreferences("alice", onChange);
+    expect(onChange.mock.lastCall[0]).toMatchObject({ version: PREFERENCES_VERSION, alertThreshold: 130 });
+    expect(dumpFirestore()["users/alice/settings/preferences"]).toMatchObject({ version: PREFERENCES_VERSION, lastCity: "" });
+
+    // Another device raising the threshold reaches this one.
+    await saveAccountPreferences("alice", { ...onChange.mock.lastCall[0], alertThreshold: 180 });
+    expect(onChange.mock.lastCall[0].alertThreshold).toBe(180);
+    unwatch();
+  });
+
+  it("reports accounts without stored preferences", () => {
+    const onChange = vi.fn();
+    watchAccountPreferences("bob", onChange)();
+    expect(onChange).toHaveBeenCalledWith(null);
+  });
+});
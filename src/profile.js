@@ -0,0 +1,136 @@
+import { loadSetting, saveSetting } from "./userData";
+
+const BASE_THRESHOLD = 150;
+
+export const AGE_BANDS = [
+  { id: "child", label: "Child (under 12)" },
+  { id: "teen", label: "Teen (12–17)" },
+  { id: "adult", label: "Adult (18–64)" },
+  { id: "senior", label: "Senior (65+)" },
+];
+
+export const CONDITIONS = [
+  { id: "asthma", label: "Asthma" },
+  { id: "copd", label: "COPD / chronic bronchitis" },
+  { id: "heart", label: "Heart disease / hypertension" },
+  { id: "diabetes", label: "Diabetes" },
+  { id: "pregnancy", label: "Pregnancy" },
+  { id: "allergies", label: "Allergies / rhinitis" },
+];
+
+export const ACTIVITY_LEVELS = [
+  { id: "indoor", label: "Mostly indoors" },
+  { id: "moderate", label: "Regular outdoor activity" },
+  { id: "outdoor", label: "Outdoor worker / athlete" },
+];
+
+/**
+ * @typedef {Object} HealthProfile
+ * @property {string} ageBand One of AGE_BANDS ids.
+ * @property {string[]} conditions CONDITIONS ids.
+ * @property {string} activity One of ACTIVITY_LEVELS ids.
+ * @property {boolean} usesInhaler Carries a reliever inhaler or takes daily respiratory/cardiac medication.
+ */
+
+/** @type {HealthProfile} */
+export const DEFAULT_PROFILE = { ageBand: "adult", conditions: [], activity: "moderate", usesInhaler: false };
+
+// Multipliers applied to each RISK_MODEL slope; values above 1 mean the person reacts earlier to pollution.
+const RISK_FACTORS = {
+  respiratory: { child: 1.3, senior: 1.3, asthma: 1.6, copd: 1.7, allergies: 1.15, pregnancy: 1.1, outdoor: 1.35 },
+  cardio: { senior: 1.4, heart: 1.7, diabetes: 1.3, pregnancy: 1.2, outdoor: 1.2 },
+  irritation: { child: 1.15, allergies: 1.5, outdoor: 1.3 },
+  neuro: { child: 1.2, senior: 1.2, pregnancy: 1.15, outdoor: 1.1 },
+};
+
+const SENSITIVE_CONDITIONS = ["asthma", "copd", "heart", "pregnancy"];
+
+const sanitizeProfile = (data) => ({
+  ageBand: AGE_BANDS.some((band) => band.id === data?.ageBand) ? data.ageBand : DEFAULT_PROFILE.ageBand,
+  conditions: Array.isArray(data?.conditions)
+    ? data.conditions.filter((id) => CONDITIONS.some((condition) => condition.id === id))
+    : [],
+  activity: ACTIVITY_LEVELS.some((level) => level.id === data?.activity) ? data.activity : DEFAULT_PROFILE.activity,
+  usesInhaler: Boolean(data?.usesInhaler),
+});
+
+/** @returns {Promise<HealthProfile|null>} null when the user has not saved a profile yet. */
+export const loadHealthProfile = async (uid) => {
+  const stored = await loadSetting(uid, "profile");
+  return stored ? sanitizeProfile(stored) : null;
+};
+
+export const saveHealthProfile = async (uid, profile) => {
+  const clean = sanitizeProfile(profile);
+  await saveSetting(uid, "profile", clean);
+  return clean;
+};
+
+const profileTraits = (profile) => [profile.ageBand, profile.activity, ...profile.conditions];
+
+export const riskMultiplier = (profile, riskKey) => {
+  if (!profile) return 1;
+  const factors = RISK_FACTORS[riskKey] || {};
+  const combined = profileTraits(profile).reduce((product, trait) => product * (factors[trait] || 1), 1);
+  // Someone who carries a reliever inhaler can blunt an acute respiratory episode.
+  const treated = riskKey === "respiratory" && profile.usesInhaler ? 0.9 : 1;
+  return combined * treated;
+};
+
+/** 0 for a healthy adult, rising by one for each group that CPCB/EPA guidance calls "sensitive". */
+export const sensitivityLevel = (profile) => {
+  if (!profile) return 0;
+  let level = 0;
+  if (profile.ageBand === "child" || profile.ageBand === "senior") level += 1;
+  if (profile.conditions.some((condition) => SENSITIVE_CONDITIONS.includes(condition))) level += 1;
+  if (profile.activity === "outdoor") level += 1;
+  return level;
+};
+
+export const suggestThreshold = (profile) => {
+  const suggested = BASE_THRESHOLD - sensitivityLevel(profile) * 30;
+  return Math.max(60, Math.round(suggested / 10) * 10);
+};
+
+const DISEASE_TRIGGERS = {
+  "Asthma & COPD flare-ups": ["asthma", "copd", "child", "allergies"],
+  "Cardio stress (hypertension)": ["heart", "diabetes", "senior", "pregnancy"],
+  "Allergic rhinitis / sore throat": ["allergies", "child"],
+  "Eye irritation": ["outdoor", "allergies"],
+  "Headache & fatigue": ["pregnancy", "outdoor", "senior"],
+};
+
+const PERSONAL_TIPS = {
+  asthma: "Take your controller dose on schedule and keep the reliever inhaler on you",
+  copd: "Follow your action plan; call your doctor if breathlessness worsens",
+  heart: "Skip strenuous exertion; watch for chest pain or palpitations",
+  diabetes: "Monitor blood sugar closely; pollution can raise cardiovascular strain",
+  pregnancy: "Limit outdoor time on high days; favour filtered indoor spaces",
+  allergies: "Rinse nasal passages after being outdoors; keep antihistamines handy",
+  child: "Move play and sports indoors when the index climbs",
+  senior: "Check in with family or caregivers on high-pollution days",
+  outdoor: "Schedule heavy work for the cleanest hours and wear a fitted N95",
+};
+
+/** Orders the diseases list by relevance to the profile and attaches personal guidance. */
+export const personalizeDiseases = (diseases, profile) => {
+  if (!profile) return diseases.map((item) => ({ ...item, relevant: false, personalTip: null }));
+  const traits = profileTraits(profile);
+  return diseases
+    .map((item) => {
+      const matches = (DISEASE_TRIGGERS[item.name] || []).filter((trait) => traits.includes(trait));
+      const tip = matches.map((trait) => PERSONAL_TIPS[trait]).find(Boolean) || null;
+      return { ...item, relevant: matches.length > 0, personalTip: tip, weight: matches.length };
+    })
+    .sort((a, b) => b.weight - a.weight);
+};
+
+/** One line summing up the profile; pass the view's `t` to get it in the app language. */
+export const describeProfile = (profile, t = (message) => message) => {
+  if (!profile) return t("No profile yet");
+  const age = AGE_BANDS.find((band) => band.id === profile.ageBand)?.label;
+  const conditions = profile.conditions
+    .map((id) => CONDITIONS.find((condition) => condition.id === id)?.label)
+    .filter(Boolean);
+  return [age, ...conditions].filter(Boolean).map((label) => t(label)).join(" • ");
+};
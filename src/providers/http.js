@@ -0,0 +1,51 @@
+import axios from "axios";
+import { WaqiNetworkError } from "../waqi";
+
+const REQUEST_TIMEOUT_MS = 8000;
+
+export class AqiProviderError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = "AqiProviderError";
+    this.provider = options.provider || null;
+    this.network = Boolean(options.network);
+    this.cause = options.cause;
+    // Per-provider failures when every provider in the chain was tried.
+    this.attempts = options.attempts || [];
+  }
+}
+
+/** True for failures that mean "could not reach the service" rather than "the service said no". */
+export const isNetworkError = (err) => err instanceof WaqiNetworkError || Boolean(err?.network);
+
+/**
+ * A small cached JSON client for providers without a dedicated module like waqi.js. `transport` is
+ * injectable so adapters can be exercised against recorded fixture responses.
+ */
+export const createJsonClient = ({ provider, name, baseUrl, headers = {}, ttlMs, transport }) => {
+  const cache = new Map();
+  const send =
+    transport ||
+    (async (url, params) => {
+      const res = await axios.get(url, { params, headers, timeout: REQUEST_TIMEOUT_MS });
+      return res.data;
+    });
+
+  return async (path, params = {}, { force = false } = {}) => {
+    const url = `${baseUrl}${path}`;
+    const key = `${url}?${new URLSearchParams(params).toString()}`;
+    const cached = cache.get(key);
+    if (!force && cached && cached.expiresAt > Date.now()) return cached.value;
+    try {
+      const value = await send(url, params);
+      cache.set(key, { value, expiresAt: Date.now() + ttlMs });
+      return value;
+    } catch (err) {
+      const status = err?.response?.status;
+      throw new AqiProviderError(
+        status ? `${name} request failed with status ${status}.` : `Could not reach ${name}.`,
+        { provider, network: !status || status >= 500, cause: err }
+      );
+    }
+  };
+};
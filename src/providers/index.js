@@ -0,0 +1,200 @@
+import { searchPlace } from "../geocode";
+import { POLLUTANT_KEYS } from "../standards";
+import { AqiProviderError, isNetworkError } from "./http";
+import { createOpenAqProvider } from "./openaq";
+import { createOpenMeteoProvider } from "./openMeteo";
+import { createWaqiProvider } from "./waqi";
+
+export { AqiProviderError, isNetworkError } from "./http";
+
+const SETTINGS_STORAGE_KEY = "atmosense:providers";
+export const PROVIDER_MODES = {
+  fallback: "Priority with fallback",
+  blend: "Blend all sources",
+};
+// Sources within this many AQI points (or this share of the median) count as agreeing.
+const AGREEMENT_ABSOLUTE = 20;
+const AGREEMENT_HIGH = 0.15;
+const AGREEMENT_MODERATE = 0.35;
+
+/**
+ * @typedef {Object} AqiProvider
+ * @property {string} id
+ * @property {string} name
+ * @property {boolean} isConfigured False when a required key is missing; such providers are skipped.
+ * @property {{ city: boolean, geo: boolean, station: boolean }} supports Target kinds it can answer directly.
+ * @property {(target: Object, options?: { force?: boolean }) => Promise<import("../waqi").WaqiReading>} getReading
+ */
+
+/** @returns {AqiProvider[]} */
+export const createProviders = () => [createWaqiProvider(), createOpenMeteoProvider(), createOpenAqProvider()];
+
+const providers = createProviders();
+const providerById = new Map(providers.map((provider) => [provider.id, provider]));
+
+export const PROVIDER_OPTIONS = providers.map(({ id, name, isConfigured }) => ({ id, name, isConfigured }));
+
+export const providerName = (id) => providerById.get(id)?.name || id || "Unknown source";
+
+const sanitizeOrder = (order) => {
+  const known = (Array.isArray(order) ? order : []).filter((id, index, list) => providerById.has(id) && list.indexOf(id) === index);
+  return known.length ? known : providers.map((provider) => provider.id);
+};
+
+/** VITE_AQI_PROVIDERS="waqi,open-meteo" sets the default priority; unknown ids are ignored. */
+export const DEFAULT_PROVIDER_SETTINGS = {
+  order: sanitizeOrder(String(import.meta.env.VITE_AQI_PROVIDERS || "").split(",").map((id) => id.trim())),
+  mode: "fallback",
+};
+
+/** Drops unknown or duplicate sources and unknown modes from stored `{ order, mode }` settings. */
+export const normalizeProviderSettings = (stored) =>
+  stored ? { order: sanitizeOrder(stored.order), mode: PROVIDER_MODES[stored.mode] ? stored.mode : "fallback" } : DEFAULT_PROVIDER_SETTINGS;
+
+/** Data source settings as earlier releases kept them on this device; preferences.js migrates them. */
+export const loadProviderSettings = () => {
+  try {
+    return normalizeProviderSettings(JSON.parse(window.localStorage.getItem(SETTINGS_STORAGE_KEY) || "null"));
+  } catch (err) {
+    return DEFAULT_PROVIDER_SETTINGS;
+  }
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+};
+
+const sourceSummary = (reading) => ({
+  provider: reading.provider,
+  name: providerName(reading.provider),
+  aqi: reading.aqi,
+  stationName: reading.stationName,
+  observedAt: reading.observedAt,
+});
+
+/**
+ * How closely the sources agree on the overall AQI.
+ * @returns {{ level: "high"|"moderate"|"low", spread: number, count: number }|null} null with fewer than two sources.
+ */
+export const describeAgreement = (values) => {
+  if (values.length < 2) return null;
+  const spread = Math.max(...values) - Math.min(...values);
+  const relative = spread / Math.max(median(values), 1);
+  const level =
+    spread <= AGREEMENT_ABSOLUTE || relative <= AGREEMENT_HIGH ? "high" : relative <= AGREEMENT_MODERATE ? "moderate" : "low";
+  return { level, spread, count: values.length };
+};
+
+/**
+ * Merges readings (highest priority first) into one: the median AQI and per-pollutant sub-indices,
+ * with station, coordinates and time from the highest-priority source and the first available forecast.
+ */
+export const blendReadings = (readings) => {
+  const [primary] = readings;
+  const iaqi = {};
+  POLLUTANT_KEYS.forEach((pollutant) => {
+    const values = readings.map((reading) => reading.iaqi?.[pollutant]).filter(Number.isFinite);
+    if (values.length) iaqi[pollutant] = median(values);
+  });
+  const dominant = Object.entries(iaqi).reduce((worst, entry) => (!worst || entry[1] > worst[1] ? entry : worst), null);
+  const withForecast = readings.find((reading) => reading.forecast);
+  return {
+    ...primary,
+    aqi: median(readings.map((reading) => reading.aqi)),
+    dominantPollutant: dominant ? dominant[0] : primary.dominantPollutant,
+    iaqi,
+    forecast: withForecast?.forecast || null,
+    forecastProvider: withForecast?.provider || null,
+    attributions: [...new Set(readings.flatMap((reading) => reading.attributions || []))],
+    provider: "blend",
+    sources: readings.map(sourceSummary),
+    agreement: describeAgreement(readings.map((reading) => reading.aqi)),
+  };
+};
+
+/**
+ * Geo-only providers need coordinates: a station target carries them, a city is geocoded once per
+ * lookup (lazily, so WAQI answering first costs no Nominatim request).
+ */
+const createTargetResolver = (target) => {
+  let geocoded = null;
+  return async (provider) => {
+    if (provider.supports[target.kind]) return target;
+    if (!provider.supports.geo) return null;
+    if (target.coords) return { kind: "geo", coords: target.coords };
+    if (target.kind !== "city") return null;
+    geocoded ||= searchPlace(target.name).catch((err) => {
+      throw new AqiProviderError("Place search is unavailable right now.", { provider: provider.id, network: true, cause: err });
+    });
+    const place = await geocoded;
+    if (!place) throw new AqiProviderError(`Could not locate "${target.name}".`, { provider: provider.id });
+    return { kind: "geo", coords: place.coords };
+  };
+};
+
+const attempt = async (provider, resolveTarget, options) => {
+  const target = await resolveTarget(provider);
+  if (!target) return null;
+  const reading = await provider.getReading(target, options);
+  if (reading.aqi === null) {
+    throw new AqiProviderError(`${provider.name} has no AQI for this location right now.`, { provider: provider.id });
+  }
+  return { ...reading, provider: reading.provider || provider.id };
+};
+
+const failure = (attempts) => {
+  if (!attempts.length) return new AqiProviderError("No enabled data source can look up this location.");
+  if (attempts.length === 1) {
+    const [{ error }] = attempts;
+    return new AqiProviderError(error.message, { provider: attempts[0].provider, network: isNetworkError(error), cause: error, attempts });
+  }
+  const detail = attempts.map(({ provider, error }) => `${providerName(provider)}: ${error.message}`).join(" • ");
+  return new AqiProviderError(`No data source had a reading. ${detail}`, {
+    network: attempts.every(({ error }) => isNetworkError(error)),
+    attempts,
+  });
+};
+
+/**
+ * Fetches one reading for `target` ({ kind: "city", name } | { kind: "geo", coords } |
+ * { kind: "station", stationId, coords }). In "fallback" mode providers are tried in priority order
+ * until one has an AQI; in "blend" mode every provider is asked and the answers are merged.
+ * Readings carry `provider`, `sources` and (when blended) `agreement`.
+ * Throws AqiProviderError, whose `network` flag is set when every failure was a connectivity problem.
+ */
+export const getAqiReading = async (target, { order, mode = "fallback", force = false } = {}) => {
+  const chain = sanitizeOrder(order)
+    .map((id) => providerById.get(id))
+    .filter((provider) => provider.isConfigured);
+  const resolveTarget = createTargetResolver(target);
+  const attempts = [];
+
+  if (mode === "blend") {
+    const results = await Promise.allSettled(chain.map((provider) => attempt(provider, resolveTarget, { force })));
+    const readings = [];
+    results.forEach((result, index) => {
+      if (result.status === "fulfilled" && result.value) readings.push(result.value);
+      if (result.status === "rejected") attempts.push({ provider: chain[index].id, error: result.reason });
+    });
+    if (!readings.length) throw failure(attempts);
+    return readings.length === 1 ? { ...readings[0], sources: [sourceSummary(readings[0])], agreement: null } : blendReadings(readings);
+  }
+
+  for (const provider of chain) {
+    try {
+      const reading = await attempt(provider, resolveTarget, { force });
+      if (!reading) continue;
+      return {
+        ...reading,
+        sources: [sourceSummary(reading)],
+        agreement: null,
+        fallbackFrom: attempts.map(({ provider: id, error }) => ({ provider: id, error: error.message })),
+      };
+    } catch (err) {
+      attempts.push({ provider: provider.id, error: err });
+    }
+  }
+  throw failure(attempts);
+};
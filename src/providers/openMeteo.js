@@ -0,0 +1,104 @@
+import { concentrationToIaqi, toCanonicalConcentration } from "../standards";
+import { createJsonClient } from "./http";
+
+const OPEN_METEO_BASE_URL = "https://air-quality-api.open-meteo.com/v1";
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const FORECAST_DAYS = 5;
+// Open-Meteo variable name -> pollutant key used across the app.
+const CURRENT_VARIABLES = {
+  pm2_5: "pm25",
+  pm10: "pm10",
+  ozone: "o3",
+  nitrogen_dioxide: "no2",
+  sulphur_dioxide: "so2",
+  carbon_monoxide: "co",
+};
+// The same pollutants WAQI publishes daily forecasts for, so parseWaqiForecast can read both.
+const FORECAST_VARIABLES = { pm2_5: "pm25", pm10: "pm10", ozone: "o3" };
+
+const toIaqi = (variable, pollutant, value, units) =>
+  concentrationToIaqi(pollutant, toCanonicalConcentration(pollutant, value, units?.[variable]));
+
+/** Hourly model output folded into WAQI's `forecast.daily` shape: { pm25: [{ day, avg, min, max }] }. */
+export const dailyForecastFromHourly = (hourly, units) => {
+  if (!Array.isArray(hourly?.time)) return null;
+  const daily = {};
+  Object.entries(FORECAST_VARIABLES).forEach(([variable, pollutant]) => {
+    const byDay = new Map();
+    (hourly[variable] || []).forEach((value, index) => {
+      const subIndex = toIaqi(variable, pollutant, value, units);
+      if (subIndex === null) return;
+      const day = hourly.time[index].slice(0, 10);
+      byDay.set(day, [...(byDay.get(day) || []), subIndex]);
+    });
+    daily[pollutant] = [...byDay.entries()].map(([day, values]) => ({
+      day,
+      avg: Math.round(values.reduce((sum, value) => sum + value, 0) / values.length),
+      min: Math.min(...values),
+      max: Math.max(...values),
+    }));
+  });
+  return Object.values(daily).some((entries) => entries.length) ? daily : null;
+};
+
+/**
+ * Open-Meteo serves CAMS model output for any coordinate, so it never lacks a "station" but is also
+ * not a measurement; the station name says so.
+ * @returns {import("../waqi").WaqiReading}
+ */
+export const normalizeOpenMeteo = (response) => {
+  const iaqi = {};
+  Object.entries(CURRENT_VARIABLES).forEach(([variable, pollutant]) => {
+    const subIndex = toIaqi(variable, pollutant, response?.current?.[variable], response?.current_units);
+    if (subIndex !== null) iaqi[pollutant] = subIndex;
+  });
+  const dominant = Object.entries(iaqi).reduce((worst, entry) => (!worst || entry[1] > worst[1] ? entry : worst), null);
+  const time = response?.current?.time || null;
+  const offsetSeconds = Number(response?.utc_offset_seconds) || 0;
+  return {
+    stationId: null,
+    stationName: "Open-Meteo CAMS model",
+    coords: Number.isFinite(response?.latitude) ? { lat: response.latitude, lng: response.longitude } : null,
+    aqi: dominant ? dominant[1] : null,
+    dominantPollutant: dominant ? dominant[0] : null,
+    iaqi,
+    observedAt: time ? `${time.replace("T", " ")}:00` : null,
+    // `time` is local to the requested timezone; shift by the reported offset to get UTC.
+    observedAtIso: time ? new Date(Date.parse(`${time}:00Z`) - offsetSeconds * 1000).toISOString() : null,
+    forecast: dailyForecastFromHourly(response?.hourly, response?.hourly_units),
+    attributions: ["Open-Meteo", "Copernicus Atmosphere Monitoring Service"],
+    staleSince: null,
+    provider: "open-meteo",
+  };
+};
+
+export const createOpenMeteoProvider = ({ transport } = {}) => {
+  const getJson = createJsonClient({
+    provider: "open-meteo",
+    name: "Open-Meteo",
+    baseUrl: OPEN_METEO_BASE_URL,
+    ttlMs: CACHE_TTL_MS,
+    transport,
+  });
+  return {
+    id: "open-meteo",
+    name: "Open-Meteo",
+    isConfigured: true,
+    supports: { city: false, geo: true, station: false },
+    getReading: async ({ coords }, { force = false } = {}) => {
+      const response = await getJson(
+        "/air-quality",
+        {
+          latitude: coords.lat.toFixed(4),
+          longitude: coords.lng.toFixed(4),
+          current: Object.keys(CURRENT_VARIABLES).join(","),
+          hourly: Object.keys(FORECAST_VARIABLES).join(","),
+          timezone: "auto",
+          forecast_days: FORECAST_DAYS,
+        },
+        { force }
+      );
+      return normalizeOpenMeteo(response);
+    },
+  };
+};
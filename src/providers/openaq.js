@@ -0,0 +1,108 @@
+import { concentrationToIaqi, POLLUTANT_KEYS, toCanonicalConcentration } from "../standards";
+import { AqiProviderError, createJsonClient } from "./http";
+
+// The same-origin proxy (api/openaq) adds the API key; see api/_lib/routes.js.
+const OPENAQ_PROXY_URL = "/api/openaq";
+const SEARCH_RADIUS_M = 25000;
+const MAX_LOCATIONS = 10;
+// A location whose last measurement is older than this is probably offline.
+const MAX_AGE_MS = 6 * 60 * 60 * 1000;
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+const isRecent = (location, now) => {
+  const last = Date.parse(location?.datetimeLast?.utc);
+  return Number.isFinite(last) && now - last <= MAX_AGE_MS;
+};
+
+const measuresPm25 = (location) => (location?.sensors || []).some((sensor) => sensor?.parameter?.name === "pm25");
+
+/** Nearest reporting location with a PM2.5 sensor, from a /v3/locations?coordinates= response. */
+export const pickOpenAqLocation = (locationsResponse, now = Date.now()) =>
+  [...(locationsResponse?.results || [])]
+    .filter((location) => measuresPm25(location) && isRecent(location, now))
+    .sort((a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity))[0] || null;
+
+// The proxy's answer when the deployment has no OPENAQ_API_KEY (see UPSTREAMS in api/_lib/proxy.js).
+const isMissingKeyAnswer = (err) => err?.cause?.response?.status === 503 && /configured/i.test(err.cause.response.data?.data);
+
+const formatLocalTime = (local) => (local ? local.slice(0, 19).replace("T", " ") : null);
+
+/**
+ * Builds the shared reading shape from a location and its /latest response. OpenAQ reports raw
+ * concentrations, so each is converted to a WAQI-style sub-index and the worst one is the AQI.
+ * @returns {import("../waqi").WaqiReading}
+ */
+export const normalizeOpenAqLatest = (location, latestResponse) => {
+  const parameterBySensor = new Map((location.sensors || []).map((sensor) => [sensor.id, sensor.parameter]));
+  const iaqi = {};
+  let newest = null;
+  (latestResponse?.results || []).forEach((entry) => {
+    const parameter = parameterBySensor.get(entry.sensorsId);
+    if (!parameter || !POLLUTANT_KEYS.includes(parameter.name)) return;
+    const concentration = toCanonicalConcentration(parameter.name, entry.value, parameter.units);
+    const subIndex = concentrationToIaqi(parameter.name, concentration);
+    if (subIndex === null) return;
+    iaqi[parameter.name] = subIndex;
+    if (!newest || entry.datetime?.utc > newest.utc) newest = entry.datetime;
+  });
+  const entries = Object.entries(iaqi);
+  const dominant = entries.reduce((worst, entry) => (!worst || entry[1] > worst[1] ? entry : worst), null);
+  return {
+    stationId: null,
+    stationName: [location.name, location.locality].filter(Boolean).join(", ") || "OpenAQ location",
+    coords: location.coordinates ? { lat: location.coordinates.latitude, lng: location.coordinates.longitude } : null,
+    aqi: dominant ? dominant[1] : null,
+    dominantPollutant: dominant ? dominant[0] : null,
+    iaqi,
+    observedAt: formatLocalTime(newest?.local),
+    observedAtIso: newest?.utc || null,
+    forecast: null,
+    attributions: ["OpenAQ", location.provider?.name].filter(Boolean),
+    staleSince: null,
+    provider: "openaq",
+  };
+};
+
+/**
+ * OpenAQ v3 through the proxy, which holds the API key (OPENAQ_API_KEY) and answers with a
+ * `{ status, data }` envelope. A deployment without the key answers 503; after the first such answer
+ * the provider reports itself unconfigured, so the chain skips it for the rest of the session.
+ */
+export const createOpenAqProvider = ({ transport } = {}) => {
+  const getEnvelope = createJsonClient({
+    provider: "openaq",
+    name: "OpenAQ",
+    baseUrl: OPENAQ_PROXY_URL,
+    ttlMs: CACHE_TTL_MS,
+    transport,
+  });
+  let configured = true;
+  const getJson = async (...args) => {
+    try {
+      return (await getEnvelope(...args)).data;
+    } catch (err) {
+      if (!isMissingKeyAnswer(err)) throw err;
+      configured = false;
+      throw new AqiProviderError("OpenAQ is not set up on this server.", { provider: "openaq", cause: err });
+    }
+  };
+  return {
+    id: "openaq",
+    name: "OpenAQ",
+    get isConfigured() {
+      return configured;
+    },
+    supports: { city: false, geo: true, station: false },
+    getReading: async ({ coords }, { force = false } = {}) => {
+      const locations = await getJson(
+        "/locations",
+        { coordinates: `${coords.lat.toFixed(4)},${coords.lng.toFixed(4)}`, radius: SEARCH_RADIUS_M, limit: MAX_LOCATIONS },
+        { force }
+      );
+      const location = pickOpenAqLocation(locations);
+      if (!location) throw new AqiProviderError("OpenAQ has no reporting PM2.5 monitor nearby.", { provider: "openaq" });
+      const latest = await getJson(`/locations/${location.id}/latest`, {}, { force });
+      return normalizeOpenAqLatest(location, latest);
+    },
+  };
+};
@@ -0,0 +1,129 @@
+import { http, HttpResponse } from "msw";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { WAQI_FEED_ROUTE } from "../test/handlers";
+import { server } from "../test/server";
+import { clearWaqiCache, normalizeFeed } from "../waqi";
+import openAqLatest from "./fixtures/openaq-latest.json";
+import openAqLocations from "./fixtures/openaq-locations.json";
+import openMeteoAirQuality from "./fixtures/open-meteo-air-quality.json";
+import waqiFeed from "./fixtures/waqi-feed.json";
+import waqiFeedNoAqi from "./fixtures/waqi-feed-no-aqi.json";
+import { AqiProviderError, blendReadings, describeAgreement, getAqiReading } from "./index";
+import { createOpenAqProvider, pickOpenAqLocation } from "./openaq";
+import { createOpenMeteoProvider } from "./openMeteo";
+import { createWaqiProvider } from "./waqi";
+
+const DELHI = { lat: 28.6139, lng: 77.209 };
+const FIXTURE_NOW = Date.parse("2026-10-19T05:00:00Z");
+
+const fixtureTransport = (routes) => async (url) => {
+  const match = Object.keys(routes).find((suffix) => url.endsWith(suffix));
+  if (!match) throw new Error(`No fixture for ${url}`);
+  return routes[match];
+};
+
+describe("provider adapters", () => {
+  it("WAQI routes each target kind to the matching feed", async () => {
+    const api = {
+      getFeedByCity: vi.fn().mockResolvedValue("city"),
+      getFeedByGeo: vi.fn().mockResolvedValue("geo"),
+      getFeedByStationId: vi.fn().mockResolvedValue("station"),
+    };
+    const provider = createWaqiProvider({ api });
+    await expect(provider.getReading({ kind: "city", name: "Delhi" })).resolves.toBe("city");
+    await expect(provider.getReading({ kind: "geo", coords: DELHI })).resolves.toBe("geo");
+    await expect(provider.getReading({ kind: "station", stationId: 10124 }, { force: true })).resolves.toBe("station");
+    expect(api.getFeedByStationId).toHaveBeenCalledWith(10124, { force: true });
+  });
+
+  it("OpenAQ picks the nearest recent PM2.5 location and converts concentrations", async () => {
+    vi.useFakeTimers({ now: FIXTURE_NOW, toFake: ["Date"] });
+    expect(pickOpenAqLocation(openAqLocations, FIXTURE_NOW).id).toBe(8118);
+    // The proxy wraps OpenAQ's answers in the same envelope as WAQI's.
+    const transport = vi.fn(
+      fixtureTransport({
+        "/locations": { status: "ok", data: openAqLocations },
+        "/locations/8118/latest": { status: "ok", data: openAqLatest },
+      })
+    );
+    const provider = createOpenAqProvider({ transport });
+    const reading = await provider.getReading({ kind: "geo", coords: DELHI });
+    expect(reading).toMatchObject({ provider: "openaq", aqi: 168, dominantPollutant: "pm25" });
+    expect(reading.attributions).toContain("OpenAQ");
+    expect(transport.mock.calls.map(([url]) => url)).toEqual(["/api/openaq/locations", "/api/openaq/locations/8118/latest"]);
+  });
+
+  it("Open-Meteo turns model output into a reading with a daily forecast", async () => {
+    const provider = createOpenMeteoProvider({ transport: fixtureTransport({ "/air-quality": openMeteoAirQuality }) });
+    const reading = await provider.getReading({ kind: "geo", coords: DELHI });
+    expect(reading).toMatchObject({ provider: "open-meteo", aqi: 170, stationId: null });
+    expect(reading.forecast.pm25.length).toBeGreaterThan(0);
+    expect(reading.forecast.pm25[0]).toEqual(expect.objectContaining({ day: expect.any(String), avg: expect.any(Number) }));
+  });
+});
+
+describe("agreement and blending", () => {
+  it("grades how closely sources agree", () => {
+    expect(describeAgreement([168])).toBeNull();
+    expect(describeAgreement([168, 170])).toMatchObject({ level: "high", spread: 2 });
+    expect(describeAgreement([100, 130])).toMatchObject({ level: "moderate" });
+    expect(describeAgreement([60, 160])).toMatchObject({ level: "low" });
+  });
+
+  it("takes the median AQI and keeps the primary station", () => {
+    const waqi = normalizeFeed(waqiFeed.data);
+    const blended = blendReadings([waqi, { ...waqi, provider: "open-meteo", aqi: 170, forecast: null }]);
+    expect(blended).toMatchObject({ provider: "blend", aqi: 169, stationName: waqi.stationName, forecastProvider: "waqi" });
+    expect(blended.sources.map((source) => source.provider)).toEqual(["waqi", "open-meteo"]);
+  });
+});
+
+describe("getAqiReading", () => {
+  beforeEach(() => clearWaqiCache());
+
+  it("uses the first source with an AQI", async () => {
+    const reading = await getAqiReading({ kind: "city", name: "Delhi" }, { order: ["waqi", "open-meteo"] });
+    expect(reading).toMatchObject({ provider: "waqi", aqi: 168, agreement: null, fallbackFrom: [] });
+  });
+
+  it("falls back to Open-Meteo, geocoding the city, when WAQI has no AQI", async () => {
+    server.use(http.get(WAQI_FEED_ROUTE, () => HttpResponse.json(waqiFeedNoAqi)));
+    const reading = await getAqiReading({ kind: "city", name: "Delhi" }, { order: ["waqi", "open-meteo"], force: true });
+    expect(reading.provider).toBe("open-meteo");
+    expect(reading.fallbackFrom).toEqual([{ provider: "waqi", error: expect.stringContaining("no AQI") }]);
+  });
+
+  it("blends every source and reports agreement", async () => {
+    const reading = await getAqiReading({ kind: "geo", coords: DELHI }, { order: ["waqi", "open-meteo"], mode: "blend", force: true });
+    expect(reading).toMatchObject({ provider: "blend", aqi: 169, agreement: { level: "high", count: 2 } });
+  });
+
+  it("flags the failure as a network problem when no source can be reached", async () => {
+    vi.useFakeTimers({ shouldAdvanceTime: true });
+    server.use(
+      http.get(WAQI_FEED_ROUTE, () => HttpResponse.error()),
+      http.get("https://air-quality-api.open-meteo.com/v1/air-quality", () => HttpResponse.error())
+    );
+    const pending = getAqiReading({ kind: "geo", coords: DELHI }, { order: ["waqi", "open-meteo"], force: true });
+    const assertion = expect(pending).rejects.toMatchObject({ network: true, attempts: expect.any(Array) });
+    await vi.advanceTimersByTimeAsync(1500);
+    await assertion;
+    await expect(pending).rejects.toBeInstanceOf(AqiProviderError);
+  });
+
+  it("stops asking OpenAQ once the proxy says it has no key", async () => {
+    const missingKey = vi.fn(() =>
+      HttpResponse.json({ status: "error", data: "The AQI proxy has no OpenAQ API key configured." }, { status: 503 })
+    );
+    server.use(http.get("/api/openaq/locations", missingKey));
+    const options = { order: ["openaq", "open-meteo"], force: true };
+
+    const first = await getAqiReading({ kind: "geo", coords: DELHI }, options);
+    expect(first.provider).toBe("open-meteo");
+    expect(first.fallbackFrom).toEqual([{ provider: "openaq", error: expect.stringContaining("not set up") }]);
+
+    const second = await getAqiReading({ kind: "geo", coords: DELHI }, options);
+    expect(second.fallbackFrom).toEqual([]);
+    expect(missingKey).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,17 @@
+import { getFeedByCity, getFeedByGeo, getFeedByStationId } from "../waqi";
+
+/**
+ * WAQI stays the primary source: it is the only provider with station ids (used by the map) and
+ * city-name lookups. Caching, retries and error classes live in ../waqi.js; `api` is injectable for fixtures.
+ */
+export const createWaqiProvider = ({ api = { getFeedByCity, getFeedByGeo, getFeedByStationId } } = {}) => ({
+  id: "waqi",
+  name: "WAQI",
+  isConfigured: true,
+  supports: { city: true, geo: true, station: true },
+  getReading: (target, { force = false } = {}) => {
+    if (target.kind === "station") return api.getFeedByStationId(target.stationId, { force });
+    if (target.kind === "city") return api.getFeedByCity(target.name, { force });
+    return api.getFeedByGeo(target.coords, { force });
+  },
+});
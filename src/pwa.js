@@ -0,0 +1,101 @@
+import { deleteField } from "firebase/firestore";
+import { saveSetting } from "./userData";
+
+const VAPID_PUBLIC_KEY = import.meta.env.VITE_VAPID_PUBLIC_KEY || "";
+const LAST_READING_KEY = "atmosense:last-reading";
+
+/**
+ * @typedef {Object} LastKnownReading
+ * @property {import("./waqi").WaqiReading} reading
+ * @property {string} label Location label shown when the reading was taken.
+ * @property {string} savedAt ISO time the reading was fetched from the network.
+ */
+
+export const registerServiceWorker = async () => {
+  // The dev server rebuilds modules on the fly, so a cache-first worker would serve stale code there.
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return null;
+  try {
+    return await navigator.serviceWorker.register("/sw.js");
+  } catch (err) {
+    console.warn("Service worker registration failed", err);
+    return null;
+  }
+};
+
+const activeRegistration = async () => {
+  if (!("serviceWorker" in navigator)) return null;
+  return (await navigator.serviceWorker.getRegistration()) || null;
+};
+
+/** Notifications go through the service worker when one is active; mobile browsers reject `new Notification`. */
+export const showLocalNotification = async (title, options = {}) => {
+  const registration = await activeRegistration();
+  const payload = { icon: "/icons/icon-192.png", ...options };
+  if (registration) {
+    await registration.showNotification(title, payload);
+    return;
+  }
+  new Notification(title, payload);
+};
+
+export const isPushSupported = () =>
+  Boolean(VAPID_PUBLIC_KEY) && "serviceWorker" in navigator && "PushManager" in window && "Notification" in window;
+
+const decodeVapidKey = (base64) => {
+  const padded = (base64 + "=".repeat((4 - (base64.length % 4)) % 4)).replace(/-/g, "+").replace(/_/g, "/");
+  return Uint8Array.from(window.atob(padded), (char) => char.charCodeAt(0));
+};
+
+export const getPushSubscription = async () => {
+  const registration = await activeRegistration();
+  return registration ? registration.pushManager.getSubscription() : null;
+};
+
+/**
+ * Subscribes this browser to Web Push and stores the subscription in settings/channels, where the
+ * scheduled alert worker picks it up. One device per account: subscribing here replaces any other.
+ */
+export const subscribeToPush = async (uid) => {
+  if (!isPushSupported()) throw new Error("Push notifications are not available in this browser.");
+  const permission = await Notification.requestPermission();
+  if (permission !== "granted") throw new Error("Notification permission was not granted.");
+  const registration = await navigator.serviceWorker.ready;
+  const subscription =
+    (await registration.pushManager.getSubscription()) ||
+    (await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: decodeVapidKey(VAPID_PUBLIC_KEY),
+    }));
+  await saveSetting(uid, "channels", {
+    webPush: { subscription: subscription.toJSON(), userAgent: navigator.userAgent, subscribedAt: new Date().toISOString() },
+  });
+  return subscription;
+};
+
+export const unsubscribeFromPush = async (uid) => {
+  const subscription = await getPushSubscription();
+  if (subscription) await subscription.unsubscribe();
+  await saveSetting(uid, "channels", { webPush: deleteField() });
+};
+
+/** Keeps the most recent network reading so the dashboard has something to show when it opens offline. */
+export const saveLastKnownReading = (reading, label) => {
+  try {
+    window.localStorage.setItem(
+      LAST_READING_KEY,
+      JSON.stringify({ reading, label, savedAt: new Date().toISOString() })
+    );
+  } catch (err) {
+    // Storage can be unavailable; offline mode simply has nothing to fall back to.
+  }
+};
+
+/** @returns {LastKnownReading|null} */
+export const loadLastKnownReading = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(LAST_READING_KEY) || "null");
+    return stored?.reading && stored.savedAt ? stored : null;
+  } catch (err) {
+    return null;
+  }
+};
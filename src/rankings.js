@@ -0,0 +1,250 @@
+import { bucketReadings, trendWindowStart } from "./history";
+import { POLLUTANT_LABELS } from "./standards";
+import { loadSetting, saveSetting } from "./userData";
+import { getRankingFeeds, getStationsInBounds } from "./waqi";
+
+export const MAX_RANKING_CITIES = 30;
+export const RANKING_PAGE_SIZE = 10;
+// Refresh-on-mount reuses the stored snapshot until it is this old; the Refresh button always refetches.
+export const RANKING_TTL_MS = 10 * 60 * 1000;
+const SNAPSHOT_KEY = "atmosense:rankings";
+// City AQI from each refresh, for the row sparklines. Kept on the device rather than in the user's
+// readings, which are the places they checked themselves.
+const HISTORY_KEY = "atmosense:ranking-history";
+
+export const RANKING_PRESETS = [
+  { id: "in-metros", label: "Indian metros", cities: ["Delhi", "Mumbai", "Bengaluru", "Chennai", "Kolkata", "Hyderabad"] },
+  {
+    id: "in-capitals",
+    label: "Indian state capitals",
+    cities: [
+      "Amaravati", "Itanagar", "Guwahati", "Patna", "Raipur", "Panaji", "Gandhinagar", "Chandigarh", "Shimla",
+      "Ranchi", "Bengaluru", "Thiruvananthapuram", "Bhopal", "Mumbai", "Imphal", "Shillong", "Aizawl", "Kohima",
+      "Bhubaneswar", "Jaipur", "Gangtok", "Chennai", "Hyderabad", "Agartala", "Lucknow", "Dehradun", "Kolkata",
+    ],
+  },
+  {
+    id: "world-capitals",
+    label: "World capitals",
+    cities: [
+      "Delhi", "Beijing", "Tokyo", "Seoul", "Bangkok", "Jakarta", "Dhaka", "Islamabad", "Kathmandu", "London",
+      "Paris", "Berlin", "Madrid", "Rome", "Moscow", "Cairo", "Nairobi", "Washington", "Ottawa", "Mexico City",
+      "Brasilia", "Buenos Aires", "Canberra",
+    ],
+  },
+];
+
+// Bounding boxes are approximate, so a country ranking can include stations just across a border.
+export const RANKING_COUNTRIES = [
+  { id: "IN", label: "India", bounds: { south: 6.5, west: 68.1, north: 35.7, east: 97.4 } },
+  { id: "BD", label: "Bangladesh", bounds: { south: 20.6, west: 88.0, north: 26.7, east: 92.7 } },
+  { id: "PK", label: "Pakistan", bounds: { south: 23.6, west: 60.9, north: 37.1, east: 77.8 } },
+  { id: "CN", label: "China", bounds: { south: 18.1, west: 73.5, north: 53.6, east: 134.8 } },
+  { id: "GB", label: "United Kingdom", bounds: { south: 49.9, west: -8.2, north: 58.7, east: 1.8 } },
+  { id: "DE", label: "Germany", bounds: { south: 47.2, west: 5.8, north: 55.1, east: 15.1 } },
+  { id: "US", label: "United States (contiguous)", bounds: { south: 24.4, west: -125.0, north: 49.4, east: -66.9 } },
+  { id: "AU", label: "Australia", bounds: { south: -43.7, west: 113.3, north: -10.7, east: 153.6 } },
+];
+
+export const RANKING_SORTS = [
+  { id: "aqi", label: "AQI" },
+  { id: "pm25", label: "PM2.5" },
+  { id: "dominant", label: "Dominant pollutant" },
+];
+
+/**
+ * @typedef {Object} RankingConfig
+ * @property {"cities"|"country"} mode
+ * @property {string|null} presetId Preset the city list came from; null once the user edits it.
+ * @property {string[]} cities
+ * @property {string} countryId One of RANKING_COUNTRIES ids.
+ */
+
+/** @type {RankingConfig} */
+export const DEFAULT_RANKING_CONFIG = {
+  mode: "cities",
+  presetId: "in-metros",
+  cities: RANKING_PRESETS[0].cities,
+  countryId: "IN",
+};
+
+/**
+ * @typedef {Object} RankingRow
+ * @property {string} key Stable id used to match rows across refreshes.
+ * @property {string} label
+ * @property {string|null} city City name the row was fetched by (cities mode only).
+ * @property {number|null} stationId
+ * @property {number|null} aqi
+ * @property {number|null} pm25 PM2.5 IAQI; country rankings come from /map/bounds, which does not report it.
+ * @property {string|null} dominantPollutant
+ * @property {number|null} change AQI difference from the previous refresh.
+ * @property {string|null} error Why this row has no data.
+ */
+
+const sanitizeConfig = (data) => {
+  const cities = Array.isArray(data?.cities)
+    ? [...new Set(data.cities.map((name) => String(name).trim()).filter(Boolean))].slice(0, MAX_RANKING_CITIES)
+    : DEFAULT_RANKING_CONFIG.cities;
+  return {
+    mode: data?.mode === "country" ? "country" : "cities",
+    presetId: RANKING_PRESETS.some((preset) => preset.id === data?.presetId) ? data.presetId : null,
+    cities,
+    countryId: RANKING_COUNTRIES.some((country) => country.id === data?.countryId)
+      ? data.countryId
+      : DEFAULT_RANKING_CONFIG.countryId,
+  };
+};
+
+export const loadRankingConfig = async (uid) => {
+  const stored = await loadSetting(uid, "rankings");
+  return stored ? sanitizeConfig(stored) : null;
+};
+
+export const saveRankingConfig = async (uid, config) => {
+  const clean = sanitizeConfig(config);
+  await saveSetting(uid, "rankings", clean);
+  return clean;
+};
+
+export const rankingConfigKey = (config) =>
+  config.mode === "country" ? `country:${config.countryId}` : `cities:${config.cities.map((name) => name.toLowerCase()).join("|")}`;
+
+const toCityRow = ({ city, reading, error }) => {
+  if (error) console.warn(`Ranking fetch failed for ${city}`, error);
+  return {
+    key: `city:${city.toLowerCase()}`,
+    label: city,
+    city,
+    stationId: reading?.stationId ?? null,
+    stationName: reading?.stationName ?? null,
+    coords: reading?.coords ?? null,
+    aqi: reading?.aqi ?? null,
+    pm25: reading?.iaqi.pm25 ?? null,
+    dominantPollutant: reading?.dominantPollutant ?? null,
+    change: null,
+    error: error ? error.message || "Unavailable" : reading.aqi === null ? "No AQI reported" : null,
+  };
+};
+
+// The proxy fetches every city in one request and paces the upstream calls itself.
+const fetchCityRows = async (cities, force) => (await getRankingFeeds(cities, { force })).map(toCityRow);
+
+const fetchCountryRows = async (countryId, force) => {
+  const country = RANKING_COUNTRIES.find((entry) => entry.id === countryId) || RANKING_COUNTRIES[0];
+  const stations = await getStationsInBounds(country.bounds, { force });
+  return stations.map((station) => ({
+    key: `station:${station.stationId}`,
+    label: station.name,
+    city: null,
+    stationId: station.stationId,
+    stationName: station.name,
+    coords: station.coords,
+    aqi: station.aqi,
+    pm25: null,
+    dominantPollutant: null,
+    change: null,
+    error: station.aqi === null ? "No AQI reported" : null,
+  }));
+};
+
+/** @returns {Promise<RankingRow[]>} */
+export const fetchRankingRows = (config, { force = false } = {}) =>
+  config.mode === "country"
+    ? fetchCountryRows(config.countryId, force)
+    : fetchCityRows(config.cities, force);
+
+/** Adds each row's AQI change against the previous snapshot, matched by row key. */
+export const withChanges = (rows, previousRows = []) => {
+  const previous = new Map(previousRows.map((row) => [row.key, row.aqi]));
+  return rows.map((row) => {
+    const before = previous.get(row.key);
+    const change = Number.isFinite(row.aqi) && Number.isFinite(before) ? row.aqi - before : null;
+    return { ...row, change };
+  });
+};
+
+export const loadRankingSnapshot = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(SNAPSHOT_KEY) || "null");
+    return Array.isArray(stored?.rows) ? stored : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+export const saveRankingSnapshot = (configKey, rows, fetchedAt = Date.now()) => {
+  try {
+    window.localStorage.setItem(SNAPSHOT_KEY, JSON.stringify({ configKey, rows, fetchedAt }));
+  } catch (err) {
+    // Country rankings can be large; without storage the next visit just refetches.
+  }
+};
+
+const compareNullable = (a, b) => {
+  if (a === null || a === undefined) return b === null || b === undefined ? 0 : 1;
+  if (b === null || b === undefined) return -1;
+  return a - b;
+};
+
+/** Cleanest first; rows without the sort value sink to the bottom. */
+export const sortRankingRows = (rows, sortId = "aqi") => {
+  const sorted = [...rows];
+  if (sortId === "pm25") {
+    return sorted.sort((a, b) => compareNullable(a.pm25, b.pm25) || compareNullable(a.aqi, b.aqi));
+  }
+  if (sortId === "dominant") {
+    const pollutantLabel = (row) => (row.dominantPollutant ? POLLUTANT_LABELS[row.dominantPollutant] || row.dominantPollutant : null);
+    return sorted.sort((a, b) => {
+      const left = pollutantLabel(a);
+      const right = pollutantLabel(b);
+      if (left !== right) {
+        if (!left) return 1;
+        if (!right) return -1;
+        return left.localeCompare(right);
+      }
+      return compareNullable(a.aqi, b.aqi);
+    });
+  }
+  return sorted.sort((a, b) => compareNullable(a.aqi, b.aqi));
+};
+
+const loadRankingHistory = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(HISTORY_KEY) || "null");
+    return stored && typeof stored === "object" ? stored : {};
+  } catch (err) {
+    return {};
+  }
+};
+
+/** Adds the AQI of each city row to the sparkline history and drops samples older than the sparkline week. */
+export const recordRankingHistory = (rows, at = Date.now()) => {
+  const since = trendWindowStart("day", new Date(at)).getTime();
+  const history = loadRankingHistory();
+  rows
+    .filter((row) => Number.isFinite(row.aqi))
+    .forEach((row) => {
+      history[row.label] = [...(history[row.label] || []), { at, aqi: row.aqi }];
+    });
+  const kept = Object.fromEntries(
+    Object.entries(history)
+      .map(([label, samples]) => [label, samples.filter((sample) => sample.at >= since)])
+      .filter(([, samples]) => samples.length)
+  );
+  try {
+    window.localStorage.setItem(HISTORY_KEY, JSON.stringify(kept));
+  } catch (err) {
+    // Without storage the sparklines stay empty; the rankings themselves are unaffected.
+  }
+};
+
+/** Daily average AQI over the last week of ranking refreshes on this device, per label. */
+export const loadRankingSparklines = (labels, now = new Date()) => {
+  const history = loadRankingHistory();
+  return Object.fromEntries(
+    labels.map((label) => {
+      const samples = (history[label] || []).map((sample) => ({ aqi: sample.aqi, createdAt: new Date(sample.at) }));
+      return [label, bucketReadings(samples, "day", now).map((bucket) => bucket.avg)];
+    })
+  );
+};
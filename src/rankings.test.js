@@ -0,0 +1,36 @@
+import { describe, expect, it } from "vitest";
+import { fetchRankingRows, loadRankingSparklines, recordRankingHistory } from "./rankings";
+import { server } from "./test/server";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("ranking sparklines", () => {
+  it("keeps a week of city AQI on the device and averages it per day", () => {
+    const now = new Date(2026, 9, 19, 12);
+    recordRankingHistory([{ label: "Delhi", aqi: 300 }], now.getTime() - 10 * DAY_MS);
+    recordRankingHistory([{ label: "Delhi", aqi: 150 }, { label: "Pune", aqi: null }], now.getTime() - 60 * 60 * 1000);
+    recordRankingHistory([{ label: "Delhi", aqi: 170 }], now.getTime());
+
+    const lines = loadRankingSparklines(["Delhi", "Pune"], now);
+    expect(lines.Delhi).toHaveLength(7);
+    expect(lines.Delhi.filter((value) => value !== null)).toEqual([160]);
+    expect(lines.Pune.every((value) => value === null)).toBe(true);
+    expect(JSON.parse(window.localStorage.getItem("atmosense:ranking-history")).Delhi).toHaveLength(2);
+  });
+});
+
+describe("fetchRankingRows", () => {
+  it("asks the proxy to skip its cache when the refresh is forced", async () => {
+    const urls = [];
+    server.events.on("request:start", ({ request }) => urls.push(new URL(request.url)));
+    const config = { mode: "cities", cities: ["Delhi", "Pune"] };
+    await fetchRankingRows(config);
+    const rows = await fetchRankingRows(config, { force: true });
+    server.events.removeAllListeners();
+    expect(rows.map((row) => row.aqi)).toEqual([168, 168]);
+    expect(urls.map((url) => [url.pathname, url.searchParams.has("fresh")])).toEqual([
+      ["/api/rankings", false],
+      ["/api/rankings", true],
+    ]);
+  });
+});
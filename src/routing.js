@@ -0,0 +1,80 @@
+import axios from "axios";
+
+const DEFAULT_OSRM_URL = "https://router.project-osrm.org";
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_ALTERNATIVES = 3;
+
+/**
+ * @typedef {Object} RouteCandidate
+ * @property {string} id
+ * @property {number} distance Metres.
+ * @property {number} duration Seconds, as estimated by the provider for the requested profile.
+ * @property {{ lat: number, lng: number }[]} coordinates Full route geometry.
+ */
+
+/**
+ * @typedef {Object} RoutingProvider
+ * @property {string} id
+ * @property {(mode: string) => boolean} supports Whether durations for this travel mode come from the provider.
+ * @property {(request: { origin: {lat: number, lng: number}, destination: {lat: number, lng: number}, mode: string }) => Promise<RouteCandidate[]>} getRoutes
+ */
+
+export class RoutingError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = "RoutingError";
+    this.cause = options.cause;
+  }
+}
+
+/** Parses "driving:car,cycling:bike,walking:foot" into { driving: "car", ... }. */
+export const parseRoutingProfiles = (value) =>
+  Object.fromEntries(
+    String(value || "")
+      .split(",")
+      .map((pair) => pair.split(":").map((part) => part.trim()))
+      .filter(([mode, profile]) => mode && profile)
+  );
+
+/**
+ * Any server speaking the OSRM HTTP API works: the public demo, a self-hosted osrm-backend, or a
+ * local stand-in. `profiles` maps travel modes to the server's profile names; the public demo only
+ * routes cars, so other modes fall back to distance-based timing in the planner.
+ * @returns {RoutingProvider}
+ */
+export const createOsrmProvider = ({ baseUrl = DEFAULT_OSRM_URL, profiles = { driving: "driving" } } = {}) => ({
+  id: "osrm",
+  supports: (mode) => Boolean(profiles[mode]),
+  getRoutes: async ({ origin, destination, mode }) => {
+    const profile = profiles[mode] || profiles.driving || "driving";
+    const waypoints = `${origin.lng},${origin.lat};${destination.lng},${destination.lat}`;
+    let data;
+    try {
+      const res = await axios.get(`${baseUrl.replace(/\/$/, "")}/route/v1/${profile}/${waypoints}`, {
+        params: { alternatives: MAX_ALTERNATIVES, overview: "full", geometries: "geojson" },
+        timeout: REQUEST_TIMEOUT_MS,
+      });
+      data = res.data;
+    } catch (err) {
+      data = err?.response?.data;
+      if (!data?.code) throw new RoutingError("The routing service could not be reached.", { cause: err });
+    }
+    if (data.code === "NoRoute") throw new RoutingError("No route connects those two places.");
+    if (data.code !== "Ok" || !Array.isArray(data.routes)) {
+      throw new RoutingError(data.message || "The routing service returned an unexpected response.");
+    }
+    return data.routes.map((route, index) => ({
+      id: `route-${index}`,
+      distance: route.distance,
+      duration: route.duration,
+      coordinates: (route.geometry?.coordinates || []).map(([lng, lat]) => ({ lat, lng })),
+    }));
+  },
+});
+
+export const routingProvider = createOsrmProvider({
+  baseUrl: import.meta.env.VITE_ROUTING_URL || DEFAULT_OSRM_URL,
+  profiles: import.meta.env.VITE_ROUTING_PROFILES
+    ? parseRoutingProfiles(import.meta.env.VITE_ROUTING_PROFILES)
+    : { driving: "driving" },
+});
@@ -0,0 +1,46 @@
+// Shared coordinates keep two decimals (about a kilometre), enough to find the same stations without
+// publishing someone's exact position.
+const SHARED_COORD_DECIMALS = 2;
+const AT_PATH = /^\/at\/([^/]+)\/?$/;
+
+/** "28.61,77.20" as `{ lat, lng }`, or null when it is not a valid pair. */
+export const parseCoords = (text) => {
+  const parts = String(text || "").split(",");
+  if (parts.length !== 2 || parts.some((part) => !part.trim())) return null;
+  const [lat, lng] = parts.map(Number);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { lat, lng };
+};
+
+/**
+ * The place named by link or widget parameters, as a getAqiReading target: `station` (a WAQI id),
+ * then `coords` ("lat,lng") or `lat` + `lng`, then `city`. Null when none of them is usable.
+ * @param {URLSearchParams} params
+ */
+export const targetFromParams = (params) => {
+  const stationId = (params.get("station") || "").trim();
+  if (/^\d+$/.test(stationId)) return { kind: "station", stationId, coords: null };
+  const coords = parseCoords(params.get("coords") || (params.has("lat") ? `${params.get("lat")},${params.get("lng")}` : ""));
+  if (coords) return { kind: "geo", coords };
+  const name = (params.get("city") || "").trim();
+  return name ? { kind: "city", name } : null;
+};
+
+/** The place a dashboard URL opens: `/at/28.61,77.20`, or `/?city=Delhi`, `/?station=10124`. */
+export const targetFromLocation = ({ pathname = "/", search = "" }) => {
+  const at = AT_PATH.exec(pathname);
+  if (at) {
+    const coords = parseCoords(decodeURIComponent(at[1]));
+    return coords && { kind: "geo", coords };
+  }
+  return targetFromParams(new URLSearchParams(search));
+};
+
+/** The dashboard path that opens `target` again; null when there is nothing to point at. */
+export const sharePath = (target) => {
+  if (!target) return null;
+  if (target.kind === "station") return `/?station=${encodeURIComponent(target.stationId)}`;
+  if (target.kind === "city") return `/?city=${encodeURIComponent(target.name)}`;
+  const { lat, lng } = target.coords;
+  return `/at/${lat.toFixed(SHARED_COORD_DECIMALS)},${lng.toFixed(SHARED_COORD_DECIMALS)}`;
+};
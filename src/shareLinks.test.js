@@ -0,0 +1,27 @@
+import { describe, expect, it } from "vitest";
+import { parseCoords, sharePath, targetFromLocation, targetFromParams } from "./shareLinks";
+
+describe("shared links", () => {
+  it("reads the place from a dashboard URL", () => {
+    expect(targetFromLocation({ pathname: "/at/28.61,77.20" })).toEqual({ kind: "geo", coords: { lat: 28.61, lng: 77.2 } });
+    expect(targetFromLocation({ pathname: "/", search: "?city=New%20Delhi" })).toEqual({ kind: "city", name: "New Delhi" });
+    expect(targetFromLocation({ pathname: "/", search: "?station=10124" })).toEqual({ kind: "station", stationId: "10124", coords: null });
+    expect(targetFromLocation({ pathname: "/at/north,77" })).toBeNull();
+    expect(targetFromLocation({ pathname: "/rankings", search: "" })).toBeNull();
+  });
+
+  it("prefers a station, then coordinates, then a city name", () => {
+    expect(targetFromParams(new URLSearchParams("city=Pune&lat=18.52&lng=73.86")).kind).toBe("geo");
+    expect(targetFromParams(new URLSearchParams("city=Pune&station=abc")).kind).toBe("city");
+    expect(targetFromParams(new URLSearchParams("coords=91,10"))).toBeNull();
+    expect(parseCoords("12.5, -3")).toEqual({ lat: 12.5, lng: -3 });
+  });
+
+  it("builds links that open the same place, rounding coordinates", () => {
+    expect(sharePath({ kind: "geo", coords: { lat: 28.61394, lng: 77.209 } })).toBe("/at/28.61,77.21");
+    expect(sharePath({ kind: "city", name: "São Paulo" })).toBe("/?city=S%C3%A3o%20Paulo");
+    expect(sharePath({ kind: "station", stationId: "10124" })).toBe("/?station=10124");
+    const link = sharePath({ kind: "city", name: "New Delhi" });
+    expect(targetFromLocation({ pathname: "/", search: link.slice(1) })).toEqual({ kind: "city", name: "New Delhi" });
+  });
+});
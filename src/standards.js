@@ -0,0 +1,588 @@
+// Breakpoint tables are stored as [concentrationLow, concentrationHigh, indexLow, indexHigh] rows.
+// Concentrations are normalised to µg/m³ (mg/m³ for CO) before lookup; US tables convert from ppb/ppm.
+const PPB_TO_UGM3 = { o3: 1.96, no2: 1.88, so2: 2.62 };
+const PPM_TO_MGM3_CO = 1.145;
+export const POLLUTANT_KEYS = ["pm25", "pm10", "no2", "o3", "so2", "co"];
+export const POLLUTANT_LABELS = { pm25: "PM2.5", pm10: "PM10", no2: "NO₂", o3: "O₃", so2: "SO₂", co: "CO" };
+const CANONICAL_UNITS = { pm25: "µg/m³", pm10: "µg/m³", no2: "µg/m³", o3: "µg/m³", so2: "µg/m³", co: "mg/m³" };
+
+const fromNativeUnit = (pollutant, value, unit) => {
+  if (unit === "ppb") return value * PPB_TO_UGM3[pollutant];
+  if (unit === "ppm") return value * PPM_TO_MGM3_CO;
+  return value;
+};
+
+const toNativeUnit = (pollutant, value, unit) => {
+  if (unit === "ppb") return value / PPB_TO_UGM3[pollutant];
+  if (unit === "ppm") return value / PPM_TO_MGM3_CO;
+  return value;
+};
+
+// WAQI reports every pollutant as a US EPA sub-index using the pre-2024 PM2.5 table,
+// so concentrations are recovered by inverting these rows.
+const WAQI_IAQI_TABLES = {
+  pm25: {
+    unit: "µg/m³",
+    rows: [
+      [0, 12, 0, 50],
+      [12.1, 35.4, 51, 100],
+      [35.5, 55.4, 101, 150],
+      [55.5, 150.4, 151, 200],
+      [150.5, 250.4, 201, 300],
+      [250.5, 350.4, 301, 400],
+      [350.5, 500.4, 401, 500],
+    ],
+  },
+  pm10: {
+    unit: "µg/m³",
+    rows: [
+      [0, 54, 0, 50],
+      [55, 154, 51, 100],
+      [155, 254, 101, 150],
+      [255, 354, 151, 200],
+      [355, 424, 201, 300],
+      [425, 504, 301, 400],
+      [505, 604, 401, 500],
+    ],
+  },
+  o3: {
+    unit: "ppb",
+    rows: [
+      [0, 54, 0, 50],
+      [55, 70, 51, 100],
+      [71, 85, 101, 150],
+      [86, 105, 151, 200],
+      [106, 200, 201, 300],
+      [405, 504, 301, 400],
+      [505, 604, 401, 500],
+    ],
+    // EPA's 8-hour ozone rows stop at 200 ppb and its 1-hour rows start at 405 ppb. Neither table
+    // covers the values in between, so they have no sub-index rather than a guessed one.
+    gap: [200, 405],
+  },
+  no2: {
+    unit: "ppb",
+    rows: [
+      [0, 53, 0, 50],
+      [54, 100, 51, 100],
+      [101, 360, 101, 150],
+      [361, 649, 151, 200],
+      [650, 1249, 201, 300],
+      [1250, 1649, 301, 400],
+      [1650, 2049, 401, 500],
+    ],
+  },
+  so2: {
+    unit: "ppb",
+    rows: [
+      [0, 35, 0, 50],
+      [36, 75, 51, 100],
+      [76, 185, 101, 150],
+      [186, 304, 151, 200],
+      [305, 604, 201, 300],
+      [605, 804, 301, 400],
+      [805, 1004, 401, 500],
+    ],
+  },
+  co: {
+    unit: "ppm",
+    rows: [
+      [0, 4.4, 0, 50],
+      [4.5, 9.4, 51, 100],
+      [9.5, 12.4, 101, 150],
+      [12.5, 15.4, 151, 200],
+      [15.5, 30.4, 201, 300],
+      [30.5, 40.4, 301, 400],
+      [40.5, 50.4, 401, 500],
+    ],
+  },
+};
+
+export const STANDARDS = {
+  "us-epa": {
+    id: "us-epa",
+    name: "US EPA AQI",
+    shortName: "US AQI",
+    scaleMax: 500,
+    breakpoints: {
+      pm25: {
+        unit: "µg/m³",
+        rows: [
+          [0, 9, 0, 50],
+          [9.1, 35.4, 51, 100],
+          [35.5, 55.4, 101, 150],
+          [55.5, 125.4, 151, 200],
+          [125.5, 225.4, 201, 300],
+          [225.5, 325.4, 301, 500],
+        ],
+      },
+      pm10: WAQI_IAQI_TABLES.pm10,
+      o3: WAQI_IAQI_TABLES.o3,
+      no2: WAQI_IAQI_TABLES.no2,
+      so2: WAQI_IAQI_TABLES.so2,
+      co: WAQI_IAQI_TABLES.co,
+    },
+    bands: [
+      {
+        max: 50,
+        level: 0,
+        label: "Good",
+        color: "#2ecc71",
+        advice: "Air quality is good. No precautions needed.",
+        prevention: "Stay active outdoors.",
+        status: "Healthy",
+        detail: "Air is clean — stay active",
+      },
+      {
+        max: 100,
+        level: 1,
+        label: "Moderate",
+        color: "#f1c40f",
+        advice: "Moderate air quality. Sensitive groups should take caution.",
+        prevention: "Limit prolonged outdoor activity if you have respiratory issues.",
+        status: "Moderate",
+        detail: "Sensitive groups take light caution",
+      },
+      {
+        max: 150,
+        level: 2,
+        label: "Unhealthy for sensitive groups",
+        color: "#e67e22",
+        advice: "Unhealthy for sensitive groups.",
+        prevention: "Reduce outdoor activity. Use mask if needed.",
+        status: "Caution",
+        detail: "Sensitive groups reduce outdoor time",
+      },
+      {
+        max: 200,
+        level: 3,
+        label: "Unhealthy",
+        color: "#e74c3c",
+        advice: "Unhealthy.",
+        prevention: "Avoid outdoor activity. People with health issues should stay indoors.",
+        status: "Unhealthy",
+        detail: "Avoid outdoor exertion; use N95",
+      },
+      {
+        max: 300,
+        level: 4,
+        label: "Very Unhealthy",
+        color: "#8e44ad",
+        advice: "Very Unhealthy.",
+        prevention: "Stay indoors. Wear N95 masks if you go outside.",
+        status: "Very Unhealthy",
+        detail: "Stay indoors; mechanical ventilation",
+      },
+      {
+        max: Infinity,
+        level: 5,
+        label: "Hazardous",
+        color: "#34495e",
+        advice: "Hazardous!",
+        prevention: "Avoid all outdoor activity. Keep windows closed.",
+        status: "Hazardous",
+        detail: "Shelter indoors; seal windows; use N95",
+      },
+    ],
+  },
+  "in-naqi": {
+    id: "in-naqi",
+    name: "India NAQI (CPCB)",
+    shortName: "NAQI",
+    scaleMax: 500,
+    breakpoints: {
+      pm25: {
+        unit: "µg/m³",
+        rows: [
+          [0, 30, 0, 50],
+          [31, 60, 51, 100],
+          [61, 90, 101, 200],
+          [91, 120, 201, 300],
+          [121, 250, 301, 400],
+          [251, Infinity, 401, 500],
+        ],
+      },
+      pm10: {
+        unit: "µg/m³",
+        rows: [
+          [0, 50, 0, 50],
+          [51, 100, 51, 100],
+          [101, 250, 101, 200],
+          [251, 350, 201, 300],
+          [351, 430, 301, 400],
+          [431, Infinity, 401, 500],
+        ],
+      },
+      no2: {
+        unit: "µg/m³",
+        rows: [
+          [0, 40, 0, 50],
+          [41, 80, 51, 100],
+          [81, 180, 101, 200],
+          [181, 280, 201, 300],
+          [281, 400, 301, 400],
+          [401, Infinity, 401, 500],
+        ],
+      },
+      o3: {
+        unit: "µg/m³",
+        rows: [
+          [0, 50, 0, 50],
+          [51, 100, 51, 100],
+          [101, 168, 101, 200],
+          [169, 208, 201, 300],
+          [209, 748, 301, 400],
+          [749, Infinity, 401, 500],
+        ],
+      },
+      so2: {
+        unit: "µg/m³",
+        rows: [
+          [0, 40, 0, 50],
+          [41, 80, 51, 100],
+          [81, 380, 101, 200],
+          [381, 800, 201, 300],
+          [801, 1600, 301, 400],
+          [1601, Infinity, 401, 500],
+        ],
+      },
+      co: {
+        unit: "mg/m³",
+        rows: [
+          [0, 1, 0, 50],
+          [1.1, 2, 51, 100],
+          [2.1, 10, 101, 200],
+          [10.1, 17, 201, 300],
+          [17.1, 34, 301, 400],
+          [34.1, Infinity, 401, 500],
+        ],
+      },
+    },
+    bands: [
+      {
+        max: 50,
+        level: 0,
+        label: "Good",
+        color: "#009865",
+        advice: "Good air quality with minimal health impact.",
+        prevention: "Enjoy outdoor activities.",
+        status: "Good",
+        detail: "Minimal impact",
+      },
+      {
+        max: 100,
+        level: 1,
+        label: "Satisfactory",
+        color: "#a3c853",
+        advice: "Satisfactory. Minor breathing discomfort to sensitive people.",
+        prevention: "Sensitive people should keep reliever medication handy.",
+        status: "Satisfactory",
+        detail: "Minor discomfort for sensitive people",
+      },
+      {
+        max: 200,
+        level: 2,
+        label: "Moderate",
+        color: "#e8c51c",
+        advice: "Moderate. Breathing discomfort for people with lung or heart disease, children and older adults.",
+        prevention: "Limit prolonged outdoor exertion. Use mask if needed.",
+        status: "Moderate",
+        detail: "Lung and heart patients take caution",
+      },
+      {
+        max: 300,
+        level: 3,
+        label: "Poor",
+        color: "#f29c33",
+        advice: "Poor. Breathing discomfort to most people on prolonged exposure.",
+        prevention: "Avoid outdoor activity. Wear N95 outdoors.",
+        status: "Poor",
+        detail: "Avoid prolonged exposure; use N95",
+      },
+      {
+        max: 400,
+        level: 4,
+        label: "Very Poor",
+        color: "#e93f33",
+        advice: "Very Poor. Respiratory illness on prolonged exposure.",
+        prevention: "Stay indoors. Run air purifiers and keep windows closed.",
+        status: "Very Poor",
+        detail: "Stay indoors; run purifiers",
+      },
+      {
+        max: Infinity,
+        level: 5,
+        label: "Severe",
+        color: "#af2d24",
+        advice: "Severe! Respiratory effects even on healthy people.",
+        prevention: "Avoid all outdoor activity. Seal windows and use N95 if you must go out.",
+        status: "Severe",
+        detail: "Shelter indoors; seal windows; use N95",
+      },
+    ],
+  },
+  "eu-caqi": {
+    id: "eu-caqi",
+    name: "EU CAQI (hourly)",
+    shortName: "CAQI",
+    scaleMax: 125,
+    breakpoints: {
+      pm25: {
+        unit: "µg/m³",
+        rows: [
+          [0, 15, 0, 25],
+          [15, 30, 25, 50],
+          [30, 55, 50, 75],
+          [55, 110, 75, 100],
+          [110, Infinity, 100, 125],
+        ],
+      },
+      pm10: {
+        unit: "µg/m³",
+        rows: [
+          [0, 25, 0, 25],
+          [25, 50, 25, 50],
+          [50, 90, 50, 75],
+          [90, 180, 75, 100],
+          [180, Infinity, 100, 125],
+        ],
+      },
+      no2: {
+        unit: "µg/m³",
+        rows: [
+          [0, 50, 0, 25],
+          [50, 100, 25, 50],
+          [100, 200, 50, 75],
+          [200, 400, 75, 100],
+          [400, Infinity, 100, 125],
+        ],
+      },
+      o3: {
+        unit: "µg/m³",
+        rows: [
+          [0, 60, 0, 25],
+          [60, 120, 25, 50],
+          [120, 180, 50, 75],
+          [180, 240, 75, 100],
+          [240, Infinity, 100, 125],
+        ],
+      },
+      so2: {
+        unit: "µg/m³",
+        rows: [
+          [0, 50, 0, 25],
+          [50, 100, 25, 50],
+          [100, 350, 50, 75],
+          [350, 500, 75, 100],
+          [500, Infinity, 100, 125],
+        ],
+      },
+      co: {
+        unit: "mg/m³",
+        rows: [
+          [0, 5, 0, 25],
+          [5, 7.5, 25, 50],
+          [7.5, 10, 50, 75],
+          [10, 20, 75, 100],
+          [20, Infinity, 100, 125],
+        ],
+      },
+    },
+    bands: [
+      {
+        max: 25,
+        level: 0,
+        label: "Very low",
+        color: "#79bc6a",
+        advice: "Very low pollution. Air quality is excellent.",
+        prevention: "Stay active outdoors.",
+        status: "Very low",
+        detail: "Excellent air — stay active",
+      },
+      {
+        max: 50,
+        level: 1,
+        label: "Low",
+        color: "#bbcf4c",
+        advice: "Low pollution. Air quality is fine for everyone.",
+        prevention: "No special precautions needed.",
+        status: "Low",
+        detail: "Fine for everyone",
+      },
+      {
+        max: 75,
+        level: 2,
+        label: "Medium",
+        color: "#eec20b",
+        advice: "Medium pollution. Sensitive groups may notice effects.",
+        prevention: "Sensitive groups should reduce intense outdoor exercise.",
+        status: "Medium",
+        detail: "Sensitive groups ease off outdoors",
+      },
+      {
+        max: 100,
+        level: 3,
+        label: "High",
+        color: "#f29305",
+        advice: "High pollution. Everyone may begin to feel effects.",
+        prevention: "Avoid outdoor exertion. Wear N95 on busy roads.",
+        status: "High",
+        detail: "Avoid outdoor exertion; use N95",
+      },
+      {
+        max: Infinity,
+        level: 4,
+        label: "Very high",
+        color: "#e8416f",
+        advice: "Very high pollution. Health warnings for everyone.",
+        prevention: "Stay indoors. Keep windows closed and run purifiers.",
+        status: "Very high",
+        detail: "Stay indoors; keep windows closed",
+      },
+    ],
+  },
+};
+
+export const DEFAULT_STANDARD_ID = "us-epa";
+const STANDARD_STORAGE_KEY = "atmosense:standard";
+
+export const getStandard = (standardId) => STANDARDS[standardId] || STANDARDS[DEFAULT_STANDARD_ID];
+
+/** The standard as earlier releases kept it on this device; preferences.js migrates it. */
+export const loadStandardPreference = () => {
+  try {
+    const stored = window.localStorage.getItem(STANDARD_STORAGE_KEY);
+    return STANDARDS[stored] ? stored : DEFAULT_STANDARD_ID;
+  } catch (err) {
+    return DEFAULT_STANDARD_ID;
+  }
+};
+
+const interpolate = (value, fromLow, fromHigh, toLow, toHigh) =>
+  ((toHigh - toLow) / (fromHigh - fromLow)) * (value - fromLow) + toLow;
+
+/** Sub-index for a concentration in the table's unit, or null inside a gap the table leaves undefined. */
+const concentrationToIndex = (table, concentration) => {
+  const { rows, gap } = table;
+  if (gap && concentration > gap[0] && concentration < gap[1]) return null;
+  const row = rows.find(([, cHigh]) => concentration <= cHigh) || rows[rows.length - 1];
+  const [cLow, cHigh, iLow, iHigh] = row;
+  if (concentration < cLow) return iLow;
+  if (!Number.isFinite(cHigh)) {
+    // Open-ended top bands continue with the slope of the band below them.
+    const [pcLow, pcHigh, piLow, piHigh] = rows[rows.length - 2];
+    return Math.min(iHigh, iLow + ((piHigh - piLow) / (pcHigh - pcLow)) * (concentration - cLow));
+  }
+  if (concentration > cHigh) return iHigh;
+  return interpolate(concentration, cLow, cHigh, iLow, iHigh);
+};
+
+/** Converts a WAQI IAQI value back to a concentration in canonical units (µg/m³, mg/m³ for CO). */
+export const iaqiToConcentration = (pollutant, iaqiValue) => {
+  const table = WAQI_IAQI_TABLES[pollutant];
+  const value = Number(iaqiValue);
+  if (!table || !Number.isFinite(value) || value < 0) return null;
+  const row = table.rows.find(([, , , iHigh]) => value <= iHigh) || table.rows[table.rows.length - 1];
+  const [cLow, cHigh, iLow, iHigh] = row;
+  const native = interpolate(Math.min(value, iHigh), iLow, iHigh, cLow, cHigh);
+  return fromNativeUnit(pollutant, native, table.unit);
+};
+
+/** Inverse of iaqiToConcentration: a canonical concentration as a WAQI-style (US EPA) sub-index. */
+export const concentrationToIaqi = (pollutant, concentration) => {
+  const table = WAQI_IAQI_TABLES[pollutant];
+  const value = Number(concentration);
+  if (!table || !Number.isFinite(value) || value < 0) return null;
+  const index = concentrationToIndex(table, toNativeUnit(pollutant, value, table.unit));
+  return index === null ? null : Math.round(index);
+};
+
+/**
+ * Converts a measurement in whatever unit a provider reports (µg/m³, mg/m³, ppb, ppm) to the
+ * canonical unit used here: µg/m³, or mg/m³ for CO. Returns null for units it does not know.
+ */
+export const toCanonicalConcentration = (pollutant, value, unit) => {
+  const number = Number(value);
+  if (!POLLUTANT_KEYS.includes(pollutant) || !Number.isFinite(number)) return null;
+  // Providers spell micrograms as "ug", "µg" (micro sign) or "μg" (Greek mu).
+  const normalizedUnit = String(unit || "").toLowerCase().replace(/^(ug|μg)/, "µg");
+  if (pollutant === "co") {
+    if (normalizedUnit === "mg/m³") return number;
+    if (normalizedUnit === "µg/m³") return number / 1000;
+    if (normalizedUnit === "ppm") return number * PPM_TO_MGM3_CO;
+    if (normalizedUnit === "ppb") return (number / 1000) * PPM_TO_MGM3_CO;
+    return null;
+  }
+  if (normalizedUnit === "µg/m³") return number;
+  if (normalizedUnit === "mg/m³") return number * 1000;
+  if (!PPB_TO_UGM3[pollutant]) return null;
+  if (normalizedUnit === "ppb") return number * PPB_TO_UGM3[pollutant];
+  if (normalizedUnit === "ppm") return number * 1000 * PPB_TO_UGM3[pollutant];
+  return null;
+};
+
+export const bandFor = (index, standardId) => {
+  const { bands } = getStandard(standardId);
+  if (index === null || index === undefined) return null;
+  return bands.find((band) => index <= band.max) || bands[bands.length - 1];
+};
+
+/**
+ * Computes one sub-index per pollutant from canonical concentrations.
+ * @returns {{ pollutant: string, label: string, concentration: number, unit: string, subIndex: number, band: Object }[]}
+ */
+export const computeSubIndices = (concentrations, standardId) => {
+  const standard = getStandard(standardId);
+  return POLLUTANT_KEYS.map((pollutant) => {
+    const concentration = Number(concentrations?.[pollutant]);
+    const table = standard.breakpoints[pollutant];
+    if (!table || !Number.isFinite(concentration) || concentration < 0) return null;
+    const index = concentrationToIndex(table, toNativeUnit(pollutant, concentration, table.unit));
+    if (index === null) return null;
+    const subIndex = Math.round(index);
+    return {
+      pollutant,
+      label: POLLUTANT_LABELS[pollutant],
+      concentration,
+      unit: CANONICAL_UNITS[pollutant],
+      subIndex,
+      band: bandFor(subIndex, standard.id),
+    };
+  }).filter(Boolean);
+};
+
+/**
+ * Re-expresses a WAQI reading under the chosen standard. When the station publishes no
+ * per-pollutant values, the overall AQI is attributed to its dominant pollutant (PM2.5 by default).
+ */
+export const evaluateReading = ({ aqi, iaqi, dominantPollutant } = {}, standardId) => {
+  const standard = getStandard(standardId);
+  const concentrations = {};
+  POLLUTANT_KEYS.forEach((pollutant) => {
+    const concentration = iaqiToConcentration(pollutant, iaqi?.[pollutant]);
+    if (concentration !== null) concentrations[pollutant] = concentration;
+  });
+  if (!Object.keys(concentrations).length && aqi !== null && Number.isFinite(Number(aqi))) {
+    const pollutant = POLLUTANT_KEYS.includes(dominantPollutant) ? dominantPollutant : "pm25";
+    concentrations[pollutant] = iaqiToConcentration(pollutant, aqi);
+  }
+  const subIndices = computeSubIndices(concentrations, standard.id);
+  if (!subIndices.length) {
+    return { standard, index: null, band: null, dominantPollutant: null, subIndices };
+  }
+  const dominant = subIndices.reduce((worst, entry) => (entry.subIndex > worst.subIndex ? entry : worst));
+  return {
+    standard,
+    index: dominant.subIndex,
+    band: dominant.band,
+    dominantPollutant: dominant.pollutant,
+    subIndices,
+  };
+};
+
+/** Advice, prevention tip and colour of a reading's band, as an [advice, prevention, color] tuple. */
+export const healthAdvice = (reading, standardId) => {
+  const { band } = evaluateReading(reading, standardId);
+  if (!band) return ["", "", "#94a3b8"];
+  return [band.advice, band.prevention, band.color];
+};
@@ -0,0 +1,93 @@
+import { describe, expect, it } from "vitest";
+import {
+  bandFor,
+  computeSubIndices,
+  concentrationToIaqi,
+  DEFAULT_STANDARD_ID,
+  evaluateReading,
+  getStandard,
+  iaqiToConcentration,
+  toCanonicalConcentration,
+} from "./standards";
+
+describe("bandFor", () => {
+  it.each([
+    [0, "Good"],
+    [50, "Good"],
+    [51, "Moderate"],
+    [150, "Unhealthy for sensitive groups"],
+    [151, "Unhealthy"],
+    [300, "Very Unhealthy"],
+    [301, "Hazardous"],
+    [999, "Hazardous"],
+  ])("puts US AQI %i in the %s band", (index, label) => {
+    expect(bandFor(index, "us-epa").label).toBe(label);
+  });
+
+  it("has advice, prevention and a colour for every band", () => {
+    getStandard(DEFAULT_STANDARD_ID).bands.forEach((band) => {
+      expect(band.advice).toBeTruthy();
+      expect(band.prevention).toBeTruthy();
+      expect(band.color).toMatch(/^#[0-9a-f]{6}$/i);
+    });
+  });
+
+  it("returns null without an index and falls back to the default standard", () => {
+    expect(bandFor(null, "us-epa")).toBeNull();
+    expect(bandFor(42, "no-such-standard")).toBe(bandFor(42, DEFAULT_STANDARD_ID));
+  });
+});
+
+describe("evaluateReading", () => {
+  it("re-expresses a reading under the chosen standard", () => {
+    const reading = { aqi: 168, iaqi: { pm25: 168, pm10: 90 }, dominantPollutant: "pm25" };
+    const us = evaluateReading(reading, "us-epa");
+    expect(us.dominantPollutant).toBe("pm25");
+    expect(us.band.label).toBe("Unhealthy");
+    const india = evaluateReading(reading, "in-naqi");
+    expect(india.standard.id).toBe("in-naqi");
+    expect(india.index).toBeGreaterThan(us.index);
+  });
+
+  it("attributes a bare AQI to the dominant pollutant", () => {
+    const evaluation = evaluateReading({ aqi: 80, dominantPollutant: "pm10" }, "us-epa");
+    expect(evaluation.subIndices.map((entry) => entry.pollutant)).toEqual(["pm10"]);
+    expect(evaluation.index).toBe(80);
+  });
+
+  it("leaves ozone in the US table gap out of the sub-indices", () => {
+    const evaluation = evaluateReading({ iaqi: { pm25: 60, o3: 300 } }, "us-epa");
+    expect(evaluation.subIndices.map((entry) => entry.pollutant)).toEqual(["pm25", "o3"]);
+    const concentrations = { pm25: 20, o3: toCanonicalConcentration("o3", 300, "ppb") };
+    expect(computeSubIndices(concentrations, "us-epa").map((entry) => entry.pollutant)).toEqual(["pm25"]);
+  });
+
+  it("has no band when there is nothing to evaluate", () => {
+    expect(evaluateReading({ aqi: null }, "us-epa")).toMatchObject({ index: null, band: null });
+  });
+});
+
+describe("concentration conversions", () => {
+  it("round-trips WAQI sub-indices", () => {
+    [20, 75, 168, 260].forEach((iaqi) => {
+      expect(concentrationToIaqi("pm25", iaqiToConcentration("pm25", iaqi))).toBe(iaqi);
+    });
+  });
+
+  it("has no US ozone sub-index between the 8-hour and 1-hour tables", () => {
+    const ugm3 = (ppb) => toCanonicalConcentration("o3", ppb, "ppb");
+    expect(concentrationToIaqi("o3", ugm3(200))).toBe(300);
+    expect(concentrationToIaqi("o3", ugm3(201))).toBeNull();
+    expect(concentrationToIaqi("o3", ugm3(404))).toBeNull();
+    expect(concentrationToIaqi("o3", ugm3(405))).toBe(301);
+    expect(iaqiToConcentration("o3", 301)).toBeCloseTo(ugm3(405));
+  });
+
+  it("normalizes provider units", () => {
+    expect(toCanonicalConcentration("pm25", 12, "ug/m³")).toBe(12);
+    expect(toCanonicalConcentration("pm25", 12, "μg/m³")).toBe(12);
+    expect(toCanonicalConcentration("co", 1500, "µg/m³")).toBe(1.5);
+    expect(toCanonicalConcentration("no2", 10, "ppb")).toBeCloseTo(18.8, 1);
+    expect(toCanonicalConcentration("pm25", 12, "furlongs")).toBeNull();
+  });
+});
@@ -0,0 +1,353 @@
+import React, { createContext, useContext, useRef, useState, useSyncExternalStore } from "react";
+import { applyFix, applyLocationStatus, releaseManualFix } from "./location";
+import { loadLocalPreferences, migratePreferences, PREFERENCES_VERSION } from "./preferences";
+import { suggestThreshold } from "./profile";
+import { DEFAULT_RANKING_CONFIG } from "./rankings";
+import { getStandard } from "./standards";
+import { toStationTime } from "./waqi";
+
+// Shown while no fix (GPS, network or city) is available; the map and fallback labels centre here.
+export const DEFAULT_LOCATION = { lat: 28.6139, lng: 77.209 };
+export const AWAITING_LOCATION_LABEL = "Awaiting live location…";
+// Older toasts make way once this many are showing.
+const MAX_TOASTS = 4;
+// This visit's checks, newest first; auto refresh would otherwise grow the list for as long as the tab is open.
+const MAX_FEED_HISTORY = 50;
+let messageSequence = 0;
+const nextMessageId = () => {
+  messageSequence += 1;
+  return messageSequence;
+};
+
+// Guests start from what they saved on this device; signed-in users' preferences arrive with usePreferences.
+const createInitialState = () => {
+  const preferences = loadLocalPreferences() || migratePreferences(null);
+  return {
+    user: null,
+    authStatus: { busy: false, message: null, error: null },
+    settings: {
+      standardId: preferences.standardId,
+      providers: preferences.providers,
+      alertThreshold: preferences.alertThreshold ?? suggestThreshold(null),
+      // Touched once the user (or their stored preferences) picked a threshold; profile suggestions stop applying.
+      thresholdTouched: preferences.alertThreshold !== null,
+      exposureLimitId: preferences.exposureLimitId,
+      lastCity: preferences.lastCity,
+      locale: preferences.locale,
+      palette: preferences.palette,
+    },
+    autoRefresh: { ...preferences.autoRefresh, nextAt: null },
+    notificationStatus: "off",
+    isOnline: navigator.onLine,
+    // See applyFix in location.js: `device` is the best recent device fix, `source`/`coords` what the app shows.
+    location: { source: "none", coords: null, accuracy: null, device: null, status: "Idle", label: AWAITING_LOCATION_LABEL },
+    feed: {
+      city: preferences.lastCity,
+      // A picked search suggestion ({ kind: "station", stationId, coords, name } or { kind: "geo", coords, label });
+      // cleared as soon as the user types, so fetches use it instead of the fuzzy name in `city`.
+      target: null,
+      reading: null,
+      lastUpdated: "Awaiting data",
+      staleSince: null,
+      error: null,
+      history: [],
+      trendTarget: null,
+      forecastInput: null,
+    },
+    forecast: { input: null, loading: false, points: [], error: null },
+    rankings: {
+      config: DEFAULT_RANKING_CONFIG,
+      configReady: false,
+      loading: false,
+      requestKey: null,
+      rows: [],
+      error: null,
+      fetchedAt: null,
+      sparklines: {},
+    },
+    profile: null,
+    watchlist: { ownerUid: null, places: [], readings: {} },
+    exposureSamples: [],
+    indoor: { devices: [], readings: [] },
+    // Transient messages: toasts on screen ({ id, kind: "info" | "error", message }) and the latest text for
+    // each screen-reader live region ({ id, text }; the id lets the same text be announced twice).
+    toasts: [],
+    announcements: { polite: null, assertive: null },
+  };
+};
+
+const patch = (state, slice, changes) => ({ ...state, [slice]: { ...state[slice], ...changes } });
+
+const patchPlaceReading = (state, id, update) => ({
+  ...state,
+  watchlist: {
+    ...state.watchlist,
+    readings: { ...state.watchlist.readings, [id]: update(state.watchlist.readings[id]) },
+  },
+});
+
+const reducer = (state, action) => {
+  switch (action.type) {
+    case "auth/user":
+      return { ...state, user: action.user };
+    case "auth/status":
+      return { ...state, authStatus: action.status };
+    case "user/reset":
+      return {
+        ...state,
+        profile: null,
+        exposureSamples: [],
+        indoor: { devices: [], readings: [] },
+      };
+    case "settings/update":
+      return patch(state, "settings", action.changes);
+    case "settings/preferences": {
+      const { alertThreshold, exposureLimitId, standardId, providers, autoRefresh, lastCity, locale, palette } =
+        action.preferences;
+      const touched = alertThreshold !== null;
+      return {
+        ...state,
+        settings: {
+          ...state.settings,
+          standardId,
+          providers,
+          // Without a stored threshold the profile suggestion applies again.
+          alertThreshold: touched ? alertThreshold : suggestThreshold(state.profile),
+          thresholdTouched: touched,
+          exposureLimitId,
+          lastCity,
+          locale,
+          palette,
+        },
+        autoRefresh: { ...state.autoRefresh, ...autoRefresh },
+        // Never replace what the user is typing.
+        feed: state.feed.city ? state.feed : { ...state.feed, city: lastCity },
+      };
+    }
+    case "settings/threshold":
+      return patch(state, "settings", { alertThreshold: action.threshold, thresholdTouched: true });
+    case "settings/thresholdSuggested":
+      return state.settings.thresholdTouched ? state : patch(state, "settings", { alertThreshold: action.threshold });
+    case "autoRefresh/update":
+      return patch(state, "autoRefresh", action.changes);
+    case "notifications/status":
+      return { ...state, notificationStatus: action.status };
+    case "connectivity/online":
+      return { ...state, isOnline: action.isOnline };
+    case "location/update":
+      return patch(state, "location", action.changes);
+    case "location/fix":
+      return { ...state, location: applyFix(state.location, action.fix, action.at) };
+    case "location/status":
+      return { ...state, location: applyLocationStatus(state.location, action.status, action.label) };
+    case "location/release":
+      return { ...state, location: releaseManualFix(state.location) };
+    case "feed/update":
+      return patch(state, "feed", action.changes);
+    case "feed/reading":
+      return {
+        ...patch(state, "feed", {
+          reading: action.reading,
+          error: null,
+          lastUpdated: action.observedAt,
+          staleSince: action.reading.staleSince,
+        }),
+        location: { ...state.location, label: action.label },
+      };
+    case "feed/restored":
+      return {
+        ...patch(state, "feed", {
+          reading: action.lastKnown.reading,
+          lastUpdated: action.lastKnown.reading.observedAt || toStationTime(new Date(action.lastKnown.savedAt)),
+          staleSince: action.lastKnown.savedAt,
+        }),
+        location: { ...state.location, label: action.lastKnown.label },
+      };
+    case "feed/logged":
+      return patch(state, "feed", {
+        history: [action.entry, ...state.feed.history].slice(0, MAX_FEED_HISTORY),
+        trendTarget: action.target,
+        forecastInput: action.forecastInput,
+      });
+    case "forecast/requested":
+      return { ...state, forecast: { input: action.input, loading: true, points: state.forecast.points, error: null } };
+    case "forecast/settled":
+      // A newer request supersedes this one; its answer is dropped.
+      if (action.input !== state.forecast.input) return state;
+      return patch(state, "forecast", { loading: false, points: action.points, error: action.error || null });
+    case "rankings/update":
+      return patch(state, "rankings", action.changes);
+    case "rankings/sparklines":
+      return patch(state, "rankings", { sparklines: { ...state.rankings.sparklines, ...action.lines } });
+    case "profile/loaded":
+      return { ...state, profile: action.profile };
+    case "watchlist/reset":
+      return { ...state, watchlist: { ownerUid: null, places: [], readings: {} } };
+    case "watchlist/loaded":
+      return patch(state, "watchlist", { ownerUid: action.uid, places: action.places });
+    case "watchlist/added":
+      return patch(state, "watchlist", { places: [...state.watchlist.places, action.place] });
+    case "watchlist/threshold":
+      return patch(state, "watchlist", {
+        places: state.watchlist.places.map((place) => (place.id === action.id ? { ...place, threshold: action.threshold } : place)),
+      });
+    case "watchlist/removed": {
+      const { [action.id]: _removed, ...readings } = state.watchlist.readings;
+      return patch(state, "watchlist", { places: state.watchlist.places.filter((place) => place.id !== action.id), readings });
+    }
+    case "watchlist/pending":
+      return patch(state, "watchlist", {
+        readings: {
+          ...state.watchlist.readings,
+          ...Object.fromEntries(action.ids.map((id) => [id, { ...state.watchlist.readings[id], loading: true, error: null }])),
+        },
+      });
+    case "watchlist/reading":
+      return patchPlaceReading(state, action.id, () => ({ loading: false, error: null, ...action.reading }));
+    case "watchlist/failed":
+      return patchPlaceReading(state, action.id, (previous) => ({ ...previous, loading: false, error: action.error }));
+    case "exposure/loaded":
+      // Keep anything recorded while the query was in flight.
+      return { ...state, exposureSamples: [...action.samples, ...state.exposureSamples] };
+    case "exposure/sample":
+      return { ...state, exposureSamples: [...state.exposureSamples, action.sample] };
+    case "indoor/update":
+      return patch(state, "indoor", action.changes);
+    case "toasts/shown":
+      return { ...state, toasts: [...state.toasts, action.toast].slice(-MAX_TOASTS) };
+    case "toasts/dismissed":
+      return { ...state, toasts: state.toasts.filter((toast) => toast.id !== action.id) };
+    case "announcements/said":
+      return patch(state, "announcements", { [action.politeness]: action.announcement });
+    default:
+      throw new Error(`Unknown store action: ${action.type}`);
+  }
+};
+
+/** Action creators, one per state transition the reducer knows about. */
+export const actions = {
+  setUser: (user) => ({ type: "auth/user", user }),
+  setAuthStatus: (status) => ({ type: "auth/status", status }),
+  resetUserData: () => ({ type: "user/reset" }),
+  updateSettings: (changes) => ({ type: "settings/update", changes }),
+  preferencesLoaded: (preferences) => ({ type: "settings/preferences", preferences }),
+  setAlertThreshold: (threshold) => ({ type: "settings/threshold", threshold }),
+  suggestAlertThreshold: (threshold) => ({ type: "settings/thresholdSuggested", threshold }),
+  updateAutoRefresh: (changes) => ({ type: "autoRefresh/update", changes }),
+  setNotificationStatus: (status) => ({ type: "notifications/status", status }),
+  setOnline: (isOnline) => ({ type: "connectivity/online", isOnline }),
+  updateLocation: (changes) => ({ type: "location/update", changes }),
+  locationFix: (fix) => ({ type: "location/fix", fix, at: Date.now() }),
+  locationStatus: (status, label) => ({ type: "location/status", status, label }),
+  releaseManualLocation: () => ({ type: "location/release" }),
+  updateFeed: (changes) => ({ type: "feed/update", changes }),
+  readingReceived: ({ reading, label, observedAt }) => ({ type: "feed/reading", reading, label, observedAt }),
+  readingRestored: (lastKnown) => ({ type: "feed/restored", lastKnown }),
+  readingLogged: ({ entry, target, forecastInput }) => ({ type: "feed/logged", entry, target, forecastInput }),
+  forecastRequested: (input) => ({ type: "forecast/requested", input }),
+  forecastSettled: (input, { points = [], error = null } = {}) => ({ type: "forecast/settled", input, points, error }),
+  updateRankings: (changes) => ({ type: "rankings/update", changes }),
+  rankingSparklinesLoaded: (lines) => ({ type: "rankings/sparklines", lines }),
+  profileLoaded: (profile) => ({ type: "profile/loaded", profile }),
+  resetWatchlist: () => ({ type: "watchlist/reset" }),
+  watchlistLoaded: (uid, places) => ({ type: "watchlist/loaded", uid, places }),
+  placeAdded: (place) => ({ type: "watchlist/added", place }),
+  placeThresholdChanged: (id, threshold) => ({ type: "watchlist/threshold", id, threshold }),
+  placeRemoved: (id) => ({ type: "watchlist/removed", id }),
+  placeReadingsPending: (ids) => ({ type: "watchlist/pending", ids }),
+  placeReadingReceived: (id, reading) => ({ type: "watchlist/reading", id, reading }),
+  placeReadingFailed: (id, error) => ({ type: "watchlist/failed", id, error }),
+  exposureSamplesLoaded: (samples) => ({ type: "exposure/loaded", samples }),
+  exposureSampleAdded: (sample) => ({ type: "exposure/sample", sample }),
+  updateIndoor: (changes) => ({ type: "indoor/update", changes }),
+  toastShown: ({ kind = "info", message }) => ({ type: "toasts/shown", toast: { id: nextMessageId(), kind, message } }),
+  toastDismissed: (id) => ({ type: "toasts/dismissed", id }),
+  announce: (text, { urgent = false } = {}) => ({
+    type: "announcements/said",
+    politeness: urgent ? "assertive" : "polite",
+    announcement: { id: nextMessageId(), text },
+  }),
+};
+
+export const selectUid = (state) => state.user?.uid || null;
+export const selectAqi = (state) => state.feed.reading?.aqi ?? null;
+export const selectStandard = (state) => getStandard(state.settings.standardId);
+export const selectIsLive = (state) => state.location.source === "gps" || state.location.source === "network";
+/** The device's own position, even while a manual fix is pinned; null before the first fix. */
+export const selectDeviceCoords = (state) => state.location.device?.coords || null;
+
+/** The settings usePreferences persists, in the shape preferences.js stores them. */
+export const selectPreferences = ({ settings, autoRefresh }) => ({
+  version: PREFERENCES_VERSION,
+  alertThreshold: settings.thresholdTouched ? settings.alertThreshold : null,
+  exposureLimitId: settings.exposureLimitId,
+  standardId: settings.standardId,
+  providers: settings.providers,
+  autoRefresh: { enabled: autoRefresh.enabled, minutes: autoRefresh.minutes },
+  lastCity: settings.lastCity,
+  locale: settings.locale,
+  palette: settings.palette,
+});
+
+export const selectLocationText = ({ location }) => {
+  if (location.label) return location.label;
+  const coords = location.coords || DEFAULT_LOCATION;
+  return location.coords ? `${coords.lat.toFixed(4)}, ${coords.lng.toFixed(4)}` : `${coords.lat.toFixed(2)}, ${coords.lng.toFixed(2)}`;
+};
+
+const StoreContext = createContext(null);
+
+// The state lives outside React so each useAppState call can subscribe to just its own selection.
+const createAppStore = () => {
+  let state = createInitialState();
+  const listeners = new Set();
+  return {
+    getState: () => state,
+    dispatch: (action) => {
+      const next = reducer(state, action);
+      if (next === state) return;
+      state = next;
+      listeners.forEach((listener) => listener());
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
+
+const shallowEqual = (a, b) => {
+  if (Object.is(a, b)) return true;
+  if (!a || !b || typeof a !== "object" || typeof b !== "object") return false;
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every((key) => Object.hasOwn(b, key) && Object.is(a[key], b[key]));
+};
+
+export function AppStoreProvider({ children }) {
+  const [store] = useState(createAppStore);
+  return <StoreContext.Provider value={store}>{children}</StoreContext.Provider>;
+}
+
+/**
+ * Reads a slice of the app state; pass a selector to pick only what the component renders. The component
+ * re-renders only when the selection changes (shallowly, so selectors may return a fresh object).
+ */
+export const useAppState = (selector = (state) => state) => {
+  const store = useContext(StoreContext);
+  const cacheRef = useRef(null);
+  const getSelection = () => {
+    const state = store.getState();
+    const cached = cacheRef.current;
+    if (cached?.state === state && cached.selector === selector) return cached.selection;
+    const selection = selector(state);
+    const stable = cached && shallowEqual(cached.selection, selection) ? cached.selection : selection;
+    cacheRef.current = { state, selector, selection: stable };
+    return stable;
+  };
+  return useSyncExternalStore(store.subscribe, getSelection);
+};
+
+/** `{ dispatch, getState, subscribe }`, stable for the lifetime of the provider. */
+export const useAppStore = () => useContext(StoreContext);
+
+export const useAppDispatch = () => useAppStore().dispatch;
@@ -0,0 +1,42 @@
+import { act, renderHook } from "@testing-library/react";
+import { describe, expect, it } from "vitest";
+import { actions, AppStoreProvider, selectUid, useAppState, useAppStore } from "./store";
+
+const renderStore = (selector) => {
+  let renders = 0;
+  const { result } = renderHook(
+    () => {
+      renders += 1;
+      return { selection: useAppState(selector), store: useAppStore() };
+    },
+    { wrapper: AppStoreProvider }
+  );
+  return { result, renders: () => renders };
+};
+
+describe("app store", () => {
+  it("re-renders a component only when its own selection changes", () => {
+    const { result, renders } = renderStore((state) => ({ uid: selectUid(state), threshold: state.settings.alertThreshold }));
+    const { dispatch, getState } = result.current.store;
+    const before = renders();
+
+    act(() => dispatch(actions.toastShown({ message: "Saved" })));
+    expect(getState().toasts).toHaveLength(1);
+    expect(renders()).toBe(before);
+
+    act(() => dispatch(actions.updateSettings({ alertThreshold: 42 })));
+    expect(result.current.selection.threshold).toBe(42);
+    expect(renders()).toBe(before + 1);
+  });
+
+  it("keeps only the latest fifty checks of this visit", () => {
+    const { result } = renderStore((state) => state.feed.history);
+    act(() => {
+      for (let n = 1; n <= 60; n += 1) {
+        result.current.store.dispatch(actions.readingLogged({ entry: { id: n, label: "Delhi", aqi: n }, target: null, forecastInput: null }));
+      }
+    });
+    expect(result.current.selection).toHaveLength(50);
+    expect(result.current.selection[0].id).toBe(60);
+  });
+});
@@ -0,0 +1,179 @@
+// In-memory stand-in for the parts of "firebase/firestore" the app uses. Tests get it through
+// vi.mock in setup.js; resetFirestore() empties it between tests and dumpFirestore() inspects it.
+const store = new Map();
+const listeners = new Set();
+let autoId = 0;
+
+const SERVER_TIMESTAMP = Symbol("serverTimestamp");
+const DELETE_FIELD = Symbol("deleteField");
+
+export class Timestamp {
+  constructor(seconds, nanoseconds = 0) {
+    this.seconds = seconds;
+    this.nanoseconds = nanoseconds;
+  }
+
+  static fromDate(date) {
+    const ms = date.getTime();
+    return new Timestamp(Math.floor(ms / 1000), (ms % 1000) * 1e6);
+  }
+
+  static fromMillis(ms) {
+    return Timestamp.fromDate(new Date(ms));
+  }
+
+  static now() {
+    return Timestamp.fromMillis(Date.now());
+  }
+
+  toMillis() {
+    return this.seconds * 1000 + Math.floor(this.nanoseconds / 1e6);
+  }
+
+  toDate() {
+    return new Date(this.toMillis());
+  }
+}
+
+export const resetFirestore = () => {
+  store.clear();
+  listeners.clear();
+  autoId = 0;
+};
+
+/** Plain snapshot of every stored document keyed by path, for assertions. */
+export const dumpFirestore = () => Object.fromEntries([...store.entries()].map(([path, data]) => [path, { ...data }]));
+
+export const getFirestore = () => ({ type: "firestore-fake" });
+
+const joinPath = (segments) => segments.filter(Boolean).join("/");
+
+export const collection = (_db, ...segments) => ({ type: "collection", path: joinPath(segments) });
+
+export const doc = (parent, ...segments) => {
+  const base = parent?.type === "collection" ? [parent.path] : [];
+  const path = joinPath([...base, ...segments]);
+  return { type: "document", path, id: path.split("/").pop() };
+};
+
+export const serverTimestamp = () => SERVER_TIMESTAMP;
+export const deleteField = () => DELETE_FIELD;
+
+const resolveValues = (data, previous = {}) => {
+  const next = { ...previous };
+  Object.entries(data).forEach(([key, value]) => {
+    if (value === DELETE_FIELD) delete next[key];
+    else next[key] = value === SERVER_TIMESTAMP ? Timestamp.now() : value;
+  });
+  return next;
+};
+
+const documentSnapshot = (path) => {
+  const data = store.get(path);
+  return { id: path.split("/").pop(), ref: { path }, exists: () => data !== undefined, data: () => (data ? { ...data } : undefined) };
+};
+
+const notify = () => listeners.forEach((listener) => listener());
+
+const writeDocument = (path, data, { merge = false } = {}) => {
+  store.set(path, resolveValues(data, merge ? store.get(path) : {}));
+};
+
+export const setDoc = async (ref, data, options) => {
+  writeDocument(ref.path, data, options);
+  notify();
+};
+
+export const updateDoc = async (ref, data) => {
+  if (!store.has(ref.path)) throw new Error(`No document to update: ${ref.path}`);
+  writeDocument(ref.path, data, { merge: true });
+  notify();
+};
+
+export const deleteDoc = async (ref) => {
+  store.delete(ref.path);
+  notify();
+};
+
+export const addDoc = async (collectionRef, data) => {
+  autoId += 1;
+  const ref = doc(collectionRef, `doc-${String(autoId).padStart(4, "0")}`);
+  await setDoc(ref, data);
+  return ref;
+};
+
+export const getDoc = async (ref) => documentSnapshot(ref.path);
+
+export const where = (field, op, value) => ({ type: "where", field, op, value });
+export const orderBy = (field, direction = "asc") => ({ type: "orderBy", field, direction });
+export const limit = (count) => ({ type: "limit", count });
+export const startAfter = (cursor) => ({ type: "startAfter", cursor });
+
+export const query = (collectionRef, ...constraints) => ({
+  type: "query",
+  path: collectionRef.path,
+  constraints: [...(collectionRef.constraints || []), ...constraints],
+});
+
+const comparable = (value) => (value instanceof Timestamp ? value.toMillis() : value);
+
+const OPERATORS = {
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  in: (a, b) => b.includes(a),
+};
+
+const runQuery = ({ path, constraints = [] }) => {
+  const prefix = `${path}/`;
+  let docs = [...store.keys()]
+    .filter((key) => key.startsWith(prefix) && !key.slice(prefix.length).includes("/"))
+    .map(documentSnapshot);
+  constraints.forEach((constraint) => {
+    if (constraint.type === "where") {
+      const matches = OPERATORS[constraint.op];
+      docs = docs.filter((snapshot) => {
+        const value = snapshot.data()[constraint.field];
+        return value !== undefined && matches(comparable(value), comparable(constraint.value));
+      });
+    }
+    if (constraint.type === "orderBy") {
+      const sign = constraint.direction === "desc" ? -1 : 1;
+      docs = [...docs].sort((a, b) => {
+        const left = comparable(a.data()[constraint.field]);
+        const right = comparable(b.data()[constraint.field]);
+        return left === right ? 0 : left > right ? sign : -sign;
+      });
+    }
+    if (constraint.type === "startAfter") {
+      const index = docs.findIndex((snapshot) => snapshot.id === constraint.cursor?.id);
+      docs = docs.slice(index + 1);
+    }
+    if (constraint.type === "limit") docs = docs.slice(0, constraint.count);
+  });
+  return { docs, empty: docs.length === 0, size: docs.length, forEach: (callback) => docs.forEach(callback) };
+};
+
+export const getDocs = async (target) => runQuery(target.type === "query" ? target : { path: target.path });
+
+export const onSnapshot = (target, onNext) => {
+  const emit = () => onNext(target.type === "document" ? documentSnapshot(target.path) : runQuery(target));
+  listeners.add(emit);
+  emit();
+  return () => listeners.delete(emit);
+};
+
+export const writeBatch = () => {
+  const writes = [];
+  return {
+    set: (ref, data, options) => writes.push(() => writeDocument(ref.path, data, options)),
+    delete: (ref) => writes.push(() => store.delete(ref.path)),
+    commit: async () => {
+      writes.forEach((write) => write());
+      notify();
+    },
+  };
+};
@@ -0,0 +1,76 @@
+import { http, HttpResponse } from "msw";
+import openMeteoAirQuality from "../providers/fixtures/open-meteo-air-quality.json";
+import waqiFeed from "../providers/fixtures/waqi-feed.json";
+import waqiFeedUnknown from "../providers/fixtures/waqi-feed-unknown.json";
+
+export const IPAPI_LOCATION = {
+  city: "New Delhi",
+  region: "National Capital Territory of Delhi",
+  country_name: "India",
+  latitude: 28.6139,
+  longitude: 77.209,
+};
+
+export const NOMINATIM_REVERSE = {
+  display_name: "ITO, Vikram Nagar, New Delhi, Delhi, 110002, India",
+  address: { suburb: "Vikram Nagar", city: "New Delhi", state: "Delhi", postcode: "110002", country: "India" },
+};
+
+export const NOMINATIM_SEARCH = [
+  { name: "Delhi", display_name: "Delhi, India", addresstype: "city", lat: "28.6273928", lon: "77.1716954" },
+];
+
+export const PHOTON_SEARCH = {
+  type: "FeatureCollection",
+  features: [
+    {
+      type: "Feature",
+      geometry: { type: "Point", coordinates: [77.1716954, 28.6273928] },
+      properties: { name: "Delhi", type: "city", osm_key: "place", osm_value: "city", state: "Delhi", country: "India" },
+    },
+  ],
+};
+
+export const WAQI_SEARCH = {
+  status: "ok",
+  data: [
+    {
+      uid: 10124,
+      aqi: "168",
+      time: { stime: "2026-10-19 10:00:00" },
+      station: { name: "ITO, Delhi, Delhi, India", geo: [28.63576, 77.22445] },
+    },
+  ],
+};
+
+export const WAQI_BOUNDS = {
+  status: "ok",
+  data: [
+    { uid: 10124, lat: 28.63576, lon: 77.22445, aqi: "168", station: { name: "ITO, Delhi", time: "2026-10-19T10:00:00+05:30" } },
+    { uid: 13651, lat: 28.5, lon: 77.1, aqi: "-", station: { name: "Offline station, Delhi", time: "2026-10-18T21:00:00+05:30" } },
+  ],
+};
+
+// Every feed route of the AQI proxy (api/aqi/city|geo|station); tests override them together.
+export const WAQI_FEED_ROUTE = /\/api\/aqi\/(city|geo|station)\//;
+
+const feedFor = (query) => (/unknown/i.test(query) ? waqiFeedUnknown : waqiFeed);
+
+/**
+ * Default answers for every third-party service the app calls. Tests override single routes with
+ * server.use(); any request without a handler fails the test (see setup.js).
+ */
+export const handlers = [
+  http.get(WAQI_FEED_ROUTE, ({ request }) => HttpResponse.json(feedFor(decodeURIComponent(new URL(request.url).pathname)))),
+  http.get("/api/aqi/search", () => HttpResponse.json(WAQI_SEARCH)),
+  http.get("/api/aqi/bounds", () => HttpResponse.json(WAQI_BOUNDS)),
+  http.get("/api/rankings", ({ request }) => {
+    const cities = new URL(request.url).searchParams.get("cities").split(",");
+    return HttpResponse.json({ status: "ok", data: cities.map((city) => ({ city, ...feedFor(city) })) });
+  }),
+  http.get("https://nominatim.openstreetmap.org/reverse", () => HttpResponse.json(NOMINATIM_REVERSE)),
+  http.get("https://nominatim.openstreetmap.org/search", () => HttpResponse.json(NOMINATIM_SEARCH)),
+  http.get("https://photon.komoot.io/api/", () => HttpResponse.json(PHOTON_SEARCH)),
+  http.get("https://ipapi.co/json/", () => HttpResponse.json(IPAPI_LOCATION)),
+  http.get("https://air-quality-api.open-meteo.com/v1/air-quality", () => HttpResponse.json(openMeteoAirQuality)),
+];
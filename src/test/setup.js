@@ -0,0 +1,19 @@
+import "@testing-library/jest-dom/vitest";
+import { cleanup } from "@testing-library/react";
+import { afterAll, afterEach, beforeAll, vi } from "vitest";
+import { resetFirestore } from "./firestoreFake";
+import { server } from "./server";
+
+vi.mock("firebase/firestore", () => import("./firestoreFake"));
+
+beforeAll(() => server.listen({ onUnhandledRequest: "error" }));
+
+afterEach(() => {
+  cleanup();
+  server.resetHandlers();
+  resetFirestore();
+  window.localStorage.clear();
+  vi.useRealTimers();
+});
+
+afterAll(() => server.close());
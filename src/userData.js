@@ -0,0 +1,90 @@
+import {
+  addDoc,
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  limit,
+  onSnapshot,
+  orderBy,
+  query,
+  serverTimestamp,
+  setDoc,
+  where,
+  writeBatch,
+} from "firebase/firestore";
+import { db } from "./firebase";
+
+// Everything a user owns lives under users/{uid}; firestore.rules only lets that uid read or write it.
+export const USER_COLLECTIONS = ["readings", "alerts", "exposure", "indoor", "settings"];
+const BATCH_LIMIT = 400;
+
+export const userCollection = (uid, name) => collection(db, "users", uid, name);
+export const userDoc = (uid, ...segments) => doc(db, "users", uid, ...segments);
+
+export const loadSetting = async (uid, key) => {
+  const snapshot = await getDoc(userDoc(uid, "settings", key));
+  return snapshot.exists() ? snapshot.data() : null;
+};
+
+/** Streams a settings document: `onChange` gets its data, or null while it does not exist. */
+export const watchSetting = (uid, key, onChange, onError) =>
+  onSnapshot(userDoc(uid, "settings", key), (snapshot) => onChange(snapshot.exists() ? snapshot.data() : null), onError);
+
+export const saveSetting = (uid, key, value) =>
+  setDoc(userDoc(uid, "settings", key), { ...value, updatedAt: serverTimestamp() }, { merge: true });
+
+export const recordAlert = (uid, entry) =>
+  addDoc(userCollection(uid, "alerts"), { ...entry, ownerUid: uid, createdAt: serverTimestamp() });
+
+/**
+ * Streams the newest `count` documents of one of the user's collections, narrowed by optional
+ * `[field, op, value]` filters. `onChange` also learns whether older documents match, so a list can
+ * page further back by watching again with a larger `count`. Returns an unsubscribe function.
+ */
+export const watchLatest = (uid, name, { filters = [], count }, onChange, onError) =>
+  onSnapshot(
+    query(
+      userCollection(uid, name),
+      ...filters.map(([field, op, value]) => where(field, op, value)),
+      orderBy("createdAt", "desc"),
+      limit(count + 1)
+    ),
+    (snapshot) =>
+      onChange({
+        entries: snapshot.docs.slice(0, count).map((entry) => ({ id: entry.id, ...entry.data() })),
+        hasMore: snapshot.docs.length > count,
+      }),
+    onError
+  );
+
+/** Reads every document the signed-in user owns so it can be re-written under another uid. */
+export const exportUserData = async (uid) => {
+  const entries = await Promise.all(
+    USER_COLLECTIONS.map(async (name) => {
+      const snapshot = await getDocs(userCollection(uid, name));
+      return [name, snapshot.docs.map((entry) => ({ id: entry.id, data: entry.data() }))];
+    })
+  );
+  return Object.fromEntries(entries);
+};
+
+/**
+ * Writes an exportUserData() snapshot under a new uid. Settings already present on the target
+ * account win; readings and alerts are appended.
+ */
+export const importUserData = async (uid, snapshot) => {
+  const existingSettings = await getDocs(userCollection(uid, "settings"));
+  const keptSettings = new Set(existingSettings.docs.map((entry) => entry.id));
+  const writes = USER_COLLECTIONS.flatMap((name) =>
+    (snapshot[name] || [])
+      .filter((entry) => name !== "settings" || !keptSettings.has(entry.id))
+      .map((entry) => ({ ref: userDoc(uid, name, entry.id), data: { ...entry.data, ownerUid: uid } }))
+  );
+  for (let start = 0; start < writes.length; start += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    writes.slice(start, start + BATCH_LIMIT).forEach(({ ref, data }) => batch.set(ref, data));
+    await batch.commit();
+  }
+  return writes.length;
+};
@@ -0,0 +1,90 @@
+import { describe, expect, it, vi } from "vitest";
+import { bucketReadings, fetchReadingHistory, recordReading } from "./history";
+import { dumpFirestore } from "./test/firestoreFake";
+import { exportUserData, importUserData, loadSetting, recordAlert, saveSetting, watchLatest } from "./userData";
+
+describe("user settings", () => {
+  it("merges saved settings and stamps them", async () => {
+    await saveSetting("alice", "preferences", { threshold: 150, standardId: "us-epa" });
+    await saveSetting("alice", "preferences", { threshold: 120 });
+    const stored = await loadSetting("alice", "preferences");
+    expect(stored).toMatchObject({ threshold: 120, standardId: "us-epa" });
+    expect(stored.updatedAt.toDate()).toBeInstanceOf(Date);
+  });
+
+  it("returns null for settings that were never saved", async () => {
+    expect(await loadSetting("alice", "watchlist")).toBeNull();
+  });
+
+  it("keeps each user's data under their own uid", async () => {
+    await saveSetting("alice", "profile", { ageGroup: "adult" });
+    await recordAlert("bob", { label: "Delhi", aqi: 190 });
+    expect(Object.keys(dumpFirestore()).sort()).toEqual(["users/alice/settings/profile", "users/bob/alerts/doc-0001"]);
+  });
+});
+
+describe("alert log", () => {
+  it("streams the newest alerts first and reports when older ones remain", async () => {
+    vi.useFakeTimers({ now: new Date("2026-10-19T08:00:00Z"), toFake: ["Date"] });
+    for (const aqi of [160, 175, 190]) {
+      await recordAlert("alice", { label: "Delhi", aqi, scope: "dashboard" });
+      vi.setSystemTime(Date.now() + 60_000);
+    }
+    const onChange = vi.fn();
+    const unsubscribe = watchLatest("alice", "alerts", { count: 2 }, onChange);
+    expect(onChange.mock.lastCall[0].entries.map((alert) => alert.aqi)).toEqual([190, 175]);
+    expect(onChange.mock.lastCall[0]).toMatchObject({ hasMore: true, entries: [{ ownerUid: "alice" }, {}] });
+
+    await recordAlert("alice", { label: "Home", aqi: 210, scope: "place:home" });
+    expect(onChange.mock.lastCall[0].entries.map((alert) => alert.aqi)).toEqual([210, 190]);
+    unsubscribe();
+
+    watchLatest("alice", "alerts", { filters: [["scope", "==", "place:home"]], count: 2 }, onChange);
+    expect(onChange.mock.lastCall[0]).toMatchObject({ hasMore: false, entries: [{ label: "Home" }] });
+  });
+});
+
+describe("account migration", () => {
+  it("copies data to a new uid without overwriting its settings", async () => {
+    await saveSetting("guest", "preferences", { threshold: 100 });
+    await saveSetting("guest", "watchlist", { places: ["Delhi"] });
+    await recordReading("guest", { label: "Delhi", aqi: 168 });
+    await saveSetting("member", "preferences", { threshold: 200 });
+
+    const written = await importUserData("member", await exportUserData("guest"));
+
+    expect(written).toBe(2);
+    expect((await loadSetting("member", "preferences")).threshold).toBe(200);
+    expect((await loadSetting("member", "watchlist")).places).toEqual(["Delhi"]);
+  });
+});
+
+describe("reading history", () => {
+  it("finds readings by label and buckets them by day", async () => {
+    vi.useFakeTimers({ now: new Date("2026-10-17T09:00:00"), toFake: ["Date"] });
+    await recordReading("alice", { label: "Delhi", coords: { lat: 28.61, lng: 77.2 }, aqi: 150 });
+    vi.setSystemTime(new Date("2026-10-19T09:00:00"));
+    await recordReading("alice", { label: "Delhi", coords: { lat: 28.61, lng: 77.2 }, aqi: 170 });
+    await recordReading("alice", { label: "Delhi", coords: { lat: 28.61, lng: 77.2 }, aqi: 190 });
+    await recordReading("alice", { label: "Mumbai", coords: { lat: 19.07, lng: 72.87 }, aqi: 90 });
+
+    const readings = await fetchReadingHistory({ uid: "alice", label: "Delhi", since: new Date("2026-10-13T00:00:00") });
+    expect(readings.map((reading) => reading.aqi)).toEqual([150, 170, 190]);
+
+    const buckets = bucketReadings(readings, "day", new Date());
+    expect(buckets).toHaveLength(7);
+    expect(buckets.at(-1)).toMatchObject({ unit: "day", count: 2, min: 170, avg: 180, max: 190 });
+    expect(buckets.at(-3)).toMatchObject({ count: 1, avg: 150 });
+  });
+
+  it("matches nearby coordinates when the label is unknown", async () => {
+    await recordReading("alice", { label: "ITO, Delhi", coords: { lat: 28.63, lng: 77.22 }, aqi: 168 });
+    const readings = await fetchReadingHistory({
+      uid: "alice",
+      label: "My location",
+      coords: { lat: 28.61, lng: 77.21 },
+      since: new Date(Date.now() - 60_000),
+    });
+    expect(readings.map((reading) => reading.label)).toEqual(["ITO, Delhi"]);
+  });
+});
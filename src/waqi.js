@@ -0,0 +1,357 @@
+import axios from "axios";
+
+// Same-origin proxy (api/ on Vercel, api/_lib/devServer.js under `vite`); it holds the WAQI token.
+const API_BASE = "/api";
+const FALLBACK_IAQI_KEYS = ["pm25", "pm10", "o3", "no2", "so2", "co"];
+const REQUEST_TIMEOUT_MS = 8000;
+const MAX_ATTEMPTS = 3;
+const BACKOFF_BASE_MS = 500;
+const FEED_TTL_MS = 2 * 60 * 1000;
+const SEARCH_TTL_MS = 10 * 60 * 1000;
+const BOUNDS_TTL_MS = 5 * 60 * 1000;
+const STORAGE_PREFIX = "waqi:";
+// Set by public/sw.js when it answers from its cache because the network is unreachable.
+const SW_CACHED_AT_HEADER = "x-atmosense-cached-at";
+
+/**
+ * @typedef {Object} WaqiReading
+ * @property {number|null} stationId WAQI station uid.
+ * @property {string|null} stationName Human readable station name.
+ * @property {{ lat: number, lng: number }|null} coords Station coordinates.
+ * @property {number|null} aqi Overall AQI, falling back to the first usable IAQI value.
+ * @property {string|null} dominantPollutant WAQI `dominentpol` key, e.g. "pm25".
+ * @property {Record<string, number>} iaqi Per-pollutant IAQI values keyed by pollutant.
+ * @property {string|null} observedAt Local observation time string as reported by the station.
+ * @property {string|null} observedAtIso ISO observation timestamp when available.
+ * @property {Object|null} forecast Raw `forecast.daily` block, if the station publishes one.
+ * @property {string[]} attributions Data provider names.
+ * @property {string|null} staleSince ISO time the service worker cached this response, set only when it was served offline.
+ * @property {string} provider Data source id ("waqi" here; see src/providers for the others).
+ */
+
+/**
+ * @typedef {Object} WaqiStation
+ * @property {number} stationId
+ * @property {string} name
+ * @property {{ lat: number, lng: number }|null} coords
+ * @property {number|null} aqi
+ * @property {string|null} observedAt
+ */
+
+export class WaqiError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = "WaqiError";
+    this.cause = options.cause;
+    this.retryable = false;
+  }
+}
+
+export class WaqiTokenError extends WaqiError {
+  constructor(message = "The WAQI API token was rejected.", options) {
+    super(message, options);
+    this.name = "WaqiTokenError";
+  }
+}
+
+export class WaqiUnknownCityError extends WaqiError {
+  constructor(message = "No monitoring station matches that location.", options) {
+    super(message, options);
+    this.name = "WaqiUnknownCityError";
+  }
+}
+
+export class WaqiRateLimitError extends WaqiError {
+  constructor(message = "WAQI rate limit reached. Try again in a minute.", options) {
+    super(message, options);
+    this.name = "WaqiRateLimitError";
+    this.retryable = true;
+  }
+}
+
+export class WaqiNetworkError extends WaqiError {
+  constructor(message = "Could not reach the WAQI service. Check your connection.", options) {
+    super(message, options);
+    this.name = "WaqiNetworkError";
+    this.retryable = true;
+  }
+}
+
+export const parseStationCoordinates = (value) => {
+  if (!value) return null;
+  const toNumber = (input) => {
+    const num = Number(input);
+    return Number.isFinite(num) ? num : null;
+  };
+  if (Array.isArray(value) && value.length >= 2) {
+    const lat = toNumber(value[0]);
+    const lng = toNumber(value[1]);
+    if (lat !== null && lng !== null) {
+      return { lat, lng };
+    }
+  }
+  if (typeof value === "string") {
+    const parts = value.split(/[, ]+/).filter(Boolean);
+    if (parts.length >= 2) {
+      const lat = toNumber(parts[0]);
+      const lng = toNumber(parts[1]);
+      if (lat !== null && lng !== null) {
+        return { lat, lng };
+      }
+    }
+  }
+  if (typeof value === "object" && value !== null) {
+    const lat = toNumber(value.lat);
+    const lng = toNumber(value.lng ?? value.lon);
+    if (lat !== null && lng !== null) {
+      return { lat, lng };
+    }
+  }
+  return null;
+};
+
+export const deriveAqiValue = (stationData) => {
+  const raw = stationData?.aqi;
+  const numeric = Number(raw);
+  if (Number.isFinite(numeric) && numeric > 0) {
+    return numeric;
+  }
+  for (const key of FALLBACK_IAQI_KEYS) {
+    const candidate = stationData?.iaqi?.[key]?.v;
+    if (typeof candidate === "number" && Number.isFinite(candidate)) {
+      return Math.round(candidate);
+    }
+  }
+  return null;
+};
+
+const pad = (value) => String(value).padStart(2, "0");
+
+/**
+ * A device time in the "YYYY-MM-DD HH:MM:SS" form stations report, for readings that arrive without
+ * one; keeping a single format lets every view localize observation times the same way.
+ */
+export const toStationTime = (date = new Date()) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+
+/** @returns {WaqiReading} */
+export const normalizeFeed = (data, { cachedAt = null } = {}) => {
+  const iaqi = Object.entries(data?.iaqi || {}).reduce((acc, [key, entry]) => {
+    const value = Number(entry?.v);
+    if (Number.isFinite(value)) acc[key] = value;
+    return acc;
+  }, {});
+  const stationId = Number(data?.idx);
+  return {
+    stationId: Number.isFinite(stationId) ? stationId : null,
+    stationName: data?.city?.name || null,
+    coords: parseStationCoordinates(data?.city?.geo || data?.city?.location),
+    aqi: deriveAqiValue(data),
+    dominantPollutant: data?.dominentpol || null,
+    iaqi,
+    observedAt: data?.time?.s || null,
+    observedAtIso: data?.time?.iso || null,
+    forecast: data?.forecast?.daily || null,
+    attributions: (data?.attributions || []).map((entry) => entry?.name).filter(Boolean),
+    staleSince: cachedAt,
+    provider: "waqi",
+  };
+};
+
+/** @returns {WaqiStation} */
+const normalizeStation = (entry) => {
+  const aqi = Number(entry?.aqi);
+  return {
+    stationId: entry?.uid,
+    name: entry?.station?.name || "Unnamed station",
+    coords: parseStationCoordinates(entry?.station?.geo),
+    aqi: Number.isFinite(aqi) ? aqi : null,
+    observedAt: entry?.time?.stime || null,
+  };
+};
+
+// /map/bounds returns a flatter shape than /search: coordinates at the top level and "-" for stations without data.
+const normalizeBoundsStation = (entry) => {
+  const aqi = Number(entry?.aqi);
+  return {
+    stationId: entry?.uid,
+    name: entry?.station?.name || "Unnamed station",
+    coords: parseStationCoordinates({ lat: entry?.lat, lng: entry?.lon }),
+    aqi: Number.isFinite(aqi) ? aqi : null,
+    observedAt: entry?.station?.time || null,
+  };
+};
+
+const memoryCache = new Map();
+const inflight = new Map();
+
+const readCache = (key) => {
+  const now = Date.now();
+  const cached = memoryCache.get(key);
+  if (cached && cached.expiresAt > now) return cached.value;
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_PREFIX + key) || "null");
+    if (stored && stored.expiresAt > now) {
+      memoryCache.set(key, stored);
+      return stored.value;
+    }
+  } catch (err) {
+    // Storage can be unavailable (private mode, quota); the memory cache still works.
+  }
+  return undefined;
+};
+
+const writeCache = (key, value, ttlMs) => {
+  const entry = { value, expiresAt: Date.now() + ttlMs };
+  memoryCache.set(key, entry);
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(entry));
+  } catch (err) {
+    // Ignore storage quota errors; the memory cache still serves this session.
+  }
+};
+
+export const clearWaqiCache = () => {
+  memoryCache.clear();
+  try {
+    Object.keys(window.localStorage)
+      .filter((key) => key.startsWith(STORAGE_PREFIX))
+      .forEach((key) => window.localStorage.removeItem(key));
+  } catch (err) {
+    // Nothing to clear when storage is unavailable.
+  }
+};
+
+const classifyApiError = (message) => {
+  const text = String(message || "").toLowerCase();
+  if (text.includes("invalid key") || text.includes("token")) return new WaqiTokenError();
+  if (text.includes("quota") || text.includes("limit")) return new WaqiRateLimitError();
+  if (text.includes("unknown")) return new WaqiUnknownCityError();
+  return new WaqiError(message ? `WAQI error: ${message}` : "WAQI returned an unexpected response.");
+};
+
+const classifyHttpError = (err) => {
+  if (err instanceof WaqiError) return err;
+  const status = err?.response?.status;
+  if (status === 429) return new WaqiRateLimitError(undefined, { cause: err });
+  if (status === 401 || status === 403) return new WaqiTokenError(undefined, { cause: err });
+  // The proxy answers 503 when it has no token configured; retrying will not help.
+  if (status === 503 && err.response.data?.status === "error") return classifyApiError(err.response.data.data);
+  if (!err?.response || status >= 500) return new WaqiNetworkError(undefined, { cause: err });
+  return new WaqiError(`WAQI request failed with status ${status}.`, { cause: err });
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const requestWithRetry = async (path) => {
+  let lastError = null;
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt += 1) {
+    if (attempt > 0) {
+      await wait(BACKOFF_BASE_MS * 2 ** (attempt - 1));
+    }
+    try {
+      const res = await axios.get(`${API_BASE}${path}`, { timeout: REQUEST_TIMEOUT_MS });
+      if (res.data?.status !== "ok") {
+        throw classifyApiError(res.data?.data || res.data?.message);
+      }
+      return { data: res.data.data, cachedAt: res.headers?.[SW_CACHED_AT_HEADER] || null };
+    } catch (err) {
+      lastError = classifyHttpError(err);
+      if (!lastError.retryable) throw lastError;
+    }
+  }
+  throw lastError;
+};
+
+const cachedRequest = (key, path, transform, { ttlMs, force = false } = {}) => {
+  if (!force) {
+    const cached = readCache(key);
+    if (cached !== undefined) return Promise.resolve(cached);
+  }
+  if (inflight.has(key)) return inflight.get(key);
+  const pending = requestWithRetry(path)
+    .then(({ data, cachedAt }) => {
+      const value = transform(data, { cachedAt });
+      // Offline answers stay out of the cache so the next online request goes to the network.
+      if (!cachedAt) writeCache(key, value, ttlMs);
+      return value;
+    })
+    .finally(() => inflight.delete(key));
+  inflight.set(key, pending);
+  return pending;
+};
+
+/** @returns {Promise<WaqiReading>} */
+export const getFeedByCity = (cityName, { force = false } = {}) => {
+  const name = String(cityName || "").trim();
+  if (!name) return Promise.reject(new WaqiUnknownCityError("Enter a city name to fetch AQI data."));
+  return cachedRequest(`city:${name.toLowerCase()}`, `/aqi/city/${encodeURIComponent(name)}`, normalizeFeed, {
+    ttlMs: FEED_TTL_MS,
+    force,
+  });
+};
+
+/** @returns {Promise<WaqiReading>} */
+export const getFeedByGeo = ({ lat, lng }, { force = false } = {}) =>
+  cachedRequest(`geo:${lat.toFixed(3)};${lng.toFixed(3)}`, `/aqi/geo/${lat}/${lng}`, normalizeFeed, {
+    ttlMs: FEED_TTL_MS,
+    force,
+  });
+
+/** @returns {Promise<WaqiReading>} */
+export const getFeedByStationId = (stationId, { force = false } = {}) =>
+  cachedRequest(`station:${stationId}`, `/aqi/station/${encodeURIComponent(stationId)}`, normalizeFeed, {
+    ttlMs: FEED_TTL_MS,
+    force,
+  });
+
+/** @returns {Promise<WaqiStation[]>} */
+export const searchStations = (keyword, { force = false } = {}) => {
+  const term = String(keyword || "").trim();
+  if (!term) return Promise.resolve([]);
+  return cachedRequest(
+    `search:${term.toLowerCase()}`,
+    `/aqi/search?keyword=${encodeURIComponent(term)}`,
+    (data) => (Array.isArray(data) ? data.map(normalizeStation) : []),
+    { ttlMs: SEARCH_TTL_MS, force }
+  );
+};
+
+/**
+ * Stations inside a map viewport. Bounds are rounded to two decimals for the cache key so small pans
+ * reuse the previous answer.
+ * @returns {Promise<WaqiStation[]>}
+ */
+export const getStationsInBounds = ({ south, west, north, east }, { force = false } = {}) => {
+  const box = [south, west, north, east].map((value) => value.toFixed(2)).join(",");
+  return cachedRequest(
+    `bounds:${box}`,
+    `/aqi/bounds?latlng=${box}`,
+    (data) => (Array.isArray(data) ? data.map(normalizeBoundsStation).filter((station) => station.coords) : []),
+    { ttlMs: BOUNDS_TTL_MS, force }
+  );
+};
+
+/**
+ * Feeds for a list of cities in one proxy round trip; the proxy paces the upstream calls. Each entry
+ * carries either a reading or the reason that city failed, and good readings warm the per-city cache.
+ * `force` asks the proxy to skip its cache too; the changing `fresh` value also keeps the CDN from
+ * answering with a stored copy.
+ * @returns {Promise<{ city: string, reading: WaqiReading|null, error: WaqiError|null }[]>}
+ */
+export const getRankingFeeds = async (cities, { force = false } = {}) => {
+  const names = cities.map((name) => String(name).trim()).filter(Boolean);
+  if (!names.length) return [];
+  const fresh = force ? `&fresh=${Date.now()}` : "";
+  const { data, cachedAt } = await requestWithRetry(`/rankings?cities=${names.map(encodeURIComponent).join(",")}${fresh}`);
+  const byCity = new Map((Array.isArray(data) ? data : []).map((entry) => [String(entry?.city).toLowerCase(), entry]));
+  return names.map((city) => {
+    const entry = byCity.get(city.toLowerCase());
+    if (entry?.status !== "ok") {
+      return { city, reading: null, error: classifyApiError(entry?.data) };
+    }
+    const reading = normalizeFeed(entry.data, { cachedAt });
+    if (!cachedAt) writeCache(`city:${city.toLowerCase()}`, reading, FEED_TTL_MS);
+    return { city, reading, error: null };
+  });
+};
@@ -0,0 +1,175 @@
+import { http, HttpResponse } from "msw";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import waqiFeed from "./providers/fixtures/waqi-feed.json";
+import waqiFeedNoAqi from "./providers/fixtures/waqi-feed-no-aqi.json";
+import { WAQI_FEED_ROUTE } from "./test/handlers";
+import { server } from "./test/server";
+import {
+  clearWaqiCache,
+  deriveAqiValue,
+  getFeedByCity,
+  getFeedByGeo,
+  getRankingFeeds,
+  getStationsInBounds,
+  normalizeFeed,
+  parseStationCoordinates,
+  searchStations,
+  WaqiNetworkError,
+  WaqiRateLimitError,
+  WaqiTokenError,
+  WaqiUnknownCityError,
+} from "./waqi";
+
+describe("parseStationCoordinates", () => {
+  it("reads [lat, lng] arrays, including numeric strings", () => {
+    expect(parseStationCoordinates([28.6, 77.2])).toEqual({ lat: 28.6, lng: 77.2 });
+    expect(parseStationCoordinates(["28.6", "77.2"])).toEqual({ lat: 28.6, lng: 77.2 });
+  });
+
+  it("reads comma or space separated strings", () => {
+    expect(parseStationCoordinates("28.6,77.2")).toEqual({ lat: 28.6, lng: 77.2 });
+    expect(parseStationCoordinates("28.6 77.2")).toEqual({ lat: 28.6, lng: 77.2 });
+  });
+
+  it("reads objects with lng or lon", () => {
+    expect(parseStationCoordinates({ lat: 28.6, lng: 77.2 })).toEqual({ lat: 28.6, lng: 77.2 });
+    expect(parseStationCoordinates({ lat: "28.6", lon: "77.2" })).toEqual({ lat: 28.6, lng: 77.2 });
+  });
+
+  it("rejects empty or non-numeric input", () => {
+    expect(parseStationCoordinates(null)).toBeNull();
+    expect(parseStationCoordinates("")).toBeNull();
+    expect(parseStationCoordinates([28.6])).toBeNull();
+    expect(parseStationCoordinates("north,east")).toBeNull();
+    expect(parseStationCoordinates({ lat: 28.6 })).toBeNull();
+  });
+});
+
+describe("deriveAqiValue", () => {
+  it("uses the overall AQI when it is a positive number", () => {
+    expect(deriveAqiValue({ aqi: 168 })).toBe(168);
+    expect(deriveAqiValue({ aqi: "97" })).toBe(97);
+  });
+
+  it("falls back to the first usable IAQI value in pollutant order", () => {
+    expect(deriveAqiValue({ aqi: "-", iaqi: { pm10: { v: 80.4 }, o3: { v: 120 } } })).toBe(80);
+    expect(deriveAqiValue({ aqi: 0, iaqi: { pm25: { v: 42.6 }, pm10: { v: 80 } } })).toBe(43);
+  });
+
+  it("ignores non-numeric IAQI entries and returns null when nothing is usable", () => {
+    expect(deriveAqiValue({ aqi: "-", iaqi: { pm25: { v: "-" }, co: { v: 3 } } })).toBe(3);
+    expect(deriveAqiValue({ aqi: "-", iaqi: { t: { v: 21 } } })).toBeNull();
+    expect(deriveAqiValue(undefined)).toBeNull();
+  });
+});
+
+describe("normalizeFeed", () => {
+  it("maps a WAQI feed to the shared reading shape", () => {
+    const reading = normalizeFeed(waqiFeed.data);
+    expect(reading).toMatchObject({
+      stationId: 10124,
+      stationName: "ITO, Delhi, Delhi, India",
+      coords: { lat: 28.63576, lng: 77.22445 },
+      aqi: 168,
+      dominantPollutant: "pm25",
+      observedAt: "2026-10-19 10:00:00",
+      staleSince: null,
+      provider: "waqi",
+    });
+    expect(reading.iaqi.pm25).toBe(168);
+    expect(reading.attributions).toContain("World Air Quality Index Project");
+  });
+
+  it("reports no AQI for stations without data", () => {
+    expect(normalizeFeed(waqiFeedNoAqi.data).aqi).toBeNull();
+  });
+});
+
+describe("WAQI requests", () => {
+  beforeEach(() => clearWaqiCache());
+
+  it("fetches and caches a city feed", async () => {
+    const requested = vi.fn();
+    server.events.on("request:start", requested);
+    const first = await getFeedByCity("Delhi");
+    const second = await getFeedByCity("delhi ");
+    server.events.removeAllListeners();
+    expect(first.aqi).toBe(168);
+    expect(second).toEqual(first);
+    expect(requested).toHaveBeenCalledTimes(1);
+  });
+
+  it("looks up coordinates through the geo feed", async () => {
+    let path = null;
+    server.use(
+      http.get("/api/aqi/geo/:lat/:lng", ({ params }) => {
+        path = `${params.lat};${params.lng}`;
+        return HttpResponse.json(waqiFeed);
+      })
+    );
+    await getFeedByGeo({ lat: 28.6139, lng: 77.209 });
+    expect(path).toBe("28.6139;77.209");
+  });
+
+  it("rejects blank city names without a request", async () => {
+    await expect(getFeedByCity("  ")).rejects.toBeInstanceOf(WaqiUnknownCityError);
+  });
+
+  it("classifies API error messages", async () => {
+    await expect(getFeedByCity("Unknownville")).rejects.toBeInstanceOf(WaqiUnknownCityError);
+    server.use(http.get(WAQI_FEED_ROUTE, () => HttpResponse.json({ status: "error", data: "Invalid key" })));
+    await expect(getFeedByCity("Delhi", { force: true })).rejects.toBeInstanceOf(WaqiTokenError);
+  });
+
+  it("retries rate-limited requests with backoff", async () => {
+    vi.useFakeTimers({ shouldAdvanceTime: true });
+    let calls = 0;
+    server.use(
+      http.get(WAQI_FEED_ROUTE, () => {
+        calls += 1;
+        return calls < 3 ? new HttpResponse(null, { status: 429 }) : HttpResponse.json(waqiFeed);
+      })
+    );
+    const pending = getFeedByCity("Delhi");
+    await vi.advanceTimersByTimeAsync(1500);
+    await expect(pending).resolves.toMatchObject({ aqi: 168 });
+    expect(calls).toBe(3);
+  });
+
+  it("gives up with a rate-limit error after three attempts", async () => {
+    vi.useFakeTimers({ shouldAdvanceTime: true });
+    server.use(http.get(WAQI_FEED_ROUTE, () => new HttpResponse(null, { status: 429 })));
+    const pending = getFeedByCity("Delhi");
+    const assertion = expect(pending).rejects.toBeInstanceOf(WaqiRateLimitError);
+    await vi.advanceTimersByTimeAsync(1500);
+    await assertion;
+  });
+
+  it("reports network failures as WaqiNetworkError", async () => {
+    vi.useFakeTimers({ shouldAdvanceTime: true });
+    server.use(http.get(WAQI_FEED_ROUTE, () => HttpResponse.error()));
+    const pending = getFeedByCity("Delhi");
+    const assertion = expect(pending).rejects.toBeInstanceOf(WaqiNetworkError);
+    await vi.advanceTimersByTimeAsync(1500);
+    await assertion;
+  });
+
+  it("normalizes station search and map bounds results", async () => {
+    const [station] = await searchStations("Delhi");
+    expect(station).toMatchObject({ stationId: 10124, aqi: 168, coords: { lat: 28.63576, lng: 77.22445 } });
+    const inView = await getStationsInBounds({ south: 28.4, west: 77, north: 28.8, east: 77.4 });
+    expect(inView.map((entry) => entry.aqi)).toEqual([168, null]);
+  });
+
+  it("fetches ranking feeds in one request and keeps per-city errors", async () => {
+    const requested = vi.fn();
+    server.events.on("request:start", requested);
+    const feeds = await getRankingFeeds(["Delhi", "Unknownville"]);
+    const cached = await getFeedByCity("Delhi");
+    server.events.removeAllListeners();
+    expect(feeds[0]).toMatchObject({ city: "Delhi", reading: { aqi: 168 }, error: null });
+    expect(feeds[1].error).toBeInstanceOf(WaqiUnknownCityError);
+    expect(cached.aqi).toBe(168);
+    expect(requested).toHaveBeenCalledTimes(1);
+  });
+});
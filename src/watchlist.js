@@ -0,0 +1,63 @@
+import { getAqiReading } from "./providers";
+import { loadSetting, saveSetting } from "./userData";
+import { parseStationCoordinates } from "./waqi";
+
+export const DEFAULT_PLACE_THRESHOLD = 150;
+export const MAX_WATCHLIST_PLACES = 8;
+
+/**
+ * @typedef {Object} WatchPlace
+ * @property {string} id
+ * @property {string} name Display name chosen by the user, e.g. "Home".
+ * @property {"city"|"geo"} kind
+ * @property {string|null} city City or station name when kind is "city".
+ * @property {{ lat: number, lng: number }|null} coords Coordinates when kind is "geo".
+ * @property {number} threshold AQI at or above which this place alerts.
+ */
+
+const sanitizePlace = (place) => {
+  if (!place || typeof place !== "object" || !place.id || !place.name) return null;
+  const coords = parseStationCoordinates(place.coords);
+  const city = typeof place.city === "string" && place.city.trim() ? place.city.trim() : null;
+  const kind = place.kind === "geo" && coords ? "geo" : city ? "city" : null;
+  if (!kind) return null;
+  const threshold = Number(place.threshold);
+  return {
+    id: String(place.id),
+    name: String(place.name),
+    kind,
+    city: kind === "city" ? city : null,
+    coords: kind === "geo" ? coords : null,
+    threshold: Number.isFinite(threshold) ? threshold : DEFAULT_PLACE_THRESHOLD,
+  };
+};
+
+export const loadWatchlist = async (uid) => {
+  const stored = await loadSetting(uid, "watchlist");
+  return Array.isArray(stored?.places) ? stored.places.map(sanitizePlace).filter(Boolean) : [];
+};
+
+export const saveWatchlist = (uid, places) => saveSetting(uid, "watchlist", { places });
+
+/** Builds a place from the form input; "28.61, 77.20" becomes a geo place, anything else a city lookup. */
+export const createPlace = ({ name, target, threshold = DEFAULT_PLACE_THRESHOLD }) => {
+  const trimmedTarget = String(target || "").trim();
+  const trimmedName = String(name || "").trim() || trimmedTarget;
+  if (!trimmedTarget) return null;
+  const coords = /^-?\d/.test(trimmedTarget) ? parseStationCoordinates(trimmedTarget) : null;
+  return sanitizePlace({
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+    name: trimmedName,
+    kind: coords ? "geo" : "city",
+    city: coords ? null : trimmedTarget,
+    coords,
+    threshold,
+  });
+};
+
+export const describePlaceTarget = (place) =>
+  place.kind === "geo" ? `${place.coords.lat.toFixed(3)}, ${place.coords.lng.toFixed(3)}` : place.city;
+
+/** `options` are the data source settings ({ order, mode }) plus `force`, passed to getAqiReading. */
+export const fetchPlaceReading = (place, options) =>
+  getAqiReading(place.kind === "geo" ? { kind: "geo", coords: place.coords } : { kind: "city", name: place.city }, options);
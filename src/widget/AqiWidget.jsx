@@ -0,0 +1,100 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { createTranslator, detectLocale, LOCALES } from "../i18n";
+import { createPalette } from "../palettes";
+import { DEFAULT_PROVIDER_SETTINGS, getAqiReading, providerName } from "../providers";
+import { sharePath, targetFromParams } from "../shareLinks";
+import { evaluateReading, getStandard } from "../standards";
+
+// Intranet screens leave the widget open all day; this keeps it current well within the proxy's budget.
+export const WIDGET_REFRESH_MS = 10 * 60 * 1000;
+// "auto" follows the visitor's light or dark system setting.
+const THEMES = ["dark", "light", "auto"];
+
+/**
+ * The widget's options from its query string, which uses the same names as the <atmosense-aqi>
+ * attributes: the place (`city`, `coords`, `lat` + `lng` or `station`; see shareLinks.js), then
+ * `theme`, `palette`, `lang` and `standard`. Unknown values fall back to the defaults.
+ * @param {URLSearchParams} params
+ */
+export const widgetOptions = (params) => ({
+  target: targetFromParams(params),
+  theme: THEMES.includes(params.get("theme")) ? params.get("theme") : "dark",
+  paletteId: params.get("palette"),
+  locale: LOCALES[params.get("lang")] ? params.get("lang") : detectLocale(),
+  standardId: getStandard(params.get("standard")).id,
+});
+
+/**
+ * The dashboard's spotlight for one place: the index, the health status, advice and prevention. Readings come
+ * from the default data sources, since an embedding page has no visitor settings to go by.
+ */
+function AqiWidget({ options }) {
+  const { target, theme, paletteId, locale, standardId } = options;
+  const { t, formatObservedAt, localizeBand } = useMemo(() => createTranslator(locale), [locale]);
+  const palette = useMemo(() => createPalette(paletteId), [paletteId]);
+  const [{ reading, error }, setFeed] = useState({ reading: null, error: null });
+
+  useEffect(() => {
+    if (!target) return undefined;
+    let cancelled = false;
+    const load = () =>
+      getAqiReading(target, DEFAULT_PROVIDER_SETTINGS)
+        .then((next) => !cancelled && setFeed({ reading: next, error: null }))
+        // A failed refresh keeps the last reading on screen.
+        .catch((err) => !cancelled && setFeed((previous) => ({ ...previous, error: err.message })));
+    load();
+    const timer = setInterval(load, WIDGET_REFRESH_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [target]);
+
+  const standard = getStandard(standardId);
+  const evaluation = reading ? evaluateReading(reading, standardId) : null;
+  const band = localizeBand(evaluation?.band || null);
+  const color = palette.bandColor(band);
+  const place = target?.name || reading?.stationName || "";
+  const appUrl = target ? new URL(sharePath(target), window.location.origin).href : null;
+
+  let body;
+  if (!target) {
+    body = <p className="widget-message">{t("Set a city, coordinates or station to show its air quality.")}</p>;
+  } else if (!reading) {
+    body = (
+      <p className="widget-message" role={error ? "alert" : "status"}>
+        {error || t("Loading air quality…")}
+      </p>
+    );
+  } else {
+    body = (
+      <>
+        <header className="widget-head">
+          <span className="widget-place">{place}</span>
+          <span className="widget-scale">{standard.shortName}</span>
+        </header>
+        <div className="widget-value">{evaluation.index ?? reading.aqi}</div>
+        <div className="widget-status">{band?.status}</div>
+        <p className="widget-advice">{band?.advice}</p>
+        <p className="widget-prevention">{band?.prevention}</p>
+        <footer className="widget-foot">
+          <span>
+            {t("Updated {time}", { time: formatObservedAt(reading.observedAt) })} • {providerName(reading.provider)}
+          </span>
+          <a href={appUrl} target="_blank" rel="noopener noreferrer">
+            {t("Open in Atmosense")}
+          </a>
+        </footer>
+      </>
+    );
+  }
+
+  return (
+    // widget.css draws the band colour as text on dark backgrounds and as an accent stripe on light ones.
+    <article className={`aqi-widget ${theme}`} lang={locale} style={{ "--band-color": color }}>
+      {body}
+    </article>
+  );
+}
+
+export default AqiWidget;
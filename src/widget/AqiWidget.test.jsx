@@ -0,0 +1,38 @@
+import { render, screen } from "@testing-library/react";
+import { http, HttpResponse } from "msw";
+import { beforeEach, describe, expect, it } from "vitest";
+import waqiFeed from "../providers/fixtures/waqi-feed.json";
+import { server } from "../test/server";
+import { clearWaqiCache } from "../waqi";
+import AqiWidget, { widgetOptions } from "./AqiWidget";
+
+const renderWidget = (query) => render(<AqiWidget options={widgetOptions(new URLSearchParams(query))} />);
+
+describe("AQI widget", () => {
+  beforeEach(() => clearWaqiCache());
+
+  it("shows the reading, status and advice for a city in the chosen theme and language", async () => {
+    const lookups = [];
+    server.use(
+      http.get("/api/aqi/city/:name", ({ params }) => {
+        lookups.push(params.name);
+        return HttpResponse.json(waqiFeed);
+      })
+    );
+    const { container } = renderWidget("city=Delhi&theme=light&lang=hi");
+
+    // Like the dashboard spotlight, the index is recomputed from the pollutant sub-indices.
+    expect(await screen.findByText("174")).toBeInTheDocument();
+    expect(screen.getByText("अस्वस्थ")).toBeInTheDocument();
+    expect(screen.getByText("अस्वस्थ।")).toBeInTheDocument();
+    expect(screen.getByRole("link", { name: "Atmosense में खोलें" }).getAttribute("href")).toMatch(/\/\?city=Delhi$/);
+    expect(container.firstChild).toHaveClass("aqi-widget", "light");
+    expect(lookups).toEqual(["Delhi"]);
+  });
+
+  it("asks for a place when none is given and ignores unknown options", () => {
+    const { container } = renderWidget("theme=neon&lang=xx");
+    expect(screen.getByText("Set a city, coordinates or station to show its air quality.")).toBeInTheDocument();
+    expect(container.firstChild).toHaveClass("aqi-widget", "dark");
+  });
+});
@@ -0,0 +1,20 @@
+import React from "react";
+import ReactDOM from "react-dom/client";
+import AqiWidget, { widgetOptions } from "./AqiWidget";
+import "./widget.css";
+
+const options = widgetOptions(new URLSearchParams(window.location.search));
+document.documentElement.lang = options.locale;
+
+ReactDOM.createRoot(document.getElementById("widget-root")).render(
+  <React.StrictMode>
+    <AqiWidget options={options} />
+  </React.StrictMode>
+);
+
+// The <atmosense-aqi> element (public/widget.js) sizes its iframe to fit; the height is all it learns.
+if (window.parent !== window) {
+  const reportHeight = () =>
+    window.parent.postMessage({ type: "atmosense:widget-height", height: document.documentElement.scrollHeight }, "*");
+  new ResizeObserver(reportHeight).observe(document.body);
+}
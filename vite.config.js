@@ -1,7 +1,20 @@
-import { defineConfig } from "vite";
+import { defineConfig, loadEnv } from "vite";
 import react from "@vitejs/plugin-react";
+import { devApiPlugin } from "./api/_lib/devServer.js";
 
 // https://vitejs.dev/config/
-export default defineConfig({
-  plugins: [react()],
-});
+export default defineConfig(({ mode }) => ({
+  // The dev server answers /api/* with the same handlers Vercel deploys from api/.
+  plugins: [react(), devApiPlugin({ ...process.env, ...loadEnv(mode, process.cwd(), "") })],
+  // The dashboard, and the embeddable widget (widget.html) that <atmosense-aqi> in public/widget.js frames.
+  build: {
+    rollupOptions: {
+      input: { main: "index.html", widget: "widget.html" },
+    },
+  },
+  test: {
+    environment: "jsdom",
+    setupFiles: ["./src/test/setup.js"],
+    restoreMocks: true,
+  },
+}));